@@ -1,92 +1,250 @@
-// Get today's date components for historical comparison
-const today = new Date();
-const month = today.getMonth() + 1; // 1-12
-const day = today.getDate();
-const year = today.getFullYear();
-
-// Historical year to compare with
+// Historical year to compare with by default
 // 2013 works for Europe, but for US/global locations, 2023 is more reliable
 // We'll try 2023 first (has full year coverage globally), fall back to 2013 if needed
+// Users can pick any other pair of dates or date ranges in the date picker
 const HISTORICAL_YEAR = 2023;
 const FALLBACK_YEAR = 2013;
 
+// Metrics shown on the cards, in display order; each gets a card, a trend chart and a side-by-side row
+//   key: result key; field: OpenMeteo hourly/current variable (null for the overall index, which depends on the AQI standard)
+//   prefix: card element id prefix; label, unit: card title (unit is what the values arrive in; empty if unitless)
+//   gasUnit: unit shown when gas units are selected; lowerIsBetter: a fall is an improvement; precision: decimals shown
+//   optional: only shown where the model has data for it; domains: the only models that provide it (default: all)
+const METRICS = [
+    { key: 'aqi', field: null, prefix: 'aqi', label: 'Overall AQI', unit: 'index', lowerIsBetter: true, precision: 0 },
+    { key: 'pm25', field: 'pm2_5', prefix: 'pm25', label: 'PM2.5', unit: 'μg/m³', lowerIsBetter: true, precision: 0 },
+    { key: 'pm10', field: 'pm10', prefix: 'pm10', label: 'PM10', unit: 'μg/m³', lowerIsBetter: true, precision: 0 },
+    { key: 'carbon_monoxide', field: 'carbon_monoxide', prefix: 'co', label: 'CO', unit: 'μg/m³', gasUnit: 'ppm', lowerIsBetter: true, precision: 0 },
+    { key: 'nitrogen_dioxide', field: 'nitrogen_dioxide', prefix: 'no2', label: 'NO₂', unit: 'μg/m³', gasUnit: 'ppb', lowerIsBetter: true, precision: 0 },
+    { key: 'ozone', field: 'ozone', prefix: 'o3', label: 'O₃', unit: 'μg/m³', gasUnit: 'ppb', lowerIsBetter: true, precision: 0 },
+    { key: 'sulphur_dioxide', field: 'sulphur_dioxide', prefix: 'so2', label: 'SO₂', unit: 'μg/m³', gasUnit: 'ppb', lowerIsBetter: true, precision: 0 },
+    { key: 'ammonia', field: 'ammonia', prefix: 'nh3', label: 'NH₃', unit: 'μg/m³', gasUnit: 'ppb', lowerIsBetter: true, precision: 0,
+        optional: true, domains: ['cams_europe'] },
+    { key: 'dust', field: 'dust', prefix: 'dust', label: 'Dust', unit: 'μg/m³', lowerIsBetter: true, precision: 0, optional: true },
+    { key: 'aerosol_optical_depth', field: 'aerosol_optical_depth', prefix: 'aod', label: 'Aerosol optical depth', unit: '',
+        lowerIsBetter: true, precision: 2, optional: true, domains: ['cams_global'] },
+    { key: 'uv_index', field: 'uv_index', prefix: 'uv', label: 'UV index', unit: '', lowerIsBetter: true, precision: 1, optional: true },
+    // Pollen is only modelled for Europe, and only in its season
+    { key: 'alder_pollen', field: 'alder_pollen', prefix: 'alder', label: 'Alder pollen', unit: 'grains/m³', lowerIsBetter: true, precision: 0,
+        optional: true, domains: ['cams_europe'] },
+    { key: 'birch_pollen', field: 'birch_pollen', prefix: 'birch', label: 'Birch pollen', unit: 'grains/m³', lowerIsBetter: true, precision: 0,
+        optional: true, domains: ['cams_europe'] },
+    { key: 'grass_pollen', field: 'grass_pollen', prefix: 'grass', label: 'Grass pollen', unit: 'grains/m³', lowerIsBetter: true, precision: 0,
+        optional: true, domains: ['cams_europe'] },
+    { key: 'mugwort_pollen', field: 'mugwort_pollen', prefix: 'mugwort', label: 'Mugwort pollen', unit: 'grains/m³', lowerIsBetter: true,
+        precision: 0, optional: true, domains: ['cams_europe'] },
+    { key: 'olive_pollen', field: 'olive_pollen', prefix: 'olive', label: 'Olive pollen', unit: 'grains/m³', lowerIsBetter: true, precision: 0,
+        optional: true, domains: ['cams_europe'] },
+    { key: 'ragweed_pollen', field: 'ragweed_pollen', prefix: 'ragweed', label: 'Ragweed pollen', unit: 'grains/m³', lowerIsBetter: true,
+        precision: 0, optional: true, domains: ['cams_europe'] }
+];
+
+// The metrics read straight from the API (everything but the overall index)
+const POLLUTANT_METRICS = METRICS.filter(metric => metric.field);
+
+// Result keys mapped to OpenMeteo hourly/current variable names: every pollutant plus the provider's own indices
+const AIR_QUALITY_FIELDS = {
+    ...Object.fromEntries(POLLUTANT_METRICS.map(metric => [metric.key, metric.field])),
+    european_aqi: 'european_aqi',
+    us_aqi: 'us_aqi'
+};
+
+// Look up a metric by its result key
+function getMetric(key) {
+    return METRICS.find(metric => metric.key === key) || null;
+}
+
+// Whether an optional metric has a value in any of the given results; other metrics always count as present
+function hasMetricData(metric, airQualities) {
+    if (!metric.optional) return true;
+    return airQualities.some(airQuality => airQuality?.[metric.key] !== null && airQuality?.[metric.key] !== undefined);
+}
+
+// How a day of hourly readings is reduced to the single value shown on each card
+// Applies to both sides of the comparison so like is compared with like
+const COMPARISON_MODES = {
+    'same-hour': 'Same hour of day',
+    'daily-mean': 'Daily mean',
+    'daily-max': 'Daily max',
+    'rolling-24h': '24h rolling mean'
+};
+let selectedComparisonMode = 'same-hour';
+
+// Last location shown, so changing a setting can re-run the comparison
+let lastLocation = null;
+
+// Everything behind the single-location view currently shown, for export (see buildExport)
+let lastComparison = null;
+
+// Data behind the trend charts and the side-by-side grid currently shown, so they can be redrawn without refetching
+let lastTrend = null;
+let lastMultiComparison = null;
+
+// Dates picked by the user as { historical: {start, end}, current: {start, end} } (YYYY-MM-DD)
+// null means the default: today vs the same calendar day in HISTORICAL_YEAR
+let selectedDates = null;
+
+// 'single' shows one location against its national average; 'side-by-side' shows a column per location
+let viewMode = 'single';
+
+// Locations in the side-by-side view as { latitude, longitude, name }
+const MAX_COMPARISON_LOCATIONS = 4;
+let comparisonLocations = [];
+
+// Format a Date as local YYYY-MM-DD (toISOString would shift it to UTC)
+function toISODate(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// Parse YYYY-MM-DD as a local date
+function parseISODate(isoDate) {
+    const [y, m, d] = isoDate.split('-').map(Number);
+    return new Date(y, m - 1, d);
+}
+
+// Shift a YYYY-MM-DD date by a number of days
+function addDays(isoDate, days) {
+    const date = parseISODate(isoDate);
+    date.setDate(date.getDate() + days);
+    return toISODate(date);
+}
+
+// Same month and day in another year
+// Feb 29 maps to Feb 28 in non-leap years instead of rolling over to Mar 1
+function sameDayInYear(date, targetYear) {
+    const lastDayOfMonth = new Date(targetYear, date.getMonth() + 1, 0).getDate();
+    return new Date(targetYear, date.getMonth(), Math.min(date.getDate(), lastDayOfMonth));
+}
+
+// Default comparison: today vs the same calendar day in historicalYear
+// allowFallback lets callers retry with FALLBACK_YEAR when the archive has nothing for that day
+function getDefaultComparisonDates(historicalYear = HISTORICAL_YEAR) {
+    const todayISO = toISODate(new Date());
+    const historicalISO = toISODate(sameDayInYear(new Date(), historicalYear));
+    return {
+        historical: { start: historicalISO, end: historicalISO },
+        current: { start: todayISO, end: todayISO },
+        allowFallback: historicalYear !== FALLBACK_YEAR
+    };
+}
+
+// Dates the next comparison should use
+function getComparisonDates() {
+    return selectedDates ? { ...selectedDates, allowFallback: false } : getDefaultComparisonDates();
+}
+
+// Whether a date range reaches today (so live "current" values apply)
+function rangeIncludesToday(range) {
+    return range.end >= toISODate(new Date());
+}
+
 // Fetch and display air quality data for given coordinates
-async function fetchAndDisplayAQ(latitude, longitude, locationName = null) {
+async function fetchAndDisplayAQ(latitude, longitude, locationName = null, dates = getComparisonDates()) {
+    lastLocation = { latitude, longitude, name: locationName };
+    writeUrlState();
+    updateDatePickerLimits();
+    
+    // Cancel whatever the previous comparison still has queued or in flight
+    if (viewController) {
+        viewController.abort();
+    }
+    viewController = new AbortController();
+    const { signal } = viewController;
+    
     try {
         // Show loading, hide error
         document.getElementById('loading').style.display = 'block';
         document.getElementById('error').style.display = 'none';
         document.getElementById('content').style.display = 'none';
+        document.getElementById('multi-content').style.display = 'none';
         
-        // Get location name if not provided
-        let geocodeResult = null;
-        if (!locationName) {
-            geocodeResult = await reverseGeocode(latitude, longitude);
-            locationName = geocodeResult ? geocodeResult.displayName : null;
-        } else if (typeof locationName === 'string') {
-            // If locationName is a string (from search), we still need country info
-            geocodeResult = await reverseGeocode(latitude, longitude);
+        // Name, country and both sides of the comparison
+        // (an expired cached copy of the current data is shown while a fresh one loads)
+        const [comparison] = await loadComparisons([{ latitude, longitude, name: locationName }], dates, signal, true);
+        const { countryInfo, currentAQ, historical } = comparison;
+        if (!currentAQ) {
+            throw new Error('No air quality data available');
         }
+        locationName = comparison.locationName;
+        const historicalAQ = historical.airQuality;
+        
+        // Remember what was found so the location can be saved as a favourite or shared
+        lastLocation.name = lastLocation.name || locationName;
+        lastLocation.country = countryInfo;
+        writeUrlState();
         document.getElementById('location-text').textContent = 
             `Location: ${locationName || `${latitude.toFixed(4)}, ${longitude.toFixed(4)}`}`;
         
-        // Get country info for national average
-        const countryInfo = geocodeResult ? {
-            name: geocodeResult.country,
-            code: geocodeResult.countryCode
-        } : await getCountryInfo(latitude, longitude);
+        // One AQI scale for both sides and the national average: the chosen one, or the country's own
+        const aqiStandard = resolveAqiStandard(countryInfo?.code);
         
-        // Fetch current air quality data
-        const currentAQ = await fetchAirQuality(latitude, longitude, 'current');
+        // Display comparison (pass data source from current data)
+        displayComparison(currentAQ, historicalAQ, historical.dates, currentAQ.dataSource, aqiStandard);
         
-        // Try to fetch historical data, with fallback
-        let historicalAQ = await fetchAirQuality(latitude, longitude, 'historical', HISTORICAL_YEAR);
-        let actualYear = HISTORICAL_YEAR;
+        // Keep what is shown for export; the national figures are added once they arrive
+        const shown = {
+            location: { latitude, longitude, name: locationName },
+            countryInfo,
+            dates: historical.dates,
+            aqiStandard,
+            comparisonMode: selectedComparisonMode,
+            currentAQ,
+            historicalAQ,
+            national: null
+        };
+        lastComparison = shown;
         
-        // If historical data is all null/empty, try fallback year
-        const historicalValues = Object.entries(historicalAQ || {})
-            .filter(([key]) => key !== 'dataSource')
-            .map(([, value]) => value);
-        if (!historicalAQ || historicalValues.every(v => v === null)) {
-            console.log(`No data for ${HISTORICAL_YEAR}, trying ${FALLBACK_YEAR}...`);
-            historicalAQ = await fetchAirQuality(latitude, longitude, 'historical', FALLBACK_YEAR);
-            const fallbackValues = Object.entries(historicalAQ || {})
-                .filter(([key]) => key !== 'dataSource')
-                .map(([, value]) => value);
-            if (historicalAQ && fallbackValues.some(v => v !== null)) {
-                actualYear = FALLBACK_YEAR;
-            }
+        // The current values came from a stale cached copy: redraw once the fresh data is in
+        if (currentAQ.revalidation) {
+            currentAQ.revalidation.then(refreshed => {
+                if (refreshed && !signal.aborted) {
+                    fetchAndDisplayAQ(latitude, longitude, locationName, dates);
+                }
+            });
         }
         
-        // Display comparison (pass data source from current data)
-        displayComparison(currentAQ, historicalAQ, actualYear, currentAQ.dataSource);
+        // Clear the previous location's sample list and spread until the new ones are ready
+        displayNationalSample(null);
+        displayNationalSpread(null, null);
         
         // Fetch national averages (in background, don't block on it)
-        // Use the actualYear that was successfully fetched
+        // Use the dates that were successfully fetched
         if (countryInfo) {
             // Update label with country name even if we can't get averages
             const nationalLabels = document.querySelectorAll('.national-label');
             nationalLabels.forEach(el => {
-                el.textContent = `${countryInfo.name} Avg`;
+                el.textContent = getNationalLabel(countryInfo.name);
             });
             
-            getNationalAverage(countryInfo, actualYear).then(avgs => {
+            getNationalAverage(countryInfo, historical.dates, aqiStandard, nationalAggregation, nationalSamplingMode, signal).then(avgs => {
                 if (avgs) {
                     // Update display with national averages (both current and historical)
                     // Pass location values so we can calculate deltas
-                    displayNationalAverage(avgs.current, avgs.historical, countryInfo.name, currentAQ, historicalAQ);
+                    displayNationalAverage(avgs.current, avgs.historical, countryInfo.name, currentAQ, historicalAQ, aqiStandard);
+                    displayNationalSpread(avgs.current, avgs.historical);
+                    displayNationalSample(avgs.sampleCities, countryInfo.name, avgs.method, avgs.samplingMode);
+                    shown.national = avgs;
                 }
                 // If avgs is null, values remain as "—" (N/A) which is correct
             }).catch(err => {
+                if (err.name === 'AbortError') return;
                 console.warn('Failed to get national average:', err);
             });
         }
         
+        // Fetch the same calendar day in every archived year (in background)
+        loadTrend(latitude, longitude, dates.current, currentAQ.referenceHour, aqiStandard, signal).catch(err => {
+            if (err.name === 'AbortError') return;
+            console.warn('Failed to load multi-year trend:', err);
+        });
+        
         // Show content, hide loading
         document.getElementById('loading').style.display = 'none';
         document.getElementById('content').style.display = 'block';
         
     } catch (error) {
+        // A newer comparison has taken over the page
+        if (error.name === 'AbortError') return;
         console.error('Error:', error);
         document.getElementById('loading').style.display = 'none';
         document.getElementById('error').style.display = 'block';
@@ -95,8 +253,150 @@ async function fetchAndDisplayAQ(latitude, longitude, locationName = null) {
     }
 }
 
+// Fetch everything a comparison needs for each location: its name, country and both sides' data
+// locations: [{ latitude, longitude, name? }]; a missing name is looked up by reverse geocoding
+// Air quality for all locations is fetched in one batch per side
+// Returns [{ latitude, longitude, locationName, countryInfo, currentAQ, historical }] in the same order,
+// where historical is { airQuality, dates } and currentAQ is null if the location has no data
+async function loadComparisons(locations, dates, signal = null, staleWhileRevalidate = false) {
+    // Countries come from the bundled boundaries; the geocoder is only asked for missing names,
+    // or for the country of a point the boundaries don't cover
+    const localCountries = locations.map(loc => getCountryInfo(loc.latitude, loc.longitude));
+    const geocodeResults = await Promise.all(locations.map((loc, index) => (loc.name && localCountries[index]
+        ? null
+        : reverseGeocode(loc.latitude, loc.longitude, signal))));
+    
+    // Fetch current air quality data
+    const points = locations.map(loc => ({ lat: loc.latitude, lon: loc.longitude }));
+    const currentResults = await fetchAirQualityBatch(
+        points, dates.current, null, selectedComparisonMode, signal, staleWhileRevalidate
+    );
+    
+    // Try to fetch historical data, with fallback
+    // Use the current side's local hour so "same hour" and "24h rolling" line up on both sides
+    const historicalResults = await fetchHistoricalAirQualityBatch(
+        points.map((point, index) => ({ ...point, referenceHour: currentResults[index]?.referenceHour ?? null })),
+        dates,
+        signal
+    );
+    
+    return locations.map((loc, index) => {
+        const geocodeResult = geocodeResults[index];
+        return {
+            latitude: loc.latitude,
+            longitude: loc.longitude,
+            locationName: loc.name || (geocodeResult ? geocodeResult.displayName : null),
+            countryInfo: localCountries[index] ||
+                (geocodeResult ? { name: geocodeResult.country, code: geocodeResult.countryCode } : null),
+            currentAQ: currentResults[index],
+            historical: historicalResults[index]
+        };
+    });
+}
+
+// Add a searched location as a side-by-side column and reload the view
+function addComparisonLocation(location) {
+    const isDuplicate = comparisonLocations.some(loc =>
+        loc.latitude.toFixed(4) === location.latitude.toFixed(4) && loc.longitude.toFixed(4) === location.longitude.toFixed(4));
+    if (isDuplicate) {
+        return fetchAndDisplayMulti();
+    }
+    if (comparisonLocations.length >= MAX_COMPARISON_LOCATIONS) {
+        alert(`You can compare up to ${MAX_COMPARISON_LOCATIONS} locations. Remove one first.`);
+        return Promise.resolve();
+    }
+    comparisonLocations.push({ latitude: location.latitude, longitude: location.longitude, name: location.name || null });
+    return fetchAndDisplayMulti();
+}
+
+// Fetch and display every side-by-side location
+async function fetchAndDisplayMulti(dates = getComparisonDates()) {
+    // Cancel whatever the previous view still has queued or in flight
+    if (viewController) {
+        viewController.abort();
+    }
+    viewController = new AbortController();
+    const { signal } = viewController;
+    
+    document.getElementById('loading').style.display = 'none';
+    document.getElementById('error').style.display = 'none';
+    document.getElementById('content').style.display = 'none';
+    document.getElementById('multi-content').style.display = 'block';
+    document.getElementById('headline').textContent = '';
+    const statusEl = document.getElementById('multi-status');
+    const gridEl = document.getElementById('multi-grid');
+    
+    if (comparisonLocations.length === 0) {
+        statusEl.textContent = `Search for up to ${MAX_COMPARISON_LOCATIONS} locations to compare them side by side.`;
+        gridEl.innerHTML = '';
+        return;
+    }
+    
+    const locations = comparisonLocations.slice();
+    lastMultiComparison = null;
+    statusEl.textContent = `Loading ${locations.length} location${locations.length === 1 ? '' : 's'}...`;
+    try {
+        const comparisons = await loadComparisons(locations, dates, signal);
+        
+        // Keep names found by reverse geocoding so the columns keep them on reload
+        locations.forEach((loc, index) => {
+            loc.name = loc.name || comparisons[index].locationName;
+        });
+        
+        const aqiStandard = resolveSharedAqiStandard(comparisons.map(c => c.countryInfo?.code));
+        displayMultiComparison(comparisons, dates, aqiStandard);
+        lastMultiComparison = { comparisons, dates, aqiStandard };
+        statusEl.textContent = '';
+    } catch (error) {
+        if (error.name === 'AbortError') return;
+        console.error('Error:', error);
+        statusEl.textContent = `Error: ${error.message || 'Failed to fetch air quality data'}`;
+    }
+}
+
+// One AQI scale for every column so they can be ranked:
+// the chosen one, the countries' shared default, or US EPA when the countries differ
+function resolveSharedAqiStandard(countryCodes) {
+    if (selectedAqiStandard) return selectedAqiStandard;
+    const defaults = new Set(countryCodes.map(code => getDefaultAqiStandard(code)));
+    return defaults.size === 1 ? [...defaults][0] : 'us-epa';
+}
+
+// Fetch the historical side of the comparison for several points
+// With the default dates, fall back to the same day in FALLBACK_YEAR where HISTORICAL_YEAR has no data;
+// only points without data are re-requested for the fallback year
+// points: [{ lat, lon, referenceHour? }]
+// Returns [{ airQuality, dates }] in the same order as points, with the dates each one actually covers
+async function fetchHistoricalAirQualityBatch(points, dates, signal = null) {
+    const airQuality = await fetchAirQualityBatch(points, dates.historical, null, selectedComparisonMode, signal);
+    const results = airQuality.map(aq => ({ airQuality: aq, dates }));
+    const missing = points
+        .map((point, index) => (hasAirQualityData(airQuality[index]) ? -1 : index))
+        .filter(index => index !== -1);
+    if (missing.length === 0 || !dates.allowFallback) {
+        return results;
+    }
+    
+    const fallbackDates = { ...getDefaultComparisonDates(FALLBACK_YEAR), current: dates.current };
+    console.log(`No data for ${dates.historical.start} at ${missing.length} location(s), trying ${fallbackDates.historical.start}...`);
+    const fallbackAQ = await fetchAirQualityBatch(
+        missing.map(index => points[index]), fallbackDates.historical, null, selectedComparisonMode, signal
+    );
+    fallbackAQ.forEach((aq, i) => {
+        if (hasAirQualityData(aq)) {
+            results[missing[i]] = { airQuality: aq, dates: fallbackDates };
+        }
+    });
+    return results;
+}
+
 // Get user location and fetch air quality data
-async function init() {
+// linkedLocation: location restored from the page URL, shown instead of geolocating
+async function init(linkedLocation = null) {
+    if (linkedLocation) {
+        await fetchAndDisplayAQ(linkedLocation.latitude, linkedLocation.longitude, linkedLocation.name);
+        return;
+    }
     try {
         const position = await getCurrentPosition();
         const { latitude, longitude } = position.coords;
@@ -126,176 +426,476 @@ function getCurrentPosition() {
     });
 }
 
-// Search for location using Nominatim (forward geocoding)
+// Search for a location (forward geocoding) and take the best match
+// "lat, lon" input is used as is, without calling the geocoder
 async function searchLocation(query) {
+    const coordinates = parseCoordinates(query);
+    if (coordinates) {
+        return { ...coordinates, name: null };
+    }
+    
+    let candidates;
     try {
-        const response = await fetch(
-            `https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(query)}&limit=1&addressdetails=1`
-        );
-        const data = await response.json();
-        if (data && data.length > 0) {
-            const result = data[0];
-            const lat = parseFloat(result.lat);
-            const lon = parseFloat(result.lon);
-            const name = result.display_name || query;
-            return { latitude: lat, longitude: lon, name: name };
-        }
+        candidates = await searchLocations(query, 1);
     } catch (error) {
         console.error('Location search failed:', error);
         throw new Error('Failed to search location');
     }
-    throw new Error('Location not found');
+    if (candidates.length === 0) {
+        throw new Error('Location not found');
+    }
+    return candidates[0];
 }
 
-// Infer data source based on location and API response
-function inferDataSource(latitude, longitude, apiResponse) {
-    // Check if API response has any station or source information
-    if (apiResponse && apiResponse.metadata && apiResponse.metadata.station) {
-        return apiResponse.metadata.station;
+// Look up several candidates for a query
+// Tries the chosen geocoder first and falls back to the others if it fails (e.g. when it's blocked)
+// operation is 'suggest' for type-ahead suggestions, which never go to Nominatim
+// Returns [{ latitude, longitude, name, placeName, context }]; context is the region and country,
+// to tell places with the same name apart
+async function searchLocations(query, limit = 5, signal = null, operation = 'search') {
+    let lastError = null;
+    for (const key of getGeocoderChain(operation)) {
+        try {
+            return await GEOCODERS[key].search(query, limit, signal);
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.warn(`${GEOCODERS[key].name} search failed:`, error);
+            lastError = error;
+        }
+    }
+    throw lastError || new Error('No geocoder available');
+}
+
+// Parse "lat, lon" (or "lat lon") decimal coordinates
+// Returns { latitude, longitude } or null if the text isn't a valid coordinate pair
+function parseCoordinates(text) {
+    const match = text.trim().match(/^(-?\d+(?:\.\d+)?)\s*[,\s]\s*(-?\d+(?:\.\d+)?)$/);
+    if (!match) return null;
+    const latitude = parseFloat(match[1]);
+    const longitude = parseFloat(match[2]);
+    if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+    return { latitude, longitude };
+}
+
+// Bundled country boundaries (see countries.js)
+const COUNTRIES = COUNTRY_BOUNDARIES.map(([code, region, bbox, polygons]) => ({ code, region, bbox, polygons }));
+
+// Find the country a point is in using the bundled boundaries, without a network request
+// Points just off a simplified coastline get the country of the nearest bundled city within
+// GAZETTEER_CITY_RADIUS_KM
+// Returns { code, region } or null (e.g. at sea)
+function findCountry(lat, lon) {
+    const country = COUNTRIES.find(c => countryContains(c, lat, lon));
+    if (country) {
+        return { code: country.code, region: country.region };
     }
     
-    // Determine source based on location
-    // Rough geographic boundaries (using more inclusive ranges)
-    // Europe: roughly 35°N to 71°N, 10°W to 40°E
-    const isEurope = latitude >= 35 && latitude <= 71 && longitude >= -10 && longitude <= 40;
-    
-    // US: roughly 24°N to 72°N, 125°W to 66°W (includes Alaska and Hawaii)
-    const isUS = (latitude >= 18 && latitude <= 72 && longitude >= -180 && longitude <= -66) ||
-                 (latitude >= 18 && latitude <= 22 && longitude >= -161 && longitude <= -154); // Hawaii
-    
-    // Canada: roughly 41°N to 84°N, 141°W to 52°W
-    const isCanada = latitude >= 41 && latitude <= 84 && longitude >= -141 && longitude <= -52;
-    
-    // Mexico: roughly 14°N to 33°N, 118°W to 86°W
-    const isMexico = latitude >= 14 && latitude <= 33 && longitude >= -118 && longitude <= -86;
-    
-    if (isEurope) {
-        return 'CAMS European Air Quality Reanalysis';
-    } else if (isUS || isCanada || isMexico) {
-        // For North America, OpenMeteo uses CAMS Global which may incorporate NOAA/Environment Canada data
-        // but we can't get specific station info from the API
-        return 'CAMS Global (may include NOAA/Environment Canada ground stations)';
-    } else {
-        return 'CAMS Global Reanalysis';
+    const nearest = findNearestCity(lat, lon);
+    if (!nearest || nearest.km > GAZETTEER_CITY_RADIUS_KM) {
+        return null;
     }
+    const nearestCountry = COUNTRIES.find(c => c.code === nearest.city.countryCode);
+    return { code: nearest.city.countryCode, region: nearestCountry ? nearestCountry.region : null };
 }
 
-// Reverse geocode to get location name using OpenStreetMap Nominatim
-async function reverseGeocode(lat, lon) {
-    try {
-        const response = await fetch(
-            `https://nominatim.openstreetmap.org/reverse?format=json&lat=${lat}&lon=${lon}&zoom=10&addressdetails=1`
-        );
-        const data = await response.json();
-        if (data.address) {
-            const city = data.address.city || data.address.town || data.address.village || '';
-            const country = data.address.country || '';
-            const countryCode = data.address.country_code?.toUpperCase() || '';
-            if (city && country) {
-                return { 
-                    displayName: `${city}, ${country}`,
-                    city: city,
-                    country: country,
-                    countryCode: countryCode
+// Whether a point lies within a country's boundary
+function countryContains(country, lat, lon) {
+    const [minLon, minLat, maxLon, maxLat] = country.bbox;
+    if (lat < minLat || lat > maxLat || lon < minLon || lon > maxLon) {
+        return false;
+    }
+    return country.polygons.some(rings => pointInPolygon(lat, lon, rings));
+}
+
+// Ray-casting point-in-polygon test; rings are flat [lon, lat, lon, lat, ...] lists
+// Uses the even-odd rule, so points inside a hole count as outside
+function pointInPolygon(lat, lon, rings) {
+    let inside = false;
+    rings.forEach(ring => {
+        for (let i = 0, j = ring.length - 2; i < ring.length; j = i, i += 2) {
+            const lonI = ring[i];
+            const latI = ring[i + 1];
+            const lonJ = ring[j];
+            const latJ = ring[j + 1];
+            if ((latI > lat) !== (latJ > lat) && lon < ((lonJ - lonI) * (lat - latI)) / (latJ - latI) + lonI) {
+                inside = !inside;
+            }
+        }
+    });
+    return inside;
+}
+
+// Nearest city in the bundled dataset as { city, km }
+function findNearestCity(lat, lon) {
+    let nearest = null;
+    CITIES.forEach(city => {
+        const km = distanceKm(lat, lon, city.lat, city.lon);
+        if (!nearest || km < nearest.km) {
+            nearest = { city, km };
+        }
+    });
+    return nearest;
+}
+
+// Reverse geocode to get location name and country
+// Tries the chosen geocoder first and falls back to the others if it fails
+// Returns { displayName, city, country, countryCode } or null if nothing is there
+async function reverseGeocode(lat, lon, signal = null) {
+    for (const key of getGeocoderChain('reverse')) {
+        try {
+            return await GEOCODERS[key].reverse(lat, lon, signal);
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.warn(`${GEOCODERS[key].name} reverse geocoding failed:`, error);
+        }
+    }
+    return null;
+}
+
+// Contact address sent to Nominatim with each request, as its usage policy asks
+// (browsers can't set a custom User-Agent); a deployment must set it to use Nominatim at all,
+// and while it is empty Nominatim is left out of every geocoder chain
+const NOMINATIM_EMAIL = '';
+
+// Gazetteer reverse lookups: the nearest bundled city names the location within this distance
+const GAZETTEER_CITY_RADIUS_KM = 50;
+
+// Geocoding providers
+// search(query, limit, signal) returns candidates as described at searchLocations;
+// reverse(lat, lon, signal) returns a place as described at reverseGeocode (null where the provider has none)
+const GEOCODERS = {
+    'nominatim': {
+        name: 'OpenStreetMap Nominatim',
+        // Nominatim's usage policy forbids building autocomplete on it and anonymous requests
+        autocomplete: false,
+        available: Boolean(NOMINATIM_EMAIL),
+        search: async (query, limit, signal) => {
+            const { data } = await cachedFetchJson(
+                `https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(query)}&limit=${limit}&addressdetails=1` +
+                getNominatimContactParam(),
+                { signal, maxAge: CACHE_TTL_MS.geocode }
+            );
+            if (!Array.isArray(data)) return [];
+            return data.map(result => {
+                const address = result.address || {};
+                const name = result.display_name || query;
+                return {
+                    latitude: parseFloat(result.lat),
+                    longitude: parseFloat(result.lon),
+                    name: name,
+                    placeName: address.city || address.town || address.village || result.name || name.split(',')[0],
+                    context: [address.state || address.county, address.country].filter(Boolean).join(', ')
                 };
-            } else if (country) {
+            });
+        },
+        reverse: async (lat, lon, signal) => {
+            const { data } = await cachedFetchJson(
+                `https://nominatim.openstreetmap.org/reverse?format=json&lat=${lat}&lon=${lon}&zoom=10&addressdetails=1` +
+                getNominatimContactParam(),
+                { signal, maxAge: CACHE_TTL_MS.geocode }
+            );
+            if (!data.address || !data.address.country) return null;
+            const city = data.address.city || data.address.town || data.address.village || '';
+            const country = data.address.country;
+            return {
+                displayName: city ? `${city}, ${country}` : country,
+                city: city,
+                country: country,
+                countryCode: data.address.country_code?.toUpperCase() || ''
+            };
+        }
+    },
+    'open-meteo': {
+        name: 'Open-Meteo geocoding',
+        search: async (query, limit, signal) => {
+            const { data } = await cachedFetchJson(
+                `https://geocoding-api.open-meteo.com/v1/search?name=${encodeURIComponent(query)}&count=${limit}&language=en&format=json`,
+                { signal, maxAge: CACHE_TTL_MS.geocode }
+            );
+            return (data.results || []).map(result => {
+                const context = [result.admin1, result.country].filter(Boolean).join(', ');
                 return {
-                    displayName: country,
-                    city: '',
-                    country: country,
-                    countryCode: countryCode
+                    latitude: result.latitude,
+                    longitude: result.longitude,
+                    name: context ? `${result.name}, ${context}` : result.name,
+                    placeName: result.name,
+                    context: context
                 };
-            }
+            });
+        },
+        // No reverse geocoding endpoint
+        reverse: null
+    },
+    'gazetteer': {
+        name: 'Offline gazetteer',
+        search: async (query, limit) => {
+            // Exact names first, then names starting with the query, larger cities first
+            const normalized = normalizePlaceName(query);
+            return CITIES
+                .map(city => {
+                    const cityName = normalizePlaceName(city.name);
+                    const rank = cityName === normalized ? 0 : cityName.startsWith(normalized) ? 1 : -1;
+                    return { city, rank };
+                })
+                .filter(entry => entry.rank !== -1)
+                .sort((a, b) => a.rank - b.rank || b.city.population - a.city.population)
+                .slice(0, limit)
+                .map(({ city }) => {
+                    const country = getCountryName(city.countryCode);
+                    return {
+                        latitude: city.lat,
+                        longitude: city.lon,
+                        name: `${city.name}, ${country}`,
+                        placeName: city.name,
+                        context: country
+                    };
+                });
+        },
+        reverse: async (lat, lon) => {
+            const found = findCountry(lat, lon);
+            if (!found) return null;
+            const country = getCountryName(found.code);
+            const nearest = findNearestCity(lat, lon);
+            const city = nearest && nearest.km <= GAZETTEER_CITY_RADIUS_KM ? nearest.city.name : '';
+            return {
+                displayName: city ? `${city}, ${country}` : country,
+                city: city,
+                country: country,
+                countryCode: found.code
+            };
         }
+    }
+};
+
+// Geocoder tried first; the others are fallbacks
+let selectedGeocoder = GEOCODERS['nominatim'].available ? 'nominatim' : 'open-meteo';
+
+// Providers to try for an operation ('search', 'suggest' or 'reverse'): the chosen one, then the online
+// ones, with the offline gazetteer last since it always works
+// 'suggest' is a search while typing, so providers that don't allow autocomplete are left out;
+// providers that aren't configured (available: false) are never used
+function getGeocoderChain(operation) {
+    const order = [...new Set([selectedGeocoder, 'nominatim', 'open-meteo', 'gazetteer'])]
+        .filter(key => GEOCODERS[key] && GEOCODERS[key].available !== false);
+    if (operation === 'suggest') {
+        return order.filter(key => GEOCODERS[key].search && GEOCODERS[key].autocomplete !== false);
+    }
+    return order.filter(key => GEOCODERS[key][operation]);
+}
+
+// "&email=…" for Nominatim requests, if a contact address is configured
+function getNominatimContactParam() {
+    return NOMINATIM_EMAIL ? `&email=${encodeURIComponent(NOMINATIM_EMAIL)}` : '';
+}
+
+// Lower-case a place name and strip accents, so "sao paulo" matches "São Paulo"
+function normalizePlaceName(name) {
+    return name.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
+
+// English country name for an ISO 3166-1 alpha-2 code (the code itself if the browser can't name it)
+function getCountryName(countryCode) {
+    try {
+        return new Intl.DisplayNames(['en'], { type: 'region' }).of(countryCode) || countryCode;
     } catch (error) {
-        console.warn('Reverse geocoding failed:', error);
+        return countryCode;
     }
-    return null;
 }
 
-// Get country information from coordinates
-async function getCountryInfo(lat, lon) {
-    const geocodeResult = await reverseGeocode(lat, lon);
-    if (geocodeResult) {
+// Get country information from coordinates, using the bundled boundaries
+// Returns { name, code, region } or null if the point isn't in any country
+function getCountryInfo(lat, lon) {
+    const country = findCountry(lat, lon);
+    if (country) {
         return {
-            name: geocodeResult.country,
-            code: geocodeResult.countryCode
+            name: getCountryName(country.code),
+            code: country.code,
+            region: country.region
         };
     }
     return null;
 }
 
+// Get evenly spaced grid points over a country's bounding box
+// The box comes from the country's cities in the bundled dataset (which leaves out far-flung
+// overseas territories); the grid is refined until enough points lie inside the country's
+// boundary, or near one of its cities for countries without a bundled boundary.
+// Points are weighted by cos(latitude) so a weighted mean is area-weighted
+function getCountryGridLocations(countryCode, sampleSize = nationalSampleSize) {
+    const code = (countryCode || '').toUpperCase();
+    const cities = CITIES.filter(city => city.countryCode === code);
+    if (cities.length === 0) {
+        return null;
+    }
+    const country = COUNTRIES.find(c => c.code === code);
+    
+    const margin = 0.25;
+    const minLat = Math.min(...cities.map(c => c.lat)) - margin;
+    const maxLat = Math.max(...cities.map(c => c.lat)) + margin;
+    const minLon = Math.min(...cities.map(c => c.lon)) - margin;
+    const maxLon = Math.max(...cities.map(c => c.lon)) + margin;
+    
+    // Points grouped by grid row, south to north
+    let rows = [];
+    let pointCount = 0;
+    for (let k = Math.ceil(Math.sqrt(sampleSize)); k <= 12 && pointCount < sampleSize; k++) {
+        rows = [];
+        for (let row = 0; row < k; row++) {
+            const rowPoints = [];
+            for (let col = 0; col < k; col++) {
+                // Cell centres
+                const lat = minLat + ((row + 0.5) / k) * (maxLat - minLat);
+                const lon = minLon + ((col + 0.5) / k) * (maxLon - minLon);
+                const inCountry = country
+                    ? countryContains(country, lat, lon)
+                    : cities.some(city => distanceKm(lat, lon, city.lat, city.lon) <= GRID_MAX_CITY_DISTANCE_KM);
+                if (inCountry) {
+                    rowPoints.push({
+                        lat: Number(lat.toFixed(2)),
+                        lon: Number(lon.toFixed(2)),
+                        name: formatCoordinates(lat, lon),
+                        weight: Math.cos((lat * Math.PI) / 180)
+                    });
+                }
+            }
+            if (rowPoints.length > 0) {
+                rows.push(rowPoints);
+            }
+        }
+        pointCount = rows.reduce((sum, rowPoints) => sum + rowPoints.length, 0);
+    }
+    if (pointCount <= sampleSize) {
+        return rows.flat();
+    }
+    
+    // Thin the grid down to the sample size: share the samples out between the rows in turn,
+    // spreading them across the rows when there are fewer left than rows, then across each row
+    const pickEvenly = (list, count) => Array.from({ length: count }, (_, i) => list[Math.floor(((i + 0.5) * list.length) / count)]);
+    const quotas = rows.map(() => 0);
+    let remaining = sampleSize;
+    while (remaining > 0) {
+        const open = rows.map((_, index) => index).filter(index => quotas[index] < rows[index].length);
+        pickEvenly(open, Math.min(remaining, open.length)).forEach(index => {
+            quotas[index]++;
+            remaining--;
+        });
+    }
+    return rows.flatMap((rowPoints, index) => pickEvenly(rowPoints, quotas[index]));
+}
+
 // Get national average by sampling multiple locations across the country
 // This is an approximation since OpenMeteo doesn't provide country-level averages
-async function getNationalAverage(countryInfo, historicalYear = HISTORICAL_YEAR) {
+// aqiStandard: AQI scale for the averaged index, so it matches the location's values
+// method: how samples are combined (see NATIONAL_AGGREGATIONS)
+// samplingMode: 'cities' for bundled cities, 'grid' for a grid over the country's bounding box
+// signal: optional AbortSignal to cancel the sample requests
+async function getNationalAverage(countryInfo, dates = getComparisonDates(), aqiStandard = 'us-epa',
+    method = nationalAggregation, samplingMode = nationalSamplingMode, signal = null) {
     if (!countryInfo || !countryInfo.name) {
         return null;
     }
     
-    // Sample locations: major cities or geographic centers
-    // For now, we'll use a simplified approach: sample a few representative locations
-    // Note: This is a rough approximation. For better accuracy, you'd want more samples
-    const sampleLocations = getCountrySampleLocations(countryInfo.name, countryInfo.code);
+    // Sample locations: cities picked from the bundled dataset by population and spread,
+    // or evenly spaced grid points
+    // Note: This is a rough approximation. Larger samples are slower but more representative
+    const sampleLocations = samplingMode === 'grid'
+        ? getCountryGridLocations(countryInfo.code)
+        : getCountrySampleLocations(countryInfo.code);
     
     if (!sampleLocations || sampleLocations.length === 0) {
         return null;
     }
     
-    // Fetch both current and historical data
-    const currentSamples = [];
-    const historicalSamples = [];
+    // Fetch current data for every sample in one batch, then historical data for every sample
+    // at its own local reference hour; each sample keeps its location so it can be weighted
+    const currentResults = await fetchAirQualityBatch(sampleLocations, dates.current, null, selectedComparisonMode, signal);
+    const historicalResults = await fetchHistoricalAirQualityBatch(
+        sampleLocations.map((loc, index) => ({ ...loc, referenceHour: currentResults[index]?.referenceHour ?? null })),
+        dates,
+        signal
+    );
+    const results = sampleLocations.map((loc, index) => (currentResults[index]
+        ? { location: loc, currentAQ: currentResults[index], historicalAQ: historicalResults[index].airQuality }
+        : null));
     
-    for (const loc of sampleLocations.slice(0, 5)) { // Limit to 5 samples for performance
-        try {
-            // Fetch current data
-            const currentAQ = await fetchAirQuality(loc.lat, loc.lon, 'current');
-            if (currentAQ && (currentAQ.us_aqi || currentAQ.european_aqi || currentAQ.pm25 !== null)) {
-                currentSamples.push(currentAQ);
-            }
-            
-            // Fetch historical data
-            let historicalAQ = await fetchAirQuality(loc.lat, loc.lon, 'historical', historicalYear);
-            // If no data for primary year, try fallback
-            if (!historicalAQ || Object.values(historicalAQ).filter((v, k) => k !== 'dataSource').every(v => v === null)) {
-                historicalAQ = await fetchAirQuality(loc.lat, loc.lon, 'historical', FALLBACK_YEAR);
-            }
-            if (historicalAQ && (historicalAQ.us_aqi || historicalAQ.european_aqi || historicalAQ.pm25 !== null)) {
-                historicalSamples.push(historicalAQ);
-            }
-        } catch (error) {
-            console.warn(`Failed to fetch data for sample location ${loc.lat}, ${loc.lon}:`, error);
-        }
-    }
+    const fetched = results.filter(result => result !== null);
+    const currentSamples = fetched
+        .filter(r => r.currentAQ && (r.currentAQ.us_aqi || r.currentAQ.european_aqi || r.currentAQ.pm25 !== null))
+        .map(r => ({ location: r.location, airQuality: r.currentAQ }));
+    const historicalSamples = fetched
+        .filter(r => r.historicalAQ && (r.historicalAQ.us_aqi || r.historicalAQ.european_aqi || r.historicalAQ.pm25 !== null))
+        .map(r => ({ location: r.location, airQuality: r.historicalAQ }));
     
-    // Calculate averages for current
-    const currentAvg = currentSamples.length > 0 ? {
-        pm25: average(currentSamples.map(s => s.pm25).filter(v => v !== null)),
-        pm10: average(currentSamples.map(s => s.pm10).filter(v => v !== null)),
-        carbon_monoxide: average(currentSamples.map(s => s.carbon_monoxide).filter(v => v !== null)),
-        nitrogen_dioxide: average(currentSamples.map(s => s.nitrogen_dioxide).filter(v => v !== null)),
-        ozone: average(currentSamples.map(s => s.ozone).filter(v => v !== null)),
-        sulphur_dioxide: average(currentSamples.map(s => s.sulphur_dioxide).filter(v => v !== null)),
-        us_aqi: average(currentSamples.map(s => s.us_aqi).filter(v => v !== null)),
-        european_aqi: average(currentSamples.map(s => s.european_aqi).filter(v => v !== null)),
-        dataSource: currentSamples[0]?.dataSource || 'Unknown'
-    } : null;
+    return {
+        current: aggregateSamples(currentSamples, aqiStandard, method),
+        historical: aggregateSamples(historicalSamples, aqiStandard, method),
+        sampleCities: fetched.map(r => r.location),
+        method,
+        samplingMode
+    };
+}
+
+// Combine samples into one national figure per field, plus the spread of the sample values
+// Returns null if there are no samples
+function aggregateSamples(samples, aqiStandard, method) {
+    if (samples.length === 0) return null;
     
-    // Calculate averages for historical
-    const historicalAvg = historicalSamples.length > 0 ? {
-        pm25: average(historicalSamples.map(s => s.pm25).filter(v => v !== null)),
-        pm10: average(historicalSamples.map(s => s.pm10).filter(v => v !== null)),
-        carbon_monoxide: average(historicalSamples.map(s => s.carbon_monoxide).filter(v => v !== null)),
-        nitrogen_dioxide: average(historicalSamples.map(s => s.nitrogen_dioxide).filter(v => v !== null)),
-        ozone: average(historicalSamples.map(s => s.ozone).filter(v => v !== null)),
-        sulphur_dioxide: average(historicalSamples.map(s => s.sulphur_dioxide).filter(v => v !== null)),
-        us_aqi: average(historicalSamples.map(s => s.us_aqi).filter(v => v !== null)),
-        european_aqi: average(historicalSamples.map(s => s.european_aqi).filter(v => v !== null)),
-        dataSource: historicalSamples[0]?.dataSource || 'Unknown'
-    } : null;
+    const result = {
+        spread: {},
+        dataSource: samples[0].airQuality.dataSource || 'Unknown'
+    };
+    const getters = { aqi: sample => getAqiValue(sample.airQuality, aqiStandard) };
+    Object.keys(AIR_QUALITY_FIELDS).forEach(key => {
+        getters[key] = sample => sample.airQuality[key];
+    });
     
+    Object.entries(getters).forEach(([key, getValue]) => {
+        const points = samples
+            .map(sample => ({ value: getValue(sample), weight: sample.location.weight ?? sample.location.population ?? 1 }))
+            .filter(point => point.value !== null && point.value !== undefined && !isNaN(point.value));
+        result[key] = aggregateValues(points, method);
+        result.spread[key] = summarizeSpread(points.map(point => point.value));
+    });
+    return result;
+}
+
+// Aggregate { value, weight } points with the given method
+function aggregateValues(points, method) {
+    if (points.length === 0) return null;
+    const values = points.map(point => point.value);
+    if (method === 'weighted-mean') {
+        const totalWeight = points.reduce((sum, point) => sum + point.weight, 0);
+        if (totalWeight > 0) {
+            return points.reduce((sum, point) => sum + point.value * point.weight, 0) / totalWeight;
+        }
+        return average(values);
+    }
+    if (method === 'median') return percentile(values, 50);
+    if (NATIONAL_AGGREGATIONS[method]?.percentile) {
+        return percentile(values, NATIONAL_AGGREGATIONS[method].percentile);
+    }
+    return average(values);
+}
+
+// Percentile (0-100) with linear interpolation between the closest ranks
+function percentile(values, p) {
+    if (!values || values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const rank = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+// Min, max and interquartile range of a set of sample values
+function summarizeSpread(values) {
+    if (!values || values.length === 0) return null;
     return {
-        current: currentAvg,
-        historical: historicalAvg
+        min: Math.min(...values),
+        max: Math.max(...values),
+        q1: percentile(values, 25),
+        q3: percentile(values, 75),
+        count: values.length
     };
 }
 
@@ -306,521 +906,1089 @@ function average(values) {
     return sum / values.length;
 }
 
-// Get sample locations for a country (simplified - using major cities)
-function getCountrySampleLocations(countryName, countryCode) {
-    // Comprehensive mapping of countries with sample cities for national average calculation
-    const countrySamples = {
-        // North America
-        'United States': [
-            { lat: 40.7128, lon: -74.0060, name: 'New York' },
-            { lat: 34.0522, lon: -118.2437, name: 'Los Angeles' },
-            { lat: 41.8781, lon: -87.6298, name: 'Chicago' },
-            { lat: 29.7604, lon: -95.3698, name: 'Houston' },
-            { lat: 38.9072, lon: -77.0369, name: 'Washington DC' }
-        ],
-        'Canada': [
-            { lat: 43.6532, lon: -79.3832, name: 'Toronto' },
-            { lat: 45.5017, lon: -73.5673, name: 'Montreal' },
-            { lat: 49.2827, lon: -123.1207, name: 'Vancouver' },
-            { lat: 51.0447, lon: -114.0719, name: 'Calgary' },
-            { lat: 45.4247, lon: -75.6950, name: 'Ottawa' }
-        ],
-        'Mexico': [
-            { lat: 19.4326, lon: -99.1332, name: 'Mexico City' },
-            { lat: 20.6597, lon: -103.3496, name: 'Guadalajara' },
-            { lat: 25.6866, lon: -100.3161, name: 'Monterrey' },
-            { lat: 19.0414, lon: -98.2063, name: 'Puebla' },
-            { lat: 21.1619, lon: -86.8515, name: 'Cancún' }
-        ],
-        // Europe
-        'United Kingdom': [
-            { lat: 51.5074, lon: -0.1278, name: 'London' },
-            { lat: 53.4808, lon: -2.2426, name: 'Manchester' },
-            { lat: 55.9533, lon: -3.1883, name: 'Edinburgh' },
-            { lat: 52.4862, lon: -1.8904, name: 'Birmingham' },
-            { lat: 53.8008, lon: -1.5491, name: 'Leeds' }
-        ],
-        'Germany': [
-            { lat: 52.5200, lon: 13.4050, name: 'Berlin' },
-            { lat: 48.1351, lon: 11.5820, name: 'Munich' },
-            { lat: 50.9375, lon: 6.9603, name: 'Cologne' },
-            { lat: 53.5511, lon: 9.9937, name: 'Hamburg' },
-            { lat: 51.2277, lon: 6.7735, name: 'Düsseldorf' }
-        ],
-        'France': [
-            { lat: 48.8566, lon: 2.3522, name: 'Paris' },
-            { lat: 45.7640, lon: 4.8357, name: 'Lyon' },
-            { lat: 43.2965, lon: 5.3698, name: 'Marseille' },
-            { lat: 44.8378, lon: -0.5792, name: 'Bordeaux' },
-            { lat: 43.7102, lon: 7.2620, name: 'Nice' }
-        ],
-        'Italy': [
-            { lat: 41.9028, lon: 12.4964, name: 'Rome' },
-            { lat: 45.4642, lon: 9.1900, name: 'Milan' },
-            { lat: 40.8518, lon: 14.2681, name: 'Naples' },
-            { lat: 45.0703, lon: 7.6869, name: 'Turin' },
-            { lat: 43.7696, lon: 11.2558, name: 'Florence' }
-        ],
-        'Spain': [
-            { lat: 40.4168, lon: -3.7038, name: 'Madrid' },
-            { lat: 41.3851, lon: 2.1734, name: 'Barcelona' },
-            { lat: 37.3891, lon: -5.9845, name: 'Seville' },
-            { lat: 39.4699, lon: -0.3763, name: 'Valencia' },
-            { lat: 43.2627, lon: -2.9253, name: 'Bilbao' }
-        ],
-        'Netherlands': [
-            { lat: 52.3676, lon: 4.9041, name: 'Amsterdam' },
-            { lat: 51.9225, lon: 4.4772, name: 'Rotterdam' },
-            { lat: 52.0907, lon: 5.1214, name: 'Utrecht' },
-            { lat: 52.3792, lon: 4.9003, name: 'The Hague' },
-            { lat: 51.4416, lon: 5.4697, name: 'Eindhoven' }
-        ],
-        'Belgium': [
-            { lat: 50.8503, lon: 4.3517, name: 'Brussels' },
-            { lat: 51.2194, lon: 4.4025, name: 'Antwerp' },
-            { lat: 51.0543, lon: 3.7174, name: 'Ghent' },
-            { lat: 50.6403, lon: 5.5714, name: 'Liège' },
-            { lat: 50.8503, lon: 4.3488, name: 'Bruges' }
-        ],
-        'Switzerland': [
-            { lat: 47.3769, lon: 8.5417, name: 'Zurich' },
-            { lat: 46.2044, lon: 6.1432, name: 'Geneva' },
-            { lat: 46.5197, lon: 6.6323, name: 'Lausanne' },
-            { lat: 47.5596, lon: 7.5886, name: 'Basel' },
-            { lat: 46.9481, lon: 7.4474, name: 'Bern' }
-        ],
-        'Austria': [
-            { lat: 48.2082, lon: 16.3738, name: 'Vienna' },
-            { lat: 47.0707, lon: 15.4395, name: 'Graz' },
-            { lat: 47.2692, lon: 11.4041, name: 'Innsbruck' },
-            { lat: 47.8095, lon: 13.0550, name: 'Salzburg' },
-            { lat: 48.3069, lon: 14.2858, name: 'Linz' }
-        ],
-        'Poland': [
-            { lat: 52.2297, lon: 21.0122, name: 'Warsaw' },
-            { lat: 50.0647, lon: 19.9450, name: 'Kraków' },
-            { lat: 51.1079, lon: 17.0385, name: 'Wrocław' },
-            { lat: 54.3520, lon: 18.6466, name: 'Gdańsk' },
-            { lat: 51.2465, lon: 22.5684, name: 'Lublin' }
-        ],
-        'Sweden': [
-            { lat: 59.3293, lon: 18.0686, name: 'Stockholm' },
-            { lat: 57.7089, lon: 11.9746, name: 'Gothenburg' },
-            { lat: 55.6059, lon: 13.0007, name: 'Malmö' },
-            { lat: 59.8586, lon: 17.6389, name: 'Uppsala' },
-            { lat: 63.8258, lon: 20.2630, name: 'Umeå' }
-        ],
-        'Norway': [
-            { lat: 59.9139, lon: 10.7522, name: 'Oslo' },
-            { lat: 60.3913, lon: 5.3221, name: 'Bergen' },
-            { lat: 63.4305, lon: 10.3951, name: 'Trondheim' },
-            { lat: 58.9700, lon: 5.7331, name: 'Stavanger' },
-            { lat: 69.6492, lon: 18.9553, name: 'Tromsø' }
-        ],
-        'Denmark': [
-            { lat: 55.6761, lon: 12.5683, name: 'Copenhagen' },
-            { lat: 56.1567, lon: 10.2039, name: 'Aarhus' },
-            { lat: 55.4038, lon: 10.4024, name: 'Odense' },
-            { lat: 55.4703, lon: 9.5350, name: 'Aalborg' },
-            { lat: 55.4857, lon: 8.4520, name: 'Esbjerg' }
-        ],
-        'Finland': [
-            { lat: 60.1699, lon: 24.9384, name: 'Helsinki' },
-            { lat: 61.4981, lon: 23.7610, name: 'Tampere' },
-            { lat: 60.4518, lon: 22.2666, name: 'Turku' },
-            { lat: 65.0121, lon: 25.4651, name: 'Oulu' },
-            { lat: 62.2415, lon: 25.7209, name: 'Jyväskylä' }
-        ],
-        'Portugal': [
-            { lat: 38.7223, lon: -9.1393, name: 'Lisbon' },
-            { lat: 41.1579, lon: -8.6291, name: 'Porto' },
-            { lat: 38.5667, lon: -7.9000, name: 'Évora' },
-            { lat: 40.6405, lon: -8.6538, name: 'Aveiro' },
-            { lat: 37.0194, lon: -7.9322, name: 'Faro' }
-        ],
-        'Greece': [
-            { lat: 37.9838, lon: 23.7275, name: 'Athens' },
-            { lat: 40.6401, lon: 22.9444, name: 'Thessaloniki' },
-            { lat: 35.3080, lon: 25.0775, name: 'Heraklion' },
-            { lat: 38.2466, lon: 21.7346, name: 'Patras' },
-            { lat: 37.9334, lon: 23.9434, name: 'Piraeus' }
-        ],
-        'Russia': [
-            { lat: 55.7558, lon: 37.6173, name: 'Moscow' },
-            { lat: 59.9343, lon: 30.3351, name: 'Saint Petersburg' },
-            { lat: 56.3269, lon: 44.0075, name: 'Nizhny Novgorod' },
-            { lat: 55.0084, lon: 82.9357, name: 'Novosibirsk' },
-            { lat: 56.8431, lon: 60.6454, name: 'Yekaterinburg' }
-        ],
-        'Turkey': [
-            { lat: 41.0082, lon: 28.9784, name: 'Istanbul' },
-            { lat: 39.9334, lon: 32.8597, name: 'Ankara' },
-            { lat: 38.4237, lon: 27.1428, name: 'Izmir' },
-            { lat: 36.8969, lon: 30.7133, name: 'Antalya' },
-            { lat: 37.0662, lon: 37.3833, name: 'Gaziantep' }
-        ],
-        // Asia
-        'China': [
-            { lat: 39.9042, lon: 116.4074, name: 'Beijing' },
-            { lat: 31.2304, lon: 121.4737, name: 'Shanghai' },
-            { lat: 23.1291, lon: 113.2644, name: 'Guangzhou' },
-            { lat: 30.5728, lon: 104.0668, name: 'Chengdu' },
-            { lat: 34.3416, lon: 108.9398, name: 'Xi\'an' }
-        ],
-        'India': [
-            { lat: 28.6139, lon: 77.2090, name: 'New Delhi' },
-            { lat: 19.0760, lon: 72.8777, name: 'Mumbai' },
-            { lat: 13.0827, lon: 80.2707, name: 'Chennai' },
-            { lat: 12.9716, lon: 77.5946, name: 'Bangalore' },
-            { lat: 22.5726, lon: 88.3639, name: 'Kolkata' }
-        ],
-        'Japan': [
-            { lat: 35.6762, lon: 139.6503, name: 'Tokyo' },
-            { lat: 34.6937, lon: 135.5023, name: 'Osaka' },
-            { lat: 35.0116, lon: 135.7681, name: 'Kyoto' },
-            { lat: 35.1815, lon: 136.9066, name: 'Nagoya' },
-            { lat: 43.0642, lon: 141.3469, name: 'Sapporo' }
-        ],
-        'South Korea': [
-            { lat: 37.5665, lon: 126.9780, name: 'Seoul' },
-            { lat: 35.1796, lon: 129.0756, name: 'Busan' },
-            { lat: 35.5384, lon: 129.3114, name: 'Ulsan' },
-            { lat: 37.4563, lon: 126.7052, name: 'Incheon' },
-            { lat: 35.8714, lon: 128.6014, name: 'Daegu' }
-        ],
-        'Indonesia': [
-            { lat: -6.2088, lon: 106.8456, name: 'Jakarta' },
-            { lat: -6.9175, lon: 107.6191, name: 'Bandung' },
-            { lat: -7.2575, lon: 112.7521, name: 'Surabaya' },
-            { lat: -6.2000, lon: 106.8167, name: 'Medan' },
-            { lat: -5.1477, lon: 119.4327, name: 'Makassar' }
-        ],
-        'Thailand': [
-            { lat: 13.7563, lon: 100.5018, name: 'Bangkok' },
-            { lat: 18.7883, lon: 98.9853, name: 'Chiang Mai' },
-            { lat: 7.8804, lon: 98.3923, name: 'Phuket' },
-            { lat: 12.9236, lon: 100.8825, name: 'Pattaya' },
-            { lat: 13.4125, lon: 103.8670, name: 'Hua Hin' }
-        ],
-        'Vietnam': [
-            { lat: 10.8231, lon: 106.6297, name: 'Ho Chi Minh City' },
-            { lat: 21.0285, lon: 105.8542, name: 'Hanoi' },
-            { lat: 16.0544, lon: 108.2022, name: 'Da Nang' },
-            { lat: 10.0452, lon: 105.7469, name: 'Can Tho' },
-            { lat: 20.8449, lon: 106.6881, name: 'Hai Phong' }
-        ],
-        'Philippines': [
-            { lat: 14.5995, lon: 120.9842, name: 'Manila' },
-            { lat: 10.3157, lon: 123.8854, name: 'Cebu' },
-            { lat: 7.1907, lon: 125.4553, name: 'Davao' },
-            { lat: 14.5547, lon: 121.0244, name: 'Quezon City' },
-            { lat: 16.4023, lon: 120.5960, name: 'Baguio' }
-        ],
-        'Malaysia': [
-            { lat: 3.1390, lon: 101.6869, name: 'Kuala Lumpur' },
-            { lat: 5.9804, lon: 116.0735, name: 'Kota Kinabalu' },
-            { lat: 1.4927, lon: 103.7414, name: 'Johor Bahru' },
-            { lat: 4.2105, lon: 101.9758, name: 'Ipoh' },
-            { lat: 5.4164, lon: 100.3327, name: 'George Town' }
-        ],
-        'Singapore': [
-            { lat: 1.3521, lon: 103.8198, name: 'Singapore' }
-        ],
-        'Taiwan': [
-            { lat: 25.0330, lon: 121.5654, name: 'Taipei' },
-            { lat: 22.6273, lon: 120.3014, name: 'Kaohsiung' },
-            { lat: 24.1477, lon: 120.6736, name: 'Taichung' },
-            { lat: 24.8036, lon: 120.9686, name: 'Hsinchu' },
-            { lat: 23.9739, lon: 121.6014, name: 'Hualien' }
-        ],
-        'Pakistan': [
-            { lat: 24.8607, lon: 67.0011, name: 'Karachi' },
-            { lat: 31.5497, lon: 74.3436, name: 'Lahore' },
-            { lat: 33.6844, lon: 73.0479, name: 'Islamabad' },
-            { lat: 31.4504, lon: 73.1350, name: 'Faisalabad' },
-            { lat: 34.0151, lon: 71.5249, name: 'Peshawar' }
-        ],
-        'Bangladesh': [
-            { lat: 23.8103, lon: 90.4125, name: 'Dhaka' },
-            { lat: 22.3569, lon: 91.7832, name: 'Chittagong' },
-            { lat: 24.3745, lon: 88.6042, name: 'Rajshahi' },
-            { lat: 23.1707, lon: 89.2093, name: 'Khulna' },
-            { lat: 24.7471, lon: 90.4203, name: 'Sylhet' }
-        ],
-        'Saudi Arabia': [
-            { lat: 24.7136, lon: 46.6753, name: 'Riyadh' },
-            { lat: 21.4858, lon: 39.1925, name: 'Jeddah' },
-            { lat: 26.4207, lon: 50.0888, name: 'Dammam' },
-            { lat: 24.4672, lon: 39.6142, name: 'Medina' },
-            { lat: 21.3891, lon: 39.8579, name: 'Mecca' }
-        ],
-        'United Arab Emirates': [
-            { lat: 25.2048, lon: 55.2708, name: 'Dubai' },
-            { lat: 24.4539, lon: 54.3773, name: 'Abu Dhabi' },
-            { lat: 25.3573, lon: 55.4033, name: 'Sharjah' },
-            { lat: 25.0657, lon: 55.1713, name: 'Ajman' },
-            { lat: 25.7889, lon: 55.9590, name: 'Ras Al Khaimah' }
-        ],
-        'Israel': [
-            { lat: 31.7683, lon: 35.2137, name: 'Jerusalem' },
-            { lat: 32.0853, lon: 34.7818, name: 'Tel Aviv' },
-            { lat: 32.7940, lon: 34.9896, name: 'Haifa' },
-            { lat: 31.2622, lon: 34.8018, name: 'Beersheba' },
-            { lat: 32.0809, lon: 34.7806, name: 'Rishon LeZion' }
-        ],
-        // Oceania
-        'Australia': [
-            { lat: -33.8688, lon: 151.2093, name: 'Sydney' },
-            { lat: -37.8136, lon: 144.9631, name: 'Melbourne' },
-            { lat: -27.4698, lon: 153.0251, name: 'Brisbane' },
-            { lat: -31.9505, lon: 115.8605, name: 'Perth' },
-            { lat: -34.9285, lon: 138.6007, name: 'Adelaide' }
-        ],
-        'New Zealand': [
-            { lat: -36.8485, lon: 174.7633, name: 'Auckland' },
-            { lat: -41.2865, lon: 174.7762, name: 'Wellington' },
-            { lat: -43.5321, lon: 172.6362, name: 'Christchurch' },
-            { lat: -45.8741, lon: 170.5036, name: 'Dunedin' },
-            { lat: -37.7870, lon: 175.2793, name: 'Hamilton' }
-        ],
-        // South America
-        'Brazil': [
-            { lat: -23.5505, lon: -46.6333, name: 'São Paulo' },
-            { lat: -22.9068, lon: -43.1729, name: 'Rio de Janeiro' },
-            { lat: -15.7942, lon: -47.8822, name: 'Brasília' },
-            { lat: -12.9714, lon: -38.5014, name: 'Salvador' },
-            { lat: -19.9167, lon: -43.9345, name: 'Belo Horizonte' }
-        ],
-        'Argentina': [
-            { lat: -34.6037, lon: -58.3816, name: 'Buenos Aires' },
-            { lat: -31.4201, lon: -64.1888, name: 'Córdoba' },
-            { lat: -32.9442, lon: -60.6505, name: 'Rosario' },
-            { lat: -24.7859, lon: -65.4117, name: 'Salta' },
-            { lat: -26.8083, lon: -65.2176, name: 'Tucumán' }
-        ],
-        'Chile': [
-            { lat: -33.4489, lon: -70.6693, name: 'Santiago' },
-            { lat: -36.8201, lon: -73.0444, name: 'Concepción' },
-            { lat: -23.5505, lon: -70.4000, name: 'Antofagasta' },
-            { lat: -33.0472, lon: -71.6127, name: 'Valparaíso' },
-            { lat: -36.6067, lon: -72.1034, name: 'Talcahuano' }
-        ],
-        'Colombia': [
-            { lat: 4.7110, lon: -74.0721, name: 'Bogotá' },
-            { lat: 6.2476, lon: -75.5658, name: 'Medellín' },
-            { lat: 3.4516, lon: -76.5320, name: 'Cali' },
-            { lat: 10.9639, lon: -74.7964, name: 'Barranquilla' },
-            { lat: 4.6097, lon: -74.0817, name: 'Cartagena' }
-        ],
-        'Peru': [
-            { lat: -12.0464, lon: -77.0428, name: 'Lima' },
-            { lat: -16.4090, lon: -71.5375, name: 'Arequipa' },
-            { lat: -13.1631, lon: -74.2246, name: 'Ayacucho' },
-            { lat: -8.1116, lon: -79.0288, name: 'Trujillo' },
-            { lat: -6.8699, lon: -79.1306, name: 'Chiclayo' }
-        ],
-        'Venezuela': [
-            { lat: 10.4806, lon: -66.9036, name: 'Caracas' },
-            { lat: 10.1621, lon: -68.0077, name: 'Valencia' },
-            { lat: 8.3533, lon: -62.6410, name: 'Ciudad Guayana' },
-            { lat: 10.6316, lon: -71.6406, name: 'Maracaibo' },
-            { lat: 10.3050, lon: -67.6042, name: 'Maracay' }
-        ],
-        // Africa
-        'South Africa': [
-            { lat: -26.2041, lon: 28.0473, name: 'Johannesburg' },
-            { lat: -33.9249, lon: 18.4241, name: 'Cape Town' },
-            { lat: -29.8587, lon: 31.0218, name: 'Durban' },
-            { lat: -25.7479, lon: 28.2293, name: 'Pretoria' },
-            { lat: -26.1076, lon: 28.0567, name: 'Soweto' }
-        ],
-        'Egypt': [
-            { lat: 30.0444, lon: 31.2357, name: 'Cairo' },
-            { lat: 31.2001, lon: 29.9187, name: 'Alexandria' },
-            { lat: 26.8206, lon: 30.8025, name: 'Asyut' },
-            { lat: 30.5852, lon: 31.5013, name: 'Zagazig' },
-            { lat: 31.0409, lon: 31.3785, name: 'Tanta' }
-        ],
-        'Nigeria': [
-            { lat: 6.5244, lon: 3.3792, name: 'Lagos' },
-            { lat: 9.0765, lon: 7.3986, name: 'Abuja' },
-            { lat: 6.4541, lon: 3.3947, name: 'Ibadan' },
-            { lat: 4.8156, lon: 7.0498, name: 'Port Harcourt' },
-            { lat: 10.5105, lon: 7.4165, name: 'Kano' }
-        ],
-        'Kenya': [
-            { lat: -1.2921, lon: 36.8219, name: 'Nairobi' },
-            { lat: -0.3031, lon: 36.0800, name: 'Nakuru' },
-            { lat: -4.0435, lon: 39.6682, name: 'Mombasa' },
-            { lat: 0.5167, lon: 35.2833, name: 'Eldoret' },
-            { lat: -1.0333, lon: 37.0694, name: 'Thika' }
-        ],
-        'Morocco': [
-            { lat: 33.5731, lon: -7.5898, name: 'Casablanca' },
-            { lat: 34.0209, lon: -6.8416, name: 'Rabat' },
-            { lat: 31.6295, lon: -7.9811, name: 'Marrakech' },
-            { lat: 33.8869, lon: -5.5400, name: 'Fez' },
-            { lat: 35.7596, lon: -5.8340, name: 'Tangier' }
-        ],
-        // Middle East
-        'Iran': [
-            { lat: 35.6892, lon: 51.3890, name: 'Tehran' },
-            { lat: 32.6546, lon: 51.6680, name: 'Isfahan' },
-            { lat: 29.5926, lon: 52.5836, name: 'Shiraz' },
-            { lat: 36.1911, lon: 44.0092, name: 'Erbil' },
-            { lat: 35.7000, lon: 51.4167, name: 'Mashhad' }
-        ],
-        'Iraq': [
-            { lat: 33.3152, lon: 44.3661, name: 'Baghdad' },
-            { lat: 36.1911, lon: 44.0092, name: 'Erbil' },
-            { lat: 31.0456, lon: 46.2667, name: 'Basra' },
-            { lat: 36.3378, lon: 43.1181, name: 'Mosul' },
-            { lat: 33.2232, lon: 43.6793, name: 'Fallujah' }
-        ],
-        // Additional countries
-        'Ukraine': [
-            { lat: 50.4501, lon: 30.5234, name: 'Kyiv' },
-            { lat: 49.9935, lon: 36.2304, name: 'Kharkiv' },
-            { lat: 46.4825, lon: 30.7233, name: 'Odesa' },
-            { lat: 48.4647, lon: 35.0462, name: 'Dnipro' },
-            { lat: 49.8397, lon: 24.0297, name: 'Lviv' }
-        ],
-        'Czech Republic': [
-            { lat: 50.0755, lon: 14.4378, name: 'Prague' },
-            { lat: 49.1951, lon: 16.6068, name: 'Brno' },
-            { lat: 49.7475, lon: 13.3776, name: 'Plzeň' },
-            { lat: 49.8206, lon: 18.2625, name: 'Ostrava' },
-            { lat: 50.7663, lon: 15.0543, name: 'Liberec' }
-        ],
-        'Romania': [
-            { lat: 44.4268, lon: 26.1025, name: 'Bucharest' },
-            { lat: 46.7712, lon: 23.6236, name: 'Cluj-Napoca' },
-            { lat: 45.7489, lon: 21.2087, name: 'Timișoara' },
-            { lat: 47.1585, lon: 27.6014, name: 'Iași' },
-            { lat: 44.3302, lon: 23.7949, name: 'Craiova' }
-        ],
-        'Hungary': [
-            { lat: 47.4979, lon: 19.0402, name: 'Budapest' },
-            { lat: 47.5316, lon: 21.6273, name: 'Debrecen' },
-            { lat: 46.2530, lon: 20.1414, name: 'Szeged' },
-            { lat: 47.6875, lon: 16.5904, name: 'Győr' },
-            { lat: 46.9067, lon: 19.6897, name: 'Kecskemét' }
-        ],
-        'Ireland': [
-            { lat: 53.3498, lon: -6.2603, name: 'Dublin' },
-            { lat: 51.8985, lon: -8.4756, name: 'Cork' },
-            { lat: 53.2707, lon: -9.0568, name: 'Galway' },
-            { lat: 52.2680, lon: -9.6969, name: 'Limerick' },
-            { lat: 53.4129, lon: -8.2439, name: 'Waterford' }
-        ]
-    };
+// Bundled cities (see cities.js) as objects
+const CITIES = CITY_DATA.map(([name, lat, lon, countryCode, population]) => ({
+    name, lat, lon, countryCode, population
+}));
+
+// Number of locations sampled for a national average
+let nationalSampleSize = 5;
+
+// Ways of combining the samples into a national figure
+// label is used on the cards, e.g. "France Median"
+const NATIONAL_AGGREGATIONS = {
+    'mean': { name: 'Mean', label: 'Avg' },
+    'weighted-mean': { name: 'Weighted mean', label: 'Weighted Avg' },
+    'median': { name: 'Median', label: 'Median' },
+    'p25': { name: '25th percentile', label: 'P25', percentile: 25 },
+    'p75': { name: '75th percentile', label: 'P75', percentile: 75 },
+    'p90': { name: '90th percentile', label: 'P90', percentile: 90 }
+};
+let nationalAggregation = 'mean';
+
+// 'cities' samples bundled cities; 'grid' samples evenly spaced points over the country
+let nationalSamplingMode = 'cities';
+
+// For countries without a bundled boundary, grid points further than this from any of the
+// country's cities are dropped, which keeps most of them off the sea and out of neighbouring countries
+const GRID_MAX_CITY_DISTANCE_KM = 250;
+
+// Format coordinates as e.g. "45.2°N, 3.1°E"
+function formatCoordinates(lat, lon) {
+    return `${Math.abs(lat).toFixed(1)}°${lat >= 0 ? 'N' : 'S'}, ${Math.abs(lon).toFixed(1)}°${lon >= 0 ? 'E' : 'W'}`;
+}
+
+// Great-circle distance in km (haversine)
+function distanceKm(lat1, lon1, lat2, lon2) {
+    const toRadians = degrees => (degrees * Math.PI) / 180;
+    const dLat = toRadians(lat2 - lat1);
+    const dLon = toRadians(lon2 - lon1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+    return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// Get sample locations for a country from the bundled city dataset
+// Starts with the largest city, then repeatedly adds the city with the best mix of
+// population and distance from the cities already picked, so samples are both
+// population-weighted and spread across the country rather than one metro area
+function getCountrySampleLocations(countryCode, sampleSize = nationalSampleSize) {
+    const code = (countryCode || '').toUpperCase();
+    const candidates = CITIES.filter(city => city.countryCode === code);
+    if (candidates.length === 0) {
+        return null;
+    }
     
-    // Try country name first, then country code, then common variations
-    // Also handle some common country name variations
-    const countryNameVariations = {
-        'USA': 'United States',
-        'US': 'United States',
-        'UK': 'United Kingdom',
-        'UAE': 'United Arab Emirates',
-        'Czechia': 'Czech Republic',
-        'South Korea': 'South Korea',
-        'Korea': 'South Korea',
-        'Republic of Korea': 'South Korea'
-    };
+    const remaining = [...candidates].sort((a, b) => b.population - a.population);
+    const samples = [remaining.shift()];
+    while (samples.length < sampleSize && remaining.length > 0) {
+        let bestIndex = 0;
+        let bestScore = -1;
+        remaining.forEach((city, index) => {
+            const nearest = Math.min(...samples.map(s => distanceKm(s.lat, s.lon, city.lat, city.lon)));
+            const score = city.population * Math.sqrt(nearest);
+            if (score > bestScore) {
+                bestScore = score;
+                bestIndex = index;
+            }
+        });
+        samples.push(remaining.splice(bestIndex, 1)[0]);
+    }
+    return samples;
+}
+
+// Request scheduler: every network call goes through scheduledFetch, which caps how many
+// requests run at once, spaces out requests per host, retries on 429/5xx with backoff and
+// supports cancellation through an AbortSignal
+const REQUEST_CONCURRENCY = 6;
+
+// Minimum gap between requests to the same host (ms)
+// Nominatim's usage policy allows at most 1 request per second
+const HOST_MIN_INTERVAL_MS = {
+    'nominatim.openstreetmap.org': 1000,
+    'air-quality-api.open-meteo.com': 100
+};
+
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 500;
+
+const requestQueue = [];
+let activeRequests = 0;
+const nextHostSlot = {};
+let pumpTimer = null;
+
+// Controller for the comparison currently loading; aborted when another one starts
+let viewController = null;
+
+// Error thrown for cancelled requests (same name fetch uses, so callers check one thing)
+function createAbortError() {
+    return new DOMException('Request cancelled', 'AbortError');
+}
+
+// Queue a fetch; resolves with the Response once it has run
+// options.signal cancels the request whether it is still queued or already running
+function scheduledFetch(url, options = {}) {
+    return new Promise((resolve, reject) => {
+        const signal = options.signal || null;
+        requestQueue.push({ url, signal, resolve, reject, attempt: 0, notBefore: 0 });
+        // A cancelled request may be waiting for its host: drop it straight away
+        signal?.addEventListener('abort', pumpRequestQueue, { once: true });
+        pumpRequestQueue();
+    });
+}
+
+// Start queued requests while there is spare concurrency
+// Requests waiting for their host's rate limit or a retry delay stay queued, so they don't hold a slot
+function pumpRequestQueue() {
+    const now = Date.now();
+    let nextReady = Infinity;
+    for (let i = 0; i < requestQueue.length && activeRequests < REQUEST_CONCURRENCY;) {
+        const task = requestQueue[i];
+        if (task.signal?.aborted) {
+            requestQueue.splice(i, 1);
+            task.reject(createAbortError());
+            continue;
+        }
+        const host = new URL(task.url).hostname;
+        const readyAt = Math.max(task.notBefore, nextHostSlot[host] || 0);
+        if (readyAt > now) {
+            nextReady = Math.min(nextReady, readyAt);
+            i++;
+            continue;
+        }
+        requestQueue.splice(i, 1);
+        nextHostSlot[host] = now + (HOST_MIN_INTERVAL_MS[host] || 0);
+        activeRequests++;
+        runScheduledRequest(task).finally(() => {
+            activeRequests--;
+            pumpRequestQueue();
+        });
+    }
     
-    const normalizedName = countryNameVariations[countryName] || countryName;
-    
-    return countrySamples[normalizedName] || 
-           countrySamples[countryName] || 
-           countrySamples[countryCode] || 
-           null;
-}
-
-// Fetch air quality data from OpenMeteo
-// mode: 'current' for today's data, 'historical' for past year
-async function fetchAirQuality(latitude, longitude, mode = 'current', historicalYear = 2013) {
-    let url;
-    
-    if (mode === 'historical') {
-        // Format date as YYYY-MM-DD for historical query
-        // Use the same month and day as today, but from the historical year
-        const today = new Date();
-        const histMonth = today.getMonth() + 1;
-        const histDay = today.getDate();
-        const historicalDate = `${historicalYear}-${String(histMonth).padStart(2, '0')}-${String(histDay).padStart(2, '0')}`;
-        url = `https://air-quality-api.open-meteo.com/v1/air-quality?` +
-            `latitude=${latitude}&longitude=${longitude}&` +
-            `start_date=${historicalDate}&end_date=${historicalDate}&` +
-            `hourly=pm10,pm2_5,carbon_monoxide,nitrogen_dioxide,ozone,sulphur_dioxide,european_aqi,us_aqi&` +
-            `timezone=auto`;
-    } else {
-        // Current data
-        url = `https://air-quality-api.open-meteo.com/v1/air-quality?` +
-            `latitude=${latitude}&longitude=${longitude}&` +
-            `current=pm10,pm2_5,carbon_monoxide,nitrogen_dioxide,ozone,sulphur_dioxide,european_aqi,us_aqi&` +
-            `hourly=pm10,pm2_5,carbon_monoxide,nitrogen_dioxide,ozone,sulphur_dioxide,european_aqi,us_aqi&` +
-            `timezone=auto`;
+    // Come back when the first waiting request may run
+    clearTimeout(pumpTimer);
+    pumpTimer = nextReady === Infinity ? null : setTimeout(pumpRequestQueue, nextReady - now);
+}
+
+// Make one attempt at a queued request; failures worth retrying go back on the queue after a delay
+async function runScheduledRequest(task) {
+    let response = null;
+    try {
+        response = await fetch(task.url, { signal: task.signal });
+    } catch (error) {
+        // Network failures are retried; cancellations are not
+        if (error.name === 'AbortError' || task.attempt >= MAX_RETRIES) {
+            task.reject(error);
+            return;
+        }
+        console.warn(`Request failed, retrying (${task.attempt + 1}/${MAX_RETRIES}):`, task.url, error);
+    }
+    
+    if (response) {
+        const retryable = response.status === 429 || response.status >= 500;
+        if (!retryable || task.attempt >= MAX_RETRIES) {
+            task.resolve(response);
+            return;
+        }
+        console.warn(`Request returned ${response.status}, retrying (${task.attempt + 1}/${MAX_RETRIES}):`, task.url);
+    }
+    
+    // Honour Retry-After (seconds) if the server sent one, otherwise back off exponentially with jitter
+    const retryAfter = parseFloat(response?.headers?.get('Retry-After'));
+    const delay = !isNaN(retryAfter)
+        ? retryAfter * 1000
+        : RETRY_BASE_DELAY_MS * 2 ** task.attempt + Math.random() * RETRY_BASE_DELAY_MS;
+    // Back at the front, so a retry keeps its place ahead of later requests
+    requestQueue.unshift({ ...task, attempt: task.attempt + 1, notBefore: Date.now() + delay });
+}
+
+// Response cache: JSON responses are kept in IndexedDB, keyed by the normalized request URL
+// Past air quality never changes, so it is kept indefinitely; current data and geocodes expire quickly
+const CACHE_DB_NAME = 'aqi-historical-record';
+const CACHE_STORE = 'responses';
+const CACHE_TTL_MS = {
+    current: 10 * 60 * 1000,
+    geocode: 60 * 60 * 1000,
+    historical: Infinity
+};
+
+// Ranges ending at least this many days ago count as historical (the last few days can still be revised)
+const SETTLED_DATA_DAYS = 7;
+
+let cacheDbPromise = null;
+
+// Open (or create) the cache database; resolves with null where IndexedDB isn't available
+function openCacheDb() {
+    if (!cacheDbPromise) {
+        cacheDbPromise = new Promise(resolve => {
+            if (typeof indexedDB === 'undefined') {
+                resolve(null);
+                return;
+            }
+            const request = indexedDB.open(CACHE_DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(CACHE_STORE, { keyPath: 'key' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('Response cache unavailable:', request.error);
+                resolve(null);
+            };
+        });
+    }
+    return cacheDbPromise;
+}
+
+// Run one request against the cache store and resolve with its result (null without IndexedDB)
+async function withCacheStore(mode, operation) {
+    const db = await openCacheDb();
+    if (!db) return null;
+    return new Promise((resolve, reject) => {
+        const request = operation(db.transaction(CACHE_STORE, mode).objectStore(CACHE_STORE));
+        request.onsuccess = () => resolve(request.result ?? null);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Cache key for a URL: parameters sorted, coordinates rounded to 4 decimals (about 11 m)
+function getCacheKey(url) {
+    const parsed = new URL(url);
+    const params = [...parsed.searchParams.entries()]
+        .map(([name, value]) => (['latitude', 'longitude', 'lat', 'lon'].includes(name)
+            ? [name, value.split(',').map(coord => Number(parseFloat(coord).toFixed(4))).join(',')]
+            : [name, value]))
+        .sort(([a], [b]) => a.localeCompare(b));
+    return `${parsed.origin}${parsed.pathname}?${new URLSearchParams(params)}`;
+}
+
+// Fetch JSON through the cache
+// maxAge: how long a cached response stays fresh (ms)
+// staleWhileRevalidate: return an expired response straight away and refresh it in the background
+// Returns { data, cacheStatus, revalidation }: cacheStatus is 'network', 'hit' or 'stale';
+// revalidation resolves to true once a stale response has been refreshed
+async function cachedFetchJson(url, { signal = null, maxAge = CACHE_TTL_MS.current, staleWhileRevalidate = false } = {}) {
+    const key = getCacheKey(url);
+    let entry = null;
+    try {
+        entry = await withCacheStore('readonly', store => store.get(key));
+    } catch (error) {
+        console.warn('Cache read failed:', error);
+    }
+    
+    if (entry && Date.now() - entry.storedAt < maxAge) {
+        return { data: entry.data, cacheStatus: 'hit', revalidation: null };
+    }
+    if (entry && staleWhileRevalidate) {
+        const revalidation = fetchAndCacheJson(url, key, signal).then(() => true, error => {
+            if (error.name !== 'AbortError') {
+                console.warn('Cache revalidation failed:', error);
+            }
+            return false;
+        });
+        return { data: entry.data, cacheStatus: 'stale', revalidation };
     }
     
-    const response = await fetch(url);
+    const data = await fetchAndCacheJson(url, key, signal);
+    return { data, cacheStatus: 'network', revalidation: null };
+}
+
+// Fetch JSON from the network and store it under key
+async function fetchAndCacheJson(url, key, signal) {
+    const response = await scheduledFetch(url, { signal });
     if (!response.ok) {
         throw new Error(`API request failed: ${response.status}`);
     }
-    
     const data = await response.json();
+    try {
+        await withCacheStore('readwrite', store => store.put({ key, data, storedAt: Date.now() }));
+    } catch (error) {
+        console.warn('Cache write failed:', error);
+    }
+    return data;
+}
+
+// Remove every cached response
+async function clearResponseCache() {
+    await withCacheStore('readwrite', store => store.clear());
+}
+
+// Whether a range is far enough in the past that its data won't change any more
+function isSettledRange(range) {
+    return range.end <= addDays(toISODate(new Date()), -SETTLED_DATA_DAYS);
+}
+
+// OpenMeteo air quality models; each request names its model (domain) explicitly, so both
+// sides of a comparison always come from the same one
+// archiveStart: earliest date the OpenMeteo archive has for the model; coverage: the locations it is used for
+const AIR_QUALITY_DOMAINS = {
+    'cams_europe': {
+        model: 'CAMS European Air Quality Forecast and Reanalysis',
+        resolution: '0.1° (about 11 km)',
+        archiveStart: '2013-01-01',
+        coverage: 'European locations'
+    },
+    'cams_global': {
+        model: 'CAMS Global Atmospheric Composition Forecast',
+        resolution: '0.4° (about 45 km)',
+        archiveStart: '2022-08-01',
+        coverage: 'other locations'
+    }
+};
+
+// Area covered by the CAMS European model
+const CAMS_EUROPE_DOMAIN = { minLat: 30, maxLat: 72, minLon: -25, maxLon: 45 };
+
+// Model used for a location: the finer European one inside its area, the global one elsewhere
+function getAirQualityDomain(latitude, longitude) {
+    const inEurope = latitude >= CAMS_EUROPE_DOMAIN.minLat && latitude <= CAMS_EUROPE_DOMAIN.maxLat &&
+        longitude >= CAMS_EUROPE_DOMAIN.minLon && longitude <= CAMS_EUROPE_DOMAIN.maxLon;
+    return inEurope ? 'cams_europe' : 'cams_global';
+}
+
+// Earliest date with data for a location, or for any location when no coordinates are given
+function getArchiveStart(latitude = null, longitude = null) {
+    if (latitude === null || longitude === null) {
+        return Object.values(AIR_QUALITY_DOMAINS).map(info => info.archiveStart).sort()[0];
+    }
+    return AIR_QUALITY_DOMAINS[getAirQualityDomain(latitude, longitude)].archiveStart;
+}
+
+// Fetch air quality data from OpenMeteo for one location
+// range: { start, end } as YYYY-MM-DD local dates; a range reaching today also gets live "current" values
+// referenceHour: local hour (0-23) used by 'same-hour' and 'rolling-24h'; defaults to the location's current hour
+// comparisonMode: how the range's hourly values are reduced to one value (see COMPARISON_MODES)
+// signal: optional AbortSignal to cancel the request
+// staleWhileRevalidate: accept an expired cached copy and refresh it in the background (see cachedFetchJson)
+async function fetchAirQuality(latitude, longitude, range, referenceHour = null, comparisonMode = selectedComparisonMode,
+    signal = null, staleWhileRevalidate = false) {
+    const [result] = await fetchAirQualityBatch(
+        [{ lat: latitude, lon: longitude }], range, referenceHour, comparisonMode, signal, staleWhileRevalidate
+    );
+    if (!result) {
+        throw new Error('No air quality data available');
+    }
+    return result;
+}
+
+// Most locations per OpenMeteo request (keeps the URL to a sensible length)
+const AIR_QUALITY_BATCH_SIZE = 50;
+
+// Fetch air quality data for several locations, using OpenMeteo's comma-separated coordinate lists
+// points: [{ lat, lon, referenceHour? }]; a point's own referenceHour overrides the shared one
+// Returns one parsed result per point, in the same order; a point whose range reaches today
+// but has no data at all gets null, as do the points of a request that failed
+// (unless every request failed, which throws that error)
+// Each result carries cacheStatus and, for a stale cached copy, a revalidation promise
+async function fetchAirQualityBatch(points, range, referenceHour = null, comparisonMode = selectedComparisonMode,
+    signal = null, staleWhileRevalidate = false) {
+    const maxAge = isSettledRange(range) ? CACHE_TTL_MS.historical : CACHE_TTL_MS.current;
+    
+    // A request names a single model, so points are grouped by domain before being split into chunks
+    const groups = {};
+    points.forEach((point, index) => {
+        const domain = getAirQualityDomain(point.lat, point.lon);
+        groups[domain] = groups[domain] || [];
+        groups[domain].push(index);
+    });
+    const chunks = [];
+    Object.entries(groups).forEach(([domain, indices]) => {
+        for (let i = 0; i < indices.length; i += AIR_QUALITY_BATCH_SIZE) {
+            chunks.push({ domain, indices: indices.slice(i, i + AIR_QUALITY_BATCH_SIZE) });
+        }
+    });
+    
+    const results = new Array(points.length).fill(null);
+    const errors = [];
+    await Promise.all(chunks.map(async ({ domain, indices }) => {
+        const chunk = indices.map(index => points[index]);
+        let response;
+        try {
+            response = await cachedFetchJson(
+                buildAirQualityUrl(chunk, range, domain), { signal, maxAge, staleWhileRevalidate }
+            );
+        } catch (error) {
+            // Cancellations end the whole batch; other failures only blank this chunk's points
+            if (error.name === 'AbortError') throw error;
+            console.warn(`Air quality request failed for ${chunk.length} location(s) (${domain}):`, error);
+            errors.push(error);
+            return;
+        }
+        const { data, cacheStatus, revalidation } = response;
+        
+        // A single location comes back as an object, several as an array in request order
+        const responses = Array.isArray(data) ? data : [data];
+        
+        // Debug: log the response structure
+        console.log(`API Response (${range.start} to ${range.end}, ${chunk.length} location(s)):`, data);
+        
+        chunk.forEach((point, index) => {
+            const result = parseAirQualityResponse(
+                responses[index],
+                point.lat,
+                point.lon,
+                range,
+                point.referenceHour ?? referenceHour,
+                comparisonMode,
+                domain
+            );
+            if (result) {
+                result.cacheStatus = cacheStatus;
+                result.revalidation = revalidation;
+            }
+            results[indices[index]] = result;
+        });
+    }));
+    
+    if (errors.length === chunks.length && errors.length > 0) {
+        throw errors[0];
+    }
+    return results;
+}
+
+// Build the OpenMeteo request URL for a list of points, a date range and a model (see AIR_QUALITY_DOMAINS)
+function buildAirQualityUrl(points, range, domain) {
+    const variables = getDomainVariables(domain).join(',');
+    const includesToday = rangeIncludesToday(range);
+    
+    // The day before the range is included so a 24h rolling window can reach back past midnight
+    // Ranges reaching today get a day's margin after them, since the location may be ahead of the browser's timezone
+    const startDate = addDays(range.start, -1);
+    const endDate = includesToday ? addDays(range.end, 1) : range.end;
+    return `https://air-quality-api.open-meteo.com/v1/air-quality?` +
+        `latitude=${points.map(point => point.lat).join(',')}&` +
+        `longitude=${points.map(point => point.lon).join(',')}&` +
+        (includesToday ? `current=${variables}&` : '') +
+        `hourly=${variables}&` +
+        `start_date=${startDate}&end_date=${endDate}&` +
+        `domains=${domain}&` +
+        `timezone=auto`;
+}
+
+// OpenMeteo variables to request from a model: metrics limited to other models are left out
+function getDomainVariables(domain) {
+    return Object.entries(AIR_QUALITY_FIELDS)
+        .filter(([key]) => {
+            const domains = getMetric(key)?.domains;
+            return !domains || domains.includes(domain);
+        })
+        .map(([, field]) => field);
+}
+
+// Reduce one location's OpenMeteo response to a value per metric for the range
+// domain: the model the request asked for
+// Returns null if a range reaching today has no data at all
+function parseAirQualityResponse(data, latitude, longitude, range, referenceHour, comparisonMode, domain) {
+    const includesToday = rangeIncludesToday(range);
     
-    // Debug: log the response structure
-    console.log(`API Response (${mode}):`, data);
+    // Where the values come from: the model that was asked for and the grid cell it answered with
+    const provenance = getProvenance(data, domain, latitude, longitude);
+    const dataSource = provenance.model;
     
-    // Extract data source information if available
-    // OpenMeteo doesn't provide specific station info, but we can infer the source
-    const dataSource = inferDataSource(latitude, longitude, data);
-    console.log(`Inferred data source for ${latitude}, ${longitude}:`, dataSource);
+    // Local time at the location (hourly times are local because of timezone=auto)
+    const localNow = getLocalHourStamp(data);
+    if (referenceHour === null || referenceHour === undefined) {
+        referenceHour = parseInt(localNow.slice(11, 13), 10);
+    }
     
     // Check if we have either current or hourly data
     if ((!data.current || Object.keys(data.current).length === 0) && 
         (!data.hourly || !data.hourly.time || data.hourly.time.length === 0)) {
-        if (mode === 'historical') {
+        if (!includesToday) {
             // For historical, return null values instead of throwing
-            console.warn(`No historical data available for ${historicalYear}`);
-            const dataSource = inferDataSource(latitude, longitude, data);
-            return {
-                pm25: null, pm10: null, carbon_monoxide: null,
-                nitrogen_dioxide: null, ozone: null, sulphur_dioxide: null,
-                european_aqi: null, us_aqi: null,
-                dataSource: dataSource
-            };
+            console.warn(`No historical data available for ${range.start} to ${range.end}`);
+            const result = {};
+            Object.keys(AIR_QUALITY_FIELDS).forEach(key => {
+                result[key] = null;
+            });
+            result.comparisonMode = comparisonMode;
+            result.referenceHour = referenceHour;
+            result.hourly = null;
+            result.dataSource = dataSource;
+            result.provenance = provenance;
+            return result;
         }
-        throw new Error('No air quality data available');
-    }
-    
-    // For historical data, get the first (and likely only) hour's data
-    // For current data, prefer current values, otherwise use latest hourly
-    let latestIndex = 0;
-    if (data.hourly && data.hourly.time && data.hourly.time.length > 0) {
-        latestIndex = mode === 'historical' ? 0 : data.hourly.time.length - 1;
+        console.warn(`No air quality data available for ${latitude}, ${longitude}`);
+        return null;
     }
     
-    // Prefer current values if available, otherwise use hourly
-    const result = {
-        pm25: data.current?.pm2_5 ?? data.hourly?.pm2_5?.[latestIndex] ?? null,
-        pm10: data.current?.pm10 ?? data.hourly?.pm10?.[latestIndex] ?? null,
-        carbon_monoxide: data.current?.carbon_monoxide ?? data.hourly?.carbon_monoxide?.[latestIndex] ?? null,
-        nitrogen_dioxide: data.current?.nitrogen_dioxide ?? data.hourly?.nitrogen_dioxide?.[latestIndex] ?? null,
-        ozone: data.current?.ozone ?? data.hourly?.ozone?.[latestIndex] ?? null,
-        sulphur_dioxide: data.current?.sulphur_dioxide ?? data.hourly?.sulphur_dioxide?.[latestIndex] ?? null,
-        european_aqi: data.current?.european_aqi ?? data.hourly?.european_aqi?.[latestIndex] ?? null,
-        us_aqi: data.current?.us_aqi ?? data.hourly?.us_aqi?.[latestIndex] ?? null
+    // Pick the hours that make up the comparison window
+    // For ranges reaching today, the window ends at the location's local today rather than the browser's
+    const lastDate = includesToday ? localNow.slice(0, 10) : range.end;
+    const hourWindow = {
+        start: range.start < lastDate ? range.start : lastDate,
+        end: lastDate,
+        lastDate
     };
+    const times = data.hourly?.time || [];
+    const indices = selectHourIndices(times, hourWindow, referenceHour, comparisonMode);
     
-    console.log(`Parsed air quality data (${mode}):`, result);
+    // For "same hour" on a single day reaching today, prefer the live current values
+    const useCurrent = includesToday && comparisonMode === 'same-hour' && hourWindow.start === hourWindow.end;
+    const result = {};
+    Object.entries(AIR_QUALITY_FIELDS).forEach(([key, field]) => {
+        const currentValue = useCurrent ? data.current?.[field] : null;
+        result[key] = currentValue ?? reduceHourly(data.hourly?.[field], indices, comparisonMode);
+    });
+    
+    console.log(`Parsed air quality data (${range.start} to ${range.end}, ${comparisonMode}):`, result);
+    
+    result.comparisonMode = comparisonMode;
+    result.referenceHour = referenceHour;
+    
+    // Keep the hourly series for the dates in the range (without the padding days) for the charts
+    result.hourly = extractHourlySeries(data.hourly, hourWindow);
+    result.localTime = localNow;
     
-    // Include data source in result (infer it here since we have lat/lon)
-    result.dataSource = inferDataSource(latitude, longitude, data);
+    // Today and the day before, for 24h means that end at the current hour (see computeExceedance)
+    result.trailingHourly = includesToday
+        ? extractHourlySeries(data.hourly, { start: addDays(lastDate, -1), end: lastDate })
+        : null;
+    
+    // Include data source in result
+    result.dataSource = dataSource;
+    result.provenance = provenance;
     
     return result;
 }
 
+// Provenance of one location's response: the model queried and what the API reported back
+// OpenMeteo answers with the centre of the grid cell it used, which can be a few km from the request
+function getProvenance(apiResponse, domain, latitude, longitude) {
+    const info = AIR_QUALITY_DOMAINS[domain];
+    return {
+        domain,
+        model: info.model,
+        resolution: info.resolution,
+        requestedLatitude: latitude,
+        requestedLongitude: longitude,
+        gridLatitude: apiResponse?.latitude ?? null,
+        gridLongitude: apiResponse?.longitude ?? null,
+        elevation: apiResponse?.elevation ?? null,
+        timezone: apiResponse?.timezone || 'GMT',
+        timezoneAbbreviation: apiResponse?.timezone_abbreviation || '',
+        utcOffsetSeconds: apiResponse?.utc_offset_seconds || 0,
+        generationTimeMs: apiResponse?.generationtime_ms ?? null
+    };
+}
+
+// Current local time at the location as "YYYY-MM-DDTHH:00"
+// OpenMeteo reports the location's UTC offset when timezone=auto is used
+function getLocalHourStamp(apiResponse) {
+    const offsetMs = (apiResponse?.utc_offset_seconds || 0) * 1000;
+    return `${new Date(Date.now() + offsetMs).toISOString().slice(0, 13)}:00`;
+}
+
+// Get the hourly indices that make up the comparison window
+// times are local "YYYY-MM-DDTHH:00" strings from the API response
+// hourWindow: { start, end, lastDate } local dates; lastDate anchors the 24h rolling window
+function selectHourIndices(times, hourWindow, referenceHour, comparisonMode) {
+    const hour = `T${String(referenceHour).padStart(2, '0')}:00`;
+    const inWindow = time => time.slice(0, 10) >= hourWindow.start && time.slice(0, 10) <= hourWindow.end;
+    const matching = predicate => times
+        .map((time, index) => (predicate(time) ? index : -1))
+        .filter(index => index !== -1);
+    
+    if (comparisonMode === 'daily-mean' || comparisonMode === 'daily-max') {
+        // Every hour of every day in the window (today's later hours come from the forecast)
+        return matching(inWindow);
+    }
+    if (comparisonMode === 'rolling-24h') {
+        // The 24 hours ending at the reference hour on the last day
+        const referenceIndex = times.indexOf(`${hourWindow.lastDate}${hour}`);
+        if (referenceIndex === -1) return [];
+        const indices = [];
+        for (let i = Math.max(0, referenceIndex - 23); i <= referenceIndex; i++) {
+            indices.push(i);
+        }
+        return indices;
+    }
+    // Same hour on each day of the window
+    return matching(time => inWindow(time) && time.endsWith(hour));
+}
+
+// Hourly values for the dates in the window, keyed like the parsed result
+// Returns { time: [...], pm25: [...], ... }
+function extractHourlySeries(hourly, hourWindow) {
+    if (!hourly || !hourly.time) return null;
+    const indices = hourly.time
+        .map((time, index) => (time.slice(0, 10) >= hourWindow.start && time.slice(0, 10) <= hourWindow.end ? index : -1))
+        .filter(index => index !== -1);
+    const series = { time: indices.map(index => hourly.time[index]) };
+    Object.entries(AIR_QUALITY_FIELDS).forEach(([key, field]) => {
+        series[key] = indices.map(index => hourly[field]?.[index] ?? null);
+    });
+    return series;
+}
+
+// Reduce the selected hourly values to a single value
+// Max for 'daily-max', mean otherwise (a multi-day 'same-hour' window averages that hour across days)
+// Missing hours are skipped; returns null if none of the hours have data
+function reduceHourly(values, indices, comparisonMode) {
+    if (!values) return null;
+    const selected = indices
+        .map(index => values[index])
+        .filter(value => value !== null && value !== undefined);
+    if (selected.length === 0) return null;
+    if (comparisonMode === 'daily-max') {
+        return Math.max(...selected);
+    }
+    return average(selected);
+}
+
+// Check whether a parsed result has at least one air quality value
+function hasAirQualityData(airQuality) {
+    if (!airQuality) return false;
+    return Object.keys(AIR_QUALITY_FIELDS).some(key => airQuality[key] !== null && airQuality[key] !== undefined);
+}
+
+// Molecular weights (g/mol) for converting gas concentrations between μg/m³ and ppb
+// Uses the molar volume of an ideal gas at 25 °C and 1 atm (24.45 L/mol)
+const MOLECULAR_WEIGHTS = {
+    carbon_monoxide: 28.01,
+    nitrogen_dioxide: 46.01,
+    ozone: 48.00,
+    sulphur_dioxide: 64.07,
+    ammonia: 17.03
+};
+const MOLAR_VOLUME = 24.45;
+
+// Convert a gas concentration from μg/m³ to ppb (ppm = ppb / 1000)
+function ugm3ToPpb(pollutantKey, value) {
+    return (value * MOLAR_VOLUME) / MOLECULAR_WEIGHTS[pollutantKey];
+}
+
+// Convert a μg/m³ concentration to 'μg/m³', 'mg/m³', 'ppb' or 'ppm'
+function convertConcentration(pollutantKey, concentration, unit) {
+    if (unit === 'ppb') return ugm3ToPpb(pollutantKey, concentration);
+    if (unit === 'ppm') return ugm3ToPpb(pollutantKey, concentration) / 1000;
+    if (unit === 'mg/m³') return concentration / 1000;
+    return concentration;
+}
+
+// Display units: 'ugm3' shows every pollutant in μg/m³; 'ppb' shows the gases in their gasUnit from METRICS
+// (the mixing-ratio units US thresholds use). Particulates always stay in μg/m³
+const UNITS_STORAGE_KEY = 'aqi-units';
+let selectedUnits = loadUnitsPreference();
+
+// Read the saved unit choice
+function loadUnitsPreference() {
+    try {
+        return localStorage.getItem(UNITS_STORAGE_KEY) === 'ppb' ? 'ppb' : 'ugm3';
+    } catch (error) {
+        return 'ugm3';
+    }
+}
+
+// Remember the unit choice for later visits
+function saveUnitsPreference(units) {
+    try {
+        localStorage.setItem(UNITS_STORAGE_KEY, units);
+    } catch (error) {
+        console.warn('Failed to save unit preference:', error);
+    }
+}
+
+// Unit a metric is shown in
+function getDisplayUnit(metricKey) {
+    const metric = getMetric(metricKey);
+    if (!metric) return 'μg/m³';
+    return selectedUnits === 'ppb' && metric.gasUnit ? metric.gasUnit : metric.unit;
+}
+
+// Decimal places a metric is shown with (ppm values are small)
+function getDisplayDecimals(metricKey) {
+    return getDisplayUnit(metricKey) === 'ppm' ? 2 : getMetric(metricKey)?.precision ?? 0;
+}
+
+// Convert a μg/m³ concentration to its display unit, rounded to the precision it's shown at
+// Returns null for missing values
+function displayConcentration(pollutantKey, value) {
+    if (value === null || value === undefined || isNaN(value)) return null;
+    const converted = convertConcentration(pollutantKey, value, getDisplayUnit(pollutantKey));
+    return Number(converted.toFixed(getDisplayDecimals(pollutantKey)));
+}
+
+// A metric's value in the unit it is shown in, rounded to its display precision; null when missing
+// The overall index is computed on the given AQI standard
+function getMetricValue(metric, airQuality, aqiStandard) {
+    if (!airQuality) return null;
+    const value = metric.field ? airQuality[metric.key] : getAqiValue(airQuality, aqiStandard);
+    return displayConcentration(metric.key, value);
+}
+
+// Metrics the user has switched off (result keys); their cards, charts and rows are hidden
+const HIDDEN_METRICS_STORAGE_KEY = 'aqi-hidden-metrics';
+let hiddenMetrics = loadHiddenMetrics();
+
+// Read the saved metric toggles
+function loadHiddenMetrics() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(HIDDEN_METRICS_STORAGE_KEY) || '[]');
+        return new Set(Array.isArray(stored) ? stored.filter(key => getMetric(key)) : []);
+    } catch (error) {
+        return new Set();
+    }
+}
+
+// Remember the metric toggles for later visits
+function saveHiddenMetrics() {
+    try {
+        localStorage.setItem(HIDDEN_METRICS_STORAGE_KEY, JSON.stringify([...hiddenMetrics]));
+    } catch (error) {
+        console.warn('Failed to save metric toggles:', error);
+    }
+}
+
+// The given metrics, without the ones the user has switched off
+function getVisibleMetrics(metrics = METRICS) {
+    return metrics.filter(metric => !hiddenMetrics.has(metric.key));
+}
+
+// Show the display unit in every element marked with a pollutant's data-unit attribute
+function updateUnitLabels() {
+    document.querySelectorAll('[data-unit]').forEach(el => {
+        el.textContent = getDisplayUnit(el.dataset.unit);
+    });
+}
+
+// AQI standards: the API field holding the overall index (null if it is computed locally),
+// the category bands of that index, and per-pollutant concentration breakpoints for sub-indices
+// Breakpoints are piecewise linear: concentrations[i] maps to indices[i] (in the table's unit);
+// past the last breakpoint the index stops there if it already reaches the open-ended top category,
+// and otherwise carries on along the last segment so that category can still be reached
+// Sub-indices are applied to whatever value the comparison mode produced, not to each
+// pollutant's official averaging period, so treat them as indicative
+const AQI_STANDARDS = {
+    'us-epa': {
+        name: 'US EPA AQI',
+        field: 'us_aqi',
+        categories: [
+            { max: 50, label: 'Good', color: '#00e400',
+                advice: 'Air quality is satisfactory and poses little or no risk.' },
+            { max: 100, label: 'Moderate', color: '#ffff00',
+                advice: 'Unusually sensitive people should consider reducing prolonged or heavy exertion outdoors.' },
+            { max: 150, label: 'Unhealthy for Sensitive Groups', color: '#ff7e00',
+                advice: 'People with heart or lung disease, older adults, children and teens should reduce prolonged or heavy exertion outdoors.' },
+            { max: 200, label: 'Unhealthy', color: '#ff0000',
+                advice: 'Everyone should reduce prolonged or heavy exertion outdoors; sensitive groups should avoid it.' },
+            { max: 300, label: 'Very Unhealthy', color: '#8f3f97',
+                advice: 'Everyone should avoid prolonged or heavy exertion outdoors; sensitive groups should stay indoors and keep activity levels low.' },
+            { max: Infinity, label: 'Hazardous', color: '#7e0023',
+                advice: 'Everyone should avoid all physical activity outdoors.' }
+        ],
+        // 2024 PM2.5 revision; O₃ uses the 8-hour table
+        breakpoints: {
+            pm25: { unit: 'μg/m³', concentrations: [0, 9.0, 35.4, 55.4, 125.4, 225.4, 325.4], indices: [0, 50, 100, 150, 200, 300, 500] },
+            pm10: { unit: 'μg/m³', concentrations: [0, 54, 154, 254, 354, 424, 604], indices: [0, 50, 100, 150, 200, 300, 500] },
+            carbon_monoxide: { unit: 'ppm', concentrations: [0, 4.4, 9.4, 12.4, 15.4, 30.4, 50.4], indices: [0, 50, 100, 150, 200, 300, 500] },
+            nitrogen_dioxide: { unit: 'ppb', concentrations: [0, 53, 100, 360, 649, 1249, 2049], indices: [0, 50, 100, 150, 200, 300, 500] },
+            ozone: { unit: 'ppb', concentrations: [0, 54, 70, 85, 105, 200], indices: [0, 50, 100, 150, 200, 300] },
+            sulphur_dioxide: { unit: 'ppb', concentrations: [0, 35, 75, 185, 304, 604, 1004], indices: [0, 50, 100, 150, 200, 300, 500] }
+        }
+    },
+    'eu-eaqi': {
+        name: 'European AQI',
+        field: 'european_aqi',
+        // OpenMeteo's 0-100+ scale: each EEA band spans 20 points
+        categories: [
+            { max: 20, label: 'Good', color: '#50f0e6',
+                advice: 'The air quality is good. Enjoy your usual outdoor activities.' },
+            { max: 40, label: 'Fair', color: '#50ccaa',
+                advice: 'Enjoy your usual outdoor activities.' },
+            { max: 60, label: 'Moderate', color: '#f0e641',
+                advice: 'Enjoy your usual outdoor activities. Sensitive groups should consider reducing intense outdoor activities if they experience symptoms.' },
+            { max: 80, label: 'Poor', color: '#ff5050',
+                advice: 'Consider reducing intense outdoor activities if you experience symptoms such as sore eyes, a cough or sore throat. Sensitive groups should reduce physical activity outdoors.' },
+            { max: 100, label: 'Very Poor', color: '#960032',
+                advice: 'Consider reducing physical activities outdoors. Sensitive groups should reduce physical activity outdoors and stay indoors where possible.' },
+            { max: Infinity, label: 'Extremely Poor', color: '#7d2181',
+                advice: 'Reduce physical activities outdoors. Sensitive groups should avoid physical activity outdoors.' }
+        ],
+        // EEA bands; the index has no CO component
+        breakpoints: {
+            pm25: { unit: 'μg/m³', concentrations: [0, 10, 20, 25, 50, 75], indices: [0, 20, 40, 60, 80, 100] },
+            pm10: { unit: 'μg/m³', concentrations: [0, 20, 40, 50, 100, 150], indices: [0, 20, 40, 60, 80, 100] },
+            nitrogen_dioxide: { unit: 'μg/m³', concentrations: [0, 40, 90, 120, 230, 340], indices: [0, 20, 40, 60, 80, 100] },
+            ozone: { unit: 'μg/m³', concentrations: [0, 50, 100, 130, 240, 380], indices: [0, 20, 40, 60, 80, 100] },
+            sulphur_dioxide: { unit: 'μg/m³', concentrations: [0, 100, 200, 350, 500, 750], indices: [0, 20, 40, 60, 80, 100] }
+        }
+    },
+    'uk-daqi': {
+        name: 'UK DAQI',
+        field: null,
+        categories: [
+            { max: 3, label: 'Low', color: '#31cf00',
+                advice: 'Enjoy your usual outdoor activities.' },
+            { max: 6, label: 'Moderate', color: '#ffcf00',
+                advice: 'Enjoy your usual outdoor activities. Adults and children with lung problems, and adults with heart problems, who experience symptoms should consider reducing strenuous physical activity, particularly outdoors.' },
+            { max: 9, label: 'High', color: '#ff0000',
+                advice: 'Anyone experiencing discomfort such as sore eyes, cough or sore throat should consider reducing activity, particularly outdoors. At-risk groups should reduce strenuous physical exertion.' },
+            { max: Infinity, label: 'Very High', color: '#ce30ff',
+                advice: 'Reduce physical exertion, particularly outdoors, especially if you experience symptoms such as cough or sore throat. At-risk groups should avoid strenuous physical activity.' }
+        ],
+        // Banded 1-10: upperBounds[i] is the highest concentration in band i + 1
+        breakpoints: {
+            pm25: { unit: 'μg/m³', upperBounds: [11, 23, 35, 41, 47, 53, 58, 64, 70] },
+            pm10: { unit: 'μg/m³', upperBounds: [16, 33, 50, 58, 66, 75, 83, 91, 100] },
+            nitrogen_dioxide: { unit: 'μg/m³', upperBounds: [67, 134, 200, 267, 334, 400, 467, 534, 600] },
+            ozone: { unit: 'μg/m³', upperBounds: [33, 66, 100, 120, 140, 160, 187, 213, 240] },
+            sulphur_dioxide: { unit: 'μg/m³', upperBounds: [88, 177, 266, 354, 443, 532, 710, 887, 1064] }
+        }
+    },
+    'in-naqi': {
+        name: 'India NAQI',
+        field: null,
+        categories: [
+            { max: 50, label: 'Good', color: '#00b050',
+                advice: 'Minimal health impact.' },
+            { max: 100, label: 'Satisfactory', color: '#92d050',
+                advice: 'Minor breathing discomfort for sensitive people.' },
+            { max: 200, label: 'Moderate', color: '#ffff00',
+                advice: 'Breathing discomfort for people with lung disease such as asthma, and discomfort for people with heart disease, children and older adults.' },
+            { max: 300, label: 'Poor', color: '#ff9900',
+                advice: 'Breathing discomfort for most people on prolonged exposure, and discomfort for people with heart disease.' },
+            { max: 400, label: 'Very Poor', color: '#ff0000',
+                advice: 'Respiratory illness on prolonged exposure; effects may be more pronounced in people with lung and heart disease.' },
+            { max: Infinity, label: 'Severe', color: '#c00000',
+                advice: 'Affects healthy people and seriously impacts those with existing disease, even during light physical activity.' }
+        ],
+        breakpoints: {
+            pm25: { unit: 'μg/m³', concentrations: [0, 30, 60, 90, 120, 250], indices: [0, 50, 100, 200, 300, 400] },
+            pm10: { unit: 'μg/m³', concentrations: [0, 50, 100, 250, 350, 430], indices: [0, 50, 100, 200, 300, 400] },
+            carbon_monoxide: { unit: 'mg/m³', concentrations: [0, 1, 2, 10, 17, 34], indices: [0, 50, 100, 200, 300, 400] },
+            nitrogen_dioxide: { unit: 'μg/m³', concentrations: [0, 40, 80, 180, 280, 400], indices: [0, 50, 100, 200, 300, 400] },
+            ozone: { unit: 'μg/m³', concentrations: [0, 50, 100, 168, 208, 748], indices: [0, 50, 100, 200, 300, 400] },
+            sulphur_dioxide: { unit: 'μg/m³', concentrations: [0, 40, 80, 380, 800, 1600], indices: [0, 50, 100, 200, 300, 400] }
+        }
+    },
+    'cn-aqi': {
+        name: 'China AQI',
+        field: null,
+        categories: [
+            { max: 50, label: 'Excellent', color: '#00e400',
+                advice: 'Air quality is satisfactory with little or no air pollution; outdoor activities can go ahead as normal.' },
+            { max: 100, label: 'Good', color: '#ffff00',
+                advice: 'Air quality is acceptable; a very small number of unusually sensitive people should reduce outdoor activity.' },
+            { max: 150, label: 'Lightly Polluted', color: '#ff7e00',
+                advice: 'Children, older adults and people with heart or respiratory disease should reduce prolonged, high-intensity outdoor exercise.' },
+            { max: 200, label: 'Moderately Polluted', color: '#ff0000',
+                advice: 'Sensitive groups should avoid prolonged, high-intensity outdoor exercise; everyone else should reduce outdoor exercise.' },
+            { max: 300, label: 'Heavily Polluted', color: '#99004c',
+                advice: 'Sensitive groups should stay indoors and stop outdoor exercise; everyone else should reduce outdoor activity.' },
+            { max: Infinity, label: 'Severely Polluted', color: '#7e0023',
+                advice: 'Sensitive groups should stay indoors and avoid physical exertion; everyone else should avoid outdoor activity.' }
+        ],
+        // HJ 633-2012 24-hour breakpoints; O₃ uses the 1-hour table
+        breakpoints: {
+            pm25: { unit: 'μg/m³', concentrations: [0, 35, 75, 115, 150, 250, 350, 500], indices: [0, 50, 100, 150, 200, 300, 400, 500] },
+            pm10: { unit: 'μg/m³', concentrations: [0, 50, 150, 250, 350, 420, 500, 600], indices: [0, 50, 100, 150, 200, 300, 400, 500] },
+            carbon_monoxide: { unit: 'mg/m³', concentrations: [0, 2, 4, 14, 24, 36, 48, 60], indices: [0, 50, 100, 150, 200, 300, 400, 500] },
+            nitrogen_dioxide: { unit: 'μg/m³', concentrations: [0, 40, 80, 180, 280, 565, 750, 940], indices: [0, 50, 100, 150, 200, 300, 400, 500] },
+            ozone: { unit: 'μg/m³', concentrations: [0, 160, 200, 300, 400, 800, 1000, 1200], indices: [0, 50, 100, 150, 200, 300, 400, 500] },
+            sulphur_dioxide: { unit: 'μg/m³', concentrations: [0, 50, 150, 475, 800, 1600, 2100, 2620], indices: [0, 50, 100, 150, 200, 300, 400, 500] }
+        }
+    }
+};
+
+// Countries that default to the European index (EU, EEA and neighbouring European states)
+const EUROPEAN_AQI_COUNTRIES = [
+    'AT', 'BE', 'BG', 'HR', 'CY', 'CZ', 'DK', 'EE', 'FI', 'FR', 'DE', 'GR', 'HU', 'IE', 'IT',
+    'LV', 'LT', 'LU', 'MT', 'NL', 'PL', 'PT', 'RO', 'SK', 'SI', 'ES', 'SE', 'IS', 'LI', 'NO',
+    'CH', 'AL', 'AD', 'BA', 'XK', 'MC', 'ME', 'MK', 'RS', 'SM', 'VA'
+];
+
+// Chosen AQI standard; null means pick one from the location's country
+let selectedAqiStandard = null;
+
+// Default AQI standard for a country (ISO 3166-1 alpha-2 code)
+// Countries without a national index supported here use the US EPA scale
+function getDefaultAqiStandard(countryCode) {
+    const code = (countryCode || '').toUpperCase();
+    if (code === 'GB') return 'uk-daqi';
+    if (code === 'IN') return 'in-naqi';
+    if (code === 'CN') return 'cn-aqi';
+    if (EUROPEAN_AQI_COUNTRIES.includes(code)) return 'eu-eaqi';
+    return 'us-epa';
+}
+
+// AQI standard in effect for a location
+function resolveAqiStandard(countryCode) {
+    return selectedAqiStandard || getDefaultAqiStandard(countryCode);
+}
+
+// Compute an overall index locally as the highest pollutant sub-index
+// airQuality holds concentrations keyed like the parsed result
+function computeAqi(standardKey, airQuality) {
+    const subIndices = Object.keys(AQI_STANDARDS[standardKey].breakpoints)
+        .map(key => computeSubIndex(standardKey, key, airQuality?.[key]))
+        .filter(value => value !== null);
+    return subIndices.length > 0 ? Math.max(...subIndices) : null;
+}
+
+// Get a result's overall AQI on the given standard
+// Uses OpenMeteo's own index where the API provides one, otherwise computes it from the concentrations
+function getAqiValue(airQuality, standardKey) {
+    if (!airQuality) return null;
+    const field = AQI_STANDARDS[standardKey].field;
+    if (field && airQuality[field] !== null && airQuality[field] !== undefined) {
+        return airQuality[field];
+    }
+    return computeAqi(standardKey, airQuality);
+}
+
+// Get the category an index value falls in, or null if there is no value
+function getAqiCategory(standardKey, indexValue) {
+    if (indexValue === null || indexValue === undefined || isNaN(indexValue)) return null;
+    const standard = AQI_STANDARDS[standardKey];
+    const rounded = Math.round(indexValue);
+    return standard.categories.find(category => rounded <= category.max) || null;
+}
+
+// Compute a pollutant's sub-index from its concentration in μg/m³
+// Returns null if the standard has no breakpoints for the pollutant
+function computeSubIndex(standardKey, pollutantKey, concentration) {
+    const table = AQI_STANDARDS[standardKey]?.breakpoints[pollutantKey];
+    if (!table || concentration === null || concentration === undefined || isNaN(concentration)) return null;
+    
+    // Convert to the table's unit
+    const value = convertConcentration(pollutantKey, concentration, table.unit);
+    
+    // Banded indices (UK DAQI) are the number of the band the concentration falls in
+    if (table.upperBounds) {
+        const band = table.upperBounds.findIndex(bound => Math.round(value) <= bound);
+        return band === -1 ? table.upperBounds.length + 1 : band + 1;
+    }
+    
+    const { concentrations, indices } = table;
+    let segment = concentrations.findIndex(c => value <= c) - 1;
+    if (segment < 0 && value > 0) {
+        // Past the last breakpoint: stop at the top index if it is already in the top category
+        const { categories } = AQI_STANDARDS[standardKey];
+        const topIndex = indices[indices.length - 1];
+        if (topIndex > categories[categories.length - 2].max) return topIndex;
+        segment = concentrations.length - 2;
+    }
+    segment = Math.max(0, segment);
+    const [cLow, cHigh] = [concentrations[segment], concentrations[segment + 1]];
+    const [iLow, iHigh] = [indices[segment], indices[segment + 1]];
+    return Math.max(0, iLow + ((iHigh - iLow) / (cHigh - cLow)) * (value - cLow));
+}
+
+// Health guidelines and legal limits: a concentration per pollutant over the averaging period it is defined for
+// '1h' is checked against the highest hourly value, '8h' the highest 8-hour rolling mean and '24h' the
+// highest calendar-day mean in the range. Standards without a short-term value for a pollutant leave it out
+const GUIDELINE_STANDARDS = {
+    'who-2021': {
+        name: 'WHO',
+        fullName: 'WHO 2021 air quality guidelines',
+        term: 'guideline',
+        limits: {
+            pm25: { period: '24h', value: 15, unit: 'μg/m³' },
+            pm10: { period: '24h', value: 45, unit: 'μg/m³' },
+            carbon_monoxide: { period: '24h', value: 4, unit: 'mg/m³' },
+            nitrogen_dioxide: { period: '24h', value: 25, unit: 'μg/m³' },
+            ozone: { period: '8h', value: 100, unit: 'μg/m³' },
+            sulphur_dioxide: { period: '24h', value: 40, unit: 'μg/m³' }
+        }
+    },
+    'eu': {
+        name: 'EU',
+        fullName: 'EU Air Quality Directive 2008/50/EC',
+        term: 'limit',
+        // PM2.5 only has an annual limit value
+        limits: {
+            pm10: { period: '24h', value: 50, unit: 'μg/m³' },
+            carbon_monoxide: { period: '8h', value: 10, unit: 'mg/m³' },
+            nitrogen_dioxide: { period: '1h', value: 200, unit: 'μg/m³' },
+            ozone: { period: '8h', value: 120, unit: 'μg/m³' },
+            sulphur_dioxide: { period: '24h', value: 125, unit: 'μg/m³' }
+        }
+    },
+    'us-naaqs': {
+        name: 'US NAAQS',
+        fullName: 'US National Ambient Air Quality Standards',
+        term: 'standard',
+        limits: {
+            pm25: { period: '24h', value: 35, unit: 'μg/m³' },
+            pm10: { period: '24h', value: 150, unit: 'μg/m³' },
+            carbon_monoxide: { period: '8h', value: 9, unit: 'ppm' },
+            nitrogen_dioxide: { period: '1h', value: 100, unit: 'ppb' },
+            ozone: { period: '8h', value: 70, unit: 'ppb' },
+            sulphur_dioxide: { period: '1h', value: 75, unit: 'ppb' }
+        }
+    }
+};
+let selectedGuideline = 'who-2021';
+
+// Means over an averaging period need this share of their hours to have data
+const AVERAGING_MIN_COVERAGE = 0.75;
+
+// Mean of a window of hourly values, or null if fewer than AVERAGING_MIN_COVERAGE of its hours have data
+function getCoveredMean(window, hours) {
+    const valid = window.filter(value => value !== null && value !== undefined);
+    return valid.length >= hours * AVERAGING_MIN_COVERAGE ? average(valid) : null;
+}
+
+// Highest value of an hourly series over an averaging period ('1h', '8h' or '24h')
+// times are the local hour stamps of the values; returns null if no period has enough data
+function getPeakAverage(times, values, period) {
+    const present = value => value !== null && value !== undefined;
+    
+    let candidates;
+    if (period === '1h') {
+        candidates = values.filter(present);
+    } else if (period === '8h') {
+        candidates = [];
+        for (let i = 0; i + 8 <= values.length; i++) {
+            candidates.push(getCoveredMean(values.slice(i, i + 8), 8));
+        }
+    } else {
+        const days = {};
+        times.forEach((time, i) => {
+            const day = time.slice(0, 10);
+            (days[day] = days[day] || []).push(values[i]);
+        });
+        candidates = Object.values(days).map(dayValues => getCoveredMean(dayValues, 24));
+    }
+    candidates = candidates.filter(present);
+    return candidates.length > 0 ? Math.max(...candidates) : null;
+}
+
+// Compare a pollutant's hourly data against a guideline standard
+// Hours after the location's current hour are forecast values and are left out; for ranges reaching today,
+// today's 24h mean is taken over the 24 hours up to now, since its calendar day is still incomplete
+// Returns { ratio, peak, limit, forecastExcluded, trailingDay } with peak in the limit's unit, or null without a limit or data
+function computeExceedance(airQuality, pollutantKey, guidelineKey) {
+    const limit = GUIDELINE_STANDARDS[guidelineKey]?.limits[pollutantKey];
+    const hourly = airQuality?.hourly;
+    if (!limit || !hourly || !hourly[pollutantKey]) return null;
+    const localTime = airQuality.localTime;
+    const trailing = limit.period === '24h' && localTime ? airQuality.trailingHourly : null;
+    const observed = hourly.time
+        .filter(time => (trailing ? time.slice(0, 10) < localTime.slice(0, 10) : !localTime || time <= localTime))
+        .length;
+    let peak = getPeakAverage(hourly.time.slice(0, observed), hourly[pollutantKey].slice(0, observed), limit.period);
+    if (trailing?.[pollutantKey]) {
+        const end = trailing.time.filter(time => time <= localTime).length;
+        const lastDay = getCoveredMean(trailing[pollutantKey].slice(Math.max(0, end - 24), end), 24);
+        if (lastDay !== null) {
+            peak = peak === null ? lastDay : Math.max(peak, lastDay);
+        }
+    }
+    if (peak === null) return null;
+    const converted = convertConcentration(pollutantKey, peak, limit.unit);
+    return {
+        ratio: converted / limit.value,
+        peak: converted,
+        limit,
+        forecastExcluded: hourly.time.some(time => localTime && time > localTime),
+        trailingDay: Boolean(trailing)
+    };
+}
+
+// Pick black or white text for a category colour
+function getContrastTextColor(hexColor) {
+    const r = parseInt(hexColor.slice(1, 3), 16);
+    const g = parseInt(hexColor.slice(3, 5), 16);
+    const b = parseInt(hexColor.slice(5, 7), 16);
+    // Perceived brightness (ITU-R BT.601)
+    return (r * 299 + g * 587 + b * 114) / 1000 > 150 ? '#000' : '#fff';
+}
+
+// Show a category as a coloured badge, e.g. "Moderate" or "Moderate · 62"
+function setCategoryBadge(el, category, indexValue = null) {
+    if (!el) return;
+    if (!category) {
+        el.textContent = '';
+        el.style.display = 'none';
+        return;
+    }
+    el.textContent = indexValue === null ? category.label : `${category.label} · ${Math.round(indexValue)}`;
+    el.style.display = 'inline-block';
+    el.style.backgroundColor = category.color;
+    el.style.color = getContrastTextColor(category.color);
+}
+
 // Calculate percentage change
 // Returns null if historical is null/undefined
 // Returns special object {wasZero: true, current} if historical is 0
@@ -915,17 +2083,17 @@ function getNationalAvgClass(locationValue, nationalValue) {
 }
 
 // Display national average data
-function displayNationalAverage(currentAvg, historicalAvg, countryName, currentAQ, historicalAQ) {
+function displayNationalAverage(currentAvg, historicalAvg, countryName, currentAQ, historicalAQ, aqiStandard = 'us-epa') {
     if (!countryName) return;
     
     // Update national label with country name
     const nationalLabels = document.querySelectorAll('.national-label');
     nationalLabels.forEach(el => {
-        el.textContent = `${countryName} Avg`;
+        el.textContent = getNationalLabel(countryName);
     });
     
     // Helper function to format value or show "—"
-    function formatValue(value) {
+    function formatValue(value, decimals = 0) {
         if (value === null || value === undefined) {
             return '—';
         }
@@ -933,186 +2101,470 @@ function displayNationalAverage(currentAvg, historicalAvg, countryName, currentA
         if (isNaN(numValue)) {
             return '—';
         }
-        return Math.round(numValue);
+        return numValue.toFixed(decimals);
     }
     
-    // Display historical national averages (for 2023 column)
+    // Each side's national figures, and how this location compares with them
+    const showSide = (avg, airQuality, side) => {
+        METRICS.forEach(metric => {
+            const { key, prefix } = metric;
+            const locationValue = metric.field ? airQuality[key] : getAqiValue(airQuality, aqiStandard);
+            const nationalValue = avg[key];
+            const valueEl = document.getElementById(`${prefix}-national-${side}`);
+            if (valueEl) {
+                valueEl.textContent = formatValue(displayConcentration(key, nationalValue), getDisplayDecimals(key));
+                valueEl.className = `national-avg-value ${getNationalAvgClass(locationValue, nationalValue)}`;
+            }
+            const deltaEl = document.getElementById(`${prefix}-delta-${side}`);
+            if (deltaEl) deltaEl.textContent = formatDelta(calculateDelta(locationValue, nationalValue));
+        });
+    };
     if (historicalAvg && historicalAQ) {
-        // AQI
-        const aqiHistVal = formatValue(historicalAvg.us_aqi ?? historicalAvg.european_aqi);
-        const aqiHistEl = document.getElementById('aqi-national-historical');
-        const aqiHistLocation = historicalAQ.us_aqi ?? historicalAQ.european_aqi ?? null;
-        const aqiHistNational = historicalAvg.us_aqi ?? historicalAvg.european_aqi ?? null;
-        if (aqiHistEl) {
-            aqiHistEl.textContent = aqiHistVal;
-            aqiHistEl.className = `national-avg-value ${getNationalAvgClass(aqiHistLocation, aqiHistNational)}`;
-        }
-        const aqiHistDelta = calculateDelta(aqiHistLocation, aqiHistNational);
-        const aqiHistDeltaEl = document.getElementById('aqi-delta-historical');
-        if (aqiHistDeltaEl) aqiHistDeltaEl.textContent = formatDelta(aqiHistDelta);
-        
-        // PM2.5
-        const pm25HistVal = formatValue(historicalAvg.pm25);
-        const pm25HistEl = document.getElementById('pm25-national-historical');
-        if (pm25HistEl) {
-            pm25HistEl.textContent = pm25HistVal;
-            pm25HistEl.className = `national-avg-value ${getNationalAvgClass(historicalAQ.pm25, historicalAvg.pm25)}`;
-        }
-        const pm25HistDelta = calculateDelta(historicalAQ.pm25, historicalAvg.pm25);
-        const pm25HistDeltaEl = document.getElementById('pm25-delta-historical');
-        if (pm25HistDeltaEl) pm25HistDeltaEl.textContent = formatDelta(pm25HistDelta);
-        
-        // PM10
-        const pm10HistVal = formatValue(historicalAvg.pm10);
-        const pm10HistEl = document.getElementById('pm10-national-historical');
-        if (pm10HistEl) {
-            pm10HistEl.textContent = pm10HistVal;
-            pm10HistEl.className = `national-avg-value ${getNationalAvgClass(historicalAQ.pm10, historicalAvg.pm10)}`;
-        }
-        const pm10HistDelta = calculateDelta(historicalAQ.pm10, historicalAvg.pm10);
-        const pm10HistDeltaEl = document.getElementById('pm10-delta-historical');
-        if (pm10HistDeltaEl) pm10HistDeltaEl.textContent = formatDelta(pm10HistDelta);
-        
-        // CO
-        const coHistVal = formatValue(historicalAvg.carbon_monoxide);
-        const coHistEl = document.getElementById('co-national-historical');
-        if (coHistEl) {
-            coHistEl.textContent = coHistVal;
-            coHistEl.className = `national-avg-value ${getNationalAvgClass(historicalAQ.carbon_monoxide, historicalAvg.carbon_monoxide)}`;
-        }
-        const coHistDelta = calculateDelta(historicalAQ.carbon_monoxide, historicalAvg.carbon_monoxide);
-        const coHistDeltaEl = document.getElementById('co-delta-historical');
-        if (coHistDeltaEl) coHistDeltaEl.textContent = formatDelta(coHistDelta);
-        
-        // NO2
-        const no2HistVal = formatValue(historicalAvg.nitrogen_dioxide);
-        const no2HistEl = document.getElementById('no2-national-historical');
-        if (no2HistEl) {
-            no2HistEl.textContent = no2HistVal;
-            no2HistEl.className = `national-avg-value ${getNationalAvgClass(historicalAQ.nitrogen_dioxide, historicalAvg.nitrogen_dioxide)}`;
-        }
-        const no2HistDelta = calculateDelta(historicalAQ.nitrogen_dioxide, historicalAvg.nitrogen_dioxide);
-        const no2HistDeltaEl = document.getElementById('no2-delta-historical');
-        if (no2HistDeltaEl) no2HistDeltaEl.textContent = formatDelta(no2HistDelta);
-        
-        // O3
-        const o3HistVal = formatValue(historicalAvg.ozone);
-        const o3HistEl = document.getElementById('o3-national-historical');
-        if (o3HistEl) {
-            o3HistEl.textContent = o3HistVal;
-            o3HistEl.className = `national-avg-value ${getNationalAvgClass(historicalAQ.ozone, historicalAvg.ozone)}`;
-        }
-        const o3HistDelta = calculateDelta(historicalAQ.ozone, historicalAvg.ozone);
-        const o3HistDeltaEl = document.getElementById('o3-delta-historical');
-        if (o3HistDeltaEl) o3HistDeltaEl.textContent = formatDelta(o3HistDelta);
-        
-        // SO2
-        const so2HistVal = formatValue(historicalAvg.sulphur_dioxide);
-        const so2HistEl = document.getElementById('so2-national-historical');
-        if (so2HistEl) {
-            so2HistEl.textContent = so2HistVal;
-            so2HistEl.className = `national-avg-value ${getNationalAvgClass(historicalAQ.sulphur_dioxide, historicalAvg.sulphur_dioxide)}`;
-        }
-        const so2HistDelta = calculateDelta(historicalAQ.sulphur_dioxide, historicalAvg.sulphur_dioxide);
-        const so2HistDeltaEl = document.getElementById('so2-delta-historical');
-        if (so2HistDeltaEl) so2HistDeltaEl.textContent = formatDelta(so2HistDelta);
+        showSide(historicalAvg, historicalAQ, 'historical');
     }
-    
-    // Display current national averages (for Today column)
     if (currentAvg && currentAQ) {
-        // AQI
-        const aqiTodayVal = formatValue(currentAvg.us_aqi ?? currentAvg.european_aqi);
-        const aqiTodayEl = document.getElementById('aqi-national-today');
-        const aqiTodayLocation = currentAQ.us_aqi ?? currentAQ.european_aqi ?? null;
-        const aqiTodayNational = currentAvg.us_aqi ?? currentAvg.european_aqi ?? null;
-        if (aqiTodayEl) {
-            aqiTodayEl.textContent = aqiTodayVal;
-            aqiTodayEl.className = `national-avg-value ${getNationalAvgClass(aqiTodayLocation, aqiTodayNational)}`;
-        }
-        const aqiTodayDelta = calculateDelta(aqiTodayLocation, aqiTodayNational);
-        const aqiTodayDeltaEl = document.getElementById('aqi-delta-today');
-        if (aqiTodayDeltaEl) aqiTodayDeltaEl.textContent = formatDelta(aqiTodayDelta);
-        
-        // PM2.5
-        const pm25TodayVal = formatValue(currentAvg.pm25);
-        const pm25TodayEl = document.getElementById('pm25-national-today');
-        if (pm25TodayEl) {
-            pm25TodayEl.textContent = pm25TodayVal;
-            pm25TodayEl.className = `national-avg-value ${getNationalAvgClass(currentAQ.pm25, currentAvg.pm25)}`;
-        }
-        const pm25TodayDelta = calculateDelta(currentAQ.pm25, currentAvg.pm25);
-        const pm25TodayDeltaEl = document.getElementById('pm25-delta-today');
-        if (pm25TodayDeltaEl) pm25TodayDeltaEl.textContent = formatDelta(pm25TodayDelta);
-        
-        // PM10
-        const pm10TodayVal = formatValue(currentAvg.pm10);
-        const pm10TodayEl = document.getElementById('pm10-national-today');
-        if (pm10TodayEl) {
-            pm10TodayEl.textContent = pm10TodayVal;
-            pm10TodayEl.className = `national-avg-value ${getNationalAvgClass(currentAQ.pm10, currentAvg.pm10)}`;
-        }
-        const pm10TodayDelta = calculateDelta(currentAQ.pm10, currentAvg.pm10);
-        const pm10TodayDeltaEl = document.getElementById('pm10-delta-today');
-        if (pm10TodayDeltaEl) pm10TodayDeltaEl.textContent = formatDelta(pm10TodayDelta);
-        
-        // CO
-        const coTodayVal = formatValue(currentAvg.carbon_monoxide);
-        const coTodayEl = document.getElementById('co-national-today');
-        if (coTodayEl) {
-            coTodayEl.textContent = coTodayVal;
-            coTodayEl.className = `national-avg-value ${getNationalAvgClass(currentAQ.carbon_monoxide, currentAvg.carbon_monoxide)}`;
-        }
-        const coTodayDelta = calculateDelta(currentAQ.carbon_monoxide, currentAvg.carbon_monoxide);
-        const coTodayDeltaEl = document.getElementById('co-delta-today');
-        if (coTodayDeltaEl) coTodayDeltaEl.textContent = formatDelta(coTodayDelta);
-        
-        // NO2
-        const no2TodayVal = formatValue(currentAvg.nitrogen_dioxide);
-        const no2TodayEl = document.getElementById('no2-national-today');
-        if (no2TodayEl) {
-            no2TodayEl.textContent = no2TodayVal;
-            no2TodayEl.className = `national-avg-value ${getNationalAvgClass(currentAQ.nitrogen_dioxide, currentAvg.nitrogen_dioxide)}`;
-        }
-        const no2TodayDelta = calculateDelta(currentAQ.nitrogen_dioxide, currentAvg.nitrogen_dioxide);
-        const no2TodayDeltaEl = document.getElementById('no2-delta-today');
-        if (no2TodayDeltaEl) no2TodayDeltaEl.textContent = formatDelta(no2TodayDelta);
-        
-        // O3
-        const o3TodayVal = formatValue(currentAvg.ozone);
-        const o3TodayEl = document.getElementById('o3-national-today');
-        if (o3TodayEl) {
-            o3TodayEl.textContent = o3TodayVal;
-            o3TodayEl.className = `national-avg-value ${getNationalAvgClass(currentAQ.ozone, currentAvg.ozone)}`;
-        }
-        const o3TodayDelta = calculateDelta(currentAQ.ozone, currentAvg.ozone);
-        const o3TodayDeltaEl = document.getElementById('o3-delta-today');
-        if (o3TodayDeltaEl) o3TodayDeltaEl.textContent = formatDelta(o3TodayDelta);
-        
-        // SO2
-        const so2TodayVal = formatValue(currentAvg.sulphur_dioxide);
-        const so2TodayEl = document.getElementById('so2-national-today');
-        if (so2TodayEl) {
-            so2TodayEl.textContent = so2TodayVal;
-            so2TodayEl.className = `national-avg-value ${getNationalAvgClass(currentAQ.sulphur_dioxide, currentAvg.sulphur_dioxide)}`;
-        }
-        const so2TodayDelta = calculateDelta(currentAQ.sulphur_dioxide, currentAvg.sulphur_dioxide);
-        const so2TodayDeltaEl = document.getElementById('so2-delta-today');
-        if (so2TodayDeltaEl) so2TodayDeltaEl.textContent = formatDelta(so2TodayDelta);
+        showSide(currentAvg, currentAQ, 'today');
     }
 }
 
-// Display comparison between today and historical year
-function displayComparison(currentAQ, historicalAQ, actualYear = HISTORICAL_YEAR, dataSource = 'Unknown') {
-    console.log('Displaying comparison for:', { current: currentAQ, historical: historicalAQ, year: actualYear, dataSource });
-    
-    // Display data source information
-    const dataSourceEl = document.getElementById('data-source');
-    if (dataSourceEl) {
-        dataSourceEl.textContent = `Data source: ${dataSource}`;
+// Describe a comparison mode for display, e.g. "Same hour of day (14:00 local time)"
+// dates are used to mention forecast hours and multi-day ranges
+function describeComparisonMode(comparisonMode, referenceHour, dates) {
+    const label = COMPARISON_MODES[comparisonMode] || COMPARISON_MODES['same-hour'];
+    const hour = `${String(referenceHour ?? 0).padStart(2, '0')}:00`;
+    const isRange = dates && (dates.historical.start !== dates.historical.end || dates.current.start !== dates.current.end);
+    if (comparisonMode === 'daily-mean' || comparisonMode === 'daily-max') {
+        const notes = [];
+        if (isRange) notes.push('over each date range');
+        if (dates && rangeIncludesToday(dates.current)) notes.push("today's remaining hours are forecast values");
+        return notes.length > 0 ? `${label} (${notes.join('; ')})` : label;
+    }
+    if (comparisonMode === 'rolling-24h') {
+        return `${label} (24 hours ending ${hour} local time on the last day)`;
+    }
+    return isRange ? `${label} (${hour} local time, averaged over each date range)` : `${label} (${hour} local time)`;
+}
+
+// Format a { start, end } range, e.g. "Jan 16, 2023" or "Jan 9, 2023 – Jan 16, 2023"
+function formatDateRange(range) {
+    const startFormatted = formatDate(parseISODate(range.start));
+    if (range.start === range.end) {
+        return startFormatted;
+    }
+    return `${startFormatted} – ${formatDate(parseISODate(range.end))}`;
+}
+
+// Display AQI categories, per-pollutant sub-index categories, advisories and the headline
+// Both sides use the same standard so their categories are comparable
+function displayCategories(currentAQ, historicalAQ, historicalLabel, standardKey) {
+    const standard = AQI_STANDARDS[standardKey];
+    const currentCategory = getAqiCategory(standardKey, getAqiValue(currentAQ, standardKey));
+    const historicalCategory = getAqiCategory(standardKey, getAqiValue(historicalAQ, standardKey));
+    setCategoryBadge(document.getElementById('aqi-category-today'), currentCategory);
+    setCategoryBadge(document.getElementById('aqi-category-historical'), historicalCategory);
+    const aqiAdvisoryEl = document.getElementById('aqi-advisory');
+    if (aqiAdvisoryEl) {
+        aqiAdvisoryEl.textContent = currentCategory ? `${standard.name}: ${currentCategory.advice}` : '';
+    }
+    
+    POLLUTANT_METRICS.forEach(({ key, prefix }) => {
+        const currentIndex = computeSubIndex(standardKey, key, currentAQ?.[key]);
+        const historicalIndex = computeSubIndex(standardKey, key, historicalAQ?.[key]);
+        const currentSubCategory = getAqiCategory(standardKey, currentIndex);
+        setCategoryBadge(document.getElementById(`${prefix}-category-today`), currentSubCategory, currentIndex);
+        setCategoryBadge(document.getElementById(`${prefix}-category-historical`), getAqiCategory(standardKey, historicalIndex), historicalIndex);
+        const advisoryEl = document.getElementById(`${prefix}-advisory`);
+        if (advisoryEl) {
+            advisoryEl.textContent = currentSubCategory && currentSubCategory !== standard.categories[0]
+                ? `${standard.name} sub-index: ${currentSubCategory.advice}`
+                : '';
+        }
+    });
+    
+    // Headline: call out category changes rather than just percentages
+    const headlineEl = document.getElementById('headline');
+    if (headlineEl) {
+        if (!currentCategory) {
+            headlineEl.textContent = '';
+        } else if (!historicalCategory) {
+            headlineEl.textContent = `Air quality is ${currentCategory.label} (${standard.name}).`;
+        } else if (currentCategory === historicalCategory) {
+            headlineEl.textContent = `Air quality is ${currentCategory.label}, the same ${standard.name} category as on ${historicalLabel}.`;
+        } else {
+            const direction = standard.categories.indexOf(currentCategory) > standard.categories.indexOf(historicalCategory) ? 'worsened' : 'improved';
+            headlineEl.textContent = `Air quality has ${direction} from ${historicalCategory.label} on ${historicalLabel} to ${currentCategory.label} (${standard.name}).`;
+        }
+    }
+}
+
+// Show, per pollutant and date, how the peak over each standard's averaging period compares with it
+// e.g. "2.3× WHO 24h guideline"; values over the limit are flagged
+function displayExceedances(currentAQ, historicalAQ, guidelineKey = selectedGuideline) {
+    const guideline = GUIDELINE_STANDARDS[guidelineKey];
+    const periodNames = { '1h': 'hourly value', '8h': '8h mean', '24h': 'daily mean' };
+    
+    const show = (el, airQuality, key) => {
+        if (!el) return;
+        const limit = guideline.limits[key];
+        const exceedance = computeExceedance(airQuality, key, guidelineKey);
+        el.className = 'exceedance';
+        el.title = '';
+        if (!limit) {
+            // Only say so for pollutants that some other standard does limit
+            const limitedElsewhere = Object.values(GUIDELINE_STANDARDS).some(other => other.limits[key]);
+            el.textContent = limitedElsewhere ? `No short-term ${guideline.name} ${guideline.term}` : '';
+            return;
+        }
+        if (!exceedance) {
+            el.textContent = '';
+            return;
+        }
+        const decimals = limit.unit === 'ppm' || limit.unit === 'mg/m³' ? 2 : 0;
+        const ratio = exceedance.ratio.toFixed(exceedance.ratio < 0.1 ? 2 : 1);
+        el.textContent = `${ratio}× ${guideline.name} ${limit.period} ${guideline.term}`;
+        let soFar = exceedance.forecastExcluded ? ' so far (forecast hours excluded)' : '';
+        if (exceedance.trailingDay) {
+            soFar = ' so far (today counts as the last 24 hours; forecast hours excluded)';
+        }
+        el.title = `Highest ${periodNames[limit.period]}${soFar}: ${exceedance.peak.toFixed(decimals)} ${limit.unit}; ` +
+            `${guideline.fullName}: ${limit.value} ${limit.unit}`;
+        if (exceedance.ratio > 1) {
+            el.classList.add('exceeds');
+        }
+    };
+    
+    POLLUTANT_METRICS.forEach(({ key, prefix }) => {
+        show(document.getElementById(`${prefix}-exceedance-historical`), historicalAQ, key);
+        show(document.getElementById(`${prefix}-exceedance-today`), currentAQ, key);
+    });
+}
+
+// Display the side-by-side grid: a row per metric, a column per location
+// Columns are ranked by current AQI; the best and worst are highlighted
+function displayMultiComparison(comparisons, dates, aqiStandard) {
+    function formatValue(value, decimals = 0) {
+        if (value === null || value === undefined || isNaN(Number(value))) {
+            return 'N/A';
+        }
+        return Number(value).toFixed(decimals);
+    }
+    
+    const standard = AQI_STANDARDS[aqiStandard];
+    document.getElementById('historical-year').textContent = formatDateRange(dates.historical);
+    document.getElementById('today-year').textContent = formatDateRange(dates.current);
+    
+    // Rank by current AQI, lower is better; locations without data aren't ranked
+    const aqiValues = comparisons.map(c => (c.currentAQ ? getAqiValue(c.currentAQ, aqiStandard) : null));
+    const ranked = aqiValues
+        .map((value, index) => ({ value, index }))
+        .filter(entry => entry.value !== null)
+        .sort((a, b) => a.value - b.value);
+    const ranks = {};
+    ranked.forEach((entry, position) => {
+        ranks[entry.index] = position + 1;
+    });
+    const bestIndex = ranked.length > 1 ? ranked[0].index : null;
+    const worstIndex = ranked.length > 1 ? ranked[ranked.length - 1].index : null;
+    const columnClass = index => (index === bestIndex ? 'multi-best' : index === worstIndex ? 'multi-worst' : '');
+    
+    // Headline: name the cleanest and most polluted locations right now
+    const nameOf = index => comparisons[index].locationName || formatCoordinates(comparisons[index].latitude, comparisons[index].longitude);
+    document.getElementById('headline').textContent = bestIndex === null ? '' :
+        `Cleanest air now: ${nameOf(bestIndex)} (${Math.round(aqiValues[bestIndex])}). ` +
+        `Most polluted: ${nameOf(worstIndex)} (${Math.round(aqiValues[worstIndex])}), ${standard.name}.`;
+    
+    const gridEl = document.getElementById('multi-grid');
+    gridEl.innerHTML = '';
+    
+    // Header: location name, rank, the historical dates used and a remove button
+    const headRow = document.createElement('tr');
+    headRow.appendChild(document.createElement('th'));
+    comparisons.forEach((comparison, index) => {
+        const th = document.createElement('th');
+        th.className = columnClass(index);
+        const nameEl = document.createElement('div');
+        nameEl.className = 'multi-name';
+        nameEl.textContent = nameOf(index);
+        th.appendChild(nameEl);
+        const rankEl = document.createElement('div');
+        rankEl.className = 'multi-rank';
+        rankEl.textContent = index === bestIndex ? `#${ranks[index]} · best`
+            : index === worstIndex ? `#${ranks[index]} · worst`
+            : ranks[index] ? `#${ranks[index]}` : 'No data';
+        th.appendChild(rankEl);
+        const datesEl = document.createElement('div');
+        datesEl.className = 'multi-dates';
+        datesEl.textContent = `vs ${formatDateRange(comparison.historical.dates.historical)}`;
+        th.appendChild(datesEl);
+        const aboutEl = document.createElement('details');
+        aboutEl.className = 'about-data';
+        const summaryEl = document.createElement('summary');
+        summaryEl.textContent = 'About this data';
+        aboutEl.appendChild(summaryEl);
+        const aboutTableEl = document.createElement('table');
+        aboutTableEl.className = 'about-data-table';
+        renderProvenance(aboutTableEl, comparison.historical.airQuality, comparison.currentAQ,
+            formatDateRange(comparison.historical.dates.historical), formatDateRange(dates.current));
+        aboutEl.appendChild(aboutTableEl);
+        th.appendChild(aboutEl);
+        const removeButton = document.createElement('button');
+        removeButton.className = 'multi-remove';
+        removeButton.textContent = 'Remove';
+        removeButton.addEventListener('click', () => {
+            comparisonLocations.splice(index, 1);
+            fetchAndDisplayMulti(dates);
+        });
+        th.appendChild(removeButton);
+        headRow.appendChild(th);
+    });
+    gridEl.appendChild(headRow);
+    
+    // One row per metric: now, then and the change between them
+    const airQualities = comparisons.flatMap(comparison => [comparison.currentAQ, comparison.historical.airQuality]);
+    getVisibleMetrics().filter(metric => hasMetricData(metric, airQualities)).forEach(metric => {
+        const row = document.createElement('tr');
+        const labelEl = document.createElement('th');
+        labelEl.textContent = formatMetricTitle(metric, aqiStandard);
+        row.appendChild(labelEl);
+        const decimals = getDisplayDecimals(metric.key);
+        
+        comparisons.forEach((comparison, index) => {
+            const td = document.createElement('td');
+            td.className = columnClass(index);
+            const currentValue = getMetricValue(metric, comparison.currentAQ, aqiStandard);
+            const historicalValue = getMetricValue(metric, comparison.historical.airQuality, aqiStandard);
+            
+            const nowEl = document.createElement('div');
+            nowEl.className = 'multi-now';
+            nowEl.textContent = formatValue(currentValue, decimals);
+            td.appendChild(nowEl);
+            
+            // The overall AQI also gets its category
+            if (!metric.field) {
+                const badgeEl = document.createElement('span');
+                badgeEl.className = 'category-badge';
+                setCategoryBadge(badgeEl, getAqiCategory(aqiStandard, currentValue));
+                td.appendChild(badgeEl);
+            }
+            
+            const thenEl = document.createElement('div');
+            thenEl.className = 'multi-then';
+            thenEl.textContent = `then ${formatValue(historicalValue, decimals)}`;
+            td.appendChild(thenEl);
+            
+            const change = currentValue !== null && historicalValue !== null
+                ? formatChange(calculateChange(currentValue, historicalValue), metric.lowerIsBetter)
+                : formatChange(null);
+            const changeEl = document.createElement('div');
+            changeEl.className = `change ${change.className}`;
+            changeEl.textContent = change.text;
+            td.appendChild(changeEl);
+            row.appendChild(td);
+        });
+        gridEl.appendChild(row);
+    });
+}
+
+// Label for national figures, e.g. "France Avg" or "France Median"
+function getNationalLabel(countryName, method = nationalAggregation) {
+    return `${countryName} ${NATIONAL_AGGREGATIONS[method].label}`;
+}
+
+// Show the spread of the sample values next to each national figure
+function displayNationalSpread(currentAvg, historicalAvg) {
+    const formatSpread = (spread, key) => {
+        if (!spread || spread.count < 2) return '';
+        const r = value => displayConcentration(key, value).toFixed(getDisplayDecimals(key));
+        return `range ${r(spread.min)}–${r(spread.max)}, IQR ${r(spread.q1)}–${r(spread.q3)}`;
+    };
+    METRICS.forEach(({ key, prefix }) => {
+        const historicalEl = document.getElementById(`${prefix}-spread-historical`);
+        if (historicalEl) historicalEl.textContent = formatSpread(historicalAvg?.spread[key], key);
+        const todayEl = document.getElementById(`${prefix}-spread-today`);
+        if (todayEl) todayEl.textContent = formatSpread(currentAvg?.spread[key], key);
+    });
+}
+
+// Show which locations the national figure was computed from, and how
+function displayNationalSample(locations, countryName = '', method = nationalAggregation, samplingMode = nationalSamplingMode) {
+    const sampleEl = document.getElementById('national-sample');
+    if (!sampleEl) return;
+    if (!locations || locations.length === 0) {
+        sampleEl.textContent = '';
+        return;
+    }
+    const names = locations.map(loc => loc.name).join(', ');
+    // Cities are weighted by population, grid points by area
+    let methodName = NATIONAL_AGGREGATIONS[method].name.toLowerCase();
+    if (method === 'weighted-mean') {
+        methodName = samplingMode === 'grid' ? 'area-weighted mean' : 'population-weighted mean';
+    }
+    const noun = samplingMode === 'grid'
+        ? (locations.length === 1 ? 'grid point' : 'grid points')
+        : (locations.length === 1 ? 'city' : 'cities');
+    sampleEl.textContent = `${countryName} ${methodName} of ${locations.length} ${noun}: ${names}`;
+}
+
+// Fill an "About this data" table with the provenance of both sides of a comparison
+function renderProvenance(tableEl, historicalAQ, currentAQ, historicalLabel, currentLabel) {
+    if (!tableEl) return;
+    tableEl.innerHTML = '';
+    
+    const formatOffset = seconds => {
+        const sign = seconds < 0 ? '−' : '+';
+        const minutes = Math.abs(seconds) / 60;
+        const hours = Math.floor(minutes / 60);
+        const rest = minutes % 60;
+        return `UTC${sign}${hours}${rest ? `:${String(rest).padStart(2, '0')}` : ''}`;
+    };
+    const rows = [
+        ['Model', p => p.model],
+        ['Domain', p => p.domain],
+        ['Grid resolution', p => p.resolution],
+        ['Grid cell', p => (p.gridLatitude !== null ? `${p.gridLatitude.toFixed(2)}, ${p.gridLongitude.toFixed(2)}` : 'N/A')],
+        ['Requested', p => `${p.requestedLatitude.toFixed(4)}, ${p.requestedLongitude.toFixed(4)}`],
+        ['Elevation', p => (p.elevation !== null ? `${Math.round(p.elevation)} m` : 'N/A')],
+        ['Timezone', p => `${p.timezone}${p.timezoneAbbreviation ? ` (${p.timezoneAbbreviation}, ${formatOffset(p.utcOffsetSeconds)})` : ''}`],
+        ['API generation time', p => (p.generationTimeMs !== null ? `${p.generationTimeMs.toFixed(1)} ms` : 'N/A')],
+        ['Loaded from', (p, aq) => (aq.cacheStatus === 'network' ? 'network' : 'cache')]
+    ];
+    const sides = [[historicalLabel, historicalAQ], [currentLabel, currentAQ]];
+    
+    const headRow = document.createElement('tr');
+    headRow.appendChild(document.createElement('th'));
+    sides.forEach(([label]) => {
+        const th = document.createElement('th');
+        th.textContent = label;
+        headRow.appendChild(th);
+    });
+    tableEl.appendChild(headRow);
+    
+    rows.forEach(([label, getValue]) => {
+        const row = document.createElement('tr');
+        const th = document.createElement('th');
+        th.textContent = label;
+        row.appendChild(th);
+        sides.forEach(([, airQuality]) => {
+            const td = document.createElement('td');
+            td.textContent = airQuality?.provenance ? getValue(airQuality.provenance, airQuality) : 'N/A';
+            row.appendChild(td);
+        });
+        tableEl.appendChild(row);
+    });
+}
+
+// Short note on where the displayed values came from, for the data-source line
+function describeCacheStatus(currentAQ, historicalAQ) {
+    const statuses = [currentAQ?.cacheStatus, historicalAQ?.cacheStatus].filter(Boolean);
+    if (statuses.includes('stale')) return 'cached copy, refreshing…';
+    if (statuses.length > 0 && statuses.every(status => status === 'hit')) return 'from cache';
+    if (statuses.includes('hit')) return 'partly from cache';
+    return '';
+}
+
+// Describe each model's coverage and archive start in the data note, from AIR_QUALITY_DOMAINS
+function renderDataNote() {
+    const noteEl = document.getElementById('data-note-text');
+    if (!noteEl) return;
+    const models = Object.values(AIR_QUALITY_DOMAINS).map(info =>
+        `For ${info.coverage}, data comes from the ${info.model} and goes back to ${formatDate(parseISODate(info.archiveStart))}.`);
+    noteEl.textContent = `Historical air quality data is available via OpenMeteo API. ${models.join(' ')} ` +
+        'Data availability may vary by location.';
+}
+
+// Build a card per metric in METRICS: both sides' values, category badges, guideline exceedances
+// (pollutants only), national figures, the change, advice and an hourly chart
+// Element ids are "<prefix>-<part>[-historical|-today]"; displayComparison and friends fill them in
+function renderMetricCards(container = document.getElementById('metric-cards')) {
+    if (!container) return;
+    container.innerHTML = '';
+    
+    const sideMarkup = (metric, side) => {
+        const { prefix } = metric;
+        const exceedance = metric.field ? `<span class="exceedance" id="${prefix}-exceedance-${side}"></span>` : '';
+        return `<div class="value ${side}">
+            <span class="label"><span class="${side}-date-label"></span></span>
+            <span class="number" id="${prefix}-${side}"></span>
+            <span class="category-badge" id="${prefix}-category-${side}"></span>
+            ${exceedance}
+            <span class="tertiary"><span class="national-label">National Avg</span>: <span id="${prefix}-national-${side}">—</span> ` +
+            `<span id="${prefix}-delta-${side}" class="delta"></span> <span id="${prefix}-spread-${side}" class="spread"></span></span>
+        </div>`;
+    };
+    
+    METRICS.forEach(metric => {
+        const card = document.createElement('div');
+        card.className = 'metric-card';
+        card.dataset.metricKey = metric.key;
+        card.dataset.empty = String(Boolean(metric.optional));
+        card.hidden = hiddenMetrics.has(metric.key) || metric.optional;
+        card.innerHTML = `<h3 id="${metric.prefix}-title"></h3>
+            <div class="comparison-row">
+                ${sideMarkup(metric, 'historical')}
+                ${sideMarkup(metric, 'today')}
+                <div class="change" id="${metric.prefix}-change"></div>
+            </div>
+            <p class="advisory" id="${metric.prefix}-advisory"></p>
+            <div class="hourly-chart" data-metric="${metric.key}"></div>`;
+        
+        // Pollutant titles carry their display unit; the overall index is named after its standard when shown
+        // Optional metrics stay hidden until a comparison has data for them
+        const titleEl = card.querySelector('h3');
+        if (metric.field && metric.unit) {
+            titleEl.textContent = `${metric.label} (`;
+            const unitEl = document.createElement('span');
+            unitEl.dataset.unit = metric.key;
+            unitEl.textContent = getDisplayUnit(metric.key);
+            titleEl.appendChild(unitEl);
+            titleEl.appendChild(document.createTextNode(')'));
+        } else {
+            titleEl.textContent = metric.label;
+        }
+        container.appendChild(card);
+    });
+}
+
+// Show or hide each metric card: switched-off metrics, and optional ones without data, are hidden
+function applyMetricVisibility() {
+    document.querySelectorAll('.metric-card[data-metric-key]').forEach(card => {
+        card.hidden = hiddenMetrics.has(card.dataset.metricKey) || card.dataset.empty === 'true';
+    });
+}
+
+// Redraw everything that lists metrics from the data already loaded, after a metric is switched on or off
+function redrawMetricViews() {
+    applyMetricVisibility();
+    if (lastTrend) {
+        displayTrend(lastTrend.results, lastTrend.highlightYear, lastTrend.aqiStandard);
+    }
+    if (lastMultiComparison) {
+        displayMultiComparison(lastMultiComparison.comparisons, lastMultiComparison.dates, lastMultiComparison.aqiStandard);
+    }
+}
+
+// Display comparison between the current and historical dates
+// aqiStandard: AQI scale used for the overall index on both sides
+function displayComparison(currentAQ, historicalAQ, dates = getComparisonDates(), dataSource = 'Unknown', aqiStandard = 'us-epa') {
+    console.log('Displaying comparison for:', { current: currentAQ, historical: historicalAQ, dates, dataSource, aqiStandard });
+    
+    // Display data source information
+    const dataSourceEl = document.getElementById('data-source');
+    if (dataSourceEl) {
+        const cacheNote = describeCacheStatus(currentAQ, historicalAQ);
+        dataSourceEl.textContent = `Data source: ${dataSource}${cacheNote ? ` (${cacheNote})` : ''}`;
+    }
+    renderProvenance(
+        document.getElementById('about-data-table'), historicalAQ, currentAQ, formatDateRange(dates.historical), formatDateRange(dates.current)
+    );
+    
+    // Show which comparison mode produced the values
+    const comparisonModeEl = document.getElementById('comparison-mode-label');
+    if (comparisonModeEl) {
+        comparisonModeEl.textContent = `Comparing: ${describeComparisonMode(currentAQ.comparisonMode, currentAQ.referenceHour, dates)}`;
     }
     
     // Helper function to format value or show "N/A"
-    function formatValue(value) {
+    function formatValue(value, decimals = 0) {
         if (value === null || value === undefined) {
             return 'N/A';
         }
@@ -1120,14 +2572,12 @@ function displayComparison(currentAQ, historicalAQ, actualYear = HISTORICAL_YEAR
         if (isNaN(numValue)) {
             return 'N/A';
         }
-        return Math.round(numValue);
+        return numValue.toFixed(decimals);
     }
     
     // Format dates
-    const todayDate = new Date();
-    const historicalDate = new Date(actualYear, todayDate.getMonth(), todayDate.getDate());
-    const todayFormatted = formatDate(todayDate);
-    const historicalFormatted = formatDate(historicalDate);
+    const todayFormatted = formatDateRange(dates.current);
+    const historicalFormatted = formatDateRange(dates.historical);
     
     // Update the displayed dates in the subtitle
     const historicalYearEl = document.getElementById('historical-year');
@@ -1140,151 +2590,1060 @@ function displayComparison(currentAQ, historicalAQ, actualYear = HISTORICAL_YEAR
     }
     
     // Update all historical date labels
-    const historicalLabelEls = document.querySelectorAll('.historical-date-label, #historical-date-label');
+    const historicalLabelEls = document.querySelectorAll('.historical-date-label');
     historicalLabelEls.forEach(el => {
         el.textContent = historicalFormatted;
     });
     
     // Update all today date labels
-    const todayLabelEls = document.querySelectorAll('.today-date-label, #today-date-label');
+    const todayLabelEls = document.querySelectorAll('.today-date-label');
     todayLabelEls.forEach(el => {
         el.textContent = todayFormatted;
     });
     
-    // AQI comparison (lower is better, so invert color logic)
-    const aqiTodayValue = currentAQ.us_aqi ?? currentAQ.european_aqi ?? null;
-    const aqiToday = aqiTodayValue !== null ? Math.round(aqiTodayValue) : 0;
-    const aqiHistoricalValue = historicalAQ?.us_aqi ?? historicalAQ?.european_aqi ?? null;
-    const aqiHistorical = aqiHistoricalValue !== null ? Math.round(aqiHistoricalValue) : null;
-    const aqiChange = aqiHistorical !== null ? calculateChange(aqiToday, aqiHistorical) : null;
-    const aqiChangeFormatted = formatChange(aqiChange, true); // true = lower is better
-    
-    document.getElementById('aqi-today').textContent = formatValue(aqiTodayValue);
-    document.getElementById(`aqi-${actualYear}`).textContent = formatValue(aqiHistoricalValue);
-    const aqiChangeEl = document.getElementById('aqi-change');
-    if (aqiChange !== null && aqiTodayValue !== null) {
-        aqiChangeEl.textContent = aqiChangeFormatted.text;
-        aqiChangeEl.className = `change ${aqiChangeFormatted.className}`;
-    } else {
-        aqiChangeEl.textContent = 'N/A';
-        aqiChangeEl.className = 'change neutral';
-    }
-    
-    // PM2.5 comparison (lower is better)
-    const pm25TodayValue = currentAQ.pm25;
-    const pm25Today = pm25TodayValue !== null ? Math.round(pm25TodayValue) : 0;
-    const pm25HistoricalValue = historicalAQ?.pm25 ?? null;
-    const pm25Historical = pm25HistoricalValue !== null ? Math.round(pm25HistoricalValue) : null;
-    const pm25Change = pm25Historical !== null ? calculateChange(pm25Today, pm25Historical) : null;
-    const pm25ChangeFormatted = formatChange(pm25Change, true); // true = lower is better
-    
-    document.getElementById('pm25-today').textContent = formatValue(pm25TodayValue);
-    document.getElementById(`pm25-${actualYear}`).textContent = formatValue(pm25HistoricalValue);
-    const pm25ChangeEl = document.getElementById('pm25-change');
-    if (pm25Change !== null && pm25TodayValue !== null) {
-        pm25ChangeEl.textContent = pm25ChangeFormatted.text;
-        pm25ChangeEl.className = `change ${pm25ChangeFormatted.className}`;
-    } else {
-        pm25ChangeEl.textContent = 'N/A';
-        pm25ChangeEl.className = 'change neutral';
-    }
-    
-    // PM10 comparison (lower is better)
-    const pm10TodayValue = currentAQ.pm10;
-    const pm10Today = pm10TodayValue !== null ? Math.round(pm10TodayValue) : 0;
-    const pm10HistoricalValue = historicalAQ?.pm10 ?? null;
-    const pm10Historical = pm10HistoricalValue !== null ? Math.round(pm10HistoricalValue) : null;
-    const pm10Change = pm10Historical !== null ? calculateChange(pm10Today, pm10Historical) : null;
-    const pm10ChangeFormatted = formatChange(pm10Change, true); // true = lower is better
-    
-    document.getElementById('pm10-today').textContent = formatValue(pm10TodayValue);
-    document.getElementById(`pm10-${actualYear}`).textContent = formatValue(pm10HistoricalValue);
-    const pm10ChangeEl = document.getElementById('pm10-change');
-    if (pm10Change !== null && pm10TodayValue !== null) {
-        pm10ChangeEl.textContent = pm10ChangeFormatted.text;
-        pm10ChangeEl.className = `change ${pm10ChangeFormatted.className}`;
-    } else {
-        pm10ChangeEl.textContent = 'N/A';
-        pm10ChangeEl.className = 'change neutral';
-    }
-    
-    // CO comparison (lower is better)
-    const coTodayValue = currentAQ.carbon_monoxide;
-    const coToday = coTodayValue !== null ? Math.round(coTodayValue) : 0;
-    const coHistoricalValue = historicalAQ?.carbon_monoxide ?? null;
-    const coHistorical = coHistoricalValue !== null ? Math.round(coHistoricalValue) : null;
-    const coChange = coHistorical !== null ? calculateChange(coToday, coHistorical) : null;
-    const coChangeFormatted = formatChange(coChange, true); // true = lower is better
-    
-    document.getElementById('co-today').textContent = formatValue(coTodayValue);
-    document.getElementById(`co-${actualYear}`).textContent = formatValue(coHistoricalValue);
-    const coChangeEl = document.getElementById('co-change');
-    if (coChange !== null && coTodayValue !== null) {
-        coChangeEl.textContent = coChangeFormatted.text;
-        coChangeEl.className = `change ${coChangeFormatted.className}`;
-    } else {
-        coChangeEl.textContent = 'N/A';
-        coChangeEl.className = 'change neutral';
-    }
-    
-    // NO2 comparison (lower is better)
-    const no2TodayValue = currentAQ.nitrogen_dioxide;
-    const no2Today = no2TodayValue !== null ? Math.round(no2TodayValue) : 0;
-    const no2HistoricalValue = historicalAQ?.nitrogen_dioxide ?? null;
-    const no2Historical = no2HistoricalValue !== null ? Math.round(no2HistoricalValue) : null;
-    const no2Change = no2Historical !== null ? calculateChange(no2Today, no2Historical) : null;
-    const no2ChangeFormatted = formatChange(no2Change, true); // true = lower is better
-    
-    document.getElementById('no2-today').textContent = formatValue(no2TodayValue);
-    document.getElementById(`no2-${actualYear}`).textContent = formatValue(no2HistoricalValue);
-    const no2ChangeEl = document.getElementById('no2-change');
-    if (no2Change !== null && no2TodayValue !== null) {
-        no2ChangeEl.textContent = no2ChangeFormatted.text;
-        no2ChangeEl.className = `change ${no2ChangeFormatted.className}`;
-    } else {
-        no2ChangeEl.textContent = 'N/A';
-        no2ChangeEl.className = 'change neutral';
-    }
-    
-    // O3 comparison (lower is better)
-    const o3TodayValue = currentAQ.ozone;
-    const o3Today = o3TodayValue !== null ? Math.round(o3TodayValue) : 0;
-    const o3HistoricalValue = historicalAQ?.ozone ?? null;
-    const o3Historical = o3HistoricalValue !== null ? Math.round(o3HistoricalValue) : null;
-    const o3Change = o3Historical !== null ? calculateChange(o3Today, o3Historical) : null;
-    const o3ChangeFormatted = formatChange(o3Change, true); // true = lower is better
-    
-    document.getElementById('o3-today').textContent = formatValue(o3TodayValue);
-    document.getElementById(`o3-${actualYear}`).textContent = formatValue(o3HistoricalValue);
-    const o3ChangeEl = document.getElementById('o3-change');
-    if (o3Change !== null && o3TodayValue !== null) {
-        o3ChangeEl.textContent = o3ChangeFormatted.text;
-        o3ChangeEl.className = `change ${o3ChangeFormatted.className}`;
-    } else {
-        o3ChangeEl.textContent = 'N/A';
-        o3ChangeEl.className = 'change neutral';
-    }
-    
-    // SO2 comparison (lower is better)
-    const so2TodayValue = currentAQ.sulphur_dioxide;
-    const so2Today = so2TodayValue !== null ? Math.round(so2TodayValue) : 0;
-    const so2HistoricalValue = historicalAQ?.sulphur_dioxide ?? null;
-    const so2Historical = so2HistoricalValue !== null ? Math.round(so2HistoricalValue) : null;
-    const so2Change = so2Historical !== null ? calculateChange(so2Today, so2Historical) : null;
-    const so2ChangeFormatted = formatChange(so2Change, true); // true = lower is better
-    
-    document.getElementById('so2-today').textContent = formatValue(so2TodayValue);
-    document.getElementById(`so2-${actualYear}`).textContent = formatValue(so2HistoricalValue);
-    const so2ChangeEl = document.getElementById('so2-change');
-    if (so2Change !== null && so2TodayValue !== null) {
-        so2ChangeEl.textContent = so2ChangeFormatted.text;
-        so2ChangeEl.className = `change ${so2ChangeFormatted.className}`;
+    // Hourly curves for both sides in each card
+    renderHourlyCharts(currentAQ, historicalAQ, todayFormatted, historicalFormatted, aqiStandard);
+    
+    // Category badges, health advice and headline
+    displayCategories(currentAQ, historicalAQ, historicalFormatted, aqiStandard);
+    
+    // Peaks against the selected health guideline or legal limit
+    displayExceedances(currentAQ, historicalAQ);
+    
+    // Name the AQI scale on its card
+    const aqiTitleEl = document.getElementById('aqi-title');
+    if (aqiTitleEl) {
+        aqiTitleEl.textContent = formatMetricTitle(getMetric('aqi'), aqiStandard);
+    }
+    
+    // Then, now and the change for each metric
+    METRICS.forEach(metric => {
+        const { prefix } = metric;
+        const decimals = getDisplayDecimals(metric.key);
+        const todayValue = getMetricValue(metric, currentAQ, aqiStandard);
+        const historicalValue = getMetricValue(metric, historicalAQ, aqiStandard);
+        const change = todayValue !== null && historicalValue !== null ? calculateChange(todayValue, historicalValue) : null;
+        
+        document.getElementById(`${prefix}-today`).textContent = formatValue(todayValue, decimals);
+        document.getElementById(`${prefix}-historical`).textContent = formatValue(historicalValue, decimals);
+        const changeEl = document.getElementById(`${prefix}-change`);
+        if (change !== null) {
+            const changeFormatted = formatChange(change, metric.lowerIsBetter);
+            changeEl.textContent = changeFormatted.text;
+            changeEl.className = `change ${changeFormatted.className}`;
+        } else {
+            changeEl.textContent = 'N/A';
+            changeEl.className = 'change neutral';
+        }
+        changeEl.closest('.metric-card').dataset.empty = String(!hasMetricData(metric, [currentAQ, historicalAQ]));
+    });
+    applyMetricVisibility();
+}
+
+// Hourly values behind a card's chart ("aqi" is the overall index on the given standard)
+function getHourlyValues(airQuality, metricKey, aqiStandard) {
+    const hourly = airQuality?.hourly;
+    if (!hourly) return [];
+    if (metricKey === 'aqi') {
+        return hourly.time.map((time, i) => {
+            const hour = {};
+            Object.keys(AIR_QUALITY_FIELDS).forEach(key => {
+                hour[key] = hourly[key][i];
+            });
+            return getAqiValue(hour, aqiStandard);
+        });
+    }
+    return (hourly[metricKey] || []).map(value => displayConcentration(metricKey, value));
+}
+
+// Render the hourly chart in every card that has one
+function renderHourlyCharts(currentAQ, historicalAQ, currentLabel, historicalLabel, aqiStandard) {
+    document.querySelectorAll('.hourly-chart').forEach(container => {
+        const metricKey = container.dataset.metric;
+        const decimals = getDisplayDecimals(metricKey);
+        renderHourlyChart(container, {
+            label: historicalLabel,
+            times: historicalAQ?.hourly?.time || [],
+            values: getHourlyValues(historicalAQ, metricKey, aqiStandard)
+        }, {
+            label: currentLabel,
+            times: currentAQ?.hourly?.time || [],
+            values: getHourlyValues(currentAQ, metricKey, aqiStandard),
+            forecastAfter: currentAQ?.localTime || null
+        }, decimals);
+    });
+}
+
+// Render two hourly series as an SVG line chart with a hover tooltip
+// Series are aligned by position (hours since the start of each range); the current
+// series is dashed after forecastAfter, where the API returns forecast values
+function renderHourlyChart(container, historicalSeries, currentSeries, decimals = 0) {
+    container.innerHTML = '';
+    const count = Math.max(historicalSeries.values.length, currentSeries.values.length);
+    const allValues = historicalSeries.values.concat(currentSeries.values).filter(v => v !== null && v !== undefined);
+    if (count < 2 || allValues.length === 0) {
+        return;
+    }
+    
+    const width = 600;
+    const height = 120;
+    const padding = { top: 8, right: 8, bottom: 18, left: 8 };
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+    const maxValue = Math.max(...allValues, 1);
+    const step = plotWidth / (count - 1);
+    const xFor = i => padding.left + i * step;
+    const yFor = v => padding.top + plotHeight * (1 - v / maxValue);
+    
+    const svg = createSvgElement('svg', {
+        viewBox: `0 0 ${width} ${height}`,
+        class: 'line-chart',
+        role: 'img'
+    });
+    
+    // Build a path, breaking the line at missing hours
+    const buildPath = (values, from, to) => {
+        let d = '';
+        let penDown = false;
+        for (let i = from; i <= to && i < values.length; i++) {
+            if (values[i] === null || values[i] === undefined) {
+                penDown = false;
+                continue;
+            }
+            d += `${penDown ? 'L' : 'M'}${xFor(i).toFixed(1)},${yFor(values[i]).toFixed(1)}`;
+            penDown = true;
+        }
+        return d;
+    };
+    
+    // Axis labels: every 6 hours for a single day, every midnight for longer ranges
+    const axisTimes = historicalSeries.times.length >= currentSeries.times.length ? historicalSeries.times : currentSeries.times;
+    axisTimes.forEach((time, i) => {
+        const hour = time.slice(11, 13);
+        const isTick = count <= 25 ? Number(hour) % 6 === 0 : hour === '00';
+        if (!isTick) return;
+        const label = createSvgElement('text', {
+            x: xFor(i).toFixed(1),
+            y: height - 4,
+            class: 'axis-label',
+            'text-anchor': i === 0 ? 'start' : 'middle'
+        });
+        label.textContent = count <= 25 ? `${hour}:00` : formatDate(parseISODate(time.slice(0, 10))).replace(/, \d{4}$/, '');
+        svg.appendChild(label);
+    });
+    
+    svg.appendChild(createSvgElement('path', {
+        d: buildPath(historicalSeries.values, 0, count - 1),
+        class: 'series historical'
+    }));
+    
+    // Split the current series where forecast hours begin
+    let forecastIndex = currentSeries.values.length;
+    if (currentSeries.forecastAfter) {
+        const index = currentSeries.times.findIndex(time => time > currentSeries.forecastAfter);
+        if (index !== -1) forecastIndex = index;
+    }
+    svg.appendChild(createSvgElement('path', {
+        d: buildPath(currentSeries.values, 0, forecastIndex - 1),
+        class: 'series today'
+    }));
+    if (forecastIndex < currentSeries.values.length) {
+        svg.appendChild(createSvgElement('path', {
+            d: buildPath(currentSeries.values, Math.max(0, forecastIndex - 1), count - 1),
+            class: 'series today forecast'
+        }));
+    }
+    
+    // Hover guide and tooltip
+    const guide = createSvgElement('line', {
+        y1: padding.top,
+        y2: padding.top + plotHeight,
+        class: 'guide',
+        visibility: 'hidden'
+    });
+    svg.appendChild(guide);
+    const tooltip = document.createElement('div');
+    tooltip.className = 'chart-tooltip';
+    tooltip.style.display = 'none';
+    
+    const formatPoint = (series, i) => {
+        const value = series.values[i];
+        const time = series.times[i] ? series.times[i].slice(11, 16) : '';
+        const text = value === null || value === undefined ? 'N/A' : value.toFixed(decimals);
+        return `${series.label} ${time}: ${text}`;
+    };
+    
+    svg.addEventListener('mousemove', event => {
+        const rect = svg.getBoundingClientRect();
+        if (rect.width === 0) return;
+        const x = ((event.clientX - rect.left) / rect.width) * width;
+        const i = Math.min(count - 1, Math.max(0, Math.round((x - padding.left) / step)));
+        guide.setAttribute('x1', xFor(i).toFixed(1));
+        guide.setAttribute('x2', xFor(i).toFixed(1));
+        guide.setAttribute('visibility', 'visible');
+        tooltip.textContent = '';
+        [historicalSeries, currentSeries].forEach(series => {
+            const line = document.createElement('div');
+            line.textContent = formatPoint(series, i);
+            tooltip.appendChild(line);
+        });
+        tooltip.style.display = 'block';
+        tooltip.style.left = `${(xFor(i) / width) * 100}%`;
+    });
+    svg.addEventListener('mouseleave', () => {
+        guide.setAttribute('visibility', 'hidden');
+        tooltip.style.display = 'none';
+    });
+    
+    const legend = document.createElement('div');
+    legend.className = 'chart-legend';
+    legend.innerHTML = '<span class="swatch historical"></span><span class="legend-historical"></span>' +
+        '<span class="swatch today"></span><span class="legend-today"></span>';
+    legend.querySelector('.legend-historical').textContent = historicalSeries.label;
+    legend.querySelector('.legend-today').textContent = currentSeries.label;
+    
+    container.appendChild(svg);
+    container.appendChild(tooltip);
+    container.appendChild(legend);
+}
+
+// Title for a metric: the AQI names its standard, pollutants their display unit
+function formatMetricTitle(metric, aqiStandard) {
+    if (metric.field && !metric.unit) return metric.label;
+    return metric.field
+        ? `${metric.label} (${getDisplayUnit(metric.key)})`
+        : `${metric.label} (${AQI_STANDARDS[aqiStandard].name})`;
+}
+
+// Fetch the current side's calendar dates in every year the archive covers and plot them
+// Years the archive has nothing for are kept and marked as "no data"
+async function loadTrend(latitude, longitude, currentRange, referenceHour, aqiStandard, signal = null) {
+    const statusEl = document.getElementById('trend-status');
+    const chartsEl = document.getElementById('trend-charts');
+    if (!statusEl || !chartsEl) return;
+    
+    const location = lastLocation;
+    const lastYear = parseISODate(currentRange.end).getFullYear();
+    // Start at the first year the location's model has data for this range
+    const archiveStart = getArchiveStart(latitude, longitude);
+    let firstYear = parseISODate(archiveStart).getFullYear();
+    if (toISODate(sameDayInYear(parseISODate(currentRange.end), firstYear)) < archiveStart) {
+        firstYear++;
+    }
+    statusEl.textContent = `Loading ${firstYear}–${lastYear}...`;
+    chartsEl.innerHTML = '';
+    lastTrend = null;
+    
+    const years = [];
+    for (let y = firstYear; y <= lastYear; y++) {
+        years.push(y);
+    }
+    
+    // Shift the whole range so multi-day ranges keep their length (Feb 29 becomes Feb 28)
+    const results = await Promise.all(years.map(async trendYear => {
+        const yearOffset = trendYear - lastYear;
+        const range = {
+            start: toISODate(sameDayInYear(parseISODate(currentRange.start), parseISODate(currentRange.start).getFullYear() + yearOffset)),
+            end: toISODate(sameDayInYear(parseISODate(currentRange.end), trendYear))
+        };
+        try {
+            const airQuality = await fetchAirQuality(latitude, longitude, range, referenceHour, selectedComparisonMode, signal);
+            return { year: trendYear, airQuality: hasAirQualityData(airQuality) ? airQuality : null };
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.warn(`Failed to fetch trend data for ${trendYear}:`, error);
+            return { year: trendYear, airQuality: null };
+        }
+    }));
+    
+    // Ignore results for a location the user has since moved away from
+    if (location !== lastLocation) return;
+    
+    displayTrend(results, lastYear, aqiStandard);
+    lastTrend = { results, highlightYear: lastYear, aqiStandard };
+}
+
+// Display the multi-year trend as one small bar chart per metric
+function displayTrend(results, highlightYear, aqiStandard) {
+    const statusEl = document.getElementById('trend-status');
+    const chartsEl = document.getElementById('trend-charts');
+    
+    const missingYears = results.filter(r => !r.airQuality).map(r => r.year);
+    statusEl.textContent = missingYears.length > 0
+        ? `No data for ${missingYears.join(', ')}`
+        : '';
+    
+    chartsEl.innerHTML = '';
+    const airQualities = results.map(r => r.airQuality);
+    getVisibleMetrics().filter(metric => hasMetricData(metric, airQualities)).forEach(metric => {
+        const points = results.map(r => ({
+            year: r.year,
+            value: getMetricValue(metric, r.airQuality, aqiStandard)
+        }));
+        const chartEl = document.createElement('div');
+        chartEl.className = 'trend-chart';
+        const titleEl = document.createElement('h4');
+        titleEl.textContent = formatMetricTitle(metric, aqiStandard);
+        chartEl.appendChild(titleEl);
+        chartEl.appendChild(renderBarChart(points, highlightYear, getDisplayDecimals(metric.key)));
+        chartsEl.appendChild(chartEl);
+    });
+}
+
+// Create an SVG element with the given attributes
+function createSvgElement(tag, attributes = {}) {
+    const el = document.createElementNS('http://www.w3.org/2000/svg', tag);
+    Object.entries(attributes).forEach(([name, value]) => {
+        el.setAttribute(name, value);
+    });
+    return el;
+}
+
+// Render a year-by-year bar chart as SVG
+// points: [{ year, value }]; null values are drawn as a "no data" marker
+function renderBarChart(points, highlightYear, decimals = 0) {
+    const width = 280;
+    const height = 120;
+    const padding = { top: 14, right: 4, bottom: 18, left: 4 };
+    const plotHeight = height - padding.top - padding.bottom;
+    const slot = (width - padding.left - padding.right) / points.length;
+    const values = points.map(p => p.value).filter(v => v !== null && v !== undefined);
+    const maxValue = values.length > 0 ? Math.max(...values, 1) : 1;
+    
+    const svg = createSvgElement('svg', {
+        viewBox: `0 0 ${width} ${height}`,
+        class: 'bar-chart',
+        role: 'img'
+    });
+    
+    points.forEach((point, i) => {
+        const x = padding.left + i * slot;
+        const baseline = padding.top + plotHeight;
+        const group = createSvgElement('g');
+        const tooltip = createSvgElement('title');
+        
+        if (point.value === null || point.value === undefined) {
+            // No data: small cross on the baseline
+            const label = createSvgElement('text', {
+                x: x + slot / 2,
+                y: baseline - 2,
+                class: 'no-data',
+                'text-anchor': 'middle'
+            });
+            label.textContent = '×';
+            group.appendChild(label);
+            tooltip.textContent = `${point.year}: no data`;
+        } else {
+            const barHeight = Math.max(1, (point.value / maxValue) * plotHeight);
+            group.appendChild(createSvgElement('rect', {
+                x: x + slot * 0.15,
+                y: baseline - barHeight,
+                width: slot * 0.7,
+                height: barHeight,
+                class: point.year === highlightYear ? 'bar highlight' : 'bar'
+            }));
+            const valueLabel = createSvgElement('text', {
+                x: x + slot / 2,
+                y: baseline - barHeight - 3,
+                class: 'bar-value',
+                'text-anchor': 'middle'
+            });
+            valueLabel.textContent = point.value.toFixed(decimals);
+            group.appendChild(valueLabel);
+            tooltip.textContent = `${point.year}: ${point.value.toFixed(decimals)}`;
+        }
+        
+        // Two-digit year labels keep a dozen or more years readable
+        const yearLabel = createSvgElement('text', {
+            x: x + slot / 2,
+            y: height - 4,
+            class: 'axis-label',
+            'text-anchor': 'middle'
+        });
+        yearLabel.textContent = `'${String(point.year).slice(2)}`;
+        group.appendChild(yearLabel);
+        group.appendChild(tooltip);
+        svg.appendChild(group);
+    });
+    
+    return svg;
+}
+
+// Export: the comparison shown can be downloaded as JSON or CSV
+// Both follow schema version EXPORT_SCHEMA_VERSION; fields are only ever added within a version.
+// Values are unrounded and in each metric's own unit (listed under metrics): μg/m³ for concentrations whatever
+// units are shown, grains/m³ for pollen, none for indices and optical depth; changes and deltas are percentages.
+// Optional metrics the model doesn't provide for the location are null. Missing values are null in JSON and empty in CSV.
+//
+// JSON:
+//   schema_version, generated_at (ISO 8601)
+//   location: { name, latitude, longitude, country_code, country_name }
+//   aqi_standard: { key, name }, comparison_mode, reference_hour (local hour the "same hour" mode uses)
+//   periods: { historical: { start, end }, current: { start, end } } (YYYY-MM-DD, inclusive)
+//   metrics: [{ key, unit }] in the order used below; "aqi" is the overall index on aqi_standard
+//   values: { historical: { <metric>: number }, current: { <metric>: number } }
+//   changes: { <metric>: % change from historical to current }
+//   national: null, or { country_name, method, sampling, sample_locations: [{ name, latitude, longitude }],
+//              values: { historical, current }, deltas: { historical, current } (% location vs national) }
+//   hourly: { historical, current }: null, or { time: [local YYYY-MM-DDTHH:MM], <metric>: [number] }
+//   data_source: { historical, current }: the provenance shown under "About this data"
+//
+// CSV: one row per value with the columns record, period, time, location, metric, value, unit, where record is
+//   meta (metric is schema_version, generated_at, aqi_standard, comparison_mode, reference_hour, national_method
+//   or national_sampling), location (latitude, longitude, country_code, country_name), period (start, end),
+//   value, change, national, national_delta, national_sample (latitude, longitude of each sample location)
+//   or hourly (one row per hour and metric)
+const EXPORT_SCHEMA_VERSION = 1;
+
+// Unit of an exported metric (the provider's own indices are not in METRICS; unitless metrics have none)
+function getExportUnit(metricKey) {
+    return getMetric(metricKey)?.unit ?? 'index';
+}
+
+// Build the export record for a comparison (see the schema above)
+function buildExport(comparison) {
+    const { location, countryInfo, dates, aqiStandard, currentAQ, historicalAQ, national } = comparison;
+    const metricKeys = ['aqi', ...Object.keys(AIR_QUALITY_FIELDS)];
+    
+    const valuesOf = airQuality => {
+        const values = {};
+        metricKeys.forEach(key => {
+            const value = key === 'aqi' ? getAqiValue(airQuality, aqiStandard) : airQuality?.[key];
+            values[key] = value ?? null;
+        });
+        return values;
+    };
+    // calculateChange marks a change from zero with an object; that has no percentage
+    const percentages = (values, against, compute) => {
+        const result = {};
+        metricKeys.forEach(key => {
+            const value = compute(values[key], against[key]);
+            result[key] = typeof value === 'number' && isFinite(value) ? value : null;
+        });
+        return result;
+    };
+    const hourlyOf = airQuality => {
+        const hourly = airQuality?.hourly;
+        if (!hourly) return null;
+        const series = { time: hourly.time };
+        Object.keys(AIR_QUALITY_FIELDS).forEach(key => {
+            series[key] = hourly[key];
+        });
+        return series;
+    };
+    
+    const values = { historical: valuesOf(historicalAQ), current: valuesOf(currentAQ) };
+    let nationalExport = null;
+    if (national) {
+        // The national AQI is aggregated from the samples' own indices rather than computed from the averages
+        const nationalValues = { historical: valuesOf(national.historical), current: valuesOf(national.current) };
+        nationalValues.historical.aqi = national.historical?.aqi ?? null;
+        nationalValues.current.aqi = national.current?.aqi ?? null;
+        nationalExport = {
+            country_name: countryInfo?.name || null,
+            method: national.method,
+            sampling: national.samplingMode,
+            sample_locations: national.sampleCities.map(loc => ({ name: loc.name, latitude: loc.lat, longitude: loc.lon })),
+            values: nationalValues,
+            deltas: {
+                historical: percentages(values.historical, nationalValues.historical, calculateDelta),
+                current: percentages(values.current, nationalValues.current, calculateDelta)
+            }
+        };
+    }
+    
+    return {
+        schema_version: EXPORT_SCHEMA_VERSION,
+        generated_at: new Date().toISOString(),
+        location: {
+            name: location.name || null,
+            latitude: location.latitude,
+            longitude: location.longitude,
+            country_code: countryInfo?.code || null,
+            country_name: countryInfo?.name || null
+        },
+        aqi_standard: { key: aqiStandard, name: AQI_STANDARDS[aqiStandard].name },
+        comparison_mode: comparison.comparisonMode,
+        reference_hour: currentAQ?.referenceHour ?? null,
+        periods: {
+            historical: { start: dates.historical.start, end: dates.historical.end },
+            current: { start: dates.current.start, end: dates.current.end }
+        },
+        metrics: metricKeys.map(key => ({ key, unit: getExportUnit(key) })),
+        values,
+        changes: percentages(values.current, values.historical, calculateChange),
+        national: nationalExport,
+        hourly: { historical: hourlyOf(historicalAQ), current: hourlyOf(currentAQ) },
+        data_source: { historical: historicalAQ?.provenance || null, current: currentAQ?.provenance || null }
+    };
+}
+
+// Flatten an export record into CSV (see the schema above)
+function exportToCsv(record) {
+    const rows = [['record', 'period', 'time', 'location', 'metric', 'value', 'unit']];
+    const add = (type, period, time, location, metric, value, unit = '') => {
+        rows.push([type, period, time, location ?? '', metric, value ?? '', unit]);
+    };
+    const place = record.location.name;
+    const periods = ['historical', 'current'];
+    
+    add('meta', '', '', '', 'schema_version', record.schema_version);
+    add('meta', '', '', '', 'generated_at', record.generated_at);
+    add('meta', '', '', '', 'aqi_standard', record.aqi_standard.key);
+    add('meta', '', '', '', 'comparison_mode', record.comparison_mode);
+    add('meta', '', '', '', 'reference_hour', record.reference_hour);
+    ['latitude', 'longitude', 'country_code', 'country_name'].forEach(field => {
+        add('location', '', '', place, field, record.location[field]);
+    });
+    periods.forEach(period => {
+        add('period', period, '', '', 'start', record.periods[period].start);
+        add('period', period, '', '', 'end', record.periods[period].end);
+    });
+    record.metrics.forEach(({ key, unit }) => {
+        periods.forEach(period => add('value', period, '', place, key, record.values[period][key], unit));
+        add('change', 'current', '', place, key, record.changes[key], '%');
+    });
+    
+    const national = record.national;
+    if (national) {
+        add('meta', '', '', '', 'national_method', national.method);
+        add('meta', '', '', '', 'national_sampling', national.sampling);
+        national.sample_locations.forEach(loc => {
+            add('national_sample', '', '', loc.name, 'latitude', loc.latitude);
+            add('national_sample', '', '', loc.name, 'longitude', loc.longitude);
+        });
+        record.metrics.forEach(({ key, unit }) => {
+            periods.forEach(period => {
+                add('national', period, '', national.country_name, key, national.values[period][key], unit);
+                add('national_delta', period, '', place, key, national.deltas[period][key], '%');
+            });
+        });
+    }
+    
+    periods.forEach(period => {
+        const hourly = record.hourly[period];
+        if (!hourly) return;
+        hourly.time.forEach((time, i) => {
+            Object.keys(AIR_QUALITY_FIELDS).forEach(key => {
+                add('hourly', period, time, place, key, hourly[key][i], getExportUnit(key));
+            });
+        });
+    });
+    
+    const escape = value => {
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return rows.map(row => row.map(escape).join(',')).join('\n') + '\n';
+}
+
+// Shareable snapshot: a summary card drawn on a canvas from the comparison data (not a screenshot of the page)
+const SNAPSHOT_WIDTH = 1200;
+const SNAPSHOT_HEIGHT = 630;
+const SNAPSHOT_FONT = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif";
+const SNAPSHOT_CHANGE_COLORS = { positive: '#0a0', negative: '#c00', neutral: '#666' };
+
+// Draw the summary card for a comparison: location, both dates, the AQI with its category colours,
+// the change in each pollutant (in the units shown) and the data source
+function renderSnapshotCard(comparison) {
+    const { location, countryInfo, dates, aqiStandard, currentAQ, historicalAQ } = comparison;
+    const standard = AQI_STANDARDS[aqiStandard];
+    const canvas = document.createElement('canvas');
+    canvas.width = SNAPSHOT_WIDTH;
+    canvas.height = SNAPSHOT_HEIGHT;
+    const ctx = canvas.getContext('2d');
+    const margin = 60;
+    
+    const text = (value, x, y, size, color = '#000', weight = 'normal', align = 'left') => {
+        ctx.font = `${weight} ${size}px ${SNAPSHOT_FONT}`;
+        ctx.fillStyle = color;
+        ctx.textAlign = align;
+        ctx.fillText(value, x, y);
+    };
+    
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, SNAPSHOT_WIDTH, SNAPSHOT_HEIGHT);
+    
+    // Header: brand and location
+    text('Air Quality Comparison', margin, 70, 22, '#666');
+    const placeName = location.name || `${location.latitude.toFixed(4)}, ${location.longitude.toFixed(4)}`;
+    const countrySuffix = countryInfo?.name && !placeName.includes(countryInfo.name) ? `, ${countryInfo.name}` : '';
+    text(`${placeName}${countrySuffix}`, margin, 120, 40, '#000', '500');
+    
+    // Both sides: date, AQI value and a category badge
+    const sideWidth = (SNAPSHOT_WIDTH - margin * 2) / 2;
+    const drawSide = (aqi, range, x) => {
+        text(formatDateRange(range), x, 180, 22, '#666');
+        text(aqi === null ? 'N/A' : String(Math.round(aqi)), x, 260, 72, '#000', '300');
+        const category = getAqiCategory(aqiStandard, aqi);
+        if (category) {
+            ctx.font = `normal 20px ${SNAPSHOT_FONT}`;
+            const badgeWidth = ctx.measureText(category.label).width + 20;
+            ctx.fillStyle = category.color;
+            ctx.fillRect(x, 280, badgeWidth, 32);
+            text(category.label, x + 10, 303, 20, getContrastTextColor(category.color));
+        }
+    };
+    const historicalAqi = getAqiValue(historicalAQ, aqiStandard);
+    const currentAqi = getAqiValue(currentAQ, aqiStandard);
+    drawSide(historicalAqi, dates.historical, margin);
+    drawSide(currentAqi, dates.current, margin + sideWidth);
+    
+    const aqiChange = currentAqi !== null && historicalAqi !== null
+        ? formatChange(calculateChange(Math.round(currentAqi), Math.round(historicalAqi)), true)
+        : formatChange(null);
+    text(`${standard.name}  ${aqiChange.text}`, SNAPSHOT_WIDTH - margin, 180, 22, SNAPSHOT_CHANGE_COLORS[aqiChange.className], '500', 'right');
+    
+    // Pollutants: then → now and the change, three to a row
+    const pollutants = getVisibleMetrics(POLLUTANT_METRICS).filter(metric => !metric.optional);
+    const columnWidth = (SNAPSHOT_WIDTH - margin * 2) / 3;
+    pollutants.forEach((metric, i) => {
+        const x = margin + (i % 3) * columnWidth;
+        const y = 380 + Math.floor(i / 3) * 90;
+        const decimals = getDisplayDecimals(metric.key);
+        const now = getMetricValue(metric, currentAQ, aqiStandard);
+        const then = getMetricValue(metric, historicalAQ, aqiStandard);
+        const format = value => (value === null ? 'N/A' : value.toFixed(decimals));
+        const change = now !== null && then !== null ? formatChange(calculateChange(now, then), metric.lowerIsBetter) : formatChange(null);
+        text(formatMetricTitle(metric, aqiStandard), x, y, 20, '#666');
+        text(`${format(then)} → ${format(now)}`, x, y + 34, 26);
+        text(change.text, x + columnWidth - 30, y + 34, 22, SNAPSHOT_CHANGE_COLORS[change.className], '500', 'right');
+    });
+    
+    // Footer: data source
+    ctx.fillStyle = '#ddd';
+    ctx.fillRect(margin, SNAPSHOT_HEIGHT - 70, SNAPSHOT_WIDTH - margin * 2, 1);
+    text(`Data: ${currentAQ?.dataSource || 'Unknown'} via Open-Meteo · ${standard.name}`, margin, SNAPSHOT_HEIGHT - 35, 18, '#666');
+    text(window.location.host, SNAPSHOT_WIDTH - margin, SNAPSHOT_HEIGHT - 35, 18, '#999', 'normal', 'right');
+    
+    return canvas;
+}
+
+// Offer text or a Blob as a file download
+function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// File name for an export, e.g. aqi-paris-2023-10-19-vs-2026-10-19.csv
+function getExportFilename(record, extension) {
+    const { name, latitude, longitude } = record.location;
+    const place = (name || `${latitude.toFixed(2)}_${longitude.toFixed(2)}`)
+        .toLowerCase()
+        .replace(/[^a-z0-9._]+/g, '-')
+        .replace(/^-|-$/g, '');
+    return `aqi-${place}-${record.periods.historical.start}-vs-${record.periods.current.start}.${extension}`;
+}
+
+// Set up the export and snapshot buttons
+function setupExport() {
+    const csvButton = document.getElementById('export-csv-button');
+    const jsonButton = document.getElementById('export-json-button');
+    if (!csvButton || !jsonButton) return;
+    
+    csvButton.addEventListener('click', () => {
+        if (!lastComparison) return;
+        const record = buildExport(lastComparison);
+        downloadFile(getExportFilename(record, 'csv'), exportToCsv(record), 'text/csv;charset=utf-8');
+    });
+    jsonButton.addEventListener('click', () => {
+        if (!lastComparison) return;
+        const record = buildExport(lastComparison);
+        downloadFile(getExportFilename(record, 'json'), JSON.stringify(record, null, 2), 'application/json');
+    });
+    
+    const imageButton = document.getElementById('export-image-button');
+    if (imageButton) {
+        imageButton.addEventListener('click', () => {
+            if (!lastComparison) return;
+            const filename = getExportFilename(buildExport(lastComparison), 'png');
+            renderSnapshotCard(lastComparison).toBlob(blob => {
+                if (blob) {
+                    downloadFile(filename, blob, 'image/png');
+                }
+            }, 'image/png');
+        });
+    }
+}
+
+// Printable report: the page prints as a report of the comparison shown, with a methodology section
+// explaining how its values were produced (the print styles hide the controls)
+function renderMethodology(comparison, el = document.getElementById('methodology-text')) {
+    if (!el) return;
+    el.innerHTML = '';
+    if (!comparison) return;
+    const { dates, aqiStandard, currentAQ, national } = comparison;
+    const standard = AQI_STANDARDS[aqiStandard];
+    const hour = `${String(currentAQ.referenceHour ?? 0).padStart(2, '0')}:00`;
+    
+    const modeDetails = {
+        'same-hour': `Each value is the reading at ${hour} local time (the hour the page was opened at the location), ` +
+            'averaged across the days when a date range spans several. For today alone the live reading is used.',
+        'daily-mean': 'Each value is the mean of every hour in the date range. Hours after the current one today are forecast values.',
+        'daily-max': 'Each value is the highest hourly reading in the date range. Hours after the current one today are forecast values.',
+        'rolling-24h': `Each value is the mean of the 24 hours ending at ${hour} local time on the last day of the date range.`
+    };
+    const usedFallback = !selectedDates && dates.historical.start.startsWith(String(FALLBACK_YEAR));
+    let historicalDates = `By default the same calendar day in ${HISTORICAL_YEAR} is used, falling back to ${FALLBACK_YEAR} where the archive has no data.`;
+    if (selectedDates) {
+        historicalDates = 'Both date ranges were picked by the user and are used as given: ' +
+            `there is no fallback to ${FALLBACK_YEAR}, so days the archive has no data for show as N/A.`;
+    } else if (usedFallback) {
+        historicalDates = `The archive has no data for this day in ${HISTORICAL_YEAR}, so the same day in ${FALLBACK_YEAR} is used instead.`;
+    }
+    const nationalMethod = national
+        ? `${NATIONAL_AGGREGATIONS[national.method].name} of ${national.sampleCities.length} ` +
+            `${national.samplingMode === 'grid' ? 'evenly spaced grid points' : 'cities picked by population and spread'} ` +
+            `in ${comparison.countryInfo?.name || 'the country'} (${national.sampleCities.map(loc => loc.name).join(', ')}).`
+        : 'No national figure was available for this location.';
+    const guideline = GUIDELINE_STANDARDS[selectedGuideline];
+    const sections = [
+        ['Comparison', `${formatDateRange(dates.historical)} is compared with ${formatDateRange(dates.current)}. ` +
+            `${modeDetails[comparison.comparisonMode] || modeDetails['same-hour']} ` +
+            'Both sides use the same method, and hours without data are skipped.'],
+        ['Historical dates', historicalDates],
+        ['Air quality index', `Indices are on the ${standard.name} scale. ` +
+            (standard.field
+                ? 'The overall index comes from the data provider; pollutant sub-indices are computed from the concentrations above.'
+                : "The overall index is the highest of the pollutant sub-indices, computed from the concentrations with the standard's breakpoints.")],
+        ['National figures', `${nationalMethod} Each sample uses the same dates and method at its own local hour; ` +
+            'the percentage next to each national figure compares this location with it.'],
+        ['Guidelines', `Exceedance ratios divide the highest value over each limit's averaging period by the ${guideline.fullName}: ` +
+            `the highest hourly value for 1h limits, the highest 8-hour rolling mean for 8h limits and the highest calendar-day mean ` +
+            `for 24h limits. Means need ${Math.round(AVERAGING_MIN_COVERAGE * 100)}% of their hours to have data. ` +
+            `For ranges reaching today, hours after the location's current hour are forecast values and are left out, ` +
+            `and today's daily mean is taken over the 24 hours up to the current hour instead.`],
+        ['Units', selectedUnits === 'ppb'
+            ? `Particulates are in μg/m³. Gases are converted from μg/m³ to ppb (CO to ppm) at 25 °C and 1 atm (${MOLAR_VOLUME} L/mol).`
+            : 'All concentrations are in μg/m³.'],
+        ['Data', `Modelled concentrations from ${currentAQ.dataSource || 'the Open-Meteo air quality models'} via the Open-Meteo ` +
+            'Air Quality API, not station measurements. The grid cell and model behind each side are listed under "About this data".']
+    ];
+    sections.forEach(([heading, text]) => {
+        const p = document.createElement('p');
+        const strong = document.createElement('strong');
+        strong.textContent = `${heading}. `;
+        p.appendChild(strong);
+        p.appendChild(document.createTextNode(text));
+        el.appendChild(p);
+    });
+}
+
+// Set up the print button and fill in the report's methodology whenever the page is printed
+function setupPrintReport() {
+    const aboutEl = document.querySelector('.about-data');
+    let aboutWasOpen = false;
+    
+    window.addEventListener('beforeprint', () => {
+        renderMethodology(lastComparison);
+        // Print the provenance table even if it is collapsed on screen
+        if (aboutEl) {
+            aboutWasOpen = aboutEl.open;
+            aboutEl.open = true;
+        }
+    });
+    window.addEventListener('afterprint', () => {
+        if (aboutEl) aboutEl.open = aboutWasOpen;
+    });
+    
+    const printButton = document.getElementById('print-report-button');
+    if (printButton) {
+        printButton.addEventListener('click', () => window.print());
+    }
+}
+
+// Deep links: the location, dates and settings shown are kept in the page URL's query string, e.g.
+// ?lat=48.8566&lon=2.3522&name=Paris&then_start=2023-01-16&then_end=2023-01-16&now_start=…&now_end=…&mode=daily-mean&aqi=eu-eaqi&guideline=eu&units=ppb
+// Dates are only included once picked; mode, aqi, guideline and units only when they differ from the defaults
+// A link without units falls back to the saved unit preference
+
+// Apply the settings in the page URL and return its location, or null if it has none
+function restoreUrlState() {
+    const params = new URLSearchParams(window.location.search);
+    const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+    
+    const mode = params.get('mode');
+    selectedComparisonMode = COMPARISON_MODES[mode] ? mode : 'same-hour';
+    const standard = params.get('aqi');
+    selectedAqiStandard = AQI_STANDARDS[standard] ? standard : null;
+    const guideline = params.get('guideline');
+    selectedGuideline = GUIDELINE_STANDARDS[guideline] ? guideline : 'who-2021';
+    const units = params.get('units');
+    selectedUnits = units === 'ppb' || units === 'ugm3' ? units : loadUnitsPreference();
+    
+    const dateParams = ['then_start', 'then_end', 'now_start', 'now_end'].map(name => params.get(name));
+    selectedDates = dateParams.every(isDate) && dateParams[0] <= dateParams[1] && dateParams[2] <= dateParams[3] ? {
+        historical: { start: dateParams[0], end: dateParams[1] },
+        current: { start: dateParams[2], end: dateParams[3] }
+    } : null;
+    
+    const latitude = parseFloat(params.get('lat'));
+    const longitude = parseFloat(params.get('lon'));
+    if (isNaN(latitude) || isNaN(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+        return null;
+    }
+    return { latitude, longitude, name: params.get('name') || null };
+}
+
+// Write the location and settings shown to the page URL
+// A new location adds a history entry (so back/forward moves between locations); anything else replaces it
+function writeUrlState() {
+    if (!lastLocation) return;
+    const params = new URLSearchParams();
+    params.set('lat', lastLocation.latitude.toFixed(4));
+    params.set('lon', lastLocation.longitude.toFixed(4));
+    if (lastLocation.name) {
+        params.set('name', lastLocation.name);
+    }
+    if (selectedDates) {
+        params.set('then_start', selectedDates.historical.start);
+        params.set('then_end', selectedDates.historical.end);
+        params.set('now_start', selectedDates.current.start);
+        params.set('now_end', selectedDates.current.end);
+    }
+    if (selectedComparisonMode !== 'same-hour') {
+        params.set('mode', selectedComparisonMode);
+    }
+    if (selectedAqiStandard) {
+        params.set('aqi', selectedAqiStandard);
+    }
+    if (selectedGuideline !== 'who-2021') {
+        params.set('guideline', selectedGuideline);
+    }
+    if (selectedUnits !== 'ugm3') {
+        params.set('units', selectedUnits);
+    }
+    
+    if (`?${params}` === window.location.search) return;
+    const current = new URLSearchParams(window.location.search);
+    const url = `${window.location.pathname}?${params}${window.location.hash}`;
+    const isNewLocation = current.has('lat') &&
+        (current.get('lat') !== params.get('lat') || current.get('lon') !== params.get('lon'));
+    if (isNewLocation) {
+        history.pushState(null, '', url);
     } else {
-        so2ChangeEl.textContent = 'N/A';
-        so2ChangeEl.className = 'change neutral';
+        history.replaceState(null, '', url);
+    }
+}
+
+// Show the current settings in the controls (after they were restored from the URL)
+function syncComparisonControls() {
+    const values = {
+        'view-mode': viewMode,
+        'comparison-mode': selectedComparisonMode,
+        'aqi-standard': selectedAqiStandard || '',
+        'guideline': selectedGuideline,
+        'units': selectedUnits
+    };
+    Object.entries(values).forEach(([id, value]) => {
+        const el = document.getElementById(id);
+        if (el) el.value = value;
+    });
+    updateUnitLabels();
+    
+    const dates = getComparisonDates();
+    const dateValues = {
+        'historical-start': dates.historical.start,
+        'historical-end': dates.historical.end,
+        'current-start': dates.current.start,
+        'current-end': dates.current.end
+    };
+    Object.entries(dateValues).forEach(([id, value]) => {
+        const el = document.getElementById(id);
+        if (el) el.value = value;
+    });
+}
+
+// Limit the date picker to dates the archive covers for the current location
+function updateDatePickerLimits() {
+    const min = lastLocation ? getArchiveStart(lastLocation.latitude, lastLocation.longitude) : getArchiveStart();
+    const todayISO = toISODate(new Date());
+    ['historical-start', 'historical-end', 'current-start', 'current-end'].forEach(id => {
+        const input = document.getElementById(id);
+        if (!input) return;
+        input.min = min;
+        input.max = todayISO;
+    });
+}
+
+// Back/forward: show the location and settings of that history entry
+function setupHistoryNavigation() {
+    window.addEventListener('popstate', () => {
+        const location = restoreUrlState();
+        viewMode = 'single';
+        syncComparisonControls();
+        if (location) {
+            fetchAndDisplayAQ(location.latitude, location.longitude, location.name);
+        }
+    });
+}
+
+// Favourites: saved locations kept in localStorage as
+// [{ name, latitude, longitude, countryName, countryCode }], in the user's order
+const FAVOURITES_STORAGE_KEY = 'aqi-favourites';
+
+// Read the saved favourites (an empty list if there are none or storage is unavailable)
+function loadFavourites() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(FAVOURITES_STORAGE_KEY));
+        return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+        console.warn('Failed to read favourites:', error);
+        return [];
+    }
+}
+
+// Write the favourites back to localStorage
+function saveFavourites(favourites) {
+    try {
+        localStorage.setItem(FAVOURITES_STORAGE_KEY, JSON.stringify(favourites));
+    } catch (error) {
+        console.warn('Failed to save favourites:', error);
+    }
+}
+
+// Save the location currently shown as a favourite
+function addFavourite(location) {
+    const favourites = loadFavourites();
+    const isSaved = favourites.some(fav =>
+        fav.latitude.toFixed(4) === location.latitude.toFixed(4) && fav.longitude.toFixed(4) === location.longitude.toFixed(4));
+    if (isSaved) {
+        alert('This location is already in your favourites');
+        return;
+    }
+    favourites.push({
+        name: location.name || formatCoordinates(location.latitude, location.longitude),
+        latitude: location.latitude,
+        longitude: location.longitude,
+        countryName: location.country?.name || '',
+        countryCode: location.country?.code || ''
+    });
+    saveFavourites(favourites);
+    renderFavourites();
+}
+
+// Rebuild the favourites list: each entry loads with one click and can be renamed, moved or removed
+function renderFavourites() {
+    const listEl = document.getElementById('favourites-list');
+    if (!listEl) return;
+    
+    const favourites = loadFavourites();
+    listEl.innerHTML = '';
+    
+    // Apply a change to the stored list and redraw
+    const update = change => {
+        const updated = loadFavourites();
+        change(updated);
+        saveFavourites(updated);
+        renderFavourites();
+    };
+    const addButton = (itemEl, label, title, onClick) => {
+        const button = document.createElement('button');
+        button.className = 'favourite-action';
+        button.textContent = label;
+        button.title = title;
+        button.addEventListener('click', onClick);
+        itemEl.appendChild(button);
+        return button;
+    };
+    
+    favourites.forEach((fav, index) => {
+        const itemEl = document.createElement('li');
+        itemEl.className = 'favourite';
+        
+        const loadButton = document.createElement('button');
+        loadButton.className = 'favourite-load';
+        loadButton.textContent = fav.name;
+        loadButton.title = fav.countryName ? `${fav.name} (${fav.countryName})` : fav.name;
+        loadButton.addEventListener('click', () => {
+            const location = { latitude: fav.latitude, longitude: fav.longitude, name: fav.name };
+            if (viewMode === 'side-by-side') {
+                addComparisonLocation(location);
+            } else {
+                fetchAndDisplayAQ(location.latitude, location.longitude, location.name);
+            }
+        });
+        itemEl.appendChild(loadButton);
+        
+        const badgeEl = document.createElement('span');
+        badgeEl.className = 'category-badge';
+        itemEl.appendChild(badgeEl);
+        
+        addButton(itemEl, 'Rename', 'Rename', () => {
+            const name = prompt('Name for this location', fav.name);
+            if (name && name.trim()) {
+                update(list => {
+                    list[index].name = name.trim();
+                });
+            }
+        });
+        addButton(itemEl, '↑', 'Move up', () => update(list => {
+            list.splice(index - 1, 0, list.splice(index, 1)[0]);
+        })).disabled = index === 0;
+        addButton(itemEl, '↓', 'Move down', () => update(list => {
+            list.splice(index + 1, 0, list.splice(index, 1)[0]);
+        })).disabled = index === favourites.length - 1;
+        addButton(itemEl, '×', 'Remove', () => update(list => {
+            list.splice(index, 1);
+        }));
+        
+        listEl.appendChild(itemEl);
+    });
+    
+    refreshFavouriteBadges(favourites, [...listEl.querySelectorAll('.category-badge')]);
+}
+
+// Fill each favourite's badge with its current AQI (one batched request for all of them)
+// Each favourite uses its own country's AQI standard unless one is chosen
+async function refreshFavouriteBadges(favourites, badgeEls) {
+    if (favourites.length === 0) return;
+    const today = toISODate(new Date());
+    try {
+        const results = await fetchAirQualityBatch(
+            favourites.map(fav => ({ lat: fav.latitude, lon: fav.longitude })),
+            { start: today, end: today },
+            null,
+            'same-hour'
+        );
+        results.forEach((airQuality, index) => {
+            const standardKey = resolveAqiStandard(favourites[index].countryCode);
+            const aqi = airQuality ? getAqiValue(airQuality, standardKey) : null;
+            setCategoryBadge(badgeEls[index], getAqiCategory(standardKey, aqi), aqi);
+            if (badgeEls[index] && aqi !== null) {
+                badgeEls[index].title = `Current AQI (${AQI_STANDARDS[standardKey].name}): ${badgeEls[index].textContent}`;
+            }
+        });
+    } catch (error) {
+        console.warn('Failed to load favourite AQI badges:', error);
     }
 }
 
+// Set up the favourites list and its save button
+function setupFavourites() {
+    const saveButton = document.getElementById('save-favourite-button');
+    if (!saveButton) return;
+    saveButton.addEventListener('click', () => {
+        if (!lastLocation) {
+            alert('Search for a location first');
+            return;
+        }
+        addFavourite(lastLocation);
+    });
+    renderFavourites();
+}
+
+// Type-ahead settings: wait this long after the last keystroke, only for queries at least
+// this long, and list this many candidates
+const SUGGESTION_DEBOUNCE_MS = 350;
+const SUGGESTION_MIN_LENGTH = 3;
+const SUGGESTION_LIMIT = 6;
+
 // Set up search functionality
 function setupSearchHandlers() {
     const searchInput = document.getElementById('location-search');
@@ -1298,6 +3657,16 @@ function setupSearchHandlers() {
     
     console.log('Setting up search handlers');
     
+    // Show a found location (or add it as a column in the side-by-side view)
+    const showLocation = async location => {
+        if (viewMode === 'side-by-side') {
+            await addComparisonLocation(location);
+        } else {
+            // Pass location name as string - fetchAndDisplayAQ will handle geocoding for country info
+            await fetchAndDisplayAQ(location.latitude, location.longitude, location.name);
+        }
+    };
+    
     // Search on button click
     searchButton.addEventListener('click', async () => {
         const query = searchInput.value.trim();
@@ -1307,21 +3676,144 @@ function setupSearchHandlers() {
         }
         
         console.log('Searching for:', query);
+        closeSuggestions();
         try {
             const location = await searchLocation(query);
             console.log('Found location:', location);
-            // Pass location name as string - fetchAndDisplayAQ will handle geocoding for country info
-            await fetchAndDisplayAQ(location.latitude, location.longitude, location.name);
+            await showLocation(location);
         } catch (error) {
             console.error('Search error:', error);
             alert(error.message || 'Failed to find location');
         }
     });
     
-    // Search on Enter key
-    searchInput.addEventListener('keypress', (e) => {
-        if (e.key === 'Enter') {
-            searchButton.click();
+    // Type-ahead: candidates are looked up once typing pauses; arrow keys move through them,
+    // Enter picks the highlighted one (or runs a normal search) and Escape closes the list
+    const suggestionsEl = document.getElementById('search-suggestions');
+    let suggestions = [];
+    let activeIndex = -1;
+    let debounceTimer = null;
+    let suggestController = null;
+    
+    const closeSuggestions = () => {
+        clearTimeout(debounceTimer);
+        if (suggestController) {
+            suggestController.abort();
+            suggestController = null;
+        }
+        suggestions = [];
+        activeIndex = -1;
+        if (suggestionsEl) {
+            suggestionsEl.innerHTML = '';
+            suggestionsEl.style.display = 'none';
+        }
+        searchInput.setAttribute('aria-expanded', 'false');
+    };
+    
+    const renderSuggestions = () => {
+        suggestionsEl.innerHTML = '';
+        suggestions.forEach((candidate, index) => {
+            const itemEl = document.createElement('li');
+            itemEl.className = index === activeIndex ? 'suggestion active' : 'suggestion';
+            itemEl.setAttribute('role', 'option');
+            itemEl.setAttribute('aria-selected', String(index === activeIndex));
+            const nameEl = document.createElement('span');
+            nameEl.className = 'suggestion-name';
+            nameEl.textContent = candidate.placeName;
+            itemEl.appendChild(nameEl);
+            if (candidate.context) {
+                const contextEl = document.createElement('span');
+                contextEl.className = 'suggestion-context';
+                contextEl.textContent = candidate.context;
+                itemEl.appendChild(contextEl);
+            }
+            // mousedown rather than click, so the input's blur doesn't close the list first
+            itemEl.addEventListener('mousedown', event => {
+                event.preventDefault();
+                pickSuggestion(index);
+            });
+            suggestionsEl.appendChild(itemEl);
+        });
+        suggestionsEl.style.display = suggestions.length > 0 ? 'block' : 'none';
+        searchInput.setAttribute('aria-expanded', String(suggestions.length > 0));
+    };
+    
+    const pickSuggestion = async index => {
+        const candidate = suggestions[index];
+        closeSuggestions();
+        if (!candidate) return;
+        // Coordinates go back in a form parseCoordinates accepts
+        searchInput.value = candidate.name || (candidate.context === 'Coordinates'
+            ? `${candidate.latitude}, ${candidate.longitude}`
+            : candidate.placeName);
+        try {
+            await showLocation(candidate);
+        } catch (error) {
+            console.error('Search error:', error);
+            alert(error.message || 'Failed to find location');
+        }
+    };
+    
+    const updateSuggestions = async () => {
+        const query = searchInput.value.trim();
+        
+        // Coordinates don't need the geocoder
+        const coordinates = parseCoordinates(query);
+        if (coordinates) {
+            suggestions = [{
+                ...coordinates,
+                name: null,
+                placeName: formatCoordinates(coordinates.latitude, coordinates.longitude),
+                context: 'Coordinates'
+            }];
+            activeIndex = 0;
+            renderSuggestions();
+            return;
+        }
+        if (query.length < SUGGESTION_MIN_LENGTH) {
+            closeSuggestions();
+            return;
+        }
+        
+        if (suggestController) {
+            suggestController.abort();
+        }
+        suggestController = new AbortController();
+        try {
+            suggestions = await searchLocations(query, SUGGESTION_LIMIT, suggestController.signal, 'suggest');
+            activeIndex = -1;
+            renderSuggestions();
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.warn('Failed to load suggestions:', error);
+            }
+        }
+    };
+    
+    if (suggestionsEl) {
+        searchInput.addEventListener('input', () => {
+            clearTimeout(debounceTimer);
+            debounceTimer = setTimeout(updateSuggestions, SUGGESTION_DEBOUNCE_MS);
+        });
+        searchInput.addEventListener('blur', () => closeSuggestions());
+    }
+    
+    searchInput.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            if (suggestions.length === 0) return;
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            activeIndex = (activeIndex + step + suggestions.length) % suggestions.length;
+            renderSuggestions();
+        } else if (e.key === 'Escape') {
+            closeSuggestions();
+        } else if (e.key === 'Enter') {
+            // Search on Enter key, unless a suggestion is highlighted
+            if (activeIndex >= 0 && suggestions[activeIndex]) {
+                pickSuggestion(activeIndex);
+            } else {
+                searchButton.click();
+            }
         }
     });
     
@@ -1330,22 +3822,244 @@ function setupSearchHandlers() {
         try {
             const position = await getCurrentPosition();
             const { latitude, longitude } = position.coords;
-            await fetchAndDisplayAQ(latitude, longitude);
+            if (viewMode === 'side-by-side') {
+                await addComparisonLocation({ latitude, longitude });
+            } else {
+                await fetchAndDisplayAQ(latitude, longitude);
+            }
         } catch (error) {
             alert(error.message || 'Failed to get your location');
         }
     });
 }
 
+// Set up a checkbox per metric that shows or hides it everywhere; the choice is remembered across visits
+function setupMetricToggles() {
+    const togglesEl = document.getElementById('metric-toggles');
+    if (!togglesEl) return;
+    METRICS.forEach(metric => {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = !hiddenMetrics.has(metric.key);
+        checkbox.addEventListener('change', () => {
+            if (checkbox.checked) {
+                hiddenMetrics.delete(metric.key);
+            } else {
+                hiddenMetrics.add(metric.key);
+            }
+            saveHiddenMetrics();
+            redrawMetricViews();
+        });
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(` ${metric.label}`));
+        togglesEl.appendChild(label);
+    });
+}
+
+// Set up comparison mode selector and date picker
+function setupComparisonControls() {
+    const modeSelect = document.getElementById('comparison-mode');
+    if (!modeSelect) return;
+    
+    // Re-run the comparison for the location(s) currently shown
+    const refresh = async () => {
+        if (viewMode === 'side-by-side') {
+            await fetchAndDisplayMulti();
+        } else if (lastLocation) {
+            await fetchAndDisplayAQ(lastLocation.latitude, lastLocation.longitude, lastLocation.name);
+        }
+    };
+    
+    // Switch between one location and side-by-side columns
+    // The side-by-side view starts from the location currently shown
+    const viewSelect = document.getElementById('view-mode');
+    if (viewSelect) {
+        viewSelect.value = viewMode;
+        viewSelect.addEventListener('change', async () => {
+            viewMode = viewSelect.value;
+            if (viewMode === 'side-by-side' && comparisonLocations.length === 0 && lastLocation) {
+                comparisonLocations.push({ ...lastLocation });
+            }
+            if (viewMode === 'single') {
+                document.getElementById('multi-content').style.display = 'none';
+            }
+            await refresh();
+        });
+    }
+    
+    modeSelect.value = selectedComparisonMode;
+    modeSelect.addEventListener('change', async () => {
+        selectedComparisonMode = modeSelect.value;
+        await refresh();
+    });
+    
+    // Number of locations in the national average sample
+    const sampleSizeSelect = document.getElementById('sample-size');
+    if (sampleSizeSelect) {
+        sampleSizeSelect.value = String(nationalSampleSize);
+        sampleSizeSelect.addEventListener('change', async () => {
+            nationalSampleSize = parseInt(sampleSizeSelect.value, 10);
+            await refresh();
+        });
+    }
+    
+    // How the national samples are picked and combined
+    const methodSelect = document.getElementById('national-method');
+    if (methodSelect) {
+        methodSelect.value = nationalAggregation;
+        methodSelect.addEventListener('change', async () => {
+            nationalAggregation = methodSelect.value;
+            await refresh();
+        });
+    }
+    const samplingSelect = document.getElementById('national-sampling');
+    if (samplingSelect) {
+        samplingSelect.value = nationalSamplingMode;
+        samplingSelect.addEventListener('change', async () => {
+            nationalSamplingMode = samplingSelect.value;
+            await refresh();
+        });
+    }
+    
+    // Geocoder tried first for search and place names
+    const geocoderSelect = document.getElementById('geocoder');
+    if (geocoderSelect) {
+        Array.from(geocoderSelect.options).forEach(option => {
+            option.disabled = GEOCODERS[option.value]?.available === false;
+        });
+        geocoderSelect.value = selectedGeocoder;
+        geocoderSelect.addEventListener('change', () => {
+            selectedGeocoder = geocoderSelect.value;
+        });
+    }
+    
+    // AQI standard: empty value means "by country"
+    const standardSelect = document.getElementById('aqi-standard');
+    if (standardSelect) {
+        standardSelect.value = selectedAqiStandard || '';
+        standardSelect.addEventListener('change', async () => {
+            selectedAqiStandard = standardSelect.value || null;
+            await refresh();
+        });
+    }
+    
+    // Guideline or legal limit the peaks are compared against
+    const guidelineSelect = document.getElementById('guideline');
+    if (guidelineSelect) {
+        guidelineSelect.value = selectedGuideline;
+        guidelineSelect.addEventListener('change', async () => {
+            selectedGuideline = guidelineSelect.value;
+            await refresh();
+        });
+    }
+    
+    setupMetricToggles();
+    
+    // Gas units: μg/m³ or ppb/ppm; the choice is remembered across visits
+    const unitsSelect = document.getElementById('units');
+    if (unitsSelect) {
+        unitsSelect.value = selectedUnits;
+        updateUnitLabels();
+        unitsSelect.addEventListener('change', async () => {
+            selectedUnits = unitsSelect.value;
+            saveUnitsPreference(selectedUnits);
+            updateUnitLabels();
+            await refresh();
+        });
+    }
+    
+    const inputs = {
+        historicalStart: document.getElementById('historical-start'),
+        historicalEnd: document.getElementById('historical-end'),
+        currentStart: document.getElementById('current-start'),
+        currentEnd: document.getElementById('current-end')
+    };
+    const applyButton = document.getElementById('apply-dates-button');
+    const resetButton = document.getElementById('reset-dates-button');
+    if (Object.values(inputs).some(input => !input) || !applyButton || !resetButton) {
+        console.error('Date picker elements not found');
+        return;
+    }
+    
+    updateDatePickerLimits();
+    
+    const fillInputs = dates => {
+        inputs.historicalStart.value = dates.historical.start;
+        inputs.historicalEnd.value = dates.historical.end;
+        inputs.currentStart.value = dates.current.start;
+        inputs.currentEnd.value = dates.current.end;
+    };
+    fillInputs(getComparisonDates());
+    
+    applyButton.addEventListener('click', async () => {
+        // An empty end date means a single day
+        const historical = {
+            start: inputs.historicalStart.value,
+            end: inputs.historicalEnd.value || inputs.historicalStart.value
+        };
+        const current = {
+            start: inputs.currentStart.value,
+            end: inputs.currentEnd.value || inputs.currentStart.value
+        };
+        if (!historical.start || !current.start) {
+            alert('Please pick a start date for both sides of the comparison');
+            return;
+        }
+        if (historical.start > historical.end || current.start > current.end) {
+            alert('Start dates must be on or before end dates');
+            return;
+        }
+        selectedDates = { historical, current };
+        fillInputs(selectedDates);
+        await refresh();
+    });
+    
+    resetButton.addEventListener('click', async () => {
+        selectedDates = null;
+        fillInputs(getComparisonDates());
+        await refresh();
+    });
+    
+    // Drop every cached response and reload the current comparison from the network
+    const clearCacheButton = document.getElementById('clear-cache-button');
+    if (clearCacheButton) {
+        clearCacheButton.addEventListener('click', async () => {
+            try {
+                await clearResponseCache();
+            } catch (error) {
+                console.warn('Failed to clear cache:', error);
+            }
+            await refresh();
+        });
+    }
+}
+
 // Initialize app when page loads
 // Since script is at end of body, DOM should be ready, but handle both cases
 if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', () => {
+        renderMetricCards();
+        renderDataNote();
+        const linkedLocation = restoreUrlState();
         setupSearchHandlers();
-        init();
+        setupComparisonControls();
+        setupFavourites();
+        setupExport();
+        setupPrintReport();
+        setupHistoryNavigation();
+        init(linkedLocation);
     });
 } else {
     // DOM is already loaded
+    renderMetricCards();
+    renderDataNote();
+    const linkedLocation = restoreUrlState();
     setupSearchHandlers();
-    init();
+    setupComparisonControls();
+    setupFavourites();
+    setupExport();
+    setupPrintReport();
+    setupHistoryNavigation();
+    init(linkedLocation);
 }
@@ -0,0 +1,3857 @@
+// Bundled city dataset used to sample national averages
+// Source: GeoNames (https://www.geonames.org, CC BY 4.0), via the all-the-cities package
+// Cities with at least 150,000 inhabitants, plus the 8 largest places of every country
+// Each entry: [name, latitude, longitude, ISO 3166-1 alpha-2 country code, population]
+const CITY_DATA = [
+    ['Andorra la Vella', 42.51, 1.52, 'AD', 20430],
+    ['les Escaldes', 42.51, 1.53, 'AD', 15853],
+    ['Encamp', 42.53, 1.58, 'AD', 11223],
+    ['Sant Julià de Lòria', 42.46, 1.49, 'AD', 8022],
+    ['la Massana', 42.54, 1.51, 'AD', 7211],
+    ['Canillo', 42.57, 1.6, 'AD', 3292],
+    ['Ordino', 42.56, 1.53, 'AD', 3066],
+    ['Pas de la Casa', 42.54, 1.73, 'AD', 2363],
+    ['Dubai', 25.08, 55.31, 'AE', 2956587],
+    ['Sharjah', 25.34, 55.41, 'AE', 1324473],
+    ['Abu Dhabi', 24.45, 54.4, 'AE', 603492],
+    ['Ajman City', 25.4, 55.48, 'AE', 490035],
+    ['Ras Al Khaimah City', 25.79, 55.94, 'AE', 351943],
+    ['Musaffah', 24.36, 54.48, 'AE', 243341],
+    ['Al Fujairah City', 25.12, 56.34, 'AE', 86512],
+    ['Khalifah A City', 24.43, 54.6, 'AE', 85374],
+    ['Kabul', 34.53, 69.17, 'AF', 3043532],
+    ['Kandahār', 31.61, 65.71, 'AF', 391190],
+    ['Mazār-e Sharīf', 36.71, 67.11, 'AF', 303282],
+    ['Herāt', 34.35, 62.2, 'AF', 272806],
+    ['Jalālābād', 34.43, 70.45, 'AF', 200331],
+    ['Kunduz', 36.73, 68.86, 'AF', 161902],
+    ['Ghazni', 33.55, 68.42, 'AF', 141000],
+    ['Balkh', 36.76, 66.9, 'AF', 114883],
+    ['Saint John’s', 17.12, -61.84, 'AG', 24226],
+    ['All Saints', 17.07, -61.79, 'AG', 2526],
+    ['Piggotts', 17.12, -61.8, 'AG', 1878],
+    ['Liberta', 17.04, -61.79, 'AG', 1668],
+    ['Bolands', 17.07, -61.87, 'AG', 1657],
+    ['Potters Village', 17.11, -61.82, 'AG', 1433],
+    ['Codrington', 17.63, -61.83, 'AG', 1325],
+    ['Parham', 17.1, -61.77, 'AG', 969],
+    ['The Valley', 18.22, -63.06, 'AI', 2035],
+    ['Blowing Point Village', 18.18, -63.09, 'AI', 942],
+    ['Sandy Ground Village', 18.2, -63.09, 'AI', 274],
+    ['West End Village', 18.17, -63.15, 'AI', 0],
+    ['The Quarter', 18.21, -63.04, 'AI', 0],
+    ['Farrington', 18.21, -63.02, 'AI', 0],
+    ['Stoney Ground', 18.22, -63.05, 'AI', 0],
+    ['South Hill Village', 18.19, -63.09, 'AI', 0],
+    ['Tirana', 41.33, 19.82, 'AL', 374801],
+    ['Durrës', 41.32, 19.45, 'AL', 122034],
+    ['Elbasan', 41.11, 20.08, 'AL', 100903],
+    ['Vlorë', 40.47, 19.48, 'AL', 89546],
+    ['Shkodër', 42.07, 19.51, 'AL', 88245],
+    ['Pogradec', 40.9, 20.65, 'AL', 61530],
+    ['Patos', 40.68, 19.62, 'AL', 60000],
+    ['Korçë', 40.62, 20.78, 'AL', 58259],
+    ['Yerevan', 40.18, 44.51, 'AM', 1093485],
+    ['Gyumri', 40.79, 43.85, 'AM', 148381],
+    ['Vanadzor', 40.8, 44.49, 'AM', 101098],
+    ['Vagharshapat', 40.17, 44.29, 'AM', 46540],
+    ['Hrazdan', 40.5, 44.77, 'AM', 40795],
+    ['Abovyan', 40.27, 44.63, 'AM', 35673],
+    ['Kapan', 39.21, 46.41, 'AM', 33160],
+    ['Ararat', 39.83, 44.71, 'AM', 28832],
+    ['Luanda', -8.84, 13.23, 'AO', 2776168],
+    ['N’dalatando', -9.3, 14.91, 'AO', 383100],
+    ['Huambo', -12.78, 15.74, 'AO', 226145],
+    ['Lobito', -12.36, 13.54, 'AO', 207932],
+    ['Benguela', -12.58, 13.41, 'AO', 151226],
+    ['Cuito', -12.38, 16.93, 'AO', 113624],
+    ['Lubango', -14.92, 13.49, 'AO', 102541],
+    ['Malanje', -9.54, 16.34, 'AO', 87046],
+    ['McMurdo Station', -77.85, 166.68, 'AQ', 1258],
+    ['Buenos Aires', -34.61, -58.38, 'AR', 13076300],
+    ['Córdoba', -31.41, -64.18, 'AR', 1428214],
+    ['Rosario', -32.95, -60.64, 'AR', 1173533],
+    ['Mendoza', -32.89, -68.83, 'AR', 876884],
+    ['San Miguel de Tucumán', -26.82, -65.22, 'AR', 781023],
+    ['La Plata', -34.92, -57.95, 'AR', 694167],
+    ['Mar del Plata', -38, -57.56, 'AR', 553935],
+    ['Salta', -24.79, -65.41, 'AR', 512686],
+    ['Santa Fe', -31.65, -60.71, 'AR', 489505],
+    ['San Juan', -31.54, -68.54, 'AR', 447048],
+    ['Resistencia', -27.46, -58.98, 'AR', 387158],
+    ['Santiago del Estero', -27.8, -64.26, 'AR', 354692],
+    ['Corrientes', -27.47, -58.83, 'AR', 339067],
+    ['Posadas', -27.37, -55.9, 'AR', 323739],
+    ['Morón', -34.65, -58.62, 'AR', 319934],
+    ['San Salvador de Jujuy', -24.19, -65.3, 'AR', 305891],
+    ['Bahía Blanca', -38.72, -62.27, 'AR', 276546],
+    ['Paraná', -31.73, -60.53, 'AR', 262295],
+    ['Merlo', -34.67, -58.73, 'AR', 244168],
+    ['Neuquén', -38.95, -68.06, 'AR', 242092],
+    ['José C. Paz', -34.52, -58.77, 'AR', 230208],
+    ['Quilmes', -34.73, -58.26, 'AR', 230000],
+    ['Pilar', -34.46, -58.91, 'AR', 226517],
+    ['Formosa', -26.18, -58.17, 'AR', 221383],
+    ['San Fernando del Valle de Catamarca', -28.47, -65.79, 'AR', 188812],
+    ['San Luis', -33.3, -66.34, 'AR', 183982],
+    ['Berazategui', -34.77, -58.21, 'AR', 167498],
+    ['La Rioja', -29.41, -66.85, 'AR', 162620],
+    ['San Miguel', -34.54, -58.71, 'AR', 157532],
+    ['Río Cuarto', -33.13, -64.35, 'AR', 153757],
+    ['Pago Pago', -14.28, -170.7, 'AS', 11500],
+    ['Tāfuna', -14.34, -170.72, 'AS', 11017],
+    ['Leone', -14.34, -170.78, 'AS', 4050],
+    ['Faleniu', -14.33, -170.74, 'AS', 3200],
+    ['Aūa', -14.28, -170.66, 'AS', 2124],
+    ['Mapusagafou', -14.33, -170.75, 'AS', 2052],
+    ['Fagatogo', -14.28, -170.69, 'AS', 1868],
+    ['Vaitogi', -14.36, -170.73, 'AS', 1436],
+    ['Vienna', 48.21, 16.37, 'AT', 1691468],
+    ['Graz', 47.07, 15.45, 'AT', 222326],
+    ['Linz', 48.31, 14.29, 'AT', 204846],
+    ['Salzburg', 47.8, 13.04, 'AT', 153377],
+    ['Innsbruck', 47.26, 11.39, 'AT', 132493],
+    ['Klagenfurt am Wörthersee', 46.62, 14.31, 'AT', 90610],
+    ['Villach', 46.61, 13.86, 'AT', 58882],
+    ['Dornbirn', 47.41, 9.74, 'AT', 49278],
+    ['Sydney', -33.87, 151.21, 'AU', 4627345],
+    ['Melbourne', -37.81, 144.96, 'AU', 4246375],
+    ['Brisbane', -27.47, 153.03, 'AU', 2189878],
+    ['Perth', -31.95, 115.86, 'AU', 1896548],
+    ['Adelaide', -34.93, 138.6, 'AU', 1225235],
+    ['Gold Coast', -28, 153.43, 'AU', 591473],
+    ['Canberra', -35.28, 149.13, 'AU', 367752],
+    ['Newcastle', -32.93, 151.78, 'AU', 308308],
+    ['Wollongong', -34.42, 150.89, 'AU', 292190],
+    ['Logan City', -27.64, 153.11, 'AU', 282673],
+    ['Geelong', -38.15, 144.36, 'AU', 226034],
+    ['Hobart', -42.88, 147.33, 'AU', 216656],
+    ['Townsville', -19.27, 146.81, 'AU', 196219],
+    ['Cairns', -16.92, 145.77, 'AU', 153075],
+    ['Oranjestad', 12.52, -70.03, 'AW', 29998],
+    ['Tanki Leendert', 12.54, -70.02, 'AW', 21500],
+    ['San Nicolas', 12.44, -69.91, 'AW', 15200],
+    ['Santa Cruz', 12.51, -69.98, 'AW', 12900],
+    ['Paradera', 12.54, -70.01, 'AW', 12000],
+    ['Savaneta', 12.45, -69.94, 'AW', 11500],
+    ['Mariehamn', 60.1, 19.93, 'AX', 10682],
+    ['Jomala', 60.15, 19.95, 'AX', 3662],
+    ['Finström', 60.27, 19.93, 'AX', 2412],
+    ['Lemland', 60.07, 20.08, 'AX', 1829],
+    ['Saltvik', 60.28, 20.05, 'AX', 1691],
+    ['Hammarland', 60.22, 19.75, 'AX', 1395],
+    ['Sund', 60.25, 20.12, 'AX', 1080],
+    ['Eckerö', 60.21, 19.61, 'AX', 1028],
+    ['Baku', 40.38, 49.89, 'AZ', 1116513],
+    ['Ganja', 40.68, 46.36, 'AZ', 313300],
+    ['Sumqayıt', 40.59, 49.67, 'AZ', 265150],
+    ['Lankaran', 38.75, 48.85, 'AZ', 240300],
+    ['Yevlakh', 40.62, 47.15, 'AZ', 127400],
+    ['Mingelchaur', 40.76, 47.06, 'AZ', 95453],
+    ['Saatlı', 39.93, 48.37, 'AZ', 87000],
+    ['Qaraçuxur', 40.4, 49.97, 'AZ', 72989],
+    ['Sarajevo', 43.85, 18.36, 'BA', 696731],
+    ['Banja Luka', 44.78, 17.19, 'BA', 221106],
+    ['Zenica', 44.2, 17.9, 'BA', 164423],
+    ['Tuzla', 44.54, 18.67, 'BA', 142486],
+    ['Mostar', 43.34, 17.81, 'BA', 104518],
+    ['Bihać', 44.82, 15.87, 'BA', 75641],
+    ['Bugojno', 44.06, 17.45, 'BA', 41378],
+    ['Brčko', 44.87, 18.81, 'BA', 38968],
+    ['Bridgetown', 13.11, -59.62, 'BB', 98511],
+    ['Speightstown', 13.25, -59.64, 'BB', 3634],
+    ['Oistins', 13.07, -59.55, 'BB', 2285],
+    ['Bathsheba', 13.21, -59.53, 'BB', 1765],
+    ['Holetown', 13.19, -59.64, 'BB', 1350],
+    ['Crane', 13.1, -59.45, 'BB', 935],
+    ['Greenland', 13.26, -59.58, 'BB', 623],
+    ['Welchman Hall', 13.19, -59.58, 'BB', 0],
+    ['Dhaka', 23.71, 90.41, 'BD', 10356500],
+    ['Chittagong', 22.34, 91.83, 'BD', 3920222],
+    ['Khulna', 22.81, 89.56, 'BD', 1342339],
+    ['Rājshāhi', 24.37, 88.6, 'BD', 700133],
+    ['Comilla', 23.46, 91.19, 'BD', 389411],
+    ['Shibganj', 25, 89.32, 'BD', 378701],
+    ['Natore', 24.41, 88.99, 'BD', 369138],
+    ['Rangpur', 25.75, 89.25, 'BD', 343122],
+    ['Tungi', 23.89, 90.4, 'BD', 337579],
+    ['Narsingdi', 23.92, 90.72, 'BD', 281080],
+    ['Bagerhat', 22.66, 89.79, 'BD', 266388],
+    ['Cox’s Bāzār', 21.44, 92.01, 'BD', 253788],
+    ['Jessore', 23.17, 89.21, 'BD', 243987],
+    ['Nāgarpur', 24.06, 89.88, 'BD', 238422],
+    ['Sylhet', 24.9, 91.87, 'BD', 237000],
+    ['Mymensingh', 24.76, 90.41, 'BD', 225126],
+    ['Nārāyanganj', 23.61, 90.5, 'BD', 223622],
+    ['Bogra', 24.85, 89.37, 'BD', 210000],
+    ['Dinājpur', 25.63, 88.64, 'BD', 206234],
+    ['Barisāl', 22.7, 90.37, 'BD', 202242],
+    ['Saidpur', 25.78, 88.89, 'BD', 199422],
+    ['Pār Naogaon', 24.8, 88.95, 'BD', 192464],
+    ['Pābna', 24.01, 89.24, 'BD', 186781],
+    ['Paltan', 23.74, 90.41, 'BD', 184492],
+    ['Tāngāil', 24.25, 89.92, 'BD', 180144],
+    ['Jamālpur', 24.92, 89.95, 'BD', 167900],
+    ['Puthia', 24.37, 88.83, 'BD', 159406],
+    ['Brussels', 50.85, 4.35, 'BE', 1019022],
+    ['Antwerpen', 51.22, 4.4, 'BE', 459805],
+    ['Gent', 51.05, 3.72, 'BE', 231493],
+    ['Charleroi', 50.41, 4.44, 'BE', 200132],
+    ['Liège', 50.63, 5.57, 'BE', 182597],
+    ['Brugge', 51.21, 3.22, 'BE', 116709],
+    ['Namur', 50.47, 4.87, 'BE', 106284],
+    ['Leuven', 50.88, 4.7, 'BE', 92892],
+    ['Ouagadougou', 12.37, -1.53, 'BF', 1086505],
+    ['Bobo-Dioulasso', 11.18, -4.3, 'BF', 360106],
+    ['Koudougou', 12.25, -2.36, 'BF', 87347],
+    ['Ouahigouya', 13.58, -2.42, 'BF', 61096],
+    ['Banfora', 10.63, -4.77, 'BF', 60288],
+    ['Dédougou', 12.46, -3.46, 'BF', 45341],
+    ['Kaya', 13.09, -1.08, 'BF', 39229],
+    ['Dori', 14.04, -0.03, 'BF', 37806],
+    ['Sofia', 42.7, 23.32, 'BG', 1152556],
+    ['Plovdiv', 42.15, 24.75, 'BG', 340494],
+    ['Varna', 43.22, 27.92, 'BG', 312770],
+    ['Burgas', 42.51, 27.47, 'BG', 195966],
+    ['Ruse', 43.85, 25.95, 'BG', 156238],
+    ['Stara Zagora', 42.43, 25.64, 'BG', 143431],
+    ['Pleven', 43.42, 24.62, 'BG', 118675],
+    ['Sliven', 42.69, 26.33, 'BG', 96368],
+    ['Manama', 26.23, 50.59, 'BH', 147074],
+    ['Al Muharraq', 26.26, 50.61, 'BH', 97458],
+    ['Ar Rifā‘', 26.13, 50.55, 'BH', 79550],
+    ['Dār Kulayb', 26.07, 50.5, 'BH', 65466],
+    ['Madīnat Ḩamad', 26.12, 50.51, 'BH', 52718],
+    ['Madīnat ‘Īsá', 26.17, 50.55, 'BH', 38090],
+    ['Sitrah', 26.15, 50.62, 'BH', 37657],
+    ['Jidd Ḩafş', 26.22, 50.55, 'BH', 31735],
+    ['Bujumbura', -3.38, 29.36, 'BI', 331700],
+    ['Muyinga', -2.85, 30.34, 'BI', 71076],
+    ['Gitega', -3.43, 29.92, 'BI', 41000],
+    ['Ruyigi', -3.48, 30.25, 'BI', 38458],
+    ['Ngozi', -2.91, 29.83, 'BI', 21506],
+    ['Rutana', -3.93, 29.99, 'BI', 20893],
+    ['Bururi', -3.95, 29.62, 'BI', 19740],
+    ['Makamba', -4.13, 29.8, 'BI', 19642],
+    ['Cotonou', 6.37, 2.42, 'BJ', 780000],
+    ['Abomey-Calavi', 6.45, 2.36, 'BJ', 385755],
+    ['Djougou', 9.71, 1.67, 'BJ', 237040],
+    ['Porto-Novo', 6.5, 2.6, 'BJ', 234168],
+    ['Parakou', 9.34, 2.63, 'BJ', 163753],
+    ['Bohicon', 7.18, 2.07, 'BJ', 125092],
+    ['Kandi', 11.13, 2.94, 'BJ', 109701],
+    ['Lokossa', 6.64, 1.72, 'BJ', 86971],
+    ['Gustavia', 17.9, -62.85, 'BL', 5988],
+    ['Saint George', 32.38, -64.68, 'BM', 1896],
+    ['Hamilton', 32.29, -64.78, 'BM', 902],
+    ['Bandar Seri Begawan', 4.89, 114.94, 'BN', 64409],
+    ['Kuala Belait', 4.58, 114.23, 'BN', 31178],
+    ['Seria', 4.61, 114.32, 'BN', 30097],
+    ['Tutong', 4.8, 114.65, 'BN', 19151],
+    ['Kapok', 5.02, 115.05, 'BN', 4337],
+    ['Bangar', 4.71, 115.07, 'BN', 3970],
+    ['Mentiri', 4.97, 115.02, 'BN', 1121],
+    ['Santa Cruz de la Sierra', -17.79, -63.18, 'BO', 1364389],
+    ['Cochabamba', -17.39, -66.16, 'BO', 900414],
+    ['La Paz', -16.5, -68.15, 'BO', 812799],
+    ['Sucre', -19.03, -65.26, 'BO', 224838],
+    ['Oruro', -17.98, -67.15, 'BO', 208684],
+    ['Tarija', -21.54, -64.73, 'BO', 159269],
+    ['Potosí', -19.58, -65.75, 'BO', 141251],
+    ['Sacaba', -17.4, -66.04, 'BO', 107628],
+    ['Kralendijk', 12.15, -68.27, 'BQ', 3081],
+    ['Dorp Antriol', 12.17, -68.27, 'BQ', 2980],
+    ['Upper Hell\'s Gate', 17.64, -63.23, 'BQ', 2810],
+    ['Dorp Rincón', 12.23, -68.33, 'BQ', 1496],
+    ['Dorp Tera Kora', 12.13, -68.27, 'BQ', 1186],
+    ['Oranjestad', 17.48, -62.99, 'BQ', 1097],
+    ['The Bottom', 17.63, -63.25, 'BQ', 488],
+    ['São Paulo', -23.55, -46.64, 'BR', 10021295],
+    ['Rio de Janeiro', -22.91, -43.18, 'BR', 6023699],
+    ['Salvador', -12.97, -38.51, 'BR', 2711840],
+    ['Fortaleza', -3.72, -38.54, 'BR', 2400000],
+    ['Belo Horizonte', -19.92, -43.94, 'BR', 2373224],
+    ['Brasília', -15.78, -47.93, 'BR', 2207718],
+    ['Curitiba', -25.43, -49.27, 'BR', 1718421],
+    ['Manaus', -3.1, -60.02, 'BR', 1598210],
+    ['Recife', -8.05, -34.88, 'BR', 1478098],
+    ['Belém', -1.46, -48.5, 'BR', 1407737],
+    ['Porto Alegre', -30.03, -51.23, 'BR', 1372741],
+    ['Goiânia', -16.68, -49.25, 'BR', 1171195],
+    ['Guarulhos', -23.46, -46.53, 'BR', 1169577],
+    ['Campinas', -22.91, -47.06, 'BR', 1031554],
+    ['Nova Iguaçu', -22.76, -43.45, 'BR', 1002118],
+    ['Maceió', -9.67, -35.74, 'BR', 954991],
+    ['São Luís', -2.53, -44.3, 'BR', 917237],
+    ['Duque de Caxias', -22.79, -43.31, 'BR', 818329],
+    ['Natal', -5.79, -35.21, 'BR', 763043],
+    ['Teresina', -5.09, -42.8, 'BR', 744512],
+    ['São Bernardo do Campo', -23.69, -46.56, 'BR', 743372],
+    ['Campo Grande', -20.44, -54.65, 'BR', 729151],
+    ['Jaboatão', -8.18, -35, 'BR', 702621],
+    ['Osasco', -23.53, -46.79, 'BR', 677856],
+    ['Santo André', -23.66, -46.54, 'BR', 662373],
+    ['João Pessoa', -7.12, -34.86, 'BR', 650883],
+    ['Jaboatão dos Guararapes', -8.11, -35.01, 'BR', 630008],
+    ['Contagem', -19.93, -44.05, 'BR', 627123],
+    ['Ribeirão Preto', -21.18, -47.81, 'BR', 619746],
+    ['São José dos Campos', -23.18, -45.89, 'BR', 613764],
+    ['Uberlândia', -18.92, -48.28, 'BR', 563536],
+    ['Sorocaba', -23.5, -47.46, 'BR', 558862],
+    ['Cuiabá', -15.6, -56.1, 'BR', 521934],
+    ['Aparecida de Goiânia', -16.82, -49.24, 'BR', 510770],
+    ['Aracaju', -10.91, -37.07, 'BR', 490175],
+    ['Feira de Santana', -12.27, -38.97, 'BR', 481911],
+    ['Londrina', -23.31, -51.16, 'BR', 471832],
+    ['Juiz de Fora', -21.76, -43.35, 'BR', 470193],
+    ['Belford Roxo', -22.76, -43.4, 'BR', 466096],
+    ['Joinville', -26.3, -48.85, 'BR', 461304],
+    ['Niterói', -22.88, -43.1, 'BR', 456456],
+    ['São João de Meriti', -22.8, -43.37, 'BR', 454849],
+    ['Ananindeua', -1.37, -48.37, 'BR', 433956],
+    ['Florianópolis', -27.6, -48.55, 'BR', 412724],
+    ['Santos', -23.96, -46.33, 'BR', 411403],
+    ['Ribeirão das Neves', -19.77, -44.09, 'BR', 406802],
+    ['Vila Velha', -20.33, -40.29, 'BR', 394930],
+    ['Serra', -20.13, -40.31, 'BR', 394153],
+    ['Diadema', -23.69, -46.62, 'BR', 390633],
+    ['Campos dos Goytacazes', -21.75, -41.33, 'BR', 387417],
+    ['Mauá', -23.67, -46.46, 'BR', 386069],
+    ['Betim', -19.97, -44.2, 'BR', 384000],
+    ['Caxias do Sul', -29.17, -51.18, 'BR', 381270],
+    ['São José do Rio Preto', -20.82, -49.38, 'BR', 374699],
+    ['Olinda', -8.01, -34.86, 'BR', 366754],
+    ['Carapicuíba', -23.52, -46.84, 'BR', 361112],
+    ['Campina Grande', -7.23, -35.88, 'BR', 348936],
+    ['Piracicaba', -22.73, -47.65, 'BR', 342209],
+    ['Macapá', 0.04, -51.07, 'BR', 338936],
+    ['Itaquaquecetuba', -23.49, -46.35, 'BR', 336679],
+    ['Bauru', -22.31, -49.06, 'BR', 335024],
+    ['Montes Claros', -16.73, -43.86, 'BR', 332379],
+    ['Canoas', -29.92, -51.18, 'BR', 328291],
+    ['Mogi das Cruzes', -23.52, -46.19, 'BR', 325746],
+    ['São Vicente', -23.96, -46.39, 'BR', 324457],
+    ['Jundiaí', -23.19, -46.88, 'BR', 321589],
+    ['Pelotas', -31.77, -52.34, 'BR', 320674],
+    ['Anápolis', -16.33, -48.95, 'BR', 319587],
+    ['Vitória', -20.32, -40.34, 'BR', 312656],
+    ['Maringá', -23.43, -51.94, 'BR', 311724],
+    ['Guarujá', -23.99, -46.26, 'BR', 310424],
+    ['Porto Velho', -8.76, -63.9, 'BR', 306180],
+    ['Franca', -20.54, -47.4, 'BR', 305041],
+    ['Blumenau', -26.92, -49.07, 'BR', 293949],
+    ['Foz do Iguaçu', -25.55, -54.59, 'BR', 293523],
+    ['Ponta Grossa', -25.09, -50.16, 'BR', 292177],
+    ['Paulista', -7.94, -34.87, 'BR', 289971],
+    ['Limeira', -22.56, -47.4, 'BR', 289665],
+    ['Viamão', -30.08, -51.02, 'BR', 285269],
+    ['Suzano', -23.54, -46.31, 'BR', 283314],
+    ['Caucaia', -3.74, -38.65, 'BR', 275019],
+    ['Petrópolis', -22.5, -43.18, 'BR', 272691],
+    ['Uberaba', -19.75, -47.93, 'BR', 260843],
+    ['Rio Branco', -9.97, -67.81, 'BR', 257642],
+    ['Cascavel', -24.96, -53.46, 'BR', 257172],
+    ['Novo Hamburgo', -29.68, -51.13, 'BR', 253841],
+    ['Vitória da Conquista', -14.87, -40.84, 'BR', 253137],
+    ['Barueri', -23.51, -46.88, 'BR', 251994],
+    ['Taubaté', -23.03, -45.56, 'BR', 251641],
+    ['Governador Valadares', -18.85, -41.95, 'BR', 250878],
+    ['Praia Grande', -24.01, -46.4, 'BR', 250027],
+    ['Várzea Grande', -15.65, -56.13, 'BR', 249752],
+    ['Volta Redonda', -22.52, -44.1, 'BR', 249580],
+    ['Santa Maria', -29.68, -53.81, 'BR', 249219],
+    ['Santa Luzia', -19.77, -43.85, 'BR', 243503],
+    ['Gravataí', -29.94, -50.99, 'BR', 238778],
+    ['Caruaru', -8.28, -35.98, 'BR', 235371],
+    ['Boa Vista', 2.82, -60.67, 'BR', 235150],
+    ['Rio Verde', -17.8, -50.93, 'BR', 229651],
+    ['Ipatinga', -19.47, -42.54, 'BR', 228746],
+    ['Sumaré', -22.82, -47.27, 'BR', 227977],
+    ['Juazeiro do Norte', -7.21, -39.32, 'BR', 225230],
+    ['Embu', -23.65, -46.85, 'BR', 221733],
+    ['Imperatriz', -5.53, -47.49, 'BR', 218106],
+    ['Colombo', -25.29, -49.22, 'BR', 217000],
+    ['Taboão da Serra', -23.63, -46.79, 'BR', 214523],
+    ['Jacareí', -23.31, -45.97, 'BR', 213110],
+    ['Marília', -22.21, -49.95, 'BR', 212218],
+    ['Presidente Prudente', -22.13, -51.39, 'BR', 209502],
+    ['São Leopoldo', -29.76, -51.15, 'BR', 209229],
+    ['Itabuna', -14.79, -39.28, 'BR', 205660],
+    ['São Carlos', -22.02, -47.89, 'BR', 205035],
+    ['Hortolândia', -22.86, -47.22, 'BR', 203533],
+    ['Mossoró', -5.19, -37.34, 'BR', 202005],
+    ['Itapevi', -23.55, -46.93, 'BR', 201748],
+    ['Sete Lagoas', -19.47, -44.25, 'BR', 201334],
+    ['São José', -28.21, -49.16, 'BR', 200000],
+    ['Palmas', -10.17, -48.33, 'BR', 196272],
+    ['Parauapebas', -6.07, -49.9, 'BR', 196259],
+    ['Americana', -22.74, -47.33, 'BR', 196022],
+    ['Petrolina', -9.4, -40.5, 'BR', 194650],
+    ['Divinópolis', -20.14, -44.89, 'BR', 193832],
+    ['Maracanaú', -3.88, -38.63, 'BR', 193529],
+    ['Planaltina', -15.62, -47.65, 'BR', 189412],
+    ['Santarém', -2.44, -54.71, 'BR', 189047],
+    ['Camaçari', -12.7, -38.32, 'BR', 188758],
+    ['Santa Bárbara d\'Oeste', -22.75, -47.41, 'BR', 188000],
+    ['Rio Grande', -32.03, -52.1, 'BR', 187838],
+    ['Cachoeiro de Itapemirim', -20.85, -41.11, 'BR', 187019],
+    ['Itaboraí', -22.74, -42.86, 'BR', 182498],
+    ['Rio Claro', -22.41, -47.56, 'BR', 180147],
+    ['Indaiatuba', -23.09, -47.21, 'BR', 179911],
+    ['Passo Fundo', -28.26, -52.41, 'BR', 179529],
+    ['Cotia', -23.6, -46.92, 'BR', 174828],
+    ['Francisco Morato', -23.28, -46.75, 'BR', 171790],
+    ['Araçatuba', -21.21, -50.43, 'BR', 170024],
+    ['Araraquara', -21.79, -48.18, 'BR', 168468],
+    ['Ferraz de Vasconcelos', -23.54, -46.37, 'BR', 167900],
+    ['Arapiraca', -9.75, -36.66, 'BR', 166562],
+    ['Lages', -27.82, -50.33, 'BR', 164676],
+    ['Barra Mansa', -22.54, -44.17, 'BR', 164052],
+    ['Nossa Senhora do Socorro', -10.86, -37.13, 'BR', 163993],
+    ['Dourados', -22.22, -54.81, 'BR', 162202],
+    ['Criciúma', -28.68, -49.37, 'BR', 161954],
+    ['Chapecó', -27.1, -52.62, 'BR', 160157],
+    ['Barreiras', -12.15, -44.99, 'BR', 158292],
+    ['Sobral', -3.69, -40.35, 'BR', 157996],
+    ['Itajaí', -26.91, -48.66, 'BR', 155716],
+    ['Ilhéus', -14.79, -39.04, 'BR', 155499],
+    ['Angra dos Reis', -23.01, -44.32, 'BR', 153635],
+    ['Nova Friburgo', -22.28, -42.53, 'BR', 153361],
+    ['Rondonópolis', -16.47, -54.64, 'BR', 152912],
+    ['Itapecerica da Serra', -23.72, -46.85, 'BR', 151605],
+    ['Guarapuava', -25.39, -51.47, 'BR', 150850],
+    ['Parnamirim', -5.92, -35.26, 'BR', 150343],
+    ['Nassau', 25.06, -77.34, 'BS', 227940],
+    ['Lucaya', 26.53, -78.67, 'BS', 46525],
+    ['Freeport', 26.53, -78.7, 'BS', 26910],
+    ['West End', 26.69, -78.98, 'BS', 12724],
+    ['Cooper’s Town', 26.87, -77.51, 'BS', 8413],
+    ['San Andros', 25.07, -78.05, 'BS', 7800],
+    ['George Town', 23.52, -75.79, 'BS', 7314],
+    ['Marsh Harbour', 26.54, -77.06, 'BS', 5314],
+    ['Thimphu', 27.47, 89.64, 'BT', 98676],
+    ['Punākha', 27.59, 89.88, 'BT', 21500],
+    ['Tsirang', 27.02, 90.12, 'BT', 18667],
+    ['Phuntsholing', 26.85, 89.39, 'BT', 17043],
+    ['Pemagatshel', 27.04, 91.4, 'BT', 13864],
+    ['Sarpang', 26.86, 90.27, 'BT', 10416],
+    ['Wangdue Phodrang', 27.49, 89.9, 'BT', 7507],
+    ['Samdrup Jongkhar', 26.8, 91.51, 'BT', 7507],
+    ['Gaborone', -24.65, 25.91, 'BW', 208411],
+    ['Francistown', -21.17, 27.51, 'BW', 89979],
+    ['Molepolole', -24.41, 25.5, 'BW', 63248],
+    ['Selebi-Phikwe', -21.98, 27.84, 'BW', 53727],
+    ['Maun', -19.98, 23.42, 'BW', 49945],
+    ['Serowe', -22.39, 26.71, 'BW', 47419],
+    ['Kanye', -24.97, 25.33, 'BW', 44716],
+    ['Mahalapye', -23.1, 26.81, 'BW', 44471],
+    ['Minsk', 53.9, 27.57, 'BY', 1742124],
+    ['Homyel\'', 52.43, 30.98, 'BY', 480951],
+    ['Mahilyow', 53.92, 30.34, 'BY', 369200],
+    ['Vitebsk', 55.19, 30.2, 'BY', 342700],
+    ['Hrodna', 53.69, 23.83, 'BY', 317365],
+    ['Brest', 52.1, 23.69, 'BY', 300715],
+    ['Babruysk', 53.14, 29.22, 'BY', 220517],
+    ['Baranovichi', 53.13, 26.01, 'BY', 168772],
+    ['Belize City', 17.5, -88.2, 'BZ', 61461],
+    ['San Ignacio', 17.16, -89.07, 'BZ', 16812],
+    ['Orange Walk', 18.08, -88.56, 'BZ', 15298],
+    ['Belmopan', 17.25, -88.77, 'BZ', 13381],
+    ['Dangriga', 16.97, -88.23, 'BZ', 10750],
+    ['Corozal', 18.39, -88.39, 'BZ', 9871],
+    ['San Pedro', 17.92, -87.97, 'BZ', 8418],
+    ['Benque Viejo el Carmen', 17.07, -89.14, 'BZ', 7092],
+    ['Toronto', 43.7, -79.42, 'CA', 2600000],
+    ['Montréal', 45.51, -73.59, 'CA', 1600000],
+    ['Calgary', 51.05, -114.09, 'CA', 1019942],
+    ['Ottawa', 45.41, -75.7, 'CA', 812129],
+    ['Edmonton', 53.55, -113.47, 'CA', 712391],
+    ['Mississauga', 43.58, -79.66, 'CA', 668549],
+    ['North York', 43.77, -79.42, 'CA', 636000],
+    ['Winnipeg', 49.88, -97.15, 'CA', 632063],
+    ['Vancouver', 49.25, -123.12, 'CA', 600000],
+    ['Scarborough', 43.77, -79.26, 'CA', 600000],
+    ['Québec', 46.81, -71.21, 'CA', 528595],
+    ['Hamilton', 43.25, -79.85, 'CA', 519949],
+    ['Brampton', 43.68, -79.77, 'CA', 433806],
+    ['Surrey', 49.11, -122.83, 'CA', 394976],
+    ['Laval', 45.57, -73.69, 'CA', 376845],
+    ['Halifax', 44.65, -63.57, 'CA', 359111],
+    ['Etobicoke', 43.65, -79.57, 'CA', 347948],
+    ['London', 42.98, -81.23, 'CA', 346765],
+    ['Oshawa', 43.9, -78.85, 'CA', 308875],
+    ['Victoria', 48.44, -123.35, 'CA', 289625],
+    ['Windsor', 42.3, -83.02, 'CA', 278013],
+    ['Markham', 43.87, -79.27, 'CA', 261573],
+    ['Gatineau', 45.48, -75.7, 'CA', 242124],
+    ['Vaughan', 43.84, -79.5, 'CA', 238866],
+    ['Kitchener', 43.43, -80.51, 'CA', 233700],
+    ['Longueuil', 45.53, -73.52, 'CA', 229330],
+    ['Burnaby', 49.27, -122.95, 'CA', 202799],
+    ['Ladner', 49.09, -123.08, 'CA', 200000],
+    ['Saskatoon', 52.13, -106.67, 'CA', 198958],
+    ['Richmond Hill', 43.87, -79.44, 'CA', 185541],
+    ['Barrie', 44.4, -79.67, 'CA', 182041],
+    ['Richmond', 49.17, -123.14, 'CA', 182000],
+    ['Nepean', 45.34, -75.72, 'CA', 180000],
+    ['Regina', 50.45, -104.62, 'CA', 176183],
+    ['Oakville', 43.45, -79.68, 'CA', 165697],
+    ['Burlington', 43.39, -79.84, 'CA', 164415],
+    ['Greater Sudbury', 46.49, -80.99, 'CA', 157857],
+    ['Abbotsford', 49.06, -122.25, 'CA', 151683],
+    ['West Island', -12.16, 96.82, 'CC', 120],
+    ['Kinshasa', -4.33, 15.31, 'CD', 7785965],
+    ['Lubumbashi', -11.66, 27.48, 'CD', 1373770],
+    ['Mbuji-Mayi', -6.14, 23.59, 'CD', 874761],
+    ['Kisangani', 0.52, 25.19, 'CD', 539158],
+    ['Masina', -4.38, 15.39, 'CD', 485167],
+    ['Kananga', -5.9, 22.42, 'CD', 463546],
+    ['Likasi', -10.98, 26.74, 'CD', 422414],
+    ['Kolwezi', -10.71, 25.47, 'CD', 418000],
+    ['Tshikapa', -6.42, 20.8, 'CD', 267462],
+    ['Beni', 0.49, 29.47, 'CD', 232000],
+    ['Bukavu', -2.49, 28.84, 'CD', 225389],
+    ['Mwene-Ditu', -7.01, 23.45, 'CD', 189177],
+    ['Kikwit', -5.04, 18.82, 'CD', 186991],
+    ['Mbandaka', 0.05, 18.26, 'CD', 184185],
+    ['Matadi', -5.84, 13.46, 'CD', 180109],
+    ['Uvira', -3.4, 29.14, 'CD', 170391],
+    ['Boma', -5.85, 13.05, 'CD', 162521],
+    ['Butembo', 0.14, 29.29, 'CD', 154621],
+    ['Gandajika', -6.75, 23.95, 'CD', 154425],
+    ['Bangui', 4.36, 18.55, 'CF', 542393],
+    ['Bimbo', 4.26, 18.42, 'CF', 129655],
+    ['Mbaïki', 3.87, 17.99, 'CF', 67132],
+    ['Berbérati', 4.26, 15.79, 'CF', 61815],
+    ['Kaga Bandoro', 6.99, 19.19, 'CF', 56520],
+    ['Bozoum', 6.32, 16.38, 'CF', 40201],
+    ['Carnot', 4.94, 15.88, 'CF', 38071],
+    ['Sibut', 5.72, 19.07, 'CF', 34267],
+    ['Brazzaville', -4.27, 15.28, 'CG', 1284609],
+    ['Pointe-Noire', -4.78, 11.86, 'CG', 659084],
+    ['Dolisie', -4.2, 12.67, 'CG', 103894],
+    ['Kayes', -4.2, 13.29, 'CG', 58737],
+    ['Owando', -0.48, 15.9, 'CG', 23952],
+    ['Ouésso', 1.61, 16.05, 'CG', 23915],
+    ['Loandjili', -4.76, 11.86, 'CG', 23204],
+    ['Madingou', -4.15, 13.55, 'CG', 22760],
+    ['Zürich', 47.37, 8.55, 'CH', 341730],
+    ['Genève', 46.2, 6.15, 'CH', 183981],
+    ['Basel', 47.56, 7.57, 'CH', 164488],
+    ['Bern', 46.95, 7.45, 'CH', 121631],
+    ['Lausanne', 46.52, 6.63, 'CH', 116751],
+    ['Winterthur', 47.51, 8.72, 'CH', 91908],
+    ['Sankt Gallen', 47.42, 9.37, 'CH', 70572],
+    ['Lugano', 46.01, 8.96, 'CH', 63000],
+    ['Abidjan', 5.35, -4, 'CI', 3677115],
+    ['Abobo', 5.42, -4.02, 'CI', 900000],
+    ['Bouaké', 7.69, -5.03, 'CI', 567481],
+    ['Daloa', 6.88, -6.45, 'CI', 215652],
+    ['San-Pédro', 4.75, -6.64, 'CI', 196751],
+    ['Yamoussoukro', 6.82, -5.28, 'CI', 194530],
+    ['Korhogo', 9.46, -5.63, 'CI', 167359],
+    ['Man', 7.41, -7.55, 'CI', 139341],
+    ['Avarua', -21.21, -159.78, 'CK', 13373],
+    ['Santiago', -33.46, -70.65, 'CL', 4837295],
+    ['Puente Alto', -33.61, -70.58, 'CL', 510417],
+    ['Antofagasta', -23.65, -70.4, 'CL', 309832],
+    ['Viña del Mar', -33.02, -71.55, 'CL', 294551],
+    ['Valparaíso', -33.04, -71.63, 'CL', 282448],
+    ['Talcahuano', -36.72, -73.12, 'CL', 252968],
+    ['San Bernardo', -33.59, -70.7, 'CL', 249858],
+    ['Temuco', -38.74, -72.6, 'CL', 238129],
+    ['Iquique', -20.21, -70.15, 'CL', 227499],
+    ['Concepción', -36.83, -73.05, 'CL', 215413],
+    ['Rancagua', -34.17, -70.74, 'CL', 212695],
+    ['La Pintana', -33.58, -70.63, 'CL', 201178],
+    ['Talca', -35.43, -71.66, 'CL', 197479],
+    ['Arica', -18.47, -70.3, 'CL', 185999],
+    ['Coquimbo', -29.95, -71.34, 'CL', 161317],
+    ['Puerto Montt', -41.47, -72.94, 'CL', 160054],
+    ['La Serena', -29.9, -71.25, 'CL', 154521],
+    ['Chillán', -36.61, -72.1, 'CL', 150396],
+    ['Douala', 4.05, 9.7, 'CM', 1338082],
+    ['Yaoundé', 3.87, 11.52, 'CM', 1299369],
+    ['Garoua', 9.3, 13.4, 'CM', 436899],
+    ['Kousséri', 12.08, 15.03, 'CM', 435547],
+    ['Bamenda', 5.96, 10.15, 'CM', 393835],
+    ['Maroua', 10.59, 14.32, 'CM', 319941],
+    ['Bafoussam', 5.48, 10.42, 'CM', 290768],
+    ['Mokolo', 10.74, 13.8, 'CM', 275239],
+    ['Ngaoundéré', 7.33, 13.58, 'CM', 231357],
+    ['Bertoua', 4.58, 13.68, 'CM', 218111],
+    ['Edéa', 3.8, 10.13, 'CM', 203149],
+    ['Loum', 4.72, 9.74, 'CM', 177429],
+    ['Shanghai', 31.22, 121.46, 'CN', 22315474],
+    ['Beijing', 39.91, 116.4, 'CN', 11716620],
+    ['Tianjin', 39.14, 117.18, 'CN', 11090314],
+    ['Guangzhou', 23.12, 113.25, 'CN', 11071424],
+    ['Shenzhen', 22.55, 114.07, 'CN', 10358381],
+    ['Wuhan', 30.58, 114.27, 'CN', 9785388],
+    ['Dongguan', 23.02, 113.75, 'CN', 8000000],
+    ['Chongqing', 29.56, 106.55, 'CN', 7457600],
+    ['Chengdu', 30.67, 104.07, 'CN', 7415590],
+    ['Nanjing', 32.06, 118.78, 'CN', 7165292],
+    ['Nanchong', 30.8, 106.08, 'CN', 7150000],
+    ['Xi’an', 34.26, 108.93, 'CN', 6501190],
+    ['Shenyang', 41.79, 123.43, 'CN', 6255921],
+    ['Hangzhou', 30.29, 120.16, 'CN', 6241971],
+    ['Harbin', 45.75, 126.65, 'CN', 5878939],
+    ['Tai’an', 36.19, 117.12, 'CN', 5499000],
+    ['Suzhou', 31.3, 120.6, 'CN', 5345961],
+    ['Shantou', 23.37, 116.71, 'CN', 5329024],
+    ['Jinan', 36.67, 117, 'CN', 4335989],
+    ['Zhengzhou', 34.76, 113.65, 'CN', 4253913],
+    ['Changchun', 43.88, 125.32, 'CN', 4193073],
+    ['Dalian', 38.91, 121.6, 'CN', 4087733],
+    ['Kunming', 25.04, 102.72, 'CN', 3855346],
+    ['Qingdao', 36.06, 120.38, 'CN', 3718835],
+    ['Foshan', 23.03, 113.13, 'CN', 3600000],
+    ['Puyang', 29.46, 119.89, 'CN', 3590000],
+    ['Wuxi', 31.57, 120.29, 'CN', 3543719],
+    ['Xiamen', 24.48, 118.08, 'CN', 3531347],
+    ['Tianshui', 34.58, 105.74, 'CN', 3500000],
+    ['Ningbo', 29.88, 121.55, 'CN', 3491597],
+    ['Shiyan', 32.65, 110.78, 'CN', 3460000],
+    ['Taiyuan', 37.87, 112.56, 'CN', 3426519],
+    ['Tangshan', 39.63, 118.18, 'CN', 3372102],
+    ['Hefei', 31.86, 117.28, 'CN', 3310268],
+    ['Zibo', 36.79, 118.06, 'CN', 3129228],
+    ['Zhongshan', 21.32, 110.57, 'CN', 3121275],
+    ['Changsha', 28.2, 112.97, 'CN', 3093980],
+    ['Ürümqi', 43.8, 87.6, 'CN', 3029372],
+    ['Shijiazhuang', 38.04, 114.48, 'CN', 2834942],
+    ['Lanzhou', 36.06, 103.84, 'CN', 2628426],
+    ['Yunfu', 22.93, 112.04, 'CN', 2612800],
+    ['Nanchang', 28.68, 115.85, 'CN', 2357839],
+    ['Dadonghai', 18.22, 109.51, 'CN', 2000000],
+    ['Ordos', 39.61, 109.78, 'CN', 1940653],
+    ['Jilin', 43.85, 126.56, 'CN', 1881977],
+    ['Bayan Nur', 40.74, 107.39, 'CN', 1760000],
+    ['Kunshan', 31.38, 120.95, 'CN', 1600000],
+    ['Xinyang', 32.12, 114.07, 'CN', 1590668],
+    ['Fushun', 41.89, 123.94, 'CN', 1400646],
+    ['Luoyang', 34.68, 112.45, 'CN', 1390581],
+    ['Guankou', 28.16, 113.63, 'CN', 1380000],
+    ['Handan', 36.6, 114.47, 'CN', 1358318],
+    ['Baotou', 40.58, 110.02, 'CN', 1301768],
+    ['Xuchang', 34.03, 113.86, 'CN', 1265536],
+    ['Yueyang', 29.37, 113.09, 'CN', 1200000],
+    ['Anshan', 41.12, 122.99, 'CN', 1199275],
+    ['Tongshan', 34.18, 117.16, 'CN', 1199193],
+    ['Fuzhou', 26.06, 119.31, 'CN', 1179720],
+    ['Guiyang', 26.58, 106.72, 'CN', 1171633],
+    ['Lijiang', 26.87, 100.22, 'CN', 1137600],
+    ['Datong', 40.09, 113.29, 'CN', 1052678],
+    ['Changshu City', 31.65, 120.74, 'CN', 1047700],
+    ['Xianyang', 34.34, 108.7, 'CN', 1034081],
+    ['Huainan', 32.63, 117, 'CN', 1027655],
+    ['Jieyang', 23.54, 116.37, 'CN', 1001985],
+    ['Zhu Cheng City', 36, 119.4, 'CN', 1000000],
+    ['Baoding', 38.85, 115.49, 'CN', 995652],
+    ['Benxi', 41.29, 123.77, 'CN', 987717],
+    ['Changzhou', 31.77, 119.95, 'CN', 949018],
+    ['Huaibei', 33.97, 116.79, 'CN', 903039],
+    ['Kaifeng', 34.8, 114.31, 'CN', 900000],
+    ['Pingdingshan', 33.74, 113.3, 'CN', 889675],
+    ['Qiqihar', 47.34, 123.96, 'CN', 882364],
+    ['Wenzhou', 28, 120.67, 'CN', 865672],
+    ['Nanning', 22.82, 108.32, 'CN', 803788],
+    ['Anyang', 36.1, 114.38, 'CN', 781129],
+    ['Hohhot', 40.81, 111.65, 'CN', 774477],
+    ['Shangyu', 30.02, 120.87, 'CN', 770000],
+    ['Xining', 36.63, 101.76, 'CN', 767531],
+    ['Qinhuangdao', 39.93, 119.59, 'CN', 759718],
+    ['Hengyang', 26.89, 112.62, 'CN', 759602],
+    ['Xinxiang', 35.19, 113.8, 'CN', 743601],
+    ['Hegang', 47.35, 130.3, 'CN', 743307],
+    ['Langfang', 39.51, 116.69, 'CN', 720119],
+    ['Zhumadian', 32.98, 114.03, 'CN', 720000],
+    ['Yantai', 37.48, 121.44, 'CN', 719332],
+    ['Zhuzhou', 27.83, 113.15, 'CN', 709358],
+    ['Changzhi', 35.21, 111.74, 'CN', 699514],
+    ['Zhangjiakou', 40.81, 114.88, 'CN', 692602],
+    ['Zigong', 29.34, 104.78, 'CN', 689961],
+    ['Fuxin', 42.02, 121.66, 'CN', 689050],
+    ['Huangshi', 30.25, 115.05, 'CN', 688090],
+    ['Liaoyang', 41.27, 123.17, 'CN', 687890],
+    ['Xiangtan', 27.85, 112.9, 'CN', 674189],
+    ['Puyang Chengguanzhen', 35.71, 115.01, 'CN', 666322],
+    ['Nantong', 32.03, 120.87, 'CN', 666251],
+    ['Mudanjiang', 44.58, 129.6, 'CN', 665915],
+    ['Guilin', 25.28, 110.29, 'CN', 649352],
+    ['Zhanjiang', 21.28, 110.34, 'CN', 637790],
+    ['Zhenjiang', 32.21, 119.46, 'CN', 632552],
+    ['Dandong', 40.13, 124.39, 'CN', 631973],
+    ['Shaoguan', 24.8, 113.58, 'CN', 628749],
+    ['Yancheng', 33.36, 120.16, 'CN', 628441],
+    ['Panshan', 41.19, 122.05, 'CN', 625040],
+    ['Haikou', 20.05, 110.34, 'CN', 615835],
+    ['Taizhou', 32.49, 119.91, 'CN', 612356],
+    ['Xingtai', 37.06, 114.49, 'CN', 611739],
+    ['Jinzhou', 41.11, 121.14, 'CN', 604269],
+    ['Shuangyashan', 46.64, 131.15, 'CN', 600000],
+    ['Luancheng', 37.88, 114.65, 'CN', 597130],
+    ['Yingkou', 40.66, 122.23, 'CN', 591159],
+    ['Zhangzhou', 24.51, 117.66, 'CN', 589831],
+    ['Bengbu', 32.94, 117.36, 'CN', 576648],
+    ['Shihezi', 44.3, 86.04, 'CN', 572772],
+    ['Siping', 43.16, 124.38, 'CN', 555609],
+    ['Huai\'an', 33.59, 119.02, 'CN', 555230],
+    ['Jiamusi', 46.8, 130.32, 'CN', 549549],
+    ['Neijiang', 29.58, 105.06, 'CN', 546854],
+    ['Yangzhou', 32.4, 119.44, 'CN', 539715],
+    ['Guli', 28.88, 120.03, 'CN', 536000],
+    ['Tanggu', 39.02, 117.65, 'CN', 535298],
+    ['Jiangmen', 22.58, 113.08, 'CN', 532419],
+    ['Cangzhou', 38.32, 116.87, 'CN', 527681],
+    ['Changde', 29.03, 111.7, 'CN', 517780],
+    ['Jiaozuo', 35.24, 113.23, 'CN', 517540],
+    ['Tonghua', 41.72, 125.93, 'CN', 510000],
+    ['Wuhu', 31.34, 118.37, 'CN', 507524],
+    ['Zhuhai', 22.28, 113.57, 'CN', 501199],
+    ['Shashi', 30.31, 112.24, 'CN', 498780],
+    ['Wuwei', 37.93, 102.63, 'CN', 493092],
+    ['Jianshui', 24.28, 101.22, 'CN', 490000],
+    ['Qionghai', 19.24, 110.46, 'CN', 480000],
+    ['Yichang', 30.71, 111.28, 'CN', 476725],
+    ['Yinchuan', 38.47, 106.27, 'CN', 475101],
+    ['Zunyi', 27.69, 106.91, 'CN', 466292],
+    ['Jiaxing', 30.75, 120.75, 'CN', 466101],
+    ['Liaoyuan', 42.9, 125.14, 'CN', 465249],
+    ['Xiangyang', 32.04, 112.14, 'CN', 462956],
+    ['Dadukou', 26.55, 101.71, 'CN', 461513],
+    ['Hengshui', 37.73, 115.7, 'CN', 456356],
+    ['Jining', 35.41, 116.58, 'CN', 450327],
+    ['Wenshan City', 23.36, 104.25, 'CN', 450000],
+    ['Chengde', 40.95, 117.96, 'CN', 449325],
+    ['Bei’an', 48.27, 126.6, 'CN', 436444],
+    ['Luqiao', 28.58, 121.37, 'CN', 427890],
+    ['Chaozhou', 23.65, 116.62, 'CN', 424787],
+    ['Shaoxing', 30, 120.58, 'CN', 421283],
+    ['Luohe', 33.56, 114.04, 'CN', 417356],
+    ['Yangquan', 37.86, 113.56, 'CN', 413394],
+    ['Chaoyang', 41.57, 120.46, 'CN', 410005],
+    ['Jixi', 45.3, 130.96, 'CN', 403759],
+    ['Yangjiang', 21.86, 111.96, 'CN', 399735],
+    ['Weifang', 36.71, 119.1, 'CN', 394732],
+    ['Xinpu', 34.6, 119.16, 'CN', 392444],
+    ['Dezhou', 37.45, 116.31, 'CN', 379555],
+    ['Zhoukou', 33.63, 114.63, 'CN', 377061],
+    ['Putian', 25.44, 119.01, 'CN', 376558],
+    ['Zhangjiakou Shi Xuanhua Qu', 40.61, 115.04, 'CN', 373422],
+    ['Pingxiang', 27.62, 113.85, 'CN', 372123],
+    ['Fenghuang', 27.94, 109.6, 'CN', 370000],
+    ['Zhaoqing', 23.05, 112.46, 'CN', 361969],
+    ['Huocheng', 44.05, 80.87, 'CN', 360000],
+    ['Anqing', 30.51, 117.05, 'CN', 358661],
+    ['Anshun', 26.25, 105.93, 'CN', 351936],
+    ['Chifeng', 42.27, 118.96, 'CN', 346654],
+    ['Taihecun', 45.76, 130.85, 'CN', 345033],
+    ['Shiqi', 22.52, 113.39, 'CN', 342306],
+    ['Aksu', 41.18, 80.28, 'CN', 340020],
+    ['Tieling', 42.29, 123.84, 'CN', 333907],
+    ['Jincheng', 35.5, 112.83, 'CN', 332650],
+    ['Yanji', 42.91, 129.51, 'CN', 326957],
+    ['Suizhou', 31.71, 113.36, 'CN', 323945],
+    ['Shangrao', 28.45, 117.94, 'CN', 318769],
+    ['Baicheng', 45.61, 122.82, 'CN', 316970],
+    ['Lianshan', 40.76, 120.85, 'CN', 313247],
+    ['Wusong', 30.95, 117.78, 'CN', 312588],
+    ['Jingdezhen', 29.29, 117.21, 'CN', 310565],
+    ['Shengli', 37.46, 118.49, 'CN', 306450],
+    ['Xinyuan', 43.43, 83.25, 'CN', 300000],
+    ['Yangshuo', 24.78, 110.49, 'CN', 300000],
+    ['Xiuying', 20, 110.29, 'CN', 290000],
+    ['Beihai', 21.48, 109.1, 'CN', 289568],
+    ['Huizhou', 23.11, 114.42, 'CN', 289201],
+    ['Chuzhou', 32.32, 118.3, 'CN', 280582],
+    ['Kashgar', 39.47, 75.99, 'CN', 274717],
+    ['Linyi', 35.06, 118.34, 'CN', 270669],
+    ['Chengzhong', 30.94, 113.55, 'CN', 265886],
+    ['Wuzhou', 23.48, 111.32, 'CN', 265846],
+    ['Hulan Ergi', 47.2, 123.63, 'CN', 265344],
+    ['Mianyang', 31.47, 104.68, 'CN', 264136],
+    ['Tongliao', 43.61, 122.27, 'CN', 261110],
+    ['Karamay', 45.58, 84.89, 'CN', 260000],
+    ['Aral', 40.54, 81.27, 'CN', 260000],
+    ['Jiujiang', 29.7, 116, 'CN', 258807],
+    ['Jining', 41.03, 113.11, 'CN', 258757],
+    ['Turpan', 42.95, 89.18, 'CN', 254900],
+    ['Heze', 35.24, 115.47, 'CN', 254602],
+    ['Laohekou', 32.39, 111.67, 'CN', 253112],
+    ['Suihua', 46.64, 127, 'CN', 252245],
+    ['Liupanshui', 26.59, 104.83, 'CN', 251900],
+    ['Nanyang', 32.99, 112.53, 'CN', 251532],
+    ['Wafangdian', 39.62, 122.01, 'CN', 250591],
+    ['Rizhao', 35.43, 119.46, 'CN', 246387],
+    ['Ji’an', 27.12, 114.98, 'CN', 245000],
+    ['Hebi', 35.9, 114.19, 'CN', 244662],
+    ['Huayin', 34.57, 110.07, 'CN', 242488],
+    ['Yibin', 28.76, 104.64, 'CN', 242111],
+    ['Xiantao', 30.37, 113.44, 'CN', 239406],
+    ['Yuci', 37.68, 112.73, 'CN', 235929],
+    ['Linfen', 36.09, 111.52, 'CN', 232566],
+    ['Liaocheng', 36.46, 115.98, 'CN', 226930],
+    ['Huanggang', 23.68, 117, 'CN', 225956],
+    ['Jingling', 30.65, 113.1, 'CN', 224871],
+    ['Tongchuanshi', 35.07, 109.08, 'CN', 223603],
+    ['Xintai', 35.9, 117.75, 'CN', 222459],
+    ['Wuxue', 29.85, 115.55, 'CN', 220661],
+    ['Wuhai', 39.68, 106.82, 'CN', 218427],
+    ['Jinzhou', 39.1, 121.72, 'CN', 215386],
+    ['Guangyuan', 32.44, 105.82, 'CN', 213365],
+    ['Hailar', 49.2, 119.7, 'CN', 211066],
+    ['Daliang', 22.84, 113.25, 'CN', 210411],
+    ['Sanming', 26.25, 117.62, 'CN', 209444],
+    ['Hangu', 39.25, 117.79, 'CN', 208369],
+    ['Suzhou', 33.64, 116.98, 'CN', 205130],
+    ['Gaoping', 30.78, 106.1, 'CN', 204368],
+    ['Daqing', 46.58, 125, 'CN', 203488],
+    ['Yiyang', 28.59, 112.33, 'CN', 202608],
+    ['Linxia Chengguanzhen', 35.6, 103.21, 'CN', 202402],
+    ['Yuncheng', 35.02, 110.99, 'CN', 201950],
+    ['Changji', 44.01, 87.3, 'CN', 198776],
+    ['Kaiyuan', 23.7, 103.3, 'CN', 198423],
+    ['Mentougou', 39.94, 116.09, 'CN', 197772],
+    ['Xinhui', 22.46, 113.05, 'CN', 195129],
+    ['Ezhou', 30.4, 114.83, 'CN', 193652],
+    ['Humen', 22.82, 113.67, 'CN', 191891],
+    ['Haicheng', 40.85, 122.75, 'CN', 191651],
+    ['Zoucheng', 35.4, 116.97, 'CN', 190537],
+    ['Wanxian', 30.82, 108.37, 'CN', 188980],
+    ['Donghai', 22.95, 115.64, 'CN', 188602],
+    ['Baiyin', 36.55, 104.17, 'CN', 188533],
+    ['Laizhou', 37.18, 119.94, 'CN', 188000],
+    ['Zaoyang', 32.13, 112.75, 'CN', 184509],
+    ['Quanzhou', 24.91, 118.59, 'CN', 184143],
+    ['Baishan', 41.94, 126.42, 'CN', 183880],
+    ['Zaozhuang', 34.86, 117.55, 'CN', 183665],
+    ['Anda', 46.4, 125.31, 'CN', 181271],
+    ['Shangqiu', 34.45, 115.65, 'CN', 181218],
+    ['Xianning', 29.84, 114.32, 'CN', 179494],
+    ['Korla', 41.76, 86.15, 'CN', 179465],
+    ['Qianjiang', 30.42, 112.89, 'CN', 179079],
+    ['Chenzhou', 25.8, 113.03, 'CN', 179038],
+    ['Jingzhou', 30.35, 112.19, 'CN', 177878],
+    ['Zhenzhou', 32.28, 119.17, 'CN', 176006],
+    ['Xindi', 29.82, 113.47, 'CN', 175761],
+    ['Jiutai', 44.15, 125.83, 'CN', 175115],
+    ['Bozhou', 33.88, 115.77, 'CN', 174140],
+    ['Licheng', 23.3, 113.82, 'CN', 172775],
+    ['Weinan', 34.5, 109.51, 'CN', 172321],
+    ['Nanping', 26.64, 118.17, 'CN', 171674],
+    ['Dongling', 41.81, 123.58, 'CN', 171454],
+    ['Fuyang', 32.9, 115.82, 'CN', 170023],
+    ['Laiyang', 36.98, 120.71, 'CN', 169594],
+    ['Jingmen', 31.03, 112.2, 'CN', 167750],
+    ['Fuling', 29.71, 107.4, 'CN', 166507],
+    ['Gaozhou', 21.94, 110.85, 'CN', 166069],
+    ['Ulanhot', 46.08, 122.08, 'CN', 165846],
+    ['Shanwei', 22.78, 115.35, 'CN', 165699],
+    ['Jiaozhou', 36.28, 120, 'CN', 165026],
+    ['Fendou', 45.21, 130.9, 'CN', 164844],
+    ['Tongzhou', 39.9, 116.66, 'CN', 163326],
+    ['Anbu', 23.45, 116.68, 'CN', 162964],
+    ['Xiaogan', 30.93, 113.92, 'CN', 160437],
+    ['Qapqal', 43.8, 81.09, 'CN', 160000],
+    ['Zhicheng', 30.3, 111.5, 'CN', 159383],
+    ['Huzhou', 30.87, 120.09, 'CN', 158320],
+    ['Nanpiao', 41.1, 120.75, 'CN', 157044],
+    ['Yichun', 47.72, 128.88, 'CN', 155762],
+    ['Lianghu', 29.99, 120.9, 'CN', 155000],
+    ['Beipiao', 41.79, 120.78, 'CN', 154999],
+    ['Guangshui', 31.62, 114, 'CN', 154771],
+    ['Leshan', 29.56, 103.76, 'CN', 154477],
+    ['Zhaodong', 46.07, 125.98, 'CN', 154406],
+    ['Xinzhou', 38.41, 112.73, 'CN', 154003],
+    ['Sanshui', 23.15, 112.89, 'CN', 153714],
+    ['Boshan', 36.48, 117.83, 'CN', 153596],
+    ['Yangchun', 22.17, 111.78, 'CN', 153547],
+    ['Linhai', 28.86, 121.14, 'CN', 152937],
+    ['Dingzhou', 38.51, 115, 'CN', 152934],
+    ['Weihai', 37.51, 122.11, 'CN', 152595],
+    ['Chenghua', 23.46, 116.77, 'CN', 152453],
+    ['Deyang', 31.13, 104.38, 'CN', 152194],
+    ['Yichun', 27.83, 114.4, 'CN', 152169],
+    ['Longfeng', 46.53, 125.1, 'CN', 152074],
+    ['Qingyuan', 23.7, 113.03, 'CN', 151287],
+    ['Gaomi', 36.38, 119.75, 'CN', 150793],
+    ['Loudi', 27.73, 111.99, 'CN', 150684],
+    ['Huangyan', 28.65, 121.27, 'CN', 150448],
+    ['Bogotá', 4.61, -74.08, 'CO', 7674366],
+    ['Cali', 3.44, -76.52, 'CO', 2392877],
+    ['Medellín', 6.25, -75.56, 'CO', 1999979],
+    ['Barranquilla', 10.97, -74.78, 'CO', 1380425],
+    ['Cartagena', 10.4, -75.51, 'CO', 952024],
+    ['Cúcuta', 7.89, -72.51, 'CO', 721398],
+    ['Bucaramanga', 7.13, -73.12, 'CO', 571820],
+    ['Pereira', 4.81, -75.7, 'CO', 440118],
+    ['Santa Marta', 11.24, -74.2, 'CO', 431781],
+    ['Ibagué', 4.44, -75.23, 'CO', 421685],
+    ['Bello', 6.34, -75.56, 'CO', 392939],
+    ['Pasto', 1.21, -77.28, 'CO', 382236],
+    ['Manizales', 5.07, -75.52, 'CO', 357814],
+    ['Neiva', 2.93, -75.28, 'CO', 352855],
+    ['Soledad', 10.92, -74.76, 'CO', 342556],
+    ['Villavicencio', 4.14, -73.63, 'CO', 321717],
+    ['Armenia', 4.53, -75.68, 'CO', 315328],
+    ['Soacha', 4.58, -74.22, 'CO', 313945],
+    ['Valledupar', 10.46, -73.25, 'CO', 308237],
+    ['Itagüí', 6.18, -75.6, 'CO', 281853],
+    ['Montería', 8.75, -75.88, 'CO', 272420],
+    ['Sincelejo', 9.3, -75.4, 'CO', 261187],
+    ['Popayán', 2.44, -76.61, 'CO', 258653],
+    ['Floridablanca', 7.06, -73.09, 'CO', 252267],
+    ['Palmira', 3.54, -76.3, 'CO', 247986],
+    ['Buenaventura', 3.88, -77.03, 'CO', 240387],
+    ['Barrancabermeja', 7.07, -73.85, 'CO', 191403],
+    ['Dosquebradas', 4.84, -75.67, 'CO', 179583],
+    ['Tuluá', 4.08, -76.2, 'CO', 165501],
+    ['Envigado', 6.18, -75.59, 'CO', 163007],
+    ['San José', 9.93, -84.08, 'CR', 335007],
+    ['Limón', 9.99, -83.04, 'CR', 63081],
+    ['San Francisco', 9.99, -84.13, 'CR', 55923],
+    ['Alajuela', 10.02, -84.21, 'CR', 47494],
+    ['Liberia', 10.64, -85.44, 'CR', 45380],
+    ['Paraíso', 9.84, -83.87, 'CR', 39702],
+    ['Puntarenas', 9.98, -84.84, 'CR', 35650],
+    ['San Isidro', 9.37, -83.7, 'CR', 34877],
+    ['Havana', 23.13, -82.38, 'CU', 2163824],
+    ['Santiago de Cuba', 20.02, -75.83, 'CU', 555865],
+    ['Camagüey', 21.38, -77.92, 'CU', 347562],
+    ['Holguín', 20.89, -76.26, 'CU', 319102],
+    ['Guantánamo', 20.14, -75.21, 'CU', 272801],
+    ['Santa Clara', 22.41, -79.96, 'CU', 250512],
+    ['Arroyo Naranjo', 23.04, -82.38, 'CU', 210053],
+    ['Las Tunas', 20.96, -76.95, 'CU', 203684],
+    ['Bayamo', 20.37, -76.64, 'CU', 192632],
+    ['Pinar del Río', 22.42, -83.7, 'CU', 186990],
+    ['Cienfuegos', 22.15, -80.45, 'CU', 186644],
+    ['San Miguel del Padrón', 23.1, -82.33, 'CU', 159273],
+    ['Praia', 14.93, -23.51, 'CV', 113364],
+    ['Mindelo', 16.89, -24.98, 'CV', 70611],
+    ['Santa Maria', 16.6, -22.91, 'CV', 17231],
+    ['Cova Figueira', 14.89, -24.29, 'CV', 15350],
+    ['Santa Cruz', 15.13, -23.57, 'CV', 9488],
+    ['Pedra Badejo', 15.14, -23.53, 'CV', 9343],
+    ['São Filipe', 14.9, -24.5, 'CV', 8189],
+    ['Assomada', 15.1, -23.68, 'CV', 7927],
+    ['Willemstad', 12.11, -68.93, 'CW', 125000],
+    ['Sint Michiel Liber', 12.15, -68.98, 'CW', 5138],
+    ['Barber', 12.29, -69.07, 'CW', 2424],
+    ['Dorp Soto', 12.28, -69.11, 'CW', 2233],
+    ['Flying Fish Cove', -10.42, 105.68, 'CX', 500],
+    ['Nicosia', 35.18, 33.36, 'CY', 200452],
+    ['Limassol', 34.68, 33.04, 'CY', 154000],
+    ['Larnaca', 34.92, 33.62, 'CY', 72000],
+    ['Stróvolos', 35.15, 33.33, 'CY', 67904],
+    ['Famagusta', 35.12, 33.94, 'CY', 42526],
+    ['Paphos', 34.78, 32.42, 'CY', 35961],
+    ['Kyrenia', 35.34, 33.32, 'CY', 26701],
+    ['Protaras', 35.01, 34.06, 'CY', 20230],
+    ['Prague', 50.09, 14.42, 'CZ', 1165581],
+    ['Brno', 49.2, 16.61, 'CZ', 369559],
+    ['Ostrava', 49.83, 18.28, 'CZ', 313088],
+    ['Pilsen', 49.75, 13.38, 'CZ', 164180],
+    ['Olomouc', 49.6, 17.25, 'CZ', 101268],
+    ['Liberec', 50.77, 15.06, 'CZ', 97770],
+    ['České Budějovice', 48.97, 14.47, 'CZ', 96053],
+    ['Hradec Králové', 50.21, 15.83, 'CZ', 95195],
+    ['Berlin', 52.52, 13.41, 'DE', 3426354],
+    ['Hamburg', 53.55, 9.99, 'DE', 1739117],
+    ['Munich', 48.14, 11.58, 'DE', 1260391],
+    ['Köln', 50.93, 6.95, 'DE', 963395],
+    ['Frankfurt am Main', 50.12, 8.68, 'DE', 650000],
+    ['Essen', 51.46, 7.01, 'DE', 593085],
+    ['Stuttgart', 48.78, 9.18, 'DE', 589793],
+    ['Dortmund', 51.51, 7.47, 'DE', 588462],
+    ['Düsseldorf', 51.22, 6.78, 'DE', 573057],
+    ['Bremen', 53.08, 8.81, 'DE', 546501],
+    ['Hannover', 52.37, 9.73, 'DE', 515140],
+    ['Leipzig', 51.34, 12.37, 'DE', 504971],
+    ['Duisburg', 51.43, 6.77, 'DE', 504358],
+    ['Nürnberg', 49.45, 11.08, 'DE', 499237],
+    ['Dresden', 51.05, 13.74, 'DE', 486854],
+    ['Bochum', 51.48, 7.22, 'DE', 385729],
+    ['Wuppertal', 51.26, 7.15, 'DE', 360797],
+    ['Bielefeld', 52.03, 8.53, 'DE', 331906],
+    ['Bonn', 50.73, 7.1, 'DE', 313125],
+    ['Mannheim', 49.49, 8.47, 'DE', 307960],
+    ['Karlsruhe', 49.01, 8.4, 'DE', 283799],
+    ['Wiesbaden', 50.08, 8.25, 'DE', 272432],
+    ['Münster', 51.96, 7.63, 'DE', 270184],
+    ['Gelsenkirchen', 51.51, 7.1, 'DE', 270028],
+    ['Aachen', 50.78, 6.08, 'DE', 265208],
+    ['Mönchengladbach', 51.19, 6.44, 'DE', 261742],
+    ['Augsburg', 48.37, 10.9, 'DE', 259196],
+    ['Chemnitz', 50.84, 12.93, 'DE', 247220],
+    ['Braunschweig', 52.27, 10.53, 'DE', 244715],
+    ['Krefeld', 51.34, 6.55, 'DE', 237984],
+    ['Halle (Saale)', 51.48, 11.98, 'DE', 234107],
+    ['Kiel', 54.32, 10.13, 'DE', 232758],
+    ['Magdeburg', 52.13, 11.63, 'DE', 229826],
+    ['Oberhausen', 51.48, 6.86, 'DE', 219176],
+    ['Freiburg', 48, 7.85, 'DE', 215966],
+    ['Lübeck', 53.87, 10.69, 'DE', 212207],
+    ['Erfurt', 50.98, 11.03, 'DE', 203254],
+    ['Hagen', 51.36, 7.47, 'DE', 198972],
+    ['Rostock', 54.09, 12.14, 'DE', 198293],
+    ['Kassel', 51.32, 9.5, 'DE', 194501],
+    ['Hamm', 51.68, 7.82, 'DE', 185327],
+    ['Mainz', 49.98, 8.28, 'DE', 184997],
+    ['Saarbrücken', 49.23, 7.01, 'DE', 181227],
+    ['Herne', 51.54, 7.23, 'DE', 172108],
+    ['Mülheim', 51.43, 6.88, 'DE', 171000],
+    ['Osnabrück', 52.27, 8.05, 'DE', 166462],
+    ['Solingen', 51.17, 7.08, 'DE', 164359],
+    ['Ludwigshafen am Rhein', 49.48, 8.45, 'DE', 163196],
+    ['Leverkusen', 51.03, 6.98, 'DE', 162738],
+    ['Oldenburg', 53.14, 8.21, 'DE', 159218],
+    ['Neuss', 51.2, 6.69, 'DE', 152457],
+    ['Djibouti', 11.59, 43.15, 'DJ', 623891],
+    ['\'Ali Sabieh', 11.16, 42.71, 'DJ', 55000],
+    ['Tadjourah', 11.79, 42.88, 'DJ', 22193],
+    ['Obock', 11.97, 43.29, 'DJ', 17776],
+    ['Dikhil', 11.1, 42.37, 'DJ', 12043],
+    ['Arta', 11.53, 42.85, 'DJ', 6025],
+    ['Holhol', 11.31, 42.93, 'DJ', 3519],
+    ['Goubétto', 11.42, 43, 'DJ', 2003],
+    ['Copenhagen', 55.68, 12.57, 'DK', 1153615],
+    ['Århus', 56.16, 10.21, 'DK', 237551],
+    ['Odense', 55.4, 10.39, 'DK', 145931],
+    ['Aalborg', 57.05, 9.92, 'DK', 122219],
+    ['Frederiksberg', 55.68, 12.53, 'DK', 95029],
+    ['Esbjerg', 55.47, 8.45, 'DK', 72205],
+    ['Horsens', 55.86, 9.85, 'DK', 58646],
+    ['Randers', 56.46, 10.04, 'DK', 55780],
+    ['Roseau', 15.3, -61.39, 'DM', 16571],
+    ['Portsmouth', 15.58, -61.47, 'DM', 3633],
+    ['Marigot', 15.54, -61.28, 'DM', 2669],
+    ['Berekua', 15.23, -61.32, 'DM', 2608],
+    ['Mahaut', 15.36, -61.4, 'DM', 2369],
+    ['Saint Joseph', 15.4, -61.43, 'DM', 2184],
+    ['Wesley', 15.57, -61.32, 'DM', 1933],
+    ['Soufrière', 15.23, -61.36, 'DM', 1416],
+    ['Santo Domingo', 18.47, -69.89, 'DO', 2201941],
+    ['Santiago de los Caballeros', 19.45, -70.7, 'DO', 1200000],
+    ['Santo Domingo Oeste', 18.5, -70, 'DO', 701269],
+    ['Santo Domingo Este', 18.49, -69.86, 'DO', 700000],
+    ['San Pedro de Macorís', 18.45, -69.31, 'DO', 217899],
+    ['La Romana', 18.43, -68.97, 'DO', 208437],
+    ['San Cristóbal', 18.42, -70.1, 'DO', 154040],
+    ['Puerto Plata', 19.79, -70.69, 'DO', 146000],
+    ['Algiers', 36.73, 3.09, 'DZ', 1977663],
+    ['Boumerdas', 36.77, 3.48, 'DZ', 786499],
+    ['Oran', 35.7, -0.64, 'DZ', 645984],
+    ['Tébessa', 35.4, 8.12, 'DZ', 634332],
+    ['Constantine', 36.37, 6.61, 'DZ', 450097],
+    ['Biskra', 34.85, 5.73, 'DZ', 307987],
+    ['Sétif', 36.19, 5.41, 'DZ', 288461],
+    ['Batna', 35.56, 6.17, 'DZ', 280798],
+    ['Bab Ezzouar', 36.73, 3.18, 'DZ', 275630],
+    ['Annaba', 36.9, 7.77, 'DZ', 206570],
+    ['Sidi Bel Abbès', 35.19, -0.63, 'DZ', 191769],
+    ['Blida', 36.47, 2.83, 'DZ', 182447],
+    ['Tiaret', 35.37, 1.32, 'DZ', 178915],
+    ['Chlef', 36.17, 1.33, 'DZ', 178616],
+    ['Bordj Bou Arreridj', 36.07, 4.76, 'DZ', 168346],
+    ['Ech Chettia', 36.2, 1.26, 'DZ', 167955],
+    ['Bejaïa', 36.76, 5.08, 'DZ', 164103],
+    ['Skikda', 36.88, 6.91, 'DZ', 162702],
+    ['El Achir', 36.06, 4.63, 'DZ', 158333],
+    ['Souk Ahras', 36.29, 7.95, 'DZ', 156745],
+    ['Djelfa', 34.67, 3.26, 'DZ', 154265],
+    ['Mascara', 35.4, 0.14, 'DZ', 150000],
+    ['Guayaquil', -2.2, -79.89, 'EC', 1952029],
+    ['Quito', -0.23, -78.52, 'EC', 1399814],
+    ['Cuenca', -2.9, -79, 'EC', 276964],
+    ['Santo Domingo de los Colorados', -0.25, -79.18, 'EC', 200421],
+    ['Machala', -3.26, -79.96, 'EC', 198123],
+    ['Manta', -0.96, -80.71, 'EC', 183166],
+    ['Portoviejo', -1.05, -80.45, 'EC', 170326],
+    ['Eloy Alfaro', -2.18, -79.86, 'EC', 167784],
+    ['Esmeraldas', 0.96, -79.65, 'EC', 165216],
+    ['Ambato', -1.25, -78.62, 'EC', 154369],
+    ['Tallinn', 59.44, 24.75, 'EE', 394024],
+    ['Tartu', 58.38, 26.73, 'EE', 101092],
+    ['Narva', 59.38, 28.19, 'EE', 66980],
+    ['Kohtla-Järve', 59.4, 27.27, 'EE', 46060],
+    ['Pärnu', 58.39, 24.5, 'EE', 44192],
+    ['Viljandi', 58.36, 25.59, 'EE', 20309],
+    ['Rakvere', 59.35, 26.36, 'EE', 16736],
+    ['Sillamäe', 59.4, 27.76, 'EE', 16672],
+    ['Cairo', 30.06, 31.25, 'EG', 7734614],
+    ['Alexandria', 31.2, 29.92, 'EG', 3811516],
+    ['Giza', 30.01, 31.21, 'EG', 2443203],
+    ['Port Said', 31.27, 32.3, 'EG', 538378],
+    ['Suez', 29.97, 32.53, 'EG', 488125],
+    ['Al Maḩallah al Kubrá', 30.97, 31.17, 'EG', 431052],
+    ['Luxor', 25.7, 32.64, 'EG', 422407],
+    ['Asyūţ', 27.18, 31.18, 'EG', 420585],
+    ['Al Manşūrah', 31.04, 31.38, 'EG', 420195],
+    ['Tanda', 30.79, 31, 'EG', 404901],
+    ['Al Fayyūm', 29.31, 30.84, 'EG', 306393],
+    ['Zagazig', 30.59, 31.5, 'EG', 285097],
+    ['Ismailia', 30.6, 32.27, 'EG', 284813],
+    ['Kafr ad Dawwār', 31.13, 30.13, 'EG', 267370],
+    ['Aswan', 24.09, 32.9, 'EG', 241261],
+    ['Qinā', 26.16, 32.73, 'EG', 235362],
+    ['Ḩalwān', 29.84, 31.3, 'EG', 230000],
+    ['Damanhūr', 31.03, 30.47, 'EG', 227943],
+    ['Al Minyā', 28.09, 30.76, 'EG', 227150],
+    ['Idkū', 31.31, 30.3, 'EG', 210678],
+    ['Sohag', 26.56, 31.69, 'EG', 209419],
+    ['New Cairo', 30.03, 31.47, 'EG', 200000],
+    ['Banī Suwayf', 29.07, 31.1, 'EG', 189624],
+    ['Shibīn al Kawm', 30.55, 31.01, 'EG', 186345],
+    ['Banhā', 30.46, 31.18, 'EG', 167029],
+    ['Ţalkhā', 31.05, 31.38, 'EG', 157737],
+    ['Laayoune', 27.14, -13.19, 'EH', 196331],
+    ['Dakhla', 23.68, -15.96, 'EH', 75000],
+    ['Laayoune Plage', 27.1, -13.42, 'EH', 10450],
+    ['Asmara', 15.34, 38.93, 'ER', 563930],
+    ['Keren', 15.78, 38.45, 'ER', 74800],
+    ['Massawa', 15.61, 39.47, 'ER', 23100],
+    ['Assab', 13.01, 42.74, 'ER', 21300],
+    ['Mendefera', 14.89, 38.82, 'ER', 17781],
+    ['Barentu', 15.11, 37.59, 'ER', 15891],
+    ['Adi Keyh', 14.84, 39.38, 'ER', 13061],
+    ['Edd', 13.93, 41.69, 'ER', 11259],
+    ['Madrid', 40.42, -3.7, 'ES', 3255944],
+    ['Barcelona', 41.39, 2.16, 'ES', 1621537],
+    ['Valencia', 39.47, -0.38, 'ES', 814208],
+    ['Sevilla', 37.38, -5.97, 'ES', 703206],
+    ['Zaragoza', 41.66, -0.88, 'ES', 674317],
+    ['Málaga', 36.72, -4.42, 'ES', 568305],
+    ['Murcia', 37.99, -1.13, 'ES', 436870],
+    ['Palma', 39.57, 2.65, 'ES', 401270],
+    ['Las Palmas de Gran Canaria', 28.1, -15.41, 'ES', 381847],
+    ['Bilbao', 43.26, -2.93, 'ES', 354860],
+    ['Alicante', 38.35, -0.48, 'ES', 334757],
+    ['Córdoba', 37.89, -4.77, 'ES', 328428],
+    ['Valladolid', 41.66, -4.72, 'ES', 317864],
+    ['Vigo', 42.23, -8.72, 'ES', 297332],
+    ['Gijón', 43.54, -5.66, 'ES', 277554],
+    ['L\'Hospitalet de Llobregat', 41.36, 2.1, 'ES', 257038],
+    ['A Coruña', 43.37, -8.4, 'ES', 246056],
+    ['Gasteiz / Vitoria', 42.85, -2.67, 'ES', 235661],
+    ['Granada', 37.19, -3.61, 'ES', 234325],
+    ['Elche', 38.26, -0.7, 'ES', 230112],
+    ['Ciudad Lineal', 40.45, -3.65, 'ES', 228171],
+    ['Oviedo', 43.36, -5.84, 'ES', 224005],
+    ['Santa Cruz de Tenerife', 28.47, -16.25, 'ES', 222417],
+    ['Badalona', 41.45, 2.25, 'ES', 219547],
+    ['Cartagena', 37.61, -0.99, 'ES', 211996],
+    ['Terrassa', 41.57, 2.02, 'ES', 210941],
+    ['Jerez de la Frontera', 36.69, -6.14, 'ES', 207532],
+    ['Sabadell', 41.54, 2.11, 'ES', 206493],
+    ['Móstoles', 40.32, -3.86, 'ES', 206478],
+    ['Alcalá de Henares', 40.48, -3.36, 'ES', 204574],
+    ['Pamplona', 42.82, -1.64, 'ES', 198491],
+    ['Fuenlabrada', 40.28, -3.79, 'ES', 197836],
+    ['Almería', 36.84, -2.46, 'ES', 188810],
+    ['Leganés', 40.33, -3.76, 'ES', 186066],
+    ['Donostia / San Sebastián', 43.31, -1.97, 'ES', 185357],
+    ['Santander', 43.46, -3.8, 'ES', 182700],
+    ['Castelló de la Plana', 39.99, -0.05, 'ES', 180005],
+    ['Burgos', 42.34, -3.7, 'ES', 178966],
+    ['Albacete', 38.99, -1.86, 'ES', 169716],
+    ['Alcorcón', 40.35, -3.82, 'ES', 167967],
+    ['Getafe', 40.31, -3.73, 'ES', 167164],
+    ['Salamanca', 40.97, -5.66, 'ES', 155619],
+    ['Logroño', 42.47, -2.45, 'ES', 152107],
+    ['La Laguna', 28.49, -16.32, 'ES', 150661],
+    ['Addis Ababa', 9.02, 38.75, 'ET', 2757729],
+    ['Dire Dawa', 9.59, 41.87, 'ET', 252279],
+    ['Mek\'ele', 13.5, 39.48, 'ET', 215546],
+    ['Nazrēt', 8.55, 39.27, 'ET', 213995],
+    ['Bahir Dar', 11.59, 37.39, 'ET', 168899],
+    ['Gondar', 12.6, 37.47, 'ET', 153914],
+    ['Desē', 11.13, 39.63, 'ET', 136056],
+    ['Hawassa', 7.06, 38.48, 'ET', 133097],
+    ['Helsinki', 60.17, 24.94, 'FI', 558457],
+    ['Espoo', 60.21, 24.65, 'FI', 256760],
+    ['Tampere', 61.5, 23.79, 'FI', 202687],
+    ['Vantaa', 60.29, 25.04, 'FI', 190058],
+    ['Turku', 60.45, 22.27, 'FI', 175945],
+    ['Oulu', 65.01, 25.47, 'FI', 128618],
+    ['Lahti', 60.98, 25.66, 'FI', 98826],
+    ['Kuopio', 62.89, 27.68, 'FI', 89104],
+    ['Suva', -18.14, 178.44, 'FJ', 77366],
+    ['Lautoka', -17.62, 177.45, 'FJ', 52500],
+    ['Nadi', -17.8, 177.42, 'FJ', 42284],
+    ['Labasa', -16.43, 179.36, 'FJ', 27949],
+    ['Ba', -17.53, 177.67, 'FJ', 14596],
+    ['Levuka', -18.07, 179.32, 'FJ', 8360],
+    ['Ahau', -12.5, 177.05, 'FJ', 0],
+    ['Tubou', -18.24, -178.81, 'FJ', 0],
+    ['Stanley', -51.69, -57.86, 'FK', 2213],
+    ['Weno', 7.45, 151.84, 'FM', 13856],
+    ['Tofol', 5.32, 163.01, 'FM', 9686],
+    ['Colonia', 9.52, 138.12, 'FM', 7371],
+    ['Kolonia', 6.96, 158.21, 'FM', 6074],
+    ['Kolonia Town', 6.96, 158.21, 'FM', 5681],
+    ['Nema', 6.99, 152.57, 'FM', 995],
+    ['Ngatik', 5.79, 157.16, 'FM', 640],
+    ['Murilo', 8.69, 152.34, 'FM', 607],
+    ['Tórshavn', 62.01, -6.77, 'FO', 13200],
+    ['Klaksvík', 62.23, -6.59, 'FO', 4664],
+    ['Hoyvík', 62.03, -6.78, 'FO', 2777],
+    ['Argir', 62, -6.77, 'FO', 1871],
+    ['Vágur', 61.47, -6.81, 'FO', 1569],
+    ['Fuglafjørður', 62.24, -6.81, 'FO', 1542],
+    ['Vestmanna', 62.15, -7.17, 'FO', 1284],
+    ['Tvøroyri', 61.56, -6.81, 'FO', 1230],
+    ['Paris', 48.85, 2.35, 'FR', 2138551],
+    ['Marseille', 43.3, 5.38, 'FR', 794811],
+    ['Lyon', 45.75, 4.85, 'FR', 472317],
+    ['Toulouse', 43.6, 1.44, 'FR', 433055],
+    ['Nice', 43.7, 7.27, 'FR', 338620],
+    ['Nantes', 47.22, -1.55, 'FR', 277269],
+    ['Strasbourg', 48.58, 7.75, 'FR', 274845],
+    ['Montpellier', 43.61, 3.88, 'FR', 248252],
+    ['Bordeaux', 44.84, -0.58, 'FR', 231844],
+    ['Lille', 50.63, 3.06, 'FR', 228328],
+    ['Rennes', 48.11, -1.67, 'FR', 209375],
+    ['Reims', 49.27, 4.03, 'FR', 196565],
+    ['Le Havre', 49.49, 0.11, 'FR', 185972],
+    ['Cergy-Pontoise', 49.04, 2.08, 'FR', 183430],
+    ['Saint-Étienne', 45.43, 4.39, 'FR', 176280],
+    ['Toulon', 43.12, 5.93, 'FR', 168701],
+    ['Angers', 47.47, -0.55, 'FR', 168279],
+    ['Grenoble', 45.18, 5.71, 'FR', 158552],
+    ['Libreville', 0.39, 9.45, 'GA', 578156],
+    ['Port-Gentil', -0.72, 8.78, 'GA', 109163],
+    ['Franceville', -1.63, 13.58, 'GA', 42967],
+    ['Oyem', 1.6, 11.58, 'GA', 30870],
+    ['Moanda', -1.57, 13.2, 'GA', 30151],
+    ['Mouila', -1.87, 11.06, 'GA', 22469],
+    ['Lambaréné', -0.7, 10.24, 'GA', 20714],
+    ['Tchibanga', -2.93, 10.98, 'GA', 19365],
+    ['London', 51.51, -0.13, 'GB', 7556900],
+    ['Birmingham', 52.48, -1.9, 'GB', 984333],
+    ['Liverpool', 53.41, -2.98, 'GB', 864122],
+    ['Nottingham', 52.95, -1.15, 'GB', 729977],
+    ['Sheffield', 53.38, -1.47, 'GB', 685368],
+    ['Bristol', 51.46, -2.6, 'GB', 617280],
+    ['Glasgow', 55.87, -4.26, 'GB', 591620],
+    ['Leicester', 52.64, -1.13, 'GB', 508916],
+    ['Edinburgh', 55.95, -3.2, 'GB', 464990],
+    ['Leeds', 53.8, -1.55, 'GB', 455123],
+    ['Cardiff', 51.48, -3.18, 'GB', 447287],
+    ['Manchester', 53.48, -2.24, 'GB', 395515],
+    ['Stoke-on-Trent', 53, -2.19, 'GB', 372775],
+    ['Coventry', 52.41, -1.51, 'GB', 359262],
+    ['Sunderland', 54.9, -1.38, 'GB', 335415],
+    ['Birkenhead', 53.39, -3.01, 'GB', 325264],
+    ['Islington', 51.54, -0.1, 'GB', 319143],
+    ['Reading', 51.46, -0.97, 'GB', 318014],
+    ['Kingston upon Hull', 53.74, -0.34, 'GB', 314018],
+    ['Preston', 53.76, -2.7, 'GB', 313332],
+    ['Newport', 51.59, -3, 'GB', 306844],
+    ['Swansea', 51.62, -3.94, 'GB', 300352],
+    ['Bradford', 53.79, -1.75, 'GB', 299310],
+    ['Southend-on-Sea', 51.54, 0.71, 'GB', 295310],
+    ['Belfast', 54.6, -5.93, 'GB', 274770],
+    ['Derby', 52.92, -1.48, 'GB', 270468],
+    ['Plymouth', 50.37, -4.14, 'GB', 260203],
+    ['Luton', 51.88, -0.42, 'GB', 258018],
+    ['Wolverhampton', 52.59, -2.12, 'GB', 252791],
+    ['City of Westminster', 51.5, -0.14, 'GB', 247614],
+    ['Southampton', 50.9, -1.4, 'GB', 246201],
+    ['Blackpool', 53.82, -3.05, 'GB', 239409],
+    ['Milton Keynes', 52.04, -0.76, 'GB', 229941],
+    ['Bexley', 51.44, 0.15, 'GB', 228000],
+    ['Northampton', 52.25, -0.88, 'GB', 215963],
+    ['Archway', 51.57, -0.13, 'GB', 215667],
+    ['Norwich', 52.63, 1.3, 'GB', 213166],
+    ['Dudley', 52.5, -2.08, 'GB', 199059],
+    ['Aberdeen', 57.14, -2.1, 'GB', 196670],
+    ['Portsmouth', 50.8, -1.09, 'GB', 194150],
+    ['Newcastle upon Tyne', 54.97, -1.61, 'GB', 192382],
+    ['Sutton', 51.35, -0.2, 'GB', 187600],
+    ['Swindon', 51.56, -1.78, 'GB', 185609],
+    ['Crawley', 51.11, -0.18, 'GB', 180508],
+    ['Ipswich', 52.06, 1.16, 'GB', 178835],
+    ['Wigan', 53.54, -2.64, 'GB', 175405],
+    ['Croydon', 51.38, -0.1, 'GB', 173314],
+    ['Walsall', 52.59, -1.98, 'GB', 172141],
+    ['Mansfield', 53.13, -1.2, 'GB', 171958],
+    ['Oxford', 51.75, -1.26, 'GB', 171380],
+    ['Warrington', 53.39, -2.58, 'GB', 165456],
+    ['Slough', 51.51, -0.6, 'GB', 163777],
+    ['Bournemouth', 50.72, -1.88, 'GB', 163600],
+    ['Peterborough', 52.57, -0.25, 'GB', 163379],
+    ['Cambridge', 52.2, 0.12, 'GB', 158434],
+    ['Doncaster', 53.52, -1.13, 'GB', 158141],
+    ['York', 53.96, -1.08, 'GB', 153717],
+    ['Poole', 50.71, -1.98, 'GB', 150092],
+    ['Gloucester', 51.87, -2.24, 'GB', 150053],
+    ['Saint George\'s', 12.05, -61.75, 'GD', 7500],
+    ['Gouyave', 12.16, -61.73, 'GD', 3378],
+    ['Grenville', 12.12, -61.62, 'GD', 2476],
+    ['Victoria', 12.19, -61.71, 'GD', 2256],
+    ['Saint David’s', 12.05, -61.67, 'GD', 1321],
+    ['Sauteurs', 12.22, -61.64, 'GD', 1320],
+    ['Hillsborough', 12.48, -61.46, 'GD', 1000],
+    ['Tbilisi', 41.69, 44.83, 'GE', 1049498],
+    ['Kutaisi', 42.27, 42.69, 'GE', 178338],
+    ['Batumi', 41.64, 41.63, 'GE', 121806],
+    ['Sokhumi', 43.01, 40.99, 'GE', 81546],
+    ['Zugdidi', 42.51, 41.87, 'GE', 73006],
+    ['Rustavi', 41.56, 44.98, 'GE', 50000],
+    ['P’ot’i', 42.14, 41.67, 'GE', 47149],
+    ['Gori', 41.98, 44.12, 'GE', 46676],
+    ['Cayenne', 4.93, -52.33, 'GF', 61550],
+    ['Matoury', 4.85, -52.32, 'GF', 26350],
+    ['Saint-Laurent-du-Maroni', 5.5, -54.03, 'GF', 24287],
+    ['Kourou', 5.16, -52.64, 'GF', 24029],
+    ['Rémire-Montjoly', 4.92, -52.27, 'GF', 19029],
+    ['Macouria', 4.91, -52.37, 'GF', 8773],
+    ['Mana', 5.67, -53.78, 'GF', 5885],
+    ['Apatou', 5.16, -54.34, 'GF', 4752],
+    ['Saint Peter Port', 49.46, -2.54, 'GG', 16488],
+    ['Torteval', 49.43, -2.65, 'GG', 0],
+    ['Saint Sampson', 49.48, -2.52, 'GG', 0],
+    ['St Anne', 49.72, -2.21, 'GG', 0],
+    ['Saint Saviour', 49.46, -2.64, 'GG', 0],
+    ['Castel', 49.47, -2.6, 'GG', 0],
+    ['Saint Andrew', 49.44, -2.58, 'GG', 0],
+    ['St Martin', 49.44, -2.55, 'GG', 0],
+    ['Accra', 5.56, -0.2, 'GH', 1963264],
+    ['Kumasi', 6.69, -1.62, 'GH', 1468609],
+    ['Tamale', 9.4, -0.84, 'GH', 360579],
+    ['Takoradi', 4.9, -1.76, 'GH', 232919],
+    ['Atsiaman', 5.7, -0.33, 'GH', 202932],
+    ['Tema', 5.67, -0.02, 'GH', 155782],
+    ['Cape Coast', 5.11, -1.25, 'GH', 143015],
+    ['Sekondi-Takoradi', 4.93, -1.76, 'GH', 138872],
+    ['Gibraltar', 36.14, -5.35, 'GI', 26544],
+    ['Nuuk', 64.18, -51.72, 'GL', 14798],
+    ['Sisimiut', 66.94, -53.67, 'GL', 5227],
+    ['Ilulissat', 69.22, -51.1, 'GL', 4413],
+    ['Qaqortoq', 60.72, -46.04, 'GL', 3224],
+    ['Aasiaat', 68.71, -52.87, 'GL', 3005],
+    ['Maniitsoq', 65.42, -52.9, 'GL', 2866],
+    ['Paamiut', 61.99, -49.67, 'GL', 1862],
+    ['Tasiilaq', 65.61, -37.64, 'GL', 1829],
+    ['Serekunda', 13.44, -16.68, 'GM', 340000],
+    ['Brikama', 13.27, -16.65, 'GM', 77700],
+    ['Bakau', 13.48, -16.68, 'GM', 43098],
+    ['Banjul', 13.45, -16.58, 'GM', 34589],
+    ['Farafenni', 13.57, -15.6, 'GM', 29867],
+    ['Lamin', 13.35, -16.43, 'GM', 24797],
+    ['Sukuta', 13.41, -16.71, 'GM', 15131],
+    ['Basse Santa Su', 13.31, -14.21, 'GM', 14380],
+    ['Camayenne', 9.54, -13.69, 'GN', 1871242],
+    ['Conakry', 9.54, -13.68, 'GN', 1767200],
+    ['Nzérékoré', 7.76, -8.82, 'GN', 132728],
+    ['Kindia', 10.06, -12.87, 'GN', 117062],
+    ['Kankan', 10.39, -9.31, 'GN', 114009],
+    ['Gueckedou', 8.57, -10.13, 'GN', 79140],
+    ['Coyah', 9.71, -13.38, 'GN', 77103],
+    ['Labé', 11.32, -12.28, 'GN', 58649],
+    ['Les Abymes', 16.27, -61.51, 'GP', 63058],
+    ['Baie-Mahault', 16.27, -61.59, 'GP', 30551],
+    ['Le Gosier', 16.21, -61.49, 'GP', 28698],
+    ['Petit-Bourg', 16.19, -61.59, 'GP', 24994],
+    ['Sainte-Anne', 16.23, -61.38, 'GP', 22859],
+    ['Le Moule', 16.33, -61.35, 'GP', 22692],
+    ['Sainte-Rose', 16.33, -61.7, 'GP', 20192],
+    ['Capesterre-Belle-Eau', 16.04, -61.56, 'GP', 19821],
+    ['Bata', 1.86, 9.77, 'GQ', 173046],
+    ['Malabo', 3.76, 8.78, 'GQ', 155963],
+    ['Ebebiyin', 2.15, 11.34, 'GQ', 24831],
+    ['Aconibe', 1.3, 10.94, 'GQ', 11192],
+    ['Añisoc', 1.87, 10.77, 'GQ', 10191],
+    ['Luba', 3.46, 8.55, 'GQ', 8655],
+    ['Evinayong', 1.44, 10.55, 'GQ', 8462],
+    ['Mongomo', 1.63, 11.31, 'GQ', 6393],
+    ['Athens', 37.98, 23.73, 'GR', 664046],
+    ['Thessaloníki', 40.64, 22.93, 'GR', 354290],
+    ['Pátra', 38.24, 21.73, 'GR', 168034],
+    ['Piraeus', 37.94, 23.65, 'GR', 163688],
+    ['Lárisa', 39.64, 22.42, 'GR', 144651],
+    ['Peristéri', 38.02, 23.69, 'GR', 139981],
+    ['Irákleion', 35.33, 25.14, 'GR', 137154],
+    ['Kallithéa', 37.95, 23.7, 'GR', 100641],
+    ['Grytviken', -54.28, -36.51, 'GS', 2],
+    ['Guatemala City', 14.64, -90.51, 'GT', 994938],
+    ['Mixco', 14.63, -90.61, 'GT', 473080],
+    ['Villa Nueva', 14.53, -90.59, 'GT', 406830],
+    ['Petapa', 14.5, -90.56, 'GT', 141455],
+    ['San Juan Sacatepéquez', 14.72, -90.64, 'GT', 136886],
+    ['Quetzaltenango', 14.83, -91.52, 'GT', 132230],
+    ['Villa Canales', 14.48, -90.53, 'GT', 122194],
+    ['Escuintla', 14.3, -90.79, 'GT', 103165],
+    ['Dededo Village', 13.52, 144.84, 'GU', 44943],
+    ['Yigo Village', 13.54, 144.89, 'GU', 20539],
+    ['Tamuning-Tumon-Harmon Village', 13.49, 144.78, 'GU', 19685],
+    ['Mangilao Village', 13.45, 144.8, 'GU', 15191],
+    ['Barrigada Village', 13.47, 144.8, 'GU', 8875],
+    ['Santa Rita Village', 13.39, 144.67, 'GU', 7500],
+    ['Mongmong-Toto-Maite Village', 13.47, 144.78, 'GU', 6825],
+    ['Chalan Pago-Ordot Village', 13.45, 144.76, 'GU', 6822],
+    ['Bissau', 11.86, -15.6, 'GW', 388028],
+    ['Bafatá', 12.17, -14.66, 'GW', 22521],
+    ['Gabú', 12.28, -14.22, 'GW', 14430],
+    ['Bissorã', 12.22, -15.45, 'GW', 12688],
+    ['Bolama', 11.58, -15.48, 'GW', 10769],
+    ['Cacheu', 12.27, -16.17, 'GW', 10490],
+    ['Catió', 11.28, -15.25, 'GW', 9898],
+    ['Bubaque', 11.28, -15.83, 'GW', 9244],
+    ['Georgetown', 6.8, -58.16, 'GY', 235017],
+    ['Linden', 6.01, -58.31, 'GY', 44690],
+    ['New Amsterdam', 6.25, -57.52, 'GY', 35039],
+    ['Anna Regina', 7.26, -58.51, 'GY', 12448],
+    ['Bartica', 6.41, -58.62, 'GY', 11157],
+    ['Skeldon', 5.88, -57.13, 'GY', 5859],
+    ['Rosignol', 6.27, -57.54, 'GY', 5782],
+    ['Mahaica Village', 6.68, -57.92, 'GY', 4867],
+    ['Hong Kong', 22.28, 114.17, 'HK', 7012738],
+    ['Kowloon', 22.32, 114.18, 'HK', 2019533],
+    ['Tsuen Wan', 22.37, 114.11, 'HK', 288728],
+    ['Yuen Long Kau Hui', 22.45, 114.03, 'HK', 141900],
+    ['Tung Chung', 22.29, 113.94, 'HK', 45000],
+    ['Sha Tin', 22.38, 114.18, 'HK', 21559],
+    ['Tuen Mun', 22.39, 113.97, 'HK', 16940],
+    ['Tai Po', 22.45, 114.17, 'HK', 16302],
+    ['Tegucigalpa', 14.08, -87.21, 'HN', 850848],
+    ['San Pedro Sula', 15.5, -88.03, 'HN', 489466],
+    ['Choloma', 15.61, -87.95, 'HN', 139100],
+    ['La Ceiba', 15.76, -86.78, 'HN', 130218],
+    ['El Progreso', 15.4, -87.8, 'HN', 100810],
+    ['Ciudad Choluteca', 13.3, -87.19, 'HN', 75872],
+    ['Comayagua', 14.45, -87.64, 'HN', 58784],
+    ['Puerto Cortez', 15.83, -87.93, 'HN', 48013],
+    ['Zagreb', 45.81, 15.98, 'HR', 698966],
+    ['Split', 43.51, 16.44, 'HR', 176314],
+    ['Rijeka', 45.33, 14.44, 'HR', 141172],
+    ['Osijek', 45.55, 18.69, 'HR', 88140],
+    ['Zadar', 44.12, 15.23, 'HR', 71258],
+    ['Slavonski Brod', 45.16, 18.02, 'HR', 60742],
+    ['Pula', 44.87, 13.85, 'HR', 59078],
+    ['Sesvete', 45.83, 16.12, 'HR', 52411],
+    ['Port-au-Prince', 18.54, -72.34, 'HT', 1234742],
+    ['Delmas 73', 18.54, -72.3, 'HT', 382920],
+    ['Pétionville', 18.51, -72.29, 'HT', 283052],
+    ['Port-de-Paix', 19.94, -72.83, 'HT', 250000],
+    ['Croix-des-Bouquets', 18.58, -72.23, 'HT', 229127],
+    ['Jacmel', 18.23, -72.54, 'HT', 137966],
+    ['Okap', 19.76, -72.2, 'HT', 134815],
+    ['Léogâne', 18.51, -72.63, 'HT', 134190],
+    ['Budapest', 47.5, 19.04, 'HU', 1741041],
+    ['Debrecen', 47.53, 21.62, 'HU', 204124],
+    ['Miskolc', 48.1, 20.78, 'HU', 172637],
+    ['Szeged', 46.25, 20.15, 'HU', 164883],
+    ['Pécs', 46.07, 18.23, 'HU', 156649],
+    ['Győr', 47.68, 17.64, 'HU', 128265],
+    ['Nyíregyháza', 47.96, 21.72, 'HU', 116298],
+    ['Kecskemét', 46.91, 19.69, 'HU', 109847],
+    ['Jakarta', -6.21, 106.85, 'ID', 8540121],
+    ['Surabaya', -7.25, 112.75, 'ID', 2374658],
+    ['Medan', 3.58, 98.67, 'ID', 1750971],
+    ['Bandung', -6.92, 107.61, 'ID', 1699719],
+    ['Bekasi', -6.23, 106.99, 'ID', 1520119],
+    ['Palembang', -2.92, 104.75, 'ID', 1441500],
+    ['Tangerang', -6.18, 106.63, 'ID', 1372124],
+    ['Makassar', -5.15, 119.43, 'ID', 1321717],
+    ['South Tangerang', -6.29, 106.72, 'ID', 1303569],
+    ['Semarang', -6.99, 110.42, 'ID', 1288084],
+    ['Depok', -6.4, 106.82, 'ID', 1198129],
+    ['Batam', 1.15, 104.02, 'ID', 1164352],
+    ['Padang', -0.95, 100.35, 'ID', 840352],
+    ['Denpasar', -8.65, 115.22, 'ID', 834881],
+    ['Bandar Lampung', -5.43, 105.26, 'ID', 800348],
+    ['Bogor', -6.59, 106.79, 'ID', 800000],
+    ['Malang', -7.98, 112.63, 'ID', 746716],
+    ['Pekanbaru', 0.52, 101.44, 'ID', 703956],
+    ['City of Balikpapan', -1.24, 116.89, 'ID', 700000],
+    ['Yogyakarta', -7.8, 110.36, 'ID', 636660],
+    ['Situbondo', -7.71, 114.01, 'ID', 600000],
+    ['Banjarmasin', -3.32, 114.59, 'ID', 572837],
+    ['Surakarta', -7.56, 110.83, 'ID', 555308],
+    ['Cimahi', -6.87, 107.54, 'ID', 493698],
+    ['Pontianak', -0.03, 109.33, 'ID', 455173],
+    ['Manado', 1.48, 124.85, 'ID', 451893],
+    ['Balikpapan', -1.27, 116.83, 'ID', 433866],
+    ['Jambi City', -1.6, 103.62, 'ID', 420323],
+    ['Ambon', -3.7, 128.18, 'ID', 355596],
+    ['Samarinda', -0.49, 117.15, 'ID', 355160],
+    ['Mataram', -8.58, 116.12, 'ID', 318674],
+    ['Percut', 3.63, 98.86, 'ID', 311063],
+    ['Bengkulu', -3.8, 102.27, 'ID', 309712],
+    ['Jember', -8.17, 113.7, 'ID', 298585],
+    ['Palu', -0.91, 119.87, 'ID', 282431],
+    ['Kupang', -10.17, 123.61, 'ID', 282396],
+    ['Sukabumi', -6.92, 106.93, 'ID', 276414],
+    ['Tasikmalaya', -7.33, 108.22, 'ID', 271143],
+    ['Pekalongan', -6.89, 109.68, 'ID', 257945],
+    ['Cirebon', -6.71, 108.56, 'ID', 254298],
+    ['Banda Aceh', 5.54, 95.33, 'ID', 250757],
+    ['Tegal', -6.87, 109.14, 'ID', 237084],
+    ['Kediri', -7.82, 112.02, 'ID', 235143],
+    ['Binjai', 3.6, 98.49, 'ID', 228763],
+    ['Purwokerto', -7.42, 109.23, 'ID', 217222],
+    ['Purwakarta', -6.56, 107.44, 'ID', 215803],
+    ['Loa Janan', -0.58, 117.1, 'ID', 212816],
+    ['Pematangsiantar', 2.96, 99.07, 'ID', 209614],
+    ['Ciputat', -6.24, 106.7, 'ID', 207858],
+    ['Ciampea', -6.55, 106.7, 'ID', 207212],
+    ['Cileungsir', -6.39, 106.96, 'ID', 202190],
+    ['Rengasdengklok', -6.16, 107.3, 'ID', 201463],
+    ['Sumedang', -6.86, 107.92, 'ID', 200000],
+    ['Kendari', -3.98, 122.52, 'ID', 195006],
+    ['Parung', -6.42, 106.73, 'ID', 193898],
+    ['Tanjung Pinang', 0.92, 104.46, 'ID', 192493],
+    ['Curug', -6.27, 106.56, 'ID', 191406],
+    ['Labuan Bajo', -8.5, 119.89, 'ID', 188724],
+    ['Cibinong', -6.48, 106.85, 'ID', 188663],
+    ['Madiun', -7.63, 111.52, 'ID', 186099],
+    ['Pemalang', -6.89, 109.38, 'ID', 184149],
+    ['Lembang', -6.81, 107.62, 'ID', 183130],
+    ['Probolinggo', -7.75, 113.22, 'ID', 181656],
+    ['Pamulang', -6.34, 106.74, 'ID', 174557],
+    ['Cikupa', -6.24, 106.51, 'ID', 174041],
+    ['Salatiga', -7.33, 110.49, 'ID', 172645],
+    ['Plumbon', -6.71, 108.47, 'ID', 167105],
+    ['Banjaran', -7.05, 107.59, 'ID', 164952],
+    ['Serang', -6.12, 106.15, 'ID', 164767],
+    ['Lawang', -7.84, 112.69, 'ID', 159380],
+    ['Pasuruan', -7.65, 112.91, 'ID', 158600],
+    ['Sunggal', 3.58, 98.62, 'ID', 157914],
+    ['Perbaungan', 3.57, 98.96, 'ID', 157174],
+    ['Pasarkemis', -6.17, 106.53, 'ID', 154234],
+    ['Soreang', -7.03, 107.52, 'ID', 150932],
+    ['Purwodadi', -7.09, 110.92, 'ID', 150206],
+    ['Dublin', 53.33, -6.25, 'IE', 1024027],
+    ['Cork', 51.9, -8.47, 'IE', 190384],
+    ['Luimneach', 52.66, -8.62, 'IE', 90054],
+    ['Gaillimh', 53.27, -9.05, 'IE', 70686],
+    ['Tallaght', 53.29, -6.37, 'IE', 64282],
+    ['Waterford', 52.26, -7.11, 'IE', 47904],
+    ['Swords', 53.46, -6.22, 'IE', 36924],
+    ['Drogheda', 53.72, -6.35, 'IE', 33441],
+    ['Jerusalem', 31.77, 35.22, 'IL', 801000],
+    ['Tel Aviv', 32.08, 34.78, 'IL', 432892],
+    ['Haifa', 32.82, 34.99, 'IL', 267300],
+    ['Ashdod', 31.79, 34.65, 'IL', 224656],
+    ['Rishon LeẔiyyon', 31.97, 34.79, 'IL', 220492],
+    ['Petaẖ Tiqwa', 32.09, 34.89, 'IL', 200000],
+    ['Beersheba', 31.25, 34.79, 'IL', 186600],
+    ['Netanya', 32.33, 34.86, 'IL', 171676],
+    ['H̱olon', 32.01, 34.78, 'IL', 165787],
+    ['Bnei Brak', 32.08, 34.83, 'IL', 154400],
+    ['Douglas', 54.15, -4.48, 'IM', 26218],
+    ['Ramsey', 54.32, -4.39, 'IM', 7309],
+    ['Peel', 54.22, -4.69, 'IM', 3781],
+    ['Port Erin', 54.08, -4.75, 'IM', 3530],
+    ['Castletown', 54.07, -4.65, 'IM', 3100],
+    ['Laxey', 54.23, -4.4, 'IM', 1768],
+    ['Santon', 54.12, -4.58, 'IM', 0],
+    ['Port Saint Mary', 54.07, -4.74, 'IM', 0],
+    ['Mumbai', 19.07, 72.88, 'IN', 12691836],
+    ['Delhi', 28.65, 77.23, 'IN', 10927986],
+    ['Bengaluru', 12.97, 77.59, 'IN', 5104047],
+    ['Kolkata', 22.56, 88.36, 'IN', 4631392],
+    ['Chennai', 13.09, 80.28, 'IN', 4328063],
+    ['Ahmedabad', 23.03, 72.59, 'IN', 3719710],
+    ['Hyderabad', 17.38, 78.46, 'IN', 3597816],
+    ['Pune', 18.52, 73.86, 'IN', 2935744],
+    ['Sūrat', 21.2, 72.83, 'IN', 2894504],
+    ['Kanpur', 26.47, 80.35, 'IN', 2823249],
+    ['Jaipur', 26.92, 75.79, 'IN', 2711758],
+    ['Lucknow', 26.84, 80.92, 'IN', 2472011],
+    ['Nagpur', 21.15, 79.08, 'IN', 2228018],
+    ['Indore', 22.72, 75.83, 'IN', 1837041],
+    ['Patna', 25.59, 85.14, 'IN', 1599920],
+    ['Bhopal', 23.25, 77.4, 'IN', 1599914],
+    ['Ludhiāna', 30.91, 75.85, 'IN', 1545368],
+    ['Tirunelveli', 8.73, 77.68, 'IN', 1435844],
+    ['Agra', 27.18, 78.02, 'IN', 1430055],
+    ['Vadodara', 22.3, 73.21, 'IN', 1409476],
+    ['Najafgarh', 28.61, 76.98, 'IN', 1365000],
+    ['Gorakhpur', 29.45, 75.67, 'IN', 1324570],
+    ['Nashik', 20, 73.79, 'IN', 1289497],
+    ['Pimpri', 18.62, 73.81, 'IN', 1284606],
+    ['Kalyān', 19.24, 73.14, 'IN', 1262255],
+    ['Thāne', 19.2, 72.96, 'IN', 1261517],
+    ['Meerut', 28.98, 77.71, 'IN', 1223184],
+    ['Nowrangapur', 19.23, 82.55, 'IN', 1220946],
+    ['Faridabad', 28.41, 77.31, 'IN', 1220229],
+    ['Ghāziābād', 28.67, 77.44, 'IN', 1199191],
+    ['Dombivli', 19.22, 73.08, 'IN', 1193000],
+    ['Rājkot', 22.29, 70.79, 'IN', 1177362],
+    ['Varanasi', 25.32, 83.01, 'IN', 1164404],
+    ['Amritsar', 31.62, 74.88, 'IN', 1092450],
+    ['Allahābād', 25.44, 81.84, 'IN', 1073438],
+    ['Visakhapatnam', 17.68, 83.2, 'IN', 1063178],
+    ['Jabalpur', 23.17, 79.95, 'IN', 1030168],
+    ['Hāora', 22.58, 88.32, 'IN', 1027672],
+    ['Aurangabad', 19.88, 75.34, 'IN', 1016441],
+    ['Solāpur', 17.67, 75.91, 'IN', 997281],
+    ['Srinagar', 34.09, 74.81, 'IN', 975857],
+    ['Chandigarh', 30.74, 76.79, 'IN', 960787],
+    ['Coimbatore', 11.01, 76.97, 'IN', 959823],
+    ['Jodhpur', 26.27, 73.01, 'IN', 921476],
+    ['Madurai', 9.92, 78.12, 'IN', 909908],
+    ['Guwahati', 26.18, 91.75, 'IN', 899094],
+    ['Gwalior', 26.23, 78.17, 'IN', 882458],
+    ['Vijayawada', 16.51, 80.65, 'IN', 874587],
+    ['Mysore', 12.3, 76.64, 'IN', 868313],
+    ['Ranchi', 23.34, 85.31, 'IN', 846454],
+    ['Hubli', 15.35, 75.13, 'IN', 840214],
+    ['Narela', 28.85, 77.09, 'IN', 800000],
+    ['Jalandhar', 31.33, 75.58, 'IN', 785178],
+    ['Thiruvananthapuram', 8.49, 76.95, 'IN', 784153],
+    ['Salem', 11.65, 78.16, 'IN', 778396],
+    ['Tiruchirappalli', 10.82, 78.7, 'IN', 775484],
+    ['Kota', 25.18, 75.84, 'IN', 763088],
+    ['Bhubaneshwar', 20.27, 85.83, 'IN', 762243],
+    ['Alīgarh', 27.88, 78.07, 'IN', 753207],
+    ['Bareilly', 28.37, 79.43, 'IN', 745435],
+    ['Morādābād', 28.84, 78.78, 'IN', 721139],
+    ['Bhiwandi', 19.3, 73.06, 'IN', 707035],
+    ['Raipur', 21.23, 81.63, 'IN', 679995],
+    ['Gorakhpur', 26.77, 83.37, 'IN', 674246],
+    ['Bhilai', 21.21, 81.43, 'IN', 625138],
+    ['Jamshedpur', 22.8, 86.19, 'IN', 616338],
+    ['Borivli', 19.23, 72.86, 'IN', 609617],
+    ['Cochin', 9.94, 76.26, 'IN', 604696],
+    ['Amrāvati', 20.93, 77.75, 'IN', 603837],
+    ['Sāngli', 16.85, 74.56, 'IN', 601214],
+    ['Cuttack', 20.46, 85.88, 'IN', 580000],
+    ['Bīkaner', 28.02, 73.31, 'IN', 576015],
+    ['Warangal', 18, 79.58, 'IN', 557802],
+    ['Bhavnagar', 21.76, 72.15, 'IN', 554978],
+    ['Nanded', 19.16, 77.31, 'IN', 550564],
+    ['Raurkela', 22.22, 84.86, 'IN', 536450],
+    ['Guntur', 16.3, 80.46, 'IN', 530577],
+    ['Dehra Dūn', 30.32, 78.03, 'IN', 522081],
+    ['Bhayandar', 19.3, 72.85, 'IN', 520301],
+    ['Durgapur', 23.52, 87.31, 'IN', 518872],
+    ['Ajmer', 26.45, 74.64, 'IN', 517911],
+    ['Ulhasnagar', 19.22, 73.15, 'IN', 516584],
+    ['Kolhāpur', 16.7, 74.23, 'IN', 516142],
+    ['Siliguri', 26.71, 88.43, 'IN', 515574],
+    ['Bilimora', 20.77, 72.96, 'IN', 510879],
+    ['Āsansol', 23.68, 86.98, 'IN', 504271],
+    ['Jamnagar', 22.47, 70.07, 'IN', 492056],
+    ['Sahāranpur', 29.97, 77.55, 'IN', 484873],
+    ['Gulbarga', 17.34, 76.84, 'IN', 483615],
+    ['Bhātpāra', 22.87, 88.4, 'IN', 483129],
+    ['Jammu', 32.74, 74.87, 'IN', 465567],
+    ['Kurnool', 15.83, 78.04, 'IN', 460184],
+    ['Ujjain', 23.18, 75.78, 'IN', 457346],
+    ['Rāmgundam', 18.8, 79.45, 'IN', 452261],
+    ['Shyamnagar', 22.83, 88.37, 'IN', 441956],
+    ['Nangi', 22.51, 88.22, 'IN', 440894],
+    ['Kozhikode', 11.25, 75.78, 'IN', 439922],
+    ['Mālegaon', 20.55, 74.53, 'IN', 435362],
+    ['Davangere', 14.47, 75.93, 'IN', 435128],
+    ['Jalgaon', 21, 75.57, 'IN', 429298],
+    ['Akola', 20.71, 77, 'IN', 428857],
+    ['Belgaum', 15.85, 74.5, 'IN', 428720],
+    ['Gaya', 24.8, 85, 'IN', 423692],
+    ['Udaipur', 24.59, 73.71, 'IN', 422784],
+    ['Korba', 22.35, 82.7, 'IN', 419146],
+    ['Bokāro', 23.79, 85.96, 'IN', 418533],
+    ['Mangalore', 12.92, 74.86, 'IN', 417387],
+    ['Jhānsi', 25.46, 78.58, 'IN', 412927],
+    ['Thoothukudi', 8.77, 78.13, 'IN', 410760],
+    ['Nellore', 14.45, 79.99, 'IN', 404158],
+    ['Tiruppur', 11.12, 77.35, 'IN', 397521],
+    ['Kollam', 8.88, 76.58, 'IN', 394163],
+    ['Pānihāti', 22.69, 88.37, 'IN', 378705],
+    ['Ahmadnagar', 19.09, 74.74, 'IN', 367140],
+    ['Dhūlia', 20.9, 74.78, 'IN', 366980],
+    ['Bhāgalpur', 25.24, 86.97, 'IN', 361548],
+    ['Punāsa', 22.24, 76.39, 'IN', 350000],
+    ['Muzaffarnagar', 29.47, 77.7, 'IN', 349706],
+    ['Latur', 18.4, 76.57, 'IN', 348967],
+    ['Kūkatpalli', 17.48, 78.41, 'IN', 341709],
+    ['Ambattūr', 13.1, 80.16, 'IN', 341049],
+    ['Bellary', 15.14, 76.92, 'IN', 336681],
+    ['Muzaffarpur', 26.12, 85.39, 'IN', 333200],
+    ['Kāmārhāti', 22.67, 88.37, 'IN', 332965],
+    ['Mathura', 27.5, 77.67, 'IN', 330511],
+    ['Patiāla', 30.34, 76.39, 'IN', 329224],
+    ['Chānda', 19.95, 79.3, 'IN', 328351],
+    ['Bhīlwāra', 25.35, 74.64, 'IN', 326431],
+    ['Thrissur', 10.52, 76.22, 'IN', 325110],
+    ['Brahmapur', 19.31, 84.79, 'IN', 324726],
+    ['Shāhjānpur', 27.88, 79.91, 'IN', 320434],
+    ['Shimoga', 13.93, 75.57, 'IN', 319550],
+    ['New Delhi', 28.64, 77.22, 'IN', 317797],
+    ['Rohtak', 28.89, 76.59, 'IN', 317245],
+    ['Tumkūr', 13.34, 77.1, 'IN', 307359],
+    ['Fīrozābād', 27.15, 78.4, 'IN', 306409],
+    ['Nizāmābād', 18.67, 78.1, 'IN', 305438],
+    ['Kulti', 23.73, 86.84, 'IN', 305405],
+    ['Rājahmundry', 17.01, 81.78, 'IN', 304804],
+    ['Barddhamān', 23.26, 87.86, 'IN', 301725],
+    ['Bārāsat', 22.72, 88.48, 'IN', 298127],
+    ['Bāli', 22.65, 88.34, 'IN', 296973],
+    ['Hisar', 29.15, 75.72, 'IN', 296436],
+    ['Rāmpur', 28.81, 79.03, 'IN', 296418],
+    ['Greater Noida', 28.5, 77.54, 'IN', 293908],
+    ['Noida', 28.58, 77.33, 'IN', 293908],
+    ['Kākināda', 16.96, 82.24, 'IN', 292923],
+    ['Pānīpat', 29.39, 76.97, 'IN', 292808],
+    ['Parbhani', 19.27, 76.77, 'IN', 289629],
+    ['Darbhanga', 26.15, 85.9, 'IN', 287150],
+    ['Alwar', 27.56, 76.63, 'IN', 283228],
+    ['Bilāspur', 22.08, 82.16, 'IN', 282705],
+    ['Ichalkaranji', 16.69, 74.46, 'IN', 274383],
+    ['Bijapur', 16.82, 75.72, 'IN', 271064],
+    ['Aizawl', 23.73, 92.72, 'IN', 265331],
+    ['Jālna', 19.84, 75.89, 'IN', 262034],
+    ['Lal Bahadur Nagar', 17.35, 78.56, 'IN', 261987],
+    ['Dewas', 22.97, 76.06, 'IN', 261218],
+    ['Gajuwaka', 17.7, 83.22, 'IN', 258944],
+    ['Satna', 24.58, 80.83, 'IN', 257778],
+    ['Etāwah', 26.78, 79.02, 'IN', 257448],
+    ['Durg', 21.19, 81.28, 'IN', 255283],
+    ['Naihāti', 22.89, 88.42, 'IN', 253221],
+    ['Tirupati', 13.64, 79.42, 'IN', 250821],
+    ['Sonīpat', 28.99, 77.02, 'IN', 250521],
+    ['Āvadi', 13.11, 80.11, 'IN', 250044],
+    ['Tiruvottiyūr', 13.16, 80.3, 'IN', 248059],
+    ['Saugor', 23.84, 78.74, 'IN', 247333],
+    ['Mau', 25.94, 83.56, 'IN', 246050],
+    ['Bihār Sharīf', 25.2, 85.52, 'IN', 244230],
+    ['Hāpur', 28.73, 77.78, 'IN', 242920],
+    ['Bathinda', 30.21, 74.94, 'IN', 242800],
+    ['Farrukhābād', 27.39, 79.58, 'IN', 241152],
+    ['Anantapur', 14.68, 77.61, 'IN', 240442],
+    ['Bārāsat', 22.23, 88.45, 'IN', 237783],
+    ['Ratlām', 23.33, 75.04, 'IN', 236843],
+    ['Ramagundam', 18.75, 79.47, 'IN', 235000],
+    ['Gangānagar', 29.92, 73.87, 'IN', 231838],
+    ['Bharatpur', 27.22, 77.49, 'IN', 229384],
+    ['Karīmnagar', 18.44, 79.13, 'IN', 228745],
+    ['Puducherry', 11.93, 79.83, 'IN', 227411],
+    ['Shrīrāmpur', 22.75, 88.34, 'IN', 226317],
+    ['Rāichūr', 16.21, 77.36, 'IN', 225962],
+    ['Quthbullapur', 17.5, 78.46, 'IN', 225816],
+    ['Karnāl', 29.69, 76.98, 'IN', 225049],
+    ['Arrah', 25.56, 84.66, 'IN', 223676],
+    ['Imphal', 24.81, 93.94, 'IN', 223523],
+    ['Gosāba', 22.17, 88.8, 'IN', 222764],
+    ['Mirzāpur', 25.14, 82.57, 'IN', 220029],
+    ['Kharagpur', 22.34, 87.33, 'IN', 219665],
+    ['Dhanbād', 23.8, 86.44, 'IN', 219636],
+    ['Tanjore', 10.79, 79.14, 'IN', 219571],
+    ['Amarnāth', 19.2, 73.17, 'IN', 217780],
+    ['Nāgercoil', 8.18, 77.43, 'IN', 213858],
+    ['Pāli', 25.77, 73.32, 'IN', 210103],
+    ['Yamunānagar', 30.13, 77.28, 'IN', 208931],
+    ['Rewa', 24.53, 81.29, 'IN', 208461],
+    ['Secunderabad', 17.5, 78.54, 'IN', 204182],
+    ['Bīdar', 17.91, 77.52, 'IN', 204071],
+    ['Agartala', 23.84, 91.28, 'IN', 203264],
+    ['Monghyr', 25.37, 86.47, 'IN', 203163],
+    ['Burhānpur', 21.31, 76.23, 'IN', 202695],
+    ['Nadiād', 22.69, 72.86, 'IN', 202067],
+    ['Chāpra', 25.78, 84.75, 'IN', 201597],
+    ['Dindigul', 10.37, 77.98, 'IN', 200797],
+    ['Panchkula', 30.69, 76.85, 'IN', 200000],
+    ['Sīkar', 27.61, 75.14, 'IN', 199932],
+    ['Bulandshahr', 28.4, 77.86, 'IN', 198612],
+    ['Purnia', 25.78, 87.47, 'IN', 198453],
+    ['Hospet', 15.27, 76.39, 'IN', 197846],
+    ['Gurgaon', 28.46, 77.03, 'IN', 197340],
+    ['Sambhal', 28.58, 78.57, 'IN', 196109],
+    ['Gandhinagar', 23.22, 72.68, 'IN', 195985],
+    ['Murwāra', 23.84, 80.39, 'IN', 195856],
+    ['Nāngloi Jāt', 28.68, 77.07, 'IN', 194363],
+    ['Machilīpatnam', 16.19, 81.14, 'IN', 192827],
+    ['Katihar', 25.54, 87.57, 'IN', 192555],
+    ['Bhiwāni', 28.79, 76.14, 'IN', 190855],
+    ['Kultali', 21.9, 88.4, 'IN', 187942],
+    ['Raebareli', 26.23, 81.23, 'IN', 186433],
+    ['Haridwar', 29.95, 78.16, 'IN', 186079],
+    ['Singrauli', 24.2, 82.68, 'IN', 185580],
+    ['Jūnāgadh', 21.52, 70.46, 'IN', 184447],
+    ['Sūjāngarh', 27.7, 74.47, 'IN', 183808],
+    ['Ellore', 16.71, 81.1, 'IN', 183387],
+    ['Bhusāval', 21.04, 75.79, 'IN', 183001],
+    ['Khandwa', 21.82, 76.35, 'IN', 182841],
+    ['Bahraigh', 27.57, 81.59, 'IN', 182218],
+    ['Sirsa', 29.53, 75.03, 'IN', 181639],
+    ['Chandannagar', 22.86, 88.37, 'IN', 180623],
+    ['Baharampur', 24.1, 88.25, 'IN', 180547],
+    ['Surendranagar', 22.73, 71.65, 'IN', 179628],
+    ['Vizianagaram', 18.12, 83.41, 'IN', 179358],
+    ['Proddatūr', 14.75, 78.55, 'IN', 177797],
+    ['Vellore', 12.92, 79.13, 'IN', 177081],
+    ['Hugli', 22.91, 88.4, 'IN', 177005],
+    ['Alappuzha', 9.49, 76.33, 'IN', 176783],
+    ['Amroha', 28.9, 78.47, 'IN', 176253],
+    ['Tambaram', 12.92, 80.13, 'IN', 174787],
+    ['Pathānkot', 32.27, 75.65, 'IN', 174306],
+    ['Bhind', 26.57, 78.79, 'IN', 174035],
+    ['Shimla', 31.1, 77.17, 'IN', 173503],
+    ['Ongole', 15.5, 80.04, 'IN', 172872],
+    ['Gadag-Betageri', 15.42, 75.62, 'IN', 172813],
+    ['Navsāri', 20.94, 72.92, 'IN', 171109],
+    ['Puri', 19.8, 85.82, 'IN', 170841],
+    ['Haldia', 22.06, 88.11, 'IN', 170695],
+    ['Khammam', 17.25, 80.14, 'IN', 170503],
+    ['Rāiganj', 25.61, 88.12, 'IN', 170252],
+    ['Ingrāj Bāzār', 25, 88.15, 'IN', 170039],
+    ['Jaunpur', 25.75, 82.69, 'IN', 169572],
+    ['Fatehpur', 25.93, 80.81, 'IN', 166480],
+    ['Gāndhīdhām', 23.08, 70.13, 'IN', 166388],
+    ['Nandyāl', 15.48, 78.48, 'IN', 165337],
+    ['Udupi', 13.33, 74.75, 'IN', 165000],
+    ['Loni', 28.75, 77.29, 'IN', 164810],
+    ['Sītāpur', 27.56, 80.68, 'IN', 164435],
+    ['Shivpuri', 25.42, 77.66, 'IN', 164215],
+    ['Bhadrāvati', 13.85, 75.71, 'IN', 163903],
+    ['Ādoni', 15.63, 77.27, 'IN', 163631],
+    ['Verāval', 20.91, 70.37, 'IN', 163326],
+    ['Sambalpur', 21.47, 83.98, 'IN', 162887],
+    ['Gadag', 15.43, 75.63, 'IN', 162569],
+    ['Unnāo', 26.55, 80.49, 'IN', 161671],
+    ['Budaun', 28.04, 79.13, 'IN', 161555],
+    ['Jīnd', 29.32, 76.32, 'IN', 161260],
+    ['Madhyamgram', 22.69, 88.45, 'IN', 161126],
+    ['Jāmuria', 23.7, 87.08, 'IN', 160242],
+    ['Jaigaon', 26.85, 89.38, 'IN', 158664],
+    ['Cuddalore', 11.76, 79.77, 'IN', 158569],
+    ['Orai', 25.99, 79.45, 'IN', 158265],
+    ['Hoshiārpur', 31.54, 75.91, 'IN', 158142],
+    ['Pallāvaram', 12.97, 80.15, 'IN', 157145],
+    ['Hanumāngarh', 29.58, 74.33, 'IN', 155687],
+    ['Kanchipuram', 12.84, 79.7, 'IN', 155029],
+    ['Guna', 24.65, 77.31, 'IN', 153689],
+    ['Bahādurgarh', 28.69, 76.94, 'IN', 153613],
+    ['Bharūch', 21.69, 72.98, 'IN', 153528],
+    ['Medinīpur', 22.42, 87.32, 'IN', 153349],
+    ['Fyzābād', 26.78, 82.15, 'IN', 153047],
+    ['Dinapore', 25.64, 85.05, 'IN', 152940],
+    ['Silchar', 24.83, 92.8, 'IN', 152393],
+    ['Bānda', 25.48, 80.33, 'IN', 152218],
+    ['Morena', 26.5, 78, 'IN', 152004],
+    ['Tonk', 26.17, 75.79, 'IN', 151331],
+    ['Rāj-Nāndgaon', 21.1, 81.03, 'IN', 150755],
+    ['Serilingampalle', 17.49, 78.3, 'IN', 150525],
+    ['Virār', 19.46, 72.81, 'IN', 150357],
+    ['Malkajgiri', 17.45, 78.53, 'IN', 150000],
+    ['Baghdad', 33.34, 44.4, 'IQ', 7216000],
+    ['Basrah', 30.51, 47.78, 'IQ', 2600000],
+    ['Mosul', 36.34, 43.12, 'IQ', 1739800],
+    ['Erbil', 36.18, 44.01, 'IQ', 932800],
+    ['Abū Ghurayb', 33.31, 44.18, 'IQ', 900000],
+    ['As Sulaymānīyah', 35.56, 45.43, 'IQ', 723170],
+    ['Kirkuk', 35.47, 44.39, 'IQ', 601433],
+    ['Najaf', 32.03, 44.35, 'IQ', 482576],
+    ['Karbala', 32.62, 44.02, 'IQ', 434450],
+    ['Nasiriyah', 31.06, 46.26, 'IQ', 400249],
+    ['Al ‘Amārah', 31.84, 47.14, 'IQ', 323302],
+    ['Ad Dīwānīyah', 31.99, 44.93, 'IQ', 318801],
+    ['Al Kūt', 32.51, 45.82, 'IQ', 315162],
+    ['Al Ḩillah', 32.46, 44.42, 'IQ', 289709],
+    ['Dihok', 36.87, 42.99, 'IQ', 284000],
+    ['Ramadi', 33.42, 43.31, 'IQ', 274539],
+    ['Al Fallūjah', 33.35, 43.79, 'IQ', 190159],
+    ['Sāmarrā’', 34.2, 43.89, 'IQ', 158508],
+    ['As Samawah', 31.33, 45.29, 'IQ', 152890],
+    ['Baqubah', 33.75, 44.61, 'IQ', 152550],
+    ['Tehran', 35.69, 51.42, 'IR', 7153309],
+    ['Mashhad', 36.32, 59.57, 'IR', 2307177],
+    ['Isfahan', 32.65, 51.67, 'IR', 1547164],
+    ['Karaj', 35.83, 50.99, 'IR', 1448075],
+    ['Tabriz', 38.08, 46.29, 'IR', 1424641],
+    ['Shiraz', 29.61, 52.53, 'IR', 1249942],
+    ['Qom', 34.64, 50.88, 'IR', 900000],
+    ['Ahvaz', 31.32, 48.68, 'IR', 841145],
+    ['Pasragad Branch', 34.78, 48.47, 'IR', 787878],
+    ['Kahrīz', 34.38, 47.06, 'IR', 766706],
+    ['Kermanshah', 34.31, 47.06, 'IR', 621100],
+    ['Rasht', 37.28, 49.59, 'IR', 594590],
+    ['Kerman', 30.28, 57.08, 'IR', 577514],
+    ['Orūmīyeh', 37.55, 45.08, 'IR', 577307],
+    ['Zahedan', 29.5, 60.86, 'IR', 551980],
+    ['Hamadān', 34.8, 48.51, 'IR', 528256],
+    ['Āzādshahr', 34.79, 48.57, 'IR', 514102],
+    ['Arāk', 34.09, 49.7, 'IR', 503647],
+    ['Yazd', 31.9, 54.37, 'IR', 477905],
+    ['Ardabīl', 38.25, 48.29, 'IR', 410753],
+    ['Abadan', 30.34, 48.3, 'IR', 370180],
+    ['Zanjān', 36.68, 48.5, 'IR', 357471],
+    ['Bandar Abbas', 27.19, 56.28, 'IR', 352173],
+    ['Sanandaj', 35.31, 47, 'IR', 349176],
+    ['Qazvin', 36.27, 50, 'IR', 333635],
+    ['Khorramshahr', 30.44, 48.18, 'IR', 330606],
+    ['Khorramabad', 33.49, 48.36, 'IR', 329825],
+    ['Khomeynī Shahr', 32.69, 51.54, 'IR', 277334],
+    ['Sari', 36.56, 53.06, 'IR', 255396],
+    ['Borūjerd', 33.9, 48.75, 'IR', 251958],
+    ['Qarchak', 35.43, 51.58, 'IR', 251834],
+    ['Gorgān', 36.84, 54.44, 'IR', 244937],
+    ['Sabzevar', 36.21, 57.68, 'IR', 226183],
+    ['Najafābād', 32.63, 51.37, 'IR', 223450],
+    ['Neyshābūr', 36.21, 58.8, 'IR', 220929],
+    ['Naz̧arābād', 35.95, 50.61, 'IR', 213388],
+    ['Būkān', 36.52, 46.21, 'IR', 213331],
+    ['Sirjan', 29.45, 55.68, 'IR', 207645],
+    ['Bābol', 36.55, 52.68, 'IR', 202796],
+    ['Āmol', 36.47, 52.35, 'IR', 199382],
+    ['Bīrjand', 32.87, 59.22, 'IR', 196982],
+    ['Bojnūrd', 37.47, 57.33, 'IR', 192041],
+    ['Varāmīn', 35.32, 51.65, 'IR', 179603],
+    ['Malāyer', 34.3, 48.82, 'IR', 176573],
+    ['Sāveh', 35.02, 50.36, 'IR', 175533],
+    ['Khowy', 38.55, 44.95, 'IR', 175370],
+    ['Bushehr', 28.97, 50.84, 'IR', 165377],
+    ['Mahābād', 36.76, 45.72, 'IR', 162434],
+    ['Saqqez', 36.25, 46.27, 'IR', 151237],
+    ['Reykjavík', 64.14, -21.9, 'IS', 118918],
+    ['Kópavogur', 64.11, -21.91, 'IS', 31719],
+    ['Hafnarfjörður', 64.07, -21.94, 'IS', 26808],
+    ['Akureyri', 65.68, -18.09, 'IS', 17693],
+    ['Garðabær', 64.09, -21.92, 'IS', 11421],
+    ['Mosfellsbær', 64.17, -21.7, 'IS', 8651],
+    ['Akranes', 64.32, -22.07, 'IS', 6612],
+    ['Selfoss', 63.93, -21, 'IS', 6510],
+    ['Rome', 41.89, 12.51, 'IT', 2318895],
+    ['Milan', 45.46, 9.19, 'IT', 1236837],
+    ['Naples', 40.85, 14.27, 'IT', 959470],
+    ['Turin', 45.07, 7.69, 'IT', 870456],
+    ['Palermo', 38.13, 13.34, 'IT', 648260],
+    ['Genoa', 44.4, 8.94, 'IT', 580223],
+    ['Bologna', 44.49, 11.34, 'IT', 366133],
+    ['Florence', 43.78, 11.25, 'IT', 349296],
+    ['Catania', 37.49, 15.07, 'IT', 290927],
+    ['Bari', 41.12, 16.87, 'IT', 277387],
+    ['Messina', 38.19, 15.55, 'IT', 219948],
+    ['Verona', 45.43, 10.98, 'IT', 219103],
+    ['Padova', 45.41, 11.89, 'IT', 203725],
+    ['Trieste', 45.65, 13.78, 'IT', 187056],
+    ['Brescia', 45.54, 10.21, 'IT', 184826],
+    ['Prato', 43.88, 11.1, 'IT', 181820],
+    ['Taranto', 40.46, 17.25, 'IT', 181082],
+    ['Reggio Calabria', 38.11, 15.66, 'IT', 169140],
+    ['Modena', 44.65, 10.93, 'IT', 158886],
+    ['Livorno', 43.54, 10.33, 'IT', 153773],
+    ['Saint Helier', 49.19, -2.1, 'JE', 28000],
+    ['Le Hocq', 49.17, -2.06, 'JE', 0],
+    ['Kingston', 18, -76.79, 'JM', 937700],
+    ['Spanish Town', 17.99, -76.96, 'JM', 145018],
+    ['Portmore', 17.95, -76.88, 'JM', 102861],
+    ['Montego Bay', 18.47, -77.92, 'JM', 82867],
+    ['Mandeville', 18.04, -77.51, 'JM', 47115],
+    ['May Pen', 17.96, -77.25, 'JM', 44755],
+    ['Old Harbour', 17.94, -77.11, 'JM', 26024],
+    ['Linstead', 18.14, -77.03, 'JM', 20660],
+    ['Amman', 31.96, 35.95, 'JO', 1275857],
+    ['Zarqa', 32.07, 36.09, 'JO', 792665],
+    ['Irbid', 32.56, 35.85, 'JO', 307480],
+    ['Russeifa', 32.02, 36.05, 'JO', 268237],
+    ['Wādī as Sīr', 31.95, 35.82, 'JO', 181212],
+    ['‘Ajlūn', 32.33, 35.75, 'JO', 125557],
+    ['Aqaba', 29.53, 35.01, 'JO', 95048],
+    ['Rukban', 33.31, 38.7, 'JO', 85000],
+    ['Tokyo', 35.69, 139.69, 'JP', 8336599],
+    ['Yokohama', 35.43, 139.65, 'JP', 3574443],
+    ['Osaka', 34.69, 135.5, 'JP', 2592413],
+    ['Nagoya', 35.18, 136.91, 'JP', 2191279],
+    ['Sapporo', 43.07, 141.35, 'JP', 1883027],
+    ['Kobe', 34.69, 135.18, 'JP', 1528478],
+    ['Kyoto', 35.02, 135.75, 'JP', 1459640],
+    ['Fukuoka', 33.6, 130.42, 'JP', 1392289],
+    ['Kawasaki', 35.52, 139.72, 'JP', 1306785],
+    ['Saitama', 35.91, 139.66, 'JP', 1193350],
+    ['Hiroshima', 34.4, 132.45, 'JP', 1143841],
+    ['Yono', 35.88, 139.63, 'JP', 1077730],
+    ['Sendai', 38.27, 140.87, 'JP', 1063103],
+    ['Kitakyushu', 33.85, 130.85, 'JP', 997536],
+    ['Chiba', 35.6, 140.12, 'JP', 919729],
+    ['Sakai', 34.58, 135.47, 'JP', 782339],
+    ['Shizuoka', 34.98, 138.38, 'JP', 701561],
+    ['Kumamoto', 32.81, 130.69, 'JP', 680423],
+    ['Okayama', 34.65, 133.93, 'JP', 639652],
+    ['Hamamatsu', 34.7, 137.73, 'JP', 605098],
+    ['Hachiōji', 35.66, 139.32, 'JP', 579399],
+    ['Kagoshima', 31.57, 130.55, 'JP', 555352],
+    ['Niigata', 37.89, 139.01, 'JP', 505272],
+    ['Himeji', 34.82, 134.7, 'JP', 481493],
+    ['Matsudo', 35.78, 139.9, 'JP', 470277],
+    ['Nishinomiya-hama', 34.72, 135.33, 'JP', 468925],
+    ['Kawaguchi', 35.81, 139.71, 'JP', 468565],
+    ['Kanazawa', 36.6, 136.62, 'JP', 458937],
+    ['Utsunomiya', 36.57, 139.88, 'JP', 449865],
+    ['Ōita', 33.23, 131.6, 'JP', 448907],
+    ['Matsuyama', 33.84, 132.77, 'JP', 443322],
+    ['Amagasaki', 34.72, 135.42, 'JP', 442173],
+    ['Kurashiki', 34.58, 133.77, 'JP', 437581],
+    ['Yokosuka', 35.28, 139.67, 'JP', 428992],
+    ['Nagasaki', 32.75, 129.88, 'JP', 410204],
+    ['Hirakata', 34.81, 135.65, 'JP', 406331],
+    ['Machida', 35.54, 139.45, 'JP', 399969],
+    ['Gifu-shi', 35.42, 136.76, 'JP', 397714],
+    ['Fujisawa', 35.35, 139.48, 'JP', 394624],
+    ['Toyonaka', 34.78, 135.47, 'JP', 384459],
+    ['Fukuyama', 34.48, 133.37, 'JP', 383298],
+    ['Toyohashi', 34.77, 137.38, 'JP', 378374],
+    ['Minato', 34.22, 135.15, 'JP', 375339],
+    ['Nara-shi', 34.69, 135.8, 'JP', 367353],
+    ['Toyota', 35.08, 137.15, 'JP', 362383],
+    ['Nagano', 36.65, 138.18, 'JP', 360176],
+    ['Iwaki', 37.05, 140.88, 'JP', 357309],
+    ['Asahikawa', 43.77, 142.36, 'JP', 356612],
+    ['Takatsuki', 34.85, 135.62, 'JP', 354468],
+    ['Okazaki', 34.95, 137.17, 'JP', 352361],
+    ['Suita', 34.76, 135.52, 'JP', 351630],
+    ['Wakayama', 34.23, 135.17, 'JP', 351000],
+    ['Kōriyama', 37.4, 140.38, 'JP', 340560],
+    ['Kashiwa', 35.86, 139.98, 'JP', 340221],
+    ['Tokorozawa', 35.8, 139.47, 'JP', 339435],
+    ['Kawagoe', 35.91, 139.49, 'JP', 337931],
+    ['Kochi', 33.55, 133.53, 'JP', 335570],
+    ['Takamatsu', 34.33, 134.05, 'JP', 334223],
+    ['Toyama', 36.7, 137.22, 'JP', 325532],
+    ['Akita', 39.72, 140.12, 'JP', 320069],
+    ['Koshigaya', 35.89, 139.79, 'JP', 317437],
+    ['Miyazaki', 31.92, 131.42, 'JP', 311203],
+    ['Naha', 26.22, 127.68, 'JP', 300795],
+    ['Kasugai', 35.25, 136.97, 'JP', 298589],
+    ['Aomori', 40.82, 140.73, 'JP', 298394],
+    ['Ōtsu', 35, 135.87, 'JP', 298164],
+    ['Akashi', 34.66, 135.01, 'JP', 297279],
+    ['Yokkaichi', 34.97, 136.62, 'JP', 295841],
+    ['Morioka', 39.7, 141.15, 'JP', 295172],
+    ['Fukushima', 37.75, 140.47, 'JP', 294237],
+    ['Ichihara', 35.52, 140.08, 'JP', 283531],
+    ['Maebashi', 36.4, 139.08, 'JP', 282711],
+    ['Ichinomiya', 35.3, 136.8, 'JP', 280331],
+    ['Hakodate', 41.78, 140.74, 'JP', 275730],
+    ['Ibaraki', 34.82, 135.57, 'JP', 273992],
+    ['Yao', 34.62, 135.6, 'JP', 273213],
+    ['Kakogawachō-honmachi', 34.77, 134.83, 'JP', 271634],
+    ['Tokushima', 34.07, 134.57, 'JP', 267345],
+    ['Hiratsuka', 35.33, 139.34, 'JP', 259052],
+    ['Yamagata', 38.23, 140.37, 'JP', 254538],
+    ['Fukui-shi', 36.06, 136.22, 'JP', 248707],
+    ['Mito', 36.35, 140.45, 'JP', 246538],
+    ['Shimonoseki', 33.95, 130.95, 'JP', 245786],
+    ['Takasaki', 36.33, 139.02, 'JP', 240857],
+    ['Fuji', 35.17, 138.68, 'JP', 240014],
+    ['Hachinohe', 40.5, 141.5, 'JP', 239046],
+    ['Neyagawa', 34.77, 135.63, 'JP', 238549],
+    ['Kurume', 33.32, 130.52, 'JP', 238197],
+    ['Sasebo', 33.17, 129.73, 'JP', 237444],
+    ['Chigasaki', 35.34, 139.4, 'JP', 231657],
+    ['Sōka', 35.84, 139.8, 'JP', 231445],
+    ['Atsugi', 35.44, 139.37, 'JP', 229199],
+    ['Minamirinkan', 35.5, 139.44, 'JP', 224015],
+    ['Takarazuka', 34.8, 135.36, 'JP', 219789],
+    ['Ageoshimo', 35.97, 139.61, 'JP', 219401],
+    ['Chōfu', 35.66, 139.55, 'JP', 212977],
+    ['Matsumoto', 36.23, 137.97, 'JP', 210667],
+    ['Kasukabe', 35.98, 139.75, 'JP', 206915],
+    ['Kishiwada', 34.47, 135.37, 'JP', 205561],
+    ['Numazu', 35.1, 138.87, 'JP', 204318],
+    ['Jōetsu', 37.15, 138.24, 'JP', 204137],
+    ['Odawara', 35.26, 139.16, 'JP', 203035],
+    ['Kure', 34.23, 132.57, 'JP', 196624],
+    ['Nagaoka', 37.45, 138.85, 'JP', 195318],
+    ['Nishi-Tokyo-shi', 35.73, 139.54, 'JP', 195164],
+    ['Itami', 34.78, 135.4, 'JP', 193524],
+    ['Uji', 34.89, 135.8, 'JP', 192925],
+    ['Suzuka', 34.88, 136.58, 'JP', 191477],
+    ['Kōfu', 35.67, 138.57, 'JP', 190000],
+    ['Izumi', 34.48, 135.43, 'JP', 189085],
+    ['Hitachi', 36.6, 140.65, 'JP', 186307],
+    ['Kushiro', 42.98, 144.37, 'JP', 183612],
+    ['Sakura', 35.72, 140.23, 'JP', 182549],
+    ['Anjō', 34.96, 137.08, 'JP', 178402],
+    ['Tsukuba', 36.2, 140.1, 'JP', 175589],
+    ['Hirosaki', 40.59, 140.47, 'JP', 174972],
+    ['Tomakomai', 42.64, 141.6, 'JP', 174806],
+    ['Hadano', 35.37, 139.22, 'JP', 174281],
+    ['Obihiro', 42.92, 143.2, 'JP', 173890],
+    ['Ube', 33.94, 131.25, 'JP', 173733],
+    ['Hino', 35.67, 139.4, 'JP', 171777],
+    ['Takaoka', 36.75, 137.02, 'JP', 170077],
+    ['Kamakura', 35.31, 139.55, 'JP', 166016],
+    ['Saga', 33.23, 130.3, 'JP', 165236],
+    ['Tsu', 34.73, 136.52, 'JP', 163461],
+    ['Sayama', 35.85, 139.41, 'JP', 160843],
+    ['Kawanishi', 34.82, 135.42, 'JP', 160520],
+    ['Oyama', 36.3, 139.8, 'JP', 159936],
+    ['Ashikaga', 36.33, 139.45, 'JP', 159671],
+    ['Matsue', 35.48, 133.05, 'JP', 156811],
+    ['Hitachi-Naka', 36.4, 140.53, 'JP', 156811],
+    ['Nagareyama', 35.86, 139.9, 'JP', 156000],
+    ['Katsuta', 36.38, 140.53, 'JP', 155968],
+    ['Kumagaya', 36.13, 139.39, 'JP', 155813],
+    ['Tottori', 35.5, 134.23, 'JP', 154098],
+    ['Ōta', 36.3, 139.37, 'JP', 152104],
+    ['Komaki', 35.28, 136.92, 'JP', 151025],
+    ['Ōgaki', 35.35, 136.62, 'JP', 150570],
+    ['Higashimurayama', 35.75, 139.47, 'JP', 150556],
+    ['Nairobi', -1.28, 36.82, 'KE', 2750547],
+    ['Mombasa', -4.05, 39.66, 'KE', 799668],
+    ['Nakuru', -0.31, 36.07, 'KE', 259903],
+    ['Eldoret', 0.52, 35.27, 'KE', 218446],
+    ['Kisumu', -0.1, 34.76, 'KE', 216479],
+    ['Thika', -1.03, 37.07, 'KE', 200000],
+    ['Malindi', -3.22, 40.12, 'KE', 118265],
+    ['Kitale', 1.02, 35.01, 'KE', 75123],
+    ['Bishkek', 42.87, 74.59, 'KG', 900000],
+    ['Osh', 40.53, 72.8, 'KG', 200000],
+    ['Jalal-Abad', 40.93, 73, 'KG', 75700],
+    ['Karakol', 42.49, 78.39, 'KG', 70171],
+    ['Tokmok', 42.84, 75.3, 'KG', 63047],
+    ['Kara-Balta', 42.81, 73.85, 'KG', 62796],
+    ['Naryn', 41.43, 75.99, 'KG', 52300],
+    ['Uzgen', 40.77, 73.3, 'KG', 40360],
+    ['Phnom Penh', 11.56, 104.92, 'KH', 1573544],
+    ['Takeo', 10.99, 104.78, 'KH', 843931],
+    ['Sihanoukville', 10.61, 103.53, 'KH', 156691],
+    ['Battambang', 13.1, 103.2, 'KH', 150444],
+    ['Siem Reap', 13.36, 103.86, 'KH', 139458],
+    ['Paoy Paet', 13.66, 102.56, 'KH', 79000],
+    ['Kampong Chhnang', 12.25, 104.67, 'KH', 75244],
+    ['Kampong Cham', 11.99, 105.46, 'KH', 61750],
+    ['Tarawa', 1.33, 172.98, 'KI', 40311],
+    ['Betio Village', 1.36, 172.92, 'KI', 12509],
+    ['Bikenibeu Village', 1.37, 173.12, 'KI', 6170],
+    ['Teaoraereke Village', 1.33, 173.01, 'KI', 3939],
+    ['Bairiki Village', 1.33, 172.98, 'KI', 2766],
+    ['Eita Village', 1.36, 173.08, 'KI', 2299],
+    ['Bonriki Village', 1.38, 173.14, 'KI', 2119],
+    ['Temaiku Village', 1.36, 173.16, 'KI', 2011],
+    ['Moroni', -11.7, 43.26, 'KM', 42872],
+    ['Moutsamoudou', -12.17, 44.4, 'KM', 23594],
+    ['Fomboni', -12.29, 43.74, 'KM', 14966],
+    ['Domoni', -12.26, 44.53, 'KM', 14509],
+    ['Tsimbeo', -12.21, 44.46, 'KM', 12472],
+    ['Adda-Douéni', -12.29, 44.5, 'KM', 10858],
+    ['Sima', -12.2, 44.28, 'KM', 10374],
+    ['Ouani', -12.14, 44.42, 'KM', 10179],
+    ['Basseterre', 17.3, -62.72, 'KN', 12920],
+    ['Fig Tree', 17.13, -62.6, 'KN', 2922],
+    ['Market Shop', 17.13, -62.57, 'KN', 2568],
+    ['Saint Paul’s', 17.41, -62.84, 'KN', 2460],
+    ['Middle Island', 17.33, -62.81, 'KN', 2332],
+    ['Nicola Town', 17.38, -62.75, 'KN', 2059],
+    ['Trinity', 17.3, -62.78, 'KN', 1692],
+    ['Charlestown', 17.13, -62.62, 'KN', 1538],
+    ['Pyongyang', 39.03, 125.75, 'KP', 3222000],
+    ['Hamhŭng', 39.92, 127.54, 'KP', 559056],
+    ['Namp’o', 38.74, 125.41, 'KP', 455000],
+    ['Sunch’ŏn', 39.43, 125.93, 'KP', 437000],
+    ['Hŭngnam', 39.83, 127.62, 'KP', 346082],
+    ['Kaesŏng', 37.97, 126.55, 'KP', 338155],
+    ['Wŏnsan', 39.15, 127.44, 'KP', 329207],
+    ['Chongjin', 41.8, 129.78, 'KP', 327000],
+    ['Sariwŏn', 38.51, 125.76, 'KP', 310100],
+    ['Sinŭiju', 40.1, 124.4, 'KP', 288112],
+    ['Haeju', 38.04, 125.71, 'KP', 222396],
+    ['Kanggye', 40.97, 126.59, 'KP', 209530],
+    ['Hyesan', 41.4, 128.18, 'KP', 192680],
+    ['Songnim', 38.75, 125.64, 'KP', 152425],
+    ['Seoul', 37.57, 126.98, 'KR', 10349312],
+    ['Busan', 35.1, 129.03, 'KR', 3678555],
+    ['Incheon', 37.46, 126.71, 'KR', 2628000],
+    ['Daegu', 35.87, 128.59, 'KR', 2566540],
+    ['Daejeon', 36.35, 127.38, 'KR', 1475221],
+    ['Gwangju', 35.15, 126.92, 'KR', 1416938],
+    ['Suwon', 37.29, 127.01, 'KR', 1242724],
+    ['Goyang-si', 37.66, 126.83, 'KR', 1073069],
+    ['Seongnam-si', 37.44, 127.14, 'KR', 1031935],
+    ['Ulsan', 35.54, 129.32, 'KR', 962865],
+    ['Bucheon-si', 37.5, 126.78, 'KR', 850731],
+    ['Jeonju', 35.82, 127.15, 'KR', 711424],
+    ['Ansan-si', 37.32, 126.82, 'KR', 650728],
+    ['Cheongju-si', 36.64, 127.49, 'KR', 634596],
+    ['Anyang-si', 37.39, 126.93, 'KR', 634367],
+    ['Changwon', 35.23, 128.68, 'KR', 550000],
+    ['Pohang', 36.03, 129.36, 'KR', 500000],
+    ['Uijeongbu-si', 37.74, 127.05, 'KR', 479141],
+    ['Hwaseong-si', 37.21, 126.82, 'KR', 476297],
+    ['Masan', 35.13, 126.83, 'KR', 434371],
+    ['Jeju City', 33.51, 126.52, 'KR', 408364],
+    ['Cheonan', 36.81, 127.15, 'KR', 365114],
+    ['Kwangmyŏng', 37.48, 126.87, 'KR', 357545],
+    ['Kimhae', 35.23, 128.88, 'KR', 356242],
+    ['Chinju', 35.19, 128.08, 'KR', 307242],
+    ['Yeosu', 34.76, 127.66, 'KR', 295538],
+    ['Gumi', 36.11, 128.34, 'KR', 291006],
+    ['Iksan', 35.94, 126.95, 'KR', 283501],
+    ['Mokpo', 34.81, 126.39, 'KR', 268402],
+    ['Gunsan', 35.98, 126.71, 'KR', 243406],
+    ['Wŏnju', 37.35, 127.95, 'KR', 243387],
+    ['Suncheon', 34.95, 127.49, 'KR', 230796],
+    ['Sejong', 36.59, 127.29, 'KR', 230327],
+    ['Chuncheon', 37.87, 127.73, 'KR', 209746],
+    ['Icheon-si', 37.28, 127.44, 'KR', 196230],
+    ['Guri-si', 37.6, 127.14, 'KR', 195236],
+    ['Gangneung', 37.75, 128.87, 'KR', 180611],
+    ['Yangju', 37.83, 127.06, 'KR', 179923],
+    ['Osan', 37.15, 127.07, 'KR', 158978],
+    ['Seogwipo', 33.25, 126.56, 'KR', 155691],
+    ['Gyeongju', 35.84, 129.21, 'KR', 155237],
+    ['Gimcheon', 36.12, 128.12, 'KR', 150000],
+    ['Al Aḩmadī', 29.08, 48.08, 'KW', 637411],
+    ['Ḩawallī', 29.33, 48.03, 'KW', 164212],
+    ['Şabāḩ as Sālim', 29.26, 48.06, 'KW', 139163],
+    ['Al Farwānīyah', 29.28, 47.96, 'KW', 86525],
+    ['Al Faḩāḩīl', 29.08, 48.13, 'KW', 68290],
+    ['Kuwait City', 29.37, 47.98, 'KW', 60064],
+    ['Ar Riqqah', 29.15, 48.09, 'KW', 52068],
+    ['Al Manqaf', 29.1, 48.13, 'KW', 39025],
+    ['George Town', 19.29, -81.37, 'KY', 29370],
+    ['West Bay', 19.37, -81.42, 'KY', 11269],
+    ['Bodden Town', 19.28, -81.25, 'KY', 10341],
+    ['East End', 19.3, -81.12, 'KY', 1639],
+    ['North Side', 19.35, -81.2, 'KY', 1184],
+    ['Little Cayman', 19.66, -80.11, 'KY', 0],
+    ['Almaty', 43.26, 76.93, 'KZ', 2000900],
+    ['Karagandy', 49.8, 73.1, 'KZ', 451800],
+    ['Shymkent', 42.3, 69.6, 'KZ', 414032],
+    ['Taraz', 42.9, 71.37, 'KZ', 358153],
+    ['Nur-Sultan', 51.18, 71.45, 'KZ', 345604],
+    ['Pavlodar', 52.28, 76.97, 'KZ', 329002],
+    ['Ust-Kamenogorsk', 49.97, 82.61, 'KZ', 319067],
+    ['Kyzylorda', 44.85, 65.51, 'KZ', 300000],
+    ['Semey', 50.43, 80.27, 'KZ', 292780],
+    ['Aktobe', 50.28, 57.21, 'KZ', 262457],
+    ['Kostanay', 53.21, 63.62, 'KZ', 210000],
+    ['Petropavl', 54.87, 69.15, 'KZ', 200920],
+    ['Oral', 51.23, 51.37, 'KZ', 200000],
+    ['Atyrau', 47.12, 51.88, 'KZ', 180000],
+    ['Temirtau', 50.05, 72.96, 'KZ', 170600],
+    ['Vientiane', 17.97, 102.6, 'LA', 196731],
+    ['Pakse', 15.12, 105.8, 'LA', 88332],
+    ['Thakhèk', 17.41, 104.83, 'LA', 85000],
+    ['Savannakhet', 16.57, 104.76, 'LA', 66553],
+    ['Luang Prabang', 19.89, 102.14, 'LA', 47378],
+    ['Xam Nua', 20.42, 104.05, 'LA', 38992],
+    ['Muang Phônsavan', 19.45, 103.19, 'LA', 37507],
+    ['Muang Xay', 20.69, 101.98, 'LA', 25000],
+    ['Beirut', 33.89, 35.5, 'LB', 1916100],
+    ['Tripoli', 34.43, 35.84, 'LB', 229398],
+    ['Sidon', 33.56, 35.37, 'LB', 163554],
+    ['Tyre', 33.27, 35.19, 'LB', 135204],
+    ['Nabatîyé et Tahta', 33.38, 35.48, 'LB', 120000],
+    ['Habboûch', 33.41, 35.48, 'LB', 98433],
+    ['Jounieh', 33.98, 35.62, 'LB', 96315],
+    ['Zahlé', 33.85, 35.9, 'LB', 78145],
+    ['Castries', 14, -61.01, 'LC', 20000],
+    ['Bisee', 14.02, -60.97, 'LC', 12980],
+    ['Vieux Fort', 13.72, -60.95, 'LC', 4574],
+    ['Micoud', 13.82, -60.9, 'LC', 3406],
+    ['Soufrière', 13.86, -61.06, 'LC', 2918],
+    ['Dennery', 13.91, -60.89, 'LC', 2870],
+    ['Gros Islet', 14.07, -60.95, 'LC', 2362],
+    ['Praslin', 13.88, -60.9, 'LC', 1906],
+    ['Schaan', 47.16, 9.51, 'LI', 5748],
+    ['Vaduz', 47.14, 9.52, 'LI', 5197],
+    ['Triesen', 47.11, 9.53, 'LI', 4701],
+    ['Balzers', 47.07, 9.5, 'LI', 4447],
+    ['Eschen', 47.21, 9.52, 'LI', 4008],
+    ['Mauren', 47.22, 9.54, 'LI', 3626],
+    ['Triesenberg', 47.12, 9.54, 'LI', 2689],
+    ['Ruggell', 47.24, 9.53, 'LI', 1862],
+    ['Colombo', 6.94, 79.85, 'LK', 648034],
+    ['Dehiwala-Mount Lavinia', 6.84, 79.87, 'LK', 219827],
+    ['Moratuwa', 6.77, 79.88, 'LK', 185031],
+    ['Jaffna', 9.67, 80.01, 'LK', 169102],
+    ['Negombo', 7.21, 79.84, 'LK', 137223],
+    ['Pita Kotte', 6.89, 79.9, 'LK', 118179],
+    ['Sri Jayewardenepura Kotte', 6.88, 79.91, 'LK', 115826],
+    ['Kandy', 7.29, 80.63, 'LK', 111701],
+    ['Monrovia', 6.3, -10.8, 'LR', 939524],
+    ['Gbarnga', 7, -9.47, 'LR', 45835],
+    ['Kakata', 6.53, -10.35, 'LR', 33945],
+    ['Bensonville', 6.45, -10.61, 'LR', 33188],
+    ['Harper', 4.38, -7.71, 'LR', 32661],
+    ['Voinjama', 8.42, -9.75, 'LR', 26594],
+    ['Buchanan', 5.88, -10.05, 'LR', 25731],
+    ['Zwedru', 6.07, -8.14, 'LR', 25678],
+    ['Maseru', -29.32, 27.48, 'LS', 118355],
+    ['Mafeteng', -29.82, 27.24, 'LS', 57059],
+    ['Leribe', -28.87, 28.05, 'LS', 47675],
+    ['Maputsoe', -28.89, 27.9, 'LS', 32117],
+    ['Mohale’s Hoek', -30.15, 27.48, 'LS', 28310],
+    ['Qacha’s Nek', -30.12, 28.69, 'LS', 25573],
+    ['Quthing', -30.4, 27.7, 'LS', 24130],
+    ['Butha-Buthe', -28.77, 28.25, 'LS', 16330],
+    ['Vilnius', 54.69, 25.28, 'LT', 542366],
+    ['Kaunas', 54.9, 23.91, 'LT', 374643],
+    ['Klaipėda', 55.71, 21.14, 'LT', 192307],
+    ['Šiauliai', 55.93, 23.32, 'LT', 130587],
+    ['Panevėžys', 55.73, 24.35, 'LT', 117395],
+    ['Alytus', 54.4, 24.04, 'LT', 70747],
+    ['Marijampolė', 54.56, 23.35, 'LT', 47613],
+    ['Mazeikiai', 56.32, 22.33, 'LT', 41309],
+    ['Luxembourg', 49.61, 6.13, 'LU', 76684],
+    ['Esch-sur-Alzette', 49.5, 5.98, 'LU', 28228],
+    ['Dudelange', 49.48, 6.09, 'LU', 18013],
+    ['Schifflange', 49.51, 6.01, 'LU', 8155],
+    ['Bettembourg', 49.52, 6.1, 'LU', 7437],
+    ['Pétange', 49.56, 5.88, 'LU', 7187],
+    ['Ettelbruck', 49.85, 6.1, 'LU', 6364],
+    ['Diekirch', 49.87, 6.16, 'LU', 6242],
+    ['Riga', 56.95, 24.11, 'LV', 742572],
+    ['Daugavpils', 55.88, 26.53, 'LV', 111564],
+    ['Liepāja', 56.5, 21.01, 'LV', 85132],
+    ['Jelgava', 56.65, 23.71, 'LV', 61791],
+    ['Jūrmala', 56.97, 23.77, 'LV', 54088],
+    ['Ventspils', 57.39, 21.56, 'LV', 42644],
+    ['Rēzekne', 56.51, 27.34, 'LV', 38340],
+    ['Jēkabpils', 56.5, 25.86, 'LV', 27078],
+    ['Tripoli', 32.89, 13.19, 'LY', 1150989],
+    ['Benghazi', 32.11, 20.07, 'LY', 650629],
+    ['Mişrātah', 32.38, 15.09, 'LY', 386120],
+    ['Tarhuna', 32.44, 13.63, 'LY', 210697],
+    ['Al Khums', 32.65, 14.26, 'LY', 201943],
+    ['Az Zāwīyah', 32.76, 12.73, 'LY', 200000],
+    ['Zawiya', 32.75, 12.73, 'LY', 186123],
+    ['Ajdabiya', 30.76, 20.23, 'LY', 134358],
+    ['Casablanca', 33.59, -7.61, 'MA', 3144909],
+    ['Rabat', 34.01, -6.83, 'MA', 1655753],
+    ['Fès', 34.03, -5, 'MA', 964891],
+    ['Sale', 34.05, -6.8, 'MA', 903485],
+    ['Marrakesh', 31.63, -8, 'MA', 839296],
+    ['Agadir', 30.42, -9.6, 'MA', 698310],
+    ['Tangier', 35.77, -5.8, 'MA', 688356],
+    ['Meknès', 33.89, -5.55, 'MA', 545705],
+    ['Oujda-Angad', 34.68, -1.91, 'MA', 405253],
+    ['Al Hoceïma', 35.25, -3.94, 'MA', 395644],
+    ['Kenitra', 34.26, -6.58, 'MA', 366570],
+    ['Tétouan', 35.58, -5.37, 'MA', 326261],
+    ['Temara', 33.93, -6.91, 'MA', 313510],
+    ['Safi', 32.3, -9.24, 'MA', 288163],
+    ['Salé Al Jadida', 34, -6.74, 'MA', 200000],
+    ['Mohammedia', 33.69, -7.38, 'MA', 187708],
+    ['Khouribga', 32.88, -6.91, 'MA', 167673],
+    ['Beni Mellal', 32.34, -6.35, 'MA', 166399],
+    ['Monaco', 43.73, 7.42, 'MC', 32965],
+    ['Chisinau', 47.01, 28.86, 'MD', 635994],
+    ['Tiraspol', 46.84, 29.63, 'MD', 157000],
+    ['Bălţi', 47.76, 27.93, 'MD', 125000],
+    ['Bender', 46.83, 29.48, 'MD', 110175],
+    ['Rîbniţa', 47.77, 29.01, 'MD', 55455],
+    ['Cahul', 45.9, 28.2, 'MD', 34492],
+    ['Ungheni', 47.21, 27.8, 'MD', 34422],
+    ['Soroca', 48.16, 28.28, 'MD', 27423],
+    ['Podgorica', 42.44, 19.26, 'ME', 136473],
+    ['Nikšić', 42.77, 18.94, 'ME', 58212],
+    ['Herceg Novi', 42.45, 18.54, 'ME', 19536],
+    ['Pljevlja', 43.36, 19.36, 'ME', 19489],
+    ['Budva', 42.29, 18.84, 'ME', 18000],
+    ['Bar', 42.09, 19.1, 'ME', 17727],
+    ['Bijelo Polje', 43.04, 19.75, 'ME', 15400],
+    ['Cetinje', 42.39, 18.91, 'ME', 15137],
+    ['Marigot', 18.07, -63.08, 'MF', 5700],
+    ['Antananarivo', -18.91, 47.54, 'MG', 1391433],
+    ['Toamasina', -18.15, 49.4, 'MG', 206373],
+    ['Antsirabe', -19.87, 47.03, 'MG', 186253],
+    ['Fianarantsoa', -21.45, 47.09, 'MG', 167227],
+    ['Mahajanga', -15.72, 46.32, 'MG', 154657],
+    ['Toliara', -23.35, 43.67, 'MG', 115319],
+    ['Antsiranana', -12.32, 49.29, 'MG', 82937],
+    ['Antanifotsy', -19.65, 47.32, 'MG', 70626],
+    ['Majuro', 7.09, 171.38, 'MH', 25400],
+    ['Ebaye', 8.77, 167.74, 'MH', 15000],
+    ['Arno', 7.07, 171.55, 'MH', 2068],
+    ['Jabor', 5.92, 169.64, 'MH', 1200],
+    ['Wotje', 9.45, 170.24, 'MH', 880],
+    ['Mili', 6.08, 171.74, 'MH', 854],
+    ['Namdrik', 5.6, 168.1, 'MH', 814],
+    ['Ebon', 4.58, 168.7, 'MH', 714],
+    ['Skopje', 42, 21.43, 'MK', 474889],
+    ['Bitola', 41.03, 21.33, 'MK', 86528],
+    ['Kumanovo', 42.13, 21.71, 'MK', 76275],
+    ['Prilep', 41.35, 21.56, 'MK', 73814],
+    ['Tetovo', 42.01, 20.97, 'MK', 72944],
+    ['Čair', 42.02, 21.44, 'MK', 64773],
+    ['Kisela Voda', 41.95, 21.5, 'MK', 58216],
+    ['Veles', 41.72, 21.78, 'MK', 57873],
+    ['Bamako', 12.65, -8, 'ML', 1297281],
+    ['Sikasso', 11.32, -5.67, 'ML', 144786],
+    ['Mopti', 14.48, -4.18, 'ML', 108456],
+    ['Koutiala', 12.39, -5.46, 'ML', 99353],
+    ['Ségou', 13.43, -6.22, 'ML', 92552],
+    ['Gao', 16.27, -0.04, 'ML', 87000],
+    ['Kayes', 14.45, -11.44, 'ML', 78406],
+    ['Markala', 13.7, -6.07, 'ML', 53738],
+    ['Yangon', 16.81, 96.16, 'MM', 4477638],
+    ['Mandalay', 21.97, 96.08, 'MM', 1208099],
+    ['Nay Pyi Taw', 19.75, 96.13, 'MM', 925000],
+    ['Mawlamyine', 16.49, 97.63, 'MM', 438861],
+    ['Kyain Seikgyi Township', 15.82, 98.25, 'MM', 246065],
+    ['Bago', 17.34, 96.48, 'MM', 244376],
+    ['Pathein', 16.78, 94.73, 'MM', 237089],
+    ['Monywa', 22.11, 95.14, 'MM', 182011],
+    ['Sittwe', 20.15, 92.9, 'MM', 177743],
+    ['Meiktila', 20.88, 95.86, 'MM', 177442],
+    ['Myeik', 12.44, 98.6, 'MM', 173298],
+    ['Taunggyi', 20.79, 97.04, 'MM', 160115],
+    ['Ulan Bator', 47.91, 106.88, 'MN', 844818],
+    ['Erdenet', 49.03, 104.08, 'MN', 79647],
+    ['Darhan', 49.49, 105.92, 'MN', 74300],
+    ['Khovd', 48.01, 91.64, 'MN', 30500],
+    ['Ölgii', 48.97, 89.96, 'MN', 28400],
+    ['Ulaangom', 49.98, 92.07, 'MN', 28085],
+    ['Hovd', 44.67, 102.17, 'MN', 27924],
+    ['Murun-kuren', 49.63, 100.16, 'MN', 27690],
+    ['Macau', 22.2, 113.55, 'MO', 520400],
+    ['Saipan', 15.21, 145.75, 'MP', 48220],
+    ['San Jose Village', 14.97, 145.62, 'MP', 15000],
+    ['Fort-de-France', 14.6, -61.07, 'MQ', 89995],
+    ['Le Lamentin', 14.61, -61, 'MQ', 39229],
+    ['Le Robert', 14.68, -60.94, 'MQ', 23814],
+    ['Sainte-Marie', 14.78, -60.99, 'MQ', 20380],
+    ['Le François', 14.62, -60.9, 'MQ', 19682],
+    ['Ducos', 14.58, -60.97, 'MQ', 17394],
+    ['Saint-Joseph', 14.67, -61.04, 'MQ', 16974],
+    ['La Trinité', 14.74, -60.96, 'MQ', 15040],
+    ['Nouakchott', 18.09, -15.98, 'MR', 661400],
+    ['Nouadhibou', 20.94, -17.04, 'MR', 72337],
+    ['Néma', 16.62, -7.26, 'MR', 60000],
+    ['Kaédi', 16.15, -13.5, 'MR', 55374],
+    ['Rosso', 16.51, -15.81, 'MR', 48922],
+    ['Kiffa', 16.62, -11.4, 'MR', 40281],
+    ['Zouerate', 22.74, -12.47, 'MR', 38000],
+    ['Atar', 20.52, -13.05, 'MR', 24021],
+    ['Brades', 16.79, -62.21, 'MS', 1000],
+    ['Saint Peters', 16.77, -62.22, 'MS', 0],
+    ['Plymouth', 16.71, -62.21, 'MS', 0],
+    ['Birkirkara', 35.9, 14.46, 'MT', 21676],
+    ['Qormi', 35.88, 14.47, 'MT', 18230],
+    ['Mosta', 35.91, 14.43, 'MT', 17789],
+    ['Żabbar', 35.88, 14.54, 'MT', 15030],
+    ['San Pawl il-Baħar', 35.95, 14.42, 'MT', 14057],
+    ['Saint John', 35.91, 14.48, 'MT', 12346],
+    ['Żejtun', 35.86, 14.53, 'MT', 11549],
+    ['Sliema', 35.91, 14.5, 'MT', 11318],
+    ['Port Louis', -20.16, 57.5, 'MU', 155226],
+    ['Beau Bassin-Rose Hill', -20.23, 57.47, 'MU', 111355],
+    ['Vacoas', -20.3, 57.48, 'MU', 110000],
+    ['Curepipe', -20.32, 57.53, 'MU', 84200],
+    ['Quatre Bornes', -20.26, 57.48, 'MU', 80961],
+    ['Triolet', -20.06, 57.55, 'MU', 23269],
+    ['Goodlands', -20.04, 57.65, 'MU', 20910],
+    ['Centre de Flacq', -20.19, 57.71, 'MU', 17710],
+    ['Male', 4.18, 73.51, 'MV', 103693],
+    ['Fuvahmulah', -0.3, 73.42, 'MV', 11140],
+    ['Hithadhoo', -0.6, 73.08, 'MV', 9927],
+    ['Kulhudhuffushi', 6.62, 73.07, 'MV', 9500],
+    ['Thinadhoo', 0.53, 73, 'MV', 6376],
+    ['Naifaru', 5.44, 73.37, 'MV', 5044],
+    ['Hulhumale', 4.21, 73.54, 'MV', 5000],
+    ['Dhidhdhoo', 6.89, 73.11, 'MV', 3039],
+    ['Lilongwe', -13.97, 33.79, 'MW', 646750],
+    ['Blantyre', -15.78, 35.01, 'MW', 584877],
+    ['Mzuzu', -11.47, 34.02, 'MW', 175345],
+    ['Zomba', -15.39, 35.32, 'MW', 80932],
+    ['Kasungu', -13.03, 33.48, 'MW', 42555],
+    ['Mangochi', -14.48, 35.26, 'MW', 40236],
+    ['Karonga', -9.93, 33.93, 'MW', 34207],
+    ['Salima', -13.78, 34.46, 'MW', 30052],
+    ['Mexico City', 19.43, -99.13, 'MX', 12294193],
+    ['Iztapalapa', 19.36, -99.06, 'MX', 1815786],
+    ['Ecatepec de Morelos', 19.6, -99.06, 'MX', 1655015],
+    ['Guadalajara', 20.67, -103.39, 'MX', 1495182],
+    ['Puebla', 19.04, -98.2, 'MX', 1434062],
+    ['Juárez', 31.72, -106.46, 'MX', 1321004],
+    ['Tijuana', 32.5, -117, 'MX', 1300983],
+    ['León de los Aldama', 21.13, -101.67, 'MX', 1238962],
+    ['Gustavo Adolfo Madero', 19.49, -99.11, 'MX', 1185772],
+    ['Zapopan', 20.72, -103.38, 'MX', 1142483],
+    ['Monterrey', 25.68, -100.32, 'MX', 1135512],
+    ['Ciudad Nezahualcoyotl', 19.4, -99.01, 'MX', 1104585],
+    ['Chihuahua', 28.64, -106.09, 'MX', 809232],
+    ['Naucalpan de Juárez', 19.48, -99.24, 'MX', 792211],
+    ['Mérida', 20.98, -89.62, 'MX', 777615],
+    ['San Luis Potosí', 22.15, -100.98, 'MX', 722772],
+    ['Aguascalientes', 21.88, -102.28, 'MX', 722250],
+    ['Hermosillo', 29.1, -110.98, 'MX', 715061],
+    ['Saltillo', 25.42, -101.01, 'MX', 709671],
+    ['Mexicali', 32.63, -115.45, 'MX', 689775],
+    ['Culiacán', 24.79, -107.39, 'MX', 675773],
+    ['Guadalupe', 25.68, -100.26, 'MX', 673616],
+    ['Acapulco de Juárez', 16.85, -99.91, 'MX', 673479],
+    ['Tlalnepantla', 19.54, -99.2, 'MX', 653410],
+    ['Cancún', 21.17, -86.85, 'MX', 628306],
+    ['Santiago de Querétaro', 20.59, -100.39, 'MX', 626495],
+    ['Coyoacán', 19.35, -99.16, 'MX', 620416],
+    ['Santa María Chimalhuacán', 19.42, -98.95, 'MX', 612383],
+    ['Torreón', 25.54, -103.42, 'MX', 608836],
+    ['Morelia', 19.7, -101.18, 'MX', 597511],
+    ['Reynosa', 26.08, -98.29, 'MX', 589466],
+    ['Tlaquepaque', 20.64, -103.29, 'MX', 575942],
+    ['Tlalpan', 19.3, -99.16, 'MX', 574577],
+    ['Tuxtla', 16.76, -93.11, 'MX', 537102],
+    ['Cuauhtémoc', 19.45, -99.15, 'MX', 531831],
+    ['Victoria de Durango', 24.02, -104.66, 'MX', 518709],
+    ['Toluca', 19.29, -99.65, 'MX', 489333],
+    ['Ciudad López Mateos', 19.56, -99.26, 'MX', 489160],
+    ['Cuautitlán Izcalli', 19.64, -99.22, 'MX', 484573],
+    ['Ciudad Apodaca', 25.78, -100.19, 'MX', 467157],
+    ['Heroica Matamoros', 25.88, -97.5, 'MX', 449815],
+    ['San Nicolás de los Garza', 25.74, -100.3, 'MX', 443273],
+    ['Veracruz', 19.18, -96.14, 'MX', 428323],
+    ['Xalapa de Enríquez', 19.53, -96.92, 'MX', 424755],
+    ['Azcapotzalco', 19.49, -99.19, 'MX', 414711],
+    ['Tonalá', 20.62, -103.23, 'MX', 408759],
+    ['Xochimilco', 19.25, -99.1, 'MX', 407885],
+    ['Iztacalco', 19.4, -99.1, 'MX', 384326],
+    ['Mazatlán', 23.23, -106.41, 'MX', 381583],
+    ['Irapuato', 20.68, -101.36, 'MX', 380941],
+    ['Nuevo Laredo', 27.48, -99.52, 'MX', 373725],
+    ['Miguel Hidalgo', 19.43, -99.2, 'MX', 372889],
+    ['Xico', 19.27, -98.95, 'MX', 356352],
+    ['Benito Juarez', 19.4, -99.16, 'MX', 355017],
+    ['Villahermosa', 17.99, -92.93, 'MX', 353577],
+    ['Ciudad General Escobedo', 25.8, -100.32, 'MX', 352444],
+    ['Celaya', 20.52, -100.82, 'MX', 340387],
+    ['Cuernavaca', 18.93, -99.23, 'MX', 338650],
+    ['Tepic', 21.51, -104.9, 'MX', 332863],
+    ['Ixtapaluca', 19.32, -98.88, 'MX', 322271],
+    ['Tampico', 22.29, -97.88, 'MX', 309003],
+    ['Ciudad Victoria', 23.74, -99.15, 'MX', 305155],
+    ['Tláhuac', 19.29, -99.01, 'MX', 305076],
+    ['Ciudad Obregón', 27.49, -109.94, 'MX', 298625],
+    ['Nicolás Romero', 19.64, -99.31, 'MX', 281799],
+    ['Ensenada', 31.87, -116.6, 'MX', 279765],
+    ['Coacalco', 19.63, -99.11, 'MX', 277959],
+    ['Santa Catarina', 25.67, -100.46, 'MX', 268347],
+    ['Uruapan', 19.41, -102.06, 'MX', 264439],
+    ['Gómez Palacio', 25.57, -103.5, 'MX', 257352],
+    ['Los Mochis', 25.79, -109, 'MX', 256613],
+    ['Pachuca de Soto', 20.12, -98.73, 'MX', 256584],
+    ['Oaxaca', 17.07, -96.72, 'MX', 255029],
+    ['Soledad de Graciano Sánchez', 22.19, -100.94, 'MX', 255015],
+    ['Tehuacán', 18.46, -97.4, 'MX', 248716],
+    ['Ojo de Agua', 19.68, -99.01, 'MX', 242272],
+    ['Magdalena Contreras', 19.33, -99.21, 'MX', 238431],
+    ['Coatzacoalcos', 18.15, -94.44, 'MX', 235983],
+    ['Campeche', 19.84, -90.53, 'MX', 220389],
+    ['Monclova', 26.91, -101.42, 'MX', 215271],
+    ['La Paz', 24.14, -110.3, 'MX', 215178],
+    ['Nogales', 31.31, -110.94, 'MX', 212533],
+    ['Buenavista', 19.61, -99.17, 'MX', 206081],
+    ['Puerto Vallarta', 20.62, -105.23, 'MX', 203342],
+    ['Tapachula', 14.9, -92.26, 'MX', 202672],
+    ['Ciudad Madero', 22.27, -97.84, 'MX', 197216],
+    ['Chilpancingo', 17.55, -99.51, 'MX', 187251],
+    ['Poza Rica de Hidalgo', 20.53, -97.46, 'MX', 185242],
+    ['Chicoloapan', 19.42, -98.9, 'MX', 172919],
+    ['Ciudad del Carmen', 18.65, -91.83, 'MX', 169466],
+    ['Chalco', 19.26, -98.9, 'MX', 168720],
+    ['Jiutepec', 18.88, -99.18, 'MX', 162427],
+    ['Delegación Cuajimalpa de Morelos', 19.37, -99.29, 'MX', 160491],
+    ['Salamanca', 20.57, -101.19, 'MX', 160169],
+    ['San Luis Río Colorado', 32.46, -114.77, 'MX', 158089],
+    ['San Cristóbal de las Casas', 16.73, -92.64, 'MX', 158027],
+    ['San Pablo de las Salinas', 19.67, -99.09, 'MX', 156191],
+    ['Cuautla', 18.81, -98.94, 'MX', 154358],
+    ['Ciudad Benito Juárez', 25.65, -100.1, 'MX', 151893],
+    ['Chetumal', 18.51, -88.3, 'MX', 151243],
+    ['Piedras Negras', 28.7, -100.52, 'MX', 150178],
+    ['Kota Bharu', 6.12, 102.24, 'MY', 1459994],
+    ['Kuala Lumpur', 3.14, 101.69, 'MY', 1453975],
+    ['Klang', 3.04, 101.44, 'MY', 879867],
+    ['Kampung Baru Subang', 3.15, 101.53, 'MY', 833571],
+    ['Johor Bahru', 1.47, 103.76, 'MY', 802489],
+    ['Ipoh', 4.58, 101.08, 'MY', 673318],
+    ['Kuching', 1.55, 110.33, 'MY', 570407],
+    ['Petaling Jaya', 3.11, 101.61, 'MY', 520698],
+    ['Shah Alam', 3.09, 101.53, 'MY', 481654],
+    ['Kota Kinabalu', 5.97, 116.07, 'MY', 457326],
+    ['Sandakan', 5.84, 118.12, 'MY', 392288],
+    ['Seremban', 2.73, 101.94, 'MY', 372917],
+    ['Kuantan', 3.81, 103.33, 'MY', 366229],
+    ['Tawau', 4.24, 117.89, 'MY', 306462],
+    ['George Town', 5.41, 100.34, 'MY', 300000],
+    ['Kuala Terengganu', 5.33, 103.14, 'MY', 285065],
+    ['Sungai Petani', 5.65, 100.49, 'MY', 228843],
+    ['Miri', 4.4, 113.99, 'MY', 228212],
+    ['Taiping', 4.85, 100.73, 'MY', 217647],
+    ['Alor Setar', 6.12, 100.36, 'MY', 217368],
+    ['Bukit Mertajam', 5.36, 100.47, 'MY', 212329],
+    ['Sepang', 2.69, 101.75, 'MY', 212050],
+    ['Sibu', 2.3, 111.82, 'MY', 198239],
+    ['Malacca', 2.2, 102.24, 'MY', 180671],
+    ['Kulim', 5.36, 100.56, 'MY', 170889],
+    ['Kluang', 2.03, 103.32, 'MY', 169828],
+    ['Batu Pahat', 1.85, 102.93, 'MY', 156236],
+    ['Bintulu', 3.17, 113.03, 'MY', 151617],
+    ['Maputo', -25.97, 32.58, 'MZ', 1191613],
+    ['Matola', -25.96, 32.46, 'MZ', 675422],
+    ['Beira', -19.84, 34.84, 'MZ', 530604],
+    ['Nampula', -15.12, 39.27, 'MZ', 388526],
+    ['Chimoio', -19.12, 33.48, 'MZ', 256936],
+    ['Nacala', -14.56, 40.69, 'MZ', 224795],
+    ['Quelimane', -17.88, 36.89, 'MZ', 188964],
+    ['Tete', -16.16, 33.59, 'MZ', 129316],
+    ['Windhoek', -22.56, 17.08, 'NA', 268132],
+    ['Rundu', -17.93, 19.77, 'NA', 58172],
+    ['Walvis Bay', -22.96, 14.51, 'NA', 52058],
+    ['Oshakati', -17.79, 15.7, 'NA', 33618],
+    ['Swakopmund', -22.68, 14.53, 'NA', 25047],
+    ['Katima Mulilo', -17.5, 24.27, 'NA', 25027],
+    ['Grootfontein', -19.57, 18.12, 'NA', 24099],
+    ['Rehoboth', -23.32, 17.09, 'NA', 21377],
+    ['Nouméa', -22.27, 166.45, 'NC', 93060],
+    ['Mont-Dore', -22.26, 166.57, 'NC', 24680],
+    ['Dumbéa', -22.16, 166.46, 'NC', 19346],
+    ['Païta', -22.13, 166.36, 'NC', 12617],
+    ['Wé', -20.92, 167.26, 'NC', 10375],
+    ['Tadine', -21.55, 167.88, 'NC', 7492],
+    ['Poindimié', -20.93, 165.33, 'NC', 4885],
+    ['Bourail', -21.57, 165.5, 'NC', 4826],
+    ['Niamey', 13.51, 2.11, 'NE', 774235],
+    ['Zinder', 13.81, 8.99, 'NE', 191424],
+    ['Maradi', 13.5, 7.1, 'NE', 163487],
+    ['Agadez', 16.97, 7.99, 'NE', 124324],
+    ['Alaghsas', 17.02, 8.02, 'NE', 88561],
+    ['Tahoua', 14.89, 5.27, 'NE', 80425],
+    ['Dosso', 13.05, 3.19, 'NE', 49750],
+    ['Birni N Konni', 13.8, 5.25, 'NE', 48103],
+    ['Kingston', -29.05, 167.97, 'NF', 880],
+    ['Lagos', 6.45, 3.39, 'NG', 9000000],
+    ['Kano', 12, 8.52, 'NG', 3626068],
+    ['Ibadan', 7.38, 3.91, 'NG', 3565108],
+    ['Kaduna', 10.53, 7.44, 'NG', 1582102],
+    ['Port Harcourt', 4.78, 7.01, 'NG', 1148665],
+    ['Benin City', 6.34, 5.63, 'NG', 1125058],
+    ['Maiduguri', 11.85, 13.16, 'NG', 1112449],
+    ['Zaria', 11.11, 7.72, 'NG', 975153],
+    ['Aba', 5.11, 7.37, 'NG', 897560],
+    ['Jos', 9.93, 8.89, 'NG', 816824],
+    ['Ilorin', 8.5, 4.54, 'NG', 814192],
+    ['Oyo', 7.85, 3.93, 'NG', 736072],
+    ['Enugu', 6.44, 7.5, 'NG', 688862],
+    ['Abeokuta', 7.16, 3.35, 'NG', 593100],
+    ['Abuja', 9.06, 7.5, 'NG', 590400],
+    ['Sokoto', 13.06, 5.24, 'NG', 563861],
+    ['Onitsha', 6.15, 6.79, 'NG', 561066],
+    ['Warri', 5.52, 5.75, 'NG', 536023],
+    ['Ebute Ikorodu', 6.6, 3.49, 'NG', 535619],
+    ['Okene', 7.55, 6.24, 'NG', 479178],
+    ['Calabar', 4.96, 8.33, 'NG', 461796],
+    ['Uyo', 5.05, 7.93, 'NG', 436606],
+    ['Katsina', 12.99, 7.6, 'NG', 432149],
+    ['Ado-Ekiti', 7.62, 5.22, 'NG', 424340],
+    ['Akure', 7.25, 5.19, 'NG', 420594],
+    ['Lekki', 6.41, 4.09, 'NG', 401272],
+    ['Bauchi', 10.31, 9.84, 'NG', 316149],
+    ['Ikeja', 6.6, 3.34, 'NG', 313196],
+    ['Makurdi', 7.73, 8.52, 'NG', 292645],
+    ['Minna', 9.62, 6.55, 'NG', 291905],
+    ['Efon-Alaaye', 7.66, 4.92, 'NG', 279319],
+    ['Ilesa', 7.63, 4.74, 'NG', 277904],
+    ['Owo', 7.2, 5.59, 'NG', 276574],
+    ['Umuahia', 5.52, 7.49, 'NG', 264662],
+    ['Ondo', 7.09, 4.84, 'NG', 257005],
+    ['Ikot Ekpene', 5.18, 7.71, 'NG', 254806],
+    ['Iwo', 7.64, 4.18, 'NG', 250443],
+    ['Gombe', 10.29, 11.17, 'NG', 250258],
+    ['Jimeta', 9.28, 12.46, 'NG', 248148],
+    ['Atani', 6.01, 6.75, 'NG', 230000],
+    ['Gusau', 12.17, 6.66, 'NG', 226857],
+    ['Mubi', 10.27, 13.27, 'NG', 225705],
+    ['Ikire', 7.37, 4.19, 'NG', 222160],
+    ['Owerri', 5.48, 7.03, 'NG', 215038],
+    ['Shagamu', 6.85, 3.65, 'NG', 214558],
+    ['Ijebu-Ode', 6.82, 3.92, 'NG', 209175],
+    ['Ugep', 5.81, 8.08, 'NG', 200276],
+    ['Chakwama', 11.56, 9.66, 'NG', 200000],
+    ['Nnewi', 6.02, 6.92, 'NG', 193987],
+    ['Ise-Ekiti', 7.46, 5.42, 'NG', 190063],
+    ['Ila Orangun', 8.02, 4.9, 'NG', 179192],
+    ['Saki', 8.67, 3.39, 'NG', 178677],
+    ['Bida', 9.08, 6.01, 'NG', 171656],
+    ['Awka', 6.21, 7.07, 'NG', 167738],
+    ['Ijero-Ekiti', 7.82, 5.07, 'NG', 167632],
+    ['Inisa', 7.85, 4.33, 'NG', 164161],
+    ['Suleja', 9.18, 7.18, 'NG', 162135],
+    ['Sapele', 5.89, 5.68, 'NG', 161686],
+    ['Osogbo', 7.77, 4.56, 'NG', 156694],
+    ['Kisi', 9.08, 3.85, 'NG', 155510],
+    ['Managua', 12.13, -86.25, 'NI', 973087],
+    ['León', 12.44, -86.88, 'NI', 144538],
+    ['Masaya', 11.97, -86.09, 'NI', 130113],
+    ['Chinandega', 12.63, -87.13, 'NI', 126387],
+    ['Matagalpa', 12.93, -85.92, 'NI', 109089],
+    ['Estelí', 13.09, -86.35, 'NI', 96422],
+    ['Granada', 11.93, -85.96, 'NI', 89409],
+    ['Jinotega', 13.09, -86, 'NI', 55000],
+    ['Amsterdam', 52.37, 4.89, 'NL', 741636],
+    ['Rotterdam', 51.92, 4.48, 'NL', 598199],
+    ['The Hague', 52.08, 4.3, 'NL', 474292],
+    ['Utrecht', 52.09, 5.12, 'NL', 290529],
+    ['Eindhoven', 51.44, 5.48, 'NL', 209620],
+    ['Tilburg', 51.56, 5.09, 'NL', 199613],
+    ['Groningen', 53.22, 6.57, 'NL', 181194],
+    ['Almere Stad', 52.37, 5.21, 'NL', 176432],
+    ['Breda', 51.59, 4.78, 'NL', 167673],
+    ['Nijmegen', 51.84, 5.85, 'NL', 158732],
+    ['Enschede', 52.22, 6.9, 'NL', 153655],
+    ['Oslo', 59.91, 10.75, 'NO', 580000],
+    ['Bergen', 60.39, 5.32, 'NO', 213585],
+    ['Trondheim', 63.43, 10.4, 'NO', 147139],
+    ['Stavanger', 58.97, 5.73, 'NO', 121610],
+    ['Drammen', 59.74, 10.2, 'NO', 90722],
+    ['Fredrikstad', 59.22, 10.93, 'NO', 72760],
+    ['Kristiansand', 58.15, 8, 'NO', 63814],
+    ['Sandnes', 58.85, 5.74, 'NO', 63032],
+    ['Kathmandu', 27.7, 85.32, 'NP', 1442271],
+    ['Pokhara', 28.27, 83.97, 'NP', 200000],
+    ['Pātan', 27.68, 85.31, 'NP', 183310],
+    ['Biratnagar', 26.46, 87.27, 'NP', 182324],
+    ['Birgañj', 27.02, 84.88, 'NP', 133238],
+    ['Dharān', 26.81, 87.28, 'NP', 108600],
+    ['Bharatpur', 27.68, 84.44, 'NP', 107157],
+    ['Janakpur', 26.73, 85.93, 'NP', 93767],
+    ['Arijejen', -0.53, 166.91, 'NR', 2381],
+    ['Denigomodu', -0.53, 166.91, 'NR', 1804],
+    ['Menen', -0.55, 166.95, 'NR', 1400],
+    ['Yaren', -0.55, 166.93, 'NR', 1100],
+    ['Baiti', -0.51, 166.93, 'NR', 810],
+    ['Anabar', -0.51, 166.95, 'NR', 378],
+    ['Uaboe', -0.51, 166.92, 'NR', 330],
+    ['Ijuw', -0.52, 166.96, 'NR', 180],
+    ['Alofi', -19.05, -169.92, 'NU', 624],
+    ['Auckland', -36.85, 174.76, 'NZ', 417910],
+    ['Wellington', -41.29, 174.78, 'NZ', 381900],
+    ['Christchurch', -43.53, 172.63, 'NZ', 363926],
+    ['Manukau City', -36.99, 174.88, 'NZ', 362000],
+    ['Hamilton', -37.78, 175.28, 'NZ', 152641],
+    ['Dunedin', -45.87, 170.5, 'NZ', 114347],
+    ['Tauranga', -37.69, 176.17, 'NZ', 110338],
+    ['Lower Hutt', -41.22, 174.92, 'NZ', 101194],
+    ['Muscat', 23.58, 58.41, 'OM', 797000],
+    ['Seeb', 23.67, 58.19, 'OM', 237816],
+    ['Şalālah', 17.02, 54.09, 'OM', 163140],
+    ['Bawshar', 23.58, 58.4, 'OM', 159487],
+    ['Sohar', 24.35, 56.71, 'OM', 108274],
+    ['As Suwayq', 23.85, 57.44, 'OM', 107143],
+    ['‘Ibrī', 23.23, 56.52, 'OM', 101640],
+    ['Şaḩam', 24.17, 56.89, 'OM', 89327],
+    ['Panamá', 8.99, -79.52, 'PA', 408168],
+    ['San Miguelito', 9.05, -79.47, 'PA', 321501],
+    ['Juan Díaz', 9.05, -79.45, 'PA', 100636],
+    ['David', 8.43, -82.43, 'PA', 81957],
+    ['Arraiján', 8.95, -79.66, 'PA', 76815],
+    ['Colón', 9.35, -79.9, 'PA', 76643],
+    ['La Chorrera', 8.88, -79.78, 'PA', 61232],
+    ['Pedregal', 9.07, -79.43, 'PA', 51641],
+    ['Lima', -12.04, -77.03, 'PE', 7737002],
+    ['Arequipa', -16.4, -71.53, 'PE', 841130],
+    ['Callao', -12.06, -77.12, 'PE', 813264],
+    ['Trujillo', -8.12, -79.03, 'PE', 747450],
+    ['Chiclayo', -6.77, -79.84, 'PE', 577375],
+    ['Iquitos', -3.75, -73.25, 'PE', 437620],
+    ['Huancayo', -12.07, -75.2, 'PE', 376657],
+    ['Piura', -5.19, -80.63, 'PE', 325466],
+    ['Chimbote', -9.09, -78.58, 'PE', 316966],
+    ['Cusco', -13.52, -71.97, 'PE', 312140],
+    ['Pucallpa', -8.38, -74.55, 'PE', 310750],
+    ['Tacna', -18.01, -70.25, 'PE', 280098],
+    ['Ica', -14.07, -75.73, 'PE', 246844],
+    ['Juliaca', -15.5, -70.13, 'PE', 245675],
+    ['Sullana', -4.9, -80.69, 'PE', 160789],
+    ['Chincha Alta', -13.41, -76.13, 'PE', 153076],
+    ['Faaa', -17.55, -149.6, 'PF', 29851],
+    ['Papeete', -17.54, -149.57, 'PF', 26357],
+    ['Punaauia', -17.63, -149.6, 'PF', 25750],
+    ['Pirae', -17.52, -149.53, 'PF', 14475],
+    ['Mahina', -17.51, -149.49, 'PF', 14369],
+    ['Paea', -17.68, -149.58, 'PF', 12084],
+    ['Papao', -17.75, -149.55, 'PF', 10360],
+    ['Arue', -17.52, -149.5, 'PF', 9458],
+    ['Port Moresby', -9.48, 147.15, 'PG', 283733],
+    ['Lae', -6.72, 147, 'PG', 76255],
+    ['Arawa', -6.23, 155.57, 'PG', 40266],
+    ['Mount Hagen', -5.86, 144.23, 'PG', 33623],
+    ['Popondetta', -8.77, 148.23, 'PG', 28198],
+    ['Madang', -5.22, 145.79, 'PG', 27419],
+    ['Kokopo', -4.34, 152.27, 'PG', 26273],
+    ['Mendi', -6.15, 143.66, 'PG', 26252],
+    ['Quezon City', 14.65, 121.05, 'PH', 2761720],
+    ['Manila', 14.6, 120.98, 'PH', 1600000],
+    ['Caloocan City', 14.65, 120.97, 'PH', 1500000],
+    ['Budta', 7.2, 124.44, 'PH', 1273715],
+    ['Davao', 7.07, 125.61, 'PH', 1212504],
+    ['Malingao', 7.16, 124.47, 'PH', 1121974],
+    ['Cebu City', 10.32, 123.89, 'PH', 798634],
+    ['General Santos', 6.11, 125.17, 'PH', 679588],
+    ['Taguig', 14.52, 121.08, 'PH', 644473],
+    ['Pasig City', 14.59, 121.06, 'PH', 617301],
+    ['Las Piñas', 14.45, 120.98, 'PH', 590000],
+    ['Antipolo', 14.63, 121.12, 'PH', 549543],
+    ['Makati City', 14.55, 121.03, 'PH', 510383],
+    ['Zamboanga', 6.91, 122.07, 'PH', 457623],
+    ['Bacolod City', 10.67, 122.95, 'PH', 454898],
+    ['Mansilingan', 10.63, 122.98, 'PH', 454150],
+    ['Cagayan de Oro', 8.48, 124.65, 'PH', 445103],
+    ['Dasmariñas', 14.33, 120.94, 'PH', 441876],
+    ['Pasay', 14.54, 121, 'PH', 416522],
+    ['Iloilo', 10.7, 122.56, 'PH', 387681],
+    ['San Jose del Monte', 14.81, 121.05, 'PH', 357828],
+    ['Bacoor', 14.46, 120.94, 'PH', 356974],
+    ['Lapu-Lapu City', 10.31, 123.95, 'PH', 350467],
+    ['Iligan', 8.23, 124.24, 'PH', 342618],
+    ['Mandaue City', 10.32, 123.92, 'PH', 331320],
+    ['Calamba', 14.21, 121.17, 'PH', 316612],
+    ['Iligan City', 8.25, 124.4, 'PH', 312323],
+    ['Butuan', 8.95, 125.54, 'PH', 309709],
+    ['Cabuyao', 14.27, 121.13, 'PH', 308745],
+    ['Mandaluyong City', 14.58, 121.04, 'PH', 305576],
+    ['Biñan', 14.34, 121.08, 'PH', 300000],
+    ['Angeles City', 15.15, 120.58, 'PH', 299391],
+    ['Santol', 15.16, 120.57, 'PH', 298976],
+    ['Cainta', 14.58, 121.12, 'PH', 283172],
+    ['Baguio', 16.42, 120.59, 'PH', 272714],
+    ['San Pedro', 14.36, 121.05, 'PH', 270216],
+    ['Mantampay', 8.17, 124.22, 'PH', 265032],
+    ['San Fernando', 15.03, 120.68, 'PH', 251248],
+    ['Libertad', 8.94, 125.5, 'PH', 250353],
+    ['Navotas', 14.67, 120.95, 'PH', 249463],
+    ['Tacloban', 11.24, 125, 'PH', 242089],
+    ['Batangas', 13.76, 121.06, 'PH', 237370],
+    ['Magugpo Poblacion', 7.45, 125.8, 'PH', 233254],
+    ['Taytay', 14.56, 121.13, 'PH', 231460],
+    ['Lucena', 13.93, 121.62, 'PH', 228758],
+    ['Puerto Princesa', 9.74, 118.74, 'PH', 222673],
+    ['Olongapo', 14.83, 120.28, 'PH', 221178],
+    ['Cabanatuan City', 15.49, 120.97, 'PH', 220250],
+    ['Binangonan', 14.46, 121.19, 'PH', 219204],
+    ['Santa Rosa', 14.31, 121.11, 'PH', 216650],
+    ['Imus', 14.43, 120.94, 'PH', 216099],
+    ['Lipa City', 13.94, 121.16, 'PH', 212287],
+    ['San Pablo', 14.07, 121.33, 'PH', 207577],
+    ['Malolos', 14.84, 120.81, 'PH', 198748],
+    ['Ormoc', 11.01, 124.61, 'PH', 191200],
+    ['Panalanoy', 11.25, 125.01, 'PH', 189090],
+    ['Mabalacat City', 15.22, 120.57, 'PH', 188050],
+    ['Pagadian', 7.83, 123.44, 'PH', 186852],
+    ['Meycauayan', 14.74, 120.96, 'PH', 184839],
+    ['Tarlac City', 15.48, 120.6, 'PH', 183930],
+    ['Legaspi', 13.14, 123.74, 'PH', 179481],
+    ['Cotabato', 7.22, 124.25, 'PH', 179433],
+    ['Naga', 13.62, 123.18, 'PH', 174931],
+    ['Dagupan', 16.04, 120.33, 'PH', 171271],
+    ['Toledo', 10.38, 123.64, 'PH', 156916],
+    ['Guyong', 14.84, 120.98, 'PH', 155391],
+    ['Bago City', 10.53, 122.83, 'PH', 150250],
+    ['Karachi', 24.86, 67.01, 'PK', 11624219],
+    ['Lahore', 31.56, 74.35, 'PK', 6310888],
+    ['Faisalabad', 31.42, 73.09, 'PK', 2506595],
+    ['Rawalpindi', 33.6, 73.05, 'PK', 1743101],
+    ['Multan', 30.2, 71.48, 'PK', 1437230],
+    ['Hyderabad', 25.39, 68.37, 'PK', 1386330],
+    ['Gujranwala', 32.16, 74.19, 'PK', 1384471],
+    ['Peshawar', 34.01, 71.58, 'PK', 1218773],
+    ['Rahim Yar Khan', 28.42, 70.3, 'PK', 788915],
+    ['Quetta', 30.18, 67, 'PK', 733675],
+    ['Muzaffarābād', 34.37, 73.47, 'PK', 725000],
+    ['Battagram', 34.68, 73.02, 'PK', 700000],
+    ['Kotli', 33.52, 73.9, 'PK', 640000],
+    ['Islamabad', 33.72, 73.04, 'PK', 601600],
+    ['Bahawalpur', 29.4, 71.68, 'PK', 552607],
+    ['Sargodha', 32.09, 72.67, 'PK', 542603],
+    ['Sialkot', 32.49, 74.53, 'PK', 477396],
+    ['Sukkur', 27.7, 68.86, 'PK', 417767],
+    ['Larkana', 27.56, 68.21, 'PK', 364033],
+    ['Shekhupura', 31.71, 73.99, 'PK', 361303],
+    ['Bhimbar', 32.97, 74.08, 'PK', 342900],
+    ['Jhang Sadr', 31.27, 72.32, 'PK', 341210],
+    ['Gujrat', 32.57, 74.08, 'PK', 301506],
+    ['Mardan', 34.2, 72.05, 'PK', 300424],
+    ['Kasur', 31.12, 74.45, 'PK', 290643],
+    ['Mingora', 34.78, 72.36, 'PK', 279914],
+    ['Dera Ghazi Khan', 30.05, 70.64, 'PK', 236093],
+    ['Sahiwal', 30.67, 73.1, 'PK', 235695],
+    ['Nawabshah', 26.24, 68.4, 'PK', 229504],
+    ['Okara', 30.81, 73.45, 'PK', 223648],
+    ['Mirpur Khas', 25.53, 69.01, 'PK', 215657],
+    ['Chiniot', 31.72, 72.98, 'PK', 201781],
+    ['Shahkot', 31.57, 73.49, 'PK', 200000],
+    ['Kamoke', 31.98, 74.22, 'PK', 199531],
+    ['Saddiqabad', 28.31, 70.13, 'PK', 189876],
+    ['Būrewāla', 30.17, 72.65, 'PK', 183915],
+    ['Jacobabad', 28.28, 68.44, 'PK', 170588],
+    ['Muzaffargarh', 30.07, 71.19, 'PK', 165192],
+    ['Muridke', 31.8, 74.26, 'PK', 164246],
+    ['Shikarpur', 27.96, 68.64, 'PK', 156901],
+    ['Hafizabad', 32.07, 73.69, 'PK', 153656],
+    ['Kohat', 33.58, 71.45, 'PK', 151427],
+    ['Tordher', 33.99, 72.29, 'PK', 150000],
+    ['Warsaw', 52.23, 21.01, 'PL', 1702139],
+    ['Łódź', 51.77, 19.47, 'PL', 768755],
+    ['Kraków', 50.06, 19.94, 'PL', 755050],
+    ['Wrocław', 51.1, 17.03, 'PL', 634893],
+    ['Poznań', 52.41, 16.93, 'PL', 570352],
+    ['Gdańsk', 54.35, 18.65, 'PL', 461865],
+    ['Szczecin', 53.43, 14.55, 'PL', 407811],
+    ['Bydgoszcz', 53.12, 18.01, 'PL', 366452],
+    ['Lublin', 51.25, 22.57, 'PL', 360044],
+    ['Katowice', 50.26, 19.03, 'PL', 317316],
+    ['Białystok', 53.13, 23.16, 'PL', 291855],
+    ['Gdynia', 54.52, 18.53, 'PL', 253730],
+    ['Częstochowa', 50.8, 19.12, 'PL', 248125],
+    ['Sosnowiec', 50.29, 19.1, 'PL', 227295],
+    ['Radom', 51.4, 21.15, 'PL', 226794],
+    ['Mokotów', 52.19, 21.03, 'PL', 212670],
+    ['Toruń', 53.01, 18.6, 'PL', 208717],
+    ['Kielce', 50.87, 20.63, 'PL', 208598],
+    ['Gliwice', 50.3, 18.68, 'PL', 198835],
+    ['Zabrze', 50.32, 18.79, 'PL', 192177],
+    ['Bytom', 50.35, 18.93, 'PL', 189186],
+    ['Praga Południe', 52.24, 21.09, 'PL', 187845],
+    ['Bielsko-Biala', 49.82, 19.05, 'PL', 176515],
+    ['Olsztyn', 53.78, 20.49, 'PL', 171803],
+    ['Rzeszów', 50.04, 22, 'PL', 158382],
+    ['Saint-Pierre', 46.78, -56.18, 'PM', 6200],
+    ['Miquelon', 47.1, -56.38, 'PM', 1141],
+    ['Adamstown', -25.07, -130.1, 'PN', 46],
+    ['San Juan', 18.47, -66.11, 'PR', 418140],
+    ['Bayamón', 18.4, -66.16, 'PR', 203499],
+    ['Carolina', 18.38, -65.96, 'PR', 170404],
+    ['Ponce', 18.01, -66.62, 'PR', 152634],
+    ['Caguas', 18.23, -66.05, 'PR', 86804],
+    ['Guaynabo', 18.36, -66.11, 'PR', 81360],
+    ['Mayagüez', 18.2, -67.14, 'PR', 78647],
+    ['Trujillo Alto', 18.35, -66.01, 'PR', 54189],
+    ['Gaza', 31.5, 34.47, 'PS', 410000],
+    ['Khān Yūnis', 31.34, 34.31, 'PS', 173183],
+    ['Jabālyā', 31.53, 34.48, 'PS', 168568],
+    ['Hebron', 31.53, 35.09, 'PS', 160470],
+    ['Nablus', 32.22, 35.25, 'PS', 130326],
+    ['Rafaḩ', 31.3, 34.24, 'PS', 126305],
+    ['Dayr al Balaḩ', 31.42, 34.35, 'PS', 59504],
+    ['Bayt Lāhyā', 31.55, 34.5, 'PS', 56919],
+    ['Lisbon', 38.72, -9.13, 'PT', 517802],
+    ['Porto', 41.15, -8.61, 'PT', 249633],
+    ['Amadora', 38.75, -9.23, 'PT', 178858],
+    ['Braga', 41.55, -8.42, 'PT', 121394],
+    ['Setúbal', 38.52, -8.89, 'PT', 117110],
+    ['Coimbra', 40.21, -8.42, 'PT', 106582],
+    ['Queluz', 38.76, -9.25, 'PT', 103399],
+    ['Funchal', 32.67, -16.93, 'PT', 100847],
+    ['Koror', 7.34, 134.47, 'PW', 14000],
+    ['Koror Town', 7.34, 134.48, 'PW', 12676],
+    ['Kloulklubed', 7.04, 134.26, 'PW', 702],
+    ['Ulimang', 7.62, 134.64, 'PW', 581],
+    ['Mengellang', 7.7, 134.63, 'PW', 488],
+    ['Ngchesar Hamlet', 7.47, 134.61, 'PW', 300],
+    ['Melekeok Village', 7.5, 134.64, 'PW', 271],
+    ['Ngchemiangel', 7.45, 134.48, 'PW', 270],
+    ['Asunción', -25.29, -57.65, 'PY', 1482200],
+    ['Ciudad del Este', -25.51, -54.61, 'PY', 320782],
+    ['San Lorenzo', -25.34, -57.51, 'PY', 227876],
+    ['Capiatá', -25.36, -57.45, 'PY', 198553],
+    ['Lambaré', -25.35, -57.61, 'PY', 126377],
+    ['Fernando de la Mora', -25.34, -57.52, 'PY', 120167],
+    ['Limpio', -25.17, -57.49, 'PY', 96143],
+    ['Nemby', -25.39, -57.54, 'PY', 94641],
+    ['Doha', 25.29, 51.53, 'QA', 344939],
+    ['Ar Rayyān', 25.29, 51.42, 'QA', 272465],
+    ['Umm Şalāl Muḩammad', 25.42, 51.41, 'QA', 29391],
+    ['Al Wakrah', 25.17, 51.6, 'QA', 26436],
+    ['Al Khawr', 25.68, 51.51, 'QA', 18923],
+    ['Ash Shīḩānīyah', 25.37, 51.22, 'QA', 8380],
+    ['Dukhān', 25.42, 50.78, 'QA', 7250],
+    ['Musay‘īd', 24.99, 51.55, 'QA', 5769],
+    ['Saint-Denis', -20.88, 55.45, 'RE', 137195],
+    ['Saint-Paul', -21.01, 55.27, 'RE', 99307],
+    ['Saint-Pierre', -21.34, 55.48, 'RE', 76655],
+    ['Le Tampon', -21.28, 55.52, 'RE', 69986],
+    ['Saint-André', -20.96, 55.65, 'RE', 48674],
+    ['Saint-Louis', -21.29, 55.41, 'RE', 47881],
+    ['Le Port', -20.94, 55.29, 'RE', 40771],
+    ['Saint-Benoît', -21.04, 55.72, 'RE', 35310],
+    ['Bucharest', 44.43, 26.11, 'RO', 1877155],
+    ['Iaşi', 47.17, 27.6, 'RO', 318012],
+    ['Cluj-Napoca', 46.77, 23.6, 'RO', 316748],
+    ['Timişoara', 45.75, 21.23, 'RO', 315053],
+    ['Craiova', 44.32, 23.8, 'RO', 304142],
+    ['Constanţa', 44.18, 28.63, 'RO', 303399],
+    ['Galaţi', 45.44, 28.05, 'RO', 294087],
+    ['Braşov', 45.65, 25.61, 'RO', 276088],
+    ['Ploieşti', 44.95, 26.02, 'RO', 228851],
+    ['Brăila', 45.27, 27.97, 'RO', 213569],
+    ['Oradea', 47.05, 21.92, 'RO', 206614],
+    ['Bacău', 46.57, 26.91, 'RO', 171396],
+    ['Arad', 46.18, 21.32, 'RO', 169065],
+    ['Piteşti', 44.85, 24.87, 'RO', 167669],
+    ['Sibiu', 45.8, 24.15, 'RO', 151894],
+    ['Belgrade', 44.8, 20.47, 'RS', 1273651],
+    ['Niš', 43.32, 21.9, 'RS', 250000],
+    ['Novi Sad', 45.25, 19.84, 'RS', 215400],
+    ['Zemun', 44.85, 20.4, 'RS', 155591],
+    ['Kragujevac', 44.02, 20.92, 'RS', 147473],
+    ['Čačak', 43.89, 20.35, 'RS', 117072],
+    ['Subotica', 46.1, 19.67, 'RS', 100000],
+    ['Leskovac', 43, 21.95, 'RS', 94758],
+    ['Moscow', 55.75, 37.62, 'RU', 10381222],
+    ['Saint Petersburg', 59.94, 30.31, 'RU', 5028000],
+    ['Novosibirsk', 55.04, 82.93, 'RU', 1419007],
+    ['Yekaterinburg', 56.85, 60.61, 'RU', 1349772],
+    ['Nizhniy Novgorod', 56.33, 44, 'RU', 1284164],
+    ['Samara', 53.2, 50.15, 'RU', 1134730],
+    ['Omsk', 54.99, 73.37, 'RU', 1129281],
+    ['Kazan', 55.79, 49.12, 'RU', 1104738],
+    ['Rostov-na-Donu', 47.23, 39.72, 'RU', 1074482],
+    ['Chelyabinsk', 55.15, 61.43, 'RU', 1062919],
+    ['Ufa', 54.74, 55.97, 'RU', 1033338],
+    ['Volgograd', 48.72, 44.5, 'RU', 1011417],
+    ['Perm', 58.01, 56.25, 'RU', 982419],
+    ['Krasnoyarsk', 56.02, 92.87, 'RU', 927200],
+    ['Saratov', 51.54, 46.01, 'RU', 863725],
+    ['Voronezh', 51.67, 39.18, 'RU', 848752],
+    ['Tol’yatti', 53.53, 49.35, 'RU', 702879],
+    ['Krasnodar', 45.04, 38.98, 'RU', 649851],
+    ['Ulyanovsk', 54.33, 48.39, 'RU', 640680],
+    ['Izhevsk', 56.85, 53.2, 'RU', 631038],
+    ['Yaroslavl', 57.63, 39.87, 'RU', 606730],
+    ['Barnaul', 53.36, 83.76, 'RU', 599579],
+    ['Vladivostok', 43.11, 131.87, 'RU', 587022],
+    ['Irkutsk', 52.3, 104.3, 'RU', 586695],
+    ['Khabarovsk', 48.48, 135.08, 'RU', 579000],
+    ['Orenburg', 51.77, 55.1, 'RU', 550204],
+    ['Novokuznetsk', 53.76, 87.11, 'RU', 539616],
+    ['Ryazan’', 54.63, 39.69, 'RU', 520173],
+    ['Tyumen', 57.15, 65.53, 'RU', 519119],
+    ['Lipetsk', 52.6, 39.57, 'RU', 515655],
+    ['Penza', 53.2, 45, 'RU', 512602],
+    ['Naberezhnyye Chelny', 55.73, 52.41, 'RU', 509870],
+    ['Astrakhan', 46.35, 48.04, 'RU', 502533],
+    ['Makhachkala', 42.98, 47.5, 'RU', 497959],
+    ['Tomsk', 56.5, 84.97, 'RU', 485519],
+    ['Kemerovo', 55.33, 86.08, 'RU', 477090],
+    ['Tula', 54.2, 37.62, 'RU', 468825],
+    ['Kirov', 58.6, 49.66, 'RU', 457383],
+    ['Cheboksary', 56.13, 47.25, 'RU', 446781],
+    ['Kaliningrad', 54.71, 20.51, 'RU', 434954],
+    ['Bryansk', 53.25, 34.37, 'RU', 427236],
+    ['Ivanovo', 57, 40.97, 'RU', 420839],
+    ['Magnitogorsk', 53.42, 59.05, 'RU', 413351],
+    ['Kursk', 51.74, 36.19, 'RU', 409431],
+    ['Tver', 56.86, 35.9, 'RU', 400212],
+    ['Nizhny Tagil', 57.92, 59.97, 'RU', 381116],
+    ['Stavropol’', 45.04, 41.97, 'RU', 363064],
+    ['Ulan-Ude', 51.83, 107.61, 'RU', 360278],
+    ['Arkhangel’sk', 64.54, 40.54, 'RU', 356051],
+    ['Belgorod', 50.61, 36.58, 'RU', 345289],
+    ['Kurgan', 55.45, 65.33, 'RU', 343129],
+    ['Kaluga', 54.53, 36.28, 'RU', 338978],
+    ['Sochi', 43.6, 39.73, 'RU', 327608],
+    ['Orël', 52.97, 36.08, 'RU', 324200],
+    ['Volzhskiy', 48.79, 44.78, 'RU', 323293],
+    ['Smolensk', 54.78, 32.04, 'RU', 320991],
+    ['Murmansk', 68.98, 33.09, 'RU', 319263],
+    ['Vladikavkaz', 43.04, 44.67, 'RU', 317370],
+    ['Cherepovets', 59.13, 37.9, 'RU', 315738],
+    ['Vologda', 59.22, 39.88, 'RU', 314900],
+    ['Vladimir', 56.14, 40.4, 'RU', 310024],
+    ['Chita', 52.03, 113.5, 'RU', 308500],
+    ['Saransk', 54.18, 45.17, 'RU', 303394],
+    ['Surgut', 61.25, 73.42, 'RU', 300367],
+    ['Tambov', 52.73, 41.44, 'RU', 290933],
+    ['Yoshkar-Ola', 56.64, 47.89, 'RU', 279100],
+    ['Taganrog', 47.24, 38.9, 'RU', 279056],
+    ['Kostroma', 57.77, 40.93, 'RU', 277656],
+    ['Komsomolsk-on-Amur', 50.55, 137.01, 'RU', 275908],
+    ['Nal’chik', 43.5, 43.62, 'RU', 272800],
+    ['Sterlitamak', 53.62, 55.95, 'RU', 267231],
+    ['Petrozavodsk', 61.78, 34.35, 'RU', 265025],
+    ['Bratsk', 56.13, 101.61, 'RU', 256600],
+    ['Orsk', 51.2, 58.57, 'RU', 246836],
+    ['Nizhnevartovsk', 60.93, 76.55, 'RU', 244937],
+    ['Angarsk', 52.54, 103.89, 'RU', 243158],
+    ['Novorossiysk', 44.72, 37.77, 'RU', 241856],
+    ['Khimki', 55.9, 37.43, 'RU', 239967],
+    ['Yakutsk', 62.03, 129.73, 'RU', 235600],
+    ['Nizhnekamsk', 55.64, 51.82, 'RU', 234297],
+    ['Dzerzhinsk', 56.24, 43.46, 'RU', 233126],
+    ['Syktyvkar', 61.66, 50.81, 'RU', 230139],
+    ['Staryy Oskol', 51.3, 37.84, 'RU', 226977],
+    ['Groznyy', 43.31, 45.69, 'RU', 226100],
+    ['Shakhty', 47.71, 40.21, 'RU', 221312],
+    ['Blagoveshchensk', 50.28, 127.54, 'RU', 221296],
+    ['Prokop’yevsk', 53.91, 86.72, 'RU', 219000],
+    ['Rybinsk', 58.04, 38.84, 'RU', 216724],
+    ['Zelenograd', 55.98, 37.18, 'RU', 215727],
+    ['Biysk', 52.54, 85.21, 'RU', 215430],
+    ['Velikiy Novgorod', 58.52, 31.27, 'RU', 215062],
+    ['Pskov', 57.81, 28.35, 'RU', 201990],
+    ['Balakovo', 52.03, 47.8, 'RU', 199572],
+    ['Armavir', 44.99, 41.12, 'RU', 199548],
+    ['Engel’s', 51.48, 46.11, 'RU', 196011],
+    ['Severodvinsk', 64.56, 39.83, 'RU', 194292],
+    ['Zlatoust', 55.17, 59.65, 'RU', 191366],
+    ['Syzran’', 53.16, 48.47, 'RU', 189338],
+    ['Petropavlovsk-Kamchatsky', 53.04, 158.65, 'RU', 187282],
+    ['Kamensk-Ural’skiy', 56.42, 61.93, 'RU', 182500],
+    ['Podolsk', 55.42, 37.55, 'RU', 179400],
+    ['Yuzhno-Sakhalinsk', 46.95, 142.74, 'RU', 176484],
+    ['Berezniki', 59.41, 56.82, 'RU', 167748],
+    ['Volgodonsk', 47.51, 42.15, 'RU', 167731],
+    ['Miass', 55.05, 60.11, 'RU', 167500],
+    ['Abakan', 53.72, 91.43, 'RU', 167289],
+    ['Novocherkassk', 47.42, 40.09, 'RU', 166974],
+    ['Nazran’', 43.23, 44.77, 'RU', 164131],
+    ['Rubtsovsk', 51.51, 81.21, 'RU', 161065],
+    ['Mytishchi', 55.91, 37.73, 'RU', 160542],
+    ['Salavat', 53.38, 55.91, 'RU', 159893],
+    ['Ussuriysk', 43.8, 131.95, 'RU', 157068],
+    ['Lyubertsy', 55.68, 37.89, 'RU', 154650],
+    ['Kovrov', 56.36, 41.32, 'RU', 154224],
+    ['Balashikha', 55.81, 37.96, 'RU', 150103],
+    ['Kigali', -1.95, 30.06, 'RW', 745261],
+    ['Butare', -2.6, 29.74, 'RW', 89600],
+    ['Gitarama', -2.07, 29.76, 'RW', 87613],
+    ['Musanze', -1.5, 29.63, 'RW', 86685],
+    ['Gisenyi', -1.7, 29.26, 'RW', 83623],
+    ['Byumba', -1.58, 30.07, 'RW', 70593],
+    ['Cyangugu', -2.48, 28.91, 'RW', 63883],
+    ['Kibuye', -2.06, 29.35, 'RW', 48024],
+    ['Riyadh', 24.69, 46.72, 'SA', 4205961],
+    ['Jeddah', 21.49, 39.19, 'SA', 2867446],
+    ['Mecca', 21.43, 39.83, 'SA', 1323624],
+    ['Medina', 24.47, 39.61, 'SA', 1300000],
+    ['Sulţānah', 24.49, 39.59, 'SA', 946697],
+    ['Dammam', 26.43, 50.1, 'SA', 768602],
+    ['Ta’if', 21.27, 40.42, 'SA', 530848],
+    ['Tabuk', 28.4, 36.57, 'SA', 455450],
+    ['Al Kharj', 24.16, 47.33, 'SA', 425300],
+    ['Buraydah', 26.33, 43.97, 'SA', 391336],
+    ['Khamis Mushait', 18.3, 42.73, 'SA', 387553],
+    ['Al Hufūf', 25.36, 49.59, 'SA', 293179],
+    ['Al Mubarraz', 25.41, 49.59, 'SA', 290802],
+    ['Hafar Al-Batin', 28.43, 45.97, 'SA', 271642],
+    ['Ha\'il', 27.52, 41.69, 'SA', 267005],
+    ['Najrān', 17.49, 44.13, 'SA', 258573],
+    ['Al Jubayl', 27.02, 49.62, 'SA', 237274],
+    ['Abha', 18.22, 42.51, 'SA', 210886],
+    ['Yanbu', 24.09, 38.06, 'SA', 200161],
+    ['Khobar', 26.28, 50.21, 'SA', 165799],
+    ['Honiara', -9.43, 159.95, 'SB', 56298],
+    ['Malango', -9.7, 159.72, 'SB', 10532],
+    ['Auki', -8.77, 160.7, 'SB', 6811],
+    ['Gizo', -8.1, 156.84, 'SB', 6154],
+    ['Buala', -8.14, 159.59, 'SB', 2700],
+    ['Tulagi', -9.1, 160.15, 'SB', 1750],
+    ['Kirakira', -10.45, 161.92, 'SB', 1122],
+    ['Lata', -10.72, 165.8, 'SB', 553],
+    ['Victoria', -4.62, 55.46, 'SC', 22881],
+    ['Anse Boileau', -4.72, 55.48, 'SC', 4183],
+    ['Bel Ombre', -4.62, 55.42, 'SC', 4163],
+    ['Beau Vallon', -4.62, 55.43, 'SC', 4142],
+    ['Cascade', -4.67, 55.5, 'SC', 4088],
+    ['Anse Royale', -4.73, 55.52, 'SC', 3818],
+    ['Takamaka', -4.77, 55.5, 'SC', 2580],
+    ['Port Glaud', -4.67, 55.42, 'SC', 2174],
+    ['Khartoum', 15.55, 32.53, 'SD', 1974647],
+    ['Omdurman', 15.64, 32.48, 'SD', 1200000],
+    ['Nyala', 12.05, 24.88, 'SD', 565734],
+    ['Port Sudan', 19.62, 37.22, 'SD', 489725],
+    ['Kassala', 15.45, 36.4, 'SD', 401477],
+    ['El Obeid', 13.18, 30.22, 'SD', 393311],
+    ['Al Qadarif', 14.03, 35.38, 'SD', 363945],
+    ['Kosti', 13.16, 32.66, 'SD', 345068],
+    ['Wad Medani', 14.4, 33.52, 'SD', 332714],
+    ['El Daein', 11.46, 26.13, 'SD', 264734],
+    ['El Fasher', 13.63, 25.35, 'SD', 252609],
+    ['Singa', 13.15, 33.93, 'SD', 250000],
+    ['Ad-Damazin', 11.79, 34.36, 'SD', 186051],
+    ['Geneina', 13.45, 22.45, 'SD', 162981],
+    ['Stockholm', 59.33, 18.07, 'SE', 1515017],
+    ['Göteborg', 57.71, 11.97, 'SE', 572799],
+    ['Malmö', 55.61, 13, 'SE', 301706],
+    ['Uppsala', 59.86, 17.64, 'SE', 149245],
+    ['Sollentuna', 59.43, 17.95, 'SE', 139606],
+    ['Västerås', 59.62, 16.55, 'SE', 117746],
+    ['Örebro', 59.27, 15.21, 'SE', 115765],
+    ['Linköping', 58.41, 15.62, 'SE', 106502],
+    ['Singapore', 1.29, 103.85, 'SG', 3547809],
+    ['Woodlands', 1.44, 103.79, 'SG', 252530],
+    ['Jamestown', -15.94, -5.72, 'SH', 637],
+    ['Georgetown', -7.93, -14.41, 'SH', 538],
+    ['Edinburgh of the Seven Seas', -37.07, -12.31, 'SH', 271],
+    ['Ljubljana', 46.05, 14.51, 'SI', 272220],
+    ['Maribor', 46.55, 15.65, 'SI', 95171],
+    ['Celje', 46.23, 15.26, 'SI', 37520],
+    ['Kranj', 46.24, 14.36, 'SI', 36874],
+    ['Velenje', 46.36, 15.11, 'SI', 25456],
+    ['Koper', 45.55, 13.73, 'SI', 24996],
+    ['Novo Mesto', 45.8, 15.17, 'SI', 23341],
+    ['Ptuj', 46.42, 15.87, 'SI', 18164],
+    ['Longyearbyen', 78.22, 15.65, 'SJ', 2060],
+    ['Olonkinbyen', 70.92, -8.72, 'SJ', 14],
+    ['Bratislava', 48.15, 17.11, 'SK', 423737],
+    ['Košice', 48.71, 21.26, 'SK', 236563],
+    ['Prešov', 49, 21.23, 'SK', 94718],
+    ['Nitra', 48.31, 18.08, 'SK', 86329],
+    ['Žilina', 49.22, 18.74, 'SK', 85985],
+    ['Banská Bystrica', 48.74, 19.15, 'SK', 82336],
+    ['Trnava', 48.38, 17.59, 'SK', 69785],
+    ['Trenčín', 48.89, 18.04, 'SK', 58278],
+    ['Freetown', 8.49, -13.24, 'SL', 802639],
+    ['Bo', 7.96, -11.74, 'SL', 174354],
+    ['Kenema', 7.88, -11.19, 'SL', 143137],
+    ['Koidu', 8.64, -10.97, 'SL', 88000],
+    ['Makeni', 8.89, -12.04, 'SL', 87679],
+    ['Lunsar', 8.68, -12.53, 'SL', 22461],
+    ['Port Loko', 8.77, -12.79, 'SL', 21308],
+    ['Waterloo', 8.34, -13.07, 'SL', 19750],
+    ['Serravalle', 43.97, 12.48, 'SM', 9258],
+    ['Borgo Maggiore', 43.94, 12.45, 'SM', 6424],
+    ['San Marino', 43.94, 12.45, 'SM', 4500],
+    ['Domagnano', 43.95, 12.47, 'SM', 3161],
+    ['Fiorentino', 43.91, 12.46, 'SM', 2510],
+    ['Acquaviva', 43.95, 12.42, 'SM', 1530],
+    ['Faetano', 43.93, 12.5, 'SM', 1177],
+    ['Poggio di Chiesanuova', 43.9, 12.42, 'SM', 951],
+    ['Dakar', 14.69, -17.44, 'SN', 2476400],
+    ['Pikine', 14.76, -17.39, 'SN', 874062],
+    ['Touba', 14.85, -15.88, 'SN', 529176],
+    ['Thiès', 14.79, -16.93, 'SN', 320000],
+    ['Thiès Nones', 14.78, -16.97, 'SN', 252320],
+    ['Saint-Louis', 16.02, -16.49, 'SN', 176000],
+    ['Kaolack', 14.15, -16.07, 'SN', 172305],
+    ['Ziguinchor', 12.57, -16.27, 'SN', 159778],
+    ['Mogadishu', 2.04, 45.34, 'SO', 2587183],
+    ['Hargeysa', 9.56, 44.06, 'SO', 477876],
+    ['Berbera', 10.44, 45.01, 'SO', 242344],
+    ['Kismayo', -0.36, 42.55, 'SO', 234852],
+    ['Marka', 1.72, 44.77, 'SO', 230100],
+    ['Jamaame', 0.07, 42.74, 'SO', 185270],
+    ['Baidoa', 3.11, 43.65, 'SO', 129839],
+    ['Burao', 9.52, 45.53, 'SO', 99270],
+    ['Paramaribo', 5.87, -55.17, 'SR', 223757],
+    ['Lelydorp', 5.7, -55.23, 'SR', 18223],
+    ['Brokopondo', 5.06, -54.98, 'SR', 14662],
+    ['Nieuw Nickerie', 5.93, -56.97, 'SR', 13143],
+    ['Moengo', 5.61, -54.4, 'SR', 7074],
+    ['Nieuw Amsterdam', 5.89, -55.09, 'SR', 4935],
+    ['Mariënburg', 5.88, -55.04, 'SR', 4427],
+    ['Wageningen', 5.76, -56.67, 'SR', 4145],
+    ['Juba', 4.85, 31.58, 'SS', 450000],
+    ['Winejok', 9.01, 27.57, 'SS', 300000],
+    ['Malakal', 9.53, 31.66, 'SS', 160765],
+    ['Wau', 7.7, 27.99, 'SS', 127384],
+    ['Pajok', 3.87, 32.48, 'SS', 49000],
+    ['Yei', 4.09, 30.68, 'SS', 40382],
+    ['Yambio', 4.57, 28.39, 'SS', 40382],
+    ['Aweil', 8.76, 27.39, 'SS', 38745],
+    ['São Tomé', 0.34, 6.73, 'ST', 53300],
+    ['Santo António', 1.64, 7.42, 'ST', 1156],
+    ['Trindade', 0.3, 6.68, 'ST', 0],
+    ['São João dos Angolares', 0.13, 6.65, 'ST', 0],
+    ['Guadalupe', 0.38, 6.64, 'ST', 0],
+    ['San Salvador', 13.69, -89.19, 'SV', 525990],
+    ['Soyapango', 13.71, -89.14, 'SV', 329708],
+    ['Santa Ana', 13.99, -89.56, 'SV', 176661],
+    ['San Miguel', 13.48, -88.18, 'SV', 161880],
+    ['Mejicanos', 13.72, -89.19, 'SV', 160317],
+    ['Santa Tecla', 13.68, -89.28, 'SV', 124694],
+    ['Apopa', 13.81, -89.18, 'SV', 112158],
+    ['Delgado', 13.72, -89.17, 'SV', 71594],
+    ['Cul de Sac', 18.05, -63.07, 'SX', 8467],
+    ['Lower Prince’s Quarter', 18.05, -63.04, 'SX', 8000],
+    ['Koolbaai', 18.04, -63.08, 'SX', 6000],
+    ['Philipsburg', 18.03, -63.05, 'SX', 1400],
+    ['Aleppo', 36.2, 37.16, 'SY', 1602264],
+    ['Damascus', 33.51, 36.29, 'SY', 1569394],
+    ['Homs', 34.73, 36.72, 'SY', 775404],
+    ['Ḩamāh', 35.13, 36.76, 'SY', 460602],
+    ['Latakia', 35.53, 35.79, 'SY', 340181],
+    ['Deir ez-Zor', 35.34, 40.14, 'SY', 242565],
+    ['Ar Raqqah', 35.95, 39.01, 'SY', 177636],
+    ['Al Bāb', 36.37, 37.52, 'SY', 130745],
+    ['Manzini', -26.5, 31.38, 'SZ', 110537],
+    ['Mbabane', -26.32, 31.13, 'SZ', 76218],
+    ['Big Bend', -26.82, 31.93, 'SZ', 10342],
+    ['Malkerns', -26.57, 31.18, 'SZ', 9724],
+    ['Nhlangano', -27.11, 31.2, 'SZ', 9016],
+    ['Mhlume', -26.03, 31.85, 'SZ', 8652],
+    ['Hluti', -27.22, 31.62, 'SZ', 6763],
+    ['Siteki', -26.45, 31.95, 'SZ', 6152],
+    ['Cockburn Town', 21.46, -71.14, 'TC', 3720],
+    ['N\'Djamena', 12.11, 15.04, 'TD', 721081],
+    ['Moundou', 8.57, 16.08, 'TD', 135167],
+    ['Sarh', 9.14, 18.39, 'TD', 102528],
+    ['Abéché', 13.83, 20.83, 'TD', 74188],
+    ['Kelo', 9.31, 15.81, 'TD', 42533],
+    ['Koumra', 8.91, 17.55, 'TD', 36263],
+    ['Pala', 9.36, 14.9, 'TD', 35466],
+    ['Am Timan', 11.03, 20.28, 'TD', 28885],
+    ['Port-aux-Français', -49.35, 70.22, 'TF', 45],
+    ['Lomé', 6.13, 1.22, 'TG', 749700],
+    ['Sokodé', 8.98, 1.13, 'TG', 117811],
+    ['Kara', 9.55, 1.19, 'TG', 104207],
+    ['Atakpamé', 7.53, 1.13, 'TG', 80683],
+    ['Kpalimé', 6.9, 0.63, 'TG', 75084],
+    ['Bassar', 9.25, 0.78, 'TG', 61845],
+    ['Tsévié', 6.43, 1.21, 'TG', 55775],
+    ['Aného', 6.23, 1.59, 'TG', 47579],
+    ['Bangkok', 13.75, 100.5, 'TH', 5104476],
+    ['Samut Prakan', 13.6, 100.6, 'TH', 388920],
+    ['Mueang Nonthaburi', 13.86, 100.51, 'TH', 291555],
+    ['Udon Thani', 17.42, 102.79, 'TH', 247231],
+    ['Chon Buri', 13.36, 100.98, 'TH', 219164],
+    ['Nakhon Ratchasima', 14.97, 102.1, 'TH', 208781],
+    ['Chiang Mai', 18.79, 98.98, 'TH', 200952],
+    ['Hat Yai', 7.01, 100.48, 'TH', 191696],
+    ['Pak Kret', 13.91, 100.5, 'TH', 182926],
+    ['Si Racha', 13.17, 100.93, 'TH', 178916],
+    ['Phra Pradaeng', 13.66, 100.53, 'TH', 171333],
+    ['Lampang', 18.29, 99.49, 'TH', 156139],
+    ['Dushanbe', 38.54, 68.78, 'TJ', 679400],
+    ['Khujand', 40.28, 69.62, 'TJ', 144865],
+    ['Kŭlob', 37.91, 69.78, 'TJ', 78786],
+    ['Qŭrghonteppa', 37.83, 68.78, 'TJ', 65000],
+    ['Istaravshan', 39.91, 69, 'TJ', 52851],
+    ['Konibodom', 40.29, 70.43, 'TJ', 50359],
+    ['Vahdat', 38.56, 69.01, 'TJ', 45693],
+    ['Isfara', 40.13, 70.63, 'TJ', 37738],
+    ['Atafu Village', -8.54, -172.52, 'TK', 524],
+    ['Nukunonu', -9.2, -171.85, 'TK', 426],
+    ['Fale old settlement', -9.39, -171.25, 'TK', 120],
+    ['Dili', -8.56, 125.57, 'TL', 150000],
+    ['Maliana', -8.99, 125.22, 'TL', 22000],
+    ['Suai', -9.31, 125.26, 'TL', 21539],
+    ['Likisá', -8.59, 125.34, 'TL', 19000],
+    ['Aileu', -8.73, 125.57, 'TL', 17356],
+    ['Lospalos', -8.52, 127, 'TL', 17186],
+    ['Maubara', -8.61, 125.21, 'TL', 16300],
+    ['Baukau', -8.48, 126.46, 'TL', 16000],
+    ['Ashgabat', 37.95, 58.38, 'TM', 727700],
+    ['Türkmenabat', 39.07, 63.58, 'TM', 234817],
+    ['Daşoguz', 41.84, 59.97, 'TM', 166500],
+    ['Mary', 37.59, 61.83, 'TM', 114680],
+    ['Balkanabat', 39.51, 54.37, 'TM', 87822],
+    ['Bayramaly', 37.62, 62.17, 'TM', 75797],
+    ['Türkmenbaşy', 40.02, 52.96, 'TM', 68292],
+    ['Tejen', 37.38, 60.51, 'TM', 67294],
+    ['Tunis', 36.82, 10.17, 'TN', 693210],
+    ['Sfax', 34.74, 10.76, 'TN', 277278],
+    ['Sousse', 35.83, 10.64, 'TN', 164123],
+    ['Kairouan', 35.68, 10.1, 'TN', 119794],
+    ['Bizerte', 37.27, 9.87, 'TN', 115268],
+    ['Gabès', 33.88, 10.1, 'TN', 110075],
+    ['Ariana', 36.86, 10.19, 'TN', 97687],
+    ['Kasserine', 35.17, 8.84, 'TN', 81987],
+    ['Nuku‘alofa', -21.14, -175.2, 'TO', 22400],
+    ['Lapaha', -21.18, -175.12, 'TO', 8000],
+    ['Neiafu', -18.65, -173.98, 'TO', 4320],
+    ['Haveluloto', -21.15, -175.21, 'TO', 3417],
+    ['Tatakamotonga', -21.19, -175.12, 'TO', 3000],
+    ['Vaini', -21.19, -175.18, 'TO', 2976],
+    ['Pangai', -19.81, -174.35, 'TO', 1738],
+    ['‘Ohonua', -21.33, -174.95, 'TO', 1241],
+    ['Istanbul', 41.01, 28.95, 'TR', 14804116],
+    ['Ankara', 39.92, 32.85, 'TR', 3517182],
+    ['İzmir', 38.41, 27.14, 'TR', 2500603],
+    ['Bursa', 40.2, 29.06, 'TR', 1412701],
+    ['Adana', 36.99, 35.33, 'TR', 1248988],
+    ['Gaziantep', 37.06, 37.38, 'TR', 1065975],
+    ['Konya', 37.87, 32.48, 'TR', 875530],
+    ['Çankaya', 39.92, 32.86, 'TR', 792189],
+    ['Antalya', 36.91, 30.7, 'TR', 758188],
+    ['Bağcılar', 41.04, 28.86, 'TR', 724270],
+    ['Diyarbakır', 37.91, 40.22, 'TR', 644763],
+    ['Kayseri', 38.73, 35.49, 'TR', 592840],
+    ['Üsküdar', 41.02, 29.01, 'TR', 582666],
+    ['Bahçelievler', 41, 28.86, 'TR', 576799],
+    ['Umraniye', 41.02, 29.12, 'TR', 573265],
+    ['Mersin', 36.81, 34.64, 'TR', 537842],
+    ['Esenler', 41.04, 28.88, 'TR', 520235],
+    ['Eskişehir', 39.78, 30.52, 'TR', 514869],
+    ['Karabağlar', 38.37, 27.14, 'TR', 458000],
+    ['Muratpaşa', 36.89, 30.76, 'TR', 450000],
+    ['Şanlıurfa', 37.17, 38.79, 'TR', 449549],
+    ['Malatya', 38.35, 38.32, 'TR', 441805],
+    ['Sultangazi', 41.11, 28.87, 'TR', 436935],
+    ['Maltepe', 40.94, 29.16, 'TR', 427040],
+    ['Erzurum', 39.91, 41.28, 'TR', 420691],
+    ['Samsun', 41.28, 36.34, 'TR', 394050],
+    ['Batman', 37.89, 41.13, 'TR', 381990],
+    ['Kahramanmaraş', 37.58, 36.93, 'TR', 376045],
+    ['Van', 38.49, 43.38, 'TR', 371713],
+    ['Ataşehir', 40.98, 29.12, 'TR', 361615],
+    ['Şişli', 41.06, 28.99, 'TR', 314684],
+    ['Denizli', 37.77, 29.09, 'TR', 313238],
+    ['Elazığ', 38.67, 39.22, 'TR', 298004],
+    ['Zeytinburnu', 40.99, 28.9, 'TR', 288743],
+    ['Adapazarı', 40.78, 30.4, 'TR', 286787],
+    ['Sultanbeyli', 40.96, 29.27, 'TR', 286622],
+    ['Gebze', 40.8, 29.43, 'TR', 281436],
+    ['Merkezefendi', 37.81, 29.04, 'TR', 280341],
+    ['Sivas', 39.75, 37.02, 'TR', 264022],
+    ['Tarsus', 36.92, 34.89, 'TR', 256482],
+    ['Trabzon', 41.01, 39.73, 'TR', 244083],
+    ['Manisa', 38.61, 27.43, 'TR', 243971],
+    ['Sancaktepe', 41, 29.23, 'TR', 241000],
+    ['Balıkesir', 39.65, 27.89, 'TR', 238151],
+    ['Adıyaman', 37.76, 38.28, 'TR', 223744],
+    ['Esenyurt', 41.03, 28.68, 'TR', 211330],
+    ['Kırıkkale', 39.85, 33.51, 'TR', 211138],
+    ['Antakya', 36.21, 36.16, 'TR', 210000],
+    ['Osmaniye', 37.07, 36.25, 'TR', 202837],
+    ['Çorlu', 41.16, 27.8, 'TR', 202578],
+    ['Arnavutköy', 41.18, 28.74, 'TR', 198165],
+    ['İzmit', 40.76, 29.93, 'TR', 196571],
+    ['Başakşehir', 41.09, 28.8, 'TR', 193750],
+    ['Kütahya', 39.42, 29.98, 'TR', 185008],
+    ['Çorum', 40.55, 34.95, 'TR', 183418],
+    ['Siverek', 37.76, 39.32, 'TR', 175341],
+    ['Isparta', 37.76, 30.55, 'TR', 172334],
+    ['Büyükçekmece', 41.02, 28.59, 'TR', 163140],
+    ['Aydın', 37.85, 27.84, 'TR', 163022],
+    ['İskenderun', 36.59, 36.17, 'TR', 159965],
+    ['Viranşehir', 37.22, 39.76, 'TR', 154163],
+    ['Uşak', 38.67, 29.41, 'TR', 152862],
+    ['Aksaray', 38.37, 34.03, 'TR', 152201],
+    ['Kızıltepe', 37.19, 40.58, 'TR', 150174],
+    ['Chaguanas', 10.52, -61.42, 'TT', 67433],
+    ['Mon Repos', 10.28, -61.45, 'TT', 56380],
+    ['San Fernando', 10.28, -61.47, 'TT', 55419],
+    ['Port of Spain', 10.67, -61.52, 'TT', 49031],
+    ['Rio Claro', 10.31, -61.18, 'TT', 35650],
+    ['Arima', 10.64, -61.28, 'TT', 35000],
+    ['Marabella', 10.31, -61.45, 'TT', 26700],
+    ['Laventille', 10.65, -61.5, 'TT', 21000],
+    ['Funafuti', -8.52, 179.19, 'TV', 4492],
+    ['Savave Village', -8.03, 178.31, 'TV', 586],
+    ['Tanrake Village', -7.25, 177.15, 'TV', 408],
+    ['Toga Village', -6.29, 176.31, 'TV', 258],
+    ['Asau Village', -7.49, 178.68, 'TV', 250],
+    ['Kulia Village', -6.11, 177.33, 'TV', 224],
+    ['Taipei', 25.05, 121.53, 'TW', 7871900],
+    ['Kaohsiung', 22.62, 120.31, 'TW', 1519711],
+    ['Taichung', 24.15, 120.68, 'TW', 1040725],
+    ['Tainan', 22.99, 120.21, 'TW', 771235],
+    ['Banqiao', 25.01, 121.47, 'TW', 543342],
+    ['Hsinchu', 24.8, 120.97, 'TW', 404109],
+    ['Taoyuan City', 24.99, 121.3, 'TW', 402014],
+    ['Keelung', 25.13, 121.74, 'TW', 397515],
+    ['Hualien City', 23.98, 121.6, 'TW', 350468],
+    ['Dar es Salaam', -6.82, 39.27, 'TZ', 2698652],
+    ['Mwanza', -2.52, 32.9, 'TZ', 436801],
+    ['Zanzibar', -6.16, 39.2, 'TZ', 403658],
+    ['Arusha', -3.37, 36.68, 'TZ', 341136],
+    ['Mbeya', -8.9, 33.45, 'TZ', 291649],
+    ['Morogoro', -6.82, 37.66, 'TZ', 250902],
+    ['Tanga', -5.07, 39.1, 'TZ', 224876],
+    ['Dodoma', -6.17, 35.74, 'TZ', 180541],
+    ['Kigoma', -4.88, 29.63, 'TZ', 164268],
+    ['Moshi', -3.35, 37.33, 'TZ', 156959],
+    ['Kyiv', 50.45, 30.52, 'UA', 2797553],
+    ['Kharkiv', 49.98, 36.25, 'UA', 1430885],
+    ['Dnipro', 48.46, 35.04, 'UA', 1032822],
+    ['Donetsk', 48.02, 37.8, 'UA', 1024700],
+    ['Odessa', 46.48, 30.73, 'UA', 1001558],
+    ['Zaporizhia', 47.82, 35.19, 'UA', 796217],
+    ['Lviv', 49.84, 24.02, 'UA', 717803],
+    ['Kryvyi Rih', 47.91, 33.38, 'UA', 652380],
+    ['Mykolayiv', 46.97, 32, 'UA', 510840],
+    ['Mariupol', 47.1, 37.54, 'UA', 481626],
+    ['Luhansk', 48.57, 39.32, 'UA', 452000],
+    ['Sevastopol', 44.61, 33.52, 'UA', 416263],
+    ['Khmelnytskyi', 49.42, 27, 'UA', 398346],
+    ['Makiyivka', 48.05, 37.93, 'UA', 376610],
+    ['Vinnytsia', 49.23, 28.48, 'UA', 352115],
+    ['Simferopol', 44.96, 34.11, 'UA', 336460],
+    ['Kherson', 46.66, 32.62, 'UA', 320477],
+    ['Poltava', 49.59, 34.54, 'UA', 317847],
+    ['Chernihiv', 51.51, 31.28, 'UA', 307684],
+    ['Cherkasy', 49.43, 32.06, 'UA', 297568],
+    ['Sumy', 50.92, 34.8, 'UA', 294456],
+    ['Zhytomyr', 50.26, 28.68, 'UA', 282192],
+    ['Horlivka', 48.34, 38.05, 'UA', 278550],
+    ['Rivne', 50.62, 26.23, 'UA', 255106],
+    ['Kropyvnytskyi', 48.51, 32.26, 'UA', 249454],
+    ['Kamianske', 48.51, 34.6, 'UA', 248575],
+    ['Chernivtsi', 48.29, 25.94, 'UA', 236250],
+    ['Ternopil', 49.55, 25.59, 'UA', 235676],
+    ['Kremenchuk', 49.07, 33.42, 'UA', 227494],
+    ['Lutsk', 50.76, 25.34, 'UA', 213661],
+    ['Ivano-Frankivsk', 48.92, 24.71, 'UA', 204200],
+    ['Bila Tserkva', 49.81, 30.11, 'UA', 199163],
+    ['Kramators’k', 48.72, 37.56, 'UA', 173700],
+    ['Melitopol', 46.85, 35.37, 'UA', 158000],
+    ['Kampala', 0.32, 32.58, 'UG', 1353189],
+    ['Gulu', 2.77, 32.3, 'UG', 146858],
+    ['Lira', 2.25, 32.9, 'UG', 119323],
+    ['Mbarara', -0.6, 30.65, 'UG', 97500],
+    ['Jinja', 0.44, 33.2, 'UG', 93061],
+    ['Bwizibwera', -0.59, 30.63, 'UG', 79157],
+    ['Mbale', 1.08, 34.18, 'UG', 76493],
+    ['Mukono', 0.35, 32.76, 'UG', 67290],
+    ['New York City', 40.71, -74.01, 'US', 8175133],
+    ['Los Angeles', 34.05, -118.24, 'US', 3971883],
+    ['Chicago', 41.85, -87.65, 'US', 2720546],
+    ['Brooklyn', 40.65, -73.95, 'US', 2300664],
+    ['Houston', 29.76, -95.36, 'US', 2296224],
+    ['Queens', 40.68, -73.84, 'US', 2272771],
+    ['Philadelphia', 39.95, -75.16, 'US', 1567442],
+    ['Phoenix', 33.45, -112.07, 'US', 1563025],
+    ['Manhattan', 40.78, -73.97, 'US', 1487536],
+    ['San Antonio', 29.42, -98.49, 'US', 1469845],
+    ['San Diego', 32.72, -117.16, 'US', 1394928],
+    ['The Bronx', 40.85, -73.87, 'US', 1385108],
+    ['Dallas', 32.78, -96.81, 'US', 1300092],
+    ['San Jose', 37.34, -121.89, 'US', 1026908],
+    ['Austin', 30.27, -97.74, 'US', 931830],
+    ['Jacksonville', 30.33, -81.66, 'US', 868031],
+    ['San Francisco', 37.77, -122.42, 'US', 864816],
+    ['Columbus', 39.96, -83, 'US', 850106],
+    ['Fort Worth', 32.73, -97.32, 'US', 833319],
+    ['Indianapolis', 39.77, -86.16, 'US', 829718],
+    ['Charlotte', 35.23, -80.84, 'US', 827097],
+    ['Seattle', 47.61, -122.33, 'US', 684451],
+    ['Denver', 39.74, -104.98, 'US', 682545],
+    ['El Paso', 31.76, -106.49, 'US', 681124],
+    ['Detroit', 42.33, -83.05, 'US', 677116],
+    ['Boston', 42.36, -71.06, 'US', 667137],
+    ['Memphis', 35.15, -90.05, 'US', 655770],
+    ['Portland', 45.52, -122.68, 'US', 632309],
+    ['Oklahoma City', 35.47, -97.52, 'US', 631346],
+    ['Las Vegas', 36.17, -115.14, 'US', 623747],
+    ['Baltimore', 39.29, -76.61, 'US', 621849],
+    ['Washington, D.C.', 38.9, -77.04, 'US', 601723],
+    ['Milwaukee', 43.04, -87.91, 'US', 600155],
+    ['Albuquerque', 35.08, -106.65, 'US', 559121],
+    ['Tucson', 32.22, -110.93, 'US', 531641],
+    ['Nashville', 36.17, -86.78, 'US', 530852],
+    ['Fresno', 36.75, -119.77, 'US', 520052],
+    ['Sacramento', 38.58, -121.49, 'US', 490712],
+    ['Kansas City', 39.1, -94.58, 'US', 475378],
+    ['Long Beach', 33.77, -118.19, 'US', 474140],
+    ['Mesa', 33.42, -111.82, 'US', 471825],
+    ['Staten Island', 40.56, -74.14, 'US', 468730],
+    ['Atlanta', 33.75, -84.39, 'US', 463878],
+    ['Colorado Springs', 38.83, -104.82, 'US', 456568],
+    ['Virginia Beach', 36.85, -75.98, 'US', 452745],
+    ['Raleigh', 35.77, -78.64, 'US', 451066],
+    ['Omaha', 41.26, -95.94, 'US', 443885],
+    ['Miami', 25.77, -80.19, 'US', 441003],
+    ['Oakland', 37.8, -122.27, 'US', 419267],
+    ['Minneapolis', 44.98, -93.26, 'US', 410939],
+    ['Tulsa', 36.15, -95.99, 'US', 403505],
+    ['Wichita', 37.69, -97.34, 'US', 389965],
+    ['New Orleans', 29.95, -90.08, 'US', 389617],
+    ['Arlington', 32.74, -97.11, 'US', 388125],
+    ['Cleveland', 41.5, -81.7, 'US', 388072],
+    ['Bakersfield', 35.37, -119.02, 'US', 373640],
+    ['Honolulu', 21.31, -157.86, 'US', 371657],
+    ['Tampa', 27.95, -82.46, 'US', 369075],
+    ['Aurora', 39.73, -104.83, 'US', 359407],
+    ['Anaheim', 33.84, -117.91, 'US', 350742],
+    ['Santa Ana', 33.75, -117.87, 'US', 335400],
+    ['Corpus Christi', 27.8, -97.4, 'US', 324074],
+    ['Riverside', 33.95, -117.4, 'US', 322424],
+    ['St. Louis', 38.63, -90.2, 'US', 315685],
+    ['Lexington-Fayette', 38.05, -84.46, 'US', 314488],
+    ['Stockton', 37.96, -121.29, 'US', 305658],
+    ['Pittsburgh', 40.44, -80, 'US', 304391],
+    ['Anchorage', 61.22, -149.9, 'US', 298695],
+    ['Cincinnati', 39.13, -84.51, 'US', 296943],
+    ['Ironville', 38.46, -82.69, 'US', 288649],
+    ['Meads', 38.41, -82.71, 'US', 288649],
+    ['Henderson', 36.04, -114.98, 'US', 285667],
+    ['Greensboro', 36.07, -79.79, 'US', 285342],
+    ['Saint Paul', 44.94, -93.09, 'US', 285068],
+    ['Plano', 33.02, -96.7, 'US', 283558],
+    ['Newark', 40.74, -74.17, 'US', 281944],
+    ['Toledo', 41.66, -83.56, 'US', 279789],
+    ['Lincoln', 40.8, -96.67, 'US', 277348],
+    ['Orlando', 28.54, -81.38, 'US', 270934],
+    ['Chula Vista', 32.64, -117.08, 'US', 265757],
+    ['Jersey City', 40.73, -74.08, 'US', 264290],
+    ['Chandler', 33.31, -111.84, 'US', 260828],
+    ['Fort Wayne', 41.13, -85.13, 'US', 260326],
+    ['Buffalo', 42.89, -78.88, 'US', 258071],
+    ['Durham', 35.99, -78.9, 'US', 257636],
+    ['St. Petersburg', 27.77, -82.68, 'US', 257083],
+    ['Irvine', 33.67, -117.82, 'US', 256927],
+    ['Laredo', 27.51, -99.51, 'US', 255473],
+    ['Lubbock', 33.58, -101.86, 'US', 249042],
+    ['Madison', 43.07, -89.4, 'US', 248951],
+    ['Gilbert', 33.35, -111.79, 'US', 247542],
+    ['Norfolk', 36.85, -76.29, 'US', 246393],
+    ['Louisville', 38.25, -85.76, 'US', 243639],
+    ['Reno', 39.53, -119.81, 'US', 241445],
+    ['Winston-Salem', 36.1, -80.24, 'US', 241218],
+    ['Glendale', 33.54, -112.19, 'US', 240126],
+    ['Hialeah', 25.86, -80.28, 'US', 237069],
+    ['Garland', 32.91, -96.64, 'US', 236897],
+    ['Scottsdale', 33.51, -111.9, 'US', 236839],
+    ['Irving', 32.81, -96.95, 'US', 236607],
+    ['Chesapeake', 36.82, -76.27, 'US', 235429],
+    ['North Las Vegas', 36.2, -115.12, 'US', 234807],
+    ['Fremont', 37.55, -121.99, 'US', 232206],
+    ['Baton Rouge', 30.44, -91.19, 'US', 228590],
+    ['Lexington', 37.99, -84.48, 'US', 225366],
+    ['Paradise', 36.1, -115.15, 'US', 223167],
+    ['Richmond', 37.55, -77.46, 'US', 220289],
+    ['Jamaica', 40.69, -73.81, 'US', 216866],
+    ['San Bernardino', 34.11, -117.29, 'US', 216108],
+    ['Spokane', 47.66, -117.43, 'US', 213272],
+    ['Birmingham', 33.52, -86.8, 'US', 212461],
+    ['Modesto', 37.64, -121, 'US', 211266],
+    ['Des Moines', 41.6, -93.61, 'US', 210330],
+    ['Rochester', 43.15, -77.62, 'US', 209802],
+    ['Maryvale', 33.5, -112.18, 'US', 208189],
+    ['Tacoma', 47.25, -122.44, 'US', 207948],
+    ['Arlington', 38.88, -77.1, 'US', 207627],
+    ['Fontana', 34.09, -117.44, 'US', 207460],
+    ['Oxnard', 34.2, -119.18, 'US', 207254],
+    ['Moreno Valley', 33.94, -117.23, 'US', 204198],
+    ['Fayetteville', 35.05, -78.88, 'US', 201963],
+    ['Huntington Beach', 33.66, -118, 'US', 201899],
+    ['Yonkers', 40.93, -73.9, 'US', 201116],
+    ['Glendale', 34.14, -118.26, 'US', 201020],
+    ['Aurora', 41.76, -88.32, 'US', 200661],
+    ['Montgomery', 32.37, -86.3, 'US', 200602],
+    ['Columbus', 32.46, -84.99, 'US', 200579],
+    ['Amarillo', 35.22, -101.83, 'US', 198645],
+    ['Little Rock', 34.75, -92.29, 'US', 197992],
+    ['Akron', 41.08, -81.52, 'US', 197542],
+    ['Shreveport', 32.53, -93.75, 'US', 197204],
+    ['Grand Rapids', 42.96, -85.67, 'US', 195097],
+    ['Mobile', 30.69, -88.04, 'US', 194288],
+    ['Salt Lake City', 40.76, -111.89, 'US', 192672],
+    ['Huntsville', 34.73, -86.59, 'US', 190582],
+    ['Tallahassee', 30.44, -84.28, 'US', 189907],
+    ['Sunrise Manor', 36.21, -115.07, 'US', 189372],
+    ['Grand Prairie', 32.75, -97, 'US', 187809],
+    ['Overland Park', 38.98, -94.67, 'US', 186515],
+    ['Knoxville', 35.96, -83.92, 'US', 185291],
+    ['Worcester', 42.26, -71.8, 'US', 184815],
+    ['Brownsville', 25.9, -97.5, 'US', 183887],
+    ['Newport News', 37.08, -76.47, 'US', 182385],
+    ['Santa Clarita', 34.39, -118.54, 'US', 182371],
+    ['Providence', 41.82, -71.41, 'US', 179207],
+    ['Fort Lauderdale', 26.12, -80.14, 'US', 178590],
+    ['East Flatbush', 40.65, -73.93, 'US', 178464],
+    ['Spring Valley', 36.11, -115.25, 'US', 178395],
+    ['Chattanooga', 35.05, -85.31, 'US', 176588],
+    ['Tempe', 33.41, -111.91, 'US', 175826],
+    ['Oceanside', 33.2, -117.38, 'US', 175691],
+    ['Garden Grove', 33.77, -117.94, 'US', 175393],
+    ['Rancho Cucamonga', 34.11, -117.59, 'US', 175236],
+    ['Cape Coral', 26.56, -81.95, 'US', 175229],
+    ['Santa Rosa', 38.44, -122.71, 'US', 174972],
+    ['Vancouver', 45.64, -122.66, 'US', 172860],
+    ['Sioux Falls', 43.55, -96.7, 'US', 171544],
+    ['Peoria', 33.58, -112.24, 'US', 171237],
+    ['Ontario', 34.06, -117.65, 'US', 171214],
+    ['Jackson', 32.3, -90.18, 'US', 170674],
+    ['Elk Grove', 38.41, -121.37, 'US', 166913],
+    ['Springfield', 37.22, -93.3, 'US', 166810],
+    ['Pembroke Pines', 26, -80.22, 'US', 166611],
+    ['Deer Valley', 33.68, -112.13, 'US', 165656],
+    ['Port Saint Lucie', 27.29, -80.35, 'US', 164603],
+    ['Salem', 44.94, -123.04, 'US', 164549],
+    ['Corona', 33.88, -117.57, 'US', 164226],
+    ['Eugene', 44.05, -123.09, 'US', 163460],
+    ['McKinney', 33.2, -96.62, 'US', 162898],
+    ['Fort Collins', 40.59, -105.08, 'US', 161175],
+    ['Lancaster', 34.7, -118.14, 'US', 161103],
+    ['Cary', 35.79, -78.78, 'US', 159769],
+    ['Tempe Junction', 33.41, -111.94, 'US', 158368],
+    ['Palmdale', 34.58, -118.12, 'US', 158351],
+    ['Hayward', 37.67, -122.08, 'US', 158289],
+    ['Salinas', 36.68, -121.66, 'US', 157380],
+    ['Frisco', 33.15, -96.82, 'US', 154407],
+    ['Springfield', 42.1, -72.59, 'US', 154341],
+    ['East Chattanooga', 35.07, -85.25, 'US', 154024],
+    ['Pasadena', 29.69, -95.21, 'US', 153784],
+    ['Alexandria', 38.8, -77.05, 'US', 153511],
+    ['Pomona', 34.06, -117.75, 'US', 153266],
+    ['Washington Heights', 40.85, -73.94, 'US', 152613],
+    ['Lakewood', 39.7, -105.08, 'US', 152597],
+    ['Sunnyvale', 37.37, -122.04, 'US', 151754],
+    ['Escondido', 33.12, -117.09, 'US', 151451],
+    ['Astoria', 40.77, -73.93, 'US', 150165],
+    ['Montevideo', -34.9, -56.19, 'UY', 1270737],
+    ['Salto', -31.38, -57.97, 'UY', 99823],
+    ['Paysandú', -32.32, -58.08, 'UY', 73249],
+    ['Las Piedras', -34.73, -56.22, 'UY', 69682],
+    ['Rivera', -30.91, -55.55, 'UY', 64631],
+    ['Maldonado', -34.9, -54.95, 'UY', 55478],
+    ['Tacuarembó', -31.72, -55.98, 'UY', 51854],
+    ['Melo', -32.37, -54.17, 'UY', 51023],
+    ['Tashkent', 41.26, 69.22, 'UZ', 1978028],
+    ['Namangan', 41, 71.67, 'UZ', 432456],
+    ['Samarkand', 39.65, 66.96, 'UZ', 319366],
+    ['Andijon', 40.78, 72.34, 'UZ', 318419],
+    ['Bukhara', 39.77, 64.43, 'UZ', 247644],
+    ['Nukus', 42.45, 59.61, 'UZ', 230006],
+    ['Qarshi', 38.86, 65.79, 'UZ', 222898],
+    ['Qo‘qon', 40.53, 70.94, 'UZ', 187477],
+    ['Chirchiq', 41.47, 69.58, 'UZ', 167842],
+    ['Fergana', 40.38, 71.78, 'UZ', 164322],
+    ['Jizzax', 40.12, 67.83, 'UZ', 152642],
+    ['Urganch', 41.55, 60.63, 'UZ', 150110],
+    ['Vatican City', 41.9, 12.45, 'VA', 829],
+    ['Kingstown', 13.16, -61.23, 'VC', 24518],
+    ['Georgetown', 13.28, -61.12, 'VC', 1680],
+    ['Byera Village', 13.26, -61.12, 'VC', 1365],
+    ['Biabou', 13.19, -61.14, 'VC', 1050],
+    ['Barrouallie', 13.24, -61.27, 'VC', 1000],
+    ['Port Elizabeth', 13.01, -61.24, 'VC', 839],
+    ['Chateaubelair', 13.29, -61.24, 'VC', 735],
+    ['Layou', 13.2, -61.27, 'VC', 140],
+    ['Caracas', 10.49, -66.88, 'VE', 3000000],
+    ['Maracaibo', 10.67, -71.61, 'VE', 2225000],
+    ['Maracay', 10.24, -67.59, 'VE', 1754256],
+    ['Valencia', 10.16, -68.01, 'VE', 1385083],
+    ['Barquisimeto', 10.06, -69.36, 'VE', 809490],
+    ['Ciudad Guayana', 8.35, -62.64, 'VE', 746535],
+    ['Barcelona', 10.14, -64.69, 'VE', 424795],
+    ['Maturín', 9.75, -63.18, 'VE', 410972],
+    ['Puerto La Cruz', 10.21, -64.63, 'VE', 370000],
+    ['Petare', 10.48, -66.81, 'VE', 364684],
+    ['Barinas', 8.62, -70.21, 'VE', 353442],
+    ['Turmero', 10.23, -67.47, 'VE', 344700],
+    ['Ciudad Bolívar', 8.13, -63.54, 'VE', 338000],
+    ['Mérida', 8.59, -71.16, 'VE', 300000],
+    ['Alto Barinas', 8.59, -70.23, 'VE', 284289],
+    ['Santa Teresa del Tuy', 10.23, -66.66, 'VE', 278890],
+    ['Cumaná', 10.45, -64.18, 'VE', 257783],
+    ['San Cristóbal', 7.77, -72.22, 'VE', 246583],
+    ['Baruta', 10.43, -66.88, 'VE', 244216],
+    ['Mucumpiz', 8.42, -71.13, 'VE', 215259],
+    ['Cabimas', 10.4, -71.45, 'VE', 200818],
+    ['Coro', 11.4, -69.67, 'VE', 195227],
+    ['Guatire', 10.47, -66.54, 'VE', 191903],
+    ['Cúa', 10.16, -66.88, 'VE', 182558],
+    ['Guarenas', 10.47, -66.62, 'VE', 181612],
+    ['Puerto Cabello', 10.47, -68.01, 'VE', 174000],
+    ['Ocumare del Tuy', 10.12, -66.78, 'VE', 166072],
+    ['Guacara', 10.23, -67.88, 'VE', 151752],
+    ['El Tigre', 8.89, -64.25, 'VE', 150999],
+    ['Road Town', 18.43, -64.62, 'VG', 8449],
+    ['Saint Croix', 17.73, -64.75, 'VI', 50601],
+    ['Charlotte Amalie', 18.34, -64.93, 'VI', 20000],
+    ['Cruz Bay', 18.33, -64.79, 'VI', 2743],
+    ['Ho Chi Minh City', 10.82, 106.63, 'VN', 3467331],
+    ['Hanoi', 21.02, 105.84, 'VN', 1431270],
+    ['Da Nang', 16.07, 108.22, 'VN', 752493],
+    ['Haiphong', 20.86, 106.68, 'VN', 602695],
+    ['Biên Hòa', 10.94, 106.82, 'VN', 407208],
+    ['Huế', 16.46, 107.6, 'VN', 287217],
+    ['Nha Trang', 12.25, 109.19, 'VN', 283441],
+    ['Cần Thơ', 10.04, 105.79, 'VN', 259598],
+    ['Rạch Giá', 10.01, 105.08, 'VN', 228356],
+    ['Qui Nhon', 13.78, 109.22, 'VN', 210338],
+    ['Vũng Tàu', 10.35, 107.08, 'VN', 209683],
+    ['Sa Dec', 10.29, 105.76, 'VN', 203588],
+    ['Ðà Lạt', 11.95, 108.44, 'VN', 197000],
+    ['Nam Định', 20.43, 106.18, 'VN', 193499],
+    ['Vinh', 18.67, 105.69, 'VN', 163759],
+    ['Đưc Trọng', 11.74, 108.37, 'VN', 161232],
+    ['Phan Thiết', 10.93, 108.1, 'VN', 160652],
+    ['La Gi', 10.66, 107.77, 'VN', 160652],
+    ['Long Xuyên', 10.39, 105.44, 'VN', 158153],
+    ['Cần Giuộc', 10.61, 106.67, 'VN', 152200],
+    ['Bảo Lộc', 11.55, 107.81, 'VN', 151915],
+    ['Port-Vila', -17.74, 168.31, 'VU', 35901],
+    ['Luganville', -15.52, 167.16, 'VU', 13397],
+    ['Norsup', -16.07, 167.4, 'VU', 2998],
+    ['Port-Olry', -15.04, 167.07, 'VU', 1951],
+    ['Isangel', -19.54, 169.28, 'VU', 1437],
+    ['Sola', -13.88, 167.55, 'VU', 1171],
+    ['Lakatoro', -16.1, 167.42, 'VU', 705],
+    ['Saratamata', -15.29, 167.97, 'VU', 0],
+    ['Mata-Utu', -13.28, -176.17, 'WF', 1200],
+    ['Leava', -14.29, -178.16, 'WF', 480],
+    ['Alo', -14.31, -178.11, 'WF', 239],
+    ['Apia', -13.83, -171.77, 'WS', 40407],
+    ['Asau', -13.52, -172.64, 'WS', 6643],
+    ['Mulifanua', -13.83, -172.04, 'WS', 4508],
+    ['Faleula', -13.79, -171.83, 'WS', 2592],
+    ['Siusega', -13.84, -171.81, 'WS', 2226],
+    ['Malie', -13.8, -171.85, 'WS', 2189],
+    ['Fasito‘outa', -13.81, -171.94, 'WS', 2098],
+    ['Vaiusu', -13.83, -171.79, 'WS', 2043],
+    ['Pristina', 42.67, 21.17, 'XK', 550000],
+    ['Prizren', 42.21, 20.74, 'XK', 171464],
+    ['Mitrovicë', 42.88, 20.87, 'XK', 107045],
+    ['Gjakovë', 42.38, 20.43, 'XK', 94158],
+    ['Suva Reka', 42.36, 20.82, 'XK', 72229],
+    ['Ferizaj', 42.37, 21.16, 'XK', 59504],
+    ['Glogovac', 42.63, 20.89, 'XK', 58579],
+    ['Gjilan', 42.46, 21.47, 'XK', 51912],
+    ['Sanaa', 15.35, 44.21, 'YE', 1937451],
+    ['Al Ḩudaydah', 14.8, 42.95, 'YE', 617871],
+    ['Ta‘izz', 13.58, 44.02, 'YE', 615222],
+    ['Aden', 12.78, 45.04, 'YE', 550602],
+    ['Mukalla', 14.54, 49.12, 'YE', 258132],
+    ['Ibb', 13.97, 44.18, 'YE', 234837],
+    ['Dhamār', 14.54, 44.41, 'YE', 160114],
+    ['‘Amrān', 15.66, 43.94, 'YE', 90792],
+    ['Mamoudzou', -12.78, 45.23, 'YT', 54831],
+    ['Koungou', -12.73, 45.2, 'YT', 18118],
+    ['Dzaoudzi', -12.78, 45.26, 'YT', 15339],
+    ['Dembeni', -12.84, 45.18, 'YT', 10141],
+    ['Sada', -12.85, 45.1, 'YT', 9832],
+    ['Pamandzi', -12.8, 45.28, 'YT', 9077],
+    ['Bandraboua', -12.7, 45.12, 'YT', 7880],
+    ['Mtsamboro', -12.7, 45.07, 'YT', 7724],
+    ['Cape Town', -33.93, 18.42, 'ZA', 3433441],
+    ['Durban', -29.86, 31.03, 'ZA', 3120282],
+    ['Johannesburg', -26.2, 28.04, 'ZA', 2026469],
+    ['Soweto', -26.27, 27.86, 'ZA', 1695047],
+    ['Pretoria', -25.74, 28.19, 'ZA', 1619438],
+    ['Port Elizabeth', -33.96, 25.61, 'ZA', 967677],
+    ['Pietermaritzburg', -29.62, 30.39, 'ZA', 750845],
+    ['Benoni', -26.19, 28.32, 'ZA', 605344],
+    ['Tembisa', -26, 28.23, 'ZA', 511655],
+    ['East London', -33.02, 27.91, 'ZA', 478676],
+    ['Vereeniging', -26.67, 27.93, 'ZA', 474681],
+    ['Bloemfontein', -29.12, 26.21, 'ZA', 463064],
+    ['Boksburg', -26.21, 28.26, 'ZA', 445168],
+    ['Welkom', -27.98, 26.74, 'ZA', 431944],
+    ['Newcastle', -27.76, 29.93, 'ZA', 404838],
+    ['Krugersdorp', -26.09, 27.78, 'ZA', 378821],
+    ['Randburg', -26.09, 28, 'ZA', 337053],
+    ['Botshabelo', -29.27, 26.73, 'ZA', 309714],
+    ['Brakpan', -26.24, 28.37, 'ZA', 305692],
+    ['Witbank', -25.87, 29.23, 'ZA', 262491],
+    ['Richards Bay', -28.78, 32.04, 'ZA', 252968],
+    ['Vanderbijlpark', -26.71, 27.84, 'ZA', 246754],
+    ['Centurion', -25.86, 28.19, 'ZA', 233386],
+    ['Uitenhage', -33.76, 25.4, 'ZA', 228912],
+    ['Roodepoort', -26.16, 27.87, 'ZA', 225000],
+    ['Paarl', -33.73, 18.98, 'ZA', 190000],
+    ['Carletonville', -26.36, 27.4, 'ZA', 182304],
+    ['Klerksdorp', -26.85, 26.67, 'ZA', 178921],
+    ['Midrand', -25.99, 28.13, 'ZA', 173009],
+    ['Westonaria', -26.32, 27.65, 'ZA', 156831],
+    ['Middelburg', -25.78, 29.46, 'ZA', 154706],
+    ['Vryheid', -27.77, 30.79, 'ZA', 150012],
+    ['Lusaka', -15.41, 28.29, 'ZM', 1267440],
+    ['Kitwe', -12.8, 28.21, 'ZM', 400914],
+    ['Ndola', -12.96, 28.64, 'ZM', 394518],
+    ['Kabwe', -14.45, 28.45, 'ZM', 188979],
+    ['Chingola', -12.53, 27.88, 'ZM', 148564],
+    ['Mufulira', -12.55, 28.24, 'ZM', 120500],
+    ['Luanshya', -13.14, 28.42, 'ZM', 113365],
+    ['Livingstone', -17.84, 25.85, 'ZM', 109203],
+    ['Harare', -17.83, 31.05, 'ZW', 1542813],
+    ['Bulawayo', -20.15, 28.58, 'ZW', 699385],
+    ['Chitungwiza', -18.01, 31.08, 'ZW', 340360],
+    ['Mutare', -18.97, 32.67, 'ZW', 184205],
+    ['Gweru', -19.45, 29.82, 'ZW', 146073],
+    ['Kwekwe', -18.93, 29.81, 'ZW', 99149],
+    ['Kadoma', -18.33, 29.92, 'ZW', 79174],
+    ['Masvingo', -20.06, 30.83, 'ZW', 76290]
+];
@@ -0,0 +1,245 @@
+// Bundled country boundaries used for offline country detection
+// Source: Natural Earth 1:50m Admin 0 countries (public domain), via the world-atlas package;
+// regions from the world-countries package (ODbL)
+// Simplified (Douglas-Peucker, 0.05° tolerance) and rounded to 0.01°, so borders are accurate to a few km
+// Each entry: [ISO 3166-1 alpha-2 code, region, [minLon, minLat, maxLon, maxLat], polygons]
+// where polygons is a list of polygons, each a list of rings (outer first, then holes)
+// and each ring a flat [lon, lat, lon, lat, ...] list
+const COUNTRY_BOUNDARIES = [
+    ['AD', 'Europe', [1.43, 42.44, 1.71, 42.6], [[[1.7,42.5,1.45,42.44,1.43,42.6,1.71,42.6,1.7,42.5]]]],
+    ['AE', 'Asia', [51.57, 22.62, 56.39, 26.06], [[[56.3,25.65,56.36,25.57,56.39,24.98,56.07,24.74,55.97,24.86,56,24.95,55.8,24.87,55.76,24.24,55.93,24.21,55.99,24.06,55.47,23.94,55.53,23.82,55.2,23.03,55.19,22.7,55.12,22.62,52.56,22.93,51.57,24.13,51.6,24.34,51.77,24.25,51.79,24.08,51.91,23.99,52.25,24,52.65,24.16,53.89,24.08,54.4,24.28,54.66,24.72,55.94,25.79,56.08,26.06,56.17,26.05,56.14,25.69,56.3,25.65],[56.28,25.24,56.23,25.3,56.21,25.21,56.28,25.24]],[[53.33,24.26,53.19,24.29,53.41,24.41,53.33,24.26]],[[52.58,24.28,52.66,24.28,52.66,24.38,52.58,24.38,52.58,24.28]],[[53.93,24.18,53.64,24.17,53.83,24.26,53.93,24.18]],[[54.33,24.42,54.47,24.42,54.47,24.51,54.33,24.51,54.33,24.42]]]],
+    ['AF', 'Asia', [60.49, 29.39, 74.89, 38.46], [[[66.52,37.35,67.07,37.34,67.32,37.21,67.7,37.23,68.07,36.95,68.91,37.33,69.3,37.12,69.41,37.21,69.4,37.4,69.49,37.55,70.19,37.58,70.25,37.66,70.21,37.92,70.62,38.34,70.88,38.46,71.26,38.31,71.33,38.17,71.28,37.92,71.58,37.91,71.43,37.13,71.66,36.7,71.8,36.69,72.36,36.98,72.66,37.03,72.9,37.27,73.38,37.46,73.72,37.42,73.65,37.24,74.35,37.42,74.66,37.39,74.89,37.23,74.73,37.29,74.37,37.16,74.54,37.02,74.04,36.83,73.77,36.89,73.12,36.87,72.25,36.73,71.77,36.43,71.62,36.44,71.23,36.12,71.19,36.04,71.4,35.88,71.57,35.55,71.55,35.29,71.62,35.18,70.97,34.53,71.1,34.37,71.05,34.05,70.65,33.95,69.99,34.05,69.89,34.01,69.87,33.9,70.29,33.37,70.26,33.29,69.92,33.11,69.5,33.02,69.41,32.68,69.24,32.43,69.28,31.94,68.87,31.63,68.6,31.8,68.16,31.8,67.58,31.51,67.74,31.34,67.45,31.23,66.83,31.26,66.35,30.8,66.24,30.11,66.31,29.97,66.18,29.84,65.09,29.56,64.39,29.54,64.1,29.39,63.57,29.5,62.48,29.41,60.84,29.86,61.81,30.91,61.76,31.29,61.66,31.38,60.82,31.5,60.83,32.25,60.56,33.06,60.92,33.51,60.51,33.64,60.49,34.09,60.64,34.31,60.89,34.32,60.73,34.52,60.95,34.65,61.08,34.86,61.15,35.09,61.1,35.27,61.19,35.31,61.26,35.62,61.62,35.43,61.98,35.44,62.31,35.17,62.69,35.26,63.06,35.45,63.17,35.68,63.13,35.85,64.01,36.01,64.51,36.34,64.82,37.13,65.09,37.24,65.55,37.25,65.76,37.57,66.11,37.41,66.52,37.35]]]],
+    ['AG', 'Americas', [-61.89, 17.01, -61.68, 17.71], [[[-61.72,17.04,-61.86,17.01,-61.89,17.1,-61.82,17.17,-61.68,17.1,-61.72,17.04]],[[-61.75,17.57,-61.84,17.6,-61.85,17.71,-61.75,17.66,-61.75,17.57]]]],
+    ['AI', 'Americas', [-63.16, 18.17, -63, 18.27], [[[-63,18.22,-63.16,18.17,-63.03,18.27,-63,18.22]]]],
+    ['AL', 'Europe', [19.28, 39.65, 21.03, 42.65], [[[19.34,41.87,19.36,42.07,19.28,42.17,19.7,42.65,19.79,42.48,20.06,42.55,20.52,42.17,20.58,41.92,20.45,41.52,20.49,41.27,20.71,40.93,20.93,40.9,21.03,40.62,20.95,40.49,20.81,40.45,20.66,40.12,20.31,39.98,20.38,39.8,20.21,39.65,20,39.71,19.85,40.04,19.49,40.21,19.32,40.41,19.46,40.41,19.34,40.66,19.46,40.93,19.44,41.43,19.58,41.79,19.34,41.87]]]],
+    ['AM', 'Asia', [43.44, 38.88, 46.59, 41.29], [[[44.77,39.7,44.29,40.04,43.94,40.02,43.67,40.13,43.71,40.17,43.57,40.48,43.72,40.72,43.44,41.11,44.84,41.21,44.81,41.26,45,41.29,45.19,41.15,45.07,41.08,45.42,40.99,45.59,40.85,45.38,40.64,45.57,40.42,45.97,40.18,45.88,40.02,45.58,39.98,46.2,39.59,46.48,39.56,46.37,39.4,46.59,39.22,46.4,39.19,46.49,38.91,46.11,38.88,45.98,39.24,45.77,39.38,45.75,39.56,45.46,39.49,45.17,39.57,45.03,39.77,44.77,39.7]],[[45.48,40.6,45.56,40.6,45.56,40.66,45.48,40.66,45.48,40.6]]]],
+    ['AO', 'Africa', [11.74, -18.02, 24.05, -4.43], [[[13.07,-4.63,12.83,-4.74,12.45,-5.07,12.52,-5.15,12.5,-5.7,12.21,-5.76,12.18,-5.33,12.02,-5,12.39,-4.62,12.8,-4.43,13.07,-4.63]],[[23.97,-10.87,24.05,-11.4,23.97,-11.64,23.99,-12.42,23.88,-12.8,23.96,-12.99,21.98,-13,21.98,-15.95,22.04,-16.26,22.15,-16.6,23.38,-17.64,21.42,-18,21.11,-17.96,20.75,-18.02,20.19,-17.86,18.96,-17.8,18.72,-17.7,18.4,-17.4,14.02,-17.41,13.48,-17.04,13.1,-16.97,12.55,-17.21,12.02,-17.17,11.74,-17.25,11.82,-16.7,11.75,-15.83,12.02,-15.51,12.55,-13.44,12.9,-13.03,12.98,-12.78,13.42,-12.52,13.6,-12.29,13.79,-11.81,13.85,-11.05,13.72,-10.63,13.33,-10,13,-9.05,13.05,-8.92,13.06,-9.01,13.36,-8.69,13.38,-8.37,12.86,-7.23,12.83,-6.96,12.52,-6.59,12.3,-6.09,13.19,-5.86,16.43,-5.9,16.7,-6.16,16.74,-6.62,16.92,-6.93,16.98,-7.26,17.58,-8.1,18.01,-8.11,18.56,-7.94,19.34,-7.97,19.53,-7.14,19.87,-6.99,20.59,-6.92,20.54,-7.18,20.61,-7.28,21.78,-7.31,21.84,-7.42,21.8,-8.11,21.9,-8.34,21.9,-8.69,21.81,-9.47,22.28,-10.26,22.31,-10.69,22.18,-10.89,22.22,-11.12,22.31,-11.2,22.56,-11.06,23.08,-11.09,23.46,-10.97,23.83,-11.01,23.97,-10.87]]]],
+    ['AQ', 'Antarctic', [-180, -85.19, 179.62, -60.52], [[[-45.72,-60.52,-45.23,-60.64,-45.18,-60.73,-45.78,-60.59,-45.94,-60.62,-45.93,-60.53,-45.72,-60.52]],[[-90.54,-68.8,-90.64,-68.79,-90.63,-68.72,-90.54,-68.73,-90.54,-68.8]],[[-180,-84.35,-176.29,-84.42,-175.87,-84.51,-174.66,-84.46,-171.7,-84.54,-168.67,-84.68,-167.49,-84.83,-162.93,-84.9,-156.46,-85.19,-156.99,-84.98,-157.45,-84.91,-156.49,-84.89,-156.62,-84.84,-165.14,-84.41,-163.76,-84.32,-164.69,-84.15,-164.01,-84.01,-164.08,-83.95,-165.54,-83.76,-167.8,-83.79,-169.17,-83.45,-174.07,-82.9,-174.24,-82.79,-173.07,-82.92,-171.82,-82.85,-168.42,-83.23,-165.62,-83.21,-164.92,-83.29,-164.44,-83.47,-163.11,-83.33,-162.2,-83.52,-159.44,-83.54,-157.43,-83.35,-157.03,-83.23,-157.68,-83.13,-155.46,-82.98,-155.15,-82.86,-153.4,-82.59,-153.01,-82.45,-154.72,-81.94,-153.96,-81.7,-154.91,-81.51,-157.03,-81.32,-156.53,-81.16,-155.92,-81.13,-148.12,-80.9,-148.02,-80.84,-149.15,-80.72,-149.21,-80.6,-150.13,-80.51,-150.58,-80.35,-150.44,-80.21,-150.22,-80.15,-148.32,-80.07,-148.43,-79.93,-148.08,-79.86,-148.42,-79.73,-151.05,-79.46,-152.09,-79.24,-152.05,-79.19,-152.14,-79.12,-154.52,-79.05,-156.11,-78.74,-156.47,-78.64,-156.21,-78.56,-154.72,-78.4,-154.29,-78.26,-157.27,-78.2,-157.85,-78.07,-158.28,-77.95,-158.5,-77.78,-158.23,-77.5,-158.21,-77.16,-157.84,-77.08,-157.46,-77.23,-157.14,-77.24,-156.21,-77.11,-154.81,-77.13,-153.91,-77.23,-153.46,-77.42,-151.72,-77.43,-149.72,-77.8,-148.15,-77.46,-148.85,-77.28,-148.78,-77.12,-148.57,-77.11,-147.73,-77.31,-146.93,-77.26,-146.39,-77.47,-145.68,-77.49,-145.6,-77.45,-145.81,-77.27,-145.52,-77.2,-145.97,-77.07,-145.63,-76.95,-145.75,-76.75,-147.34,-76.44,-148.6,-76.49,-149.66,-76.37,-148.9,-76.27,-148.32,-76.1,-145.89,-76.42,-145.44,-76.41,-146.38,-76.1,-145.99,-75.89,-145.1,-75.88,-143.57,-75.56,-142.33,-75.49,-141.5,-75.69,-140.87,-75.75,-141.22,-75.55,-140.47,-75.45,-139.69,-75.21,-137.62,-75.08,-136.65,-75.16,-136.23,-74.84,-135.36,-74.69,-134.84,-74.69,-133.8,-74.85,-132.05,-74.77,-130.2,-74.89,-127.02,-74.7,-121.54,-74.75,-119.68,-74.65,-118.66,-74.39,-115.22,-74.49,-115.11,-74.45,-114.79,-73.99,-114.62,-73.9,-113.51,-74.09,-113.49,-74.16,-113.71,-74.23,-113.75,-74.37,-113.33,-74.45,-113.9,-74.64,-114.11,-74.98,-111.7,-74.79,-111.58,-74.75,-111.79,-74.57,-111.7,-74.5,-111.81,-74.27,-111.63,-74.18,-111.18,-74.19,-110.31,-74.37,-110.23,-74.54,-110.3,-74.71,-110.53,-74.84,-111.46,-75.13,-111.36,-75.22,-109.27,-75.19,-106.62,-75.34,-104.9,-75.11,-103.12,-75.1,-101.71,-75.13,-101.3,-75.37,-101.04,-75.42,-98.75,-75.32,-98.56,-75.19,-99.65,-74.95,-100.47,-74.87,-100.01,-74.66,-100.12,-74.52,-101.25,-74.49,-101.72,-74.02,-102.76,-73.88,-102.86,-73.78,-102.8,-73.65,-102.04,-73.63,-100.72,-73.76,-98.89,-73.61,-100.44,-73.35,-102.91,-73.28,-103.37,-72.82,-103.11,-72.72,-102.36,-72.76,-102.27,-72.84,-102.48,-72.95,-102.41,-72.99,-98.21,-73.02,-96.39,-73.3,-95.24,-73.22,-94.25,-73.31,-92.83,-73.16,-90.92,-73.32,-90.43,-73.24,-90.27,-73.12,-90.29,-72.98,-89.82,-72.86,-89.34,-72.89,-89.13,-72.69,-88.78,-72.68,-88.2,-72.79,-88.2,-72.86,-88.56,-73.12,-88.42,-73.23,-87.4,-73.19,-87.04,-73.35,-86.79,-73.36,-85.8,-73.19,-84.98,-73.5,-82.18,-73.86,-81.31,-73.74,-81.16,-73.63,-81.26,-73.31,-81.18,-73.25,-80.34,-73.41,-80.61,-73.08,-80.59,-72.98,-80.44,-72.94,-79.52,-73.09,-78.96,-73.31,-78.78,-73.51,-78.41,-73.56,-76.85,-73.46,-76.77,-73.57,-77.14,-73.82,-77.05,-73.84,-76.29,-73.81,-75.29,-73.64,-74,-73.7,-72.93,-73.45,-68.82,-73.11,-67.67,-72.84,-67.31,-72.61,-66.83,-72.09,-66.95,-71.9,-67.46,-71.53,-67.51,-71.06,-67.69,-70.69,-67.89,-70.42,-68.4,-70.02,-68.47,-69.64,-68.71,-69.43,-68.14,-69.35,-67.37,-69.41,-66.97,-69.16,-67.02,-69.03,-67.39,-68.86,-67.3,-68.77,-67.14,-68.77,-67.04,-68.45,-66.79,-68.24,-67.15,-68.02,-66.92,-67.69,-66.68,-67.56,-67.12,-67.48,-67.55,-67.54,-67.59,-67.43,-67.49,-67.11,-67.03,-66.94,-66.96,-66.98,-66.9,-67.26,-66.61,-67.21,-66.5,-67.29,-66.51,-66.69,-66.31,-66.59,-65.77,-66.63,-65.68,-66.4,-65.77,-66.29,-65.62,-66.14,-65.17,-66.12,-65.27,-65.99,-65,-65.95,-64.62,-66.02,-64.51,-65.96,-64.65,-65.87,-64.65,-65.75,-64.47,-65.78,-64.39,-65.71,-64.44,-65.64,-63.82,-65.53,-63.8,-65.48,-64.05,-65.42,-64.07,-65.28,-64.04,-65.18,-63.76,-65.03,-63.06,-65.14,-63.12,-64.94,-62.53,-64.83,-62.58,-64.76,-62.5,-64.66,-62.24,-64.75,-61.63,-64.6,-61.08,-64.31,-60.86,-64.07,-59.51,-63.82,-58.87,-63.55,-57.39,-63.23,-57.08,-63.26,-56.93,-63.51,-56.78,-63.57,-56.84,-63.63,-57.12,-63.64,-57.1,-63.52,-57.29,-63.49,-58.26,-63.76,-58.84,-64.19,-59.05,-64.23,-58.8,-64.29,-58.91,-64.35,-58.79,-64.52,-59.46,-64.35,-59.61,-64.44,-59.57,-64.53,-59.65,-64.58,-59.77,-64.45,-59.96,-64.43,-60.34,-64.55,-61.06,-64.98,-61.7,-64.99,-61.74,-65.03,-61.58,-65.19,-61.66,-65.24,-61.95,-65.19,-62.08,-65.27,-62.15,-65.33,-62.05,-65.46,-61.76,-65.57,-61.99,-65.59,-62.3,-65.84,-62.29,-65.92,-62.01,-66.11,-61.84,-66.12,-60.91,-65.92,-60.62,-65.93,-60.57,-65.98,-60.75,-66.1,-61.01,-66.11,-60.9,-66.19,-61.03,-66.34,-61.15,-66.21,-61.43,-66.14,-61.67,-66.25,-61.76,-66.43,-61.88,-66.3,-62.12,-66.21,-62.68,-66.24,-62.75,-66.31,-62.61,-66.44,-62.66,-66.56,-62.54,-66.62,-62.54,-66.71,-62.63,-66.71,-63.26,-66.26,-63.75,-66.28,-63.65,-66.38,-64.08,-66.65,-63.81,-66.76,-63.75,-66.87,-64.04,-66.93,-64.69,-66.81,-64.88,-67.02,-64.78,-67.12,-65.03,-67.21,-64.82,-67.31,-65.5,-67.38,-65.42,-67.66,-65.6,-67.88,-65.47,-68.01,-65.64,-68.13,-65.22,-68.14,-64.89,-68.06,-64.83,-68.13,-65.45,-68.34,-65,-68.41,-65.24,-68.58,-65.16,-68.62,-64.08,-68.77,-64.17,-68.58,-63.92,-68.5,-62.93,-68.44,-63.71,-68.59,-63.75,-68.71,-63.34,-68.81,-63.48,-68.95,-63.46,-69.04,-62.59,-69.48,-62.45,-69.58,-62.41,-69.83,-62.2,-70.03,-61.96,-70.12,-61.93,-70.2,-62.01,-70.28,-62.22,-70.23,-62.38,-70.36,-62,-70.5,-61.5,-70.49,-61.49,-70.57,-61.7,-70.68,-61.99,-70.73,-62.04,-70.8,-61.96,-70.9,-61.31,-70.87,-60.96,-71.24,-61,-71.32,-61.96,-71.66,-61.56,-71.68,-61.21,-71.56,-60.99,-71.66,-60.95,-71.75,-61.04,-71.82,-61.94,-71.9,-62.26,-72.02,-61.31,-72.11,-60.72,-72.07,-60.67,-72.36,-60.73,-72.43,-61.28,-72.47,-61.29,-72.6,-60.94,-72.7,-60.53,-72.67,-60.53,-72.83,-60.39,-73.01,-60.01,-72.94,-59.96,-73.03,-60.12,-73.28,-60.56,-73.21,-60.9,-73.32,-62.01,-73.15,-61.79,-73.26,-61.64,-73.5,-61.08,-73.54,-60.79,-73.71,-60.9,-73.87,-61.09,-73.93,-61.54,-73.9,-61.84,-74.03,-61.32,-74.04,-61.04,-74.12,-61.84,-74.29,-61.33,-74.33,-60.78,-74.24,-60.71,-74.31,-61.01,-74.48,-61.64,-74.51,-62.24,-74.44,-61.85,-74.78,-61.93,-74.86,-62.37,-74.95,-62.57,-74.9,-62.71,-74.74,-63.18,-74.68,-63.12,-74.85,-63.2,-74.91,-63.36,-74.88,-63.92,-75.01,-63.34,-75.03,-63.17,-75.11,-63.23,-75.15,-64.28,-75.29,-63.3,-75.35,-63.26,-75.4,-63.36,-75.45,-66.37,-76.01,-69.31,-76.35,-70.21,-76.67,-71.8,-76.75,-75.27,-76.58,-77.19,-76.63,-77.29,-76.7,-77.17,-76.83,-76.25,-77.27,-75.75,-77.4,-75.39,-77.47,-72.85,-77.59,-72.87,-77.69,-73.49,-77.97,-74.04,-78.11,-74.81,-78.18,-80.6,-77.75,-81.58,-77.85,-77.43,-78.44,-77.55,-78.66,-77.87,-78.75,-80.29,-78.82,-82.61,-78.41,-83.78,-77.98,-83.69,-78.15,-83.23,-78.4,-83.71,-78.4,-83.76,-78.46,-83.59,-78.61,-83.26,-78.77,-81.66,-79.1,-80.89,-79.5,-80.53,-79.51,-80.49,-79.32,-80.15,-79.27,-76.5,-79.33,-76.22,-79.39,-76.03,-79.63,-76.56,-79.9,-77.7,-80.01,-79.66,-80,-78.18,-80.17,-76.41,-80.1,-75.71,-80.38,-75.49,-80.62,-75.08,-80.86,-73.94,-80.82,-73.03,-80.92,-70.69,-80.63,-70.24,-80.86,-69.77,-80.96,-68.59,-80.97,-68.33,-81,-68.14,-81.13,-65.57,-81.46,-62.35,-81.58,-62.16,-81.64,-62.54,-81.68,-64.69,-81.65,-65.62,-81.73,-64.19,-81.79,-64.14,-81.87,-66.13,-81.95,-65.84,-81.99,-65.79,-82.05,-65.91,-82.18,-65.71,-82.28,-64.92,-82.37,-60.53,-82.2,-62.74,-82.53,-61.92,-82.98,-61.31,-82.94,-61.22,-82.99,-61.2,-83.1,-61.59,-83.34,-61.43,-83.4,-59.52,-83.46,-55.8,-82.48,-55.29,-82.46,-53.98,-82.2,-50.65,-81.98,-48.36,-81.89,-47.36,-82,-46.26,-81.95,-46.05,-82.16,-46.45,-82.34,-46.52,-82.45,-46.18,-82.51,-45.05,-82.44,-43.67,-82.27,-41.13,-81.21,-38.77,-80.88,-37.21,-81.06,-35.97,-80.89,-35.33,-80.65,-31.31,-80.45,-31.02,-80.31,-29.53,-80.18,-24.24,-80.06,-23.57,-79.96,-23.41,-79.86,-24.3,-79.77,-29.95,-79.6,-30.21,-79.49,-30.18,-79.3,-30.32,-79.16,-30.65,-79.12,-32.99,-79.23,-34.2,-79.11,-36.24,-78.77,-36.26,-78.62,-36.18,-78.47,-35.51,-78.04,-35.09,-77.84,-34.55,-77.73,-34.08,-77.43,-32.61,-77.14,-32.06,-77.16,-28.94,-76.37,-24.27,-75.77,-22.47,-75.66,-21.43,-75.68,-20.49,-75.49,-19.49,-75.54,-18.3,-75.43,-18.75,-75.24,-18.52,-75.05,-18.22,-74.97,-17.44,-74.38,-16.43,-74.32,-15.67,-74.41,-14.57,-73.94,-14.61,-73.85,-16.22,-73.91,-16.28,-73.87,-15.94,-73.76,-16.52,-73.64,-16.44,-73.43,-15.6,-73.1,-15.01,-73.05,-14.16,-73.1,-14,-73,-14.3,-72.73,-13.21,-72.78,-12.75,-72.63,-11.5,-72.41,-10.96,-71.9,-11.01,-71.76,-11.33,-71.78,-12.15,-71.61,-12.35,-71.39,-11.93,-71.29,-10.83,-71.55,-10.52,-71.3,-10.04,-71.13,-10.33,-71.02,-10.27,-70.94,-9.23,-71.17,-8.65,-71.67,-7.91,-71.64,-7.71,-71.55,-7.59,-71.22,-7.62,-71.12,-7.88,-70.94,-7.75,-70.84,-7.39,-70.79,-6.84,-70.84,-5.93,-70.71,-5.69,-70.74,-5.59,-70.86,-6.08,-71.15,-6.12,-71.33,-3.71,-71.38,-2.61,-71.32,-2.01,-71.43,-1.36,-71.39,-1.07,-71.27,-0.89,-71.35,-0.76,-71.63,-0.54,-71.71,0.54,-71.27,1.91,-71,5.11,-70.66,7.4,-70.5,7.68,-70.36,8.52,-70.47,9.14,-70.18,10.97,-70.69,11.7,-70.77,12.93,-70.21,12.59,-70.12,12.63,-70.07,13.07,-70.05,13.3,-70.23,13.82,-70.34,15.81,-70.32,16.03,-70.19,16.38,-70.14,16.58,-70.2,16.71,-70.4,18.12,-70.54,18.23,-70.52,18.43,-70.29,19.01,-70.21,19.2,-70.29,19.03,-70.67,19.27,-70.9,19.41,-70.92,21.07,-70.84,21.34,-70.5,21.71,-70.26,22.37,-70.48,22.4,-70.56,22.23,-70.64,22.28,-70.7,22.98,-70.81,23.41,-70.72,23.81,-70.4,24.02,-70.41,24.38,-70.54,24.38,-70.71,24.76,-70.89,25.97,-71.04,26.5,-71.02,28.91,-70.58,30,-70.3,31.38,-70.23,32.62,-70,32.81,-69.91,32.99,-69.62,32.9,-69.38,32.57,-69.07,32.64,-68.87,33.12,-68.69,33.46,-68.67,34.19,-68.7,34.22,-68.79,33.77,-69.02,33.81,-69.1,34.59,-69.09,35.36,-69.68,36.59,-69.64,37.11,-69.81,37.79,-69.73,38.89,-70.17,38.86,-70.01,39.71,-69.43,39.86,-68.97,40.21,-68.8,40.82,-68.72,41.36,-68.51,42.41,-68.35,42.96,-68.1,44.37,-67.96,45.2,-67.73,46.4,-67.62,46.44,-67.53,46.32,-67.4,46.56,-67.27,47.35,-67.36,47.4,-67.41,47.12,-67.57,47.49,-67.73,48.21,-67.7,48.32,-67.79,48.38,-67.99,48.55,-67.93,48.65,-67.79,48.63,-67.52,49.22,-67.23,48.71,-67.22,48.47,-67.04,48.83,-66.94,49.25,-66.94,50.01,-67.18,50.55,-67.19,50.61,-67.15,50.52,-66.82,50.31,-66.75,50.24,-66.6,50.33,-66.44,51.89,-66.02,53.67,-65.86,55.29,-65.95,56.36,-66.37,57,-66.47,57.18,-66.61,56.99,-66.7,56.14,-66.63,56.45,-66.78,56.48,-66.86,56.39,-66.97,55.8,-67.2,56.16,-67.26,56.76,-67.07,57.63,-67.01,58.74,-67.23,59.25,-67.48,60.48,-67.39,61.31,-67.54,62.69,-67.65,63.7,-67.51,68.33,-67.89,69.56,-67.76,69.66,-67.86,69.6,-68.04,69.98,-68.46,69.53,-68.74,69.64,-68.93,69.53,-69.02,69.63,-69.23,68.91,-69.37,68.88,-69.47,69.19,-69.65,69.08,-69.87,68.74,-69.92,68.18,-69.84,67.27,-70.27,67.94,-70.42,69.02,-70.32,69.16,-70.33,69.25,-70.43,69.19,-70.71,68.87,-71.03,68.04,-71.39,67.43,-72,66.89,-72.95,66.5,-73.13,66.57,-73.21,67.32,-73.3,67.97,-73.09,67.97,-72.75,68.42,-72.52,69.55,-72.38,69.96,-72.13,70.57,-71.93,70.62,-71.84,71.28,-71.62,71.47,-71.15,71.77,-70.8,72.42,-70.6,72.76,-70.4,72.82,-70.1,73.32,-69.85,73.94,-69.74,74.57,-69.88,75.63,-69.85,75.82,-69.73,75.89,-69.57,76.11,-69.49,76.36,-69.49,77.82,-69.07,78.49,-68.63,78.56,-68.39,79.03,-68.18,82.02,-67.69,83.3,-67.6,83.49,-67.44,84.48,-67.12,85.71,-67.16,87.98,-66.79,89.7,-66.82,92.07,-66.51,92.59,-66.62,93.36,-66.59,94.09,-66.69,94.84,-66.5,95.54,-66.63,97.1,-66.5,97.72,-66.61,98.26,-66.47,98.72,-66.55,98.86,-66.67,99.37,-66.65,100.89,-66.36,101.33,-66.1,101.38,-65.97,102.67,-65.87,107.17,-66.47,107.78,-66.66,108.16,-66.64,108.38,-66.77,109.46,-66.91,110.62,-66.52,110.59,-66.31,110.91,-66.08,113.1,-65.8,113.71,-65.93,114.34,-66.36,115.31,-66.56,115.63,-66.77,115.27,-67.03,113.99,-67.21,113.91,-67.37,114.03,-67.44,116.71,-67.05,117.13,-67.12,118.14,-67.08,118.71,-67.17,120.19,-66.97,120.38,-66.98,118.92,-67.32,119.13,-67.37,121.49,-67.09,122.18,-66.86,123.97,-66.61,124.82,-66.69,125.1,-66.64,125.4,-66.42,125.87,-66.37,126.67,-66.5,126.87,-66.76,127.54,-67.05,128.98,-67.1,129.24,-67.04,129.74,-66.47,130.12,-66.29,130.95,-66.19,131.83,-66.24,132.88,-66.18,133.44,-66.08,134.18,-66.28,134.29,-66.48,134.97,-66.33,135.35,-66.13,136.19,-66.29,136.55,-66.44,136.89,-66.34,137.34,-66.35,138.27,-66.56,139.24,-66.57,139.9,-66.72,141.29,-66.83,141.97,-66.81,142.69,-67.01,143.73,-66.88,143.86,-66.94,143.91,-67.09,144.35,-67.02,144.55,-67.04,144.62,-67.14,143.94,-67.79,143.98,-67.86,144.19,-67.9,145.13,-67.63,145.98,-67.62,146.83,-67.96,146.9,-68.12,146.8,-68.27,147.09,-68.37,148.46,-68.47,150.34,-68.44,150.94,-68.36,151.07,-68.39,151.14,-68.76,151.29,-68.82,151.56,-68.69,152.55,-68.73,153.08,-68.86,153.34,-68.82,153.71,-68.73,153.78,-68.35,153.91,-68.32,155.52,-69.02,156.49,-69.18,157.05,-69.18,157.48,-69.31,157.93,-69.18,159.78,-69.52,160.12,-69.73,160.21,-69.97,160.65,-70.08,161.04,-70.32,161.42,-70.83,161.63,-70.92,161.92,-70.91,162.19,-71.04,162.29,-70.97,162.04,-70.63,162.02,-70.44,162.22,-70.33,162.67,-70.3,163.35,-70.62,164,-70.64,164.4,-70.51,166.63,-70.66,167.57,-70.81,168.17,-71.18,170.16,-71.63,170.28,-71.44,170.43,-71.42,170.86,-71.87,170.68,-71.97,170.22,-71.95,170.03,-72.11,169.95,-72.4,170.26,-72.37,170.29,-72.48,170.21,-72.57,170.05,-72.6,168.43,-72.38,168.82,-72.55,169.83,-72.73,169.84,-72.8,169.55,-73.05,169.03,-73.2,168.38,-73.07,168.21,-73.13,167.16,-73.15,166.88,-73.01,166.45,-72.94,166.83,-73.22,167.71,-73.39,167,-73.55,165.86,-73.59,166.11,-73.73,165.73,-73.87,165.35,-73.88,165.13,-73.38,164.81,-73.4,164.75,-73.56,164.98,-73.93,164.78,-74.03,165.4,-74.48,165.41,-74.56,163.74,-74.56,163.4,-74.38,163.27,-74.43,163.17,-74.6,162.6,-74.82,162.53,-75.17,162.41,-75.24,161.68,-75.22,160.91,-75.33,162.19,-75.47,162.24,-75.62,162.82,-75.85,162.65,-76.05,162.44,-76.15,162.73,-76.23,162.82,-76.46,162.67,-76.57,162.76,-76.75,162.49,-76.87,162.45,-76.96,163.09,-77.03,163.61,-77.39,163.62,-77.58,163.77,-77.7,164.04,-77.77,164.04,-77.85,164.42,-77.88,164.49,-77.95,164.43,-78.04,163.98,-78.22,164.63,-78.32,165.05,-78.23,165.42,-78.04,165.52,-78.06,165.66,-78.31,166.51,-78.5,167.06,-78.52,167.13,-78.61,167.05,-78.69,166.53,-78.69,166.12,-78.57,164.64,-78.6,162.64,-78.9,161.67,-78.54,161.51,-78.57,161.5,-78.68,161.95,-79.03,161.19,-78.98,160.87,-79.05,160.48,-79.2,160.67,-79.36,160.65,-79.43,159.98,-79.59,160.35,-79.69,159.87,-79.79,159.9,-79.86,160.39,-79.88,160.56,-79.93,160.56,-80.01,158.77,-80.29,158.56,-80.35,158.57,-80.42,160.64,-80.45,160.52,-80.58,160.83,-80.73,160.26,-80.79,160.28,-80.85,160.72,-80.91,160.72,-81.2,160.48,-81.27,160.47,-81.34,162,-81.65,163.6,-82.12,163.68,-82.19,161.17,-82.41,161.28,-82.49,163.01,-82.53,164.75,-82.35,167.12,-82.8,167.27,-82.88,167.23,-82.95,167.3,-82.99,167.6,-83.05,168.09,-82.98,168.61,-83.07,168.24,-83.23,167.67,-83.23,168.11,-83.36,169.84,-83.4,170.33,-83.48,171.04,-83.45,171.92,-83.64,175.01,-83.84,175.6,-83.97,179.62,-84.27,-180,-84.35]],[[-45.22,-78.81,-43.72,-78.82,-43.54,-78.9,-42.96,-79.48,-42.94,-79.58,-43.07,-79.89,-43.27,-79.98,-43.74,-80,-43.46,-80.12,-43.53,-80.19,-49.19,-80.64,-49.77,-80.78,-54.16,-80.87,-54.35,-80.76,-54.35,-80.57,-54.05,-80.49,-53.39,-80.11,-53.05,-80.17,-52.46,-80.07,-52.3,-80.14,-51.18,-79.82,-50.34,-79.48,-50.29,-79.43,-50.38,-79.34,-50.73,-79.28,-50.52,-79.1,-50.5,-78.95,-50.24,-78.83,-50.38,-78.78,-50.14,-78.56,-49.08,-78.05,-46.83,-77.78,-45.99,-77.83,-44.6,-78.03,-43.81,-78.29,-43.85,-78.53,-43.95,-78.6,-45.21,-78.69,-45.35,-78.79,-45.22,-78.81]],[[-59.73,-80.34,-59.83,-80.73,-60.58,-80.95,-62.67,-80.83,-62.94,-80.77,-63.14,-80.6,-64.06,-80.65,-64.27,-80.75,-66.77,-80.29,-66.38,-80.22,-65.98,-80.39,-61.63,-80.34,-61.2,-80.26,-61.6,-80.21,-61.7,-80.14,-61.68,-80.02,-61.3,-80,-61.25,-79.98,-61.34,-79.89,-60.58,-79.74,-59.87,-79.78,-59.7,-79.87,-59.79,-80.1,-59.32,-80.2,-59.53,-80.21,-59.73,-80.34]],[[-70.05,-69.19,-70.08,-69.31,-69.71,-69.32,-69.42,-69.58,-69.09,-70.09,-68.55,-70.58,-68.45,-70.82,-68.31,-70.91,-68.24,-71.82,-68.54,-72.16,-69.15,-72.43,-69.21,-72.53,-70.54,-72.67,-70.92,-72.61,-72.37,-72.67,-72.78,-72.58,-73.09,-72.41,-72.74,-72.28,-70.87,-72.37,-70.21,-72.23,-70.53,-72.16,-71.41,-72.28,-71.66,-72.25,-71.9,-72.12,-71.03,-72.03,-70.82,-71.91,-71.82,-71.82,-72.26,-71.64,-72.93,-71.92,-73.78,-71.85,-73.54,-72.02,-74,-72.17,-74.43,-72.06,-74.79,-72.06,-75.38,-71.83,-75.34,-71.65,-75.1,-71.56,-74.39,-71.64,-74.43,-71.46,-74.31,-71.4,-73.48,-71.58,-73.38,-71.53,-73.62,-71.4,-73.47,-71.32,-72.62,-71.39,-72.21,-71.34,-73,-71.19,-73.06,-71.13,-72.71,-71.07,-71.72,-71.14,-71.19,-70.98,-70.38,-70.95,-69.87,-71.13,-69.82,-70.97,-69.87,-70.88,-70.92,-70.79,-71.19,-70.66,-71.06,-70.54,-70.33,-70.36,-69.62,-70.4,-70.33,-70.16,-71.12,-70.2,-71.73,-70.05,-71.88,-69.91,-71.72,-69.52,-71.74,-69.42,-72.14,-69.18,-72.06,-69,-71.87,-68.94,-70.42,-68.79,-70.11,-68.96,-70.05,-69.19]],[[-98.09,-71.91,-98.17,-72.12,-97.92,-72.12,-97.81,-71.92,-97.58,-71.88,-97.47,-72,-97.58,-72.1,-97.35,-72.19,-97.09,-71.94,-96.87,-71.85,-96.13,-71.9,-96.3,-72.05,-96.98,-72.22,-96.72,-72.26,-95.61,-72.07,-95.53,-72.25,-95.58,-72.41,-96.08,-72.45,-96.05,-72.58,-98.41,-72.55,-100.19,-72.27,-102.02,-72.18,-102.31,-72.08,-102.13,-71.99,-100.22,-71.83,-100.09,-71.84,-99.78,-72.04,-99.56,-71.94,-99.08,-71.93,-98.61,-71.76,-98.19,-71.82,-98.09,-71.91]],[[-120.56,-73.76,-120.27,-73.99,-120.99,-74.16,-121.05,-74.26,-121,-74.33,-122.29,-74.4,-122.94,-74.3,-122.96,-74.24,-122.76,-74.22,-122.88,-74.1,-122.63,-73.97,-122.99,-73.84,-123.35,-73.84,-123.25,-73.74,-123.01,-73.67,-120.56,-73.76]],[[-126.33,-73.29,-125.74,-73.41,-125.27,-73.67,-125.83,-73.72,-125.8,-73.8,-125,-73.83,-124.54,-73.74,-124.04,-73.88,-124.15,-73.94,-123.8,-74.08,-123.84,-74.23,-125.09,-74.18,-126.24,-73.89,-126.47,-73.81,-126.58,-73.67,-127.21,-73.72,-127.23,-73.59,-127.43,-73.45,-127.27,-73.3,-126.33,-73.29]],[[-159.05,-79.81,-160.3,-79.85,-161.87,-79.7,-163.71,-79.44,-164.22,-79.32,-164.28,-79.25,-164.12,-78.99,-163.26,-78.72,-162.39,-78.76,-159.68,-79.4,-159.05,-79.69,-159,-79.74,-159.05,-79.81]],[[167.08,-77.32,169.28,-77.45,169.35,-77.52,168.52,-77.68,167.39,-77.65,166.73,-77.85,166.22,-77.52,166.63,-77.38,166.41,-77.25,166.51,-77.19,166.99,-77.19,167.08,-77.32]],[[-31.12,-79.8,-30.84,-79.77,-30.78,-79.65,-30.66,-79.73,-29.62,-79.91,-30.42,-80.01,-31.82,-79.85,-32,-79.73,-31.68,-79.64,-31.12,-79.8]],[[-33.94,-79.32,-36.6,-79.28,-36.57,-79.21,-35.53,-79.09,-33.94,-79.32]],[[-70.34,-79.68,-71.42,-79.64,-71.69,-79.57,-71.78,-79.44,-71.67,-79.25,-71.46,-79.13,-70.54,-78.88,-67.48,-78.36,-67.04,-78.32,-66.73,-78.38,-69.25,-79.21,-69.69,-79.44,-69.63,-79.52,-69.73,-79.62,-70.34,-79.68]],[[-57.85,-64.05,-57.48,-63.96,-57.52,-64.01,-57.25,-64.1,-57.22,-64.22,-57.42,-64.3,-57.3,-64.37,-57.68,-64.36,-57.7,-64.29,-57.82,-64.3,-57.91,-64.41,-57.97,-64.32,-58.21,-64.37,-58.3,-64.31,-58.02,-64.24,-58.14,-64.21,-58.15,-64.1,-58.44,-64.11,-58.28,-63.92,-57.83,-63.8,-57.78,-63.87,-57.85,-64.05]],[[-55.53,-63.17,-55.16,-63.21,-55.08,-63.32,-55.16,-63.35,-55.83,-63.3,-56.38,-63.44,-56.5,-63.36,-56.39,-63.23,-56.04,-63.16,-55.53,-63.17]],[[-57.98,-61.91,-57.74,-61.92,-57.64,-62.02,-58.15,-62.06,-58.18,-62.17,-58.47,-62.14,-58.56,-62.24,-58.82,-62.17,-59,-62.21,-58.68,-62.01,-57.98,-61.91]],[[-63.18,-64.47,-63.28,-64.57,-62.93,-64.52,-62.84,-64.57,-63.74,-64.83,-64.27,-64.7,-64.17,-64.58,-63.68,-64.42,-63.68,-64.34,-63.48,-64.26,-63.23,-64.32,-63.27,-64.38,-63.18,-64.47]],[[-62.33,-64.42,-62.58,-64.51,-62.78,-64.48,-62.51,-64.25,-62.61,-64.12,-62.45,-64.01,-62.06,-64.14,-62.19,-64.37,-62.33,-64.42]],[[-67.99,-67.47,-68.18,-67.56,-68.33,-67.53,-68.58,-67.73,-68.82,-67.75,-69.14,-67.52,-68.42,-66.85,-67.83,-66.62,-67.71,-66.63,-67.68,-66.71,-67.93,-66.84,-67.97,-67.03,-67.69,-67.15,-68.24,-67.37,-67.99,-67.47]],[[-73.71,-70.64,-73.55,-70.72,-73.69,-70.79,-74.5,-70.97,-76.17,-71.13,-76.37,-71.12,-76.51,-70.99,-76.25,-70.86,-75.13,-70.75,-74.95,-70.59,-74.59,-70.79,-74.4,-70.58,-74.12,-70.65,-74.04,-70.55,-73.71,-70.64]],[[-74.99,-69.73,-74.46,-69.92,-74.67,-70.13,-75.27,-70.15,-75.8,-70.04,-75.68,-69.88,-74.99,-69.73]],[[-74.35,-73.1,-74.67,-73.28,-74.37,-73.46,-74.57,-73.61,-75.9,-73.33,-76.1,-73.15,-75.9,-73.06,-75.51,-73.11,-75.27,-73.05,-75.24,-73.01,-75.73,-72.88,-75.38,-72.82,-74.34,-72.92,-74.22,-73,-74.35,-73.1]],[[-91.16,-73.18,-91.51,-73.2,-91.45,-72.97,-91.36,-72.91,-91.67,-72.62,-91.3,-72.55,-90.81,-72.61,-90.78,-72.73,-90.9,-72.82,-90.78,-72.85,-90.78,-72.99,-91.16,-73.18]],[[167.64,-78.14,167.38,-78.25,166.94,-78.22,166.28,-78.31,166.12,-78.27,166.01,-78.1,166.86,-78.2,167.5,-77.99,167.64,-78.14]],[[100.98,-65.68,100.55,-65.7,100.27,-65.6,100.54,-65.41,100.88,-65.38,101.26,-65.53,100.98,-65.68]],[[26.86,-70.38,26.36,-70.43,26,-70.37,25.95,-70.26,26.3,-70.07,26.61,-70.08,26.86,-70.38]],[[-5.9,-70.55,-6.16,-70.61,-6.44,-70.45,-5.97,-70.42,-5.9,-70.55]],[[-3.28,-70.53,-3.5,-70.49,-3.17,-70.31,-2.81,-70.29,-2.68,-70.38,-2.74,-70.51,-3.28,-70.53]],[[-66.17,-80.08,-66.9,-79.91,-66.99,-79.79,-67.81,-79.55,-66.02,-79.62,-65.87,-79.74,-65.58,-79.77,-65.5,-79.95,-66.17,-80.08]],[[-67.26,-79.45,-67.43,-79.5,-68.55,-79.44,-68.32,-79.3,-67.71,-79.21,-67.07,-79.27,-67.24,-79.33,-67.3,-79.39,-67.26,-79.45]],[[-55.17,-61.22,-55.3,-61.25,-55.44,-61.11,-55.39,-61.07,-54.67,-61.12,-55.17,-61.22]],[[-55.87,-63.54,-55.96,-63.58,-56.23,-63.47,-55.76,-63.42,-55.72,-63.49,-55.87,-63.54]],[[-57.24,-64.57,-57.43,-64.54,-57.45,-64.46,-56.89,-64.33,-56.99,-64.47,-57.24,-64.57]],[[-56.06,-63.08,-56.35,-63.17,-56.61,-63.05,-56.49,-62.98,-56.06,-63.01,-56.06,-63.08]],[[-57.38,-63.81,-57.11,-63.84,-57.34,-63.88,-57.68,-63.81,-57.38,-63.81]],[[-62,-69.72,-62.08,-69.73,-62.22,-69.5,-62.57,-69.18,-62.24,-69.18,-61.81,-69.38,-61.81,-69.51,-61.91,-69.53,-62,-69.72]],[[-60.63,-62.56,-59.85,-62.62,-60.22,-62.75,-60.38,-62.62,-61.06,-62.68,-61.15,-62.59,-60.98,-62.59,-60.8,-62.47,-60.63,-62.56]],[[-71.98,-69.7,-72.2,-69.74,-72.78,-69.64,-72.96,-69.53,-72.86,-69.43,-72.46,-69.45,-71.98,-69.7]],[[-95.03,-72.67,-95.22,-72.67,-95.27,-72.65,-95.22,-72.6,-94.57,-72.47,-94.43,-72.61,-95.03,-72.67]],[[-104.54,-73.17,-104.88,-73.2,-105.05,-73.13,-105.13,-72.99,-104.97,-72.94,-104.54,-73.17]],[[-119.55,-74.11,-119.9,-74.08,-119.66,-73.99,-119.8,-73.81,-119.22,-73.78,-118.88,-73.88,-119.06,-74,-119.55,-74.11]],[[-127.37,-74.62,-127.91,-74.54,-128.09,-74.47,-128.13,-74.33,-127.23,-74.43,-127.14,-74.48,-127.37,-74.62]],[[-161.99,-83.12,-163.05,-83.1,-163.55,-82.99,-163.8,-82.84,-162.41,-82.9,-161.64,-83.03,-161.99,-83.12]],[[-160.47,-81.59,-163.25,-81.48,-163.95,-81.39,-163.87,-81.32,-163.2,-81.28,-162.46,-81.31,-160.94,-81.46,-160.47,-81.59]],[[163.98,-74.83,163.76,-74.8,163.74,-74.71,164.21,-74.61,163.98,-74.83]],[[162.97,-75.57,162.79,-75.7,162.59,-75.67,162.97,-75.57]],[[169.84,-73.6,169.48,-73.54,169.78,-73.32,169.96,-73.51,169.84,-73.6]],[[164.83,-67.54,164.64,-67.5,164.69,-67.26,164.91,-67.42,164.83,-67.54]],[[163.3,-66.82,163.23,-66.87,163.09,-66.7,163.24,-66.71,163.3,-66.82]],[[162.61,-66.48,162.51,-66.52,162.3,-66.4,162.31,-66.25,162.61,-66.48]],[[96.61,-66.04,96.93,-66.06,97.02,-66.16,96.39,-66.22,96.31,-66.19,96.4,-66.08,96.61,-66.04]],[[100.27,-66.22,100.08,-66.19,100.29,-66.11,100.27,-66.22]],[[98.84,-66.47,98.6,-66.38,98.95,-66.42,98.84,-66.47]],[[103.4,-65.44,103.18,-65.46,103.11,-65.31,102.79,-65.24,102.76,-65.17,103.14,-65.19,103.19,-65.33,103.4,-65.44]],[[92.6,-65.81,92.33,-65.81,92.25,-65.74,92.5,-65.7,92.63,-65.73,92.67,-65.77,92.6,-65.81]],[[85.82,-66.95,85.65,-66.98,85.32,-66.78,85.34,-66.72,85.81,-66.77,85.94,-66.89,85.82,-66.95]],[[86.54,-66.77,86.23,-66.73,86.52,-66.69,86.65,-66.72,86.54,-66.77]],[[85.33,-66.61,85.07,-66.58,85.16,-66.52,85.33,-66.61]],[[69.92,-71.92,69.79,-72.05,69.69,-71.97,69.8,-71.89,69.92,-71.92]],[[68.46,-72.3,68.67,-72.1,68.84,-72.17,68.82,-72.23,68.46,-72.3]],[[72,-70.63,71.66,-70.5,71.65,-70.34,71.8,-70.26,72.07,-70.52,72.08,-70.61,72,-70.63]],[[48.54,-66.78,48.29,-66.75,48.64,-66.7,48.78,-66.78,48.54,-66.78]],[[16.22,-70.01,16.16,-70.07,15.62,-69.94,15.56,-69.86,15.91,-69.73,16.57,-69.72,16.32,-69.84,16.22,-70.01]],[[3.04,-70.6,2.7,-70.62,2.58,-70.53,3.19,-70.39,3.26,-70.45,3.22,-70.52,3.04,-70.6]],[[-2.95,-71.21,-3.31,-71.2,-3.4,-71.06,-3.26,-71.05,-2.95,-71.21]],[[1.3,-70.26,1.16,-70.38,0.95,-70.09,1.41,-70.04,1.46,-70.14,1.3,-70.26]],[[-2.53,-70.77,-2.09,-70.82,-2.37,-71.04,-2.78,-71.17,-2.8,-70.98,-2.96,-70.94,-3.01,-70.85,-3.57,-70.7,-3.04,-70.67,-2.53,-70.77]],[[4.53,-70.48,4.18,-70.45,4.07,-70.29,4.49,-70.25,4.62,-70.37,4.53,-70.48]],[[-20.61,-73.89,-20.64,-74.15,-20.42,-74.32,-20.42,-74.44,-20.49,-74.49,-20.82,-74.45,-20.98,-74.23,-21.17,-74.13,-22.03,-74.11,-21.13,-73.94,-20.87,-73.68,-20.69,-73.63,-20.58,-73.62,-20.52,-73.71,-20.61,-73.89]],[[-16.1,-72.68,-16.45,-72.65,-16.52,-72.53,-16.3,-72.48,-16.1,-72.68]],[[-12.51,-72.17,-12.72,-72.19,-12.96,-72.06,-12.79,-72.01,-12.51,-72.17]],[[-32.34,-79.67,-32.58,-79.66,-32.38,-79.53,-31.93,-79.57,-32.34,-79.67]],[[-54.07,-61.3,-54.19,-61.25,-54.02,-61.13,-54.07,-61.3]],[[-58.84,-62.3,-59.06,-62.35,-59.2,-62.28,-59.06,-62.24,-58.84,-62.3]],[[-61.16,-69.98,-61.4,-69.93,-61.33,-69.86,-61.15,-69.88,-61.16,-69.98]],[[-60.66,-68.77,-61.02,-68.71,-60.81,-68.69,-60.66,-68.77]],[[-60.74,-70.71,-60.9,-70.69,-60.94,-70.53,-60.45,-70.54,-60.49,-70.65,-60.74,-70.71]],[[-60.55,-71.05,-60.95,-70.97,-60.61,-70.92,-60.51,-71,-60.55,-71.05]],[[-59.39,-62.45,-59.66,-62.35,-59.4,-62.37,-59.39,-62.45]],[[-60.5,-62.97,-60.62,-63.02,-60.74,-62.95,-60.64,-62.89,-60.5,-62.97]],[[-60.65,-63.87,-60.97,-63.85,-60.81,-63.84,-60.72,-63.67,-60.56,-63.7,-60.69,-63.81,-60.65,-63.87]],[[-61.95,-64.08,-62.04,-64.08,-62.02,-64.03,-61.8,-63.97,-61.95,-64.08]],[[-63.32,-64.86,-63.56,-64.91,-63.46,-64.8,-63.22,-64.73,-63.32,-64.86]],[[-62.61,-63.07,-62.53,-62.92,-62.32,-62.87,-62.61,-63.07]],[[-65.85,-65.84,-66.17,-65.87,-66.15,-65.77,-66.05,-65.75,-65.97,-65.57,-65.64,-65.55,-65.67,-65.65,-65.81,-65.69,-65.85,-65.84]],[[-66.6,-66.2,-66.87,-66.29,-66.78,-66.11,-66.57,-66.08,-66.6,-66.2]],[[-67.36,-66.89,-67.59,-66.88,-67.43,-66.74,-67.26,-66.84,-67.36,-66.89]],[[-67.35,-67.77,-67.69,-67.76,-67.74,-67.66,-67.25,-67.6,-67.15,-67.65,-67.35,-67.77]],[[-71.7,-70.27,-71.34,-70.32,-71.69,-70.44,-71.79,-70.29,-71.7,-70.27]],[[-73.88,-73.36,-74.04,-73.37,-74.13,-73.28,-73.83,-73.11,-73.54,-73.12,-73.88,-73.36]],[[-93.8,-72.92,-94.11,-72.86,-94.01,-72.82,-93.8,-72.92]],[[-116.74,-74.16,-117.23,-74.19,-117.4,-74.12,-116.38,-73.87,-116.15,-73.91,-116.74,-74.16]],[[-132.39,-74.44,-132.86,-74.46,-132.55,-74.39,-132.39,-74.44]],[[-131.07,-74.58,-131.84,-74.54,-132.16,-74.43,-131.76,-74.32,-130.98,-74.41,-130.97,-74.52,-131.07,-74.58]],[[-148,-76.66,-147.58,-76.66,-147.58,-76.56,-148,-76.56,-148,-76.66]],[[-145.24,-75.71,-146.15,-75.57,-145.76,-75.51,-145.42,-75.59,-145.24,-75.71]],[[-146.61,-76.96,-147.08,-76.99,-147.12,-76.87,-146.25,-76.88,-146.16,-76.95,-146.61,-76.96]],[[-148.6,-77.01,-149.24,-76.99,-149.3,-76.92,-148.51,-76.95,-148.44,-76.98,-148.6,-77.01]],[[-149.33,-76.72,-148.32,-76.77,-148.98,-76.85,-149.47,-76.76,-149.33,-76.72]],[[-149.22,-77.34,-148.93,-77.39,-149.44,-77.37,-149.66,-77.3,-149.22,-77.34]],[[-150.23,-76.78,-150.87,-76.74,-150.18,-76.69,-150.08,-76.74,-150.23,-76.78]],[[-146.69,-76.25,-146.89,-76.26,-147.42,-76.07,-146.95,-76.1,-146.69,-76.25]],[[-146.79,-76.63,-146.91,-76.71,-147.35,-76.62,-147.14,-76.53,-146.79,-76.63]],[[-150.4,-77.37,-151.51,-77.27,-151.02,-77.22,-150.4,-77.37]],[[-153.93,-80.03,-155.75,-79.83,-155.67,-79.77,-153.93,-80.03]],[[-149.23,-77.12,-150.46,-77.08,-150.79,-76.98,-149.87,-76.87,-149.23,-77.12]],[[-157.99,-82.11,-158.99,-81.78,-157.83,-82.03,-157.99,-82.11]]]],
+    ['AR', 'Americas', [-73.58, -55.03, -53.67, -21.8], [[[-57.61,-30.19,-57.87,-30.59,-57.81,-30.86,-58.03,-31.42,-57.99,-31.62,-58.19,-31.92,-58.12,-32.25,-58.22,-32.56,-58.17,-32.96,-58.25,-33.08,-58.42,-33.11,-58.55,-33.66,-58.39,-34.19,-58.52,-34.3,-58.28,-34.68,-57.55,-35.02,-57.17,-35.36,-57.16,-35.51,-57.35,-35.72,-57.38,-35.9,-57.26,-36.14,-57.08,-36.3,-56.72,-36.39,-56.67,-36.73,-56.73,-36.96,-57.4,-37.75,-57.55,-38.09,-58.18,-38.44,-59.83,-38.84,-61.11,-38.99,-61.85,-38.96,-62.34,-38.8,-62.3,-39.24,-62.05,-39.37,-62.18,-39.38,-62.08,-39.46,-62.13,-39.83,-62.29,-39.89,-62.4,-40.2,-62.39,-40.46,-62.25,-40.67,-62.39,-40.89,-62.96,-41.11,-63.62,-41.16,-64.85,-40.81,-64.81,-40.76,-64.87,-40.74,-65.07,-40.81,-65.16,-41.11,-65.02,-41.57,-65.06,-41.97,-64.99,-42.1,-64.54,-42.26,-64.57,-42.42,-64.42,-42.43,-64.1,-42.39,-64.06,-42.27,-64.23,-42.22,-63.79,-42.11,-63.63,-42.28,-63.62,-42.7,-63.69,-42.81,-64.04,-42.88,-64.13,-42.86,-64.32,-42.57,-64.49,-42.51,-64.97,-42.67,-65.03,-42.76,-64.32,-42.97,-64.84,-43.19,-65.25,-43.57,-65.29,-44.36,-65.65,-44.66,-65.7,-44.8,-65.6,-44.88,-65.64,-45.01,-66.19,-44.97,-66.58,-45.18,-66.94,-45.26,-67.6,-46.05,-67.51,-46.44,-66.78,-47.01,-65.85,-47.16,-65.74,-47.35,-65.77,-47.57,-65.89,-47.7,-66.22,-47.83,-65.93,-47.83,-65.81,-47.94,-66.39,-48.34,-67.13,-48.69,-67.47,-48.95,-67.69,-49.25,-67.78,-49.86,-67.91,-49.98,-68.26,-50.1,-68.49,-49.98,-68.67,-49.75,-68.66,-49.94,-68.98,-50,-68.6,-50.01,-68.42,-50.16,-68.94,-50.38,-69.09,-50.58,-69.15,-50.86,-69.36,-51.03,-69.2,-50.99,-69.06,-51.3,-69.06,-51.55,-69.46,-51.58,-68.96,-51.68,-68.4,-52.31,-68.44,-52.36,-68.46,-52.29,-69.96,-52.01,-71.97,-51.96,-71.95,-51.88,-72.41,-51.54,-72.3,-51.3,-72.38,-51.1,-72.28,-50.91,-72.34,-50.68,-72.51,-50.61,-73.15,-50.74,-73.5,-50.12,-73.47,-49.79,-73.58,-49.58,-73.46,-49.31,-73.14,-49.3,-73.03,-49.01,-72.61,-48.79,-72.61,-48.52,-72.36,-48.37,-72.29,-48.23,-72.52,-47.88,-72.34,-47.49,-71.91,-47.2,-71.94,-46.83,-71.7,-46.65,-71.76,-46.32,-71.88,-46.16,-71.63,-45.95,-71.75,-45.84,-71.75,-45.58,-71.51,-45.51,-71.35,-45.33,-71.35,-45.23,-71.6,-44.98,-72.04,-44.9,-72.06,-44.77,-71.26,-44.76,-71.16,-44.56,-71.21,-44.44,-71.82,-44.38,-71.81,-44.11,-71.68,-43.93,-71.79,-43.75,-71.75,-43.59,-71.91,-43.35,-71.75,-43.24,-72.15,-42.99,-72.14,-42.58,-72.05,-42.47,-72.11,-42.25,-72.03,-42.15,-71.86,-42.15,-71.75,-42.05,-71.91,-41.65,-71.87,-40.89,-71.93,-40.69,-71.71,-40.38,-71.82,-40.18,-71.66,-40.02,-71.72,-39.64,-71.54,-39.6,-71.42,-39.29,-71.4,-38.93,-70.95,-38.74,-70.86,-38.6,-70.97,-38.45,-71.03,-38.04,-71.17,-37.76,-71.13,-37.44,-71.2,-37.3,-71.12,-37.12,-71.19,-36.84,-71.06,-36.52,-70.75,-36.39,-70.72,-36.28,-70.4,-36.06,-70.41,-35.52,-70.56,-35.25,-70.39,-35.15,-70.29,-34.73,-70.05,-34.3,-69.85,-34.22,-69.89,-33.73,-69.82,-33.28,-70.08,-33.2,-70.02,-32.88,-70.12,-32.81,-70.17,-32.47,-70.36,-32.08,-70.25,-31.96,-70.45,-31.84,-70.58,-31.57,-70.56,-31.32,-70.52,-31.15,-70.31,-31.02,-70.35,-30.9,-70.17,-30.39,-69.96,-30.36,-69.84,-30.17,-69.96,-30.08,-69.93,-29.77,-70.03,-29.32,-69.83,-29.1,-69.66,-28.41,-69.17,-27.92,-68.85,-27.15,-68.59,-27.14,-68.32,-26.97,-68.59,-26.47,-68.41,-26.15,-68.6,-25.49,-68.54,-25.24,-68.38,-25.09,-68.56,-24.84,-68.51,-24.63,-68.25,-24.39,-67.35,-24.03,-67.01,-23,-67.2,-22.82,-67.03,-22.55,-66.8,-22.41,-66.71,-22.22,-66.36,-22.11,-66.22,-21.8,-65.77,-22.1,-64.99,-22.11,-64.6,-22.23,-64.32,-22.83,-63.92,-22.03,-62.84,-22,-62.62,-22.29,-62.21,-22.61,-61.93,-23.06,-61.03,-23.75,-59.89,-24.09,-59.19,-24.56,-58.37,-24.96,-57.96,-25.05,-57.65,-25.33,-57.57,-25.53,-57.75,-25.7,-57.89,-26.01,-58.11,-26.18,-58.2,-26.38,-58.19,-26.63,-58.62,-27.13,-58.6,-27.31,-58.17,-27.27,-57.11,-27.47,-56.61,-27.47,-56.44,-27.55,-56.16,-27.32,-55.72,-27.41,-55.43,-27.01,-55.14,-26.93,-54.75,-26.53,-54.61,-25.58,-54.45,-25.62,-54.15,-25.52,-54.01,-25.58,-53.89,-25.67,-53.67,-26.23,-53.72,-26.88,-53.84,-27.12,-54.16,-27.25,-54.33,-27.42,-54.83,-27.55,-55.1,-27.87,-55.73,-28.2,-55.69,-28.38,-55.89,-28.37,-56.77,-29.42,-57.61,-30.19]],[[-68.65,-54.85,-68.63,-52.65,-68.24,-53.08,-68.43,-53.06,-68.52,-53.18,-68.49,-53.26,-68.16,-53.31,-68.01,-53.56,-67.29,-54.05,-66.24,-54.53,-65.75,-54.65,-65.18,-54.68,-65.35,-54.88,-65.47,-54.91,-66.51,-55.03,-67.13,-54.9,-68.22,-54.82,-68.65,-54.85]],[[-64.55,-54.72,-63.82,-54.73,-63.97,-54.81,-64.32,-54.8,-64.64,-54.9,-64.76,-54.83,-64.55,-54.72]],[[-61.88,-39.17,-61.92,-39.23,-62.09,-39.09,-61.88,-39.17]]]],
+    ['AS', 'Oceania', [-170.82, -14.35, -170.57, -14.27], [[[-170.73,-14.35,-170.82,-14.31,-170.57,-14.27,-170.73,-14.35]]]],
+    ['AT', 'Europe', [9.52, 46.4, 17.15, 49], [[[9.53,47.27,9.62,47.47,9.52,47.52,9.75,47.58,10.2,47.36,10.18,47.28,10.37,47.37,10.44,47.55,10.87,47.52,11.04,47.39,11.72,47.58,12.18,47.62,12.21,47.72,12.48,47.64,12.68,47.67,13.02,47.48,13.06,47.66,12.9,47.72,12.95,47.89,12.76,48.08,12.81,48.16,13.38,48.36,13.49,48.58,13.73,48.54,13.82,48.77,14.05,48.6,14.69,48.6,14.79,48.75,14.92,48.77,14.99,49,15.82,48.86,16.06,48.75,16.54,48.8,16.88,48.7,16.95,48.6,16.86,48.39,17.15,48.01,17.03,47.84,17.07,47.71,16.79,47.68,16.59,47.75,16.42,47.67,16.68,47.54,16.44,47.4,16.45,47.01,16.04,46.84,15.96,46.68,14.89,46.61,14.55,46.4,12.48,46.67,12.16,46.94,12.17,47.08,11.77,46.99,11.24,46.98,10.99,46.78,10.48,46.86,10.35,46.99,10.13,46.85,9.58,47.06,9.53,47.27]]]],
+    ['AU', 'Oceania', [112.95, -54.75, 158.96, -10.05], [[[143.18,-11.96,143.11,-12.3,143.4,-12.64,143.59,-13.44,143.55,-13.74,143.75,-14.35,143.96,-14.46,144.47,-14.23,144.65,-14.49,145.29,-14.94,145.27,-15.48,145.46,-16.06,145.43,-16.41,145.76,-16.88,145.91,-16.91,145.9,-17.07,146.13,-17.64,146.03,-18.27,146.33,-18.55,146.3,-18.84,146.38,-18.98,146.69,-19.19,147,-19.26,147.14,-19.39,147.42,-19.38,147.74,-19.77,148.6,-20.15,148.76,-20.29,148.88,-20.48,148.73,-20.47,148.68,-20.58,149.21,-21.12,149.33,-21.48,149.45,-21.58,149.59,-22.26,149.71,-22.44,149.82,-22.39,149.98,-22.55,149.94,-22.31,149.98,-22.18,150.08,-22.16,150.23,-22.37,150.54,-22.56,150.57,-22.38,150.67,-22.42,150.76,-22.58,150.84,-23.46,151.15,-23.78,151.83,-24.12,152.13,-24.6,152.46,-24.8,152.65,-25.2,152.91,-25.43,152.92,-25.69,153.17,-25.96,153.08,-26.3,153.16,-26.98,153.12,-27.19,153.58,-28.24,153.62,-28.67,153.6,-28.86,153.35,-29.29,153.27,-29.89,153.03,-30.56,152.95,-31.43,152.79,-31.79,152.56,-32.05,152.47,-32.44,152.14,-32.68,152.16,-32.76,151.81,-32.9,151.43,-33.52,151.29,-33.58,151.28,-33.93,151.12,-34.01,151.23,-34.03,150.96,-34.3,150.87,-34.5,150.8,-35.01,150.7,-35.04,150.69,-35.18,150.57,-35.21,150.2,-35.83,149.96,-36.85,149.93,-37.53,149.48,-37.77,148.26,-37.83,147.88,-37.93,146.86,-38.66,146.22,-38.73,146.34,-38.89,146.47,-38.84,146.48,-39.06,146.4,-39.15,146.16,-38.87,145.94,-38.9,145.79,-38.67,145.4,-38.54,145.54,-38.39,145.48,-38.24,145.29,-38.24,145.19,-38.38,144.96,-38.5,144.72,-38.34,144.91,-38.34,145.12,-38.09,144.89,-37.9,144.4,-38.14,144.67,-38.21,143.54,-38.82,142.46,-38.39,142.19,-38.4,141.72,-38.27,141.59,-38.39,141.43,-38.36,141.01,-38.08,140.63,-38.03,140.39,-37.9,139.78,-37.25,139.74,-37.06,139.86,-36.66,139.73,-36.37,139.55,-36.1,138.97,-35.58,139.18,-35.52,139.29,-35.61,139.28,-35.38,139.19,-35.35,138.52,-35.64,138.19,-35.61,138.4,-35.33,138.51,-35.02,138.49,-34.76,138.09,-34.17,137.69,-35.14,136.88,-35.24,137.02,-34.92,137.39,-34.91,137.49,-34.6,137.49,-34.16,137.65,-33.86,137.93,-33.58,137.85,-33.2,137.99,-33.09,137.78,-32.58,137.79,-32.82,137.44,-33.19,137.24,-33.63,136.43,-34.03,135.89,-34.66,135.97,-34.98,135.79,-34.86,135.65,-34.94,135.32,-34.64,135.12,-34.59,135.22,-34.49,135.45,-34.58,135.22,-33.96,134.89,-33.63,134.72,-33.26,134.3,-33.17,134.1,-32.75,134.23,-32.73,134.23,-32.55,133.66,-32.21,133.21,-32.18,132.76,-31.96,132.21,-32.01,131.72,-31.7,131.14,-31.5,130.78,-31.6,130.13,-31.58,128.95,-31.7,128.07,-32.07,127.32,-32.26,125.92,-32.3,124.76,-32.88,124.24,-33.01,123.87,-33.6,123.51,-33.92,123.21,-33.99,123.07,-33.9,122.78,-33.89,122.15,-33.99,122.06,-33.87,121.41,-33.83,119.85,-33.97,119.63,-34.1,119.45,-34.37,118.9,-34.48,118.14,-34.99,117.86,-35.05,117.58,-35.1,116.52,-34.99,115.99,-34.8,115.57,-34.43,115.01,-34.26,114.99,-33.51,115.18,-33.64,115.36,-33.64,115.52,-33.53,115.68,-33.19,115.62,-32.67,115.72,-32.4,115.7,-31.7,115.08,-30.56,114.97,-30.04,114.96,-29.43,114.86,-29.14,114.63,-28.87,114.54,-28.54,114.17,-28.08,114.03,-27.35,113.18,-26.18,113.32,-26.24,113.36,-26.08,113.58,-26.56,113.73,-26.59,113.83,-26.5,113.85,-26.33,113.59,-26.1,113.4,-25.71,113.45,-25.6,113.71,-25.83,113.72,-26.13,113.77,-26.16,113.85,-26.02,113.99,-26.32,114.09,-26.39,114.22,-26.29,114.21,-25.85,113.42,-24.44,113.49,-23.87,113.76,-23.42,113.8,-22.91,113.68,-22.64,114.02,-21.88,114.12,-21.83,114.14,-21.91,114.14,-22.48,114.38,-22.34,114.71,-21.82,115.45,-21.49,116.01,-21.03,116.71,-20.65,117.14,-20.64,117.41,-20.72,118.2,-20.37,118.75,-20.26,119.11,-19.99,119.58,-20.04,120.43,-19.84,121,-19.6,121.34,-19.32,121.83,-18.48,122.35,-18.11,122.36,-18.04,122.24,-17.97,122.14,-17.43,122.33,-17.06,122.72,-16.79,122.97,-16.44,123.14,-16.86,123.56,-17.52,123.59,-17.03,123.83,-17.12,123.88,-16.92,123.49,-16.49,123.63,-16.42,123.61,-16.22,123.73,-16.19,123.86,-16.38,124.04,-16.27,124.3,-16.39,124.77,-16.4,124.4,-16.3,124.42,-16.13,124.58,-16.11,124.65,-15.87,124.61,-15.82,124.51,-15.97,124.38,-15.76,124.44,-15.49,124.56,-15.5,124.69,-15.27,125.06,-15.44,125.07,-15.31,124.91,-15.31,124.84,-15.16,125.04,-15,125.36,-15.12,125.38,-15.02,125.24,-14.94,125.18,-14.72,125.28,-14.58,125.58,-14.48,125.63,-14.26,125.7,-14.29,125.66,-14.53,125.74,-14.44,125.82,-14.47,125.89,-14.62,126.02,-14.5,126.11,-14.11,126.05,-13.98,126.18,-14,126.26,-14.16,126.4,-14.02,126.57,-14.16,126.78,-13.96,126.78,-13.79,126.9,-13.74,127.46,-14.03,128.18,-14.71,128.07,-15.33,128.16,-15.23,128.25,-15.3,128.17,-15.1,128.22,-14.99,128.58,-14.77,129.06,-14.88,129.21,-15.16,129.27,-14.87,129.46,-14.93,129.64,-15.14,129.64,-14.85,129.85,-14.83,129.6,-14.65,129.7,-14.56,129.38,-14.39,129.46,-14.21,129.71,-13.98,129.84,-13.57,130.14,-13.45,130.26,-13.3,130.14,-13.15,130.17,-12.96,130.32,-12.88,130.4,-12.69,130.62,-12.65,130.62,-12.43,130.74,-12.43,130.87,-12.56,130.87,-12.37,131.03,-12.34,131.02,-12.21,131.22,-12.18,131.29,-12.07,131.44,-12.28,132.07,-12.28,132.25,-12.19,132.41,-12.3,132.51,-12.13,132.71,-12.12,132.63,-12.04,132.67,-11.65,132.48,-11.49,132.07,-11.47,131.82,-11.3,131.96,-11.18,132.16,-11.31,132.26,-11.2,132.34,-11.22,132.68,-11.51,132.96,-11.41,133.19,-11.71,133.91,-11.83,134.42,-12.05,134.73,-11.98,135.03,-12.19,135.22,-12.22,135.92,-11.83,135.84,-11.9,135.89,-11.99,135.71,-12.21,135.94,-12.15,136.08,-12.42,136.26,-12.43,136.33,-12.31,136.27,-12.13,136.44,-11.95,136.54,-11.96,136.61,-12.13,136.9,-12.24,136.95,-12.35,136.54,-12.79,136.59,-13,136.46,-13.23,136.3,-13.14,135.93,-13.3,135.95,-13.93,135.89,-14.15,135.41,-14.76,135.45,-14.92,136.21,-15.4,136.29,-15.57,136.58,-15.71,136.71,-15.69,136.7,-15.84,136.79,-15.89,137,-15.88,137.7,-16.23,138.25,-16.72,139.01,-16.9,139.25,-17.33,140.04,-17.7,140.51,-17.63,140.83,-17.41,140.96,-17.01,141.22,-16.65,141.41,-16.07,141.45,-15.61,141.63,-15.06,141.52,-14.47,141.59,-14.15,141.47,-13.8,141.65,-13.26,141.61,-12.94,141.78,-12.78,141.92,-12.8,141.88,-12.61,141.68,-12.49,141.69,-12.35,141.87,-11.98,141.96,-12.05,142.17,-10.95,142.33,-10.88,142.46,-10.71,142.61,-10.75,142.55,-10.87,142.72,-11.01,142.84,-11.31,142.87,-11.82,143.18,-11.96]],[[153.08,-25.75,153.01,-25.73,152.98,-25.55,153.04,-25.19,153.23,-25.01,153.14,-24.82,153.26,-24.73,153.35,-25.06,153.08,-25.75]],[[139.51,-16.57,139.36,-16.7,139.15,-16.71,139.29,-16.47,139.6,-16.4,139.7,-16.52,139.51,-16.57]],[[136.71,-13.8,136.89,-13.79,136.75,-14.07,136.79,-14.16,136.95,-14.18,136.89,-14.29,136.34,-14.21,136.43,-14.13,136.43,-13.86,136.66,-13.68,136.71,-13.8]],[[130.46,-11.68,130.61,-11.82,130.04,-11.79,130.07,-11.68,130.2,-11.66,130.15,-11.48,130.29,-11.34,130.46,-11.68]],[[130.62,-11.38,131.02,-11.33,131.27,-11.19,131.54,-11.44,131.46,-11.59,130.95,-11.93,130.51,-11.62,130.37,-11.22,130.43,-11.18,130.62,-11.38]],[[113.18,-26.05,112.96,-25.78,112.95,-25.53,113.18,-26.05]],[[137.6,-35.74,137.93,-35.73,138.12,-35.85,137.67,-35.9,137.59,-36.03,137.45,-36.08,137.21,-35.98,136.76,-36.03,136.54,-35.89,136.64,-35.75,137.33,-35.59,137.58,-35.62,137.6,-35.74]],[[145.49,-38.35,145.28,-38.39,145.3,-38.32,145.49,-38.35]],[[145.31,-38.49,145.36,-38.56,145.13,-38.53,145.22,-38.46,145.31,-38.49]],[[149.04,-20.29,148.94,-20.28,148.98,-20.15,149.04,-20.29]],[[148.89,-20.15,148.97,-20.15,148.97,-20.05,148.89,-20.05,148.89,-20.15]],[[151.15,-23.49,151.24,-23.53,151.3,-23.72,151.24,-23.78,151.03,-23.53,151.06,-23.46,151.15,-23.49]],[[150.46,-22.32,150.55,-22.32,150.55,-22.21,150.46,-22.21,150.46,-22.32]],[[149.93,-22.19,149.87,-22.15,149.91,-22.05,149.93,-22.19]],[[153.54,-27.44,153.43,-27.71,153.44,-27.41,153.54,-27.44]],[[153.44,-27.32,153.36,-27.14,153.43,-27.03,153.44,-27.32]],[[142.28,-10.71,142.19,-10.76,142.13,-10.64,142.2,-10.59,142.28,-10.71]],[[142.34,-10.19,142.28,-10.25,142.2,-10.2,142.3,-10.14,142.34,-10.19]],[[142.17,-10.15,142.1,-10.12,142.15,-10.05,142.17,-10.15]],[[146.28,-18.23,146.34,-18.4,146.3,-18.48,146.1,-18.25,146.28,-18.23]],[[136.6,-11.38,136.52,-11.39,136.78,-11.01,136.6,-11.38]],[[136.34,-11.6,136.18,-11.68,136.27,-11.58,136.48,-11.47,136.34,-11.6]],[[137.09,-15.78,137.05,-15.82,136.94,-15.71,137.01,-15.6,137.09,-15.78]],[[136.85,-15.63,136.89,-15.63,136.89,-15.5,136.85,-15.5,136.85,-15.63]],[[136.59,-15.63,136.52,-15.63,136.52,-15.54,136.61,-15.54,136.59,-15.63]],[[139.46,-17.11,139.41,-17.09,139.49,-16.99,139.57,-17.09,139.46,-17.11]],[[136.24,-13.82,136.12,-13.82,136.22,-13.67,136.24,-13.82]],[[132.59,-11.3,132.48,-11.04,132.58,-10.97,132.59,-11.3]],[[125.2,-14.58,125.14,-14.64,125.09,-14.59,125.16,-14.46,125.2,-14.58]],[[124.6,-15.4,124.52,-15.42,124.52,-15.27,124.6,-15.4]],[[115.45,-20.79,115.32,-20.85,115.43,-20.67,115.45,-20.79]],[[145.04,-40.79,145.28,-40.77,146.32,-41.16,146.72,-41.08,146.85,-41.17,146.86,-41.06,146.99,-40.99,147.46,-41,147.62,-40.84,147.87,-40.87,147.97,-40.78,148.22,-40.85,148.29,-40.95,148.34,-42.22,148.29,-42.26,148.18,-42.06,148.22,-41.97,148.02,-42.26,147.91,-42.66,147.98,-43.16,147.79,-43.22,147.65,-43.02,147.77,-43,147.8,-42.93,147.57,-42.85,147.54,-43,147.45,-43.03,147.3,-42.79,147.34,-42.96,147.24,-43.22,147.17,-43.26,147,-43.16,147.08,-43.28,146.87,-43.61,146.55,-43.51,146.04,-43.55,145.99,-43.38,146.21,-43.32,145.87,-43.29,145.49,-42.93,145.27,-42.54,145.2,-42.23,145.47,-42.49,145.52,-42.35,145.33,-42.15,145.23,-42.2,145.24,-42.02,144.77,-41.39,144.65,-40.98,144.72,-40.67,145.04,-40.79]],[[143.93,-40.12,143.84,-39.9,143.88,-39.7,144,-39.58,144.09,-39.64,144.14,-39.95,143.93,-40.12]],[[148,-39.76,148.3,-39.99,148.25,-40.1,148.31,-40.17,148.11,-40.26,147.88,-39.9,147.77,-39.87,147.93,-39.73,148,-39.76]],[[147.35,-43.4,147.31,-43.5,147.15,-43.5,147.11,-43.43,147.28,-43.28,147.35,-43.4]],[[148.1,-42.71,148.03,-42.72,148.07,-42.59,148.17,-42.65,148.1,-42.71]],[[147.43,-43.24,147.3,-43.16,147.35,-43.08,147.43,-43.24]],[[144.78,-40.51,144.75,-40.59,144.71,-40.48,144.78,-40.43,144.78,-40.51]],[[148.33,-40.31,148.47,-40.43,148.4,-40.49,148.01,-40.38,148.33,-40.31]],[[148.24,-40.52,148.19,-40.59,148.12,-40.52,148.24,-40.52]],[[158.84,-54.75,158.96,-54.75,158.96,-54.47,158.84,-54.47,158.84,-54.75]],[[123.57,-12.44,123.59,-12.44,123.59,-12.42,123.57,-12.42,123.57,-12.44]]]],
+    ['AW', 'Americas', [-70.07, 12.45, -69.9, 12.61], [[[-69.9,12.45,-70.07,12.55,-70.04,12.61,-69.9,12.45]]]],
+    ['AX', 'Europe', [19.52, 60.01, 20.61, 60.39], [[[19.99,60.35,20.24,60.28,20.19,60.19,20.04,60.18,20.03,60.09,19.74,60.1,19.69,60.27,19.85,60.22,19.82,60.39,19.99,60.35]],[[19.66,60.19,19.58,60.14,19.52,60.18,19.63,60.25,19.66,60.19]],[[20.4,60.01,20.61,60.01,20.61,60.08,20.4,60.08,20.4,60.01]]]],
+    ['AZ', 'Asia', [44.77, 38.41, 50.37, 41.89], [[[44.82,39.65,44.77,39.7,45.03,39.77,45.17,39.57,45.46,39.49,45.78,39.55,45.77,39.38,45.98,39.24,46.11,38.88,45.48,39.01,45.14,39.26,44.82,39.65]],[[48.87,38.44,48.59,38.41,48,38.85,48.29,39.02,48.11,39.24,48.32,39.4,48,39.68,47.48,39.5,46.49,38.91,46.4,39.19,46.59,39.22,46.37,39.4,46.48,39.56,46.2,39.59,45.58,39.98,45.88,40.02,45.96,40.23,45.46,40.53,45.38,40.67,45.59,40.85,45.42,40.99,45.07,41.08,45.19,41.15,45,41.29,45.28,41.45,45.72,41.34,45.73,41.26,45.92,41.19,46.17,41.2,46.54,41.09,46.67,41.29,46.18,41.66,46.43,41.89,46.57,41.8,46.75,41.81,47.14,41.52,47.32,41.28,47.79,41.2,48.06,41.46,48.39,41.6,48.57,41.85,48.66,41.79,49.46,40.8,49.78,40.58,50.18,40.51,50.37,40.28,49.92,40.32,49.55,40.19,49.33,39.61,49.36,39.35,49.16,39.03,49.01,39.13,48.85,38.84,48.87,38.44]],[[44.96,41.02,45.03,41.02,45.03,41.08,44.96,41.08,44.96,41.02]]]],
+    ['BA', 'Europe', [15.74, 42.56, 19.58, 45.28], [[[19.19,43.53,18.95,43.53,19.03,43.29,18.85,43.35,18.68,43.23,18.62,43.03,18.46,43,18.55,42.64,18.46,42.56,17.8,42.9,17.67,42.9,17.58,42.94,17.66,42.98,17.62,43.04,17.29,43.31,17.27,43.45,17.08,43.52,16.3,44.12,16.1,44.52,15.74,44.77,15.79,45.18,15.96,45.21,16.29,45.01,16.53,45.22,16.79,45.2,16.92,45.28,17.13,45.17,17.65,45.16,17.81,45.08,17.99,45.14,18.66,45.08,18.84,44.88,19.35,44.88,19.12,44.36,19.58,44.01,19.24,43.96,19.5,43.64,19.45,43.56,19.19,43.53]]]],
+    ['BB', 'Americas', [-59.65, 13.08, -59.43, 13.3], [[[-59.49,13.08,-59.61,13.1,-59.65,13.3,-59.43,13.15,-59.49,13.08]]]],
+    ['BD', 'Asia', [88.02, 20.79, 92.63, 26.56], [[[89.05,22.09,88.85,23.04,88.93,23.19,88.72,23.25,88.74,23.44,88.57,23.67,88.72,24.28,88.15,24.49,88.02,24.63,88.15,24.91,88.31,24.88,88.45,25.19,88.82,25.18,88.95,25.26,88.77,25.49,88.5,25.54,88.08,25.89,88.15,26.09,88.44,26.37,88.37,26.56,88.83,26.25,88.97,26.25,88.92,26.38,89.02,26.41,89.19,26.11,89.37,26.01,89.55,26.01,89.59,26.19,89.67,26.21,89.82,25.94,89.83,25.29,90.44,25.16,92.05,25.17,92.49,24.9,92.23,24.88,92.1,24.41,91.95,24.36,91.88,24.2,91.37,24.09,91.16,23.66,91.32,23.11,91.37,23.07,91.37,23.2,91.44,23.2,91.62,22.98,91.75,23.05,91.76,23.29,91.94,23.5,91.93,23.69,92.25,23.68,92.36,22.93,92.49,22.68,92.63,21.31,92.57,21.26,92.33,21.44,92.21,21.36,92.32,20.79,92.05,21.17,92.01,21.69,91.82,22.23,91.86,22.35,91.8,22.3,91.48,22.88,91.22,22.64,90.95,22.6,90.63,23.09,90.6,23.59,90.56,23.42,90.27,23.46,90.59,23.27,90.6,23.13,90.47,23.05,90.55,22.91,90.46,22.88,90.43,22.75,90.61,22.36,90.23,21.83,90.07,21.89,90.21,22.16,89.96,22.02,89.92,22.12,89.89,22.31,89.98,22.47,89.88,22.39,89.81,21.98,89.57,21.77,89.48,22.28,89.5,21.91,89.35,21.72,89.17,21.78,89.05,22.09]],[[91.15,22.17,91.04,22.11,91.08,22.52,91.18,22.28,91.15,22.17]],[[91.56,22.38,91.47,22.38,91.41,22.47,91.46,22.62,91.56,22.38]],[[90.78,22.09,90.51,22.07,90.68,22.33,90.5,22.84,90.67,22.81,90.87,22.49,90.78,22.09]],[[91.87,21.83,91.84,21.75,91.82,21.81,91.85,21.93,91.87,21.83]],[[91.95,21.51,91.86,21.53,91.86,21.71,91.95,21.68,91.95,21.51]],[[90.54,22.92,90.66,22.92,90.66,23.04,90.54,23.04,90.54,22.92]]]],
+    ['BE', 'Europe', [2.53, 49.51, 6.36, 51.49], [[[4.22,51.39,4.37,51.36,4.5,51.47,4.64,51.42,4.76,51.49,4.85,51.4,5.03,51.47,5.21,51.28,5.48,51.29,5.83,51.13,5.64,50.84,6.24,50.6,6.18,50.52,6.34,50.45,6.36,50.32,6.18,50.23,6.12,50.12,5.98,50.17,5.74,49.92,5.73,49.81,5.88,49.65,5.82,49.55,5.51,49.51,5.28,49.68,4.87,49.79,4.79,49.96,4.82,50.15,4.55,49.96,4.15,49.97,4.17,50.25,4.04,50.32,3.69,50.31,3.59,50.48,3.27,50.53,3.11,50.78,2.84,50.71,2.6,50.88,2.53,51.1,3.22,51.35,3.35,51.38,3.43,51.25,3.58,51.29,3.9,51.21,4.22,51.39]]]],
+    ['BF', 'Africa', [-5.52, 9.43, 2.39, 15.07], [[[0.9,10.99,0.49,10.95,-0.3,11.17,-0.63,10.93,-1.04,11.01,-2.83,11,-2.91,10.59,-2.79,10.43,-2.77,10.24,-2.78,9.75,-2.69,9.48,-2.77,9.43,-3.22,9.9,-3.79,9.92,-4.27,9.74,-4.33,9.65,-4.62,9.71,-4.97,9.93,-5.1,10.24,-5.52,10.43,-5.46,10.77,-5.49,11.04,-5.35,11.13,-5.25,11.37,-5.29,11.83,-5.11,11.97,-4.7,12.08,-4.43,12.34,-4.48,12.67,-4.23,12.79,-4.33,13.12,-4.15,13.31,-3.95,13.4,-3.47,13.2,-3.3,13.28,-3.25,13.66,-2.95,13.65,-2.87,13.95,-2.59,14.23,-2.46,14.27,-2.12,14.17,-1.97,14.46,-1.69,14.51,-0.67,15.07,-0.41,15.01,-0.24,15.06,0.22,14.91,0.16,14.5,0.38,14.25,0.43,13.97,0.62,13.7,0.9,13.61,1.2,13.36,0.99,13.36,0.99,13.04,1.56,12.64,1.79,12.61,2.08,12.71,2.21,12.54,2.22,12.43,2.06,12.36,2.39,11.9,2.29,11.69,1.98,11.42,1.43,11.45,1.32,11.3,1.15,11.25,1.09,11.08,0.9,10.99]]]],
+    ['BG', 'Europe', [22.34, 41.24, 28.59, 44.24], [[[28.01,41.97,27.53,41.92,27.24,42.09,26.62,41.97,26.32,41.72,26.11,41.73,26.13,41.39,25.92,41.31,25.25,41.24,24.99,41.36,24.77,41.36,24.49,41.56,22.92,41.34,23,41.74,22.84,41.99,22.34,42.31,22.52,42.44,22.44,42.63,22.47,42.84,22.71,42.88,22.98,43.19,22.5,43.52,22.37,43.78,22.4,43.97,22.6,44.08,22.7,44.24,23.03,44.08,22.87,43.95,22.92,43.83,23.23,43.87,25.5,43.67,26.22,44.01,27.09,44.17,27.43,44.02,27.88,43.99,28.05,43.82,28.22,43.77,28.59,43.74,28.56,43.5,28.46,43.39,28.13,43.4,27.93,43.19,27.89,42.75,27.48,42.47,27.71,42.35,28.01,41.97]]]],
+    ['BH', 'Asia', [50.47, 25.81, 50.61, 26.24], [[[50.61,25.88,50.58,25.81,50.47,25.97,50.47,26.23,50.59,26.24,50.61,25.88]]]],
+    ['BI', 'Africa', [29.02, -4.46, 30.79, -2.31], [[[30.56,-2.4,30.43,-2.64,30.43,-2.87,30.78,-2.99,30.79,-3.28,30.63,-3.35,30.43,-3.59,29.95,-4.31,29.72,-4.46,29.4,-4.45,29.21,-3.83,29.22,-3.05,29.02,-2.8,29.03,-2.66,29.1,-2.6,29.3,-2.67,29.39,-2.81,29.7,-2.79,29.87,-2.72,29.93,-2.34,30.12,-2.42,30.41,-2.31,30.56,-2.4]]]],
+    ['BJ', 'Africa', [0.78, 6.22, 3.84, 12.38], [[[1.62,6.22,1.78,6.3,1.6,6.61,1.53,6.99,1.63,7,1.6,9.05,1.38,9.36,1.33,10,0.78,10.36,0.79,10.71,0.9,10.99,1.09,11.08,1.15,11.25,1.32,11.3,1.43,11.45,1.98,11.42,2.36,11.84,2.37,12.22,2.81,12.38,3.59,11.7,3.49,11.4,3.72,11.08,3.84,10.61,3.79,10.44,3.65,10.41,3.58,10.29,3.65,10.16,3.56,9.91,3.35,9.81,3.33,9.67,3.14,9.45,3.04,9.08,2.77,9.05,2.69,7.87,2.78,7.48,2.72,6.98,2.77,6.71,2.71,6.37,1.62,6.22]]]],
+    ['BL', 'Americas', [-62.88, 17.87, -62.8, 17.92], [[[-62.88,17.87,-62.8,17.87,-62.8,17.92,-62.88,17.92,-62.88,17.87]]]],
+    ['BM', 'Americas', [-64.86, 32.27, -64.69, 32.39], [[[-64.73,32.29,-64.86,32.27,-64.69,32.39,-64.73,32.29]]]],
+    ['BN', 'Asia', [114.07, 4.04, 115.29, 5.02], [[[115.14,4.9,115.27,4.63,115.29,4.35,115.11,4.39,115.05,4.58,115.03,4.9,115.14,4.9]],[[115.03,4.9,114.75,4.72,114.84,4.39,114.66,4.04,114.32,4.26,114.22,4.48,114.07,4.59,114.43,4.66,114.99,5.02,115.05,5.02,115.03,4.9]]]],
+    ['BO', 'Americas', [-69.63, -22.89, -57.49, -9.71], [[[-69.51,-17.51,-69.63,-17.2,-69.02,-16.64,-69.03,-16.48,-68.84,-16.34,-69.22,-16.15,-69.42,-15.64,-69.17,-15.24,-69.37,-14.96,-69.36,-14.8,-68.87,-14.17,-69.08,-13.68,-68.98,-13.5,-68.98,-12.88,-68.76,-12.69,-68.69,-12.5,-69.58,-10.95,-68.85,-11.01,-68.73,-11.12,-68.62,-11.11,-68.31,-10.97,-68.07,-10.7,-67.72,-10.68,-67.42,-10.39,-67.11,-10.27,-66.57,-9.9,-65.56,-9.8,-65.4,-9.71,-65.3,-10.15,-65.45,-10.51,-65.32,-11.02,-65.39,-11.25,-65.18,-11.75,-65.09,-11.74,-64.99,-11.98,-64.51,-12.25,-64.42,-12.44,-63.94,-12.53,-63.69,-12.48,-63.35,-12.68,-63.07,-12.67,-63.02,-12.81,-62.76,-13,-62.12,-13.16,-61.79,-13.53,-61.08,-13.49,-60.51,-13.79,-60.4,-14.02,-60.48,-14.18,-60.3,-14.62,-60.27,-15.09,-60.58,-15.1,-60.24,-15.48,-60.18,-16.27,-58.34,-16.28,-58.35,-16.49,-58.48,-16.7,-58.39,-17.23,-57.99,-17.51,-57.83,-17.51,-57.49,-18.22,-57.78,-18.91,-57.72,-19.04,-57.8,-19.08,-58.13,-19.74,-57.86,-19.98,-58.09,-20.15,-58.16,-20.16,-58.18,-19.82,-59.09,-19.29,-60.01,-19.3,-61.76,-19.65,-61.92,-20.06,-62.28,-20.56,-62.28,-21.07,-62.65,-22.23,-62.83,-22,-63.86,-22.01,-63.97,-22.07,-64.32,-22.83,-64.6,-22.23,-64.99,-22.11,-65.77,-22.1,-66.22,-21.8,-66.36,-22.11,-66.71,-22.22,-66.8,-22.41,-67.03,-22.55,-67.2,-22.82,-67.71,-22.89,-67.88,-22.82,-67.88,-22.49,-68.19,-21.62,-68.2,-21.3,-68.43,-20.95,-68.56,-20.9,-68.56,-20.72,-68.49,-20.63,-68.76,-20.42,-68.69,-20.31,-68.76,-20.09,-68.56,-19.97,-68.7,-19.72,-68.47,-19.41,-68.97,-18.97,-69.14,-18.14,-69.09,-18.05,-69.31,-17.94,-69.51,-17.51]]]],
+    ['BR', 'Americas', [-74, -33.74, -34.81, 5.24], [[[-66.88,1.22,-66.35,0.77,-66.06,0.79,-65.68,0.98,-65.52,0.84,-65.55,0.69,-65.47,0.69,-65.1,1.11,-64.2,1.53,-64.01,1.93,-63.43,2.16,-63.39,2.41,-64.05,2.5,-64.01,2.67,-64.22,3.21,-64.22,3.59,-64.67,4.01,-64.79,4.28,-64.58,4.14,-64.19,4.13,-64.02,3.93,-63.34,3.94,-62.97,3.59,-62.86,3.59,-62.76,3.67,-62.71,4.02,-62.47,4.14,-62.15,4.1,-61.56,4.29,-61.28,4.52,-61,4.54,-60.63,4.89,-60.63,5.08,-60.74,5.2,-60.65,5.22,-60.14,5.24,-59.99,5.08,-60.03,4.74,-60.15,4.53,-59.7,4.38,-59.74,4.23,-59.55,3.93,-59.68,3.7,-59.86,3.59,-59.83,3.35,-59.97,2.99,-59.99,2.69,-59.89,2.36,-59.76,2.27,-59.76,1.9,-59.67,1.75,-59.23,1.38,-58.86,1.2,-58.51,1.29,-58.51,1.44,-58.34,1.59,-58.03,1.52,-57.98,1.65,-57.6,1.7,-57.37,1.94,-57.12,2.01,-56.84,1.88,-56.48,1.94,-55.96,1.86,-55.91,2.04,-56.14,2.26,-55.96,2.52,-55.73,2.41,-55.38,2.44,-54.98,2.6,-54.66,2.33,-54.13,2.12,-53.77,2.35,-53.51,2.25,-53.33,2.34,-53.23,2.21,-52.97,2.18,-52.65,2.43,-52.33,3.18,-51.77,3.99,-51.65,4.06,-51.55,4.31,-51.46,4.31,-51.22,4.09,-51.08,3.67,-51.05,3.28,-50.68,2.21,-50.72,2.13,-50.61,2.1,-50.46,1.83,-49.96,1.66,-49.9,1.16,-50.29,0.84,-50.76,0.22,-51.28,-0.08,-51.4,-0.39,-51.7,-0.76,-51.72,-1.02,-51.92,-1.18,-51.98,-1.37,-52.23,-1.36,-52.66,-1.55,-52.31,-1.56,-52.2,-1.64,-51.95,-1.59,-50.9,-0.94,-50.84,-1.04,-50.92,-1.12,-50.69,-1.76,-50.4,-2.01,-50,-1.83,-49.72,-1.93,-49.32,-1.73,-49.64,-2.66,-49.46,-2.5,-49.21,-1.92,-48.99,-1.83,-48.71,-1.49,-48.46,-1.61,-48.35,-1.48,-48.47,-1.39,-48.45,-1.15,-48.12,-0.74,-47.96,-0.77,-47.81,-0.66,-47.69,-0.73,-47.56,-0.67,-47.42,-0.77,-47.44,-0.65,-47.27,-0.65,-47.13,-0.75,-46.81,-0.78,-46.62,-0.97,-46.22,-1.03,-46.22,-1.1,-46.05,-1.1,-45.64,-1.35,-45.46,-1.36,-45.33,-1.72,-45.08,-1.47,-44.72,-1.73,-44.78,-1.8,-44.65,-1.75,-44.54,-2.05,-44.76,-2.26,-44.66,-2.37,-44.44,-2.17,-44.38,-2.37,-44.52,-2.41,-44.59,-2.57,-44.72,-3.2,-44.44,-2.94,-44.23,-2.47,-44.11,-2.49,-44.19,-2.81,-43.93,-2.58,-43.45,-2.5,-43.38,-2.38,-42.94,-2.46,-42.25,-2.79,-41.88,-2.75,-41.48,-2.92,-40.47,-2.8,-39.97,-2.86,-39.02,-3.39,-38.69,-3.65,-38.48,-3.72,-38.05,-4.22,-37.63,-4.59,-37.3,-4.71,-37.18,-4.91,-36.59,-5.1,-35.98,-5.05,-35.55,-5.13,-35.39,-5.25,-35.24,-5.57,-34.81,-7.29,-34.88,-7.75,-34.84,-7.97,-34.97,-8.41,-35.16,-8.93,-35.6,-9.54,-35.76,-9.7,-35.89,-9.69,-35.89,-9.85,-36.4,-10.48,-36.94,-10.82,-37.09,-11.05,-37.18,-11.07,-37.32,-11.38,-37.36,-11.25,-37.69,-12.1,-38.24,-12.84,-38.5,-12.96,-38.53,-12.76,-38.69,-12.62,-38.85,-12.79,-38.76,-12.91,-39.09,-13.59,-38.99,-13.61,-39.05,-14.04,-39.01,-14.1,-38.94,-14.03,-39.06,-14.65,-38.88,-15.86,-39.2,-17.18,-39.16,-17.7,-39.49,-17.99,-39.65,-18.25,-39.74,-18.64,-39.7,-19.28,-39.78,-19.57,-40,-19.74,-40.39,-20.57,-40.79,-20.91,-40.96,-21.24,-41.05,-21.5,-41,-22,-41.7,-22.31,-41.98,-22.58,-41.94,-22.79,-42.04,-22.95,-42.96,-22.97,-43.08,-22.9,-43.09,-22.72,-43.16,-22.73,-43.24,-22.79,-43.22,-22.99,-43.9,-23.1,-43.97,-23.06,-43.68,-23.01,-43.86,-22.91,-44.64,-23.06,-44.67,-23.21,-44.57,-23.27,-44.95,-23.38,-45.33,-23.6,-45.46,-23.8,-45.97,-23.79,-46.87,-24.24,-47.14,-24.49,-47.99,-25.04,-47.91,-25.07,-47.93,-25.17,-48.2,-25.42,-48.18,-25.31,-48.4,-25.27,-48.48,-25.44,-48.73,-25.37,-48.69,-25.49,-48.4,-25.6,-48.54,-25.82,-48.67,-25.84,-48.58,-25.94,-48.62,-26.18,-48.75,-26.27,-48.65,-26.41,-48.68,-26.7,-48.56,-27.2,-48.64,-27.56,-48.62,-28.08,-48.8,-28.58,-49.27,-28.87,-49.75,-29.36,-50.04,-29.8,-50.3,-30.43,-50.92,-31.26,-52.04,-32.12,-52.06,-31.83,-51.89,-31.87,-51.68,-31.78,-51.27,-31.48,-51.17,-31.34,-51.16,-31.12,-50.98,-31.09,-50.94,-30.9,-50.69,-30.7,-50.72,-30.43,-50.58,-30.44,-50.56,-30.25,-51.03,-30.37,-51.04,-30.26,-51.18,-30.21,-51.3,-30.04,-51.28,-30.24,-51.16,-30.36,-51.25,-30.47,-51.28,-30.75,-51.36,-30.67,-51.51,-31.11,-51.97,-31.38,-52.2,-31.89,-52.13,-32.17,-52.34,-32.44,-52.65,-33.14,-53.37,-33.74,-53.53,-33.66,-53.53,-33.17,-53.12,-32.74,-53.6,-32.4,-53.76,-32.06,-54.22,-31.86,-54.59,-31.49,-55.17,-31.28,-55.6,-30.85,-55.81,-31.04,-56,-31.08,-56.04,-30.78,-56.83,-30.11,-57.12,-30.15,-57.21,-30.28,-57.55,-30.26,-57.61,-30.19,-56.77,-29.42,-55.89,-28.37,-55.69,-28.38,-55.73,-28.2,-55.1,-27.87,-54.83,-27.55,-54.33,-27.42,-54.16,-27.25,-53.84,-27.12,-53.72,-26.88,-53.67,-26.29,-53.89,-25.67,-54.15,-25.52,-54.45,-25.62,-54.61,-25.58,-54.44,-25.12,-54.28,-24.31,-54.32,-24.13,-54.24,-24.05,-54.63,-23.81,-55.08,-24,-55.42,-23.95,-55.65,-22.89,-55.62,-22.67,-55.8,-22.35,-56.25,-22.27,-56.45,-22.08,-56.63,-22.23,-56.94,-22.27,-57.96,-22.11,-57.94,-21.49,-57.83,-21,-58.16,-20.16,-57.86,-19.98,-58.13,-19.74,-57.8,-19.08,-57.72,-19.04,-57.78,-18.91,-57.49,-18.22,-57.83,-17.51,-57.99,-17.51,-58.39,-17.23,-58.48,-16.7,-58.35,-16.49,-58.34,-16.28,-60.18,-16.27,-60.24,-15.48,-60.58,-15.1,-60.27,-15.09,-60.3,-14.62,-60.48,-14.18,-60.4,-14.02,-60.51,-13.79,-61.08,-13.49,-61.79,-13.53,-62.12,-13.16,-62.76,-13,-63.02,-12.81,-63.07,-12.67,-63.35,-12.68,-63.69,-12.48,-63.94,-12.53,-64.42,-12.44,-64.51,-12.25,-64.99,-11.98,-65.09,-11.74,-65.18,-11.75,-65.39,-11.25,-65.32,-11.02,-65.45,-10.51,-65.3,-10.15,-65.4,-9.71,-65.56,-9.8,-66.57,-9.9,-67.11,-10.27,-67.42,-10.39,-67.72,-10.68,-68.07,-10.7,-68.31,-10.97,-68.62,-11.11,-69.23,-10.96,-69.96,-10.93,-70.29,-11.06,-70.53,-10.95,-70.64,-11.01,-70.64,-9.82,-70.54,-9.44,-71.24,-9.97,-72.18,-10,-72.17,-9.84,-72.38,-9.51,-73.21,-9.41,-72.97,-9.12,-72.97,-8.99,-73.3,-8.65,-73.36,-8.48,-73.55,-8.35,-73.64,-8.07,-73.78,-7.94,-73.72,-7.78,-74,-7.56,-73.96,-7.38,-73.72,-7.31,-73.81,-7.08,-73.76,-6.91,-73.14,-6.47,-73.24,-6.1,-72.98,-5.63,-72.89,-5.12,-71.84,-4.5,-70.97,-4.35,-70.8,-4.17,-70.4,-4.15,-70.24,-4.3,-69.97,-4.3,-69.4,-1.2,-69.61,-0.76,-69.63,-0.51,-70.07,-0.14,-70.05,0.58,-69.47,0.73,-69.15,0.64,-69.16,0.86,-69.31,1.05,-69.85,1.06,-69.85,1.71,-69.54,1.77,-68.18,1.72,-68.25,1.85,-68.19,1.99,-67.93,1.75,-67.56,2.07,-67.4,2.12,-67.09,1.62,-67.08,1.18,-66.88,1.22]],[[-49.63,-0.23,-49.12,-0.16,-48.39,-0.3,-48.5,-0.66,-48.57,-0.69,-48.57,-0.89,-48.84,-1.23,-48.83,-1.39,-49.04,-1.51,-49.17,-1.41,-49.23,-1.6,-49.51,-1.51,-49.59,-1.71,-49.8,-1.79,-50.07,-1.7,-50.51,-1.79,-50.76,-1.24,-50.73,-1.13,-50.58,-1.1,-50.78,-1.01,-50.79,-0.91,-50.65,-0.27,-50.25,-0.12,-49.63,-0.23]],[[-44.13,-23.14,-44.36,-23.17,-44.24,-23.07,-44.13,-23.14]],[[-48.58,-26.4,-48.67,-26.29,-48.54,-26.17,-48.5,-26.22,-48.58,-26.4]],[[-45.26,-23.89,-45.26,-23.94,-45.45,-23.9,-45.3,-23.73,-45.26,-23.89]],[[-44.5,-2.94,-44.6,-3.04,-44.57,-2.79,-44.48,-2.72,-44.5,-2.94]],[[-38.75,-13.1,-38.79,-13.06,-38.67,-12.88,-38.6,-12.99,-38.75,-13.1]],[[-38.9,-13.47,-38.98,-13.52,-39.02,-13.45,-38.91,-13.4,-38.9,-13.47]],[[-44.88,-1.32,-45.02,-1.37,-44.98,-1.27,-44.88,-1.32]],[[-49.74,0.27,-49.7,0.22,-49.92,-0.02,-50.34,0.04,-50.27,0.23,-49.74,0.27]],[[-50.3,1.94,-50.46,1.91,-50.49,2.13,-50.34,2.14,-50.3,1.94]],[[-50.65,-0.13,-50.93,-0.33,-51.04,-0.23,-51,-0.11,-50.84,-0.05,-50.67,-0.06,-50.65,-0.13]],[[-49.44,-0.11,-49.83,-0.09,-49.5,0.08,-49.37,0,-49.44,-0.11]],[[-50.43,0.14,-50.45,-0.01,-50.63,0.05,-50.61,0.21,-50.45,0.33,-50.37,0.59,-50.33,0.26,-50.43,0.14]],[[-50.15,0.39,-50.26,0.36,-50.28,0.52,-50.06,0.64,-50.04,0.52,-50.15,0.39]],[[-51.83,-1.43,-51.94,-1.45,-51.68,-1.09,-51.68,-0.86,-51.55,-0.65,-51.26,-0.54,-51.16,-0.67,-51.28,-1.02,-51.83,-1.43]],[[-48.49,-27.77,-48.56,-27.81,-48.54,-27.57,-48.42,-27.4,-48.49,-27.77]]]],
+    ['BS', 'Americas', [-78.99, 20.98, -72.75, 26.9], [[[-77.66,24.25,-77.76,24.16,-77.68,24.12,-77.61,24.22,-77.56,24.14,-77.52,23.87,-77.58,23.74,-77.77,23.75,-77.85,24.04,-78,24.22,-77.66,24.25]],[[-77.23,25.9,-77.4,26.03,-77.25,26.16,-77.24,26.56,-77.51,26.85,-77.94,26.9,-77.53,26.9,-77.07,26.53,-77.04,26.33,-77.17,26.24,-77.23,25.9]],[[-73.03,21.19,-73.17,20.98,-73.68,20.98,-73.68,21.1,-73.52,21.19,-73.23,21.15,-73.06,21.31,-73.03,21.19]],[[-77.74,24.71,-77.74,24.46,-78.04,24.29,-78.14,24.49,-78.26,24.48,-78.44,24.63,-78.32,24.59,-78.24,24.65,-78.3,24.75,-78.18,24.92,-78.16,25.2,-77.97,25.08,-77.74,24.71]],[[-78.49,26.73,-77.94,26.74,-77.92,26.69,-78.75,26.5,-78.99,26.69,-78.8,26.58,-78.63,26.66,-78.6,26.8,-78.49,26.73]],[[-77.35,25.01,-77.56,25.03,-77.33,25.08,-77.27,25.04,-77.35,25.01]],[[-74.06,22.72,-74.1,22.67,-74.27,22.71,-74.31,22.84,-74.06,22.72]],[[-74.43,24.07,-74.55,23.97,-74.53,24.11,-74.43,24.07]],[[-74.21,22.21,-74.28,22.18,-74.26,22.24,-73.91,22.53,-73.95,22.72,-73.85,22.73,-73.83,22.54,-74.21,22.21]],[[-76.65,25.49,-76.13,25.14,-76.17,24.65,-76.32,24.82,-76.21,24.82,-76.16,25.12,-76.37,25.31,-76.78,25.43,-76.71,25.57,-76.65,25.49]],[[-75.66,23.45,-76.04,23.6,-76.01,23.67,-75.66,23.45]],[[-74.84,22.9,-74.97,23.07,-75.22,23.17,-75.13,23.27,-75.31,23.67,-75.06,23.15,-74.85,23,-74.84,22.9]],[[-75.31,24.2,-75.3,24.15,-75.5,24.14,-75.41,24.27,-75.72,24.69,-75.31,24.2]],[[-73.04,22.43,-72.75,22.33,-73.16,22.38,-73.13,22.46,-73.04,22.43]],[[-72.92,21.51,-73.05,21.46,-73.06,21.51,-73,21.56,-72.92,21.51]]]],
+    ['BT', 'Asia', [88.74, 26.7, 92.08, 28.31], [[[91.63,27.76,91.59,27.56,91.74,27.44,91.99,27.45,92.08,27.29,91.99,27.1,92.07,26.92,92,26.85,90.74,26.77,90.34,26.89,90.12,26.75,89.77,26.7,89.04,26.87,88.86,26.96,88.74,27.18,89.48,28.06,89.98,28.31,90.35,28.24,90.35,28.08,90.72,28.07,91.02,27.97,91.27,28.08,91.64,27.92,91.63,27.76]]]],
+    ['BW', 'Africa', [19.98, -26.84, 29.36, -17.79], [[[25.26,-17.79,25.24,-17.97,25.94,-18.94,26.17,-19.54,26.68,-19.89,27.18,-20.1,27.28,-20.48,27.7,-20.53,27.67,-21.06,28.01,-21.55,29.03,-21.8,29.04,-22.02,29.36,-22.19,29.13,-22.21,28.84,-22.48,28.21,-22.69,27.76,-23.2,27.08,-23.58,26.84,-24.24,26.4,-24.61,25.91,-24.75,25.58,-25.61,25.44,-25.71,24.75,-25.82,24.33,-25.74,24.19,-25.63,23.9,-25.6,23.39,-25.29,23.15,-25.29,22.88,-25.46,22.6,-26.13,21.7,-26.84,20.68,-26.82,20.63,-26.44,20.81,-26.16,20.79,-25.92,20.43,-25.15,19.98,-24.78,19.98,-22,20.97,-22,20.98,-18.32,23.22,-18,23.6,-18.46,24.36,-17.98,24.53,-18.05,24.91,-17.82,25.26,-17.79]]]],
+    ['BY', 'Europe', [23.18, 51.26, 32.71, 56.15], [[[31.76,52.1,31.08,52.08,30.76,51.89,30.53,51.6,30.63,51.36,30.54,51.26,30.16,51.48,29.35,51.38,29.1,51.63,28.73,51.43,28.6,51.54,28.18,51.61,27.86,51.59,27.7,51.48,27.69,51.57,27.3,51.6,27.14,51.75,25.79,51.92,24.36,51.87,23.98,51.59,23.71,51.64,23.61,51.61,23.6,51.52,23.55,51.71,23.65,52.04,23.18,52.29,23.41,52.52,23.84,52.66,23.92,52.77,23.86,53.11,23.48,53.94,24.19,53.95,24.32,53.89,24.77,53.97,24.87,54.14,25.05,54.13,25.46,54.29,25.51,54.16,25.75,54.16,25.75,54.26,25.55,54.33,25.72,54.56,25.78,54.83,26.17,55,26.25,55.12,26.6,55.13,26.78,55.27,26.46,55.34,26.6,55.67,27.05,55.83,27.58,55.8,27.89,56.08,28.12,56.15,28.28,56.06,28.56,56.09,28.79,55.94,29.09,56.02,29.37,55.94,29.35,55.78,29.48,55.68,29.94,55.85,30.23,55.84,30.91,55.57,30.81,55.28,30.98,55.05,30.8,54.78,31.15,54.63,31.07,54.49,31.4,54.2,31.83,54.03,31.75,53.81,32.45,53.69,32.47,53.55,32.71,53.42,32.7,53.34,32.14,53.09,31.42,53.2,31.26,53.02,31.56,52.76,31.58,52.31,31.76,52.1]]]],
+    ['BZ', 'Americas', [-89.24, 15.89, -87.79, 18.48], [[[-89.16,17.82,-89.14,17.97,-88.9,17.91,-88.81,17.96,-88.46,18.48,-88.3,18.47,-88.35,18.36,-88.13,18.35,-88.08,18.23,-88.27,17.61,-88.2,17.52,-88.29,17.31,-88.31,16.63,-88.88,16.02,-88.89,15.89,-89.24,15.89,-89.16,17.82]],[[-88,17.91,-87.85,17.91,-87.85,18.16,-88,18.16,-88,17.91]],[[-87.94,17.28,-87.79,17.28,-87.79,17.55,-87.94,17.55,-87.94,17.28]]]],
+    ['CA', 'Americas', [-141, 41.68, -52.65, 83.12], [[[-132.66,54.13,-132.56,54.07,-132.3,54.1,-132.17,53.96,-132.17,53.85,-132.53,53.65,-132.19,53.68,-132.13,54.03,-131.67,54.14,-131.89,53.71,-132.01,53.26,-132.52,53.19,-132.75,53.31,-132.66,53.37,-132.43,53.34,-132.85,53.51,-133.05,53.78,-133.1,54.01,-133.05,54.16,-132.66,54.13]],[[-131.75,53.2,-131.65,53.1,-131.63,52.92,-131.97,52.88,-131.45,52.7,-131.59,52.58,-131.43,52.42,-131.26,52.42,-131.32,52.3,-131.14,52.29,-131.12,52.22,-131.22,52.15,-132.17,52.78,-132.26,52.91,-132.14,53,-132.55,53.14,-131.75,53.2]],[[-127.2,50.64,-125.48,50.32,-124.83,49.53,-123.85,49.12,-123.5,48.58,-123.44,48.69,-123.39,48.67,-123.31,48.41,-123.45,48.43,-123.57,48.32,-124.87,48.65,-125.14,48.8,-124.85,49.03,-124.81,49.21,-124.93,49.01,-125.49,48.93,-125.83,49.09,-125.64,49.19,-125.83,49.28,-125.95,49.25,-125.93,49.4,-126.55,49.42,-126.54,49.59,-126.13,49.67,-126.53,49.72,-126.68,49.88,-126.9,49.94,-127.12,49.88,-127.25,50.14,-127.35,50.05,-127.47,50.16,-127.86,50.13,-127.84,50.29,-127.96,50.35,-127.91,50.45,-127.64,50.48,-127.49,50.41,-127.53,50.54,-127.46,50.58,-127.75,50.61,-127.73,50.54,-128.06,50.5,-128.35,50.7,-128.3,50.79,-127.92,50.86,-127.2,50.64]],[[-130.02,55.89,-130.1,56.11,-130.41,56.12,-130.48,56.23,-130.74,56.34,-131.58,56.6,-131.82,56.59,-131.87,56.79,-132.11,56.86,-132.03,57.03,-132.34,57.08,-132.23,57.2,-133.42,58.34,-133.4,58.41,-133.82,58.71,-134.3,58.9,-134.44,59.09,-134.95,59.29,-135.07,59.44,-135.05,59.58,-135.47,59.79,-136.32,59.6,-136.28,59.48,-136.46,59.46,-136.47,59.28,-136.58,59.15,-136.81,59.15,-137.44,58.9,-137.52,58.92,-137.48,58.99,-137.59,59.23,-138.63,59.78,-138.7,59.9,-139.19,60.08,-139.08,60.34,-139.68,60.33,-139.97,60.18,-140.45,60.3,-140.53,60.22,-141,60.3,-141,69.65,-139.18,69.52,-138.13,69.15,-137.26,68.96,-136.12,68.88,-135.26,68.68,-135.44,68.84,-135.9,68.93,-135.92,68.99,-135.58,69.03,-135.91,69.11,-135.69,69.31,-135.29,69.31,-135.14,69.47,-134.46,69.48,-134.5,69.57,-134.41,69.68,-133.88,69.51,-134.18,69.25,-133.16,69.43,-132.92,69.63,-132.4,69.66,-132.54,69.73,-132.16,69.7,-131.44,69.92,-131.14,69.91,-130.67,70.13,-129.95,70.09,-129.68,70.19,-129.54,70.11,-129.65,70,-130.83,69.65,-131.94,69.53,-132.33,69.31,-132.69,69.26,-133.38,68.89,-133.37,68.79,-133.2,68.74,-133.3,68.85,-132.58,68.85,-132.54,68.89,-132.74,68.92,-132.72,69.08,-131.92,69.29,-131.79,69.43,-131.34,69.44,-131.32,69.36,-131.06,69.45,-130.97,69.21,-130.52,69.57,-130.12,69.72,-128.9,69.97,-128.94,69.87,-129.16,69.8,-129.06,69.7,-128.85,69.75,-128.39,69.96,-128.28,70.11,-127.68,70.26,-127.97,70.29,-128.17,70.42,-128.13,70.52,-127.99,70.57,-127.23,70.3,-126.68,69.78,-126.25,69.54,-125.52,69.35,-125.17,69.43,-125.36,69.63,-125.2,69.83,-125.08,69.82,-124.77,69.99,-124.99,70.03,-124.56,70.15,-124.44,70.11,-124.41,69.77,-124.12,69.69,-124.48,69.43,-124.34,69.36,-123.53,69.39,-123.21,69.54,-123.03,69.81,-122.07,69.82,-120.96,69.66,-120.14,69.38,-118.87,69.26,-118.09,69.04,-117.23,68.91,-116.06,68.84,-116.24,68.97,-115.81,68.99,-114.99,68.85,-114.41,68.66,-113.96,68.4,-114.1,68.27,-114.76,68.27,-115.13,68.13,-115.17,68.02,-115.43,67.9,-115.13,67.82,-113.89,67.71,-112.43,67.68,-110.99,67.79,-110.07,67.99,-109.63,67.73,-109.04,67.69,-108.85,67.42,-108.61,67.6,-107.99,67.26,-107.91,67.16,-107.99,67.1,-108.5,67.09,-107.29,66.4,-107.71,66.74,-107.75,66.96,-107.62,67,-107.16,66.88,-107.35,67.06,-107.28,67.1,-107.57,67.27,-107.65,67.51,-107.95,67.7,-107.96,67.82,-107.76,67.91,-107.8,68.04,-106.43,68.2,-106.4,68.32,-105.93,68.44,-105.75,68.59,-105.93,68.64,-106.46,68.52,-106.61,68.36,-107.62,68.33,-107.74,68.29,-107.68,68.2,-107.73,68.17,-108.26,68.15,-108.72,68.3,-108.31,68.61,-106.16,68.92,-105.68,68.83,-105.54,68.72,-105.38,68.41,-104.65,68.23,-104.66,68.15,-104.49,68.06,-103.9,68.04,-103.47,68.11,-102.84,67.85,-102.32,67.74,-101.56,67.69,-100.46,67.84,-98.92,67.73,-98.41,67.81,-98.7,67.97,-98.72,68.04,-98.63,68.07,-97.93,67.71,-97.45,67.62,-97.16,67.73,-97.21,67.86,-97.74,67.98,-98.19,67.92,-98.5,68.12,-98.38,68.13,-98.65,68.36,-98.22,68.32,-97.79,68.39,-97.93,68.52,-97.41,68.5,-96.98,68.26,-96.43,68.31,-96.72,68.04,-95.97,68.25,-96.2,67.72,-96.37,67.51,-96.14,67.27,-95.72,67.32,-95.78,67.18,-95.53,67.21,-95.42,67.16,-95.42,67.01,-95.77,66.97,-96.42,67.04,-95.89,66.74,-95.79,66.62,-95.74,66.69,-96.04,66.94,-95.4,66.95,-95.26,67.26,-95.46,67.61,-95.65,67.74,-95.46,68.02,-94.74,68.07,-93.93,68.47,-93.45,68.62,-93.64,68.63,-93.68,68.89,-93.85,69,-94.06,68.78,-94.48,68.74,-94.6,68.8,-94.56,68.91,-94.09,69.12,-94.25,69.15,-94.25,69.31,-93.62,69.42,-93.8,69.28,-93.75,69.23,-93.43,69.37,-93.54,69.38,-93.53,69.48,-94.27,69.45,-94.63,69.65,-94.82,69.58,-95.96,69.8,-96.55,70.21,-96.54,70.33,-96.3,70.51,-95.88,70.55,-95.99,70.62,-95.89,70.69,-96.26,70.64,-96.55,70.81,-96.47,71.07,-96.53,71.13,-96.42,71.18,-96.45,71.24,-96.06,71.41,-95.56,71.34,-95.41,71.49,-95.83,71.53,-95.84,71.6,-95.2,71.9,-94.61,71.99,-94.31,71.77,-93.75,71.74,-93.76,71.64,-93.03,71.34,-92.88,71.07,-92.98,70.85,-92.36,70.64,-92.05,70.39,-92.05,70.3,-91.76,70.33,-91.57,70.18,-91.86,70.13,-92.32,70.24,-92.51,70.1,-91.98,70.04,-92.89,69.67,-92.31,69.67,-91.91,69.53,-91.2,69.65,-91.44,69.53,-90.42,69.46,-90.68,69.43,-90.89,69.27,-91.24,69.29,-90.74,69.11,-90.48,68.88,-90.58,68.48,-90.25,68.27,-89.9,68.49,-89.67,69.02,-89.28,69.26,-89.06,69.27,-88.04,68.81,-87.81,68.35,-87.89,68.25,-88.11,68.25,-88.24,68.34,-88.35,68.29,-88.31,67.95,-88.2,67.77,-87.5,67.36,-87.36,67.18,-86.56,67.48,-86.4,67.8,-85.95,68.07,-85.73,68.44,-85.69,68.67,-85.49,68.77,-84.87,68.77,-85.11,68.84,-84.86,69.07,-85.39,69.23,-85.51,69.85,-84.32,69.84,-83.67,69.7,-82.37,69.64,-82.5,69.53,-82.76,69.49,-82.31,69.41,-82.23,69.25,-81.38,69.19,-81.33,69.12,-81.96,68.88,-81.38,68.85,-81.25,68.74,-81.28,68.66,-81.91,68.46,-82.21,68.51,-82.55,68.45,-82.22,68.15,-82.01,68.19,-82.1,68.02,-82.06,67.93,-81.29,67.5,-81.47,67.07,-81.92,66.97,-82.2,66.76,-83.41,66.37,-83.59,66.39,-84,66.73,-84.33,66.78,-84.36,66.82,-84.27,66.84,-84.54,66.97,-84.85,67.03,-85.11,66.91,-84.74,66.93,-84.22,66.68,-83.83,66.29,-83.8,66.24,-83.87,66.21,-84.29,66.29,-84.48,66.18,-84.63,66.21,-85.1,66.32,-85.6,66.57,-86.71,66.52,-86.75,66.42,-86.68,66.36,-86,66.19,-85.96,66.12,-87.08,65.44,-87.45,65.34,-87.97,65.35,-88.74,65.68,-89.75,65.94,-89.95,65.93,-89.89,65.87,-91.41,65.96,-91.04,65.83,-91.06,65.9,-90.98,65.92,-89.92,65.78,-88.97,65.35,-87.03,65.2,-87.03,65.06,-87.28,64.83,-88.11,64.18,-88.82,63.99,-89.2,64.11,-89.13,63.97,-89.62,64.03,-89.81,64.18,-90.04,64.14,-89.86,63.96,-90.17,63.98,-90.01,63.8,-90.15,63.69,-90.81,63.58,-91.93,63.76,-91.98,63.82,-92.55,63.83,-93.7,64.15,-93.6,64.04,-93.66,63.94,-93.56,63.86,-93.27,63.84,-93.38,63.95,-92.2,63.71,-92.47,63.56,-91.84,63.7,-90.71,63.3,-90.7,63.06,-90.78,62.97,-91.45,62.8,-92.36,62.82,-92.31,62.71,-91.94,62.59,-92.55,62.55,-92.77,62.35,-92.53,62.17,-93.21,62.36,-92.9,62.22,-93.07,62.15,-93.02,62.09,-93.07,62.06,-93.35,62.03,-93.28,61.96,-93.33,61.93,-93.58,61.94,-93.31,61.77,-93.91,61.48,-93.89,61.34,-94.09,61.3,-94.07,61.14,-94.51,60.6,-94.76,60.5,-94.65,60.42,-94.79,59.95,-94.79,59.27,-94.87,59.09,-94.96,59.07,-94.29,58.72,-94.33,58.3,-94.12,58.74,-93.18,58.73,-92.43,57.32,-92.61,57.04,-92.8,56.92,-91.11,57.24,-90.59,57.22,-89.79,56.98,-88.83,56.81,-88.08,56.47,-87.48,56.02,-85.68,55.6,-85.22,55.35,-85.37,55.08,-85.06,55.29,-83.91,55.31,-82.99,55.23,-82.39,55.07,-82.22,54.81,-82.42,54.24,-82.14,53.82,-82.16,53.26,-82.29,53.03,-81.6,52.43,-81.61,52.32,-81.83,52.22,-81.47,52.2,-80.66,51.76,-80.44,51.39,-80.85,51.12,-80.48,51.31,-80.1,51.28,-79.84,51.17,-79.35,50.76,-79.71,51.12,-79.69,51.35,-79.5,51.57,-79.3,51.62,-79.04,51.46,-78.9,51.2,-78.86,51.38,-78.73,51.5,-78.98,51.78,-78.45,52.26,-78.53,52.31,-78.56,52.49,-78.75,52.66,-78.72,52.86,-78.9,53.04,-79.1,53.66,-79.04,53.82,-78.94,53.84,-79.08,53.93,-79.01,54.02,-79.24,54.1,-79.14,54.17,-79.36,54.26,-79.71,54.67,-78.48,55.01,-77.78,55.29,-76.76,56,-76.55,56.36,-76.57,57.18,-76.89,57.76,-77.16,58.02,-78.51,58.68,-78.43,58.9,-77.76,59.38,-77.86,59.48,-77.73,59.68,-77.35,59.58,-77.49,59.68,-77.33,59.8,-77.37,59.93,-77.29,60.02,-77.59,60.09,-77.45,60.15,-77.68,60.43,-77.5,60.54,-77.79,60.64,-77.6,60.82,-78.18,60.82,-77.73,61.21,-77.74,61.44,-77.51,61.56,-78.02,61.83,-78.13,62.28,-77.9,62.43,-77.37,62.57,-75.82,62.32,-75.67,62.25,-75.79,62.18,-75.34,62.31,-74.63,62.11,-74.64,62.21,-73.71,62.47,-72.88,62.13,-72.69,62.13,-72.63,62.03,-72.77,61.84,-72.51,61.92,-72.23,61.83,-72.04,61.68,-72.21,61.59,-71.87,61.69,-71.64,61.62,-71.85,61.44,-71.65,61.41,-71.74,61.34,-71.42,61.16,-70.28,61.07,-69.99,60.86,-69.71,60.92,-69.62,61.05,-69.47,61.01,-69.4,60.85,-69.64,60.69,-69.75,60.49,-69.74,60.33,-69.63,60.22,-69.67,60.08,-70.66,60.03,-69.73,59.92,-69.58,59.68,-69.69,59.49,-69.68,59.34,-69.35,59.3,-69.53,58.87,-69.65,58.82,-69.78,58.96,-70.16,58.76,-69.79,58.69,-69.27,58.88,-68.7,58.9,-68.38,58.74,-68.23,58.48,-68.36,58.16,-69.04,57.9,-68.41,58.05,-68.18,58.4,-68.02,58.48,-67.89,58.3,-68.06,58.14,-67.75,58.4,-67.68,57.99,-67.57,58.21,-66.72,58.49,-66.36,58.79,-66.09,58.66,-66,58.43,-65.92,58.57,-66.04,58.82,-65.85,58.85,-65.92,58.92,-65.7,58.97,-65.72,59.02,-65.38,59.06,-65.64,59.13,-65.7,59.21,-65.61,59.21,-65.51,59.35,-65.41,59.31,-65.48,59.47,-65.04,59.39,-65.41,59.54,-65.49,59.65,-65.43,59.78,-65.03,59.77,-65.17,59.91,-64.82,60.33,-64.5,60.27,-64.42,60.17,-64.77,60.01,-64.28,60.06,-64.18,59.97,-64.23,59.74,-64.06,59.82,-63.75,59.51,-63.95,59.38,-63.78,59.35,-63.78,59.28,-63.54,59.33,-63.42,59.19,-63.65,59.08,-63.97,59.05,-63.25,59.07,-63.31,59.03,-63.21,58.93,-63.28,58.87,-63.05,58.88,-62.87,58.67,-63.54,58.33,-63.21,58.47,-63.13,58.41,-62.61,58.5,-62.81,58.2,-63.26,58.01,-62.49,58.15,-62.3,57.97,-61.96,57.91,-61.9,57.86,-61.99,57.77,-61.97,57.61,-62.49,57.49,-61.92,57.42,-61.85,57.37,-61.98,57.25,-61.63,57.18,-61.33,57.01,-61.37,56.68,-62.06,56.7,-62.37,56.77,-62.3,56.83,-62.5,56.8,-61.74,56.53,-62.01,56.45,-61.94,56.42,-61.43,56.36,-61.71,56.23,-61.36,56.22,-61.3,56.05,-61.45,56,-61.19,55.96,-61.09,55.87,-60.74,55.94,-60.56,55.73,-60.48,55.8,-60.34,55.79,-60.41,55.65,-60.19,55.48,-60.62,55.06,-60.21,55.24,-59.76,55.31,-59.69,55.2,-59.44,55.18,-59.84,54.81,-59.26,55.2,-59,55.15,-58.78,54.84,-58.4,54.77,-57.96,54.88,-57.83,54.72,-57.4,54.59,-57.7,54.39,-58.15,54.35,-58.43,54.23,-58.63,54.05,-58.92,54.03,-59.5,53.83,-59.82,53.83,-60.06,53.73,-60.14,53.6,-60.4,53.65,-60.1,53.49,-60.29,53.39,-60.25,53.34,-60.33,53.27,-58.65,53.98,-57.94,54.09,-58.32,54.11,-58.31,54.2,-57.42,54.16,-57.13,53.79,-57.52,53.61,-57.33,53.47,-56.84,53.74,-56.53,53.77,-55.96,53.47,-55.8,53.21,-55.89,53,-55.8,52.64,-56.32,52.54,-55.74,52.47,-55.71,52.43,-55.78,52.36,-56.01,52.39,-55.67,52.19,-56.02,51.93,-56.98,51.46,-57.46,51.47,-58.02,51.32,-58.51,51.29,-59.16,50.78,-60.08,50.25,-60.81,50.25,-61.72,50.1,-61.92,50.23,-62.71,50.3,-63.24,50.24,-65.27,50.32,-66.41,50.22,-66.94,49.99,-67.37,49.35,-68.28,49.2,-68.22,49.15,-68.93,48.83,-69.67,48.2,-71.02,48.46,-69.77,48.1,-69.99,47.74,-70.71,47.14,-71.27,46.8,-72.2,46.56,-72.68,46.29,-72.98,46.21,-73.47,45.74,-73.71,45.71,-74.04,45.5,-74.31,45.53,-74,45.43,-73.98,45.35,-75.4,44.77,-76.46,44.06,-76.82,43.63,-78.85,43.58,-79.17,43.47,-79.03,43.02,-78.91,42.91,-79.04,42.8,-80.25,42.37,-81.28,42.21,-82.44,41.68,-82.69,41.68,-83.03,41.83,-83.14,41.98,-83.15,42.14,-83.07,42.3,-82.55,42.62,-82.14,43.57,-82.55,45.35,-83.59,45.82,-83.47,45.99,-83.62,46.12,-83.98,46.08,-84.09,46.23,-84.15,46.54,-84.56,46.46,-84.78,46.64,-84.88,46.9,-88.38,48.3,-89.46,48,-89.9,48,-90.09,48.12,-90.74,48.11,-90.92,48.21,-91.52,48.06,-92,48.3,-92.41,48.28,-92.5,48.44,-93,48.61,-93.38,48.62,-93.71,48.53,-94.62,48.74,-94.81,49,-94.86,49.3,-95.15,49.37,-95.16,48.99,-122.79,48.99,-122.96,49.07,-123.08,48.98,-123.08,49.13,-123.18,49.13,-123.23,49.26,-122.95,49.29,-122.88,49.4,-123.02,49.32,-123.28,49.34,-123.19,49.68,-123.32,49.58,-123.34,49.46,-123.53,49.4,-124.03,49.6,-123.99,49.74,-123.82,49.59,-123.58,49.68,-123.76,49.66,-123.88,49.74,-123.9,49.98,-123.79,50.09,-123.83,50.15,-123.95,50.18,-123.86,50.07,-123.98,49.88,-124.28,49.77,-124.48,49.81,-124.78,50.02,-125.06,50.42,-124.86,50.64,-124.86,50.87,-125.06,50.51,-125.48,50.5,-125.54,50.65,-125.64,50.47,-126.09,50.5,-126.45,50.59,-125.91,50.7,-126.51,50.68,-126.37,50.84,-126.52,50.87,-126.52,51.06,-126.63,50.92,-127.06,50.87,-127.71,51.15,-127.69,51.34,-127.42,51.61,-126.69,51.7,-127.34,51.71,-127.71,51.49,-127.87,51.78,-127.73,51.99,-127.86,51.99,-127.8,52.19,-127.24,52.39,-126.71,52.06,-127.19,52.46,-126.95,52.72,-127.02,52.84,-127.07,52.65,-127.52,52.36,-127.84,52.25,-128.1,51.79,-128.36,52.16,-128.04,52.32,-128.05,52.45,-127.94,52.55,-128.27,52.36,-128.05,52.91,-128.36,52.83,-128.45,52.88,-128.52,53.14,-129.08,53.37,-129.17,53.53,-129.02,53.69,-128.85,53.7,-128.9,53.56,-128.54,53.42,-128.13,53.42,-127.93,53.28,-128.21,53.48,-128.51,53.48,-128.67,53.55,-128.76,53.75,-128.53,53.86,-128.7,53.92,-128.96,53.84,-129.21,53.64,-129.26,53.42,-129.56,53.25,-129.91,53.55,-130.33,53.72,-130.09,53.98,-130.04,54.13,-129.62,54.23,-130.09,54.18,-130.43,54.42,-130.35,54.66,-129.56,55.46,-129.7,55.44,-129.79,55.56,-129.84,55.32,-130.05,55.06,-130.09,55.11,-129.98,55.36,-130.1,55.7,-130.02,55.89]],[[-109.82,78.65,-109.36,78.49,-109.35,78.37,-109.49,78.32,-110.42,78.29,-111.17,78.39,-111.52,78.28,-112.13,78.37,-113.17,78.28,-113.29,78.33,-112.86,78.47,-110.88,78.74,-110.41,78.76,-109.82,78.65]],[[-110.46,78.1,-109.62,78.06,-109.77,77.96,-110.86,77.83,-110.12,77.72,-110.2,77.53,-110.68,77.45,-112.37,77.36,-113.17,77.53,-113.21,77.58,-113.12,77.63,-113.28,77.81,-113.19,77.91,-112.3,78.01,-110.46,78.1]],[[-115.55,77.36,-115.51,77.29,-116.33,77.14,-115.81,76.94,-116.25,76.9,-115.94,76.71,-116.22,76.61,-117,76.53,-117.05,76.37,-117.23,76.28,-117.49,76.27,-117.99,76.41,-117.96,76.57,-117.78,76.78,-117.88,76.8,-118.3,76.74,-118.47,76.55,-118.79,76.51,-118.62,76.37,-118.99,76.15,-119.17,76.13,-119.58,76.33,-119.65,76.28,-119.64,76.16,-119.74,76.12,-119.55,76.05,-119.54,75.98,-119.91,75.86,-120.41,75.83,-120.85,76.18,-121.02,76.02,-121.22,75.98,-121.91,76.03,-122.4,75.94,-122.64,76.01,-122.55,76.08,-122.59,76.16,-122.9,76.13,-122.42,76.39,-121.56,76.45,-119.09,77.3,-118,77.38,-116.84,77.34,-116.7,77.38,-117.04,77.46,-116.51,77.55,-115.55,77.36]],[[-108.29,76.06,-107.72,76,-108.02,75.8,-107.21,75.89,-107.05,75.84,-106.91,75.68,-106.89,75.78,-106.69,75.81,-106.86,75.93,-106.68,76.02,-106.4,76.06,-105.63,75.95,-105.48,75.7,-105.97,75.13,-107.06,74.93,-107.82,75,-108.47,74.95,-108.83,75.07,-109.5,74.88,-110.39,74.81,-110.94,74.64,-112.52,74.42,-113.67,74.45,-114.27,74.6,-114.38,74.67,-114.31,74.71,-112.84,74.98,-111.67,75.02,-111.08,75.2,-111.09,75.26,-112.21,75.13,-112.6,75.21,-112.95,75.11,-113.71,75.07,-113.85,75.11,-113.85,75.26,-113.47,75.42,-113.88,75.38,-114.01,75.43,-114.17,75.24,-114.52,75.28,-114.36,75.17,-114.45,75.09,-115.02,74.98,-115.41,75.12,-115.73,74.97,-116.48,75.17,-117.01,75.16,-117.6,75.27,-117.26,75.46,-116.08,75.49,-115.14,75.68,-116.43,75.59,-117.16,75.65,-116.8,75.77,-114.99,75.9,-116.34,75.88,-116.66,75.96,-116.55,76.02,-116.59,76.1,-116.21,76.19,-114.78,76.17,-115.82,76.27,-115.78,76.36,-115.58,76.44,-115,76.5,-114.19,76.45,-113.82,76.21,-113.17,76.26,-112.7,76.2,-111.87,75.94,-112.06,75.83,-111.55,75.82,-111.28,75.61,-111.05,75.55,-109.09,75.51,-108.95,75.54,-108.95,75.7,-109.87,75.93,-109.45,76.02,-109.43,76.11,-110.2,76.29,-110.31,76.4,-109.34,76.76,-108.83,76.82,-108.47,76.74,-108.63,76.59,-108.51,76.44,-108.19,76.33,-108.12,76.23,-108.38,76.12,-108.29,76.06]],[[-114.52,72.59,-113.58,72.65,-113.49,72.72,-113.49,72.82,-113.29,72.95,-112.75,72.99,-111.27,72.71,-111.35,72.57,-111.89,72.36,-111.67,72.3,-111.31,72.45,-111.27,72.36,-111.14,72.37,-110.78,72.53,-110.21,72.66,-110.2,72.76,-110.56,72.86,-110.69,72.94,-110.66,73.01,-110.01,72.98,-108.76,72.55,-108.19,71.72,-107.81,71.63,-107.3,71.9,-107.7,72.15,-108.24,73.15,-107.93,73.22,-108.08,73.28,-108.03,73.35,-107.11,73.19,-106.95,73.28,-106.48,73.2,-105.81,73.01,-105.41,72.79,-105.23,72.41,-104.88,71.98,-104.38,71.58,-104.36,71.38,-104.56,71.13,-104.51,71.06,-103.59,70.63,-103.08,70.51,-103,70.54,-103.05,70.65,-101.99,70.28,-101.64,70.27,-101.56,70.14,-101.09,70.14,-100.97,70.03,-100.91,69.81,-101.04,69.67,-101.34,69.71,-101.48,69.85,-101.65,69.7,-102.24,69.84,-102.6,69.72,-102.53,69.62,-102.62,69.55,-103.43,69.67,-103.05,69.47,-103.12,69.2,-102.45,69.48,-102.15,69.49,-101.98,69.43,-102.04,69.26,-101.79,69.18,-101.86,69.02,-102.89,68.82,-105.1,68.92,-105.17,68.95,-105.02,69.08,-106.14,69.16,-106.34,69.22,-106.42,69.41,-106.66,69.44,-107.44,69,-108.37,68.94,-109.47,68.68,-113.13,68.49,-113.62,68.84,-113.69,69.19,-115.62,69.28,-116.51,69.43,-117.1,69.8,-117.19,70.05,-116.55,70.18,-114.59,70.31,-112.64,70.23,-111.63,70.31,-112.11,70.45,-113.76,70.69,-115.99,70.59,-117.59,70.63,-118.26,70.89,-118.38,70.97,-118.27,71.03,-117.81,71.16,-115.89,71.38,-116.05,71.42,-115.98,71.47,-115.3,71.49,-115.59,71.55,-117.94,71.39,-118.23,71.47,-117.74,71.66,-118.58,71.65,-118.99,71.76,-118.94,71.99,-118.21,72.26,-118.48,72.43,-118.37,72.53,-117.55,72.83,-116.57,73.06,-114.64,73.37,-114.3,73.33,-114.13,73.23,-114.05,72.96,-114.52,72.59]],[[-119.74,74.11,-119.21,74.2,-119.12,74.02,-118.54,74.24,-117.51,74.23,-115.63,73.67,-115.39,73.5,-115.52,73.42,-119.08,72.64,-119.51,72.3,-120.18,72.21,-120.44,71.63,-120.62,71.51,-121.47,71.39,-121.75,71.44,-122.16,71.27,-123.09,71.09,-123.39,71.22,-124.01,71.68,-125.3,71.97,-125.84,71.98,-125.76,72.14,-125.59,72.18,-125.63,72.25,-124.99,72.59,-124.97,72.84,-124.58,72.93,-124.59,73,-124.82,73.06,-124.8,73.13,-123.8,73.77,-124.19,73.9,-124.7,74.35,-121.5,74.54,-119.56,74.23,-119.74,74.11]],[[-69.49,83.02,-66.42,82.93,-66.84,82.82,-68.47,82.65,-67.4,82.67,-65.73,82.84,-65.3,82.8,-64.98,82.9,-64.5,82.78,-63.64,82.81,-63.47,82.77,-63.64,82.71,-63.09,82.56,-63.25,82.45,-62.48,82.52,-61.7,82.49,-61.3,82.4,-61.21,82.34,-61.27,82.28,-62.18,82.04,-63.59,81.85,-66.62,81.62,-66.92,81.49,-68.69,81.29,-68.32,81.26,-65.73,81.49,-64.78,81.49,-64.83,81.44,-68.63,80.68,-69.55,80.38,-70.14,80.4,-70.71,80.54,-70.21,80.28,-70.26,80.23,-72.06,80.12,-70.57,80.09,-70.76,80,-71.35,79.91,-71.11,79.85,-71.39,79.76,-72.44,79.69,-74.39,79.87,-74.66,79.84,-74.54,79.82,-73.47,79.76,-73.2,79.6,-73.36,79.5,-75.5,79.41,-76.9,79.51,-75.6,79.24,-74.48,79.23,-74.53,79.05,-75.91,79.12,-78.58,79.08,-77.88,78.94,-76.25,79.01,-74.43,78.72,-74.55,78.62,-74.88,78.54,-76.42,78.51,-75.19,78.33,-75.97,77.99,-78.01,77.95,-78.08,77.85,-78.08,77.52,-78.49,77.37,-80.57,77.32,-81.66,77.53,-81.28,77.37,-82.06,77.3,-81.84,77.21,-81.12,77.27,-80.22,77.15,-79.5,77.2,-79.34,77.16,-79.32,76.98,-79.22,76.94,-78.79,76.88,-78.29,76.98,-78,76.85,-77.98,76.75,-78.28,76.57,-79.51,76.31,-80.69,76.18,-81,76.21,-80.83,76.37,-80.97,76.47,-81.72,76.49,-82.53,76.72,-82.26,76.57,-82.23,76.47,-83.89,76.45,-84.22,76.67,-84.28,76.36,-85.14,76.3,-86.11,76.44,-86.45,76.58,-86.68,76.38,-87.35,76.45,-87.49,76.59,-87.5,76.39,-88.4,76.41,-88.49,76.77,-88.61,76.65,-88.54,76.42,-89.57,76.49,-89.5,76.83,-88.4,77.1,-86.81,77.19,-87.78,77.49,-88.09,77.72,-87.76,77.84,-87.02,77.89,-86.38,77.81,-85.59,77.46,-84.74,77.36,-83.61,77.44,-82.67,77.89,-82.59,77.99,-82.7,77.96,-83.78,77.53,-84.49,77.56,-84.86,77.5,-85.29,77.56,-85.29,77.76,-85.55,77.93,-84.62,78.2,-84.22,78.18,-84.91,78.24,-84.78,78.53,-85.02,78.31,-85.59,78.11,-86.22,78.08,-85.92,78.34,-86.91,78.13,-87.55,78.18,-87.49,78.42,-86.81,78.77,-85,78.91,-83.27,78.77,-82.99,78.84,-82.15,78.86,-81.75,78.98,-82.44,78.9,-84.41,79,-84.57,79.07,-84.38,79.12,-83.58,79.05,-85.27,79.66,-86.03,79.72,-86.42,79.84,-86.62,80.12,-86.5,80.26,-86.31,80.32,-83.72,80.23,-81.69,79.69,-80.48,79.61,-80.12,79.67,-81.01,79.69,-82.99,80.32,-80.98,80.45,-78.39,80.78,-76.86,80.87,-78.72,80.95,-78.29,81.17,-76.88,81.43,-79.2,81.12,-79.76,80.84,-81.01,80.66,-82.89,80.58,-82.22,80.77,-82.5,80.76,-83.4,80.71,-84.22,80.54,-85.15,80.52,-86.53,80.61,-86.6,80.66,-86.44,80.73,-85.25,80.99,-83.29,81.15,-85.78,81.04,-87.33,80.67,-87.71,80.66,-89.06,80.83,-89.26,80.91,-89.17,80.94,-86.48,81.04,-84.94,81.29,-87.27,81.08,-89.62,81.03,-89.98,81.12,-89.95,81.17,-89.21,81.25,-89.68,81.33,-88.62,81.5,-87.6,81.53,-88.48,81.57,-90.31,81.4,-90.55,81.46,-89.82,81.63,-90.63,81.66,-91.29,81.57,-91.68,81.64,-90.94,81.83,-89.38,81.92,-88.06,82.1,-87.02,81.96,-86.63,82.05,-85.65,81.95,-85.05,81.98,-86.62,82.22,-84.9,82.45,-83.59,82.33,-82.63,82.08,-82.33,82.09,-82.75,82.2,-82.54,82.25,-79.43,81.85,-82.45,82.39,-81.68,82.52,-82.12,82.63,-80.81,82.59,-81.18,82.75,-81.01,82.78,-78.75,82.68,-79.83,82.82,-80.16,82.91,-79.89,82.94,-77.48,82.88,-76.01,82.54,-75.57,82.61,-75.64,82.64,-77.13,83.01,-74.41,83.01,-73.27,82.77,-72.66,82.72,-73.44,82.91,-73.33,83,-72.81,83.08,-71.98,83.1,-70.94,82.9,-71.42,83.02,-71.08,83.08,-69.97,83.12,-69.49,83.02]],[[-95.49,77.79,-93.47,77.76,-93.13,77.66,-93.34,77.63,-93.55,77.47,-95.99,77.48,-96.26,77.59,-96.19,77.7,-95.49,77.79]],[[-93.54,75.03,-93.46,74.86,-93.57,74.67,-94.54,74.64,-95.87,74.83,-96.56,74.99,-96.6,75.06,-96.38,75.21,-96.18,75.24,-96.13,75.36,-95.95,75.44,-94.88,75.63,-94.43,75.59,-93.91,75.42,-93.5,75.14,-93.54,75.03]],[[-100,73.95,-99.16,73.73,-97.67,73.89,-97.11,73.79,-97,73.67,-97.63,73.5,-97.35,73.48,-97.23,73.42,-97.27,73.39,-97.8,73.29,-98.38,73.04,-98.43,72.96,-97.63,73.03,-97.33,72.94,-97.38,72.86,-97.08,72.76,-97.13,72.63,-96.54,72.7,-96.45,72.55,-96.47,72.43,-96.8,72.32,-96.59,72.2,-96.77,72.05,-96.62,71.97,-96.61,71.83,-97.58,71.63,-98.18,71.66,-98.32,71.85,-98.46,71.77,-98.2,71.44,-98.66,71.3,-99.17,71.37,-99.73,71.76,-100.59,72.15,-101.21,72.32,-101.72,72.32,-101.97,72.49,-102.66,72.72,-102.71,72.78,-102.55,72.98,-102.2,73.08,-101.92,73.06,-101.27,72.72,-100.49,72.77,-100.4,72.98,-100.13,72.91,-100.1,72.96,-100.24,73.1,-100.53,73.14,-100.54,73.2,-100.34,73.27,-99.82,73.21,-100.37,73.36,-100.89,73.28,-101.52,73.49,-100.98,73.6,-100.52,73.45,-100.61,73.58,-100.95,73.69,-100.96,73.79,-100.48,73.84,-99.99,73.79,-99.94,73.86,-100.23,73.89,-100,73.95]],[[-84.92,65.26,-84.5,65.46,-84.08,65.22,-83.49,65.13,-82.67,64.78,-82.05,64.64,-81.79,64.43,-81.68,64.21,-81.89,64.02,-80.83,64.09,-80.57,63.93,-80.67,63.9,-80.26,63.8,-81.05,63.46,-82.38,63.71,-82.47,63.93,-83.03,64.02,-83.07,64.16,-83.3,64.14,-83.58,64.06,-83.73,63.81,-84.31,63.59,-84.63,63.31,-85.39,63.12,-85.5,63.14,-85.77,63.7,-87.15,63.59,-87.19,63.67,-86.93,63.9,-86.25,64.14,-86.37,64.57,-86.08,65.53,-85.81,65.83,-85.55,65.92,-85.24,65.8,-85.11,65.62,-85.24,65.51,-85.06,65.44,-84.92,65.26]],[[-97.7,76.47,-97.74,76.33,-97.53,76.11,-97.65,75.98,-97.6,75.85,-97.89,75.76,-97.41,75.67,-97.34,75.42,-97.65,75.51,-97.88,75.42,-97.85,75.26,-97.66,75.15,-97.84,75.12,-98.07,75.2,-97.99,75.05,-100.29,75.03,-100.48,75.19,-100.14,75.25,-100.73,75.35,-100.71,75.41,-99.19,75.7,-102.54,75.51,-102.8,75.6,-102.15,75.87,-101.26,75.76,-100.97,75.8,-101.29,75.79,-101.5,75.92,-101.43,75.99,-101.82,76.04,-101.86,76.1,-101.56,76.24,-102.14,76.28,-101.79,76.45,-101.34,76.41,-101.05,76.25,-99.87,75.92,-99.69,75.96,-100.11,76.12,-99.54,76.15,-100.41,76.24,-99.98,76.31,-100.82,76.44,-100.89,76.48,-100.83,76.52,-99.81,76.63,-99.17,76.45,-98.89,76.47,-99.02,76.61,-98.71,76.69,-97.7,76.47]],[[-103.43,79.32,-102.92,79.23,-102.65,79.09,-102.73,78.97,-102.58,78.88,-102.39,79.01,-101.7,79.08,-101.04,78.94,-101.13,78.8,-100.44,78.82,-100.01,78.73,-99.58,78.56,-99.85,78.44,-99.75,78.3,-99.13,78.12,-99,78,-99.16,77.86,-99.96,77.79,-100.59,77.89,-101.07,78.19,-102.61,78.25,-102.77,78.31,-102.73,78.37,-103.95,78.26,-104.76,78.35,-104.99,78.47,-104.91,78.55,-103.57,78.54,-103.48,78.59,-103.59,78.62,-104.02,78.63,-103.37,78.74,-104.18,78.78,-103.88,78.9,-104.15,78.99,-104.9,78.81,-104.97,78.86,-104.75,79.03,-105.57,79.06,-105.44,79.3,-103.43,79.32]],[[-91.89,81.13,-91.27,80.85,-90.68,80.69,-90.64,80.59,-89.24,80.51,-89.14,80.44,-89.2,80.41,-89.15,80.36,-89.2,80.26,-88.86,80.17,-88.2,80.11,-88.61,80.26,-88.66,80.35,-88.52,80.42,-87.67,80.37,-87.63,80.19,-87.92,80.1,-87.2,80.04,-86.98,79.89,-87.3,79.58,-86.34,79.63,-86.01,79.48,-85.65,79.61,-85.04,79.28,-86.96,78.97,-87.62,78.68,-87.92,78.75,-87.96,78.89,-87.83,79.05,-88.04,79,-88.16,78.93,-88.17,78.75,-88.25,78.67,-88,78.62,-87.98,78.54,-88.15,78.48,-88.74,78.58,-88.61,78.39,-88.82,78.19,-89.1,78.21,-90.04,78.61,-90.07,78.55,-89.52,78.16,-90.3,78.33,-90.65,78.31,-90.33,78.19,-90.61,78.15,-91.9,78.24,-92.68,78.39,-92.85,78.46,-92.72,78.49,-91.87,78.54,-93.27,78.61,-93.62,78.77,-93.16,78.78,-93.9,78.87,-94.16,78.99,-92.68,79.18,-92.55,79.28,-91.3,79.37,-92.82,79.45,-93.93,79.29,-94.11,79.32,-93.94,79.39,-94.11,79.4,-95.1,79.29,-95.73,79.42,-95.66,79.53,-94.4,79.74,-95.86,79.67,-96.46,79.85,-96.77,80.14,-94.65,80.05,-94.58,80.14,-94.26,80.2,-95.41,80.13,-95.65,80.23,-96.03,80.22,-96.39,80.32,-95.55,80.37,-96.15,80.55,-96.13,80.69,-95.93,80.72,-95.23,80.69,-94.89,80.57,-93.93,80.56,-95.51,80.84,-95.27,81,-94.98,81.05,-93.29,81.1,-93.24,81.16,-93.41,81.21,-94.19,81.24,-94.18,81.34,-93.03,81.35,-91.89,81.13]],[[-94.29,76.91,-93.81,76.91,-93.23,76.77,-93.2,76.67,-93.53,76.45,-92.99,76.62,-91.31,76.68,-90.54,76.5,-91.4,76.51,-91.41,76.46,-89.29,76.3,-89.24,76.24,-89.41,76.19,-91.41,76.22,-90.25,76.05,-89.7,75.85,-89.28,75.79,-89.2,75.76,-89.26,75.7,-89.65,75.57,-89.28,75.56,-88.92,75.45,-88.8,75.5,-88.85,75.62,-88.65,75.66,-88.2,75.51,-87.73,75.58,-87.54,75.49,-87.26,75.62,-86.81,75.49,-85.95,75.4,-85.91,75.44,-86.07,75.5,-85.97,75.53,-84.61,75.65,-83.93,75.82,-83.24,75.75,-82.15,75.83,-81.27,75.76,-81,75.64,-80.32,75.63,-80.12,75.56,-80.26,75.48,-79.66,75.45,-79.51,75.26,-80.38,75.03,-79.66,75.02,-79.4,74.92,-79.94,74.83,-80.35,74.9,-80.15,74.8,-80.28,74.58,-81.94,74.47,-82.93,74.57,-83.12,74.69,-83.1,74.82,-83.52,74.9,-83.34,74.77,-83.53,74.59,-84.43,74.51,-85.06,74.61,-85.13,74.52,-85.47,74.6,-85.81,74.5,-86.73,74.56,-86.67,74.49,-86.77,74.48,-88.42,74.49,-88.56,74.57,-88.34,74.78,-88.53,74.83,-88.85,74.69,-88.94,74.79,-89.19,74.74,-89.2,74.64,-89.56,74.56,-90.55,74.61,-90.97,74.71,-90.88,74.82,-91.13,74.74,-91.13,74.65,-91.55,74.66,-91.96,74.79,-92.17,75.05,-92.08,75.12,-92.39,75.26,-92.41,75.41,-92.07,75.66,-92.18,75.85,-93.09,76.35,-93.66,76.27,-95.27,76.26,-96.04,76.49,-95.65,76.58,-95.97,76.57,-96.88,76.74,-96.88,76.8,-96.4,76.8,-96.77,76.89,-96.76,76.97,-95.85,77.07,-94.29,76.91]],[[-96.21,78.53,-95.56,78.52,-94.92,78.39,-94.89,78.34,-95.33,78.22,-94.93,78.08,-95.2,77.97,-96.99,77.81,-97.06,77.86,-97.02,77.91,-97.66,78.09,-96.94,78.15,-97.82,78.23,-98.05,78.33,-98.32,78.48,-98.06,78.56,-98.34,78.75,-97.38,78.78,-96.48,78.67,-96.21,78.53]],[[-93.17,74.16,-92.22,73.97,-91.09,74.01,-90.46,73.91,-90.38,73.82,-91.25,73.3,-91.55,73.24,-91.42,73.2,-91.46,73.15,-92.12,72.75,-94.21,72.76,-93.77,72.67,-93.53,72.5,-94.04,72.03,-95.19,72.03,-95.25,72.5,-95.6,72.88,-95.63,73.7,-95.38,73.75,-94.7,73.66,-95.15,73.91,-94.97,74.04,-93.17,74.16]],[[-97.44,69.64,-97.24,69.67,-96.3,69.34,-95.75,68.9,-95.59,68.83,-95.37,68.89,-95.27,68.83,-96.6,68.46,-97.47,68.54,-98.24,68.74,-98.32,68.84,-98.7,68.8,-98.91,68.93,-99.09,68.86,-99.44,68.92,-99.56,69.03,-99.46,69.13,-98.91,69.17,-98.46,69.33,-98.56,69.46,-98.45,69.48,-98.55,69.57,-98.04,69.46,-98.29,69.63,-98.2,69.8,-97.69,69.84,-97.41,69.74,-97.44,69.64]],[[-61.11,45.94,-60.86,45.98,-61.04,45.88,-60.97,45.84,-61.09,45.75,-61.06,45.7,-60.74,45.75,-60.46,45.97,-60.73,45.96,-60.3,46.31,-60.23,46.2,-59.87,46.16,-59.94,46.02,-59.83,45.96,-60.39,45.65,-60.67,45.59,-61.29,45.57,-61.45,45.72,-61.49,45.94,-61.41,46.17,-60.87,46.8,-60.49,47.01,-60.41,47,-60.33,46.74,-60.49,46.27,-61.11,45.94]],[[-67.12,45.17,-67.37,45.17,-67.47,45.28,-67.43,45.6,-67.8,45.73,-67.81,47.08,-68.31,47.36,-68.94,47.21,-69.05,47.27,-69.05,47.43,-69.24,47.46,-70.01,46.71,-70.07,46.44,-70.25,46.25,-70.3,45.91,-70.7,45.55,-70.69,45.43,-70.8,45.4,-70.86,45.27,-71,45.34,-71.13,45.26,-71.33,45.29,-71.52,45.01,-74.71,45,-73.56,45.42,-73.16,46.01,-72.11,46.55,-70.52,47.03,-69.47,47.97,-68.82,48.37,-68.24,48.63,-66.6,49.13,-65.52,49.27,-64.83,49.19,-64.26,48.92,-64.21,48.81,-64.51,48.84,-64.24,48.69,-64.35,48.42,-64.63,48.36,-64.82,48.2,-65.26,48.02,-65.93,48.19,-66.7,48.02,-66.36,48.06,-65.85,47.91,-65.61,47.67,-65,47.85,-65.05,47.79,-64.7,47.73,-64.85,47.57,-64.91,47.37,-65.32,47.1,-64.83,47.06,-64.91,46.89,-64.82,46.7,-64.73,46.67,-64.65,46.36,-64.54,46.24,-63.92,46.17,-63.83,46.11,-64.06,46.02,-63.7,45.86,-63.51,45.87,-63.29,45.75,-62.7,45.74,-62.75,45.65,-62.48,45.62,-61.95,45.87,-61.77,45.66,-61.49,45.69,-61.35,45.57,-61.28,45.44,-61.46,45.37,-61.03,45.29,-63.3,44.64,-63.6,44.68,-63.55,44.54,-63.61,44.48,-63.82,44.51,-64,44.65,-64.1,44.49,-64.17,44.59,-64.29,44.55,-64.34,44.44,-64.28,44.33,-64.86,43.87,-65.09,43.73,-65.23,43.73,-65.35,43.55,-65.48,43.52,-65.74,43.56,-65.89,43.79,-65.98,43.82,-66.04,43.74,-66.13,43.81,-66.19,44.14,-66.1,44.37,-65.87,44.57,-66.15,44.44,-66.09,44.5,-65.62,44.68,-65.5,44.76,-65.73,44.7,-65.66,44.76,-64.9,45.12,-64.45,45.26,-64.45,45.34,-64.33,45.31,-64.36,45.14,-64.14,45.02,-64.18,45.15,-64.09,45.22,-63.37,45.36,-64.6,45.41,-64.75,45.32,-64.87,45.36,-64.83,45.48,-64.32,45.84,-64.48,45.81,-64.63,45.95,-64.59,45.81,-64.78,45.64,-65.89,45.22,-66.11,45.32,-66.03,45.42,-66.18,45.33,-66.11,45.26,-66.44,45.1,-66.51,45.14,-66.87,45.07,-66.92,45.15,-67.12,45.17]],[[-55.46,51.54,-55.58,51.39,-56.03,51.33,-56,51.2,-55.8,51.17,-55.8,51.03,-56.7,50.06,-56.85,49.76,-56.82,49.61,-56.18,50.12,-56.12,50.06,-56.16,49.94,-55.93,50.02,-55.5,49.98,-56.14,49.62,-55.87,49.67,-56.09,49.45,-55.38,49.49,-55.35,49.37,-55.23,49.51,-55.2,49.41,-55.35,49.08,-55.18,49.24,-54.98,49.27,-54.5,49.53,-54.45,49.33,-54.32,49.42,-53.96,49.44,-53.62,49.32,-53.57,49.14,-54.16,48.79,-53.85,48.81,-53.97,48.71,-53.71,48.66,-53.79,48.53,-54.11,48.39,-53.03,48.63,-53.13,48.4,-53.61,48.21,-53.57,48.09,-53.87,48.02,-53.64,48.02,-53.86,47.8,-53.8,47.68,-53.67,47.65,-53.28,48,-52.86,48.11,-53.15,47.73,-53.17,47.51,-53.12,47.45,-52.94,47.55,-52.78,47.77,-52.65,47.55,-53.07,46.68,-53.32,46.72,-53.59,46.64,-53.6,47.15,-54.01,46.84,-54.18,46.88,-53.85,47.44,-53.99,47.76,-54.19,47.86,-54.49,47.4,-54.56,47.37,-54.47,47.55,-54.65,47.41,-54.86,47.38,-55.32,46.91,-55.79,46.87,-55.95,46.93,-55.92,47.02,-55.49,47.16,-55.19,47.45,-54.78,47.66,-55.37,47.66,-55.44,47.5,-55.58,47.46,-56.13,47.5,-55.87,47.59,-55.86,47.82,-56.77,47.57,-58.33,47.68,-58.34,47.73,-58.94,47.58,-59.26,47.63,-59.34,47.93,-58.33,48.52,-59.17,48.56,-58.84,48.75,-58.91,48.65,-58.71,48.6,-58.41,49.08,-57.99,48.99,-58.1,49.08,-57.98,49.23,-58.19,49.26,-58.21,49.39,-58.02,49.54,-57.79,49.49,-57.93,49.7,-57.43,50.51,-57.18,50.62,-57.3,50.7,-57.05,50.86,-57.04,51.01,-56.82,51.13,-56.68,51.33,-56.03,51.57,-55.69,51.47,-55.67,51.58,-55.46,51.54]],[[-86.59,71.01,-85.64,71.15,-85.1,71.15,-85,71.14,-85.07,71.08,-84.99,71.03,-84.82,71.03,-84.66,71.52,-84.7,71.63,-85.34,71.7,-85.91,71.99,-85.32,72.23,-84.28,72.04,-84.84,72.31,-84.62,72.38,-85.34,72.42,-85.61,72.61,-85.65,72.72,-85.57,72.86,-85.26,72.95,-84.26,72.8,-85.46,73.11,-85.02,73.34,-84.42,73.46,-83.78,73.42,-83.9,73.53,-83.41,73.63,-82.66,73.73,-81.6,73.7,-81.34,73.6,-81.15,73.31,-80.6,73.12,-80.59,72.93,-80.28,72.77,-81.23,72.31,-80.61,72.45,-80.94,72.21,-80.69,72.1,-80.92,72.07,-80.95,71.92,-80.18,72.21,-79.88,72.18,-80.11,72.33,-79.83,72.45,-79.58,72.31,-79.32,72.39,-79,72.27,-79.01,72.04,-78.58,71.88,-78.86,72.1,-78.82,72.27,-78.7,72.35,-77.52,72.18,-78.29,72.36,-78.48,72.47,-78.42,72.57,-77.75,72.73,-77.25,72.74,-75.7,72.57,-75.18,72.43,-75.05,72.23,-75.54,72.01,-75.92,71.72,-75.6,71.92,-75.15,72.06,-74.27,72.04,-74.21,71.94,-74.32,71.84,-75.21,71.71,-74.7,71.68,-75,71.22,-74.76,71.34,-74.49,71.65,-73.87,71.77,-73.71,71.72,-74.2,71.4,-73.71,71.59,-73.18,71.28,-73.28,71.54,-72.9,71.68,-71.64,71.52,-71.26,71.36,-71.22,71.24,-71.49,71.11,-71.94,71.09,-72.63,70.83,-72.31,70.83,-72.01,71.01,-71.74,71.05,-71.37,70.98,-70.83,71.11,-70.67,71.05,-70.64,70.9,-70.76,70.79,-71.89,70.43,-71.73,70.4,-71.43,70.55,-71.28,70.5,-71.43,70.13,-70.98,70.58,-70.56,70.74,-69.95,70.85,-69.17,70.76,-68.45,70.59,-68.36,70.48,-68.84,70.31,-69.7,70.19,-70.06,70.04,-68.78,70.2,-68.72,70.15,-69.01,69.98,-68.74,69.94,-68.23,70.11,-68.33,70.18,-68.06,70.32,-67.36,70.03,-67.17,69.8,-67.26,69.72,-68.02,69.77,-68.37,69.64,-69.25,69.51,-68.51,69.58,-67.91,69.46,-67.24,69.46,-66.69,69.29,-66.68,69.19,-66.8,69.15,-67.94,69.25,-68.62,69.21,-69.04,69.1,-68.42,69.17,-67.83,69.07,-67.75,69.04,-67.75,68.93,-67.88,68.78,-69.32,68.86,-68.33,68.73,-67.94,68.52,-66.74,68.46,-67.03,68.33,-66.83,68.22,-66.92,68.07,-66.73,68.13,-66.66,68.03,-66.63,68.21,-66.21,68.28,-66.27,68.04,-66.53,67.86,-66.44,67.83,-65.94,68.07,-65.98,67.96,-65.86,67.92,-65.51,67.97,-65.54,67.77,-65.4,67.68,-65.41,67.88,-64.92,68.03,-64.83,67.99,-65.03,67.89,-65.02,67.79,-64.64,67.84,-63.85,67.57,-64.08,67.5,-64.01,67.35,-64.7,67.35,-64.36,67.26,-63.84,67.26,-63.59,67.38,-63.04,67.23,-63.26,67.02,-63.7,66.82,-62.96,66.95,-62.38,66.91,-62.12,67.05,-61.3,66.65,-61.53,66.56,-61.9,66.68,-62.12,66.64,-61.65,66.5,-61.58,66.41,-61.86,66.31,-62.55,66.41,-62.4,66.32,-62.53,66.23,-61.99,66.03,-62.59,66.03,-62.38,65.83,-62.66,65.64,-63.17,65.66,-63.46,65.85,-63.42,65.71,-63.65,65.66,-63.34,65.62,-63.36,65.23,-63.61,64.93,-63.9,65.11,-64.15,65.07,-64.35,65.17,-64.27,65.4,-64.55,65.12,-65.11,65.46,-65.4,65.76,-65.18,65.94,-64.85,66.02,-64.45,66.32,-64.65,66.29,-65,66.08,-65.82,66,-65.89,66.02,-65.86,66.09,-65.66,66.2,-66.06,66.13,-66.48,66.28,-66.79,66.56,-66.99,66.63,-66.97,66.55,-67.08,66.53,-67.31,66.57,-67.19,66.43,-67.23,66.31,-67.88,66.47,-67.7,66.27,-67.18,66.03,-67.35,65.93,-67.83,65.97,-68.46,66.25,-68.75,66.2,-68.22,66.08,-68.26,65.94,-68.19,65.87,-67.87,65.77,-67.94,65.56,-67.57,65.64,-67.12,65.44,-67.34,65.35,-67.07,65.24,-66.97,65.09,-66.83,65.07,-66.7,64.82,-66.63,65,-66.22,64.85,-66.3,64.78,-66.21,64.72,-65.94,64.89,-65.43,64.73,-65.27,64.63,-65.53,64.51,-65.18,64.51,-65.08,64.44,-65.21,64.3,-65.58,64.29,-65.35,64.23,-65.15,64.09,-65.17,64.03,-64.68,64.03,-64.8,63.92,-64.58,63.9,-64.41,63.71,-64.56,63.68,-64.51,63.26,-64.67,63.24,-64.93,63.6,-65.19,63.76,-65,63.33,-65.05,63.23,-64.67,62.92,-65.16,62.93,-65.05,62.7,-65.11,62.63,-66.22,63.11,-66.23,62.99,-66.42,63.03,-66.66,63.26,-66.63,63.08,-66.72,63.08,-67.02,63.32,-67.26,63.34,-67.89,63.73,-67.76,63.42,-68.49,63.73,-68.86,63.75,-68.91,63.7,-68.79,63.6,-68.14,63.17,-67.68,63.09,-67.74,63.01,-66.65,62.6,-66.28,62.3,-65.98,62.21,-66.13,62.1,-66.06,61.91,-66.33,61.87,-67.44,62.15,-68.63,62.28,-69.13,62.42,-69.6,62.77,-70.23,62.76,-71.11,63,-70.95,63.12,-71.35,63.07,-71.99,63.42,-71.61,63.44,-71.38,63.58,-71.73,63.71,-72.29,63.73,-72.18,63.89,-72.5,63.82,-72.68,64.02,-73.45,64.4,-73.27,64.58,-73.91,64.58,-73.95,64.47,-74.07,64.43,-74.13,64.61,-74.46,64.64,-74.68,64.83,-74.92,64.77,-74.64,64.56,-74.7,64.5,-75.07,64.46,-75.71,64.52,-75.77,64.39,-76.86,64.24,-77.79,64.37,-78.05,64.5,-78.2,64.67,-78.1,64.94,-77.88,65.07,-77.36,65.2,-77.46,65.36,-77.33,65.45,-75.83,65.23,-75.52,65.06,-75.59,64.9,-75.45,64.84,-75.36,65.01,-75.8,65.3,-75.17,65.28,-74.98,65.38,-74.49,65.37,-73.99,65.52,-73.55,65.48,-73.74,65.77,-74.28,66.01,-74.42,66.17,-73.03,66.73,-72.79,67.03,-72.37,67.13,-72.22,67.26,-72.73,67.81,-73.33,68.27,-73.28,68.36,-73.64,68.3,-73.82,68.36,-73.88,68.43,-73.78,68.58,-73.82,68.69,-74.12,68.7,-73.99,68.55,-74.27,68.54,-74.65,68.71,-74.7,68.81,-74.89,68.81,-74.74,68.91,-74.95,68.96,-74.72,69.04,-74.85,69.07,-75.21,68.91,-75.52,68.95,-76.24,68.73,-76.59,68.7,-76.56,69.01,-75.96,69.03,-75.67,69.16,-75.79,69.32,-76.52,69.52,-76.46,69.62,-76.23,69.66,-76.51,69.68,-76.74,69.57,-77.09,69.64,-76.86,69.78,-77.59,69.85,-77.77,70.24,-78.28,70.23,-79.07,70.6,-79.4,70.4,-78.93,70.29,-78.77,70.1,-78.82,70.01,-79.52,69.89,-81.56,70.11,-80.92,69.85,-80.84,69.77,-80.92,69.73,-81.56,69.94,-82.3,69.84,-83.15,70.01,-83.86,69.96,-85.43,70.11,-85.78,70.04,-86.32,70.15,-86.5,70.35,-86.4,70.47,-86.71,70.39,-87.12,70.41,-87.07,70.32,-87.62,70.32,-87.84,70.25,-88.85,70.52,-89.21,70.76,-89.46,71.06,-87.85,70.94,-87.14,71.01,-87.87,71.21,-89.08,71.29,-89.84,71.49,-90.02,71.95,-89.66,72.17,-89.86,72.25,-89.86,72.41,-89.36,72.8,-89.23,73.11,-88.76,73.31,-88.71,73.4,-87.72,73.72,-86.41,73.86,-85.01,73.78,-84.97,73.69,-86.09,73.26,-86.63,72.87,-86.67,72.76,-86.32,72.46,-86.34,72.12,-86.22,71.9,-85.02,71.35,-86.59,71.01]],[[-61.8,49.09,-62.22,49.08,-63.04,49.23,-63.57,49.4,-63.78,49.6,-64.49,49.89,-64.13,49.94,-62.86,49.71,-61.82,49.28,-61.7,49.14,-61.8,49.09]],[[-63.81,46.47,-63.68,46.56,-63.13,46.42,-62.16,46.49,-62.02,46.42,-62.53,46.2,-62.54,46.03,-62.48,46,-62.53,45.98,-62.8,45.97,-63.02,46.07,-62.89,46.12,-63.06,46.22,-62.98,46.32,-63.27,46.2,-63.15,46.19,-63.21,46.16,-63.64,46.23,-63.8,46.37,-63.76,46.4,-64.11,46.42,-64.14,46.6,-64.39,46.64,-64.36,46.77,-63.99,47.06,-63.98,46.91,-64.09,46.78,-63.81,46.47]],[[-82,62.96,-81.96,62.83,-82.12,62.65,-83.02,62.21,-83.38,62.24,-83.7,62.16,-83.91,62.43,-83.38,62.9,-82,62.96]],[[-79.54,62.41,-79.27,62.19,-79.32,62.03,-79.67,61.64,-79.81,61.59,-80.26,61.82,-80.28,62.05,-80.18,62.21,-79.93,62.39,-79.54,62.41]],[[-75.67,68.32,-75.15,68.23,-75.06,68.14,-75.13,67.54,-75.4,67.37,-76.05,67.26,-76.95,67.25,-77.16,67.41,-77.31,67.69,-77.13,67.95,-76.69,68.26,-75.67,68.32]],[[-79.54,73.65,-78.29,73.67,-77.21,73.5,-76.29,73.08,-76.31,73,-76.09,72.88,-76.4,72.82,-78.31,72.88,-79.32,72.76,-79.82,72.83,-79.98,72.89,-80.18,73.23,-80.78,73.33,-80.82,73.43,-80.74,73.48,-80.86,73.59,-80.85,73.72,-80.41,73.77,-79.54,73.65]],[[-80.73,52.75,-82.04,53.05,-81.85,53.19,-81.14,53.21,-80.77,52.92,-80.73,52.75]],[[-78.83,56.14,-78.91,56.13,-78.8,56.38,-78.67,56.44,-78.67,56.26,-78.83,56.14]],[[-78.94,56.27,-79.17,55.88,-79.27,55.92,-79.14,56.14,-79.18,56.21,-79.49,55.87,-79.76,55.81,-79.5,56.09,-79.54,56.13,-79.9,55.87,-80.01,55.91,-79.52,56.33,-79.46,56.54,-79.54,56.18,-79.39,56.28,-79.27,56.6,-78.96,56.42,-78.94,56.27]],[[-79.98,56.21,-80.09,56.21,-80.06,56.29,-79.58,56.47,-79.69,56.33,-79.98,56.21]],[[-89.83,77.27,-90.23,77.21,-90.99,77.33,-91.15,77.39,-91.18,77.56,-90.84,77.66,-90.17,77.59,-89.72,77.44,-89.71,77.31,-89.83,77.27]],[[-104.56,77.14,-105.22,77.18,-106.07,77.72,-105.59,77.74,-105.29,77.64,-104.95,77.42,-104.5,77.31,-104.46,77.22,-104.56,77.14]],[[-98.79,79.98,-98.79,79.79,-98.95,79.72,-99.51,79.89,-100,79.88,-100.13,80,-100.05,80.09,-99.73,80.14,-99.02,80.11,-98.79,79.98]],[[-105.29,72.92,-106.07,73.2,-106.18,73.3,-106.95,73.51,-106.61,73.7,-105.51,73.77,-104.65,73.61,-104.55,73.54,-104.62,73.31,-105.29,72.92]],[[-102.23,76.02,-102.01,75.94,-102.58,75.78,-103.32,75.77,-103.04,75.92,-103.77,75.89,-103.99,75.93,-103.8,76.04,-104.41,76.11,-104.35,76.18,-104.01,76.22,-102.73,76.31,-102.58,76.28,-102.49,76.09,-102.23,76.02]],[[-104.02,76.58,-103.72,76.6,-103.03,76.43,-103.47,76.33,-104.36,76.33,-104.59,76.61,-104.08,76.67,-103.96,76.64,-104.02,76.58]],[[-118.33,75.58,-118.82,75.52,-119.39,75.62,-118.63,75.91,-117.63,76.12,-117.5,76.08,-117.63,75.97,-118.33,75.58]],[[-113.83,77.75,-114.61,77.77,-115.03,77.97,-114.33,78.08,-114.28,78,-113.62,77.83,-113.83,77.75]],[[-130.93,54.48,-130.91,54.63,-130.76,54.61,-130.93,54.48]],[[-131.03,51.96,-131.1,52.01,-131.1,52.15,-131.01,52.09,-131.03,51.96]],[[-130.24,53.96,-130.38,53.84,-130.63,53.94,-130.67,53.85,-130.71,53.92,-130.45,54.09,-130.24,53.96]],[[-129.85,53.17,-130.52,53.54,-130.4,53.62,-129.95,53.44,-129.75,53.25,-129.85,53.17]],[[-130.58,54.77,-130.22,55.03,-130.2,54.95,-130.35,54.81,-130.58,54.77]],[[-128.55,52.94,-128.51,52.52,-128.68,52.29,-128.75,52.76,-128.9,52.67,-129.19,52.99,-129.03,53.28,-128.63,53.11,-128.55,52.94]],[[-126.09,49.35,-126.06,49.26,-126.23,49.3,-126.21,49.38,-126.09,49.35]],[[-124.15,49.53,-124.65,49.76,-124.42,49.73,-124.15,49.53]],[[-126.64,49.61,-126.94,49.72,-126.92,49.84,-126.74,49.84,-126.64,49.61]],[[-125.19,50.1,-125.36,50.31,-125.3,50.41,-125.07,50.22,-125.19,50.1]],[[-128.94,52.51,-128.97,52.46,-129.15,52.61,-129.26,52.8,-128.99,52.66,-128.94,52.51]],[[-127.93,51.47,-128.09,51.51,-128.12,51.67,-128,51.7,-127.93,51.47]],[[-128.37,52.4,-128.44,52.39,-128.44,52.7,-128.25,52.78,-128.37,52.4]],[[-129.51,52.98,-129.32,52.98,-129.32,53.19,-129.51,53.19,-129.51,52.98]],[[-129.17,53.12,-129.32,53.14,-129.24,53.33,-129.17,53.12]],[[-123.44,48.75,-123.52,48.75,-123.58,48.93,-123.44,48.75]],[[-59.79,43.94,-60.12,43.95,-59.73,44,-59.79,43.94]],[[-60.96,45.49,-61.08,45.56,-60.91,45.57,-60.96,45.49]],[[-61.92,47.28,-61.77,47.26,-62.01,47.23,-61.93,47.42,-61.55,47.63,-61.4,47.64,-61.92,47.28]],[[-64.51,47.89,-64.68,47.75,-64.66,47.86,-64.51,47.89]],[[-64.47,47.96,-64.59,47.91,-64.5,48.01,-64.47,47.96]],[[-66.33,44.26,-66.21,44.26,-66.21,44.39,-66.33,44.39,-66.33,44.26]],[[-66.76,44.68,-66.9,44.63,-66.8,44.81,-66.76,44.68]],[[-73.56,45.47,-73.96,45.44,-73.47,45.7,-73.56,45.47]],[[-73.69,45.59,-73.86,45.57,-73.57,45.69,-73.69,45.59]],[[-71.03,46.87,-71.1,46.9,-70.83,47,-71.03,46.87]],[[-55.54,50.72,-55.63,50.72,-55.6,50.78,-55.47,50.8,-55.54,50.72]],[[-54.55,49.59,-54.79,49.5,-54.86,49.58,-54.55,49.59]],[[-55.36,51.89,-55.4,51.94,-55.27,52,-55.36,51.89]],[[-54.09,49.74,-53.98,49.66,-54.29,49.59,-54.28,49.71,-54.09,49.74]],[[-54.23,47.44,-54.32,47.44,-54.13,47.65,-54.23,47.44]],[[-64.82,62.56,-64.42,62.49,-64.55,62.39,-64.84,62.41,-64.96,62.46,-64.82,62.56]],[[-68.23,60.24,-68.37,60.25,-68.37,60.31,-68.14,60.56,-67.98,60.57,-67.82,60.45,-67.92,60.34,-68.23,60.24]],[[-70.34,62.55,-70.77,62.6,-71.22,62.87,-70.44,62.73,-70.27,62.58,-70.34,62.55]],[[-64.83,61.37,-65.39,61.56,-65.43,61.65,-64.79,61.66,-64.67,61.59,-64.83,61.37]],[[-65.03,61.88,-64.85,61.76,-65.17,61.8,-65.21,61.93,-65.03,61.88]],[[-69.16,59.04,-69.35,58.96,-69.3,59.14,-69.19,59.15,-69.16,59.04]],[[-64.41,60.37,-64.44,60.3,-64.74,60.38,-64.83,60.5,-64.65,60.51,-64.41,60.37]],[[-60.99,56.04,-61.2,56.06,-61.09,56.14,-60.96,56.1,-60.99,56.04]],[[-61.74,57.55,-61.64,57.42,-62.01,57.55,-61.74,57.55]],[[-67.92,69.54,-68.22,69.62,-67.83,69.68,-67.75,69.63,-67.92,69.54]],[[-62.68,67.06,-62.87,67.06,-62.62,67.18,-62.4,67.18,-62.68,67.06]],[[-79.06,75.93,-79.05,75.87,-79.36,75.83,-79.7,75.88,-79.01,76.15,-78.85,76.11,-79.06,75.93]],[[-79.87,56.77,-79.94,56.78,-79.9,56.87,-79.83,56.84,-79.87,56.77]],[[-79.72,57.52,-79.84,57.48,-79.74,57.61,-79.72,57.52]],[[-79.52,56.66,-79.58,56.64,-79.57,56.8,-79.49,56.74,-79.52,56.66]],[[-80.07,53.28,-79.94,53.28,-79.94,53.36,-80.07,53.36,-80.07,53.28]],[[-79.38,51.95,-79.65,52.01,-79.27,52.09,-79.38,51.95]],[[-123.69,48.87,-123.37,48.87,-123.37,49.09,-123.69,49.09,-123.69,48.87]],[[-124.98,50.03,-124.99,50.22,-124.91,50.08,-124.98,50.03]],[[-73.62,67.78,-74.48,67.81,-74.75,68.02,-74.38,68.09,-73.49,68,-73.41,67.79,-73.62,67.78]],[[-77.88,63.47,-77.7,63.43,-77.53,63.23,-77.94,63.11,-78.54,63.42,-77.88,63.47]],[[-94.53,75.75,-94.75,75.77,-94.9,75.93,-94.5,75.99,-94.3,75.79,-94.53,75.75]],[[-80.33,59.62,-80.17,59.62,-80.17,59.72,-80.33,59.72,-80.33,59.62]],[[-80.06,59.77,-80.17,59.76,-80.08,59.85,-79.9,59.85,-80.06,59.77]],[[-96.78,72.94,-97.09,73,-97.07,73.13,-96.86,73.19,-96.6,73.07,-96.78,72.94]],[[-97.35,74.53,-97.75,74.51,-97.42,74.63,-97.29,74.58,-97.35,74.53]],[[-98.27,73.87,-98.97,73.81,-99.42,73.9,-97.8,74.11,-97.67,74.09,-97.75,74,-98.27,73.87]],[[-90.2,69.42,-90.18,69.36,-90.33,69.25,-90.49,69.37,-90.2,69.42]],[[-90.49,69.22,-90.77,69.34,-90.6,69.37,-90.49,69.22]],[[-74.63,62.61,-73.99,62.61,-73.99,62.73,-74.63,62.73,-74.63,62.61]],[[-74.88,68.35,-75.31,68.47,-75.4,68.59,-75.29,68.69,-74.98,68.65,-74.8,68.46,-74.88,68.35]],[[-78.53,60.73,-78.67,60.72,-78.61,60.77,-78.24,60.82,-78.53,60.73]],[[-78.98,68.19,-79.17,68.23,-79.15,68.33,-78.87,68.31,-78.83,68.27,-78.98,68.19]],[[-76.68,63.39,-76.92,63.41,-77.36,63.59,-77.13,63.68,-76.65,63.5,-76.68,63.39]],[[-79.43,69.79,-79.36,69.71,-79.55,69.63,-80.05,69.63,-79.98,69.51,-80.79,69.69,-80.42,69.8,-80.12,69.74,-79.43,69.79]],[[-78.03,69.72,-77.97,69.64,-78.04,69.61,-78.85,69.48,-78.58,69.64,-78.03,69.72]],[[-77.96,63.95,-77.56,63.95,-77.56,64.04,-77.96,64.04,-77.96,63.95]],[[-83.12,66.28,-82.93,66.26,-83.06,66.2,-83.21,66.28,-83.22,66.34,-83.12,66.28]],[[-79.21,68.85,-79.36,68.86,-79.39,68.94,-78.66,69.26,-78.65,69.35,-78.33,69.39,-78.23,69.31,-78.78,68.95,-79.21,68.85]],[[-77,69.14,-77.32,69.19,-77.38,69.27,-77.34,69.4,-76.68,69.38,-77,69.14]],[[-86.91,70.11,-86.56,70.08,-86.51,70.02,-86.73,69.98,-87.32,70.08,-87.11,70.15,-86.91,70.11]],[[-83.72,65.8,-83.23,65.72,-83.33,65.63,-83.79,65.67,-83.7,65.76,-83.81,65.79,-84.12,65.77,-84.14,65.92,-84.47,66.09,-84.41,66.13,-83.79,65.97,-83.7,65.92,-83.72,65.8]],[[-86.6,67.74,-86.89,67.84,-86.85,68.01,-86.96,68.1,-86.7,68.31,-86.42,68.18,-86.4,67.89,-86.6,67.74]],[[-84.67,65.57,-85.1,65.76,-85.15,66.02,-84.94,66.01,-84.76,65.86,-84.6,65.66,-84.67,65.57]],[[-93.04,61.84,-93.2,61.92,-93.08,61.93,-92.99,61.89,-93.04,61.84]],[[-101.23,76.58,-101.61,76.61,-100.96,76.73,-100.27,76.73,-101.23,76.58]],[[-103,78.15,-103.27,78.17,-102.89,78.27,-102.79,78.22,-103,78.15]],[[-101.69,77.7,-102.38,77.73,-102.47,77.87,-101.19,77.83,-101,77.74,-101.69,77.7]],[[-89.73,76.51,-90.16,76.52,-90.56,76.75,-89.95,76.84,-89.7,76.74,-89.82,76.63,-89.73,76.51]],[[-96.08,75.51,-96.46,75.49,-96.86,75.37,-97.02,75.47,-96.37,75.65,-95.96,75.55,-96.08,75.51]],[[-95.31,74.5,-95.85,74.58,-95.51,74.64,-95.31,74.5]],[[-121.07,75.75,-121.22,75.78,-120.89,75.93,-120.92,75.81,-121.07,75.75]],[[-113.56,76.74,-114.84,76.79,-113.89,76.9,-113.52,76.83,-113.56,76.74]],[[-104.12,75.04,-104.89,75.15,-104.47,75.41,-104.08,75.42,-103.81,75.34,-103.64,75.16,-104.12,75.04]],[[-100.22,68.81,-100.4,68.72,-100.6,68.77,-100.61,68.99,-100.33,69,-100.18,68.9,-100.22,68.81]],[[-100,69.01,-100.02,68.95,-100.14,68.97,-100.25,69.05,-100.15,69.13,-100,69.01]],[[-100.31,70.5,-100.62,70.55,-100.68,70.65,-100.28,70.6,-100.31,70.5]],[[-95.51,69.57,-95.38,69.51,-95.5,69.35,-95.73,69.35,-95.67,69.44,-95.76,69.56,-95.89,69.35,-95.99,69.39,-95.87,69.61,-95.51,69.57]],[[-101.17,69.4,-101.27,69.39,-101.21,69.48,-101.35,69.56,-101.03,69.5,-101.17,69.4]],[[-101.85,68.59,-102.31,68.68,-102.01,68.83,-101.83,68.8,-101.72,68.72,-101.85,68.59]],[[-104.54,68.41,-105.05,68.56,-104.6,68.56,-104.45,68.47,-104.54,68.41]],[[-107.9,67.4,-107.95,67.32,-108.15,67.43,-108.13,67.63,-107.99,67.62,-107.9,67.4]],[[-109.17,67.98,-108.97,67.98,-108.88,67.9,-109.17,67.98]],[[-108.09,67.01,-107.8,67,-107.95,66.86,-108.09,67.01]],[[-109.32,67.99,-109.5,68.05,-109.47,68.1,-109.32,67.99]],[[-139.04,69.58,-139.29,69.6,-139.07,69.65,-138.88,69.59,-139.04,69.58]]]],
+    ['CD', 'Africa', [12.21, -13.44, 31.28, 5.31], [[[30.75,-8.19,28.9,-8.48,28.87,-8.79,28.4,-9.22,28.63,-9.83,28.64,-10.67,28.36,-11.48,28.48,-11.81,29.06,-12.35,29.49,-12.42,29.51,-12.23,29.8,-12.15,29.77,-13.44,29.65,-13.42,29.55,-13.25,29.11,-13.39,28.94,-13.31,28.67,-12.86,28.55,-12.84,28.41,-12.52,27.53,-12.19,27.16,-11.58,27.05,-11.62,26.95,-11.9,26.83,-11.97,26.03,-11.89,25.51,-11.75,25.35,-11.62,25.29,-11.21,24.52,-11.44,24.38,-11.42,24.37,-11.13,23.97,-10.87,23.83,-11.01,23.46,-10.97,23.08,-11.09,22.56,-11.06,22.28,-11.19,22.18,-10.89,22.31,-10.69,22.28,-10.26,21.81,-9.47,21.9,-8.69,21.9,-8.34,21.8,-8.11,21.84,-7.42,21.78,-7.31,20.61,-7.28,20.54,-7.18,20.59,-6.92,19.87,-6.99,19.53,-7.14,19.34,-7.97,18.56,-7.94,18.01,-8.11,17.58,-8.1,16.98,-7.26,16.92,-6.93,16.74,-6.62,16.7,-6.16,16.43,-5.9,13,-5.84,12.52,-6,12.41,-5.99,12.21,-5.76,12.5,-5.7,12.52,-5.15,12.45,-5.07,12.83,-4.74,13.14,-4.6,13.42,-4.84,13.66,-4.72,13.72,-4.45,13.94,-4.49,14.36,-4.3,14.45,-4.45,14.37,-4.59,14.41,-4.83,14.71,-4.88,15.27,-4.31,15.6,-4.03,15.87,-3.93,15.99,-3.77,16.15,-3.46,16.22,-3.03,16.22,-2.18,16.54,-1.84,16.88,-1.23,17.28,-1,17.75,-0.55,17.72,-0.28,17.89,0.23,17.9,1.12,18.06,1.54,18.07,2.01,18.62,3.3,18.57,4.26,19.07,4.89,19.32,5.07,19.69,5.12,20.23,4.83,20.56,4.46,22.42,4.14,22.87,4.72,23.42,4.66,24.32,4.99,25.07,4.97,25.25,5.02,25.4,5.26,25.53,5.31,26.82,5.06,27.11,5.2,27.4,5.11,27.79,4.64,28.19,4.35,28.43,4.33,28.73,4.51,29.22,4.39,29.47,4.61,29.68,4.59,30.2,3.98,30.51,3.84,30.59,3.62,30.76,3.62,30.89,3.46,30.75,3.04,30.85,2.89,30.73,2.46,30.96,2.4,31.28,2.15,30.94,1.68,29.94,0.82,29.94,0.5,29.72,0.1,29.56,-0.98,29.58,-1.39,29.2,-1.72,29.13,-2.2,28.86,-2.45,28.92,-2.68,29.22,-3.05,29.21,-3.83,29.4,-4.45,29.32,-4.9,29.61,-5.72,29.48,-6.03,29.54,-6.31,29.71,-6.62,30.21,-7.04,30.75,-8.19]]]],
+    ['CF', 'Africa', [14.44, 2.27, 27.4, 11], [[[24.15,8.67,24.29,8.29,24.85,8.14,25.2,7.81,25.25,7.72,25.18,7.56,25.28,7.43,25.89,7.06,26.36,6.64,26.31,6.46,26.51,6.07,27.14,5.72,27.26,5.29,27.4,5.11,27.07,5.2,26.82,5.06,25.53,5.31,25.4,5.26,25.25,5.02,25.07,4.97,24.32,4.99,23.42,4.66,22.87,4.72,22.42,4.14,20.56,4.46,20.23,4.83,19.81,5.09,19.5,5.13,19.07,4.89,18.83,4.52,18.59,4.35,18.61,3.48,18.47,3.62,18.16,3.5,17.49,3.69,16.61,3.51,16.48,3.17,16.47,2.83,16.18,2.27,16.07,2.91,15.13,3.83,15.04,4.02,15.14,4.04,15.06,4.29,14.73,4.6,14.56,5.28,14.62,5.86,14.5,5.92,14.44,6.09,14.74,6.28,15.21,7.21,15.48,7.52,15.96,7.51,16.38,7.68,16.54,7.86,16.79,7.55,17.65,7.98,18.56,8.05,19.11,8.66,18.89,8.89,19.15,9.02,20.34,9.13,20.63,9.3,21.26,9.97,21.35,9.97,21.53,10.21,21.63,10.24,21.72,10.37,21.71,10.57,22.04,10.82,22.49,11,22.86,10.92,23.31,10.39,23.65,9.82,23.62,9.34,23.47,9.11,23.54,8.82,24.15,8.67]]]],
+    ['CG', 'Africa', [11.13, -5, 18.62, 3.69], [[[11.13,-3.92,11.23,-3.69,11.5,-3.52,11.69,-3.68,11.88,-3.67,11.83,-3.53,11.94,-3.32,11.72,-3.18,11.76,-2.98,11.54,-2.84,11.6,-2.34,12.07,-2.41,12.45,-2.33,12.43,-1.93,12.63,-1.83,12.79,-1.93,12.99,-2.31,13.47,-2.4,13.73,-2.14,13.88,-2.33,13.89,-2.47,14,-2.49,14.2,-2.35,14.16,-2.22,14.38,-1.89,14.47,-0.57,14.07,-0.27,13.86,-0.2,13.95,0.35,14.09,0.54,14.32,0.62,14.43,0.9,14.18,1.37,13.85,1.42,13.28,1.24,13.19,1.28,13.25,1.37,13.17,1.79,13.29,2.16,14.58,2.2,14.9,2.01,15.16,2.04,15.34,1.94,15.74,1.92,16.06,1.68,16.14,1.72,16.08,2.11,16.47,2.83,16.48,3.17,16.61,3.51,17.49,3.69,18.16,3.5,18.5,3.6,18.61,3.48,18.62,3.3,18.07,2.01,18.06,1.54,17.9,1.12,17.89,0.23,17.72,-0.28,17.75,-0.55,17.28,-1,16.88,-1.23,16.54,-1.84,16.22,-2.18,16.15,-3.46,15.87,-3.93,15.53,-4.09,14.71,-4.88,14.41,-4.83,14.37,-4.59,14.45,-4.45,14.36,-4.3,13.94,-4.49,13.72,-4.45,13.66,-4.72,13.42,-4.84,12.8,-4.43,12.39,-4.62,12.02,-5,11.82,-4.76,11.78,-4.57,11.13,-3.92]]]],
+    ['CH', 'Europe', [5.97, 45.83, 10.46, 47.78], [[[9.52,47.52,9.62,47.47,9.49,47.06,9.84,47.01,10.13,46.85,10.35,46.99,10.46,46.9,10.43,46.55,10.09,46.6,10.04,46.48,10.13,46.24,9.94,46.36,9.53,46.31,9.43,46.48,9.3,46.5,9.25,46.29,9,46.02,9.05,45.88,8.96,45.83,8.78,46,8.82,46.08,8.46,46.25,8.42,46.45,8.09,46.27,8.12,46.16,7.79,45.92,7.54,45.98,7.05,45.9,6.77,46.16,6.76,46.42,6.43,46.43,6.23,46.33,6.27,46.25,6.2,46.19,5.97,46.15,6.1,46.28,6.06,46.43,6.16,46.61,6.41,46.75,6.46,46.95,6.95,47.27,7,47.34,6.9,47.39,7.05,47.49,7.27,47.43,7.62,47.59,8.43,47.59,8.56,47.62,8.4,47.69,8.57,47.78,8.88,47.66,9.18,47.67,9.52,47.52]]]],
+    ['CI', 'Africa', [-8.6, 4.35, -2.51, 10.72], [[[-3.25,5.09,-3.09,5.09,-3.09,5.15,-3.25,5.15,-3.25,5.09]],[[-7.99,10.16,-7.81,10.24,-7.66,10.43,-7.5,10.44,-7.36,10.26,-7.02,10.14,-6.95,10.34,-6.69,10.35,-6.65,10.66,-6.42,10.56,-6.42,10.67,-6.26,10.72,-6.19,10.4,-6.24,10.26,-6.12,10.2,-6.04,10.19,-5.84,10.39,-5.56,10.44,-5.1,10.24,-4.97,9.93,-4.62,9.71,-4.33,9.65,-4.27,9.74,-3.79,9.92,-3.22,9.9,-2.82,9.43,-2.69,9.48,-2.75,9.05,-2.6,8.8,-2.51,8.21,-2.79,7.93,-2.99,7.21,-3.23,6.81,-3.25,6.65,-3,5.71,-2.8,5.6,-2.82,5.15,-2.95,5.12,-3.17,5.2,-3.2,5.35,-3.35,5.13,-4.12,5.31,-4.61,5.24,-4.04,5.23,-4.9,5.14,-5.28,5.21,-5.37,5.15,-5.06,5.13,-5.91,5.01,-7.54,4.35,-7.59,4.82,-7.57,5.08,-7.43,5.32,-7.45,5.84,-7.8,5.98,-7.89,6.23,-8.29,6.32,-8.6,6.51,-8.33,6.8,-8.3,6.98,-8.49,7.56,-8.23,7.56,-8.01,8.08,-8.05,8.17,-8.26,8.25,-8.24,8.45,-8.05,8.49,-7.68,8.41,-7.72,8.64,-7.95,8.79,-7.94,8.98,-7.78,9.08,-7.92,9.19,-7.9,9.42,-8.03,9.4,-8.14,9.5,-8.16,9.97,-7.99,10.16]]]],
+    ['CK', 'Oceania', [-159.84, -21.25, -159.74, -21.19], [[[-159.74,-21.25,-159.84,-21.23,-159.77,-21.19,-159.74,-21.25]]]],
+    ['CL', 'Americas', [-109.44, -55.89, -66.44, -17.51], [[[-109.28,-27.14,-109.44,-27.17,-109.39,-27.07,-109.22,-27.1,-109.28,-27.14]],[[-78.8,-33.65,-78.99,-33.66,-78.88,-33.58,-78.8,-33.65]],[[-70.42,-18.35,-69.93,-18.21,-69.8,-17.99,-69.85,-17.7,-69.51,-17.51,-69.31,-17.94,-69.09,-18.05,-69.14,-18.14,-68.97,-18.97,-68.46,-19.43,-68.7,-19.72,-68.56,-19.97,-68.76,-20.09,-68.69,-20.31,-68.76,-20.42,-68.49,-20.63,-68.56,-20.72,-68.56,-20.9,-68.43,-20.95,-68.2,-21.3,-68.19,-21.62,-67.88,-22.49,-67.88,-22.82,-67.58,-22.89,-67.2,-22.82,-67.01,-23,-67.35,-24.03,-68.25,-24.39,-68.56,-24.75,-68.38,-25.09,-68.5,-25.16,-68.59,-25.42,-68.41,-26.15,-68.59,-26.47,-68.32,-26.97,-68.59,-27.14,-68.85,-27.15,-69.17,-27.92,-69.66,-28.41,-69.83,-29.1,-70.03,-29.32,-69.93,-29.77,-69.96,-30.08,-69.84,-30.17,-69.96,-30.36,-70.15,-30.36,-70.35,-30.9,-70.31,-31.02,-70.52,-31.15,-70.58,-31.57,-70.45,-31.84,-70.25,-31.96,-70.36,-32.08,-70.17,-32.47,-70.12,-32.81,-70.02,-32.88,-70.08,-33.2,-69.82,-33.28,-69.89,-33.73,-69.85,-34.22,-70.05,-34.3,-70.29,-34.73,-70.39,-35.15,-70.56,-35.25,-70.41,-35.52,-70.4,-36.06,-70.72,-36.28,-70.75,-36.39,-71.06,-36.52,-71.19,-36.84,-71.12,-37.12,-71.2,-37.3,-71.13,-37.44,-71.17,-37.76,-71.03,-38.04,-70.97,-38.45,-70.85,-38.54,-70.95,-38.74,-71.4,-38.93,-71.42,-39.29,-71.54,-39.6,-71.72,-39.64,-71.66,-40.02,-71.82,-40.18,-71.7,-40.34,-71.94,-40.79,-71.87,-40.89,-71.91,-41.65,-71.75,-42.05,-71.86,-42.15,-72.03,-42.15,-72.11,-42.25,-72.05,-42.47,-72.14,-42.58,-72.1,-43.07,-71.75,-43.24,-71.91,-43.35,-71.75,-43.59,-71.79,-43.75,-71.68,-43.93,-71.81,-44.11,-71.82,-44.38,-71.21,-44.44,-71.16,-44.56,-71.26,-44.76,-72.06,-44.77,-72.04,-44.9,-71.6,-44.98,-71.35,-45.23,-71.35,-45.33,-71.51,-45.51,-71.75,-45.58,-71.75,-45.84,-71.63,-45.95,-71.88,-46.16,-71.76,-46.32,-71.7,-46.65,-71.94,-46.83,-71.91,-47.2,-72.34,-47.49,-72.52,-47.88,-72.29,-48.23,-72.36,-48.37,-72.61,-48.52,-72.61,-48.79,-73.03,-49.01,-73.14,-49.3,-73.46,-49.31,-73.58,-49.58,-73.47,-49.79,-73.5,-50.12,-73.15,-50.74,-72.51,-50.61,-72.34,-50.68,-72.28,-50.91,-72.38,-51.1,-72.3,-51.3,-72.41,-51.54,-71.95,-51.88,-71.97,-51.96,-69.96,-52.01,-68.46,-52.29,-68.44,-52.36,-69.24,-52.21,-69.45,-52.27,-69.62,-52.46,-70.8,-52.77,-70.98,-53.37,-70.99,-53.78,-71.3,-53.88,-72.18,-53.63,-72.38,-53.47,-72.41,-53.35,-72.3,-53.25,-71.94,-53.23,-71.83,-53.4,-71.89,-53.52,-71.79,-53.48,-71.74,-53.23,-71.29,-53.03,-71.16,-52.89,-71.23,-52.81,-71.39,-52.76,-72.28,-53.13,-72.49,-53.29,-72.55,-53.46,-73.05,-53.24,-72.92,-53.12,-72.89,-52.87,-72.73,-52.76,-72.45,-52.81,-72.12,-52.65,-71.8,-52.68,-71.51,-52.61,-72.23,-52.52,-72.44,-52.63,-72.71,-52.54,-73.12,-53.07,-73.34,-53.06,-73.64,-52.84,-73.24,-52.71,-73.07,-52.53,-73.12,-52.49,-73.24,-52.62,-73.38,-52.6,-73.59,-52.69,-74.01,-52.64,-74.04,-52.4,-74.15,-52.38,-74.26,-52.11,-73.83,-52.23,-73.7,-52.2,-73.68,-52.08,-73.26,-52.16,-72.79,-51.95,-72.69,-51.99,-72.57,-52.2,-72.72,-52.36,-72.63,-52.37,-72.52,-52.25,-72.63,-52.01,-72.5,-51.85,-72.54,-51.71,-73.17,-51.45,-72.65,-51.7,-72.6,-51.8,-72.93,-51.86,-73.38,-52.07,-73.52,-52.04,-73.75,-51.79,-74.19,-51.68,-74.07,-51.58,-73.93,-51.62,-73.94,-51.27,-74.81,-51.06,-75.09,-50.68,-74.68,-50.66,-74.65,-50.62,-74.77,-50.47,-74.64,-50.36,-74.36,-50.49,-74.14,-50.82,-73.81,-50.94,-73.74,-50.7,-73.62,-50.65,-73.69,-50.57,-73.65,-50.49,-73.98,-50.83,-74.2,-50.61,-74.18,-50.49,-73.95,-50.51,-74.43,-50.35,-74.63,-50.19,-74.34,-49.98,-73.96,-49.99,-74.32,-49.78,-74.29,-49.6,-74.1,-49.56,-73.83,-49.61,-74.09,-49.43,-73.94,-49.02,-74.03,-49.03,-74.22,-49.5,-74.37,-49.4,-74.34,-48.6,-74.01,-48.48,-74.48,-48.46,-74.58,-48.27,-74.58,-48,-73.85,-48.04,-73.53,-48.2,-73.39,-48.15,-73.61,-47.99,-73.72,-47.66,-73.94,-47.93,-74.23,-47.97,-74.66,-47.7,-74.53,-47.57,-74.24,-47.68,-74.13,-47.59,-74.48,-47.43,-74.16,-47.18,-74.21,-47.08,-74.15,-46.97,-74.31,-46.79,-74.45,-46.77,-74.51,-46.89,-75,-46.74,-75.05,-46.63,-74.98,-46.51,-75.54,-46.7,-75.39,-46.86,-75.43,-46.93,-75.63,-46.86,-75.71,-46.7,-74.93,-46.16,-75.07,-46.01,-75.07,-45.88,-74.16,-45.77,-74.08,-45.68,-74.12,-45.5,-73.96,-45.4,-73.82,-45.45,-74.06,-45.95,-74.02,-46.06,-74.39,-46.22,-73.97,-46.15,-73.88,-45.85,-73.73,-45.81,-73.71,-46.07,-73.81,-46.38,-73.95,-46.53,-73.85,-46.57,-73.66,-46.3,-73.59,-45.9,-73.59,-45.78,-73.78,-45.63,-73.73,-45.48,-73.55,-45.48,-73.27,-45.35,-72.93,-45.45,-73.23,-45.26,-73.45,-45.24,-73.41,-45.1,-73.36,-44.98,-73.08,-44.92,-72.74,-44.73,-72.68,-44.59,-72.66,-44.44,-73.27,-44.17,-73.22,-43.9,-73.07,-43.86,-73,-43.63,-73.1,-43.46,-73.08,-43.32,-72.88,-43.05,-72.76,-43.04,-72.85,-42.67,-72.77,-42.51,-72.63,-42.51,-72.77,-42.26,-72.63,-42.2,-72.41,-42.39,-72.5,-41.98,-72.74,-42,-72.82,-41.91,-72.66,-41.74,-72.36,-41.65,-72.32,-41.5,-72.54,-41.69,-72.95,-41.51,-73.24,-41.78,-73.73,-41.74,-73.62,-41.58,-73.86,-41.45,-73.98,-40.97,-73.67,-39.96,-73.41,-39.79,-73.23,-39.22,-73.52,-38.51,-73.46,-38.04,-73.66,-37.7,-73.6,-37.48,-73.66,-37.34,-73.6,-37.19,-73.22,-37.17,-73.12,-36.69,-73.01,-36.64,-72.78,-35.98,-72.59,-35.76,-72.63,-35.59,-72.22,-35.1,-72.06,-34.62,-72,-34.17,-71.66,-33.65,-71.74,-33.09,-71.59,-32.97,-71.45,-32.66,-71.42,-32.39,-71.51,-32.21,-71.71,-30.76,-71.67,-30.33,-71.4,-30.14,-71.31,-29.65,-71.52,-28.93,-71.19,-28.38,-70.65,-26.33,-70.63,-25.99,-70.71,-25.78,-70.45,-25.25,-70.57,-24.64,-70.51,-23.89,-70.39,-23.57,-70.59,-23.37,-70.59,-23.25,-70.56,-23.06,-70.45,-23.03,-70.33,-22.85,-70.09,-21.49,-70.2,-20.73,-70.16,-19.71,-70.42,-18.35]],[[-68.63,-52.65,-68.65,-54.85,-69.08,-54.91,-69.49,-54.86,-69.72,-54.71,-70.03,-54.82,-70.28,-54.75,-70.5,-54.81,-71.44,-54.62,-71.9,-54.6,-71.93,-54.53,-71.8,-54.43,-71.57,-54.5,-71.39,-54.4,-71.08,-54.44,-70.8,-54.33,-70.7,-54.35,-70.7,-54.49,-70.31,-54.53,-70.86,-54.11,-70.87,-53.88,-70.65,-53.82,-70.7,-53.73,-70.53,-53.63,-70.38,-53.99,-70.63,-54,-70.53,-54.14,-70.17,-54.38,-69.74,-54.31,-69.42,-54.41,-69.31,-54.57,-69.25,-54.56,-69.04,-54.41,-69.99,-54.11,-70.15,-53.89,-70.09,-53.72,-69.39,-53.5,-69.36,-53.42,-69.64,-53.33,-70.09,-53.42,-70.33,-53.38,-70.46,-53.21,-70.44,-53.09,-70.13,-52.94,-70.38,-52.75,-70.19,-52.72,-69.94,-52.82,-69.41,-52.49,-69.17,-52.67,-68.79,-52.58,-68.63,-52.65]],[[-67.08,-55.15,-67.34,-55.29,-67.5,-55.18,-67.77,-55.26,-68.07,-55.22,-68.3,-54.98,-67.25,-54.98,-67.08,-55.15]],[[-73.77,-43.35,-74.12,-43.36,-74.39,-43.23,-74.21,-42.88,-74.17,-42.27,-74.04,-41.8,-73.53,-41.9,-73.42,-42.19,-73.53,-42.31,-73.47,-42.47,-73.79,-42.59,-73.44,-42.94,-73.54,-43.07,-73.75,-43.16,-73.77,-43.35]],[[-74.48,-49.15,-74.52,-49.62,-74.46,-49.69,-74.59,-50.01,-74.76,-50.01,-74.88,-49.73,-74.72,-49.42,-74.96,-49.53,-75.03,-49.84,-75.55,-49.79,-75.52,-49.62,-75.34,-49.63,-75.31,-49.49,-75.47,-49.36,-75.33,-49.27,-75.09,-49.27,-75.09,-49.19,-75.21,-49.15,-74.95,-48.96,-74.98,-48.82,-74.9,-48.73,-74.55,-48.77,-74.48,-49.15]],[[-75.51,-48.76,-75.62,-48.77,-75.65,-48.59,-75.52,-48.33,-75.56,-48.07,-75.39,-48.02,-75.16,-48.43,-75.16,-48.62,-75.51,-48.76]],[[-74.39,-52.92,-73.65,-53.07,-73.14,-53.35,-73.57,-53.31,-73.87,-53.1,-74.27,-53.08,-74.71,-52.77,-74.57,-52.77,-74.39,-52.92]],[[-74.57,-48.59,-74.92,-48.63,-75.21,-48.14,-75.2,-47.97,-74.83,-47.85,-74.85,-48.02,-74.6,-48.37,-74.57,-48.59]],[[-72.92,-53.48,-72.88,-53.58,-72.48,-53.59,-72.2,-53.81,-72.41,-54,-72.84,-54.12,-72.96,-54.07,-72.78,-53.95,-72.76,-53.86,-73.04,-53.83,-73.08,-54,-73.21,-53.99,-73.31,-53.94,-73.31,-53.73,-73.47,-53.74,-73.64,-53.57,-73.85,-53.55,-73.69,-53.43,-73.45,-53.41,-73.1,-53.51,-73.05,-53.39,-72.92,-53.48]],[[-74.82,-51.63,-74.78,-51.82,-74.54,-51.96,-74.7,-52.28,-74.85,-52.27,-75.11,-51.79,-74.82,-51.63]],[[-69.7,-54.92,-68.9,-55.02,-68.46,-54.96,-68.4,-55.04,-68.61,-55.16,-68.28,-55.25,-68.33,-55.33,-68.09,-55.48,-68.05,-55.64,-68.34,-55.5,-68.87,-55.45,-68.93,-55.37,-68.89,-55.24,-69.19,-55.17,-69.3,-55.17,-69.36,-55.3,-69.18,-55.48,-69.46,-55.42,-69.64,-55.32,-69.66,-55.23,-69.98,-55.15,-69.89,-54.88,-69.7,-54.92]],[[-71.39,-54.03,-71.02,-54.11,-71.01,-54.25,-71.14,-54.37,-71.47,-54.23,-71.95,-54.3,-72.21,-54.05,-72,-53.88,-71.39,-54.03]],[[-73.73,-44.39,-73.98,-44.49,-74,-44.59,-73.83,-44.84,-73.73,-45.12,-73.75,-45.27,-73.85,-45.34,-74.1,-45.32,-74.09,-45.2,-74.62,-44.65,-74.48,-44.59,-74.5,-44.47,-74.1,-44.39,-74.08,-44.19,-73.99,-44.14,-73.7,-44.27,-73.73,-44.39]],[[-72.99,-44.78,-73.23,-44.86,-73.4,-44.77,-73.45,-44.64,-73.28,-44.49,-73.26,-44.35,-72.78,-44.51,-72.99,-44.78]],[[-75.04,-44.89,-75.14,-44.82,-75.08,-44.8,-75.04,-44.89]],[[-75.3,-50.68,-75.33,-50.77,-75.44,-50.74,-75.43,-50.48,-75.12,-50.51,-75.29,-50.6,-75.3,-50.68]],[[-75.11,-48.84,-75.39,-49.16,-75.51,-49.23,-75.64,-49.2,-75.49,-49.08,-75.64,-48.94,-75.58,-48.86,-75.12,-48.77,-75.11,-48.84]],[[-75.11,-47.84,-75.26,-47.76,-75.2,-47.73,-74.93,-47.72,-75.11,-47.84]],[[-74.67,-43.61,-74.84,-43.57,-74.75,-43.54,-74.67,-43.61]],[[-73.63,-44.82,-73.82,-44.65,-73.78,-44.56,-73.64,-44.61,-73.63,-44.82]],[[-74.56,-51.28,-74.62,-51.4,-75.05,-51.4,-75.29,-51.62,-75.15,-51.28,-75.04,-51.32,-74.61,-51.21,-74.56,-51.28]],[[-75.06,-50.3,-75.25,-50.38,-75.45,-50.34,-75.33,-50.01,-74.88,-50.11,-74.84,-50.2,-75.06,-50.3]],[[-73.81,-43.83,-73.79,-43.88,-73.96,-43.92,-74.14,-43.87,-73.81,-43.83]],[[-74.14,-51.93,-74.43,-51.85,-74.48,-51.73,-74.13,-51.87,-74.14,-51.93]],[[-74.31,-45.69,-74.46,-45.76,-74.68,-45.74,-74.69,-45.66,-74.49,-45.43,-74.5,-45.28,-74.31,-45.17,-74.31,-45.46,-74.23,-45.61,-74.31,-45.69]],[[-67.57,-55.89,-67.85,-55.84,-67.55,-55.83,-67.57,-55.89]],[[-66.47,-55.23,-66.63,-55.23,-66.52,-55.17,-66.44,-55.19,-66.47,-55.23]],[[-70.99,-54.87,-70.8,-54.97,-70.42,-54.91,-70.3,-55.11,-70.48,-55.18,-70.6,-55.08,-70.94,-55.06,-71.2,-54.89,-71.4,-54.93,-71.41,-54.84,-70.99,-54.87]],[[-67.29,-55.78,-67.56,-55.71,-67.37,-55.59,-67.29,-55.78]]]],
+    ['CM', 'Africa', [8.56, 1.68, 16.18, 13.08], [[[8.56,4.76,8.8,5.2,9,5.92,9.66,6.53,9.78,6.76,10.14,7,10.2,6.89,10.48,6.89,10.61,7.06,11.01,6.74,11.11,6.46,11.24,6.45,11.48,6.6,11.58,6.89,11.86,7.12,11.77,7.27,12.02,7.59,12.23,8.28,12.4,8.6,12.58,8.62,12.78,8.82,12.88,9.3,12.93,9.43,13.2,9.56,13.27,10.04,13.42,10.17,13.53,10.61,13.89,11.14,14.56,11.49,14.62,12.15,14.52,12.3,14.2,12.38,14.06,13.08,14.46,13.02,14.55,12.82,14.85,12.5,15.08,11.85,15.12,11.54,15.03,11.11,15.13,10.65,15.28,10.36,15.65,10.01,14.24,9.98,13.98,9.69,14.33,9.2,15.11,8.56,15.56,7.74,14.77,6.32,14.43,6.04,14.62,5.86,14.56,5.28,14.64,5.18,14.71,4.67,15.06,4.29,15.14,4.04,15.04,4.02,15.06,3.95,15.77,3.13,15.9,3.1,16.07,2.91,16.18,2.27,16.07,2.02,16.14,1.72,16.06,1.68,15.6,1.95,14.9,2.01,14.58,2.2,13.29,2.16,13.22,2.26,11.56,2.3,11.35,2.3,11.33,2.17,9.98,2.17,9.8,2.3,9.95,3.08,9.92,3.24,9.67,3.54,9.77,3.62,9.64,3.61,9.56,3.8,9.74,3.85,9.64,3.97,9.69,4.06,9.48,4.07,9.43,3.92,9,4.09,8.92,4.55,8.66,4.67,8.69,4.55,8.57,4.53,8.56,4.76]]]],
+    ['CN', 'Asia', [73.61, 18.22, 134.75, 53.56], [[[118.18,24.5,118.15,24.44,118.08,24.5,118.1,24.55,118.18,24.5]],[[121.86,31.49,121.52,31.55,121.21,31.81,121.46,31.76,121.86,31.49]],[[122.3,29.96,122.03,30.01,121.97,30.14,122.28,30.07,122.3,29.96]],[[122.04,29.66,122.17,29.66,122.17,29.78,122.04,29.78,122.04,29.66]],[[122.4,29.89,122.37,29.85,122.33,29.93,122.4,29.89]],[[119.82,25.46,119.7,25.43,119.72,25.64,119.84,25.59,119.82,25.46]],[[110.39,21.09,110.52,21.08,110.5,20.97,110.28,21,110.39,21.09]],[[121.25,28.09,121.13,28.06,121.13,28.14,121.2,28.2,121.25,28.09]],[[113.4,22.76,113.56,22.76,113.56,22.9,113.4,22.9,113.4,22.76]],[[112.79,21.6,112.71,21.7,112.78,21.77,112.86,21.75,112.79,21.6]],[[112.64,21.64,112.52,21.62,112.65,21.71,112.64,21.64]],[[107.97,21.51,107.76,21.66,107.35,21.61,106.97,21.92,106.66,21.98,106.55,22.5,106.78,22.78,106.54,22.91,106.28,22.86,106.15,22.97,105.84,22.92,105.55,23.07,105.27,23.34,104.86,23.14,104.8,22.91,104.69,22.82,104.37,22.7,104.14,22.8,103.94,22.54,103.62,22.78,103.49,22.59,103.3,22.76,103.01,22.45,102.47,22.75,102.13,22.38,102.02,22.44,101.84,22.39,101.71,22.49,101.52,22.25,101.74,21.83,101.72,21.32,101.8,21.24,101.73,21.16,101.54,21.23,101.25,21.2,101.08,21.76,100.6,21.47,100.15,21.48,100.1,21.66,99.94,21.76,99.92,22.03,99.17,22.15,99.34,22.5,99.38,22.83,99.51,22.96,99.34,23.1,98.86,23.19,98.83,23.62,98.68,23.91,98.83,24.12,98.21,24.11,97.56,23.91,97.71,24.23,97.67,24.38,97.53,24.49,97.53,24.63,97.58,24.78,97.74,24.87,97.71,25.03,97.82,25.25,98.01,25.29,98.14,25.57,98.33,25.59,98.47,25.79,98.66,25.86,98.56,26.07,98.69,26.19,98.74,26.7,98.65,27.57,98.45,27.66,98.3,27.55,98.1,28.14,97.66,28.5,97.54,28.51,97.32,28.22,97.08,28.37,96.77,28.37,96.6,28.46,96.39,28.37,96.28,28.41,96.58,28.76,96.44,29.05,96.14,28.92,96.12,29.08,96.36,29.25,96.23,29.25,96.04,29.45,95.51,29.21,95.39,29.04,94.77,29.18,94.62,29.31,93.76,28.73,93.25,28.63,93.12,28.4,92.7,28.15,92.69,27.99,92.55,27.88,91.98,27.73,91.63,27.76,91.64,27.92,91.27,28.08,91.02,27.97,90.72,28.07,90.35,28.08,90.35,28.24,89.9,28.29,89.48,28.06,88.89,27.32,88.75,27.52,88.85,27.87,88.8,28.01,88.62,28.09,88.14,27.95,88.11,27.87,87.62,27.81,87.14,27.84,86.62,28.1,86.41,27.93,86.14,28.12,86,27.91,85.68,28.28,85.12,28.32,85.16,28.59,84.8,28.56,84.23,28.91,84.1,29.22,83.94,29.28,83.58,29.18,83.16,29.61,82.85,29.68,82.22,30.06,82.04,30.33,81.64,30.39,81.42,30.34,81.25,30.09,81.11,30.04,80.98,30.24,80.68,30.42,80.19,30.57,80.15,30.79,79.79,30.97,79.49,30.99,79.11,31.4,78.76,31.3,78.73,31.47,78.8,31.62,78.69,31.74,78.73,31.96,78.5,32.22,78.39,32.52,78.7,32.6,78.92,32.36,79.22,32.5,79.13,33.17,78.8,33.5,78.73,34.01,78.97,34.23,78.97,34.3,78.67,34.52,78.28,34.65,78.01,35.25,78.04,35.48,77.09,35.55,76.63,35.73,76.55,35.89,76.18,35.81,76.07,35.98,75.91,36.05,75.97,36.38,75.84,36.65,75.67,36.74,75.42,36.74,75.35,36.91,74.54,37.02,74.37,37.14,74.73,37.29,74.89,37.23,75.12,37.39,74.89,37.6,74.94,37.77,74.77,38.19,74.84,38.4,74.75,38.51,74.28,38.66,74.13,38.66,73.97,38.53,73.8,38.61,73.69,38.85,73.81,38.97,73.61,39.23,73.63,39.45,73.91,39.58,73.83,39.8,73.99,40.04,74.83,40.33,74.84,40.48,75.24,40.48,75.52,40.63,75.68,40.31,76.26,40.43,76.32,40.35,76.48,40.45,76.66,40.78,76.91,41.02,77.58,40.99,78.12,41.08,78.36,41.37,78.74,41.56,79.77,41.9,79.84,42,80.24,42.04,80.16,42.67,80.25,42.8,80.54,42.87,80.38,42.97,80.39,43.04,80.79,43.16,80.35,44.1,80.35,44.55,80.48,44.71,80.25,44.81,80,44.8,79.87,44.88,80.06,45.01,81.69,45.35,81.87,45.18,82.27,45.22,82.52,45.13,82.61,45.42,82.33,45.52,82.32,45.6,83.03,47.19,84.02,46.97,84.67,46.97,84.79,46.83,85.23,47.04,85.48,47.06,85.66,47.25,85.52,47.92,85.69,48.31,85.83,48.41,86.55,48.53,86.72,48.7,86.75,49.01,87.05,49.11,87.42,49.08,87.81,49.16,87.87,49,87.74,48.88,88.06,48.71,87.98,48.55,88.52,48.38,88.58,48.22,89.05,48,89.48,48.03,89.78,47.83,90.03,47.88,90.1,47.75,90.31,47.68,90.5,47.29,90.72,47,90.87,46.95,91.03,46.57,90.91,46.27,91,46.04,90.71,45.73,90.66,45.53,90.88,45.2,91.58,45.08,93.52,44.94,94.71,44.35,95.05,44.26,95.35,44.28,95.33,44.04,95.53,43.95,95.86,43.28,96.3,42.93,96.39,42.72,97.21,42.79,99.47,42.57,99.98,42.68,101.49,42.54,102.16,42.16,103.07,42.01,103.71,41.75,104.5,41.88,104.5,41.66,104.98,41.6,105.2,41.74,106.77,42.29,108.17,42.45,109.44,42.46,110.4,42.77,111.01,43.34,111.55,43.5,111.93,43.71,111.84,43.94,111.4,44.37,111.62,44.83,111.9,45.06,112.41,45.06,112.71,44.88,113.59,44.75,114.08,44.97,114.56,45.39,115.68,45.46,116.2,45.74,116.26,45.96,116.56,46.29,116.86,46.39,117.33,46.36,117.44,46.59,117.74,46.52,118.07,46.67,118.72,46.69,118.84,46.76,119.33,46.61,119.87,46.67,119.9,46.86,119.71,47.15,119.08,47.65,118.76,47.76,118.5,47.98,117.77,47.99,117.35,47.65,116.76,47.87,116.23,47.86,115.9,47.69,115.62,47.87,115.52,48.13,115.79,48.25,115.82,48.58,116.68,49.82,117.24,49.62,117.87,49.51,118.45,49.84,119.26,50.07,119.35,50.28,119.16,50.41,120.07,51.6,120.68,51.97,120.75,52.1,120.66,52.57,120.07,52.63,120.1,52.79,120.98,53.28,123.31,53.56,123.74,53.51,124.81,53.13,125.07,53.2,125.65,53.04,125.73,52.89,126.05,52.74,126.02,52.61,126.34,52.36,126.51,51.93,126.81,51.51,126.92,51.1,127.31,50.71,127.34,50.35,127.59,50.21,127.49,49.97,127.55,49.8,128,49.57,128.7,49.6,128.82,49.46,129.07,49.37,129.5,49.39,130.2,48.89,130.55,48.86,130.62,48.77,130.55,48.6,130.81,48.34,130.73,48.02,130.96,47.71,132.48,47.71,132.71,47.95,133.02,48.06,133.47,48.1,134.29,48.37,134.66,48.25,134.57,48.02,134.75,47.71,134.6,47.52,134.17,47.3,134.2,47.13,133.87,46.5,133.86,46.25,133.51,45.88,133.44,45.61,133.19,45.49,133.11,45.13,132.94,45.03,131.85,45.33,131.45,44.98,130.98,44.85,131.26,44.07,131.17,43.7,131.26,43.38,131.07,42.9,130.42,42.73,130.58,42.62,130.53,42.54,130.29,42.69,130.24,42.89,129.9,43,129.7,42.45,129.32,42.41,129.2,42.22,128.92,42.04,128.04,41.99,128.06,41.86,128.29,41.61,128.15,41.39,127.18,41.53,126.9,41.78,126.72,41.72,126.6,41.64,126.49,41.36,125.99,40.9,125.73,40.87,124.89,40.46,124.39,40.1,124.27,39.92,124.11,39.84,123.65,39.88,123.58,39.79,122.84,39.6,122.33,39.37,121.98,39.05,121.68,39,121.65,38.86,121.16,38.73,121.11,38.92,121.68,39.11,121.63,39.22,121.82,39.39,121.28,39.39,121.27,39.55,121.52,39.64,121.52,39.85,121.8,39.95,122.26,40.5,122.14,40.69,121.86,40.84,121.83,40.97,121.73,40.85,121.18,40.9,120.77,40.59,120.48,40.23,119.59,39.9,119.39,39.75,119.22,39.41,118.98,39.18,118.63,39.18,118.3,39.07,118.04,39.23,117.78,39.13,117.55,38.69,117.65,38.42,118.01,38.18,118.8,38.13,118.94,38.04,119.09,37.7,118.99,37.64,118.95,37.33,119.11,37.2,119.45,37.13,119.76,37.15,119.89,37.25,119.88,37.35,120.31,37.62,120.26,37.68,120.75,37.83,121.64,37.46,121.96,37.44,122.06,37.53,122.34,37.4,122.67,37.4,122.57,37.32,122.59,37.18,122.45,37.07,122.52,36.95,122.34,36.83,122.16,36.96,121.93,36.96,121.05,36.61,120.81,36.63,120.89,36.44,120.71,36.41,120.64,36.13,120.39,36.05,120.33,36.23,120.18,36.2,120.1,36.12,120.29,35.98,119.43,35.3,119.17,34.85,119.2,34.75,119.35,34.75,120.27,34.27,120.51,33.64,120.87,33.02,120.86,32.66,121.34,32.43,121.45,32.15,121.83,31.9,121.87,31.7,121.76,31.7,121.35,31.86,120.97,31.87,120.79,32.03,120.52,32.11,120.03,31.94,120.19,31.91,120.5,32.02,120.71,31.98,120.79,31.82,121.66,31.32,121.83,31.06,121.88,30.92,121.42,30.79,121,30.56,120.82,30.35,120.45,30.39,120.2,30.24,120.5,30.3,120.63,30.13,121.26,30.3,121.68,29.98,122.08,29.87,121.51,29.48,121.89,29.63,121.97,29.49,121.92,29.13,121.72,29.26,121.54,29.24,121.45,29.13,121.68,28.95,121.54,28.93,121.66,28.85,121.47,28.64,121.61,28.29,121.51,28.32,121.27,28.22,121.22,28.35,121.15,28.33,120.96,28.04,120.75,28.01,120.83,27.89,120.59,27.58,120.61,27.41,120.28,27.1,120.04,26.63,119.88,26.61,119.83,26.85,119.71,26.73,119.59,26.79,119.88,26.33,119.46,26.05,119.14,26.12,119.33,25.95,119.62,26,119.54,25.59,119.62,25.39,119.18,25.45,119.17,25.35,119.29,25.23,118.98,25.21,118.91,24.93,118.64,24.84,118.72,24.75,118.66,24.62,118.3,24.57,118.09,24.63,118.01,24.48,117.84,24.47,117.88,24.4,118.03,24.38,118.06,24.25,117.84,24.01,117.74,24.01,117.63,23.84,117.47,23.84,117.37,23.59,117.29,23.71,117.08,23.58,116.91,23.65,116.86,23.45,116.63,23.35,116.7,23.28,116.54,23.18,116.47,22.95,116.25,22.98,115.85,22.8,115.64,22.85,115.5,22.72,115.2,22.82,114.85,22.62,114.75,22.63,114.65,22.75,114.55,22.53,114.34,22.59,114.01,22.51,113.83,22.61,113.62,22.86,113.62,23.13,113.52,23.1,113.44,22.94,113.33,22.91,113.55,22.59,113.55,22.22,113.15,22.08,113.09,22.21,112.95,21.91,112.81,21.95,112.59,21.78,112.36,21.98,112.39,21.8,112.3,21.74,111.94,21.85,111.87,21.72,111.78,21.72,111.6,21.56,111.32,21.49,111.02,21.51,111,21.43,110.77,21.39,110.57,21.21,110.46,21.23,110.41,21.34,110.38,21.17,110.16,20.94,110.18,20.86,110.36,20.84,110.31,20.67,110.51,20.52,110.35,20.29,110.12,20.26,109.88,20.36,109.97,20.45,109.86,20.51,109.66,20.92,109.68,21.13,109.78,21.34,109.92,21.38,109.93,21.48,109.69,21.53,109.57,21.69,109.54,21.54,109.15,21.43,109.08,21.44,109.1,21.59,108.77,21.63,108.61,21.77,108.59,21.9,108.48,21.9,108.5,21.63,108.32,21.69,108.25,21.56,107.97,21.51]],[[110.89,19.99,111.01,19.66,110.82,19.56,110.64,19.29,110.45,18.75,110.05,18.5,110.02,18.42,109.82,18.4,109.7,18.26,109.52,18.22,108.7,18.54,108.67,19.3,109.28,19.76,109.18,19.77,109.26,19.88,110.21,20.06,110.59,19.98,110.65,20.14,110.89,19.99]]]],
+    ['CO', 'Americas', [-79.03, -4.24, -66.88, 12.43], [[[-71.32,11.86,-71.96,11.67,-72.25,11.2,-72.45,11.11,-72.69,10.84,-72.87,10.49,-73.01,9.79,-73.37,9.19,-73.06,9.26,-72.96,9.14,-72.8,9.11,-72.66,8.63,-72.42,8.38,-72.36,8.15,-72.47,7.52,-72.39,7.42,-72.21,7.37,-72.01,7.03,-71.13,6.99,-70.74,7.09,-70.13,6.95,-69.43,6.12,-68.94,6.2,-68.47,6.16,-67.86,6.29,-67.48,6.18,-67.47,5.93,-67.83,5.27,-67.86,4.51,-67.66,3.86,-67.31,3.42,-67.86,2.79,-67.62,2.79,-67.21,2.39,-66.88,1.36,-66.88,1.22,-67.08,1.18,-67.09,1.62,-67.4,2.12,-67.56,2.07,-67.93,1.75,-68.19,1.99,-68.25,1.85,-68.18,1.72,-69.54,1.77,-69.85,1.71,-69.85,1.06,-69.31,1.05,-69.16,0.86,-69.15,0.64,-69.47,0.73,-70.05,0.58,-70.07,-0.14,-69.63,-0.51,-69.61,-0.76,-69.4,-1.2,-69.96,-4.24,-70.34,-3.82,-70.53,-3.87,-70.74,-3.78,-70.07,-2.75,-70.09,-2.66,-70.97,-2.21,-71.4,-2.33,-71.75,-2.15,-72.22,-2.4,-72.94,-2.39,-73.15,-2.28,-73.2,-1.83,-73.5,-1.69,-73.52,-1.45,-73.67,-1.25,-74.25,-0.97,-74.42,-0.58,-74.8,-0.2,-75.78,0.09,-76.27,0.44,-76.39,0.41,-76.5,0.23,-77.4,0.39,-77.47,0.64,-77.65,0.72,-77.7,0.84,-77.83,0.83,-78.31,1.05,-79.03,1.62,-78.79,1.85,-78.58,1.77,-78.59,2.36,-78.42,2.48,-78.06,2.51,-77.81,2.72,-77.67,2.88,-77.69,3.04,-77.56,3.08,-77.36,3.35,-77.08,3.91,-77.26,3.89,-77.28,4.06,-77.36,3.94,-77.41,4.25,-77.52,4.21,-77.35,4.4,-77.29,4.72,-77.37,5.32,-77.54,5.54,-77.25,5.78,-77.47,6.18,-77.37,6.57,-77.9,7.23,-77.74,7.54,-77.76,7.7,-77.54,7.57,-77.35,7.71,-77.34,7.84,-77.2,7.97,-77.48,8.5,-77.39,8.64,-76.85,8.09,-76.92,7.97,-76.79,7.93,-76.77,8.31,-76.92,8.57,-76.28,8.99,-76.03,9.37,-75.64,9.45,-75.68,9.73,-75.54,10.2,-75.71,10.14,-75.45,10.61,-74.84,11.11,-74.33,11,-74.52,10.86,-74.4,10.77,-74.14,11.32,-73.31,11.3,-72.72,11.71,-72.28,11.89,-72.14,12.19,-71.71,12.42,-71.49,12.43,-71.26,12.33,-71.14,12.05,-71.32,11.86]],[[-78.12,2.54,-78.19,2.56,-78.18,2.65,-78.12,2.54]]]],
+    ['CR', 'Americas', [-85.91, 8.07, -82.57, 11.19], [[[-82.57,9.58,-82.64,9.51,-82.8,9.59,-82.94,9.45,-82.94,9.06,-82.73,8.92,-82.92,8.74,-82.86,8.45,-83.03,8.34,-82.88,8.07,-83.12,8.35,-83.16,8.59,-83.29,8.67,-83.47,8.71,-83.29,8.41,-83.61,8.48,-83.74,8.61,-83.61,8.8,-83.64,9.03,-83.74,9.15,-84.22,9.46,-84.58,9.57,-84.71,9.9,-85.02,10.12,-85.26,10.26,-85.16,10.02,-84.89,9.82,-85.11,9.58,-85.32,9.81,-85.63,9.9,-85.85,10.29,-85.67,10.74,-85.91,10.9,-85.59,11.19,-84.91,10.95,-84.7,11.05,-84.35,10.98,-84.17,10.78,-83.92,10.74,-83.71,10.79,-83.64,10.92,-83.35,10.32,-82.78,9.67,-82.57,9.58]]]],
+    ['CU', 'Americas', [-84.88, 19.86, -74.16, 23.19], [[[-81.84,23.16,-81.26,23.16,-81.14,23.05,-80.65,23.1,-80.37,22.94,-79.82,22.89,-79.85,22.83,-79.27,22.41,-78.69,22.37,-77.64,21.8,-77.5,21.79,-77.58,21.89,-77.5,21.87,-77.14,21.64,-77.37,21.61,-77.25,21.48,-77.1,21.59,-76.84,21.4,-76.87,21.33,-76.73,21.36,-76.07,21.13,-75.72,21.11,-75.6,20.99,-75.66,20.9,-75.6,20.84,-75.74,20.81,-75.72,20.71,-74.88,20.65,-74.51,20.38,-74.17,20.29,-74.16,20.17,-74.25,20.08,-74.63,20.06,-75.12,19.9,-75.15,20.01,-75.29,19.89,-76.16,19.99,-77.72,19.86,-77.55,20.08,-77.1,20.41,-77.23,20.64,-78.12,20.76,-78.49,21.05,-78.58,21.41,-78.73,21.59,-79.36,21.58,-80.23,21.87,-80.48,22.12,-80.5,22.06,-81.04,22.07,-81.19,22.27,-81.28,22.11,-81.85,22.21,-82.08,22.39,-81.71,22.5,-81.7,22.59,-81.84,22.67,-82.74,22.69,-83.38,22.22,-83.9,22.17,-84.03,21.94,-84.5,21.78,-84.5,21.93,-84.84,21.83,-84.88,21.89,-84.33,22.07,-84.36,22.38,-84.04,22.67,-83.26,22.97,-82.1,23.19,-81.84,23.16]],[[-77.67,21.95,-77.92,22.09,-77.63,22.05,-77.67,21.95]],[[-78.03,22.29,-78.27,22.42,-78.15,22.43,-78.03,22.29]],[[-78.63,22.55,-78.35,22.54,-78.28,22.46,-78.55,22.46,-78.67,22.51,-78.63,22.55]],[[-77.88,22.13,-78.04,22.2,-78,22.3,-77.88,22.13]],[[-82.56,21.57,-82.96,21.44,-83.18,21.59,-82.97,21.59,-83.08,21.79,-82.99,21.94,-82.72,21.89,-82.56,21.57]],[[-79.63,22.64,-79.35,22.64,-79.35,22.81,-79.63,22.81,-79.63,22.64]]]],
+    ['CV', 'Africa', [-25.34, 14.83, -22.69, 17.18], [[[-25.17,16.95,-25.31,16.94,-25.34,17.09,-25.04,17.18,-24.98,17.1,-25.17,16.95]],[[-23.45,15.01,-23.51,14.92,-23.7,14.96,-23.78,15.08,-23.75,15.33,-23.45,15.01]],[[-24.89,16.82,-25.09,16.83,-24.94,16.92,-24.89,16.82]],[[-22.92,16.24,-22.69,16.17,-22.71,16.04,-22.82,15.99,-22.96,16.04,-22.92,16.24]],[[-24.31,14.86,-24.44,14.83,-24.5,14.98,-24.33,15.02,-24.31,14.86]],[[-24.09,16.62,-24.03,16.57,-24.24,16.6,-24.32,16.49,-24.4,16.62,-24.38,16.68,-24.09,16.62]],[[-22.89,16.66,-22.92,16.61,-22.98,16.7,-22.93,16.84,-22.89,16.66]],[[-23.18,15.14,-23.25,15.18,-23.21,15.32,-23.12,15.27,-23.18,15.14]]]],
+    ['CW', 'Americas', [-69.16, 12.06, -68.75, 12.38], [[[-68.75,12.06,-69,12.14,-69.16,12.38,-68.75,12.06]]]],
+    ['CY', 'Europe', [32.3, 34.58, 34.55, 35.66], [[[34,35.06,33.47,35,33.38,35.16,32.92,35.09,32.71,35.17,32.88,35.18,32.94,35.39,33.61,35.35,34.55,35.66,33.94,35.29,33.91,35.2,34,35.06]],[[32.71,35.17,32.92,35.09,33.38,35.16,33.47,35,33.87,35.09,34.05,34.99,33.7,34.97,33.41,34.75,33.11,34.7,32.94,34.58,32.87,34.66,32.45,34.73,32.32,34.95,32.3,35.08,32.39,35.05,32.71,35.17]]]],
+    ['CZ', 'Europe', [12.09, 48.58, 18.83, 51.03], [[[18.83,49.51,18.6,49.49,18.16,49.26,18.08,49.07,17.76,48.89,17.13,48.84,16.95,48.6,16.88,48.7,16.54,48.8,16.06,48.75,15.82,48.86,14.99,49,14.92,48.77,14.79,48.75,14.69,48.6,14.19,48.58,12.68,49.41,12.39,49.74,12.51,49.9,12.21,50.1,12.09,50.3,12.28,50.18,12.55,50.39,12.94,50.41,13.56,50.7,14.37,50.9,14.28,51.03,14.55,50.99,14.72,50.82,14.98,50.89,14.99,51.01,15.26,50.96,15.36,50.81,16.01,50.61,16.36,50.62,16.38,50.52,16.21,50.42,16.64,50.1,16.99,50.24,16.88,50.43,17.42,50.25,17.7,50.31,17.74,50.23,17.59,50.16,17.63,50.12,17.88,49.97,18.03,50.04,18.56,49.88,18.83,49.51]]]],
+    ['DE', 'Europe', [5.86, 47.28, 15.02, 55.06], [[[9.52,47.52,9.18,47.67,8.88,47.66,8.57,47.78,8.4,47.69,8.56,47.62,8.43,47.59,7.57,47.61,7.62,48.16,7.84,48.64,8.14,48.89,8.13,48.97,7.45,49.15,6.73,49.16,6.54,49.4,6.35,49.45,6.49,49.8,6.26,49.87,6.11,50.09,6.18,50.23,6.36,50.32,6.34,50.45,6.18,50.52,6.24,50.6,5.99,50.75,6.05,50.91,5.86,51.03,6.13,51.15,6.08,51.22,6.19,51.41,5.95,51.8,6.74,51.91,6.8,51.98,6.72,52.08,6.98,52.21,7.04,52.38,6.69,52.53,6.75,52.63,7.01,52.63,7.18,52.97,7.2,53.28,7.05,53.38,7.21,53.66,8.01,53.69,8.17,53.54,8.11,53.47,8.25,53.45,8.33,53.61,8.49,53.51,8.49,53.39,8.53,53.78,8.62,53.88,9.21,53.86,9.59,53.6,9.78,53.55,9.31,53.86,8.98,53.93,8.9,54,8.91,54.26,8.65,54.29,8.65,54.4,8.95,54.47,8.96,54.54,8.68,54.79,8.67,54.9,9.25,54.81,9.62,54.85,10.02,54.67,10.03,54.58,9.87,54.47,10.14,54.49,10.21,54.41,10.36,54.44,10.73,54.32,11.01,54.38,11.06,54.28,11.01,54.18,10.81,54.08,10.92,54,11.4,53.95,11.8,54.14,12.11,54.17,12.58,54.47,13.03,54.41,13.45,54.14,13.73,54.15,13.87,53.85,14.26,53.73,14.41,53.22,14.13,52.88,14.62,52.53,14.55,52.36,14.75,52.08,14.6,51.83,14.74,51.63,14.73,51.52,14.93,51.43,15.02,51.25,14.96,51.09,14.77,50.82,14.61,50.86,14.55,50.99,14.32,51.04,14.25,51,14.37,50.9,13.56,50.7,12.94,50.41,12.55,50.39,12.28,50.18,12.13,50.31,12.09,50.27,12.51,49.9,12.39,49.74,12.63,49.46,13.77,48.82,13.79,48.59,13.67,48.52,13.49,48.58,13.38,48.36,12.76,48.11,12.95,47.89,12.9,47.72,13.06,47.66,13.02,47.48,12.68,47.67,12.48,47.64,12.21,47.72,12.18,47.62,11.72,47.58,11.04,47.39,10.87,47.52,10.44,47.55,10.37,47.37,10.18,47.28,10.2,47.36,9.97,47.5,9.75,47.58,9.52,47.52]],[[13.71,54.38,13.71,54.28,13.48,54.34,13.37,54.25,13.16,54.37,13.18,54.54,13.42,54.7,13.66,54.56,13.58,54.46,13.71,54.38]],[[14.21,53.95,14.21,53.87,13.93,53.88,13.83,54.13,14.21,53.95]],[[11.28,54.42,11.01,54.47,11.09,54.53,11.28,54.42]],[[8.31,54.79,8.3,54.91,8.4,55.06,8.38,54.9,8.63,54.89,8.31,54.79]],[[8.4,54.69,8.59,54.69,8.59,54.76,8.4,54.76,8.4,54.69]]]],
+    ['DJ', 'Africa', [41.79, 10.94, 43.38, 12.71], [[[43.25,11.5,42.92,11,42.56,11.08,41.96,10.94,41.8,10.98,41.79,11.69,42.45,12.52,42.71,12.38,42.87,12.62,43.12,12.71,43.35,12.37,43.38,12.09,43.05,11.83,42.8,11.74,42.64,11.56,42.52,11.57,42.58,11.5,43.04,11.59,43.25,11.5]]]],
+    ['DK', 'Europe', [8.12, 54.63, 15.13, 57.74], [[[12.57,55.79,12.54,55.66,12.32,55.59,12.22,55.47,12.39,55.39,12.41,55.29,12.09,55.19,12.05,54.81,11.86,54.77,11.66,55.19,11.29,55.2,11.17,55.33,11.12,55.6,10.98,55.72,11.32,55.75,11.48,55.94,11.63,55.96,11.69,55.91,11.69,55.73,11.82,55.7,11.94,55.9,11.87,55.97,12.22,56.12,12.58,56.06,12.57,55.79]],[[9.74,54.83,9.25,54.81,8.67,54.9,8.57,55.13,8.67,55.16,8.62,55.42,8.13,55.6,8.2,55.98,8.12,56.14,8.16,56.61,8.67,56.5,8.89,56.73,9.07,56.79,9.2,56.7,9.25,57.01,8.99,57.02,8.77,56.72,8.47,56.66,8.27,56.75,8.43,56.98,8.62,57.11,9.43,57.17,9.96,57.58,10.61,57.74,10.46,57.62,10.52,57.24,10.29,57,10.28,56.62,10.49,56.52,10.85,56.52,10.93,56.44,10.76,56.24,10.37,56.25,10.18,55.87,9.91,55.84,10.02,55.76,9.59,55.49,9.67,55.27,9.46,55.04,9.69,55,9.74,54.83]],[[10.64,55.61,10.82,55.32,10.78,55.13,10.63,55.05,9.99,55.16,9.86,55.36,9.86,55.52,10.64,55.61]],[[11.36,54.89,11.74,54.81,11.77,54.68,11.46,54.63,11.04,54.77,11.06,54.94,11.36,54.89]],[[10.73,54.75,10.62,54.85,10.95,55.16,10.73,54.75]],[[12.55,54.97,12.12,54.91,12.27,55.06,12.55,54.97]],[[12.67,55.6,12.55,55.56,12.52,55.62,12.62,55.68,12.67,55.6]],[[10.2,54.84,10.5,54.84,10.5,54.96,10.2,54.96,10.2,54.84]],[[10.06,54.89,9.8,54.91,9.77,55.06,10,54.99,10.06,54.89]],[[10.61,55.78,10.53,55.78,10.55,55.99,10.66,55.88,10.61,55.78]],[[11.05,57.25,10.87,57.26,11.09,57.33,11.17,57.32,11.05,57.25]],[[15.09,55.02,14.68,55.1,14.72,55.24,14.77,55.3,15.13,55.14,15.09,55.02]]]],
+    ['DM', 'Americas', [-61.46, 15.23, -61.28, 15.63], [[[-61.28,15.25,-61.38,15.23,-61.46,15.63,-61.28,15.53,-61.28,15.25]]]],
+    ['DO', 'Americas', [-72, 17.63, -68.34, 19.91], [[[-71.77,18.04,-71.76,18.34,-72,18.6,-71.74,18.73,-71.81,18.99,-71.65,19.2,-71.75,19.29,-71.71,19.49,-71.78,19.72,-71.56,19.9,-71.28,19.85,-70.95,19.91,-70.2,19.64,-69.96,19.67,-69.74,19.3,-69.32,19.33,-69.23,19.27,-69.32,19.2,-69.6,19.21,-69.62,19.12,-68.68,18.9,-68.34,18.61,-68.69,18.21,-68.94,18.41,-69.27,18.44,-69.77,18.44,-70.18,18.25,-70.48,18.22,-70.65,18.34,-71.03,18.27,-71.44,17.63,-71.63,17.77,-71.77,18.04]]]],
+    ['DZ', 'Africa', [-8.69, 19.01, 11.97, 37.09], [[[8.58,36.94,8.6,36.83,8.21,36.52,8.35,36.37,8.25,35.8,8.39,35.2,8.25,34.73,7.52,34.08,7.5,33.83,7.73,33.27,8.11,33.06,8.33,32.54,9.05,32.07,9.52,30.23,9.31,30.12,9.64,29.64,9.8,29.18,9.92,27.79,9.75,27.33,9.89,26.85,9.88,26.63,9.49,26.33,9.42,26.15,10,25.33,10.03,25.05,10.25,24.59,10.4,24.49,10.69,24.55,11.51,24.32,11.97,23.52,7.48,20.87,5.84,19.48,3.26,19.01,3.11,19.15,3.26,19.41,3.2,19.79,3.13,19.85,2.41,20.06,2.22,20.25,1.76,20.33,1.61,20.55,1.16,20.82,1.15,21.1,-4.52,24.8,-8.69,27.29,-8.68,28.69,-8.26,28.98,-7.14,29.62,-6.64,29.57,-6.48,29.82,-6,29.83,-5.45,29.96,-5.18,30.17,-4.97,30.47,-4.32,30.7,-3.99,30.91,-3.67,30.96,-3.62,31.07,-3.83,31.2,-3.85,31.62,-3.77,31.69,-3.02,31.83,-2.86,32.08,-1.23,32.11,-1.24,32.34,-1.06,32.47,-1.45,32.79,-1.68,33.32,-1.63,33.57,-1.79,34.37,-1.73,34.47,-1.85,34.61,-1.79,34.75,-2.22,35.1,-1.91,35.09,-1.67,35.18,-1.09,35.58,-0.43,35.86,-0.05,35.83,0.31,36.16,1.26,36.52,2.59,36.6,2.97,36.78,3.52,36.8,3.78,36.9,4.76,36.9,5.29,36.65,6.06,36.86,6.49,37.09,6.93,36.92,7.24,36.97,7.21,37.09,7.91,36.86,8.58,36.94]]]],
+    ['EC', 'Americas', [-91.65, -4.97, -75.25, 1.46], [[[-75.29,-0.11,-75.63,-0.12,-75.26,-0.59,-75.25,-0.95,-75.41,-0.92,-75.57,-1.53,-76.09,-2.13,-76.68,-2.56,-77.86,-2.98,-78.18,-3.35,-78.16,-3.46,-78.35,-3.4,-78.42,-3.78,-78.68,-4.33,-78.69,-4.56,-78.91,-4.71,-78.92,-4.86,-79.03,-4.97,-79.33,-4.93,-79.52,-4.54,-79.64,-4.46,-79.8,-4.48,-80.14,-4.3,-80.38,-4.46,-80.48,-4.43,-80.35,-4.21,-80.49,-4.17,-80.49,-4.01,-80.3,-4,-80.18,-3.88,-80.33,-3.39,-79.96,-3.16,-79.73,-2.58,-79.84,-2.07,-79.93,-2.55,-80.03,-2.56,-80.01,-2.35,-80.29,-2.71,-80.93,-2.27,-80.96,-2.19,-80.77,-2.08,-80.76,-1.94,-80.83,-1.63,-80.8,-1.38,-80.9,-1.08,-80.84,-0.98,-80.55,-0.85,-80.46,-0.59,-80.28,-0.62,-80.38,-0.58,-80.48,-0.37,-80.05,0.16,-80.09,0.79,-80.03,0.83,-78.9,1.21,-78.83,1.3,-78.86,1.46,-78.18,0.97,-77.7,0.84,-77.65,0.72,-77.47,0.64,-77.4,0.39,-76.5,0.23,-76.39,0.41,-76.27,0.44,-75.78,0.09,-75.29,-0.11]],[[-80.13,-2.97,-80.27,-3,-80.23,-2.75,-80.08,-2.67,-79.91,-2.72,-80.09,-2.85,-80.13,-2.97]],[[-78.91,1.25,-78.99,1.29,-78.9,1.36,-78.91,1.25]],[[-90.33,-0.77,-90.54,-0.68,-90.53,-0.58,-90.27,-0.49,-90.19,-0.54,-90.19,-0.66,-90.33,-0.77]],[[-89.42,-0.91,-89.54,-0.95,-89.61,-0.89,-89.29,-0.69,-89.42,-0.91]],[[-91.42,-0.46,-91.61,-0.44,-91.65,-0.28,-91.46,-0.26,-91.42,-0.46]],[[-90.42,-1.34,-90.52,-1.3,-90.48,-1.22,-90.38,-1.29,-90.42,-1.34]],[[-91.27,0.02,-91.18,-0.22,-90.97,-0.42,-90.96,-0.59,-90.8,-0.75,-90.91,-0.94,-91.13,-1.02,-91.37,-1.02,-91.5,-0.86,-91.12,-0.56,-91.37,-0.29,-91.43,-0.02,-91.6,0,-91.36,0.13,-91.27,0.02]],[[-90.58,-0.33,-90.87,-0.27,-90.78,-0.16,-90.55,-0.28,-90.58,-0.33]]]],
+    ['EE', 'Europe', [21.86, 57.53, 28.15, 59.64], [[[27.35,57.53,26.97,57.61,26.46,57.54,25.99,57.84,25.28,58.05,24.32,57.87,24.53,58.35,24.34,58.38,24.11,58.27,23.77,58.36,23.51,58.66,23.68,58.79,23.5,58.79,23.43,58.92,23.51,59,23.5,59.19,24.08,59.29,24.05,59.37,24.38,59.47,25.44,59.52,25.52,59.56,25.51,59.64,26.62,59.55,26.97,59.45,27.89,59.41,28.01,59.48,28.15,59.37,27.9,59.28,27.76,59.05,27.43,58.79,27.53,58.43,27.5,58.22,27.78,57.87,27.54,57.8,27.35,57.53]],[[22.62,58.62,22.96,58.61,23.32,58.45,23.13,58.44,22.73,58.23,22.37,58.22,22.15,57.97,22,57.93,22.19,58.16,21.88,58.26,21.98,58.39,21.86,58.5,22.27,58.51,22.33,58.58,22.62,58.62]],[[22.92,58.83,22.54,58.69,22.41,58.86,22.06,58.94,22.46,58.97,22.65,59.09,22.91,58.99,23.01,58.83,22.92,58.83]],[[23.34,58.55,23.06,58.61,23.16,58.68,23.33,58.65,23.34,58.55]]]],
+    ['EG', 'Africa', [24.7, 21.99, 36.87, 31.65], [[[36.87,22,31.43,22,31.49,22.15,31.4,22.2,31.21,21.99,24.98,22,24.98,29.18,24.7,30.2,24.98,30.78,24.85,31.34,25.15,31.65,25.23,31.53,25.38,31.51,25.89,31.62,27.25,31.38,27.54,31.21,28.51,31.05,29.07,30.83,29.43,30.93,29.93,31.23,30.22,31.26,30.4,31.46,30.92,31.57,30.56,31.42,31,31.46,31.08,31.6,31.52,31.46,31.89,31.54,32.14,31.34,31.89,31.48,31.77,31.29,32.01,31.22,32.1,31.09,32.28,31.2,32.21,31.29,32.6,31.07,33.13,31.17,33.19,31.08,33.67,31.13,34.2,31.32,34.9,29.48,34.73,29.27,34.4,28.02,34.22,27.76,33.76,28.05,33.25,28.57,33.13,28.98,32.72,29.52,32.56,29.97,32.47,29.93,32.36,29.63,32.6,29.32,32.66,28.93,32.9,28.56,33.55,27.9,33.55,27.61,33.85,27.18,33.96,26.65,34.57,25.69,35.2,24.47,35.78,23.94,35.54,23.92,35.51,23.78,35.52,23.44,35.7,22.95,35.91,22.74,36.23,22.63,36.87,22]]]],
+    ['EH', 'Africa', [-17.1, 20.81, -8.68, 27.66], [[[-8.69,27.66,-8.68,26,-12.02,26,-12.02,23.47,-12.62,23.27,-13.03,23,-13.15,22.82,-13.02,21.33,-16.97,21.33,-17.05,20.81,-17.1,20.86,-17,21.42,-16.04,21.5,-14.97,21.44,-14.75,21.5,-14.61,21.75,-14.63,21.86,-14.22,22.31,-14.04,23.34,-13.89,23.69,-13.31,23.98,-13.06,24.4,-12.43,24.83,-12.06,25.99,-11.72,26.1,-11.34,26.63,-11.39,26.88,-10.76,27.02,-10.25,26.86,-10.03,26.91,-9.82,26.85,-9.41,27.09,-8.79,27.12,-8.82,27.66,-8.69,27.66]]]],
+    ['ER', 'Africa', [36.43, 12.38, 43.12, 18], [[[36.52,14.26,36.43,15.13,36.91,16.3,36.89,16.62,37.01,17.06,37.41,17.06,37.55,17.32,38.22,17.56,38.61,18,39.03,17.09,39.3,15.92,39.79,15.12,39.86,15.47,40.04,15.33,40.2,15.01,40.55,14.93,40.8,14.74,41.18,14.62,41.66,13.98,42.24,13.59,42.4,13.21,42.52,13.22,42.8,12.86,42.97,12.81,43,12.9,43.12,12.71,42.87,12.62,42.71,12.38,42.48,12.51,42.38,12.47,40.82,14.11,40.14,14.46,39.53,14.54,39.2,14.48,39.02,14.63,38.81,14.48,38.43,14.43,37.88,14.85,37.57,14.15,37.26,14.45,37.02,14.27,36.81,14.32,36.52,14.26]],[[40.08,16.08,40.11,15.99,39.99,16.04,40.08,16.08]],[[40.14,15.7,40.18,15.64,40.25,15.7,40.4,15.58,39.98,15.61,39.95,15.7,40.07,15.68,39.94,15.74,40,15.83,39.95,15.89,40.1,15.84,40.14,15.7]]]],
+    ['ES', 'Europe', [-18.16, 27.65, 4.29, 43.77], [[[1.59,38.67,1.4,38.71,1.43,38.77,1.59,38.67]],[[3.14,39.79,3.45,39.76,3.46,39.7,3.25,39.39,3.07,39.3,2.8,39.39,2.7,39.54,2.5,39.48,2.37,39.57,2.9,39.91,3.2,39.96,3.14,39.79]],[[4.29,39.84,3.87,39.96,3.85,40.06,4.22,40.03,4.29,39.84]],[[1.45,38.92,1.41,38.86,1.22,38.9,1.35,39.08,1.61,39.09,1.45,38.92]],[[-1.79,43.41,-1.76,43.32,-1.41,43.24,-1.48,43.07,-1.43,43.04,-1.3,43.1,-0.76,42.94,-0.59,42.8,-0.3,42.83,-0.04,42.69,0.63,42.69,0.7,42.85,1.35,42.69,1.45,42.44,1.7,42.5,1.99,42.36,2.2,42.42,2.65,42.34,2.89,42.46,3.21,42.43,3.31,42.29,3.17,42.26,3.25,41.94,2.08,41.29,1.03,41.06,0.71,40.82,0.89,40.72,0.6,40.61,-0.33,39.52,-0.2,39.06,0.2,38.76,-0.52,38.32,-0.82,37.77,-0.72,37.63,-1.33,37.56,-1.64,37.39,-2.11,36.78,-2.45,36.83,-2.79,36.72,-4.37,36.72,-4.67,36.51,-5.17,36.42,-5.36,36.14,-5.63,36.03,-6.04,36.19,-6.27,36.6,-6.38,36.64,-6.41,36.73,-6.22,36.91,-6.4,36.83,-6.89,37.19,-6.86,37.28,-6.98,37.2,-7.41,37.18,-7.5,37.59,-7.44,37.73,-7.18,38.01,-7.02,38.05,-6.96,38.19,-7.1,38.18,-7.34,38.46,-7.28,38.72,-7.05,38.91,-7,39.06,-7.17,39.14,-7.34,39.47,-7.54,39.66,-7.12,39.68,-6.98,39.8,-6.9,40.02,-7.03,40.17,-6.81,40.34,-6.83,40.78,-6.93,41.01,-6.21,41.53,-6.31,41.64,-6.54,41.67,-6.62,41.94,-7.15,41.98,-7.4,41.83,-7.92,41.88,-8.15,41.81,-8.22,41.9,-8.14,42.04,-8.27,42.14,-8.85,41.93,-8.89,42.11,-8.69,42.27,-8.81,42.28,-8.73,42.41,-8.81,42.47,-8.81,42.64,-9.03,42.59,-8.93,42.8,-9.24,42.98,-9.18,43.17,-8.87,43.33,-8.54,43.34,-8.25,43.44,-8.26,43.58,-7.7,43.77,-7.06,43.55,-5.85,43.65,-4.52,43.42,-3.61,43.52,-3.04,43.37,-2.87,43.45,-2.34,43.33,-1.79,43.41]],[[-16.34,28.38,-16.42,28.15,-16.66,28.01,-16.9,28.34,-16.12,28.58,-16.34,28.38]],[[-13.71,28.91,-13.86,28.87,-13.79,29.06,-13.46,29.24,-13.48,29.01,-13.71,28.91]],[[-14.2,28.17,-14.33,28.06,-14.49,28.1,-14.23,28.22,-14,28.71,-13.86,28.74,-13.83,28.59,-13.93,28.25,-14.2,28.17]],[[-15.4,28.15,-15.44,27.81,-15.65,27.76,-15.81,27.89,-15.68,28.15,-15.4,28.15]],[[-17.18,28.02,-17.33,28.12,-17.26,28.2,-17.1,28.11,-17.18,28.02]],[[-17.89,27.81,-17.98,27.65,-18.16,27.76,-17.89,27.81]],[[-17.83,28.49,-18,28.76,-17.93,28.84,-17.8,28.85,-17.72,28.72,-17.83,28.49]]]],
+    ['ET', 'Africa', [33.01, 3.46, 47.98, 14.85], [[[35.27,5.49,34.98,5.86,34.71,6.66,34.07,7.23,33.9,7.51,33.67,7.67,33.08,7.82,33.01,7.95,33.28,8.44,33.95,8.44,34.09,8.58,34.08,9.51,34.31,10.19,34.27,10.53,34.57,10.88,34.77,10.75,34.93,10.86,35.11,11.82,35.67,12.62,36.12,12.76,36.16,13.09,36.39,13.63,36.52,14.26,36.81,14.32,37.02,14.27,37.26,14.45,37.57,14.15,37.88,14.85,38.43,14.43,38.81,14.48,39.07,14.63,39.2,14.48,39.53,14.54,40.14,14.46,40.82,14.11,42.38,12.47,41.79,11.69,41.8,10.98,41.96,10.94,42.56,11.08,42.92,11,42.66,10.6,42.84,10.2,43.18,9.88,43.48,9.38,43.98,9.01,46.98,8,47.98,8,46.17,6.23,44.94,4.91,43.99,4.95,43.54,4.84,43.02,4.56,42.86,4.33,42.03,4.14,41.88,3.98,41.14,3.96,40.77,4.27,39.84,3.85,39.49,3.46,38.09,3.65,36.91,4.41,36.02,4.47,35.76,4.81,35.75,5.34,35.47,5.42,35.33,5.36,35.27,5.49]]]],
+    ['FI', 'Europe', [20.62, 59.83, 31.53, 70.06], [[[24.15,65.81,24,66.06,23.7,66.25,23.7,66.48,23.87,66.58,23.99,66.81,23.64,67.13,23.63,67.23,23.78,67.33,23.73,67.42,23.46,67.46,23.54,67.61,23.5,67.87,23.64,67.95,23.18,68.14,23.1,68.26,22.85,68.37,22,68.52,20.62,69.04,21.07,69.04,21.13,69.08,21.07,69.21,21.59,69.27,22.41,68.72,23.32,68.65,24,68.8,24.94,68.59,25.25,68.82,25.75,68.99,25.77,69.28,26.01,69.65,26.53,69.91,27.13,69.91,27.89,70.06,28.41,69.82,29.14,69.67,29.33,69.47,28.85,69.18,28.96,69.02,28.41,68.9,28.77,68.84,28.47,68.49,28.69,68.19,29.34,68.06,29.99,67.67,29.94,67.55,29.24,67.1,29.06,66.89,29.9,66.09,30.09,65.79,30.09,65.68,29.72,65.63,29.82,65.57,29.61,65.25,29.83,65.15,29.6,64.97,29.78,64.8,30.11,64.73,30.12,64.64,29.99,64.52,30.11,64.37,30.49,64.24,30.53,64.08,30.21,63.8,29.99,63.73,31.18,63.21,31.53,62.89,31.29,62.57,30.94,62.32,29.25,61.29,27.8,60.54,27.46,60.47,27.2,60.54,26.53,60.41,26.57,60.63,26.38,60.42,25.95,60.47,26.04,60.34,25.76,60.27,25.66,60.33,24.6,60.11,24.45,60.02,23.46,59.99,23.18,59.84,22.96,59.83,23.2,60.02,22.87,60.22,22.79,60.08,22.46,60.03,22.44,60.16,22.59,60.23,22.51,60.28,22.58,60.38,21.85,60.51,21.8,60.59,21.61,60.53,21.44,60.6,21.36,60.97,21.51,61.28,21.51,61.48,21.57,61.48,21.5,61.55,21.61,61.59,21.26,61.99,21.34,62.28,21.17,62.41,21.11,62.62,21.47,63.03,21.65,63.04,21.54,63.21,22.32,63.31,22.24,63.44,22.35,63.44,22.32,63.5,22.4,63.49,22.53,63.65,23.6,64.04,24.56,64.8,24.94,64.88,25.29,64.86,25.23,64.95,25.37,65.01,25.26,65.14,25.35,65.48,24.68,65.67,24.58,65.76,24.63,65.86,24.4,65.78,24.15,65.81]],[[21.99,60.34,21.82,60.38,21.83,60.47,21.99,60.34]],[[21.22,63.24,21.42,63.25,21.25,63.15,21.08,63.28,21.22,63.24]],[[22.17,60.37,22.42,60.3,22.31,60.27,22.36,60.17,22.08,60.29,22.17,60.37]],[[21.45,60.53,21.3,60.48,21.21,60.6,21.45,60.53]],[[21.83,60.14,21.7,60.11,21.76,60.2,21.86,60.2,21.83,60.14]],[[21.63,60.11,21.49,60.13,21.63,60.17,21.63,60.11]],[[24.85,64.99,24.58,64.98,24.58,65.04,24.97,65.06,24.85,64.99]]]],
+    ['FJ', 'Oceania', [-180, -21.71, 180, -12.48], [[[180,-16.17,179.56,-16.64,179.57,-16.75,179.93,-16.52,179.93,-16.74,179.42,-16.81,179.2,-16.71,179.01,-16.9,178.71,-16.98,178.6,-16.8,178.5,-16.79,178.59,-16.62,178.8,-16.63,178.96,-16.48,179.36,-16.38,179.55,-16.25,180,-16.17]],[[178.28,-17.37,178.59,-17.65,178.67,-18.08,177.96,-18.26,177.32,-18.08,177.26,-17.86,177.41,-17.75,177.4,-17.63,177.51,-17.54,177.82,-17.39,178.19,-17.31,178.28,-17.37]],[[-180,-16.78,-179.86,-16.69,-179.82,-16.77,-180,-16.96,-180,-16.78]],[[180,-16.96,179.9,-16.96,180,-16.79,180,-16.96]],[[178.49,-18.97,178.36,-19.05,178.29,-19,178.16,-19.12,177.96,-19.12,178.33,-18.93,178.49,-18.97]],[[-179.08,-17.99,-178.99,-17.99,-178.99,-17.92,-179.08,-17.92,-179.08,-17.99]],[[-178.85,-18.25,-178.76,-18.25,-178.76,-18.19,-178.85,-18.19,-178.85,-18.25]],[[-178.25,-17.95,-178.36,-17.92,-178.28,-17.89,-178.25,-17.95]],[[-178.96,-17.27,-179,-17.3,-179.01,-17.15,-178.92,-17.21,-178.96,-17.27]],[[-178.6,-19.18,-178.53,-19.18,-178.53,-19.11,-178.6,-19.11,-178.6,-19.18]],[[-179.87,-19,-179.8,-19,-179.8,-18.92,-179.87,-18.92,-179.87,-19]],[[177.24,-17.15,177.18,-17.16,177.21,-17.09,177.29,-17.05,177.24,-17.15]],[[179.37,-17.39,179.45,-17.39,179.45,-17.26,179.37,-17.26,179.37,-17.39]],[[179.35,-18.1,179.25,-18.03,179.31,-17.94,179.35,-18.1]],[[178.83,-17.73,178.75,-17.69,178.79,-17.63,178.83,-17.73]],[[180,-16.54,-180,-16.49,-179.9,-16.43,-180,-16.54,180,-16.54]],[[-180,-16.17,-179.95,-16.17,-179.95,-16.13,-180,-16.13,-180,-16.17]],[[177,-12.52,177.13,-12.52,177.13,-12.48,177,-12.48,177,-12.52]],[[174.59,-21.71,174.63,-21.71,174.63,-21.67,174.59,-21.67,174.59,-21.71]],[[-178.73,-20.67,-178.71,-20.67,-178.71,-20.65,-178.73,-20.65,-178.73,-20.67]]]],
+    ['FK', 'Americas', [-61.14, -52.31, -57.79, -51.27], [[[-58.85,-51.27,-58.43,-51.32,-58.38,-51.37,-58.52,-51.42,-58.51,-51.48,-58.27,-51.57,-58.26,-51.42,-57.92,-51.4,-57.81,-51.52,-57.96,-51.58,-57.79,-51.64,-57.84,-51.71,-58.68,-51.94,-58.65,-52.1,-59.2,-52.02,-59.07,-52.17,-59.34,-52.2,-59.4,-52.31,-59.53,-52.24,-59.65,-52.14,-59.57,-51.92,-59.06,-51.69,-59.1,-51.49,-58.85,-51.27]],[[-60.29,-51.46,-59.39,-51.36,-59.27,-51.43,-59.92,-51.97,-60.24,-51.99,-60.35,-52.14,-60.51,-52.19,-60.96,-52.06,-60.24,-51.77,-60.58,-51.71,-60.24,-51.64,-60.51,-51.49,-60.57,-51.36,-60.29,-51.46]],[[-61.02,-51.79,-60.87,-51.79,-60.95,-51.95,-61.14,-51.84,-61.02,-51.79]],[[-58.44,-52.01,-58.43,-52.1,-58.54,-52.03,-58.44,-52.01]],[[-60.11,-51.4,-60.25,-51.4,-60.27,-51.28,-60.07,-51.31,-60.11,-51.4]],[[-59.68,-52.23,-59.77,-52.24,-59.79,-52.14,-59.68,-52.23]]]],
+    ['FM', 'Oceania', [138.07, 5.28, 162.99, 9.58], [[[162.92,5.28,162.99,5.28,162.99,5.34,162.92,5.34,162.92,5.28]],[[138.14,9.5,138.07,9.42,138.15,9.58,138.21,9.55,138.14,9.5]],[[151.57,7.33,151.65,7.33,151.65,7.39,151.57,7.39,151.57,7.33]],[[151.85,7.43,151.91,7.43,151.91,7.47,151.85,7.47,151.85,7.43]],[[158.31,6.81,158.18,6.8,158.13,6.94,158.3,6.95,158.31,6.81]]]],
+    ['FO', 'Europe', [-7.42, 61.44, -6.41, 62.36], [[[-6.62,61.81,-6.67,61.77,-6.89,61.9,-6.62,61.81]],[[-6.7,61.44,-6.94,61.63,-6.74,61.57,-6.7,61.44]],[[-7.19,62.14,-7.07,62.07,-7.18,62.04,-7.42,62.14,-7.19,62.14]],[[-6.63,62.23,-6.65,62.09,-6.84,62.12,-6.73,61.95,-7.01,62.09,-7.17,62.28,-6.96,62.32,-6.63,62.23]],[[-6.41,62.26,-6.45,62.19,-6.54,62.21,-6.55,62.36,-6.41,62.26]]]],
+    ['FR', 'Europe', [-61.76, -21.36, 55.84, 51.1], [[[9.48,42.81,9.56,42.16,9.19,41.39,8.81,41.59,8.89,41.7,8.72,41.76,8.74,41.93,8.62,41.93,8.7,42.1,8.59,42.16,8.57,42.22,8.67,42.28,8.57,42.36,8.81,42.61,9.14,42.73,9.32,42.71,9.36,43.02,9.46,42.98,9.48,42.81]],[[7.62,47.59,7.34,47.43,6.97,47.45,6.9,47.39,7,47.32,6.67,47.03,6.46,46.95,6.41,46.75,6.16,46.61,6.07,46.46,6.1,46.28,5.97,46.21,6.01,46.14,6.2,46.19,6.27,46.25,6.23,46.33,6.43,46.43,6.78,46.41,6.77,46.16,7.02,45.93,6.79,45.74,7.16,45.4,7.08,45.24,6.63,45.07,6.74,44.92,6.99,44.83,7.03,44.72,6.84,44.51,6.9,44.34,7.32,44.14,7.64,44.16,7.68,44.08,7.48,43.86,7.49,43.77,7.18,43.66,6.72,43.37,6.57,43.2,6.11,43.07,5.41,43.23,5.32,43.35,5.07,43.37,5.06,43.44,4.71,43.37,4.22,43.48,4.05,43.59,3.91,43.56,3.26,43.19,3.05,42.91,3.09,42.59,3.21,42.43,2.89,42.46,2.65,42.34,2.2,42.42,2.03,42.35,1.7,42.5,1.71,42.6,1.43,42.6,1.35,42.69,0.77,42.84,0.67,42.84,0.63,42.69,-0.04,42.69,-0.3,42.83,-0.59,42.8,-0.76,42.94,-1.3,43.1,-1.4,43.03,-1.48,43.07,-1.41,43.24,-1.76,43.32,-1.79,43.41,-1.49,43.56,-1.24,44.56,-1.08,44.69,-1.15,44.76,-1.24,44.67,-1.08,45.53,-0.83,45.38,-0.69,45.09,-0.55,45,-0.79,45.47,-1.2,45.71,-1.21,45.77,-1.03,45.74,-1.15,46.31,-1.79,46.52,-2.06,46.81,-2.02,47.04,-2.2,47.16,-2.03,47.27,-1.74,47.22,-1.97,47.31,-2.5,47.31,-2.53,47.38,-2.43,47.47,-2.77,47.51,-2.79,47.63,-3.07,47.62,-3.9,47.84,-4.31,47.82,-4.43,47.97,-4.68,48.04,-4.33,48.17,-4.58,48.29,-4.24,48.3,-4.72,48.36,-4.76,48.45,-4.53,48.62,-3.23,48.84,-3,48.79,-2.69,48.54,-2.45,48.65,-2.08,48.65,-2,48.58,-1.91,48.7,-1.82,48.63,-1.38,48.65,-1.56,48.8,-1.58,49.2,-1.81,49.49,-1.86,49.68,-1.26,49.68,-1.14,49.39,-0.16,49.3,0.42,49.45,0.13,49.51,0.19,49.7,1.24,50,1.59,50.25,1.58,50.74,1.67,50.88,2.53,51.1,2.6,50.88,2.76,50.75,3.11,50.78,3.27,50.53,3.59,50.48,3.69,50.31,3.95,50.34,4.17,50.25,4.15,49.97,4.55,49.96,4.82,50.15,4.79,49.96,4.87,49.79,5.28,49.68,5.51,49.51,5.79,49.54,6.01,49.45,6.24,49.49,6.54,49.4,6.73,49.16,7.45,49.15,8.13,48.97,8.14,48.89,7.84,48.64,7.62,48.16,7.53,47.67,7.62,47.59]],[[-1.18,45.9,-1.22,45.82,-1.39,46.05,-1.18,45.9]],[[45.18,-12.98,45.07,-12.9,45.09,-12.65,45.22,-12.75,45.18,-12.98]],[[55.8,-21.34,55.56,-21.36,55.36,-21.27,55.23,-21.06,55.31,-20.9,55.66,-20.91,55.84,-21.14,55.8,-21.34]],[[-60.83,14.49,-60.86,14.43,-61.06,14.47,-61.01,14.6,-61.14,14.65,-61.21,14.85,-61.13,14.87,-60.93,14.75,-60.83,14.49]],[[-61.33,16.23,-61.52,16.23,-61.47,16.51,-61.17,16.26,-61.33,16.23]],[[-61.59,16.01,-61.67,15.96,-61.76,16.06,-61.75,16.36,-61.55,16.27,-61.59,16.01]],[[-61.23,15.89,-61.31,15.9,-61.25,16.01,-61.23,15.89]],[[-54.62,2.33,-54.4,2.46,-54.2,2.82,-54.2,3.14,-53.99,3.59,-54.35,4.05,-54.47,4.92,-54.33,5.19,-54.09,5.41,-53.92,5.77,-52.9,5.43,-52.29,4.94,-52.32,4.77,-52.22,4.86,-52.06,4.72,-51.96,4.51,-52,4.35,-51.83,4.64,-51.65,4.06,-51.77,3.99,-52.33,3.18,-52.7,2.36,-53.01,2.18,-53.23,2.21,-53.33,2.34,-53.51,2.25,-53.77,2.35,-54.13,2.12,-54.62,2.33]]]],
+    ['GA', 'Africa', [8.7, -3.92, 14.47, 2.3], [[[13.29,2.16,13.17,1.79,13.25,1.37,13.19,1.28,13.28,1.24,13.85,1.42,14.18,1.37,14.43,0.9,14.32,0.62,14.09,0.54,13.95,0.35,13.86,-0.2,14.07,-0.27,14.47,-0.57,14.38,-1.89,14.16,-2.22,14.2,-2.35,14,-2.49,13.89,-2.47,13.88,-2.33,13.73,-2.14,13.47,-2.4,12.99,-2.31,12.79,-1.93,12.63,-1.83,12.43,-1.93,12.45,-2.33,12.07,-2.41,11.6,-2.34,11.54,-2.84,11.76,-2.98,11.72,-3.18,11.94,-3.32,11.83,-3.53,11.88,-3.67,11.69,-3.68,11.5,-3.52,11.23,-3.69,11.13,-3.92,10.35,-3.01,9.76,-2.52,10.06,-2.55,9.62,-2.37,9.3,-1.9,9.48,-1.96,9.48,-1.9,9.26,-1.83,9.04,-1.31,9.32,-1.63,9.5,-1.55,9.3,-1.51,9.35,-1.33,9.2,-1.38,9.06,-1.3,8.7,-0.59,8.82,-0.71,8.95,-0.69,9.3,-0.35,9.35,0.34,9.47,0.16,9.8,0.04,9.81,0.13,10,0.2,9.78,0.19,9.55,0.3,9.33,0.55,9.5,0.67,9.62,0.58,9.59,1.03,9.76,1.08,9.91,0.96,11.33,1,11.35,2.3,13.22,2.26,13.29,2.16]]]],
+    ['GB', 'Europe', [-8.15, 50.04, 1.75, 60.81], [[[-2.67,51.62,-3.29,51.39,-3.56,51.41,-3.89,51.59,-4.24,51.57,-4.09,51.66,-4.39,51.74,-4.9,51.63,-5.12,51.71,-5.26,51.88,-4.15,52.33,-3.98,52.54,-4.08,52.61,-4.1,52.92,-4.68,52.81,-4.27,53.14,-3.43,53.34,-3.1,53.26,-3.17,53.39,-3.07,53.43,-2.92,53.3,-2.75,53.31,-2.91,53.35,-3.07,53.51,-2.93,53.73,-3.03,53.77,-3.03,53.91,-2.9,53.96,-2.87,54.18,-3.17,54.13,-3.57,54.47,-3.59,54.56,-3.47,54.77,-3.04,54.95,-3.55,54.95,-3.96,54.78,-4.25,54.85,-4.52,54.76,-4.82,54.85,-4.91,54.69,-5.14,54.86,-5.17,54.99,-5.06,54.99,-4.68,55.5,-4.89,55.7,-4.83,55.93,-4.58,55.94,-4.84,56.05,-4.8,56.16,-5.23,55.89,-5.22,56.07,-5,56.23,-5.38,56.02,-5.39,55.77,-5.56,55.39,-5.65,55.33,-5.77,55.36,-5.68,55.62,-5.51,55.8,-5.62,55.81,-5.54,56.25,-5.19,56.76,-5.65,56.53,-6.13,56.72,-5.73,56.85,-5.86,56.9,-5.59,57.1,-5.56,57.23,-5.82,57.44,-5.58,57.55,-5.74,57.67,-5.61,57.88,-5.16,57.88,-5.41,58.07,-5.34,58.24,-5.01,58.26,-5.09,58.38,-4.98,58.58,-4.43,58.51,-3.05,58.63,-3.11,58.41,-3.21,58.32,-3.99,57.96,-4.03,57.85,-3.86,57.82,-4.13,57.58,-3.3,57.71,-2.08,57.7,-1.87,57.61,-1.78,57.47,-2.5,56.64,-2.68,56.51,-3.31,56.36,-2.89,56.4,-2.65,56.32,-2.67,56.25,-3.36,56.03,-3.79,56.09,-3.05,55.95,-2.6,56.03,-2.15,55.9,-1.65,55.57,-1.23,54.7,-0.67,54.5,-0.08,54.12,-0.21,54.02,0.12,53.61,-0.27,53.74,-0.66,53.72,-0.29,53.69,0.27,53.34,0.35,53.16,0.05,52.91,0.28,52.81,0.56,52.97,1.06,52.96,1.38,52.89,1.72,52.68,1.75,52.47,1.56,52.09,1.23,51.97,1.28,51.84,1.19,51.8,0.75,51.73,0.9,51.69,0.89,51.57,0.42,51.47,0.89,51.36,1.42,51.36,1.4,51.18,1.05,51.05,0.96,50.93,0.2,50.76,-0.2,50.82,-0.79,50.76,-1.42,50.9,-1.33,50.82,-1.52,50.75,-2.03,50.72,-1.96,50.63,-2.04,50.6,-3,50.72,-3.4,50.63,-3.68,50.24,-4.2,50.39,-4.73,50.29,-5.12,50.04,-5.43,50.11,-5.62,50.05,-5.66,50.13,-4.89,50.53,-4.58,50.78,-4.52,50.98,-4.3,51.03,-4.19,51.19,-3.14,51.21,-2.43,51.74,-2.67,51.62]],[[-4.2,53.32,-4.05,53.31,-4.08,53.26,-4.37,53.13,-4.55,53.26,-4.57,53.39,-4.31,53.42,-4.2,53.32]],[[-2.55,59.23,-2.66,59.23,-2.6,59.29,-2.41,59.3,-2.55,59.23]],[[-1.04,60.51,-1.16,60.6,-1.09,60.72,-0.99,60.69,-1.04,60.51]],[[-1.31,60.54,-1.16,60.42,-1.05,60.44,-1.3,59.88,-1.36,59.91,-1.29,60.15,-1.67,60.28,-1.37,60.33,-1.45,60.47,-1.57,60.5,-1.36,60.61,-1.31,60.54]],[[-0.78,60.81,-0.83,60.68,-0.92,60.7,-0.92,60.81,-0.78,60.81]],[[-3.17,58.79,-3.28,58.78,-3.39,58.91,-3.27,58.9,-3.17,58.79]],[[-2.93,58.74,-3.04,58.82,-2.9,58.83,-2.93,58.74]],[[-3.06,59.03,-2.76,58.96,-2.83,58.89,-3.2,58.93,-3.24,59,-3.35,58.99,-3.31,59.13,-3.05,59.1,-3.06,59.03]],[[-2.73,59.19,-2.82,59.16,-3.05,59.32,-2.98,59.35,-2.73,59.19]],[[-6.67,56.58,-6.49,56.58,-6.49,56.67,-6.67,56.67,-6.67,56.58]],[[-5.11,55.45,-5.33,55.48,-5.37,55.67,-5.19,55.69,-5.11,55.45]],[[-5.78,56.34,-6.31,56.29,-6.19,56.36,-6.14,56.49,-6.32,56.57,-6.1,56.65,-5.76,56.49,-5.78,56.34]],[[-6.13,55.93,-6.09,55.66,-6.31,55.61,-6.3,55.78,-6.49,55.7,-6.41,55.85,-6.13,55.93]],[[-5.97,55.81,-6.04,55.81,-6.07,55.89,-5.91,55.97,-5.94,56.05,-5.73,56.12,-5.97,55.81]],[[-6.2,58.36,-6.33,58.19,-6.55,58.09,-6.4,58.08,-6.42,58.02,-6.96,57.75,-7.08,57.81,-6.86,57.92,-7.06,58,-6.99,58.05,-7.09,58.1,-7.03,58.22,-6.73,58.19,-6.78,58.3,-6.24,58.5,-6.2,58.36]],[[-6.28,56.96,-6.43,57.02,-6.32,57.05,-6.28,56.96]],[[-6.14,57.51,-6.14,57.31,-5.67,57.25,-5.95,57.05,-6.01,57.05,-6.04,57.2,-6.32,57.2,-6.44,57.33,-6.76,57.44,-6.36,57.67,-6.25,57.65,-6.14,57.51]],[[-7.21,57.68,-7.09,57.63,-7.18,57.53,-7.52,57.6,-7.21,57.68]],[[-7.25,57.12,-7.38,57.13,-7.41,57.38,-7.27,57.37,-7.25,57.12]],[[-7.42,56.97,-7.54,56.97,-7.45,57.02,-7.42,56.97]],[[-6.22,54.09,-6.65,54.06,-6.67,54.18,-7.05,54.41,-7.32,54.13,-7.61,54.14,-7.85,54.22,-8.15,54.45,-7.75,54.59,-7.91,54.7,-7.55,54.77,-7.38,55.03,-7.22,55.09,-7.1,55.05,-6.95,55.18,-6.47,55.24,-6.13,55.22,-5.72,54.82,-5.88,54.64,-5.58,54.66,-5.47,54.5,-5.48,54.44,-5.67,54.55,-5.66,54.38,-5.56,54.37,-5.61,54.27,-5.83,54.24,-6.02,54.05,-6.22,54.09]],[[-1.06,50.69,-1.25,50.59,-1.56,50.67,-1.31,50.77,-1.06,50.69]]]],
+    ['GD', 'Americas', [-61.78, 12.01, -61.61, 12.22], [[[-61.72,12.01,-61.78,12.01,-61.71,12.19,-61.61,12.22,-61.63,12.05,-61.72,12.01]]]],
+    ['GE', 'Asia', [39.98, 41.09, 46.67, 43.57], [[[43.44,41.11,43.15,41.24,43.15,41.31,42.76,41.58,42.59,41.57,42.47,41.44,41.92,41.5,41.82,41.43,41.51,41.52,41.7,41.7,41.76,41.97,41.49,42.66,40.84,43.06,40.46,43.15,39.98,43.42,40.15,43.57,40.65,43.53,41.58,43.22,42.76,43.17,43.78,42.75,43.74,42.62,43.83,42.57,44.51,42.75,44.77,42.62,44.87,42.76,45.16,42.68,45.34,42.53,45.7,42.5,45.64,42.2,46.43,41.89,46.18,41.66,46.67,41.29,46.54,41.09,46.17,41.2,45.92,41.19,45.73,41.26,45.72,41.34,45.28,41.45,44.81,41.26,44.84,41.21,43.44,41.11]]]],
+    ['GG', 'Europe', [-2.65, 49.43, -2.51, 49.49], [[[-2.51,49.49,-2.55,49.43,-2.65,49.47,-2.51,49.49]]]],
+    ['GH', 'Africa', [-3.23, 4.76, 1.19, 11.17], [[[-0.07,11.12,0.01,11.02,-0.08,10.67,0.38,10.29,0.26,9.64,0.34,9.6,0.23,9.46,0.41,9.49,0.53,9.4,0.49,8.85,0.37,8.76,0.69,8.35,0.59,8.15,0.61,7.73,0.5,7.55,0.51,7.44,0.64,7.35,0.52,6.85,0.74,6.45,0.98,6.32,1.19,6.09,0.95,5.81,0.26,5.76,-0.8,5.23,-1.5,5.04,-2,4.76,-3.11,5.09,-2.82,5.15,-2.76,5.43,-2.8,5.6,-3,5.71,-3.22,6.44,-3.23,6.81,-2.99,7.21,-2.79,7.93,-2.51,8.21,-2.6,8.8,-2.75,9.05,-2.67,9.28,-2.78,9.75,-2.77,10.24,-2.79,10.43,-2.91,10.59,-2.83,11,-1.04,11.01,-0.63,10.93,-0.3,11.17,-0.07,11.12]]]],
+    ['GL', 'Americas', [-72.82, 59.81, -11.43, 83.6], [[[-29.95,83.56,-25.8,83.26,-31.99,83.09,-32.03,82.98,-29.96,83.11,-27,83.07,-25.12,83.16,-24.47,82.88,-21.69,82.68,-21.52,82.6,-21.62,82.55,-23.12,82.33,-29.58,82.16,-29.89,82.05,-29.81,81.96,-29.54,81.94,-27.84,82.05,-25.15,82,-24.59,81.88,-24.29,81.7,-23.5,81.77,-23.1,82.01,-21.34,82.07,-21.13,81.93,-21.14,81.7,-21.23,81.6,-21.72,81.35,-23.07,80.93,-23.2,80.85,-23.12,80.78,-22.83,80.91,-20.89,81.28,-19.63,81.64,-19.23,81.64,-19.15,81.51,-17.45,81.4,-16.12,81.78,-14.24,81.81,-12.43,81.68,-11.43,81.46,-13.45,81.04,-14.45,80.99,-14.23,80.87,-14.5,80.76,-16.76,80.57,-15.94,80.43,-16.49,80.25,-18.07,80.17,-19.43,80.26,-20.15,80.01,-20.18,79.86,-20.07,79.77,-19.35,79.73,-19.28,79.68,-19.41,79.35,-19.15,79.33,-18.99,79.18,-19.72,79.07,-20.05,78.84,-20.62,78.8,-21.13,78.66,-20.95,78.55,-21.75,77.79,-21.73,77.71,-21.58,77.65,-21.38,77.7,-20.86,77.91,-19.49,77.72,-19.3,77.62,-19.47,77.57,-20.16,77.69,-20.68,77.62,-20.46,77.45,-19.3,77.22,-18.44,77.26,-18.29,77.13,-18.34,76.92,-18.61,76.76,-20.49,76.92,-20.94,76.89,-21.62,76.69,-22.33,76.79,-22.61,76.68,-21.88,76.57,-21.76,76.4,-21.49,76.27,-20.89,76.3,-20.1,76.22,-19.86,76.12,-19.96,76,-19.51,75.76,-19.4,75.49,-19.37,75.3,-19.52,75.18,-19.8,75.16,-20.2,75.31,-20.49,75.31,-21.65,75.02,-22.23,75.12,-21.7,74.96,-20.99,75.07,-20.78,74.89,-20.8,74.81,-21.04,74.65,-20.86,74.64,-20.61,74.73,-20.42,74.98,-19.99,74.98,-19.54,74.62,-19.29,74.55,-19.23,74.48,-19.27,74.34,-19.65,74.26,-20.26,74.28,-20.23,74.2,-21.13,74.11,-21.95,74.24,-21.76,74.48,-21.98,74.57,-21.92,74.44,-22.32,74.3,-22.2,74.21,-22.34,74.06,-21.99,73.97,-20.37,73.85,-20.51,73.49,-20.64,73.46,-21.55,73.43,-22.35,73.27,-23.23,73.4,-23.76,73.54,-24.16,73.77,-24.68,73.6,-25.52,73.85,-24.79,73.51,-26.06,73.25,-27.27,73.44,-26.54,73.25,-26.73,73.17,-27.56,73.14,-27.35,73.07,-25.4,73.28,-25.06,73.4,-24.13,73.41,-22.04,72.92,-22.01,72.64,-22.07,72.4,-22.28,72.35,-22.29,72.12,-24.07,72.5,-24.36,72.69,-24.63,73.04,-26.66,72.72,-26.39,72.67,-24.81,72.9,-24.65,72.58,-24.7,72.51,-25.2,72.39,-25.12,72.35,-24.57,72.42,-22.5,71.91,-22.37,71.77,-21.96,71.74,-22.47,71.53,-22.48,71.38,-22.42,71.25,-22.3,71.43,-21.75,71.48,-21.67,70.86,-21.52,70.53,-21.94,70.44,-22.38,70.46,-22.44,70.86,-22.69,70.44,-23.33,70.45,-23.97,70.65,-24.27,71.05,-24.56,71.22,-25.89,71.57,-27.09,71.63,-27.16,71.6,-27.11,71.53,-25.84,71.48,-25.7,71.37,-25.67,71.27,-25.74,71.18,-26.72,70.95,-28.4,70.99,-27.99,70.9,-28.07,70.7,-29.07,70.44,-26.62,70.46,-26.51,70.4,-26.58,70.36,-27.56,70.12,-27.63,70.03,-27.38,69.99,-27.03,70.2,-25.53,70.35,-23.67,70.14,-22.29,70.13,-22.21,70.11,-22.29,70.03,-23.03,69.9,-23.09,69.88,-23.05,69.79,-23.87,69.74,-23.74,69.59,-24.3,69.58,-24.22,69.48,-24.29,69.44,-25.19,69.26,-25.09,69.16,-25.54,69.04,-25.7,68.89,-26.48,68.68,-29.25,68.3,-29.87,68.31,-30.2,68.2,-30.72,68.25,-30.61,68.12,-30.98,68.06,-31.42,68.13,-32.33,68.44,-32.18,68.26,-32.37,68.21,-32.16,68.06,-32.16,67.99,-33.16,67.63,-33.5,67.38,-33.53,67.26,-34.1,66.73,-34.42,66.63,-34.63,66.43,-35.19,66.25,-35.87,66.44,-35.63,66.14,-36.38,65.83,-36.39,65.96,-36.53,66.01,-36.66,65.79,-36.93,65.78,-37.06,65.87,-37.32,65.79,-37.41,65.66,-37.76,65.59,-38,65.71,-37.8,65.86,-37.79,65.98,-37.28,66.3,-38.15,66.39,-37.75,66.26,-37.97,66.14,-38.14,65.9,-38.52,66.01,-38.22,65.84,-38.2,65.71,-38.64,65.63,-40.17,65.56,-39.58,65.34,-39.65,65.29,-40.25,65.05,-40.67,65.11,-41.09,65.1,-41.09,65.03,-40.97,64.87,-40.66,64.92,-40.18,64.48,-40.7,64.33,-40.78,64.22,-41.58,64.3,-41.03,64.12,-40.62,64.13,-40.65,63.93,-40.55,63.73,-40.77,63.63,-40.78,63.53,-41.05,63.51,-41.15,63.35,-41.11,63.27,-41.39,63.06,-41.85,63.07,-42.18,63.21,-42.09,63.12,-41.64,62.97,-41.91,62.74,-42.94,62.72,-42.15,62.57,-42.32,62.15,-42.14,62.01,-42.11,61.86,-42.59,61.72,-42.32,61.68,-42.35,61.62,-42.64,61.06,-42.72,60.77,-43.04,60.52,-43.92,60.6,-43.21,60.39,-43.12,60.06,-43.32,59.93,-43.95,60.02,-43.66,59.86,-43.91,59.81,-44.12,59.83,-44.07,59.92,-44.41,59.92,-44.46,60.01,-44.23,60.18,-44.22,60.27,-44.61,60.02,-45.38,60.2,-45.37,60.37,-44.97,60.46,-44.76,60.67,-45.38,60.44,-46.05,60.61,-46.14,60.78,-45.88,61.09,-45.87,61.22,-46.01,61.1,-46.87,60.82,-47.8,60.83,-47.73,60.73,-47.83,60.72,-48.18,60.77,-48.21,60.86,-47.77,61,-48.39,61.01,-48.43,61.19,-48.92,61.28,-49.05,61.52,-49.29,61.59,-49.19,61.69,-49.38,61.89,-48.83,62.08,-49.12,62.11,-49.62,62,-49.67,62.15,-49.55,62.23,-50.32,62.47,-50.26,62.58,-50.3,62.72,-49.79,63.05,-50.39,62.82,-51.47,63.64,-51.54,63.76,-51.45,63.9,-51.55,64.01,-50.26,64.21,-50.49,64.21,-50.44,64.31,-51.54,64.1,-51.71,64.2,-51.23,64.56,-50.83,64.56,-50.85,64.64,-50.68,64.68,-50.36,64.68,-50.01,64.45,-50.12,64.7,-50.52,64.77,-50.96,65.2,-50.72,64.8,-51.22,64.63,-51.14,64.79,-51.26,64.76,-51.76,64.28,-51.92,64.22,-52.09,64.42,-52.09,64.68,-52.26,65.15,-52.45,65.2,-52.54,65.33,-51.62,65.71,-51.09,65.78,-51.72,65.72,-52.35,65.46,-52.55,65.46,-52.76,65.59,-53.2,65.59,-53.24,65.77,-53.11,65.98,-53.39,66.05,-52.05,66.51,-51.23,66.88,-53.04,66.2,-53.61,66.15,-53.64,66.41,-53.42,66.65,-53.04,66.83,-52.39,66.88,-53.69,66.99,-53.88,67.14,-53.8,67.42,-52.51,67.76,-50.61,67.53,-51.17,67.69,-50.89,67.78,-50.97,67.81,-51.77,67.74,-52.35,67.84,-52.98,67.76,-53.42,67.57,-53.74,67.55,-53.58,67.84,-53.15,68.21,-51.6,68.06,-51.17,68.39,-51.46,68.39,-51.63,68.27,-52.2,68.22,-52.78,68.31,-53.38,68.3,-53.04,68.61,-52.61,68.71,-51.62,68.53,-51.13,68.6,-50.8,68.79,-51.25,68.74,-51.09,69.13,-50.3,69.17,-50.54,69.25,-51.08,69.21,-50.89,69.41,-50.81,69.66,-50.35,69.8,-50.5,69.94,-50.32,70.03,-51.1,70.06,-51.5,69.99,-52.26,70.06,-53.02,70.3,-54.01,70.42,-54.53,70.7,-54.16,70.82,-52.8,70.75,-51.53,70.44,-50.68,70.4,-51.32,70.59,-51.26,70.85,-51.77,71.01,-51.02,71,-51.38,71.12,-53.01,71.18,-53.12,71.31,-52.89,71.46,-51.78,71.68,-52.66,71.67,-53.17,71.54,-53.44,71.58,-53.48,71.64,-53.15,71.81,-53.33,71.79,-53.42,72,-53.69,72.16,-53.81,72.29,-53.65,72.36,-53.93,72.32,-53.79,72.13,-53.51,71.98,-53.48,71.85,-53.78,71.68,-54.02,71.66,-53.91,71.53,-53.96,71.46,-54.82,71.37,-55.34,71.43,-55.59,71.55,-55.67,71.69,-55.32,72.11,-54.84,72.38,-55.58,72.18,-55.66,72.22,-55.64,72.3,-55.29,72.35,-55.6,72.45,-54.92,72.57,-54.74,72.7,-54.74,72.87,-55.07,73.02,-55.29,72.93,-55.67,73.01,-55.69,73.11,-55.36,73.2,-55.29,73.33,-55.45,73.46,-55.74,73.38,-55.87,73.5,-56.1,73.56,-55.97,73.76,-55.84,73.76,-56.23,74.13,-56.49,74.18,-57.23,74.12,-56.71,74.22,-56.64,74.28,-56.72,74.43,-56.26,74.53,-58.57,75.35,-58.25,75.51,-58.52,75.69,-61.19,76.16,-63.29,76.35,-63.84,76.22,-64.31,76.32,-65.37,76.13,-65.88,76.24,-66.47,76.14,-66.99,76.21,-67.06,76.15,-66.67,75.98,-66.83,75.97,-68.32,76.09,-69.48,76.4,-68.11,76.65,-69.67,76.74,-69.89,76.83,-69.69,76.99,-70.61,76.82,-71.16,77.07,-70.6,77.19,-68.98,77.2,-68.59,77.34,-68.14,77.38,-66.94,77.36,-66.39,77.28,-66.45,77.39,-66.27,77.51,-66.31,77.57,-66.82,77.69,-67.69,77.52,-68.62,77.6,-69.35,77.47,-70.53,77.7,-70.12,77.84,-71.27,77.81,-72.16,77.96,-72.82,78.19,-72.58,78.28,-72.72,78.36,-72.47,78.48,-71.65,78.62,-68.99,78.86,-68.92,78.88,-69.03,78.94,-68.38,79.04,-65.82,79.17,-65.29,79.44,-64.79,80,-64.18,80.1,-64.44,80.14,-65.81,80.02,-66.84,80.08,-67.2,80.22,-66.99,80.41,-64.51,81,-63.72,81.06,-63.03,80.89,-63.24,81.08,-62.99,81.21,-61.44,81.13,-61.16,81.28,-61.1,81.4,-61.2,81.75,-60.43,81.92,-59.28,81.88,-56.62,81.36,-59.26,82.01,-54.55,82.35,-53.67,82.16,-53.58,82.06,-53.56,81.65,-53.04,81.87,-52.93,82.04,-53.1,82.12,-53.11,82.25,-53.02,82.32,-50.9,81.89,-49.54,81.92,-50.4,82.12,-50.94,82.38,-50.99,82.46,-50.04,82.47,-48.86,82.41,-44.73,81.78,-44.53,81.85,-44.64,82.1,-44.55,82.26,-44.24,82.37,-44.33,82.47,-45.56,82.75,-41.88,82.68,-41.37,82.75,-44.76,82.88,-46.14,82.86,-46.48,82.95,-46.17,83.06,-45.42,83.02,-43.01,83.26,-41.3,83.1,-40.36,83.33,-38.93,83.18,-38.15,83,-37.94,83.16,-38.54,83.26,-38.75,83.37,-37.72,83.5,-36.8,83.47,-36.61,83.54,-33.84,83.53,-32.99,83.6,-29.95,83.56]],[[-52.73,69.94,-52.04,69.81,-51.9,69.6,-52.11,69.49,-53.58,69.26,-54.18,69.4,-53.66,69.47,-53.83,69.54,-54.73,69.61,-54.92,69.71,-54.79,69.95,-54.32,69.94,-54.77,70.05,-54.83,70.13,-54.7,70.26,-54.37,70.32,-53.3,70.2,-52.73,69.94]],[[-51.01,69.55,-51.23,69.55,-51.35,69.85,-51.09,69.92,-50.68,69.85,-50.91,69.76,-51.01,69.55]],[[-53.53,71.04,-53.96,71.13,-53.58,71.3,-53.43,71.15,-53.53,71.04]],[[-55.02,72.79,-55.57,72.56,-56.22,72.72,-55.2,72.84,-55.02,72.79]],[[-71.67,77.33,-72.5,77.38,-72.44,77.45,-71.98,77.46,-71.43,77.4,-71.67,77.33]],[[-44.87,82.08,-46.75,82.35,-47.35,82.6,-46.4,82.69,-44.92,82.48,-44.75,82.4,-44.87,82.08]],[[-25.43,70.92,-25.39,70.83,-25.47,70.78,-25.35,70.69,-25.4,70.65,-26.22,70.45,-26.61,70.55,-28.04,70.49,-27.71,70.71,-27.71,70.9,-27.62,70.91,-26.62,70.88,-25.82,71.04,-25.43,70.92]],[[-18.66,81.85,-19.03,81.83,-19.59,81.99,-19.61,82.08,-19.32,82.12,-18.66,81.85]],[[-17.61,79.83,-18.03,79.71,-18.66,79.72,-19.14,79.85,-19,79.94,-17.98,80.05,-17.47,80.03,-17.4,79.94,-17.61,79.83]],[[-19,77.97,-19.13,77.94,-19.3,78.19,-19.32,78.34,-18.93,78.42,-18.95,78.21,-18.88,78.12,-19,77.97]],[[-18.58,76.04,-18.7,76.02,-19.09,76.43,-19.06,76.7,-18.73,76.64,-18.58,76.04]],[[-18,75.41,-17.89,75.2,-17.5,75.15,-17.39,75.04,-18.67,75,-18.89,75.07,-18.86,75.32,-18,75.41]],[[-17.96,77.64,-18.15,77.64,-18.22,77.67,-18.17,77.71,-17.9,77.86,-17.68,77.86,-17.64,77.78,-17.73,77.71,-17.96,77.64]],[[-37.03,65.53,-37.19,65.53,-37.22,65.7,-36.95,65.66,-37.03,65.53]],[[-46.27,60.78,-46.38,60.66,-46.79,60.78,-46.2,60.94,-46.27,60.78]],[[-51.68,70.86,-52.15,70.9,-51.97,70.98,-51.63,70.89,-51.68,70.86]]]],
+    ['GM', 'Africa', [-16.82, 13.06, -13.83, 13.81], [[[-16.56,13.59,-15.51,13.59,-15.43,13.73,-15.11,13.81,-14.41,13.5,-13.98,13.54,-13.83,13.41,-13.85,13.33,-14.25,13.24,-15.15,13.56,-15.29,13.4,-15.81,13.32,-15.83,13.16,-16.65,13.15,-16.76,13.06,-16.82,13.34,-16.67,13.48,-16.55,13.3,-16.41,13.27,-16.18,13.28,-16.16,13.38,-15.43,13.47,-16.14,13.45,-16.35,13.34,-16.53,13.46,-16.56,13.59]]]],
+    ['GN', 'Africa', [-15.05, 7.22, -7.68, 12.67], [[[-10.28,8.48,-10.4,8.48,-10.56,8.32,-10.71,8.34,-10.5,8.69,-10.61,9.06,-10.75,9.1,-10.69,9.31,-11.21,9.98,-11.91,9.99,-11.92,9.92,-12.14,9.88,-12.43,9.9,-12.76,9.37,-12.96,9.26,-13.03,9.1,-13.29,9.05,-13.27,9.17,-13.44,9.42,-13.57,9.54,-13.69,9.54,-13.69,9.93,-13.82,9.89,-14.05,10.14,-14.43,10.25,-14.61,10.55,-14.59,10.77,-14.68,10.69,-14.78,10.93,-14.89,10.97,-14.97,10.8,-15.05,10.84,-14.68,11.51,-13.73,11.74,-13.74,12.01,-13.95,12.22,-13.71,12.31,-13.73,12.67,-13.08,12.63,-13.06,12.49,-12.93,12.53,-12.4,12.34,-11.39,12.4,-11.5,12.2,-11.31,12.02,-10.93,12.2,-10.71,11.9,-10.47,12.14,-10.28,12.21,-9.75,12.03,-9.66,12.14,-9.36,12.26,-9.39,12.47,-9.04,12.4,-8.82,11.92,-8.82,11.67,-8.4,11.37,-8.67,11.01,-8.34,10.99,-8.27,10.49,-7.99,10.28,-7.99,10.16,-8.16,9.97,-8.14,9.5,-8.03,9.4,-7.9,9.42,-7.92,9.19,-7.78,9.08,-7.94,8.98,-7.95,8.79,-7.72,8.64,-7.68,8.41,-8.21,8.48,-8.26,8.25,-8.05,8.17,-8.01,8.08,-8.21,7.59,-8.49,7.56,-8.66,7.69,-8.89,7.26,-9.12,7.22,-9.26,7.38,-9.46,7.42,-9.37,7.7,-9.52,8.35,-9.78,8.54,-10.06,8.43,-10.15,8.52,-10.28,8.48]]]],
+    ['GQ', 'Africa', [8.47, 0.96, 11.33, 3.76], [[[8.74,3.76,8.91,3.76,8.95,3.63,8.7,3.22,8.48,3.26,8.47,3.45,8.58,3.48,8.74,3.76]],[[11.33,2.17,11.33,1,9.91,0.96,9.76,1.08,9.59,1.03,9.39,1.14,9.81,1.93,9.8,2.3,9.98,2.17,11.33,2.17]]]],
+    ['GR', 'Europe', [19.65, 34.93, 28.23, 41.72], [[[27.86,36.55,27.79,36.61,27.86,36.64,27.86,36.55]],[[20.61,38.38,20.63,38.27,20.79,38.14,20.76,38.07,20.52,38.11,20.45,38.23,20.35,38.18,20.56,38.48,20.61,38.38]],[[20.89,37.81,20.99,37.71,20.82,37.66,20.62,37.85,20.69,37.93,20.89,37.81]],[[20.69,38.61,20.55,38.58,20.69,38.84,20.69,38.61]],[[20.62,38.32,20.76,38.32,20.76,38.48,20.62,38.48,20.62,38.32]],[[20.08,39.43,20.1,39.38,19.88,39.46,19.65,39.77,19.92,39.77,19.85,39.67,19.96,39.47,20.08,39.43]],[[23.42,38.96,23.52,38.81,24.13,38.65,24.28,38.22,24.56,38.15,24.58,38.02,24.36,38.02,24.04,38.39,23.65,38.44,23.62,38.55,23.25,38.8,22.88,38.85,23.26,39.03,23.42,38.96]],[[23.78,39.11,23.66,39.1,23.59,39.21,23.78,39.11]],[[23.84,39.15,23.97,39.15,23.97,39.27,23.84,39.27,23.84,39.15]],[[24.68,38.81,24.54,38.79,24.49,38.98,24.68,38.81]],[[24.77,40.61,24.65,40.58,24.52,40.69,24.72,40.79,24.77,40.61]],[[23.55,37.93,23.42,37.93,23.48,37.99,23.55,37.93]],[[23.05,36.19,22.91,36.22,22.95,36.38,23.1,36.25,23.05,36.19]],[[27.17,35.47,27.14,35.41,27.1,35.46,27.07,35.6,27.22,35.82,27.16,35.63,27.23,35.48,27.17,35.47]],[[27.02,36.96,26.92,36.94,26.89,37.09,27.02,36.96]],[[26.95,36.73,27.21,36.9,27.35,36.87,26.95,36.73]],[[25.55,36.97,25.46,36.93,25.36,37.07,25.53,37.2,25.59,37.15,25.55,36.97]],[[25.28,37.07,25.2,36.99,25.1,37.03,25.23,37.15,25.28,37.07]],[[25.48,36.39,25.37,36.36,25.41,36.47,25.48,36.39]],[[25.38,36.67,25.26,36.76,25.41,36.72,25.38,36.67]],[[26.83,37.81,27.06,37.71,26.84,37.64,26.58,37.72,26.83,37.81]],[[26.03,37.53,26.09,37.64,26.35,37.67,26.03,37.53]],[[25.86,36.79,25.74,36.79,26,36.94,26.07,36.9,25.86,36.79]],[[26.46,36.59,26.27,36.55,26.37,36.64,26.46,36.59]],[[24.36,37.58,24.29,37.53,24.28,37.6,24.38,37.68,24.36,37.58]],[[24.44,37.34,24.38,37.31,24.37,37.42,24.43,37.48,24.44,37.34]],[[24.54,36.76,24.53,36.68,24.33,36.66,24.36,36.74,24.54,36.76]],[[24.9,37.39,24.94,37.39,24.94,37.51,24.9,37.51,24.9,37.39]],[[24.99,37.76,24.96,37.69,24.7,37.96,24.96,37.9,24.99,37.76]],[[25.26,37.6,25.16,37.55,25,37.68,25.26,37.6]],[[24.72,36.92,24.68,37.02,24.76,36.95,24.72,36.92]],[[26.09,38.22,26,38.16,25.89,38.24,25.99,38.35,25.85,38.57,26.16,38.54,26.09,38.22]],[[26.41,39.33,26.6,39.05,26.49,39.07,26.55,38.99,26.47,38.97,26.11,39.08,26.27,39.2,26.07,39.1,25.84,39.2,26.17,39.37,26.41,39.33]],[[25.68,40.43,25.57,40.4,25.45,40.48,25.57,40.52,25.68,40.43]],[[25.44,39.98,25.36,39.81,25.25,39.89,25.06,39.85,25.06,40,25.28,39.96,25.45,40.03,25.44,39.98]],[[25.4,37.42,25.31,37.41,25.31,37.49,25.46,37.47,25.4,37.42]],[[24.53,37.13,24.42,37.13,24.44,37.19,24.53,37.19,24.53,37.13]],[[27.84,35.93,27.71,35.96,27.71,36.17,27.91,36.35,28.23,36.43,28.09,36.07,27.84,35.93]],[[23.85,35.53,24.17,35.6,24.2,35.54,24.11,35.49,24.26,35.47,24.31,35.36,24.72,35.43,25.48,35.31,25.73,35.35,25.79,35.12,26.32,35.31,26.25,35.05,26.17,35.02,24.8,34.93,24.71,35.09,24.46,35.16,23.59,35.26,23.57,35.53,23.67,35.51,23.74,35.65,23.85,35.53]],[[26.32,41.72,26.58,41.6,26.62,41.4,26.33,41.24,26.35,41,26.11,40.75,25.1,40.99,24.79,40.86,24.48,40.95,24.08,40.72,23.76,40.75,23.87,40.42,24.21,40.33,24.34,40.15,23.91,40.36,23.73,40.33,23.97,40.11,23.95,39.97,23.66,40.22,23.43,40.26,23.47,40.07,23.68,39.96,23.39,39.99,23.31,40.22,22.9,40.4,22.85,40.49,22.92,40.59,22.63,40.5,22.59,40.04,23.33,39.18,23.15,39.1,23.16,39.26,22.92,39.31,22.84,39.26,22.89,39.17,22.97,39.03,23.07,39.04,22.57,38.87,23.25,38.66,23.68,38.35,23.97,38.27,24.05,37.71,23.97,37.68,23.5,38.03,23.03,37.88,23.15,37.8,23.2,37.62,23.39,37.58,23.49,37.44,23.16,37.33,22.94,37.52,22.73,37.54,23.06,36.85,23.04,36.64,23.16,36.45,22.72,36.79,22.61,36.78,22.49,36.45,22.43,36.48,22.38,36.7,22.08,37.03,21.95,36.99,21.89,36.74,21.74,36.86,21.58,37.08,21.68,37.39,21.12,37.89,21.4,38.2,21.66,38.18,21.83,38.33,21.95,38.32,22.92,37.96,22.89,38.05,23.18,38.13,22.42,38.44,22.32,38.36,21.97,38.41,21.47,38.32,21.33,38.49,21.3,38.37,21.18,38.35,20.77,38.87,20.89,38.94,21.11,38.9,21.12,39.03,20.78,39.01,20.3,39.33,20,39.71,20.25,39.68,20.38,39.8,20.31,39.98,20.66,40.12,20.81,40.45,20.95,40.49,21.03,40.62,20.96,40.85,21.58,40.87,21.99,41.13,22.49,41.12,22.73,41.18,22.78,41.33,23.64,41.39,24.06,41.53,24.52,41.55,24.77,41.36,24.99,41.36,25.25,41.24,25.92,41.31,26.16,41.44,26.08,41.7,26.32,41.72]]]],
+    ['GS', 'Antarctic', [-38.02, -58.49, -26.26, -53.98], [[[-26.26,-58.43,-26.26,-58.49,-26.45,-58.42,-26.26,-58.43]],[[-37.1,-54.07,-36.7,-54.11,-36.61,-54.19,-36.65,-54.26,-36.45,-54.31,-36.33,-54.25,-36.07,-54.55,-35.89,-54.56,-35.91,-54.71,-35.8,-54.76,-36.08,-54.87,-36.51,-54.51,-36.74,-54.47,-36.89,-54.34,-37.63,-54.17,-37.69,-54.08,-37.62,-54.04,-38.02,-54.01,-37.38,-53.98,-37.1,-54.07]]]],
+    ['GT', 'Americas', [-92.23, 13.74, -88.23, 17.82], [[[-92.23,14.54,-92.08,15.07,-92.21,15.28,-91.74,16.07,-90.45,16.07,-90.42,16.39,-90.63,16.51,-90.71,16.71,-91.41,17.26,-90.99,17.25,-90.99,17.82,-89.16,17.82,-89.24,15.89,-88.89,15.89,-88.6,15.76,-88.54,15.85,-88.6,15.95,-88.23,15.73,-89.17,15.04,-89.22,14.87,-89.17,14.61,-89.36,14.42,-89.57,14.39,-89.55,14.24,-90.05,13.9,-90.1,13.74,-90.61,13.93,-91.38,13.99,-92.23,14.54]]]],
+    ['GU', 'Oceania', [144.65, 13.26, 144.91, 13.62], [[[144.74,13.26,144.66,13.29,144.65,13.43,144.84,13.62,144.91,13.6,144.74,13.26]]]],
+    ['GW', 'Africa', [-16.71, 10.94, -13.71, 12.68], [[[-16.71,12.35,-15.58,12.49,-15.2,12.68,-13.73,12.67,-13.71,12.31,-13.95,12.22,-13.74,12.01,-13.73,11.74,-14.68,11.51,-15.04,10.94,-15.05,11.14,-15.22,11.03,-15.22,11.16,-15.39,11.22,-15.36,11.4,-15.48,11.41,-15.43,11.5,-15.07,11.6,-15.23,11.69,-15.41,11.61,-15.5,11.72,-15.47,11.84,-15.21,11.87,-15.08,11.97,-15.94,11.79,-15.92,11.94,-16.14,11.92,-16.33,12.05,-16.25,12.24,-16.44,12.2,-16.71,12.35]],[[-16.12,11.06,-16.24,11.11,-16.07,11.2,-16.12,11.06]],[[-15.9,11.08,-15.96,11.06,-15.94,11.19,-15.9,11.08]],[[-15.73,11.22,-15.78,11.19,-15.76,11.27,-15.66,11.29,-15.73,11.22]],[[-15.62,11.51,-15.48,11.51,-15.48,11.63,-15.62,11.63,-15.62,11.51]],[[-15.9,11.47,-16.02,11.48,-15.96,11.6,-15.9,11.47]],[[-15.99,11.88,-16.04,11.76,-16.15,11.85,-15.99,11.88]]]],
+    ['GY', 'Americas', [-61.39, 1.21, -56.48, 8.55], [[[-60.74,5.2,-61.39,5.94,-61.13,6.21,-61.2,6.59,-61.14,6.69,-60.72,6.77,-60.35,7,-60.32,7.13,-60.63,7.21,-60.6,7.32,-60.72,7.54,-60.51,7.81,-60.03,8.05,-59.85,8.25,-60.02,8.55,-59.84,8.37,-59.67,8.36,-59.2,8.07,-58.48,7.33,-58.48,7.04,-58.67,6.39,-58.42,6.85,-58.3,6.88,-57.98,6.79,-57.54,6.33,-57.23,6.18,-57.2,5.55,-57.32,5.34,-57.21,5.19,-57.33,5.02,-57.71,4.99,-57.88,4.88,-57.85,4.67,-58.06,4.1,-57.83,3.68,-57.65,3.52,-57.65,3.39,-57.3,3.38,-57.2,2.85,-56.71,2.04,-56.48,1.94,-56.84,1.88,-57.12,2.01,-57.32,1.96,-57.54,1.73,-57.98,1.65,-58.03,1.52,-58.34,1.59,-58.51,1.44,-58.51,1.29,-58.79,1.21,-59.23,1.38,-59.74,1.87,-59.76,2.27,-59.89,2.36,-59.99,2.69,-59.97,2.99,-59.83,3.35,-59.86,3.59,-59.68,3.7,-59.55,3.93,-59.74,4.23,-59.7,4.38,-60.15,4.53,-60.03,4.74,-59.99,5.08,-60.14,5.24,-60.74,5.2]]]],
+    ['HK', 'Asia', [113.84, 22.2, 114.34, 22.54], [[[114.01,22.51,114.27,22.54,114.34,22.4,114.27,22.3,113.94,22.37,113.9,22.43,114.01,22.51]],[[114.13,22.2,114.25,22.2,114.25,22.3,114.13,22.3,114.13,22.2]],[[114,22.21,113.84,22.24,114.04,22.33,114,22.21]]]],
+    ['HM', 'Antarctic', [73.25, -53.18, 73.84, -52.98], [[[73.71,-53.14,73.46,-53.18,73.25,-52.98,73.84,-53.11,73.71,-53.14]]]],
+    ['HN', 'Americas', [-89.36, 12.98, -83.16, 16.51], [[[-83.16,14.99,-83.54,14.98,-83.63,14.88,-84.46,14.64,-84.65,14.66,-84.86,14.81,-84.98,14.75,-85.16,14.53,-85.18,14.34,-85.68,13.98,-85.73,13.86,-86.04,14.05,-86.33,13.77,-86.76,13.75,-86.71,13.31,-86.87,13.27,-87.06,12.99,-87.34,12.98,-87.49,13.35,-87.81,13.4,-87.74,13.45,-87.72,13.81,-87.8,13.89,-87.99,13.88,-88.15,13.99,-88.48,13.85,-88.51,13.98,-88.71,14.03,-89.06,14.33,-89.36,14.42,-89.17,14.61,-89.22,14.87,-89.14,15.07,-88.23,15.73,-88.13,15.7,-87.7,15.91,-87.49,15.79,-87.28,15.83,-86.91,15.76,-86.36,15.78,-85.93,15.95,-85.99,16.02,-85.48,15.9,-84.97,15.99,-84.56,15.8,-84.43,15.83,-84.52,15.87,-84.26,15.82,-83.77,15.44,-84.08,15.51,-84.1,15.4,-83.93,15.39,-83.76,15.22,-83.5,15.22,-83.65,15.37,-83.37,15.24,-83.16,14.99]],[[-86.63,16.3,-86.26,16.3,-86.26,16.44,-86.63,16.44,-86.63,16.3]],[[-85.87,16.46,-85.96,16.43,-85.88,16.51,-85.87,16.46]]]],
+    ['HR', 'Europe', [13.52, 42.43, 19.4, 46.53], [[[13.58,45.52,13.88,45.43,13.99,45.51,14.37,45.48,14.57,45.66,14.79,45.48,15.34,45.47,15.28,45.58,15.36,45.65,15.28,45.73,15.67,45.9,15.61,46.17,16.23,46.37,16.32,46.53,16.75,46.42,17.31,46,17.81,45.79,18.36,45.75,18.66,45.91,18.91,45.93,18.84,45.84,18.92,45.6,19.06,45.52,19.01,45.4,19.4,45.19,19.14,45.2,19.06,45.14,19.09,44.93,18.94,44.87,18.79,44.91,18.66,45.08,17.99,45.14,17.81,45.08,17.65,45.16,17.13,45.17,16.92,45.28,16.79,45.2,16.53,45.22,16.29,45.01,15.96,45.21,15.79,45.18,15.74,44.77,16.1,44.52,16.3,44.12,17.08,43.52,17.27,43.45,17.29,43.31,17.65,43.01,17.58,42.94,16.9,43.39,16.39,43.54,15.99,43.52,15.94,43.66,15.19,44.17,15.12,44.26,15.47,44.27,14.98,44.6,14.9,44.71,14.86,45.08,14.55,45.3,14.31,45.34,13.97,44.84,13.86,44.84,13.63,45.11,13.52,45.48,13.58,45.52]],[[16.65,43,17.19,42.92,16.85,42.9,16.65,43]],[[17.2,43.13,16.68,43.12,16.37,43.21,17.2,43.13]],[[16.79,43.27,16.42,43.32,16.45,43.39,16.6,43.38,16.84,43.35,16.89,43.31,16.79,43.27]],[[15.06,44.03,15.25,44.03,15.25,44.16,15.06,44.16,15.06,44.03]],[[14.81,44.98,14.69,44.96,14.44,45.1,14.57,45.23,14.81,44.98]],[[14.83,44.76,14.66,44.8,14.75,44.85,14.83,44.76]],[[15.19,44.34,14.91,44.49,14.74,44.7,15.19,44.34]],[[14.87,43.9,15.2,43.9,15.2,44.17,14.87,44.17,14.87,43.9]],[[15.37,43.97,15.44,43.9,15.37,43.91,15.27,44.01,15.37,43.97]],[[14.49,44.66,14.31,44.9,14.33,45.16,14.47,44.97,14.49,44.66]],[[17.61,42.77,17.74,42.7,17.34,42.79,17.61,42.77]],[[18.44,42.56,18.52,42.43,17.83,42.8,17.04,43.02,17.22,43.03,17.72,42.85,17.67,42.9,17.8,42.9,18.44,42.56]]]],
+    ['HT', 'Americas', [-74.46, 18.04, -71.65, 20.09], [[[-71.78,19.72,-71.71,19.49,-71.75,19.29,-71.65,19.16,-71.81,18.99,-71.74,18.73,-72,18.6,-71.76,18.34,-71.77,18.04,-72.06,18.23,-72.88,18.15,-73.38,18.25,-73.75,18.19,-73.89,18.04,-74.46,18.39,-74.39,18.62,-74.23,18.66,-72.79,18.44,-72.62,18.55,-72.38,18.57,-72.35,18.67,-72.81,19.07,-72.74,19.13,-72.7,19.44,-73.05,19.61,-73.4,19.66,-73.44,19.72,-73.32,19.86,-72.88,19.93,-72.22,19.74,-71.78,19.72]],[[-72.81,18.78,-72.82,18.71,-73.08,18.79,-73.28,18.95,-73.07,18.93,-72.81,18.78]],[[-72.96,19.99,-72.62,19.99,-72.62,20.09,-72.96,20.09,-72.96,19.99]]]],
+    ['HU', 'Europe', [16.09, 45.77, 22.88, 48.55], [[[22.13,48.41,22.25,48.41,22.35,48.26,22.58,48.13,22.77,48.11,22.88,47.95,22.61,47.77,22.29,47.73,22,47.5,21.99,47.4,21.66,47.04,21.5,46.7,21.3,46.57,21.26,46.41,21.04,46.24,20.76,46.25,20.66,46.15,19.61,46.17,19.21,45.98,18.66,45.91,18.44,45.77,17.81,45.79,17.31,46,16.87,46.34,16.52,46.5,16.28,46.86,16.09,46.86,16.45,47.01,16.44,47.4,16.68,47.54,16.42,47.67,16.59,47.75,16.79,47.68,17.07,47.71,17.03,47.84,17.15,48.01,17.76,47.77,18.73,47.79,18.79,48,19.47,48.11,19.63,48.22,19.9,48.13,20.33,48.3,20.49,48.53,21.45,48.55,21.72,48.35,22.13,48.41]]]],
+    ['ID', 'Asia', [95.21, -10.91, 140.98, 5.89], [[[97.48,1.47,97.93,0.97,97.82,0.56,97.69,0.6,97.6,0.83,97.4,0.95,97.08,1.43,97.25,1.42,97.36,1.54,97.48,1.47]],[[99.16,-1.78,98.83,-1.61,98.6,-1.2,98.68,-0.97,98.93,-0.95,99.27,-1.63,99.27,-1.74,99.16,-1.78]],[[116.64,-8.61,116.51,-8.82,116.59,-8.89,116.24,-8.91,115.86,-8.79,116.08,-8.75,116.06,-8.44,116.4,-8.2,116.72,-8.34,116.64,-8.61]],[[115.45,-8.16,115.7,-8.41,115.33,-8.62,115.15,-8.85,115.06,-8.57,114.61,-8.38,114.47,-8.17,114.5,-8.12,114.94,-8.19,115.15,-8.07,115.45,-8.16]],[[106.04,-1.67,106.36,-2.46,106.82,-2.57,106.61,-2.9,106.67,-3.07,106,-2.83,105.79,-2.18,105.55,-2.08,105.34,-2.12,105.13,-2.04,105.19,-1.92,105.37,-1.81,105.37,-1.66,105.46,-1.57,105.58,-1.53,105.7,-1.73,105.72,-1.53,105.91,-1.5,106.04,-1.67]],[[123.18,-4.55,123.2,-4.82,123.12,-4.72,123.05,-4.75,122.97,-5.14,123.15,-5.22,123.19,-5.33,122.97,-5.41,122.81,-5.67,122.64,-5.66,122.59,-5.49,122.77,-5.21,122.85,-4.62,122.95,-4.44,123.08,-4.39,123.18,-4.55]],[[122.64,-5.27,122.57,-5.39,122.31,-5.38,122.28,-5.32,122.4,-5.07,122.37,-4.77,122.7,-4.62,122.76,-4.93,122.62,-5.14,122.64,-5.27]],[[108.32,3.69,108.1,3.71,108.24,3.81,108.09,3.85,108,3.98,108.25,4.22,108.39,3.99,108.32,3.69]],[[108.21,-3,108.06,-3.23,107.86,-3.09,107.82,-3.16,107.61,-3.21,107.56,-2.92,107.67,-2.57,107.84,-2.53,108.22,-2.7,108.29,-2.83,108.21,-3]],[[135.38,-0.65,135.89,-0.73,136.37,-1.09,136.17,-1.21,135.91,-1.18,135.75,-0.82,135.64,-0.88,135.43,-0.77,135.38,-0.65]],[[135.47,-1.59,136.89,-1.8,136.23,-1.89,135.49,-1.67,135.47,-1.59]],[[130.81,0,131.28,-0.15,131.34,-0.29,131.26,-0.37,130.95,-0.34,130.68,-0.08,130.64,-0.14,130.9,-0.34,130.9,-0.42,130.75,-0.44,130.69,-0.3,130.55,-0.37,130.5,-0.27,130.24,-0.21,130.36,-0.07,130.81,0]],[[128.45,2.05,128.3,2.04,128.22,2.3,128.33,2.47,128.6,2.6,128.69,2.47,128.62,2.22,128.45,2.05]],[[128.15,-1.66,127.56,-1.73,127.39,-1.65,127.46,-1.45,127.65,-1.33,127.9,-1.44,128.15,-1.66]],[[126.05,-2.45,125.98,-2.42,125.86,-2.08,125.92,-1.97,125.99,-2.01,126.05,-2.45]],[[126.02,-1.79,126.33,-1.82,125.96,-1.92,125.43,-1.94,125.39,-1.84,126.02,-1.79]],[[124.97,-1.71,125.19,-1.71,125.32,-1.88,125.01,-1.94,124.83,-1.9,124.42,-2,124.33,-1.86,124.42,-1.66,124.97,-1.71]],[[131.32,-8,131.12,-8,131.14,-7.68,131.53,-7.17,131.64,-7.11,131.74,-7.2,131.64,-7.27,131.69,-7.44,131.32,-8]],[[126.8,-7.67,126.81,-7.74,126.58,-7.81,126.47,-7.95,126.04,-7.89,125.8,-7.98,125.97,-7.66,126.22,-7.71,126.61,-7.57,126.8,-7.67]],[[124.57,-8.14,124.6,-8.2,125.05,-8.18,125.12,-8.21,125.13,-8.33,124.44,-8.45,124.35,-8.39,124.39,-8.25,124.57,-8.14]],[[131,-1.32,130.78,-1.26,130.67,-0.96,131.03,-0.92,131,-1.32]],[[96.49,5.23,96.84,5.27,97.55,5.21,97.91,4.88,98,4.66,98.25,4.42,98.31,4.09,99.73,3.18,100.53,2.19,100.89,1.95,100.83,2.24,101.05,2.26,101.3,2.01,101.48,1.69,101.79,1.62,102.1,1.36,102.24,0.99,102.39,0.84,102.95,0.66,103.07,0.49,103.01,0.42,102.55,0.22,102.89,0.28,103.34,0.51,103.67,0.29,103.79,0.05,103.43,-0.19,103.41,-0.36,103.51,-0.47,103.44,-0.58,103.53,-0.75,103.72,-0.89,104.38,-1.07,104.51,-1.82,104.85,-2.09,104.83,-2.23,104.65,-2.43,104.65,-2.59,104.97,-2.37,105.4,-2.38,105.58,-2.49,106.04,-3.11,106.06,-3.22,105.84,-3.61,105.93,-3.83,105.83,-4.16,105.89,-5.01,105.75,-5.82,105.62,-5.8,105.35,-5.55,105.08,-5.75,104.64,-5.52,104.68,-5.89,104.6,-5.91,103.83,-5.08,102.54,-4.15,102.13,-3.6,101.58,-3.17,100.89,-2.25,100.86,-1.94,100.49,-1.3,100.31,-0.83,99.86,-0.31,99.67,0.05,99.16,0.35,98.8,1.5,98.6,1.87,97.7,2.36,97.59,2.85,97.39,2.98,96.97,3.58,96.8,3.71,96.44,3.82,95.43,4.86,95.21,5.28,95.28,5.59,95.74,5.58,96.13,5.29,96.49,5.23]],[[122.78,-8.61,121.65,-8.9,121.59,-8.82,121.41,-8.81,121.33,-8.92,121.04,-8.93,120.55,-8.8,120.12,-8.78,119.91,-8.86,119.81,-8.7,119.88,-8.42,120.61,-8.24,121.45,-8.58,121.97,-8.46,122.32,-8.63,122.85,-8.3,122.92,-8.22,122.76,-8.19,122.85,-8.09,122.98,-8.15,123,-8.33,122.81,-8.48,122.85,-8.56,122.78,-8.61]],[[120.01,-9.38,120.22,-9.51,120.29,-9.65,120.56,-9.72,120.78,-9.96,120.8,-10.11,120.44,-10.29,120.15,-10.2,119.93,-9.97,119.6,-9.77,119.04,-9.67,118.96,-9.52,119.18,-9.38,119.8,-9.38,119.94,-9.3,120.01,-9.38]],[[118.24,-8.32,118.61,-8.28,118.71,-8.42,118.75,-8.33,118.93,-8.3,119.13,-8.67,119.08,-8.73,118.82,-8.71,118.75,-8.73,118.83,-8.83,118.43,-8.85,118.38,-8.67,118.19,-8.84,117.51,-9.01,117.06,-9.1,116.79,-9.01,116.83,-8.53,117.16,-8.37,117.57,-8.43,117.81,-8.71,117.97,-8.73,118.23,-8.59,117.82,-8.34,117.76,-8.15,118.12,-8.12,118.24,-8.32]],[[124.89,1,124.43,0.47,123.75,0.31,123.27,0.33,123,0.49,121.01,0.44,120.58,0.53,120.35,0.45,120.19,0.27,120.01,-0.2,120.06,-0.55,120.24,-0.87,120.52,-1.04,120.67,-1.37,121.04,-1.41,121.15,-1.34,121.58,-0.83,121.74,-0.93,121.97,-0.93,122.28,-0.76,122.89,-0.75,122.83,-0.66,123.17,-0.57,123.38,-0.65,123.43,-0.78,123.38,-1,123.23,-1,123.05,-0.87,122.9,-0.9,122.25,-1.55,121.86,-1.69,121.65,-1.9,121.36,-1.88,121.58,-2.15,121.77,-2.24,122.08,-2.75,122.29,-2.91,122.4,-3.2,122.32,-3.28,122.25,-3.62,122.58,-3.88,122.69,-4.08,122.85,-4.07,122.87,-4.39,122.72,-4.34,122.72,-4.41,122.12,-4.54,122.04,-4.83,121.59,-4.76,121.49,-4.58,121.62,-4.09,121.31,-3.92,120.89,-3.52,121.05,-3.17,121.05,-2.75,120.88,-2.65,120.65,-2.67,120.26,-2.95,120.44,-3.71,120.36,-4.09,120.42,-4.62,120.28,-5.15,120.43,-5.59,119.95,-5.58,119.72,-5.69,119.56,-5.61,119.36,-5.32,119.59,-4.52,119.62,-4.03,119.48,-3.73,119.47,-3.51,118.92,-3.48,118.83,-3.28,118.86,-2.93,118.78,-2.72,119.09,-2.48,119.17,-2.14,119.32,-1.93,119.31,-1.41,119.51,-0.91,119.71,-0.68,119.84,-0.86,119.72,-0.09,119.84,-0.02,119.81,0.24,120.27,0.97,120.42,0.85,120.6,0.85,120.87,1.25,121.08,1.33,121.41,1.24,121.59,1.07,122.44,1.02,122.84,0.85,123.07,0.94,123.85,0.84,124.28,1.02,124.99,1.7,125.16,1.64,125.23,1.5,124.89,1]],[[107.37,-6.01,107.67,-6.22,108.33,-6.29,108.68,-6.79,109.3,-6.87,109.5,-6.81,110.43,-6.95,110.84,-6.42,110.97,-6.44,111.18,-6.69,111.54,-6.65,112.09,-6.89,112.54,-6.93,112.65,-7.22,112.79,-7.3,112.79,-7.55,113.01,-7.66,113.5,-7.72,114.07,-7.63,114.41,-7.79,114.39,-8.41,114.59,-8.68,114.58,-8.77,113.25,-8.29,112.68,-8.41,111.51,-8.3,110.61,-8.15,109.85,-7.83,109.28,-7.71,108.74,-7.67,108.45,-7.8,108.22,-7.78,107.29,-7.47,106.45,-7.37,106.42,-7.24,106.52,-7.05,105.94,-6.86,105.26,-6.84,105.27,-6.73,105.37,-6.66,105.48,-6.78,105.66,-6.47,105.79,-6.46,105.87,-6.12,106.07,-5.91,106.83,-6.1,107.01,-6.01,107.05,-5.9,107.37,-6.01]],[[109.63,2.03,109.54,1.9,109.66,1.62,110.5,0.86,111.1,1.05,111.81,1.01,112.08,1.14,112.19,1.44,112.48,1.56,112.94,1.57,113.01,1.43,113.62,1.24,113.9,1.43,114.39,1.5,114.51,1.45,114.83,1.98,114.79,2.25,115.18,2.52,115.08,2.63,115.12,2.89,115.25,3.03,115.45,3.04,115.57,3.45,115.57,3.94,115.68,4.19,115.86,4.35,116.02,4.29,116.24,4.36,116.42,4.31,116.51,4.37,117.1,4.34,117.58,4.17,117.46,4.08,117.78,3.69,117.63,3.64,117.51,3.73,117.45,3.63,117.06,3.62,117.34,3.43,117.35,3.19,117.61,3.06,117.64,2.95,117.57,2.93,117.7,2.89,117.64,2.83,117.78,2.75,118.06,2.32,118.04,2.22,117.79,2.03,118.08,1.7,118.99,0.98,118.89,0.89,118.53,0.81,118.19,0.87,117.91,1.1,117.96,0.89,117.74,0.73,117.52,0.24,117.46,-0.32,117.56,-0.77,117.24,-0.93,116.91,-1.22,116.8,-1.18,116.74,-1.04,116.75,-1.33,116.28,-1.79,116.42,-1.79,116.45,-1.92,116.32,-2.14,116.53,-2.21,116.56,-2.3,116.53,-2.51,116.32,-2.55,116.31,-2.6,116.38,-2.58,116.33,-2.9,116.23,-2.98,116.17,-2.93,116.26,-3.13,115.96,-3.59,114.7,-4.17,114.63,-4.11,114.53,-3.38,114.45,-3.48,114.34,-3.44,114.34,-3.24,114.23,-3.36,114.08,-3.28,113.96,-3.39,113.71,-3.46,113.63,-3.42,113.61,-3.2,113.34,-3.25,113.04,-2.93,112.97,-3.19,112.76,-3.32,112.6,-3.4,112.28,-3.32,111.86,-3.55,111.82,-3.06,111.7,-2.89,111.62,-2.97,111.37,-2.93,110.93,-3.07,110.83,-3,110.9,-2.91,110.7,-3.02,110.57,-2.89,110.26,-2.97,110.1,-2,109.96,-1.86,110.04,-1.53,109.98,-1.28,109.79,-1.01,109.26,-0.81,109.37,-0.64,109.12,-0.39,109.26,0.03,108.95,0.36,108.92,0.91,108.96,1.13,109.13,1.25,109.01,1.24,109.08,1.5,109.38,1.92,109.63,2.03]],[[127.73,0.85,127.88,0.83,127.97,1.04,128.16,1.16,128.22,1.4,128.54,1.56,128.71,1.53,128.7,1.11,128.3,0.88,128.26,0.73,128.61,0.55,128.69,0.36,128.9,0.22,127.98,0.47,127.89,0.3,127.98,-0.25,128.25,-0.73,128.43,-0.89,128.05,-0.71,127.69,-0.24,127.71,0.29,127.54,0.61,127.61,0.85,127.43,1.14,127.63,1.84,128.04,2.2,127.89,1.83,128.01,1.7,128.01,1.33,127.65,1.01,127.73,0.85]],[[129.75,-2.87,129.98,-2.98,130.38,-2.99,130.57,-3.13,130.67,-3.39,130.86,-3.57,130.81,-3.86,129.84,-3.33,129.51,-3.33,129.47,-3.45,128.86,-3.24,128.64,-3.43,128.52,-3.45,128.13,-3.16,127.9,-3.5,127.88,-3.22,128.2,-2.87,128.99,-2.83,129.17,-2.93,129.48,-2.79,129.75,-2.87]],[[126.86,-3.09,127.03,-3.17,127.25,-3.47,127.23,-3.63,126.94,-3.76,126.69,-3.82,126.55,-3.77,126.22,-3.61,126.06,-3.42,126.03,-3.17,126.09,-3.11,126.86,-3.09]],[[124.92,-8.94,124.94,-9.05,125.15,-9.04,125.1,-9.19,124.96,-9.21,125.07,-9.51,124.96,-9.67,124.43,-10.15,123.86,-10.34,123.65,-10.31,123.61,-10.22,123.72,-10.08,123.59,-9.97,123.71,-9.62,124.04,-9.34,124.09,-9.42,124.32,-9.41,124.44,-9.19,124.92,-8.94]],[[134.75,-5.71,134.72,-6.3,134.64,-6.37,134.44,-6.33,134.15,-6.06,134.3,-6.01,134.34,-5.83,134.2,-5.71,134.34,-5.71,134.57,-5.43,134.75,-5.71]],[[134.54,-6.44,134.32,-6.85,134.2,-6.91,134.09,-6.83,134.11,-6.47,134.19,-6.46,134.12,-6.43,134.11,-6.19,134.54,-6.44]],[[138.53,-8.27,138.3,-8.41,137.65,-8.39,138.08,-7.57,138.3,-7.44,138.77,-7.39,138.99,-7.7,138.79,-8.06,138.53,-8.27]],[[140.97,-2.61,140.98,-6.35,140.86,-6.74,140.98,-6.91,140.98,-9.12,139.98,-8.17,140.12,-7.92,139.94,-8.1,139.38,-8.19,139.25,-7.98,139.19,-8.09,138.89,-8.24,138.86,-8.14,139.09,-7.59,138.75,-7.25,139.18,-7.19,138.84,-7.14,138.6,-6.94,138.87,-6.86,138.44,-6.34,138.3,-5.95,138.38,-5.84,138.2,-5.81,138.34,-5.68,138.09,-5.71,138.06,-5.47,137.28,-4.95,137.2,-4.99,136.62,-4.82,135.98,-4.53,135.19,-4.45,134.75,-4.2,134.68,-4.08,134.71,-3.95,134.89,-3.94,134.27,-3.95,134.15,-3.8,133.97,-3.82,133.68,-3.48,133.7,-3.25,133.84,-3.05,133.7,-3.09,133.65,-3.36,133.52,-3.41,133.4,-3.9,133.25,-4.06,132.92,-4.06,132.75,-3.7,132.87,-3.55,132.75,-3.29,132.35,-2.97,132.05,-2.91,131.97,-2.79,132.23,-2.68,132.72,-2.79,133.03,-2.49,133.19,-2.44,133.7,-2.62,133.75,-2.45,133.91,-2.39,133.9,-2.3,133.79,-2.29,133.92,-2.1,132.96,-2.27,132.31,-2.24,132.02,-1.99,131.93,-1.56,131.3,-1.39,131.06,-1.45,131,-1.38,131.19,-1.17,131.26,-0.86,131.8,-0.7,132.13,-0.45,132.39,-0.36,132.86,-0.42,133.47,-0.73,133.97,-0.74,134.11,-0.85,134.07,-1,134.26,-1.36,134.11,-1.72,134.19,-2.31,134.46,-2.83,134.48,-2.58,134.63,-2.54,134.7,-2.93,134.84,-2.91,134.92,-3.25,135.25,-3.37,135.49,-3.34,135.86,-3,136.01,-2.73,136.24,-2.58,136.39,-2.27,137.07,-2.11,137.17,-2.03,137.12,-1.84,137.81,-1.48,138.65,-1.79,139.79,-2.35,140.62,-2.45,140.75,-2.61,140.97,-2.61]],[[138.89,-8.39,138.6,-8.37,138.56,-8.31,138.8,-8.17,138.89,-8.39]],[[101.71,2.08,101.77,1.94,101.72,1.79,101.5,1.73,101.41,2.02,101.64,2.13,101.71,2.08]],[[102.43,0.99,102.38,0.96,102.28,1.08,102.26,1.4,102.44,1.23,102.43,0.99]],[[102.49,1.46,102.5,1.33,102.08,1.5,102.02,1.61,102.49,1.46]],[[103.03,0.75,102.49,0.86,102.51,1.09,102.55,1.13,103,0.86,103.03,0.75]],[[103.17,0.87,103.09,0.85,102.7,1.05,102.73,1.16,103,1.07,103.17,0.87]],[[103.28,0.54,103.14,0.55,103.19,0.7,103.28,0.54]],[[103.45,0.66,103.34,0.78,103.39,0.87,103.5,0.72,103.45,0.66]],[[104.02,1.18,104.14,1.17,104.06,0.99,103.93,1.07,104.02,1.18]],[[104.59,1.22,104.66,1.05,104.58,0.83,104.43,0.96,104.44,1.05,104.25,1.01,104.36,1.18,104.59,1.22]],[[104.78,-0.18,104.84,-0.14,105,-0.28,104.91,-0.32,104.7,-0.21,104.45,-0.19,104.54,0.02,104.78,-0.18]],[[104.47,-0.33,104.59,-0.47,104.36,-0.66,104.26,-0.46,104.47,-0.33]],[[103.74,-0.35,103.46,-0.36,103.55,-0.23,103.72,-0.28,103.74,-0.35]],[[109.71,-1.18,109.46,-1.28,109.48,-0.99,109.74,-1.04,109.71,-1.18]],[[113.85,-7.1,113.13,-7.22,112.73,-7.07,112.87,-6.9,113.98,-6.87,114.08,-6.99,113.85,-7.1]],[[134.96,-1.12,134.86,-1.11,134.83,-0.98,134.94,-0.98,134.96,-1.12]],[[127.25,-0.5,127.12,-0.52,127.13,-0.28,127.29,-0.28,127.25,-0.5]],[[127.57,-0.32,127.68,-0.47,127.61,-0.61,127.84,-0.72,127.84,-0.85,127.76,-0.88,127.62,-0.77,127.46,-0.81,127.47,-0.64,127.3,-0.5,127.32,-0.34,127.45,-0.41,127.57,-0.32]],[[132.93,-5.9,132.85,-5.99,132.94,-5.68,133.11,-5.31,133.17,-5.35,133.12,-5.58,132.93,-5.9]],[[132.81,-5.85,132.75,-5.95,132.68,-5.91,132.63,-5.61,132.74,-5.66,132.81,-5.85]],[[128.27,-3.67,127.98,-3.77,127.93,-3.7,128.26,-3.51,128.33,-3.52,128.27,-3.67]],[[126.82,4.03,126.71,4.07,126.81,4.26,126.72,4.34,126.76,4.55,126.86,4.48,126.92,4.29,126.82,4.03]],[[125.66,3.44,125.51,3.46,125.47,3.73,125.66,3.44]],[[130.86,-8.32,130.78,-8.35,131.02,-8.09,131.18,-8.13,130.86,-8.32]],[[129.84,-7.95,129.71,-8.04,129.59,-7.92,129.61,-7.8,129.81,-7.82,129.84,-7.95]],[[127.82,-8.1,128.12,-8.17,128.02,-8.26,127.82,-8.19,127.82,-8.1]],[[130.35,-1.69,130.42,-1.97,130.25,-2.05,129.89,-1.99,129.74,-1.87,130.35,-1.69]],[[102.37,-5.48,102.11,-5.32,102.37,-5.37,102.37,-5.48]],[[100.42,-3.18,100.46,-3.33,100.35,-3.23,100.21,-2.99,100.2,-2.79,100.45,-3,100.42,-3.18]],[[100.21,-2.74,100.01,-2.82,99.99,-2.53,100.21,-2.74]],[[99.84,-2.34,99.61,-2.26,99.54,-2.16,99.57,-2.03,99.69,-2.06,99.84,-2.34]],[[98.46,-0.53,98.31,-0.53,98.43,-0.23,98.32,0,98.42,-0.02,98.55,-0.26,98.46,-0.53]],[[96.46,2.36,95.81,2.65,95.72,2.83,95.81,2.92,95.9,2.89,96.42,2.51,96.46,2.36]],[[122.04,-5.44,121.98,-5.46,121.81,-5.26,121.91,-5.07,122.04,-5.16,122.04,-5.44]],[[123.21,-1.17,123.24,-1.39,123.44,-1.24,123.55,-1.34,123.51,-1.45,123.37,-1.51,123.27,-1.44,123.17,-1.62,123.15,-1.3,122.89,-1.59,122.81,-1.43,122.91,-1.18,123.21,-1.17]],[[121.86,-0.41,121.88,-0.5,121.65,-0.53,121.75,-0.41,121.86,-0.41]],[[120.53,-6.3,120.49,-6.46,120.43,-6.18,120.48,-5.78,120.55,-5.97,120.53,-6.3]],[[115.38,-6.97,115.22,-6.95,115.24,-6.86,115.52,-6.9,115.38,-6.97]],[[116.3,-3.87,116.09,-4.05,116.02,-3.7,116.12,-3.34,116.27,-3.25,116.3,-3.87]],[[122.95,-10.91,122.83,-10.9,122.85,-10.76,123.37,-10.47,123.42,-10.65,122.95,-10.91]],[[124.29,-8.33,124.15,-8.53,123.93,-8.45,124.01,-8.32,124.11,-8.36,124.24,-8.2,124.3,-8.23,124.29,-8.33]],[[123.93,-8.27,123.79,-8.3,123.55,-8.57,123.23,-8.53,123.48,-8.32,123.39,-8.28,123.6,-8.29,123.77,-8.19,123.93,-8.27]],[[123.32,-8.35,123.03,-8.39,123.22,-8.23,123.34,-8.27,123.32,-8.35]],[[134.63,-6.56,134.73,-6.56,134.73,-6.46,134.63,-6.46,134.63,-6.56]],[[103.42,1.05,103.36,1.01,103.32,1.07,103.38,1.13,103.42,1.05]],[[103.74,0.77,103.83,0.77,103.83,0.89,103.74,0.89,103.74,0.77]],[[104.24,0.83,104.18,0.8,104.11,0.93,104.24,0.83]],[[104.5,0.04,104.7,0.04,104.7,0.23,104.5,0.23,104.5,0.04]],[[106.29,3.16,106.28,3.09,106.2,3.21,106.29,3.16]],[[105.76,2.86,105.69,3.06,105.84,2.98,105.76,2.86]],[[108.89,2.9,108.79,2.89,108.88,3,108.89,2.9]],[[108.95,-1.62,108.84,-1.66,108.8,-1.57,108.96,-1.56,108.95,-1.62]],[[107.47,-2.9,107.42,-2.84,107.5,-2.84,107.47,-2.9]],[[106.89,-3.01,106.74,-2.93,106.91,-2.93,106.89,-3.01]],[[114.3,-7.17,114.41,-7.17,114.41,-7.07,114.3,-7.07,114.3,-7.17]],[[112.72,-5.81,112.59,-5.8,112.69,-5.73,112.72,-5.81]],[[105.25,-6.64,105.12,-6.62,105.26,-6.52,105.25,-6.64]],[[97.34,2.08,97.11,2.22,97.29,2.2,97.34,2.08]],[[95.36,5.81,95.22,5.89,95.36,5.88,95.36,5.81]],[[123.6,-1.7,123.48,-1.68,123.53,-1.5,123.6,-1.7]],[[123.24,-4.11,123.08,-4.23,122.97,-4.03,123.21,-4,123.24,-4.11]],[[123.85,-1.96,123.8,-1.99,123.78,-1.88,123.85,-1.96]],[[123.15,-1.82,123.08,-1.9,123.11,-1.79,123.15,-1.82]],[[119.47,-8.74,119.39,-8.74,119.45,-8.43,119.56,-8.52,119.47,-8.74]],[[119.07,-8.24,119.02,-8.2,119.1,-8.14,119.07,-8.24]],[[115.61,-8.77,115.48,-8.72,115.56,-8.67,115.61,-8.77]],[[117.65,4.17,117.88,4.19,117.92,4.05,117.74,4,117.65,4.17]],[[117.66,3.28,117.55,3.43,117.68,3.41,117.66,3.28]],[[123.97,-6.02,124.05,-6.02,124.05,-5.88,123.97,-5.88,123.97,-6.02]],[[123.63,-5.27,123.58,-5.37,123.54,-5.27,123.63,-5.27]],[[120.78,-7.12,120.64,-7.12,120.63,-7.02,120.78,-7.12]],[[117.56,-8.37,117.49,-8.35,117.49,-8.18,117.67,-8.15,117.56,-8.37]],[[116.42,-3.46,116.39,-3.64,116.33,-3.54,116.39,-3.42,116.42,-3.46]],[[127.37,0.79,127.31,0.77,127.29,0.84,127.37,0.79]],[[134.33,-2.14,134.42,-2.14,134.42,-2.03,134.33,-2.03,134.33,-2.14]],[[133.32,-4.3,133.62,-4.3,133.62,-4.11,133.32,-4.11,133.32,-4.3]],[[130.91,-0.78,130.83,-0.86,130.4,-0.92,130.49,-0.83,130.91,-0.78]],[[130.63,-0.53,130.47,-0.49,130.61,-0.42,130.68,-0.47,130.63,-0.53]],[[129.31,-0.19,129.55,-0.19,129.55,0.05,129.31,0.05,129.31,-0.19]],[[127.45,-0.01,127.4,0.02,127.43,0.14,127.45,-0.01]],[[127.42,0.64,127.38,0.74,127.44,0.73,127.42,0.64]],[[127.3,-0.78,127.16,-0.76,127.21,-0.62,127.3,-0.78]],[[128.72,-3.55,128.62,-3.59,128.58,-3.51,128.72,-3.55]],[[128.56,-3.59,128.39,-3.64,128.45,-3.51,128.56,-3.59]],[[126.64,3.83,126.74,3.83,126.74,4.04,126.64,4.04,126.64,3.83]],[[126.78,3.76,126.86,3.76,126.86,3.86,126.78,3.86,126.78,3.76]],[[125.36,2.63,125.45,2.63,125.45,2.81,125.36,2.81,125.36,2.63]],[[131.98,-7.2,131.97,-7.25,131.75,-7.12,131.92,-7.1,131.98,-7.2]],[[128.67,-7.18,128.53,-7.13,128.63,-7.07,128.67,-7.18]],[[127.42,-7.62,127.36,-7.65,127.37,-7.51,127.48,-7.53,127.42,-7.62]],[[123.41,-10.3,123.32,-10.34,123.32,-10.26,123.46,-10.14,123.5,-10.19,123.4,-10.23,123.41,-10.3]],[[121.88,-10.59,121.7,-10.56,121.87,-10.44,122,-10.45,121.88,-10.59]],[[134.79,-6.44,134.88,-6.44,134.88,-6.32,134.79,-6.32,134.79,-6.44]],[[134.68,-6.75,134.63,-6.71,134.74,-6.62,134.68,-6.75]],[[127.99,-2.94,127.94,-3.02,127.84,-3,127.99,-2.94]],[[127.49,-3.36,127.63,-3.36,127.63,-3.25,127.49,-3.25,127.49,-3.36]],[[122.98,-8.55,122.95,-8.6,122.9,-8.53,123.01,-8.45,123.15,-8.48,122.98,-8.55]]]],
+    ['IE', 'Europe', [-10.39, 51.48, -6.03, 55.37], [[[-9.95,53.91,-10.27,53.98,-10,54,-9.95,53.91]],[[-7.22,55.09,-7.38,55.03,-7.55,54.77,-7.91,54.7,-7.75,54.59,-8.15,54.45,-7.85,54.22,-7.61,54.14,-7.32,54.13,-7.01,54.41,-6.65,54.16,-6.65,54.06,-6.18,54.05,-6.35,53.94,-6.14,53.58,-6.03,52.93,-6.22,52.54,-6.46,52.34,-6.32,52.25,-6.89,52.16,-6.96,52.25,-7,52.17,-7.53,52.1,-8.06,51.83,-8.41,51.89,-8.34,51.79,-8.41,51.71,-9.3,51.5,-9.84,51.48,-9.52,51.68,-10.12,51.6,-9.6,51.87,-10.09,51.77,-10.34,51.8,-10.38,51.87,-9.91,52.12,-10.39,52.13,-10.36,52.21,-10.13,52.28,-9.77,52.25,-9.91,52.4,-9.63,52.55,-8.78,52.68,-8.99,52.76,-9.17,52.63,-9.56,52.65,-9.92,52.57,-9.52,52.78,-9.3,53.1,-8.93,53.21,-9.51,53.24,-9.62,53.33,-9.88,53.34,-9.79,53.39,-10.09,53.41,-10.05,53.48,-10.12,53.55,-9.72,53.6,-9.91,53.66,-9.9,53.73,-9.58,53.8,-9.58,53.88,-9.91,53.86,-9.86,54.09,-9.93,54.08,-9.98,54.19,-10.09,54.16,-10.06,54.26,-9.56,54.31,-9.15,54.21,-9,54.29,-8.54,54.24,-8.62,54.35,-8.23,54.51,-8.13,54.64,-8.46,54.61,-8.76,54.68,-8.38,54.89,-8.39,55.02,-8.27,55.15,-7.75,55.19,-7.76,55.25,-7.67,55.26,-7.56,55.12,-7.66,54.97,-7.48,55.05,-7.52,55.25,-7.3,55.3,-7.37,55.36,-7.31,55.37,-6.96,55.24,-7.22,55.09]]]],
+    ['IL', 'Asia', [34.25, 29.48, 35.91, 33.43], [[[35.87,33.43,35.91,32.95,35.79,32.73,35.57,32.64,35.55,32.4,35.19,32.54,35.07,32.46,34.95,32.16,34.96,31.82,35.2,31.75,34.95,31.6,34.88,31.37,35.45,31.48,35.44,31.13,35.17,30.52,35.14,30.14,34.9,29.48,34.25,31.21,34.53,31.53,34.48,31.59,34.68,31.9,35.11,33.08,35.41,33.07,35.53,33.25,35.87,33.43]]]],
+    ['IM', 'Europe', [-4.79, 54.06, -4.34, 54.41], [[[-4.41,54.18,-4.61,54.06,-4.79,54.07,-4.7,54.22,-4.43,54.41,-4.34,54.27,-4.41,54.18]]]],
+    ['IN', 'Asia', [68.16, 6.75, 97.34, 35.5], [[[68.16,23.86,68.38,23.95,68.72,23.96,68.78,24.31,69.56,24.27,69.81,24.17,70.49,24.41,70.55,24.42,70.58,24.28,70.72,24.24,71.04,24.4,70.97,24.57,71.05,24.69,70.65,25.42,70.65,25.67,70.26,25.71,70.1,25.91,70.15,26.51,69.51,26.74,69.54,27.12,69.9,27.47,70.14,27.85,70.4,28.02,70.63,27.94,70.8,27.71,71.87,27.96,72.34,28.75,72.95,29.09,73.38,29.93,73.81,30.09,73.93,30.22,73.9,30.43,74.34,30.89,74.63,31.04,74.52,31.19,74.59,31.47,74.51,31.71,74.55,31.82,75.33,32.22,75.24,32.37,74.68,32.49,74.66,32.76,74.35,32.77,74.3,32.99,74,33.19,74.15,33.51,73.98,33.72,74.25,33.95,73.9,34.07,73.97,34.24,73.8,34.38,73.96,34.65,74.3,34.77,75.71,34.5,76.04,34.67,76.6,34.74,77,34.99,77.05,35.11,77.8,35.5,78.04,35.48,78.01,35.25,78.33,34.61,78.67,34.52,78.97,34.3,78.97,34.23,78.73,34.01,78.8,33.5,79.13,33.17,79.22,32.5,78.92,32.36,78.7,32.6,78.39,32.52,78.5,32.22,78.73,31.96,78.69,31.74,78.8,31.62,78.74,31.32,79.11,31.4,79.49,30.99,79.79,30.97,80.15,30.79,80.19,30.57,80.68,30.42,81.01,30.16,80.85,30.14,80.4,29.73,80.07,28.83,80.42,28.61,80.59,28.65,81.85,27.87,81.99,27.91,82.45,27.67,82.68,27.67,82.73,27.52,83.29,27.37,83.45,27.47,83.83,27.38,84.09,27.49,84.61,27.3,84.69,27.04,85.24,26.75,85.65,26.83,85.79,26.6,86.01,26.65,86.7,26.43,87.01,26.56,87.09,26.43,87.29,26.36,87.41,26.42,87.99,26.38,88.16,26.72,87.98,27.13,88.14,27.95,88.58,28.09,88.8,28.01,88.85,27.87,88.75,27.52,88.89,27.32,88.74,27.18,88.86,26.96,89.15,26.82,89.33,26.85,89.77,26.7,90.12,26.75,90.34,26.89,90.74,26.77,92,26.85,92.07,26.92,91.99,27.1,92.08,27.29,91.99,27.45,91.74,27.44,91.59,27.56,91.63,27.76,91.98,27.73,92.55,27.88,92.69,27.99,92.7,28.15,93.12,28.4,93.25,28.63,93.76,28.73,94.62,29.31,94.77,29.18,95.39,29.04,95.51,29.21,96.04,29.45,96.23,29.25,96.36,29.25,96.12,29.08,96.14,28.92,96.44,29.05,96.58,28.76,96.28,28.41,96.39,28.37,96.6,28.46,96.77,28.37,97.08,28.37,97.32,28.22,97.34,27.94,96.88,27.59,97.1,27.12,96.95,27.13,96.73,27.33,96.19,27.26,95.13,26.6,95.05,26.35,95.13,26.04,94.95,25.7,94.58,25.32,94.55,25.22,94.71,25.05,94.13,23.88,93.33,24.06,93.42,23.68,93.37,23.13,93.31,23.03,93.16,23.03,93.08,22.72,93.15,22.23,92.91,21.99,92.72,22.13,92.57,21.98,92.49,22.68,92.36,22.93,92.25,23.68,91.93,23.69,91.94,23.5,91.76,23.29,91.75,23.05,91.62,22.98,91.44,23.2,91.37,23.2,91.37,23.07,91.32,23.11,91.17,23.58,91.23,23.92,91.37,24.09,91.88,24.2,91.95,24.36,92.1,24.41,92.23,24.88,92.44,24.85,92.47,24.94,92.05,25.17,90.44,25.16,89.83,25.29,89.82,25.94,89.67,26.21,89.59,26.19,89.55,26.01,89.37,26.01,89.19,26.11,89.02,26.41,88.92,26.38,88.97,26.25,88.83,26.25,88.37,26.56,88.44,26.37,88.15,26.09,88.08,25.89,88.5,25.54,88.77,25.49,88.95,25.26,88.82,25.18,88.45,25.19,88.31,24.88,88.15,24.91,88.02,24.63,88.15,24.49,88.72,24.28,88.57,23.67,88.74,23.44,88.72,23.25,88.93,23.19,88.85,23.04,89.05,22.28,89.03,21.94,88.95,21.94,89.05,21.65,88.91,21.65,88.86,21.74,88.75,21.58,88.69,21.73,88.74,22.01,88.64,22.12,88.58,21.66,88.45,21.61,88.29,21.76,88.25,21.62,88.12,21.64,88.06,21.69,88.2,22.14,87.94,22.37,87.96,22.25,88.16,22.12,87.95,21.83,87.68,21.65,87.1,21.5,86.86,21.24,86.98,20.7,86.75,20.31,86.38,20.01,86.24,20.05,86.31,19.99,86.22,19.9,85.57,19.69,85.5,19.7,85.56,19.75,85.5,19.89,85.25,19.76,85.18,19.59,85.37,19.68,85.44,19.63,84.77,19.13,84.11,18.29,83.66,18.07,83.2,17.61,82.36,17.1,82.28,16.94,82.36,16.78,82.26,16.56,81.76,16.33,81.29,16.34,80.98,15.76,80.83,15.77,80.78,15.87,80.65,15.9,80.29,15.71,80.05,15.07,80.18,14.48,80.11,14.21,80.31,13.49,80.16,13.71,80.06,13.61,80.34,13.36,80.23,12.69,79.86,11.99,79.75,11.57,79.79,11.45,79.69,11.31,79.8,11.34,79.84,11.27,79.84,10.32,79.31,10.26,79.26,10.03,78.94,9.57,78.92,9.45,79.02,9.33,79.41,9.19,78.98,9.27,78.42,9.1,78.19,8.89,78.06,8.38,77.52,8.08,77.06,8.32,76.55,8.9,76.33,9.45,76.24,9.93,76.34,9.83,76.38,9.54,76.46,9.54,76.35,9.92,76.22,10.02,75.72,11.36,75.2,12.06,74.94,12.56,74.38,14.49,73.95,15.07,73.8,15.4,73.93,15.4,73.77,15.57,73.83,15.66,73.68,15.71,73.34,16.46,73.15,17.62,72.87,18.64,73.01,19.02,72.97,19.15,72.83,18.98,72.8,19.08,72.81,19.3,72.99,19.28,72.79,19.36,72.67,19.83,72.9,20.67,72.81,21.12,72.69,21.18,72.63,21.37,72.73,21.47,72.61,21.46,73.11,21.75,72.54,21.7,72.7,21.97,72.52,21.98,72.55,22.16,72.81,22.23,72.18,22.27,72.3,22.19,72.28,22.09,72.04,21.82,72.21,21.73,72.25,21.53,72.02,21.16,71.02,20.74,70.72,20.74,70.48,20.84,70.03,21.18,68.97,22.29,69.05,22.44,69.28,22.29,70.18,22.57,70.51,23,70.49,23.09,70.34,22.94,70.12,22.95,69.67,22.76,69.24,22.85,68.64,23.19,68.42,23.57,68.78,23.85,68.23,23.6,68.16,23.86]],[[93.89,6.83,93.83,6.75,93.66,7.02,93.69,7.18,93.82,7.24,93.93,6.97,93.89,6.83]],[[93.73,7.36,93.64,7.26,93.6,7.32,93.69,7.41,93.73,7.36]],[[93.14,8.25,93.06,8.27,93.1,8.35,93.14,8.25]],[[93.44,7.88,93.37,7.88,93.33,8.01,93.44,7.88]],[[93.54,8.06,93.48,8.02,93.49,8.22,93.54,8.06]],[[92.79,9.14,92.72,9.16,92.76,9.24,92.79,9.14]],[[92.5,10.56,92.37,10.55,92.35,10.75,92.51,10.9,92.57,10.7,92.5,10.56]],[[92.69,11.38,92.59,11.39,92.64,11.51,92.69,11.38]],[[92.72,11.54,92.53,11.87,92.68,12.19,92.79,12.23,92.72,12.54,92.86,13.36,93.06,13.54,93.07,13.22,92.89,12.94,92.97,12.85,92.99,12.54,92.86,12.44,92.87,12.18,92.75,11.99,92.8,11.87,92.72,11.54]],[[93.02,12.04,93.06,11.9,92.95,12,93.02,12.04]],[[92.68,12.8,92.73,12.8,92.73,12.96,92.68,12.96,92.68,12.8]],[[72.77,11.2,72.79,11.2,72.79,11.26,72.77,11.26,72.77,11.2]],[[73.02,8.25,73.08,8.25,73.08,8.32,73.02,8.32,73.02,8.25]]]],
+    ['IO', 'Africa', [72.35, -7.43, 72.49, -7.22], [[[72.49,-7.38,72.43,-7.43,72.35,-7.26,72.45,-7.4,72.45,-7.22,72.49,-7.38]]]],
+    ['IQ', 'Asia', [38.77, 29.1, 48.54, 37.37], [[[42.36,37.11,42.77,37.37,43.68,37.23,44.11,37.3,44.28,36.98,44.61,37.18,44.73,37.16,44.88,36.8,45.02,36.7,45.05,36.47,45.24,36.36,45.36,36.02,45.78,35.82,46.27,35.77,46,35.61,45.97,35.48,46.11,35.32,46.13,35.13,45.68,34.8,45.64,34.57,45.5,34.58,45.44,34.42,45.54,34.22,45.4,33.97,45.74,33.6,45.88,33.61,45.87,33.49,46.02,33.42,46.15,33.23,46.11,32.96,46.38,32.93,47.12,32.47,47.37,32.42,47.83,31.79,47.68,31.4,47.68,31,48.01,30.99,48.02,30.47,48.33,30.29,48.43,30.04,48.54,29.96,48.07,30.04,47.98,29.98,47.67,30.1,47.22,30.04,46.53,29.1,44.72,29.19,42.08,31.08,40.37,31.94,39.14,32.13,39.29,32.24,39.25,32.35,39.04,32.31,38.98,32.47,39.06,32.49,38.77,33.37,40.99,34.43,41.19,34.77,41.22,35.29,41.36,35.64,41.24,36.07,41.29,36.38,41.42,36.51,41.79,36.6,42.36,37.11]]]],
+    ['IR', 'Asia', [44.02, 25.1, 63.3, 39.77], [[[56.19,26.92,55.95,26.7,55.85,26.73,55.42,26.58,55.29,26.64,55.76,26.81,55.76,26.95,55.91,26.91,56.21,27,56.28,26.95,56.19,26.92]],[[53.92,37.34,54.19,37.33,54.7,37.47,54.9,37.78,55.38,38.05,56.27,38.08,56.44,38.25,57.19,38.22,57.35,37.97,57.98,37.83,58.26,37.66,58.82,37.68,59.3,37.51,59.46,37.25,59.95,37.04,60.34,36.64,61.12,36.64,61.17,36.57,61.21,36.1,61.15,35.98,61.25,35.87,61.28,35.51,61.1,35.27,61.15,35.09,61.08,34.86,60.95,34.65,60.73,34.52,60.89,34.32,60.64,34.31,60.49,34.09,60.49,33.71,60.57,33.59,60.92,33.51,60.56,33.14,60.83,32.25,60.82,31.5,61.66,31.38,61.76,31.29,61.81,30.91,60.84,29.86,61.32,29.37,61.62,28.79,61.89,28.55,62.35,28.42,62.56,28.23,62.75,28.25,62.81,27.5,62.76,27.25,63.17,27.25,63.3,27.12,63.16,26.65,62.44,26.56,62.24,26.36,61.84,26.23,61.75,25.84,61.66,25.75,61.59,25.2,61.41,25.1,60.66,25.28,60.51,25.44,60.4,25.31,59.46,25.48,59.05,25.42,58.8,25.55,58.2,25.59,57.94,25.69,57.8,25.65,57.34,25.79,57.11,26.37,57.04,26.8,56.73,27.13,56.36,27.2,56.12,27.14,55.65,26.98,55.42,26.77,55.29,26.79,54.9,26.56,54.64,26.51,54.25,26.7,53.71,26.73,53.46,26.94,52.69,27.32,52.48,27.62,52.03,27.82,51.59,27.86,51.28,28.13,51.06,28.73,50.84,28.93,50.88,29.06,50.68,29.15,50.65,29.42,50.17,29.92,50.07,30.2,49.56,30.03,49.03,30.33,49.05,30.4,49.25,30.41,49.23,30.47,49,30.51,49.04,30.45,48.89,30.33,48.87,30.06,48.54,29.96,48.43,30.04,48.33,30.29,48.02,30.47,48.01,30.99,47.68,31,47.68,31.4,47.83,31.79,47.37,32.42,47.12,32.47,46.38,32.93,46.11,32.96,46.15,33.23,46.02,33.42,45.87,33.49,45.88,33.61,45.74,33.6,45.4,33.97,45.54,34.22,45.44,34.42,45.5,34.58,45.64,34.57,45.68,34.8,46.13,35.13,46.11,35.32,45.97,35.48,46,35.61,46.27,35.77,45.78,35.82,45.36,36.02,45.24,36.36,45.09,36.43,45.02,36.7,44.88,36.8,44.76,37.14,44.79,37.29,44.57,37.44,44.59,37.71,44.21,37.91,44.45,38.34,44.3,38.39,44.27,38.84,44.17,38.93,44.18,39.14,44.02,39.38,44.39,39.42,44.46,39.67,44.59,39.77,44.82,39.65,45.14,39.26,45.48,39.01,46.17,38.87,46.55,38.9,47.48,39.5,48,39.68,48.32,39.4,48.11,39.24,48.29,39.02,48,38.85,48.59,38.41,48.87,38.44,48.96,37.89,49.08,37.67,49.37,37.52,50.13,37.41,50.53,37.01,51.12,36.74,51.76,36.61,52.19,36.62,53.77,36.93,53.92,36.93,53.68,36.85,53.97,36.82,54.02,36.9,53.92,37.34]]]],
+    ['IS', 'Europe', [-24.47, 63.41, -13.56, 66.52], [[[-15.54,66.23,-14.6,66.38,-14.91,66.28,-15.11,66.1,-14.7,66.02,-14.69,65.9,-14.83,65.76,-14.39,65.79,-14.32,65.68,-14.47,65.57,-14.17,65.64,-13.62,65.52,-13.67,65.4,-13.8,65.35,-13.64,65.27,-13.75,65.19,-13.56,65.13,-13.6,65.04,-13.85,64.99,-13.85,64.86,-14.05,64.74,-14.38,64.74,-14.47,64.49,-14.93,64.32,-15.83,64.18,-16.64,63.86,-17.81,63.71,-17.95,63.53,-18.65,63.41,-20.2,63.56,-20.49,63.69,-20.36,63.77,-20.41,63.81,-20.65,63.74,-21.15,63.94,-21.45,63.86,-22.65,63.83,-22.74,64.02,-22.7,64.08,-22.51,63.99,-22.06,64.07,-21.67,64.35,-21.46,64.38,-22.05,64.31,-21.9,64.39,-22,64.41,-21.95,64.52,-21.59,64.63,-22.16,64.54,-22.33,64.63,-22.25,64.73,-22.47,64.8,-23.35,64.82,-23.82,64.74,-24.02,64.86,-22.79,65.05,-21.89,65.05,-21.78,65.19,-22.04,65.13,-22.51,65.2,-21.84,65.45,-22.9,65.58,-23.9,65.41,-24.47,65.52,-24.25,65.61,-23.86,65.54,-24.01,65.62,-24.09,65.78,-23.61,65.68,-23.29,65.75,-23.83,65.85,-23.52,65.88,-23.78,66.02,-23.74,66.07,-23.43,66.02,-23.6,66.11,-23.45,66.18,-23.06,66.09,-23.02,65.98,-22.66,66.03,-22.62,65.87,-22.44,65.91,-22.44,66.07,-22.95,66.21,-22.48,66.27,-23.12,66.34,-22.89,66.44,-22.43,66.43,-21.41,66.03,-21.52,65.97,-21.31,65.9,-21.38,65.74,-21.66,65.72,-21.36,65.58,-21.43,65.47,-21.23,65.42,-21.13,65.27,-20.94,65.57,-20.8,65.64,-20.45,65.57,-20.36,65.72,-20.36,66.03,-20.21,66.1,-19.49,65.77,-19.38,66.08,-18.84,66.18,-18.28,65.89,-18.14,65.73,-18.1,65.83,-18.3,66.16,-17.91,66.14,-17.55,65.96,-17.15,66.2,-16.84,66.12,-16.49,66.2,-16.43,66.28,-16.54,66.45,-16.25,66.52,-15.99,66.51,-15.54,66.23]]]],
+    ['IT', 'Europe', [6.63, 36.69, 18.46, 47.08], [[[7.02,45.93,7.13,45.88,7.54,45.98,7.79,45.92,8.12,46.16,8.09,46.27,8.42,46.45,8.46,46.25,8.82,46.08,8.78,46,8.96,45.83,9.05,45.88,9,46.02,9.25,46.29,9.3,46.5,9.43,46.48,9.53,46.31,9.94,46.36,10.08,46.23,10.15,46.25,10.04,46.48,10.09,46.6,10.43,46.55,10.45,46.87,10.99,46.78,11.24,46.98,11.77,46.99,12.17,47.08,12.16,46.94,12.39,46.7,13.7,46.52,13.38,46.26,13.63,46.18,13.49,45.99,13.6,45.98,13.58,45.81,13.88,45.61,13.72,45.59,13.78,45.63,13.63,45.77,13.47,45.71,13.21,45.77,13.03,45.64,12.27,45.45,12.22,45.24,12.52,44.97,12.39,44.8,12.28,44.83,12.25,44.72,12.4,44.22,12.69,43.99,13.56,43.57,14.01,42.69,14.54,42.24,15.17,41.93,16.17,41.9,16.15,41.76,15.91,41.62,15.9,41.51,17.96,40.65,18.46,40.22,18.39,39.9,18.34,39.82,18.08,39.94,17.87,40.28,17.48,40.31,17.18,40.5,16.93,40.46,16.67,40.14,16.52,39.75,16.6,39.64,17.11,39.38,17.17,39,16.62,38.8,16.54,38.41,16.28,38.25,16.06,37.94,15.72,37.94,15.64,38.18,15.82,38.3,15.93,38.67,16.2,38.76,16.21,38.94,16.11,39.02,16.02,39.35,15.69,39.99,15.29,40.07,14.95,40.24,14.95,40.47,14.77,40.67,14.34,40.6,14.46,40.73,14.31,40.81,14.05,40.81,13.73,41.24,13.04,41.27,12.63,41.47,11.81,42.08,11.64,42.29,11.3,42.42,11.14,42.39,11.17,42.53,10.71,42.94,10.51,42.97,10.52,43.2,10.32,43.51,10.25,43.85,10.05,44.02,9.29,44.32,8.76,44.42,8.55,44.35,8,43.88,7.49,43.77,7.48,43.86,7.68,44.08,7.64,44.16,7.32,44.14,6.9,44.34,6.84,44.51,7.03,44.72,6.99,44.83,6.74,44.92,6.63,45.07,7.08,45.24,7.15,45.38,6.79,45.74,7.02,45.93],[12.49,43.9,12.5,43.99,12.4,43.94,12.49,43.9]],[[10.4,42.86,10.42,42.71,10.11,42.78,10.4,42.86]],[[13.85,40.7,13.96,40.7,13.96,40.76,13.85,40.76,13.85,40.7]],[[12.05,36.76,11.94,36.78,11.95,36.84,12.05,36.76]],[[15.58,38.22,15.23,37.78,15.1,37.46,15.29,37.06,15.11,36.84,15.11,36.69,14.5,36.8,14.14,37.1,13.91,37.1,13.17,37.48,12.64,37.59,12.44,37.82,12.55,38.05,12.74,38.18,12.9,38.03,13.16,38.19,13.35,38.18,13.79,37.98,14.51,38.05,14.79,38.17,15.12,38.15,15.5,38.29,15.63,38.27,15.58,38.22]],[[9.63,40.88,9.8,40.5,9.64,40.27,9.71,40.02,9.56,39.17,9.06,39.24,8.97,38.96,8.65,38.93,8.42,39.21,8.4,39.48,8.55,39.84,8.41,39.92,8.47,40.29,8.19,40.65,8.2,40.87,8.7,40.9,9.23,41.26,9.61,41.02,9.55,40.93,9.63,40.88]],[[8.48,39.07,8.42,38.97,8.36,39.1,8.48,39.07]],[[8.29,41.04,8.21,41,8.27,41.1,8.34,41.1,8.29,41.04]]]],
+    ['JE', 'Europe', [-2.24, 49.17, -2.02, 49.27], [[[-2.02,49.23,-2.05,49.17,-2.24,49.18,-2.22,49.27,-2.02,49.23]]]],
+    ['JM', 'Americas', [-78.32, 17.71, -76.21, 18.52], [[[-77.26,18.46,-76.35,18.15,-76.21,17.91,-76.52,17.87,-76.85,17.97,-76.95,17.85,-77.12,17.88,-77.2,17.71,-77.36,17.83,-77.77,17.88,-78.04,18.17,-78.3,18.22,-78.32,18.35,-78.22,18.45,-77.87,18.52,-77.26,18.46]]]],
+    ['JO', 'Asia', [34.95, 29.19, 39.29, 33.37], [[[35.79,32.73,36.37,32.39,36.82,32.32,38.77,33.37,39.06,32.49,38.98,32.47,39.04,32.31,39.25,32.35,39.29,32.24,38.96,32,36.96,31.49,37.98,30.5,37.63,30.31,37.47,30,36.75,29.87,36.48,29.5,36.02,29.19,34.95,29.35,35.14,30.42,35.44,31.13,35.4,31.23,35.56,31.77,35.57,32.64,35.79,32.73]]]],
+    ['JP', 'Asia', [123.68, 24.28, 145.83, 45.51], [[[133.37,36.2,133.24,36.18,133.21,36.29,133.3,36.34,133.37,36.2]],[[138.34,37.82,138.23,37.83,138.32,37.97,138.25,38.08,138.5,38.32,138.45,38.08,138.57,38.07,138.5,37.9,138.34,37.82]],[[134.93,34.29,134.82,34.2,134.67,34.29,135,34.54,134.91,34.4,134.93,34.29]],[[130.62,30.26,130.45,30.26,130.39,30.39,130.5,30.47,130.64,30.39,130.62,30.26]],[[130.96,30.4,130.87,30.39,130.87,30.44,131.06,30.83,130.96,30.4]],[[130.08,32.23,129.96,32.24,130.01,32.52,130.17,32.54,130.2,32.34,130.08,32.23]],[[129.28,34.12,129.21,34.08,129.19,34.14,129.21,34.32,129.34,34.28,129.28,34.12]],[[129.39,34.35,129.37,34.31,129.27,34.37,129.33,34.61,129.45,34.69,129.48,34.54,129.39,34.35]],[[128.67,32.78,128.84,32.76,128.89,32.65,128.69,32.6,128.67,32.78]],[[130.38,32.42,130.24,32.46,130.46,32.52,130.38,32.42]],[[141.07,45.33,141.03,45.27,140.97,45.46,141.06,45.45,141.07,45.33]],[[141.3,45.12,141.13,45.21,141.25,45.23,141.3,45.12]],[[139.48,42.08,139.43,42.2,139.56,42.24,139.48,42.08]],[[134.35,34.48,134.25,34.42,134.18,34.52,134.35,34.48]],[[139.46,34.73,139.39,34.69,139.37,34.78,139.46,34.73]],[[129.08,32.84,129,32.95,129.11,33.13,129.18,32.99,129.08,32.84]],[[129.49,33.22,129.37,33.18,129.46,33.33,129.57,33.36,129.49,33.22]],[[129.8,33.75,129.68,33.74,129.72,33.86,129.8,33.75]],[[132.58,34.11,132.46,34.09,132.54,34.17,132.58,34.11]],[[132.27,33.94,132.44,33.91,132.36,33.85,132.21,33.87,132.27,33.94]],[[129.69,31.64,129.79,31.64,129.79,31.79,129.69,31.79,129.69,31.64]],[[142.11,26.62,142.2,26.62,142.2,26.73,142.11,26.73,142.11,26.62]],[[143.82,44.12,144.72,43.93,145.37,44.33,145.13,43.87,145.14,43.66,145.34,43.3,145.83,43.39,145.5,43.18,144.92,43,144.2,42.97,143.97,42.88,143.43,42.42,143.24,42,141.85,42.58,141.41,42.55,140.99,42.34,140.71,42.56,140.48,42.56,140.35,42.44,140.33,42.29,140.53,42.13,140.73,42.12,141.15,41.81,141,41.74,140.66,41.82,140.39,41.52,140.15,41.42,140.04,41.47,140,41.58,140.11,41.91,140.06,42.07,139.83,42.28,139.86,42.58,140.43,42.95,140.49,43.05,140.39,43.3,141.14,43.18,141.38,43.28,141.4,43.64,141.65,44.02,141.76,44.48,141.78,44.72,141.58,45.16,141.67,45.4,141.94,45.51,142.88,44.67,143.82,44.12]],[[131.18,33.6,131.37,33.57,131.58,33.65,131.69,33.6,131.71,33.5,131.54,33.27,131.9,33.25,131.85,33.12,132.01,32.92,131.66,32.47,131.34,31.4,131.07,31.44,131.1,31.26,130.69,31.01,130.79,31.27,130.7,31.58,130.79,31.62,130.78,31.71,130.65,31.72,130.56,31.56,130.54,31.4,130.64,31.27,130.59,31.18,130.2,31.29,130.15,31.41,130.29,31.45,130.32,31.6,130.19,31.77,130.19,32.09,130.4,32.22,130.64,32.62,130.5,32.66,130.55,32.83,130.38,33.09,130.24,33.18,130.13,33.1,130.18,32.85,130.33,32.85,130.34,32.7,130.05,32.77,129.77,32.57,129.83,32.73,129.69,32.88,129.68,33.06,129.83,32.89,129.99,32.85,129.9,33.02,129.58,33.24,129.61,33.34,129.84,33.32,129.83,33.44,130.37,33.63,130.49,33.84,130.72,33.93,130.95,33.87,131.18,33.6]],[[134.36,34.26,134.64,34.23,134.68,33.85,134.74,33.82,134.38,33.61,134.18,33.25,133.96,33.45,133.63,33.51,133.29,33.36,132.98,32.84,132.8,32.75,132.64,32.76,132.71,32.9,132.49,32.92,132.43,33.06,132.51,33.29,132.4,33.33,132.41,33.43,132.03,33.34,132.64,33.69,132.79,33.99,132.94,34.1,133.19,33.93,133.58,34.02,133.6,34.24,133.95,34.35,134.36,34.26]],[[141.23,41.37,141.45,41.4,141.43,40.72,141.8,40.29,141.99,39.79,141.98,39.43,141.9,39.11,141.66,38.98,141.55,38.76,141.47,38.4,141.11,38.34,140.96,38.15,141,37.11,140.73,36.73,140.57,36.23,140.87,35.72,140.64,35.66,140.46,35.51,140.36,35.18,139.92,34.9,139.8,34.96,139.83,35.3,140.1,35.59,139.99,35.67,139.83,35.66,139.65,35.41,139.74,35.25,139.68,35.15,139.47,35.3,139.25,35.28,139.13,35.15,139.09,34.84,138.9,34.63,138.76,34.7,138.8,34.97,138.9,35.02,138.72,35.12,138.58,35.09,138.19,34.6,137.54,34.66,137.06,34.58,137.29,34.7,137.27,34.77,137.03,34.77,136.96,34.84,136.91,34.71,136.9,35.03,136.8,35.05,136.69,34.98,136.53,34.68,136.88,34.43,136.85,34.32,136.33,34.18,135.92,33.56,135.69,33.49,135.45,33.55,135.13,34.01,135.1,34.29,135.31,34.42,135.42,34.62,135.04,34.63,134.74,34.77,134.25,34.71,133.97,34.53,133.14,34.3,132.66,34.25,132.42,34.35,132.31,34.32,132.14,33.84,131.74,34.05,131.23,33.95,131.07,34.02,130.92,33.98,130.89,34.26,131,34.39,131.35,34.41,132.26,35.02,132.7,35.42,132.92,35.51,133.27,35.56,133.38,35.46,133.98,35.51,135.18,35.75,135.27,35.72,135.23,35.59,135.33,35.53,135.68,35.5,135.9,35.61,136.09,35.77,136.01,35.99,136.07,36.12,136.7,36.74,136.72,37.2,136.84,37.38,137.32,37.52,137.34,37.44,136.9,37.12,136.99,37.03,137.02,36.84,137.25,36.75,137.51,36.95,138.32,37.22,138.63,37.47,138.88,37.84,139.4,38.14,139.52,38.5,139.8,38.88,140.06,39.62,140,39.86,139.74,39.92,139.91,40.02,140.01,40.26,139.92,40.53,139.97,40.67,140.28,40.85,140.39,41.23,140.63,41.2,140.75,40.83,140.94,40.94,141.12,40.88,141.22,40.99,141.25,41.21,140.8,41.14,140.8,41.25,140.94,41.5,141.23,41.37]],[[124.29,24.52,124.24,24.36,124.13,24.35,124.08,24.44,124.21,24.46,124.3,24.59,124.29,24.52]],[[123.89,24.28,123.68,24.32,123.77,24.41,123.94,24.36,123.89,24.28]],[[125.45,24.74,125.27,24.73,125.28,24.87,125.45,24.74]],[[128.26,26.65,127.87,26.44,127.9,26.33,127.79,26.26,127.8,26.15,127.65,26.09,127.73,26.43,127.95,26.59,127.91,26.69,128.1,26.67,128.26,26.88,128.33,26.81,128.26,26.65]],[[129,27.72,128.9,27.73,128.91,27.9,129,27.72]],[[129.45,28.21,129.37,28.13,129.16,28.25,129.69,28.52,129.71,28.43,129.45,28.21]],[[129.32,28.1,129.23,28.1,129.19,28.19,129.32,28.1]],[[139.77,33.05,139.87,33.05,139.87,33.13,139.77,33.13,139.77,33.05]]]],
+    ['KE', 'Africa', [33.9, -4.68, 41.88, 5.49], [[[40.96,-2.17,41.14,-2.17,41.14,-2.04,40.96,-2.04,40.96,-2.17]],[[33.9,-1,33.94,0.17,34.48,1.04,34.8,1.25,34.79,1.38,34.98,1.77,34.86,2.59,34.45,3.16,34.44,3.65,34.17,3.81,33.98,4.22,35.27,5.49,35.33,5.36,35.47,5.42,35.75,5.34,35.76,4.81,36.02,4.47,36.91,4.41,38.09,3.65,39.49,3.46,39.84,3.85,40.77,4.27,41.14,3.96,41.88,3.98,41.34,3.2,40.96,2.81,40.98,-0.87,41.52,-1.57,41.53,-1.7,41.27,-1.95,41,-1.95,40.95,-2.06,40.89,-2.02,40.9,-2.27,40.64,-2.54,40.41,-2.56,40.22,-2.69,40.12,-3.25,39.86,-3.58,39.73,-3.99,39.38,-4.63,39.19,-4.68,37.8,-3.67,37.61,-3.5,37.68,-3.31,37.64,-3.05,33.9,-1]]]],
+    ['KG', 'Asia', [69.23, 39.21, 80.25, 43.24], [[[70.96,40.24,71.3,40.29,71.69,40.15,71.96,40.26,72.13,40.44,72.36,40.4,72.4,40.58,72.6,40.53,73.14,40.81,72.66,40.87,72.36,41.04,72.19,41.03,72.16,41.17,71.88,41.19,71.66,41.54,71.58,41.33,71.42,41.34,71.39,41.12,70.78,41.26,70.69,41.45,70.47,41.41,70.18,41.54,70.8,41.92,70.86,42.03,71.23,42.16,71.04,42.28,70.95,42.25,70.89,42.34,71.17,42.67,71.42,42.78,71.82,42.82,72.28,42.76,73.49,42.41,73.42,42.59,73.56,43,74.21,43.24,75.36,42.84,75.63,42.81,75.79,42.93,76.99,42.97,79.13,42.78,79.43,42.48,79.92,42.41,80.21,42.19,80.25,42.06,79.84,42,79.77,41.9,78.74,41.56,78.36,41.37,78.12,41.08,77.58,40.99,76.91,41.02,76.66,40.78,76.48,40.45,76.32,40.35,76.26,40.43,75.68,40.31,75.52,40.63,75.24,40.48,74.84,40.48,74.83,40.33,73.99,40.04,73.83,39.8,73.91,39.58,73.72,39.46,73.11,39.36,72.56,39.38,72.36,39.34,72.23,39.21,72.04,39.35,71.78,39.28,71.73,39.42,71.5,39.48,71.47,39.6,70.8,39.39,70.5,39.59,69.3,39.52,69.23,39.76,69.28,39.92,69.31,39.97,69.48,39.92,69.53,40.1,69.97,40.2,70.45,40.05,70.52,39.95,70.96,40.24],[71.21,39.89,71.23,40.05,70.98,40.13,71.01,39.9,71.21,39.89],[70.7,39.82,70.48,39.88,70.56,39.79,70.7,39.82]]]],
+    ['KH', 'Asia', [102.32, 10.41, 107.61, 14.7], [[[102.99,11.28,103.05,11.28,103.05,11.39,102.99,11.39,102.99,11.28]],[[103.32,10.72,103.28,10.68,103.22,10.78,103.32,10.72]],[[107.52,14.7,107.33,14.13,107.61,13.44,107.47,13.03,107.54,12.43,107.39,12.26,107.21,12.3,106.93,12.08,106.42,11.95,106.4,11.69,106,11.76,105.85,11.64,105.86,11.3,106.16,11.04,106.16,10.8,105.85,10.86,105.76,10.99,105.41,10.95,105.31,10.85,105.05,10.91,105.05,10.7,104.85,10.53,104.56,10.52,104.43,10.41,104.26,10.54,103.87,10.65,103.66,10.51,103.59,10.55,103.54,10.67,103.68,10.76,103.72,10.89,103.53,11.15,103.36,10.92,103.15,10.91,103.12,11.46,102.74,12.09,102.75,12.43,102.5,12.67,102.32,13.54,102.55,13.58,103.03,14.25,103.55,14.42,103.98,14.36,104.78,14.43,104.97,14.37,105.03,14.23,105.18,14.35,105.35,14.11,105.53,14.16,105.9,13.93,106.07,13.92,106.12,14.05,105.98,14.34,106.17,14.37,106.22,14.48,106.35,14.45,106.5,14.58,106.82,14.31,106.94,14.33,107.29,14.59,107.42,14.56,107.52,14.7]]]],
+    ['KI', 'Oceania', [-174.54, -11.46, 174.78, 3.92], [[[172.89,3.1,172.97,3.1,172.97,3.15,172.89,3.15,172.89,3.1]],[[172.75,3.01,172.89,3.01,172.89,3.07,172.75,3.07,172.75,3.01]],[[172.93,1.82,173.02,1.82,173.02,1.94,172.93,1.94,172.93,1.82]],[[172.99,1.71,173.04,1.71,173.04,1.81,172.99,1.81,172.99,1.71]],[[173.03,1.01,173.09,0.97,172.99,0.84,173.03,1.01]],[[174.51,-0.8,174.38,-0.59,174.47,-0.64,174.51,-0.8]],[[174.72,-1.26,174.78,-1.26,174.78,-1.13,174.72,-1.13,174.72,-1.26]],[[173.01,1.34,173.17,1.34,173.17,1.39,173.01,1.39,173.01,1.34]],[[169.52,-0.88,169.56,-0.88,169.56,-0.85,169.52,-0.85,169.52,-0.88]],[[-172.23,-4.53,-172.18,-4.53,-172.18,-4.49,-172.23,-4.49,-172.23,-4.53]],[[-171.1,-3.14,-171.08,-3.14,-171.08,-3.12,-171.1,-3.12,-171.1,-3.14]],[[-171.26,-4.47,-171.23,-4.47,-171.23,-4.44,-171.26,-4.44,-171.26,-4.47]],[[-174.54,-4.7,-174.5,-4.7,-174.5,-4.66,-174.54,-4.66,-174.54,-4.7]],[[-155.02,-4.09,-154.94,-4.09,-154.94,-4.03,-155.02,-4.03,-155.02,-4.09]],[[-151.82,-11.46,-151.78,-11.46,-151.78,-11.39,-151.82,-11.39,-151.82,-11.46]],[[-155.93,-5.63,-155.86,-5.63,-155.86,-5.61,-155.93,-5.61,-155.93,-5.63]],[[-157.34,1.86,-157.18,1.74,-157.25,1.73,-157.58,1.9,-157.43,1.85,-157.37,1.95,-157.44,2.02,-157.32,1.97,-157.34,1.86]],[[-159.34,3.92,-159.27,3.8,-159.41,3.87,-159.34,3.92]],[[-171.73,-2.86,-171.63,-2.86,-171.63,-2.76,-171.73,-2.76,-171.73,-2.86]]]],
+    ['KM', 'Africa', [43.23, -12.37, 44.51, -11.37], [[[44.48,-12.08,44.51,-12.36,44.22,-12.17,44.48,-12.08]],[[43.79,-12.31,43.86,-12.37,43.66,-12.34,43.63,-12.25,43.79,-12.31]],[[43.47,-11.9,43.23,-11.75,43.3,-11.37,43.39,-11.41,43.47,-11.9]]]],
+    ['KN', 'Americas', [-62.84, 17.12, -62.53, 17.4], [[[-62.53,17.12,-62.62,17.13,-62.61,17.2,-62.53,17.12]],[[-62.63,17.24,-62.84,17.37,-62.79,17.4,-62.63,17.24]]]],
+    ['KP', 'Asia', [124.35, 37.72, 130.69, 42.97], [[[128.38,38.62,128.17,38.36,128.04,38.31,127.09,38.28,126.67,37.92,126.63,37.78,126.37,37.88,126.12,37.74,126.05,37.87,125.77,37.99,125.36,37.72,125.31,37.84,124.99,37.93,125.21,38.08,124.69,38.13,124.88,38.23,124.88,38.34,125.07,38.56,125.55,38.69,125.17,38.81,125.41,39.29,125.36,39.53,124.78,39.76,124.64,39.61,124.56,39.79,124.35,39.91,124.39,40.1,124.89,40.46,125.73,40.87,125.99,40.9,126.49,41.36,126.6,41.64,126.9,41.78,127.18,41.53,128.15,41.39,128.29,41.61,128.06,41.86,128.04,41.99,128.92,42.04,129.2,42.22,129.32,42.41,129.7,42.45,129.86,42.96,130.08,42.97,130.24,42.89,130.25,42.74,130.5,42.57,130.69,42.3,130.46,42.3,130.24,42.18,129.76,41.71,129.69,41.6,129.77,41.3,129.71,40.86,129.34,40.73,129.11,40.49,128.7,40.32,128.51,40.13,127.97,40,127.53,39.7,127.55,39.46,127.52,39.38,127.42,39.37,127.4,39.21,127.79,39.08,128.38,38.62]],[[124.91,39.54,124.85,39.56,124.93,39.61,124.91,39.54]]]],
+    ['KR', 'Asia', [126.01, 33.22, 130.92, 38.62], [[[126.63,37.78,126.67,37.92,127.09,38.28,128.04,38.31,128.17,38.36,128.38,38.62,128.62,38.18,129.34,37.27,129.42,37.06,129.47,36.74,129.41,36.05,129.57,36.05,129.56,35.95,129.42,35.5,129.21,35.18,128.98,35.1,128.51,35.1,128.42,35.02,128.44,34.87,128.09,34.93,128.04,35.02,127.71,34.96,127.64,34.89,127.72,34.72,127.63,34.69,127.52,34.84,127.4,34.82,127.48,34.63,127.32,34.46,127.17,34.55,127.25,34.76,126.9,34.44,126.76,34.51,126.53,34.31,126.48,34.49,126.27,34.67,126.53,34.7,126.47,34.76,126.59,34.82,126.42,34.82,126.29,35.15,126.49,35.5,126.62,35.57,126.49,35.65,126.72,35.77,126.75,35.87,126.65,35.92,126.69,36.01,126.54,36.17,126.49,36.69,126.18,36.69,126.16,36.77,126.49,37.01,126.78,36.95,126.87,36.82,126.98,36.94,126.87,36.98,126.74,37.19,126.79,37.3,126.65,37.45,126.56,37.72,126.63,37.78]],[[128.74,34.8,128.65,34.74,128.49,34.86,128.72,35.01,128.74,34.8]],[[128.07,34.81,128.06,34.71,127.88,34.73,127.83,34.88,127.91,34.92,128.07,34.81]],[[126.23,34.37,126.12,34.44,126.25,34.56,126.35,34.55,126.38,34.5,126.23,34.37]],[[126.52,37.74,126.51,37.6,126.46,37.61,126.37,37.77,126.41,37.82,126.52,37.74]],[[126.75,34.34,126.69,34.31,126.65,34.39,126.75,34.34]],[[127.8,34.61,127.74,34.63,127.79,34.68,127.8,34.61]],[[126.42,36.49,126.4,36.43,126.34,36.47,126.32,36.61,126.42,36.49]],[[126.17,34.73,126.11,34.71,126.01,34.87,126.08,34.92,126.17,34.73]],[[130.92,37.48,130.81,37.51,130.9,37.55,130.92,37.48]],[[126.33,33.22,126.17,33.31,126.34,33.46,126.76,33.55,126.93,33.44,126.71,33.27,126.33,33.22]]]],
+    ['KW', 'Asia', [46.53, 28.53, 48.44, 30.08], [[[48.27,29.62,48.18,29.61,48.08,29.8,48.18,29.98,48.35,29.78,48.27,29.62]],[[48.44,28.54,47.67,28.53,47.43,28.99,46.53,29.1,46.91,29.54,47.15,30,47.33,30.08,47.75,30.08,47.98,29.98,48.15,29.57,47.97,29.62,47.72,29.39,48.05,29.35,48.44,28.54]]]],
+    ['KY', 'Americas', [-81.42, 19.28, -79.74, 19.77], [[[-81.37,19.35,-81.11,19.3,-81.41,19.28,-81.42,19.37,-81.37,19.35]],[[-80.12,19.67,-79.98,19.67,-79.98,19.72,-80.12,19.72,-80.12,19.67]],[[-79.9,19.7,-79.74,19.7,-79.74,19.77,-79.9,19.77,-79.9,19.7]]]],
+    ['KZ', 'Asia', [46.61, 40.62, 87.32, 55.39], [[[50.18,44.86,50.1,44.83,50,44.94,50.02,45.04,50.11,45.08,50.04,44.95,50.18,44.86]],[[50.31,44.97,50.25,45.02,50.35,45.08,50.31,44.97]],[[52.68,45.41,52.56,45.47,52.66,45.52,52.68,45.41]],[[70.95,42.25,70.58,42.04,70.41,42.08,70.09,41.82,69.15,41.43,68.58,40.88,68.57,40.62,68.41,40.62,68.05,40.81,68.11,41.03,67.93,41.2,66.71,41.18,66.5,41.99,66.01,42,66.1,42.99,65.8,42.88,65.5,43.31,64.91,43.71,64.44,43.55,63.21,43.63,61.99,43.49,61.16,44.17,61.01,44.39,58.56,45.56,55.98,44.99,55.98,41.32,55.44,41.3,54.86,41.97,54.12,42.33,53.06,42.15,52.49,41.78,52.46,42.1,52.62,42.43,52.6,42.76,51.9,42.87,51.62,43.16,51.3,43.17,51.3,43.48,51.06,43.75,50.83,44.19,50.33,44.33,50.25,44.46,50.3,44.58,50.41,44.62,50.86,44.63,51.18,44.5,51.54,44.53,51.31,44.62,51.01,44.92,51.42,45.36,52.43,45.4,53.2,45.33,52.77,45.57,53.13,46.19,53.06,46.48,53.17,46.67,53.07,46.86,52.92,46.95,52.48,46.99,52.14,46.83,51.18,47.11,50.42,46.88,49.89,46.59,49.35,46.52,49.36,46.41,49.29,46.44,49.23,46.34,48.58,46.58,48.5,46.7,48.56,46.76,48.88,46.71,48.96,46.77,48.17,47.71,47.48,47.8,47.29,47.74,47.09,47.95,47.07,48.23,46.66,48.41,46.61,48.57,46.7,48.8,47.03,49.15,46.8,49.37,46.82,49.5,46.99,49.85,47.25,50,47.33,50.27,47.5,50.4,47.71,50.38,48.34,49.86,48.76,49.93,48.84,50.01,48.62,50.61,48.81,50.6,49.32,50.85,49.5,51.08,50.25,51.29,50.79,51.73,51.16,51.65,51.35,51.47,51.61,51.48,52.22,51.71,52.57,51.48,53.34,51.48,54.14,51.04,54.42,50.78,54.47,50.58,54.56,50.54,54.65,50.66,54.55,50.95,54.64,51.01,55.69,50.58,56.05,50.71,56.14,50.84,56.49,51.02,56.62,50.98,57.01,51.07,57.44,50.89,57.65,50.92,57.84,51.09,58.36,51.06,58.88,50.69,59.45,50.62,59.52,50.49,59.81,50.58,60.06,50.85,60.42,50.68,60.94,50.7,61.39,50.86,61.58,51.23,61.56,51.32,61.36,51.44,60.46,51.65,60.39,51.77,60.03,51.93,60.99,52.34,60.77,52.68,61.05,52.97,61.97,52.94,62.08,53.01,62.02,53.11,61.66,53.23,61.2,53.29,61.23,53.45,61.53,53.52,60.98,53.62,61.23,54.02,61.93,53.95,64.46,54.38,65.09,54.34,65.24,54.52,65.48,54.62,66.22,54.67,68.15,54.98,68.24,55.05,68.2,55.16,68.98,55.39,69.49,55.36,70.18,55.16,70.74,55.3,70.91,55.13,71.19,54.6,71.09,54.21,71.34,54.16,72.01,54.21,72.19,54.33,72.39,54.12,72.45,53.94,72.59,54,72.62,54.13,72.91,54.11,73.23,53.96,73.67,54.06,73.68,53.93,73.31,53.71,73.28,53.6,73.41,53.45,73.86,53.62,74.35,53.49,74.45,53.65,74.84,53.83,75.22,53.89,75.44,54.09,76.84,54.44,76.65,54.14,76.42,54.15,76.48,54.02,77.86,53.27,79.47,51.49,79.99,50.78,80.42,50.95,80.45,51.18,80.74,51.29,81.13,51.19,81.07,50.97,81.39,50.96,81.47,50.74,82.49,50.73,82.76,50.89,83.36,50.99,83.94,50.78,84.32,50.24,84.99,50.06,85,49.89,85.23,49.62,86.18,49.5,86.68,49.78,86.73,49.7,86.63,49.56,87,49.29,87.23,49.22,87.32,49.09,86.81,49.05,86.72,48.7,86.55,48.53,85.75,48.38,85.52,47.92,85.66,47.25,85.48,47.06,85.23,47.04,84.79,46.83,84.67,46.97,84.02,46.97,83.03,47.19,82.32,45.6,82.33,45.52,82.61,45.42,82.52,45.13,82.27,45.22,81.87,45.18,81.69,45.35,80.06,45.01,79.87,44.88,80,44.8,80.25,44.81,80.48,44.71,80.35,44.55,80.35,44.1,80.79,43.16,80.39,43.04,80.38,42.97,80.54,42.87,80.2,42.73,80.21,42.19,79.92,42.41,79.43,42.48,79.13,42.78,76.99,42.97,75.79,42.93,75.63,42.81,75.36,42.84,74.21,43.24,73.56,43,73.42,42.59,73.49,42.41,72.28,42.76,71.76,42.82,71.26,42.73,70.89,42.34,70.95,42.25]]]],
+    ['LA', 'Asia', [100.12, 13.92, 107.65, 22.5], [[[102.13,22.38,102.58,21.9,102.66,21.68,102.82,21.81,102.95,21.68,102.85,21.27,103.1,20.89,103.64,20.7,104.1,20.95,104.58,20.65,104.37,20.44,104.62,20.37,104.7,20.21,104.85,20.2,104.93,20.02,104.59,19.62,104.03,19.67,104.06,19.48,103.89,19.3,104.72,18.8,105.15,18.65,105.09,18.45,105.16,18.34,105.46,18.15,105.69,17.74,106.5,16.95,106.54,16.65,106.66,16.49,106.85,16.52,106.93,16.35,107.4,16.04,107.39,15.95,107.17,15.8,107.65,15.25,107.48,14.98,107.52,14.7,107.42,14.56,107.29,14.59,107.11,14.42,106.82,14.31,106.5,14.58,106.35,14.45,106.22,14.48,106.17,14.37,105.98,14.34,106.12,14.05,106.07,13.92,105.9,13.93,105.53,14.16,105.35,14.11,105.25,14.2,105.18,14.35,105.5,14.59,105.55,14.93,105.49,15.26,105.64,15.66,105.4,15.83,105.41,15.99,105.05,16.16,104.82,16.47,104.74,16.88,104.82,17.3,104.74,17.46,104.43,17.7,103.95,18.32,103.29,18.41,103.05,18.03,102.66,17.82,102.55,17.96,102.1,18.21,101.77,18.03,101.69,17.89,101.17,17.5,100.91,17.58,101.14,18.14,101.05,18.44,101.29,18.98,101.21,19.55,100.96,19.61,100.63,19.5,100.42,19.65,100.4,19.76,100.54,20.13,100.32,20.39,100.12,20.26,100.18,20.59,100.33,20.8,100.62,20.86,100.52,20.92,100.7,21.25,101.14,21.57,101.25,21.2,101.54,21.23,101.71,21.15,101.8,21.21,101.72,21.32,101.74,21.83,101.52,22.25,101.74,22.5,101.84,22.39,102.02,22.44,102.13,22.38]]]],
+    ['LB', 'Asia', [35.11, 33.08, 36.59, 34.66], [[[35.98,34.63,36.38,34.66,36.43,34.61,36.33,34.5,36.51,34.43,36.59,34.22,36.3,33.96,36.37,33.84,36.02,33.78,35.94,33.67,36.02,33.56,35.53,33.25,35.49,33.12,35.11,33.08,35.61,34.03,35.65,34.25,35.98,34.55,35.98,34.63]]]],
+    ['LC', 'Americas', [-61.07, 13.72, -60.9, 14.09], [[[-60.9,13.82,-60.95,13.72,-61.07,13.87,-60.91,14.09,-60.9,13.82]]]],
+    ['LI', 'Europe', [9.49, 47.06, 9.58, 47.27], [[[9.58,47.06,9.49,47.06,9.53,47.27,9.58,47.06]]]],
+    ['LK', 'Asia', [79.71, 5.98, 81.87, 9.81], [[[79.85,9.62,79.97,9.62,79.97,9.74,79.85,9.74,79.85,9.62]],[[79.88,9.05,79.9,8.98,79.75,9.1,79.88,9.05]],[[79.98,9.81,80.25,9.8,80.71,9.37,81.2,8.66,81.23,8.51,81.37,8.43,81.43,8.12,81.87,7.29,81.86,6.9,81.64,6.43,81.31,6.2,80.73,5.98,80.27,6.01,80.1,6.15,79.86,6.83,79.71,8.18,79.75,8.29,79.75,8.05,79.81,8.05,79.93,8.9,80.1,9.21,80.08,9.58,80.43,9.48,80.26,9.61,80.05,9.65,79.95,9.74,79.98,9.81]]]],
+    ['LR', 'Africa', [-11.51, 4.35, -7.43, 8.54], [[[-11.51,6.91,-11.27,7.23,-10.65,7.76,-10.57,8.07,-10.36,8.19,-10.28,8.48,-10.15,8.52,-10.06,8.43,-9.78,8.54,-9.74,8.45,-9.66,8.47,-9.52,8.35,-9.37,7.7,-9.46,7.42,-9.26,7.38,-9.12,7.22,-8.89,7.26,-8.71,7.66,-8.58,7.68,-8.44,7.52,-8.3,7.07,-8.33,6.8,-8.6,6.51,-8.29,6.32,-7.89,6.23,-7.8,5.98,-7.45,5.84,-7.43,5.32,-7.57,5.08,-7.59,4.82,-7.54,4.35,-8.26,4.59,-9.13,5.05,-10.28,6.08,-10.71,6.26,-10.85,6.47,-11.29,6.69,-11.51,6.91]]]],
+    ['LS', 'Africa', [27.06, -30.63, 29.39, -28.58], [[[28.74,-30.1,28.39,-30.15,28.06,-30.63,27.75,-30.6,27.39,-30.32,27.06,-29.63,27.36,-29.46,27.74,-28.94,28.63,-28.58,29.3,-29.09,29.39,-29.27,29.3,-29.57,29.14,-29.7,29.1,-29.92,28.74,-30.1]]]],
+    ['LT', 'Europe', [20.9, 53.89, 26.78, 56.41], [[[20.96,55.28,20.9,55.29,21.12,55.62,20.96,55.28]],[[22.76,54.36,22.69,54.56,22.83,54.87,22.57,55.06,22.07,55.06,21.23,55.26,21.05,56.07,21.65,56.31,22.08,56.41,22.88,56.4,23.04,56.32,23.2,56.37,24.12,56.26,24.9,56.4,25.07,56.2,25.66,56.1,26.28,55.75,26.6,55.67,26.46,55.34,26.78,55.27,26.6,55.13,26.29,55.14,26.17,55,25.86,54.92,25.55,54.33,25.75,54.26,25.76,54.18,25.68,54.14,25.51,54.16,25.46,54.29,25.05,54.13,24.87,54.14,24.77,53.97,24.32,53.89,24.19,53.95,23.56,53.92,23.48,53.94,23.48,54.08,23.37,54.2,22.89,54.39,22.76,54.36]]]],
+    ['LU', 'Europe', [5.73, 49.45, 6.49, 50.17], [[[6.12,50.12,6.2,49.92,6.49,49.8,6.35,49.45,6.18,49.5,6.01,49.45,5.79,49.54,5.88,49.65,5.73,49.81,5.74,49.92,5.98,50.17,6.12,50.12]]]],
+    ['LV', 'Europe', [21.03, 55.67, 28.2, 58.05], [[[26.6,55.67,26.28,55.75,25.66,56.1,25.07,56.2,24.84,56.41,24.47,56.28,24.12,56.26,22.08,56.41,21.05,56.07,21.03,56.64,21.07,56.82,21.35,57.02,21.46,57.32,21.73,57.57,22.56,57.72,22.65,57.6,23.14,57.32,23.29,57.09,23.65,56.97,23.93,57.01,24.38,57.25,24.32,57.87,25.28,58.05,25.99,57.84,26.46,57.54,26.97,57.61,27.47,57.52,27.83,57.29,27.64,56.85,27.85,56.85,28.1,56.55,28.2,56.26,28.15,56.14,27.89,56.08,27.58,55.8,27.05,55.83,26.6,55.67]]]],
+    ['LY', 'Africa', [9.31, 19.5, 25.15, 33.18], [[[9.52,30.23,9.89,30.39,10.22,30.78,10.26,30.94,10.11,31.46,10.28,31.68,10.47,31.74,10.83,32.08,11.5,32.41,11.53,32.52,11.45,32.64,11.5,33.18,12.28,32.86,12.75,32.8,13.28,32.92,14.16,32.71,14.51,32.51,15.18,32.39,15.36,32.16,15.5,31.66,15.71,31.43,16.12,31.26,16.78,31.21,17.83,30.93,18.19,30.78,18.67,30.42,19.13,30.27,19.71,30.49,20.11,30.96,20.14,31.19,19.96,31.56,19.93,31.82,20.03,32.11,20.37,32.43,21.06,32.78,21.43,32.8,21.63,32.94,22.19,32.92,23.09,32.62,23.11,32.33,23.29,32.21,23.8,32.16,24.13,32.01,24.95,31.95,25.15,31.65,24.85,31.34,24.98,30.78,24.7,30.2,24.98,29.18,24.98,20,23.98,20,23.98,19.5,15.98,23.45,14.21,22.62,13.48,23.18,11.97,23.52,11.51,24.32,10.69,24.55,10.44,24.48,10.33,24.53,10.12,24.79,10,25.33,9.42,26.15,9.49,26.33,9.86,26.55,9.89,26.85,9.75,27.33,9.92,27.79,9.82,29.12,9.64,29.64,9.31,30.12,9.52,30.23]]]],
+    ['MA', 'Africa', [-17, 21.42, -1.06, 35.9], [[[-2.22,35.1,-1.79,34.75,-1.85,34.61,-1.73,34.47,-1.79,34.37,-1.63,33.57,-1.68,33.32,-1.45,32.79,-1.06,32.47,-1.24,32.34,-1.23,32.11,-2.86,32.08,-3.02,31.83,-3.77,31.69,-3.85,31.62,-3.83,31.2,-3.62,31.07,-3.67,30.96,-3.99,30.91,-4.32,30.7,-4.97,30.47,-5.18,30.17,-5.45,29.96,-6,29.83,-6.48,29.82,-6.64,29.57,-7.16,29.61,-8.66,28.72,-8.69,27.66,-8.82,27.66,-8.79,27.12,-9.41,27.09,-9.82,26.85,-10.03,26.91,-10.25,26.86,-10.76,27.02,-11.39,26.88,-11.34,26.63,-11.72,26.1,-12.06,25.99,-12.43,24.83,-13.06,24.4,-13.31,23.98,-13.89,23.69,-14.04,23.34,-14.22,22.31,-14.63,21.86,-14.61,21.75,-14.75,21.5,-14.97,21.44,-16.04,21.5,-17,21.42,-16.93,21.9,-16.79,22.16,-16.52,22.33,-16.36,22.59,-16.17,23.03,-16.21,23.1,-15.79,23.79,-15.8,23.84,-15.98,23.67,-15.9,23.84,-14.91,24.72,-14.79,25.4,-14.41,26.25,-13.58,26.74,-13.18,27.65,-12.95,27.91,-11.99,28.13,-11.55,28.31,-11.08,28.71,-10.49,29.06,-10.2,29.38,-9.67,30.11,-9.65,30.45,-9.88,30.72,-9.81,31.42,-9.68,31.71,-9.35,32.09,-9.25,32.57,-8.51,33.25,-6.9,33.97,-6.35,34.78,-5.92,35.79,-5.28,35.9,-5.34,35.74,-5.25,35.61,-4.84,35.28,-4.63,35.21,-4.33,35.16,-3.69,35.28,-3.39,35.21,-3.21,35.24,-2.97,35.41,-2.84,35.13,-2.22,35.1]]]],
+    ['MC', 'Europe', [7.38, 43.73, 7.44, 43.77], [[[7.38,43.73,7.44,43.73,7.44,43.77,7.38,43.77,7.38,43.73]]]],
+    ['MD', 'Europe', [26.62, 45.45, 30.13, 48.48], [[[26.62,48.26,26.85,48.39,27.23,48.37,27.55,48.48,28.29,48.24,28.46,48.09,28.53,48.15,28.77,48.12,28.92,47.95,29.13,47.96,29.21,47.78,29.13,47.49,29.54,47.27,29.57,46.96,29.88,46.83,29.93,46.54,30.13,46.42,29.84,46.35,29.71,46.45,29.62,46.4,29.31,46.47,29.21,46.38,29.19,46.52,28.96,46.46,29.01,46.18,28.95,46.05,28.49,45.67,28.5,45.52,28.21,45.45,28.07,45.6,28.16,45.65,28.1,45.97,28.24,46.64,28.07,46.98,27.61,47.34,26.98,48.16,26.62,48.26]]]],
+    ['ME', 'Europe', [18.44, 41.87, 20.35, 43.53], [[[19.19,43.53,19.61,43.17,20.35,42.85,20.05,42.76,20.06,42.55,19.79,42.48,19.73,42.64,19.65,42.63,19.28,42.17,19.36,42.07,19.34,41.87,18.63,42.38,18.65,42.44,18.52,42.43,18.44,42.52,18.55,42.64,18.46,43,18.62,43.03,18.68,43.23,18.85,43.35,19.03,43.29,18.95,43.53,19.19,43.53]]]],
+    ['MF', 'Americas', [-63.12, 18.07, -63.01, 18.12], [[[-63.12,18.07,-63.01,18.07,-63.01,18.12,-63.12,18.12,-63.12,18.07]]]],
+    ['MG', 'Africa', [43.26, -25.56, 50.48, -12.08], [[[49.54,-12.43,49.94,-13.07,50.18,-14.04,50.24,-14.73,50.44,-15.15,50.48,-15.39,50.41,-15.63,50.19,-15.96,50.02,-15.8,49.89,-15.46,49.66,-15.52,49.71,-16.08,49.83,-16.26,49.84,-16.49,49.73,-16.7,49.77,-16.81,49.6,-16.93,49.45,-17.24,49.48,-17.9,49.36,-18.34,47.91,-22.46,47.56,-23.87,47.18,-24.79,47.04,-24.98,46.73,-25.15,46.16,-25.23,45.51,-25.56,45.11,-25.54,44.81,-25.33,44.35,-25.23,44.03,-25,43.91,-24.64,43.67,-24.3,43.7,-23.42,43.57,-23.08,43.4,-22.89,43.26,-22.38,43.29,-21.93,43.5,-21.36,43.8,-21.18,44.4,-19.92,44.45,-19.43,44.24,-19.07,44.23,-18.74,44.04,-18.29,43.98,-17.39,44.42,-16.7,44.48,-16.22,44.91,-16.17,45.22,-15.95,45.34,-16.04,45.6,-15.99,45.7,-15.81,46.16,-15.74,46.4,-15.93,46.44,-15.9,46.33,-15.71,46.47,-15.51,46.94,-15.22,47.03,-15.45,47.1,-15.43,47.09,-15.15,47.35,-14.77,47.46,-14.71,47.48,-15.01,47.77,-14.64,47.97,-14.67,47.81,-14.55,47.77,-14.37,47.99,-13.96,47.88,-13.81,47.94,-13.66,48.04,-13.6,48.26,-13.72,48.8,-13.27,48.92,-12.84,48.79,-12.47,48.93,-12.44,49.21,-12.08,49.54,-12.43]],[[48.34,-13.36,48.21,-13.39,48.19,-13.26,48.31,-13.2,48.34,-13.36]],[[49.94,-16.9,49.82,-17.09,49.86,-16.93,50.02,-16.69,49.94,-16.9]]]],
+    ['MH', 'Oceania', [166.85, 5.8, 171.76, 11.17], [[[169.59,5.8,169.74,5.8,169.74,6.01,169.59,6.01,169.59,5.8]],[[168.67,7.29,168.83,7.29,168.83,7.34,168.67,7.34,168.67,7.29]],[[171.58,6.97,171.76,6.97,171.76,7.05,171.58,7.05,171.58,6.97]],[[171.1,7.14,171.39,7.11,171.23,7.07,171.1,7.14]],[[166.85,11.15,166.9,11.15,166.9,11.17,166.85,11.17,166.85,11.15]]]],
+    ['MK', 'Europe', [20.45, 40.87, 23, 42.35], [[[21.56,42.25,22.28,42.35,22.8,42.03,23,41.74,22.93,41.36,22.78,41.33,22.73,41.18,22.6,41.14,21.99,41.13,21.58,40.87,20.74,40.91,20.49,41.27,20.45,41.52,20.55,41.86,20.72,41.87,20.78,42.07,21.06,42.17,21.29,42.1,21.39,42.22,21.56,42.25]]]],
+    ['ML', 'Africa', [-12.28, 10.14, 4.23, 25], [[[-11.39,12.4,-11.45,12.53,-11.39,12.94,-11.63,13.37,-11.76,13.39,-11.83,13.32,-12.05,13.63,-11.96,13.87,-12.02,14.21,-12.23,14.46,-12.19,14.65,-12.28,14.81,-12.11,14.74,-11.94,14.89,-11.76,15.43,-11.5,15.64,-10.95,15.15,-10.7,15.42,-9.94,15.37,-9.45,15.46,-9.35,15.68,-9.34,15.53,-9.18,15.5,-5.51,15.5,-5.36,16.28,-5.63,16.57,-6.59,24.99,-4.82,25,1.15,21.1,1.16,20.82,1.61,20.55,1.76,20.33,2.22,20.25,2.41,20.06,3.13,19.85,3.2,19.79,3.26,19.41,3.11,19.15,3.26,19.01,4.23,19.14,4.18,16.58,3.88,15.75,3.52,15.48,3.5,15.36,3.06,15.43,3,15.34,1.3,15.27,0.95,14.98,0.29,14.98,0.22,14.91,-0.24,15.06,-0.41,15.01,-0.67,15.07,-1.69,14.51,-1.97,14.46,-2.12,14.17,-2.46,14.27,-2.59,14.23,-2.87,13.95,-2.95,13.65,-3.25,13.66,-3.3,13.28,-3.53,13.18,-3.95,13.4,-4.33,13.12,-4.23,12.79,-4.48,12.67,-4.43,12.34,-4.7,12.08,-5.11,11.97,-5.29,11.83,-5.25,11.37,-5.35,11.13,-5.49,11.04,-5.46,10.77,-5.52,10.43,-5.84,10.39,-6.04,10.19,-6.24,10.26,-6.19,10.4,-6.26,10.72,-6.42,10.67,-6.42,10.56,-6.65,10.66,-6.69,10.35,-6.95,10.34,-7.02,10.14,-7.36,10.26,-7.5,10.44,-7.66,10.43,-7.81,10.24,-7.99,10.16,-8.01,10.32,-8.27,10.49,-8.34,10.99,-8.67,11.01,-8.4,11.37,-8.82,11.67,-8.82,11.92,-9,12.35,-9.12,12.45,-9.39,12.47,-9.36,12.26,-9.66,12.14,-9.71,12.04,-10.28,12.21,-10.47,12.14,-10.68,11.9,-10.93,12.2,-11.31,12.02,-11.5,12.2,-11.39,12.4]]]],
+    ['MM', 'Asia', [92.18, 9.88, 101.13, 28.52], [[[100.12,20.32,99.89,20.42,99.72,20.33,99.46,20.36,99.49,20.15,99.34,20.08,99.07,20.1,98.92,19.77,98.37,19.69,98.02,19.75,97.82,19.46,97.8,19.13,97.71,18.93,97.75,18.59,97.38,18.52,97.45,18.36,97.63,18.29,97.74,17.94,97.71,17.8,98.44,16.98,98.66,16.33,98.84,16.42,98.89,16.35,98.82,16.18,98.59,16.05,98.56,15.37,98.19,15.2,98.2,14.98,98.57,14.36,98.93,14.05,99.14,13.72,99.13,13.03,99.22,12.74,99.41,12.55,99.61,11.78,99.19,11.11,98.76,10.66,98.7,10.19,98.56,10.03,98.47,10.68,98.68,10.99,98.74,11.59,98.88,11.72,98.8,11.78,98.64,11.74,98.7,12.23,98.6,12.24,98.68,12.35,98.57,13.16,98.25,13.73,98.24,13.93,98.2,13.98,98.15,13.65,98.11,13.71,98.1,14.16,97.91,14.65,98.02,14.65,97.81,14.86,97.71,15.88,97.58,16.02,97.63,16.46,97.72,16.57,97.38,16.52,97.2,17.1,96.85,17.4,96.91,17.03,96.77,16.71,96.43,16.5,96.19,16.77,96.32,16.44,95.76,16.17,95.68,15.98,95.39,15.72,95.3,15.76,95.35,16.1,95.18,15.83,94.94,15.82,94.89,16.18,94.85,16.03,94.66,15.9,94.7,16.51,94.66,16.34,94.44,16.1,94.23,16.02,94.27,16.52,94.56,17.31,94.59,17.57,94.43,18.2,94.17,18.73,94.25,18.74,94.07,18.89,94.05,19.29,93.94,19.15,93.93,18.9,93.71,19.03,93.49,19.37,93.58,19.4,93.83,19.24,94,19.44,93.61,19.78,93.71,19.91,93.25,20.07,93.16,20.04,93.2,19.9,93.13,19.86,93,20.07,93.1,20.18,93.02,20.19,93.07,20.38,92.88,20.15,92.79,20.21,92.89,20.34,92.85,20.41,92.71,20.56,92.72,20.3,92.38,20.72,92.18,21.29,92.33,21.44,92.6,21.27,92.57,21.98,92.69,22.13,92.97,22,93.04,22.18,93.15,22.23,93.08,22.72,93.16,23.03,93.35,23.08,93.41,23.53,93.33,24.06,94.13,23.88,94.71,25.05,94.55,25.22,94.58,25.32,94.95,25.7,95.13,26.04,95.05,26.35,95.13,26.6,96.19,27.26,96.73,27.33,96.95,27.13,97.1,27.12,96.88,27.59,97.34,27.94,97.32,28.22,97.6,28.52,98.1,28.14,98.3,27.55,98.45,27.66,98.65,27.57,98.74,26.7,98.69,26.19,98.56,26.07,98.66,25.86,98.47,25.79,98.33,25.59,98.14,25.57,98.01,25.29,97.82,25.25,97.71,25.03,97.74,24.87,97.58,24.78,97.53,24.49,97.67,24.38,97.71,24.23,97.56,23.91,98.21,24.11,98.83,24.12,98.68,23.91,98.83,23.62,98.86,23.19,99.34,23.1,99.51,22.96,99.38,22.83,99.19,22.13,99.92,22.03,99.94,21.76,100.22,21.46,100.6,21.47,100.84,21.66,101.13,21.74,101.08,21.47,100.76,21.31,100.54,20.99,100.52,20.92,100.62,20.86,100.25,20.73,100.12,20.32]],[[98.21,10.95,98.27,10.74,98.16,10.9,98.08,10.89,98.21,10.95]],[[98.18,9.93,98.12,9.88,98.14,9.97,98.29,10.05,98.18,9.93]],[[98.19,11.46,98.31,11.46,98.31,11.78,98.19,11.78,98.19,11.46]],[[98.52,11.9,98.47,12.08,98.61,11.96,98.52,11.9]],[[98.55,11.74,98.53,11.54,98.43,11.57,98.38,11.79,98.52,11.81,98.55,11.74]],[[98.41,12.6,98.46,12.47,98.32,12.34,98.31,12.68,98.41,12.6]],[[98.14,12.15,98.04,12.23,98.07,12.29,98.14,12.15]],[[94.48,15.95,94.41,15.85,94.39,15.99,94.6,16.21,94.57,16.02,94.48,15.95]],[[97.57,16.25,97.48,16.31,97.47,16.46,97.54,16.5,97.57,16.25]],[[93.69,18.68,93.49,18.87,93.74,18.87,93.69,18.68]],[[93.49,19.89,93.51,19.75,93.42,19.88,93.41,19.95,93.49,19.89]],[[93.71,19.56,93.94,19.43,93.9,19.33,93.76,19.33,93.64,19.49,93.71,19.56]],[[98.54,10.96,98.48,10.98,98.53,11.09,98.54,10.96]],[[98.01,11.64,98.08,11.64,98.08,11.86,98.01,11.86,98.01,11.64]],[[98.07,12.39,98,12.28,97.94,12.35,98.07,12.39]],[[98.32,13.1,98.31,12.93,98.25,13.19,98.32,13.1]],[[94.81,15.82,94.73,15.82,94.83,15.93,94.81,15.82]],[[93.01,19.92,93.02,19.83,92.98,19.87,92.92,20.09,93.01,19.92]]]],
+    ['MN', 'Asia', [87.74, 41.6, 119.9, 52.12], [[[87.81,49.16,88.12,49.26,88.19,49.45,89.11,49.5,89.24,49.63,89.65,49.72,89.64,49.9,89.98,49.98,90.05,50.09,90.65,50.22,91.02,50.42,91.41,50.47,91.8,50.69,92.19,50.7,92.35,50.86,92.63,50.69,92.94,50.78,93.1,50.6,94.25,50.56,94.36,50.22,94.61,50.02,94.93,50.04,95.11,49.94,95.52,49.91,95.79,50.01,96.07,50,96.31,49.9,96.99,49.88,97.21,49.73,97.36,49.74,97.59,49.91,98.01,50.01,98.17,50.18,98.28,50.53,98.03,50.65,97.84,51.05,98.04,51.45,98.22,51.51,98.35,51.72,98.64,51.8,98.89,52.12,99.92,51.76,100.47,51.73,101.38,51.45,102.11,51.35,102.21,50.83,102.31,50.72,102.29,50.58,103.3,50.2,104.08,50.15,104.47,50.31,105.38,50.47,106.22,50.3,106.71,50.31,107.23,49.99,107.92,49.95,107.97,49.65,108.61,49.32,109.24,49.33,110.71,49.14,111.34,49.36,112.81,49.52,113.06,49.62,113.17,49.8,113.45,49.94,114.3,50.27,114.74,50.23,115.43,49.9,115.72,49.88,116.14,50.01,116.35,49.98,116.68,49.82,115.82,48.58,115.79,48.25,115.52,48.13,115.62,47.87,115.9,47.69,116.23,47.86,116.76,47.87,117.35,47.65,117.77,47.99,118.5,47.98,118.76,47.76,119.08,47.65,119.71,47.15,119.9,46.86,119.9,46.73,119.71,46.61,119.16,46.64,118.84,46.76,118.72,46.69,118.07,46.67,117.74,46.52,117.44,46.59,117.33,46.36,116.86,46.39,116.56,46.29,116.26,45.96,116.2,45.74,115.68,45.46,114.56,45.39,114.08,44.97,113.59,44.75,112.71,44.88,112.41,45.06,111.9,45.06,111.62,44.83,111.4,44.37,111.84,43.94,111.93,43.71,111.55,43.5,111.01,43.34,110.4,42.77,109.34,42.44,108.17,42.45,106.77,42.29,105.2,41.74,104.98,41.6,104.5,41.66,104.5,41.88,103.71,41.75,103.07,42.01,102.16,42.16,101.49,42.54,99.98,42.68,99.47,42.57,97.21,42.79,96.39,42.72,96.3,42.93,95.86,43.28,95.53,43.95,95.33,44.04,95.35,44.28,95.05,44.26,94.71,44.35,93.52,44.94,91.58,45.08,90.88,45.2,90.66,45.53,90.71,45.73,91,46.04,90.91,46.27,91.03,46.57,90.87,46.95,90.72,47,90.5,47.29,90.33,47.66,90.1,47.75,90.03,47.88,89.78,47.83,89.48,48.03,89.05,48,88.58,48.22,88.52,48.38,87.98,48.55,88.06,48.71,87.74,48.88,87.87,49,87.81,49.16]]]],
+    ['MO', 'Asia', [113.48, 22.2, 113.55, 22.25], [[[113.48,22.2,113.55,22.2,113.55,22.25,113.48,22.25,113.48,22.2]]]],
+    ['MP', 'Oceania', [145.15, 14.11, 145.84, 18.81], [[[145.64,18.73,145.71,18.73,145.71,18.81,145.64,18.81,145.64,18.73]],[[145.63,16.33,145.72,16.33,145.72,16.38,145.63,16.38,145.63,16.33]],[[145.15,14.11,145.27,14.11,145.27,14.19,145.15,14.19,145.15,14.11]],[[145.73,18.06,145.84,18.06,145.84,18.17,145.73,18.17,145.73,18.06]],[[145.75,15.13,145.68,15.12,145.71,15.21,145.82,15.27,145.75,15.13]],[[145.66,14.97,145.62,14.92,145.62,15.06,145.66,14.97]]]],
+    ['MR', 'Africa', [-17.05, 14.74, -4.82, 27.29], [[[-16.37,19.71,-16.44,19.61,-16.48,19.71,-16.34,19.87,-16.37,19.71]],[[-12.28,14.81,-12.86,15.24,-12.93,15.45,-13.21,15.62,-13.41,16.06,-13.51,16.14,-13.87,16.15,-14.09,16.42,-14.54,16.66,-14.99,16.68,-15.77,16.49,-16.24,16.53,-16.44,16.2,-16.54,15.84,-16.46,16.6,-16.08,17.55,-16.05,18.22,-16.21,19,-16.52,19.36,-16.31,19.51,-16.44,19.47,-16.28,19.79,-16.21,20.23,-16.43,20.65,-16.53,20.71,-16.56,20.6,-16.62,20.63,-16.88,21.09,-17,21.04,-17.05,20.81,-16.97,21.33,-13.02,21.33,-13.15,22.82,-13.03,23,-12.62,23.27,-12.02,23.47,-12.02,26,-8.68,26,-8.69,27.29,-4.82,25,-6.59,24.99,-5.63,16.57,-5.36,16.28,-5.51,15.5,-9.18,15.5,-9.34,15.53,-9.35,15.68,-9.45,15.46,-9.94,15.37,-10.7,15.42,-10.95,15.15,-11.5,15.64,-11.76,15.43,-11.94,14.89,-12.11,14.74,-12.28,14.81]]]],
+    ['MS', 'Americas', [-62.22, 16.7, -62.15, 16.81], [[[-62.15,16.74,-62.22,16.7,-62.19,16.81,-62.15,16.74]]]],
+    ['MT', 'Europe', [14.18, 35.82, 14.57, 36.08], [[[14.57,35.85,14.44,35.82,14.35,35.87,14.35,35.98,14.57,35.85]],[[14.18,36.01,14.32,36.01,14.32,36.08,14.18,36.08,14.18,36.01]]]],
+    ['MU', 'Africa', [57.32, -20.5, 57.79, -19.99], [[[57.65,-20.48,57.38,-20.5,57.32,-20.43,57.42,-20.18,57.66,-19.99,57.79,-20.21,57.65,-20.48]]]],
+    ['MV', 'Asia', [73.38, 3.23, 73.53, 4.25], [[[73.38,3.23,73.44,3.23,73.44,3.29,73.38,3.29,73.38,3.23]],[[73.47,4.15,73.53,4.15,73.53,4.25,73.47,4.25,73.47,4.15]]]],
+    ['MW', 'Africa', [32.67, -17.13, 35.89, -9.39], [[[34.72,-12.11,34.68,-12.01,34.76,-12.03,34.72,-12.11]],[[34.64,-12.01,34.62,-12.07,34.54,-12.02,34.64,-12.01]],[[33.2,-14.01,33.15,-13.94,32.99,-14.02,32.67,-13.59,32.85,-13.46,32.97,-13.22,32.95,-12.8,33.02,-12.63,33.4,-12.49,33.51,-12.35,33.34,-12.31,33.25,-12.11,33.31,-11.8,33.23,-11.42,33.38,-11.16,33.26,-10.89,33.66,-10.55,33.53,-10.23,33.31,-10.04,33.35,-9.86,33.19,-9.63,33,-9.62,32.92,-9.41,32.97,-9.39,33.42,-9.61,33.89,-9.67,34,-9.5,34.32,-9.73,34.52,-10.03,34.66,-10.71,34.61,-11.08,34.77,-11.34,34.89,-11.39,34.96,-11.58,34.62,-11.62,34.36,-12.17,34.56,-13.36,34.66,-13.49,34.91,-13.55,35.25,-13.9,35.85,-14.67,35.89,-14.89,35.8,-15.27,35.79,-15.96,35.71,-16.1,35.32,-16.19,35.17,-16.56,35.28,-16.81,35.29,-17.1,35.12,-17.13,35.04,-17.02,35.08,-16.83,34.44,-16.27,34.4,-16.08,34.25,-15.89,34.54,-15.3,34.5,-14.6,34.33,-14.41,33.64,-14.57,33.2,-14.01]]]],
+    ['MX', 'Americas', [-118.4, 14.54, -86.7, 32.72], [[[-117.13,32.53,-114.72,32.72,-114.84,32.51,-111.04,31.33,-108.22,31.33,-108.21,31.78,-106.44,31.77,-106.15,31.45,-104.92,30.58,-104.68,30.13,-104.62,29.85,-104.4,29.57,-103.26,29,-102.89,29.22,-102.73,29.64,-102.61,29.75,-102.27,29.87,-101.44,29.78,-100.76,29.18,-100.33,28.5,-100.3,28.33,-99.51,27.55,-99.46,27.06,-99.23,26.76,-99.11,26.45,-98.28,26.11,-97.8,26.04,-97.38,25.87,-97.15,25.96,-97.67,24.39,-97.75,22.94,-97.84,22.51,-97.76,22.11,-97.58,21.81,-97.31,21.56,-97.41,21.27,-97.38,21.57,-97.75,22.03,-97.64,21.6,-97.52,21.48,-97.18,20.72,-96.46,19.87,-96.29,19.34,-95.78,18.81,-95.92,18.82,-95.63,18.69,-95.7,18.78,-95.18,18.7,-94.8,18.52,-94.55,18.17,-94.46,18.17,-93.55,18.43,-92.89,18.47,-92.71,18.61,-92.44,18.67,-91.98,18.72,-91.88,18.64,-91.91,18.53,-91.53,18.46,-91.27,18.62,-91.34,18.9,-91.45,18.83,-91.44,18.89,-90.74,19.35,-90.69,19.73,-90.49,19.95,-90.49,20.56,-90.35,21.01,-89.82,21.28,-88.88,21.41,-88.47,21.57,-88.01,21.6,-87.25,21.45,-87.19,21.55,-87.39,21.55,-87.13,21.62,-86.82,21.42,-86.77,21.15,-86.92,20.79,-87.42,20.23,-87.46,19.82,-87.69,19.64,-87.64,19.55,-87.43,19.58,-87.48,19.44,-87.66,19.35,-87.66,19.26,-87.5,19.29,-87.8,18.36,-87.88,18.27,-88.04,18.48,-88.01,18.73,-88.07,18.83,-88.3,18.47,-88.52,18.45,-88.81,17.96,-88.9,17.91,-89.14,17.97,-89.16,17.82,-90.99,17.82,-90.99,17.25,-91.41,17.26,-90.71,16.71,-90.63,16.51,-90.42,16.39,-90.45,16.07,-91.74,16.07,-92.21,15.28,-92.08,15.07,-92.23,14.54,-93.17,15.45,-93.92,16.05,-94.37,16.28,-94.43,16.23,-94,16.02,-94.66,16.2,-94.62,16.35,-94.79,16.29,-94.9,16.42,-95.02,16.28,-94.8,16.21,-95.13,16.18,-95.46,15.98,-96.51,15.65,-97.18,15.91,-97.75,15.97,-98.14,16.21,-98.52,16.31,-98.76,16.53,-99.69,16.72,-100.03,16.92,-100.85,17.2,-101.6,17.65,-101.92,17.96,-102.7,18.06,-103.44,18.33,-103.91,18.83,-104.94,19.31,-105.48,19.98,-105.67,20.38,-105.26,20.58,-105.33,20.75,-105.51,20.81,-105.24,21.12,-105.21,21.49,-105.43,21.62,-105.65,21.99,-105.64,22.33,-105.79,22.63,-106.4,23.2,-106.94,23.88,-107.77,24.47,-107.53,24.36,-107.51,24.49,-107.95,24.62,-108.28,25.08,-108.14,25.02,-108.05,25.07,-108.7,25.38,-108.79,25.54,-109.03,25.48,-109.07,25.55,-108.88,25.73,-109.08,25.62,-109.31,25.63,-109.42,26.03,-109.2,26.3,-109.12,26.25,-109.28,26.53,-109.48,26.71,-109.76,26.7,-109.94,27.08,-110.38,27.23,-110.59,27.54,-110.53,27.86,-111.12,27.97,-112.16,29.02,-112.22,29.27,-112.38,29.35,-112.41,29.54,-112.74,29.98,-112.82,30.3,-113.06,30.65,-113.12,31.05,-113.05,31.18,-113.62,31.35,-113.63,31.47,-113.76,31.56,-113.95,31.63,-114,31.52,-114.15,31.51,-114.93,31.9,-114.79,31.65,-114.88,31.16,-114.63,30.51,-114.63,30.16,-114.37,29.83,-113.76,29.37,-113.5,28.93,-113.38,28.95,-113.32,28.81,-113.2,28.8,-113.09,28.51,-112.87,28.42,-112.73,27.83,-112.33,27.52,-112.19,27.19,-112,27.08,-111.86,26.68,-111.7,26.58,-111.82,26.76,-111.79,26.88,-111.57,26.71,-111.33,26.13,-111.29,25.79,-111.15,25.57,-111.03,25.53,-110.89,25.14,-110.69,24.87,-110.74,24.59,-110.66,24.34,-110.37,24.1,-110.26,24.34,-109.81,23.94,-109.68,23.66,-109.42,23.48,-109.5,23.16,-109.82,22.92,-110,22.89,-110.36,23.61,-110.63,23.74,-111.68,24.56,-111.8,24.54,-111.85,24.67,-112.07,24.84,-112.13,25.04,-112.07,25.57,-112.18,25.91,-112.38,26.21,-112.66,26.32,-113.02,26.58,-113.15,26.95,-113.27,26.79,-113.6,26.72,-113.84,26.97,-114.45,27.22,-114.54,27.43,-114.99,27.74,-115.04,27.84,-114.57,27.78,-114.3,27.87,-114.3,27.77,-114.07,27.68,-114.16,27.92,-114.27,27.93,-114.05,28.43,-114.14,28.6,-114.94,29.35,-115.67,29.76,-115.81,29.96,-115.81,30.3,-115.99,30.41,-116.06,30.8,-116.3,30.97,-116.33,31.2,-116.66,31.56,-116.72,31.73,-116.62,31.76,-116.62,31.85,-116.85,32,-117.13,32.53]],[[-86.94,20.3,-86.99,20.27,-87.02,20.38,-86.98,20.49,-86.76,20.58,-86.94,20.3]],[[-106.5,21.61,-106.53,21.53,-106.61,21.56,-106.64,21.7,-106.5,21.61]],[[-110.92,18.74,-110.98,18.72,-111.04,18.83,-110.99,18.86,-110.92,18.74]],[[-110.57,25,-110.54,24.89,-110.59,24.91,-110.7,25.08,-110.57,25]],[[-113.15,29.05,-113.5,29.31,-113.59,29.57,-113.42,29.49,-113.37,29.34,-113.2,29.3,-113.15,29.05]],[[-115.17,28.07,-115.35,28.1,-115.23,28.37,-115.17,28.07]],[[-112.2,29.01,-112.28,28.77,-112.51,28.85,-112.42,29.2,-112.28,29.24,-112.2,29.01]],[[-118.24,28.94,-118.28,28.9,-118.4,29.11,-118.37,29.19,-118.24,28.94]],[[-86.75,21.19,-86.7,21.19,-86.7,21.28,-86.75,21.28,-86.75,21.19]],[[-91.68,18.68,-91.82,18.68,-91.54,18.76,-91.68,18.68]],[[-109.9,24.15,-109.79,24.15,-109.79,24.34,-109.9,24.34,-109.9,24.15]],[[-114.79,31.7,-114.69,31.7,-114.69,31.79,-114.79,31.79,-114.79,31.7]],[[-111.1,26.02,-111.22,25.84,-111.18,26.04,-111.09,26.08,-111.1,26.02]],[[-111.7,24.39,-112.01,24.53,-111.86,24.54,-111.7,24.39]],[[-112.06,24.55,-112.3,24.79,-112.16,25.29,-112.19,24.84,-112.06,24.55]]]],
+    ['MY', 'Asia', [99.65, 0.86, 119.26, 7.35], [[[100.12,6.44,100.18,6.67,100.26,6.68,100.35,6.55,100.76,6.46,100.87,6.25,101.05,6.24,101.08,5.96,100.98,5.77,101.11,5.64,101.26,5.79,101.56,5.91,101.68,5.78,101.79,5.78,102.1,6.24,102.28,6.2,102.53,5.86,103.1,5.41,103.45,4.67,103.36,3.77,103.45,3.52,103.44,2.93,103.81,2.58,104.22,1.72,104.25,1.39,104.11,1.41,103.98,1.62,103.99,1.46,103.69,1.45,103.48,1.33,103.36,1.55,102.73,1.86,101.3,2.89,101.35,3.01,101.3,3.25,100.72,3.97,100.8,4.02,100.62,4.37,100.62,4.65,100.35,5.59,100.34,5.98,100.12,6.44]],[[117.58,4.17,117.1,4.34,115.84,4.33,115.68,4.19,115.57,3.94,115.57,3.45,115.45,3.04,115.25,3.03,115.12,2.89,115.08,2.63,115.18,2.52,114.79,2.25,114.83,1.98,114.51,1.45,114.39,1.5,113.9,1.43,113.62,1.24,113.01,1.43,112.94,1.57,112.48,1.56,112.19,1.44,112.08,1.14,111.81,1.01,111.1,1.05,110.5,0.86,109.73,1.52,109.55,1.85,109.63,2.03,109.86,1.76,110.35,1.72,111.22,1.4,111.03,1.56,111.25,2.06,111.24,2.44,111.44,2.38,111.44,2.63,111.62,2.82,112.99,3.16,113.92,4.24,114.01,4.57,114.17,4.53,114.32,4.26,114.66,4.04,114.84,4.39,114.75,4.72,115.03,4.9,115.11,4.39,115.32,4.36,115.14,4.9,115.38,4.93,115.56,5.09,115.58,5.19,115.47,5.25,115.42,5.41,115.6,5.6,115.74,5.53,115.88,5.61,116.14,6.13,116.5,6.52,116.78,6.99,116.85,6.83,116.79,6.61,116.91,6.66,117.13,6.97,117.25,6.92,117.29,6.68,117.65,6.47,117.64,6,117.5,5.88,118,6.05,118.12,5.86,117.94,5.79,117.97,5.71,118.35,5.81,118.51,5.73,118.59,5.59,119.26,5.37,119.25,5.2,119.13,5.1,118.67,4.96,118.26,4.99,118.18,4.83,118.56,4.5,118.55,4.38,118.01,4.25,117.7,4.34,117.58,4.17]],[[104.22,2.73,104.13,2.77,104.18,2.87,104.22,2.73]],[[100.29,5.3,100.19,5.28,100.24,5.47,100.34,5.41,100.29,5.3]],[[99.85,6.47,99.92,6.36,99.74,6.26,99.65,6.42,99.85,6.47]],[[117.14,7.17,117.08,7.11,117.06,7.26,117.27,7.35,117.27,7.22,117.14,7.17]],[[101.32,2.99,101.27,2.97,101.31,3.07,101.32,2.99]],[[111.39,2.42,111.31,2.44,111.33,2.77,111.39,2.42]],[[117.88,4.19,117.65,4.17,117.71,4.26,117.88,4.19]]]],
+    ['MZ', 'Africa', [30.23, -26.85, 40.84, -10.46], [[[31.29,-22.4,32.43,-21.3,32.36,-21.14,32.48,-20.95,32.49,-20.66,32.67,-20.52,32.99,-19.98,33.01,-19.87,32.78,-19.39,32.85,-19.1,32.7,-18.94,32.72,-18.83,32.88,-18.73,32.99,-18.36,32.97,-17.25,32.88,-16.88,32.95,-16.71,32.24,-16.45,31.94,-16.43,31.69,-16.21,31.24,-16.02,30.41,-15.98,30.38,-15.51,30.23,-14.99,33.2,-14.01,33.64,-14.57,34.37,-14.43,34.5,-14.6,34.55,-15.14,34.25,-15.89,34.4,-16.08,34.44,-16.27,35.08,-16.83,35.09,-17.11,35.27,-17.12,35.28,-16.81,35.17,-16.56,35.36,-16.16,35.75,-16.06,35.89,-14.89,35.85,-14.67,35.25,-13.9,34.91,-13.55,34.66,-13.49,34.56,-13.36,34.36,-12.17,34.62,-11.62,35.56,-11.6,35.79,-11.45,35.91,-11.46,36.3,-11.71,36.68,-11.68,36.98,-11.57,37.37,-11.71,37.73,-11.58,37.92,-11.3,38.18,-11.28,38.49,-11.41,38.8,-11.23,39.32,-11.12,39.99,-10.82,40.46,-10.46,40.61,-10.66,40.49,-10.76,40.6,-10.83,40.4,-11.33,40.53,-12,40.49,-12.49,40.58,-12.64,40.44,-12.98,40.57,-12.98,40.6,-14.12,40.71,-14.21,40.65,-14.54,40.78,-14.42,40.84,-14.72,40.62,-15.11,40.65,-15.26,40.56,-15.47,39.98,-16.23,39.79,-16.3,39.84,-16.44,39.24,-16.79,39.08,-16.97,38.14,-17.24,37.51,-17.57,36.94,-17.99,36.41,-18.77,36.26,-18.72,36.24,-18.86,36.12,-18.84,35.85,-18.99,34.95,-19.81,34.65,-19.7,34.76,-19.82,34.71,-20.47,34.98,-20.81,35.13,-21.4,35.27,-21.65,35.31,-22.4,35.38,-22.45,35.45,-22.12,35.54,-22.3,35.49,-22.66,35.57,-22.96,35.37,-23.8,35.54,-23.82,35.49,-24.07,35.25,-24.43,34.99,-24.65,33.35,-25.26,32.96,-25.49,32.59,-26,32.85,-26.27,32.96,-26.08,32.88,-26.85,32.11,-26.84,32.06,-26.02,31.95,-25.96,31.92,-25.77,31.98,-25.63,31.98,-24.46,31.8,-23.89,31.55,-23.48,31.29,-22.4],[34.64,-12.01,34.54,-12.02,34.62,-12.07,34.64,-12.01],[34.72,-12.11,34.76,-12.03,34.68,-12.01,34.72,-12.11]]]],
+    ['NA', 'Africa', [11.74, -28.94, 25.26, -16.97], [[[23.38,-17.64,24.27,-17.48,24.73,-17.52,25,-17.57,25.26,-17.79,24.91,-17.82,24.53,-18.05,24.36,-17.98,23.65,-18.45,23.22,-18,20.98,-18.32,20.97,-22,19.98,-22,19.98,-28.45,19.54,-28.57,19.16,-28.94,18.1,-28.87,17.45,-28.7,17.35,-28.5,17.36,-28.27,17.06,-28.03,16.88,-28.13,16.76,-28.45,16.45,-28.62,15.72,-27.97,15.29,-27.28,15.13,-26.79,15.14,-26.51,14.97,-26.32,14.84,-25.73,14.84,-25.03,14.5,-24.2,14.4,-22.97,14.52,-22.81,14.46,-22.45,13.45,-20.92,13.17,-20.18,12.46,-18.93,12.04,-18.47,11.78,-18,11.74,-17.25,12.02,-17.17,12.55,-17.21,13.1,-16.97,13.48,-17.04,14.02,-17.41,18.4,-17.4,18.72,-17.7,18.96,-17.8,20.19,-17.86,20.75,-18.02,21.11,-17.96,21.42,-18,23.38,-17.64]]]],
+    ['NC', 'Oceania', [159.93, -22.64, 168.14, -19.11], [[[164.2,-20.25,164.44,-20.28,165.19,-20.77,165.66,-21.27,166.94,-22.09,166.97,-22.32,166.77,-22.38,166.47,-22.26,166.18,-22.09,166.1,-21.96,165.33,-21.58,164.93,-21.29,164.17,-20.48,164.04,-20.17,164.2,-20.25]],[[167.54,-22.62,167.44,-22.64,167.44,-22.54,167.54,-22.62]],[[159.93,-19.33,159.98,-19.33,159.98,-19.11,159.93,-19.11,159.93,-19.33]],[[168.01,-21.43,168.14,-21.45,168.12,-21.62,167.97,-21.64,167.81,-21.39,167.99,-21.34,168.01,-21.43]],[[166.55,-20.7,166.63,-20.42,166.67,-20.45,166.55,-20.7]],[[167.4,-21.16,167.07,-21,167.03,-20.92,167.19,-20.8,167.05,-20.72,167.21,-20.67,167.3,-20.73,167.29,-20.89,167.43,-21.06,167.4,-21.16]]]],
+    ['NE', 'Africa', [0.16, 11.7, 15.96, 23.52], [[[13.61,13.7,13.33,13.67,12.87,13.45,12.46,13.09,12.12,13.09,11.99,13.19,11.41,13.35,10.47,13.33,10.05,13.21,9.62,12.81,8.75,12.91,8.09,13.29,7.83,13.34,7.36,13.11,6.94,13.01,6.3,13.66,5.49,13.87,5.24,13.76,4.66,13.73,4.15,13.46,4.04,12.93,3.65,12.53,3.66,11.76,3.59,11.7,2.81,12.38,2.37,12.22,2.39,11.9,2.07,12.31,2.07,12.38,2.23,12.47,2.1,12.7,1.56,12.64,1.01,13.02,0.99,13.36,1.2,13.36,0.9,13.61,0.62,13.7,0.37,14.08,0.38,14.25,0.16,14.5,0.23,14.96,0.95,14.98,1.3,15.27,3,15.34,3.06,15.43,3.5,15.36,3.52,15.48,3.88,15.75,4.18,16.58,4.23,19.14,5.84,19.48,7.48,20.87,11.97,23.52,13.48,23.18,14.21,22.62,14.98,23,15.18,21.52,15.61,20.95,15.54,20.87,15.59,20.73,15.96,20.35,15.73,19.9,15.47,16.91,14.37,15.75,13.45,14.38,13.61,13.7]]]],
+    ['NF', 'Oceania', [167.91, -29.1, 167.99, -29.01], [[[167.91,-29.1,167.99,-29.1,167.99,-29.01,167.91,-29.01,167.91,-29.1]]]],
+    ['NG', 'Africa', [2.69, 4.28, 14.62, 13.87], [[[7.3,4.42,7.14,4.39,7.23,4.53,7.33,4.49,7.3,4.42]],[[13.61,13.7,14.06,13.08,14.2,12.38,14.52,12.3,14.62,12.15,14.57,11.53,14.2,11.27,13.98,11.21,13.7,10.87,13.53,10.61,13.42,10.17,13.27,10.04,13.2,9.56,12.93,9.43,12.73,8.74,12.4,8.6,12.02,7.59,11.77,7.27,11.86,7.12,11.58,6.89,11.55,6.7,11.4,6.53,11.11,6.46,11.01,6.74,10.61,7.06,10.41,6.88,10.2,6.89,10.14,7,9.78,6.76,9.66,6.53,9.06,6.01,8.93,5.78,8.8,5.2,8.56,4.76,8.43,4.75,8.24,4.91,8.33,4.66,8.29,4.56,7.64,4.52,7.53,4.65,7.46,4.56,7.28,4.55,7.08,4.72,7.16,4.51,6.92,4.39,6.77,4.72,6.86,4.37,6.63,4.34,6.58,4.48,6.55,4.34,6.26,4.31,6.27,4.43,6.17,4.28,5.97,4.34,5.59,4.65,5.38,5.13,5.48,5.15,5.37,5.26,5.55,5.47,5.39,5.4,5.2,5.53,5.46,5.61,5.35,5.62,5.33,5.71,5.17,5.6,5.11,5.64,5.09,5.77,4.86,6.03,4.43,6.35,3.49,6.41,3.72,6.6,3.43,6.52,3.34,6.4,2.71,6.37,2.77,6.71,2.72,6.98,2.78,7.48,2.69,7.87,2.77,9.05,3.04,9.08,3.14,9.45,3.33,9.67,3.32,9.78,3.6,10.01,3.61,10.35,3.79,10.44,3.84,10.61,3.72,11.08,3.49,11.4,3.66,11.76,3.65,12.53,4.04,12.93,4.15,13.46,4.42,13.65,4.82,13.76,5.24,13.76,5.49,13.87,6.3,13.66,6.94,13.01,7.36,13.11,7.83,13.34,8.09,13.29,8.75,12.91,9.62,12.81,10.05,13.21,10.47,13.33,11.41,13.35,11.99,13.19,12.12,13.09,12.46,13.09,12.87,13.45,13.33,13.67,13.61,13.7]]]],
+    ['NI', 'Americas', [-87.67, 10.78, -83.16, 14.99], [[[-83.16,14.99,-83.28,14.81,-83.34,14.9,-83.41,14.83,-83.3,14.75,-83.19,14.34,-83.41,14,-83.57,13.32,-83.51,12.41,-83.63,12.46,-83.59,12.71,-83.75,12.5,-83.65,12.29,-83.68,12.02,-83.77,12.06,-83.83,11.86,-83.71,11.82,-83.65,11.64,-83.87,11.3,-83.77,11.01,-83.64,10.92,-83.71,10.79,-84.17,10.78,-84.35,10.98,-84.7,11.05,-84.91,10.95,-85.59,11.19,-85.74,11.06,-86.47,11.74,-86.76,12.16,-87.67,12.9,-87.58,13.04,-87.39,12.92,-86.96,13.05,-86.92,13.22,-86.71,13.31,-86.73,13.76,-86.33,13.77,-86.04,14.05,-85.73,13.86,-85.68,13.98,-85.18,14.34,-85.16,14.53,-84.86,14.81,-84.54,14.63,-83.87,14.79,-83.54,14.98,-83.16,14.99]]]],
+    ['NL', 'Europe', [-68.37, 12.03, 7.2, 53.63], [[[5.99,50.75,5.75,50.76,5.64,50.84,5.75,50.95,5.8,51.15,5.48,51.29,5.21,51.28,5.03,51.47,4.85,51.4,4.76,51.49,4.64,51.42,4.5,51.47,4.37,51.36,3.59,51.45,3.45,51.54,3.74,51.6,4.28,51.47,4.01,51.6,4.18,51.61,3.95,51.81,4.48,52.31,4.77,52.94,5.06,52.96,5.53,53.27,5.87,53.38,6.82,53.44,7.2,53.28,7.19,53,7.03,52.65,6.75,52.63,6.69,52.53,7,52.42,7.02,52.27,6.72,52.08,6.8,51.98,6.74,51.91,5.95,51.8,6.2,51.45,6.08,51.22,6.13,51.15,5.86,51.03,6.05,50.91,5.99,50.75]],[[4.22,51.39,3.9,51.21,3.58,51.29,3.43,51.25,3.35,51.38,4.22,51.39]],[[6.16,53.48,6.33,53.48,6.33,53.51,6.16,53.51,6.16,53.48]],[[5.65,53.44,5.93,53.44,5.93,53.47,5.65,53.47,5.65,53.44]],[[4.91,53.24,5.11,53.24,5.11,53.31,4.91,53.31,4.91,53.24]],[[5.19,53.38,5.58,53.38,5.58,53.44,5.19,53.44,5.19,53.38]],[[4.89,53.07,4.79,53,4.71,53.04,4.89,53.18,4.89,53.07]],[[3.95,51.74,4.07,51.65,3.95,51.63,3.7,51.71,3.95,51.74]],[[6.64,53.58,6.8,53.58,6.8,53.63,6.64,53.63,6.64,53.58]],[[-68.2,12.14,-68.25,12.03,-68.37,12.3,-68.22,12.23,-68.2,12.14]],[[-63,17.48,-62.94,17.48,-62.94,17.53,-63,17.53,-63,17.48]],[[-63.25,17.62,-63.23,17.62,-63.23,17.65,-63.25,17.65,-63.25,17.62]]]],
+    ['NO', 'Europe', [-9.1, 58.02, 33.63, 80.47], [[[20.62,69.04,20.12,69.02,20.35,68.85,20.24,68.67,19.97,68.54,20.24,68.48,19.97,68.36,18.3,68.56,18.16,68.53,18.18,68.2,17.92,67.97,17.33,68.1,16.79,67.9,16.59,67.63,16.13,67.43,16.44,67.15,16.4,67.06,15.42,66.49,15.49,66.31,15.04,66.17,14.54,66.13,14.64,65.79,14.48,65.3,13.65,64.58,14.08,64.46,14.15,64.26,14.06,64.1,13.96,64.01,13.2,64.07,12.79,64,12.17,63.6,12.21,63.49,12,63.29,12.22,63,12.11,62.92,12.12,62.59,12.3,62.28,12.16,61.72,12.88,61.35,12.71,61.06,12.3,61,12.59,60.45,12.49,60.11,11.93,59.86,11.68,59.59,11.8,59.29,11.64,58.93,11.47,58.91,11.37,59.1,10.83,59.18,10.64,59.39,10.6,59.76,10.57,59.59,10.4,59.52,10.43,59.28,10.18,59.01,9.84,58.96,9.56,59.11,9.7,59.01,9.66,58.97,9.31,58.86,9.39,58.81,9.32,58.75,8.17,58.14,7.46,58.02,7,58.02,6.88,58.15,6.73,58.07,6.59,58.1,6.66,58.26,6.05,58.38,5.71,58.52,5.52,58.73,5.61,59.01,6.1,58.87,6.36,59,6.1,58.95,5.89,59.1,5.95,59.3,6.4,59.56,5.36,59.17,5.17,59.16,5.19,59.45,5.3,59.64,5.47,59.71,5.77,59.66,6.22,59.82,5.83,59.8,5.73,59.86,6.07,60.08,6.14,60.23,6.52,60.41,6.57,60.36,6.53,60.15,6.72,60.42,7,60.51,6.15,60.35,5.88,60.07,5.15,59.64,5.12,59.83,5.21,60.09,5.69,60.12,5.29,60.21,5.14,60.44,5.65,60.69,5.24,60.57,5.12,60.64,5.01,61.04,6.78,61.14,7.04,60.95,7.04,61.09,7.61,61.21,7.4,61.22,7.35,61.3,7.44,61.43,7.33,61.37,7.28,61.18,7.17,61.17,6.66,61.21,6.6,61.29,6.38,61.13,5.33,61.11,5.11,61.19,5.02,61.25,5,61.43,5.34,61.48,4.93,61.71,4.93,61.88,5.47,61.9,6.02,61.79,6.73,61.87,5.27,61.94,5.1,62.03,5.14,62.16,5.36,62.15,5.54,62.31,5.91,62.42,6.08,62.35,6.58,62.41,6.69,62.47,6.14,62.41,6.35,62.61,6.96,62.63,7.49,62.54,7.69,62.59,7.53,62.61,7.54,62.67,8.09,62.73,6.73,62.72,6.94,62.93,7.57,63.1,8.1,63.09,8.62,62.85,8.16,63.16,8.27,63.29,8.63,63.34,8.6,63.43,8.36,63.5,8.67,63.62,9.14,63.59,9.08,63.5,9.16,63.46,9.32,63.57,9.7,63.63,10.02,63.39,10.76,63.46,10.67,63.56,10.73,63.63,11.37,63.81,11.18,63.9,11.43,64.02,11.08,63.99,10.91,63.92,11.05,63.85,10.94,63.77,10.06,63.51,9.92,63.52,9.77,63.7,9.6,63.68,9.61,63.8,10.56,64.42,11.53,64.74,11.63,64.81,11.56,64.82,11.3,64.76,11.35,64.91,11.49,64.98,12.16,65.18,12.31,65.09,12.74,65.21,12.92,65.34,12.42,65.18,12.13,65.28,12.12,65.36,12.69,65.9,13.03,65.96,12.79,66.1,13.67,66.18,14.03,66.3,13.12,66.23,13.07,66.43,13.21,66.64,13.62,66.8,13.96,66.8,13.65,66.91,14.11,67.12,15.42,67.2,14.44,67.27,14.96,67.57,15.41,67.47,15.59,67.35,15.58,67.44,15.69,67.52,15.25,67.6,15.31,67.77,14.86,67.66,14.78,67.68,14.8,67.81,15.13,67.97,15.62,67.95,15.32,68.07,16.01,68.23,16.31,67.88,16.26,68,16.39,68.09,16.26,68.14,16.21,68.32,16.39,68.39,16.95,68.35,17.55,68.43,17.43,68.48,16.58,68.47,16.52,68.53,17.39,68.8,17.7,69.1,18.1,69.16,18.08,69.32,18.26,69.47,18.86,69.31,18.92,69.33,18.61,69.49,18.99,69.56,19.2,69.75,19.69,69.81,19.64,69.42,19.96,69.82,20.32,69.95,20.39,69.87,20.34,69.62,20.04,69.36,20.11,69.34,20.49,69.54,20.74,69.52,20.53,69.69,20.62,69.91,21.16,69.89,21.25,70,21.43,70.01,21.98,69.83,21.8,70.07,21.36,70.23,22.32,70.27,22.69,70.37,22.94,70.31,23.05,70.1,23.36,69.98,23.4,70.02,23.29,70.11,23.38,70.25,24.42,70.7,24.26,70.83,24.66,71,25.26,70.84,25.44,70.91,25.77,70.85,25.27,70.55,25.15,70.32,24.99,70.22,25.04,70.11,25.21,70.14,26.51,70.91,26.66,70.94,26.74,70.85,26.56,70.67,26.65,70.64,26.58,70.41,26.99,70.51,27.18,70.74,27.55,70.8,27.24,70.95,27.6,71.09,28.39,70.98,28.33,70.82,27.9,70.68,28.27,70.67,28.2,70.58,28.19,70.25,28.61,70.76,28.83,70.86,29.1,70.86,29.74,70.65,30.07,70.7,30.24,70.62,30.21,70.54,30.59,70.52,30.93,70.4,30.94,70.27,30.26,70.12,28.78,70.15,29.6,69.98,29.64,69.78,29.79,69.73,30.09,69.72,30.24,69.86,30.43,69.72,30.48,69.79,30.87,69.78,30.9,69.56,30.62,69.53,30.16,69.63,30.19,69.54,30.09,69.43,29.39,69.3,29.17,69.07,28.96,69.02,28.85,69.18,29.33,69.47,29.14,69.67,28.41,69.82,27.75,70.06,27.13,69.91,26.53,69.91,26.07,69.69,25.77,69.28,25.75,68.99,25.25,68.82,24.94,68.59,24,68.8,23.32,68.65,22.41,68.72,21.59,69.27,21.07,69.21,21.13,69.08,21.07,69.04,20.62,69.04]],[[4.96,61.09,4.8,61.08,4.83,61.18,4.92,61.2,4.96,61.09]],[[5.09,60.31,5.09,60.19,4.96,60.24,4.96,60.45,5.09,60.31]],[[29.96,69.8,29.75,69.79,29.84,69.91,30.05,69.84,29.96,69.8]],[[11.97,65.63,11.77,65.63,11.87,65.71,12,65.68,11.97,65.63]],[[8.47,63.67,8.29,63.69,8.81,63.77,8.79,63.7,8.47,63.67]],[[8.1,63.34,7.8,63.41,8.07,63.47,8.14,63.43,8.1,63.34]],[[23.44,70.82,22.83,70.54,22.36,70.52,21.99,70.66,22.96,70.71,23.2,70.82,23.44,70.82]],[[25.59,71.14,26.15,71.04,25.58,70.96,25.31,71.05,25.59,71.14]],[[23.61,70.55,23.64,70.46,23.27,70.3,22.92,70.39,23.02,70.49,23.55,70.62,23.61,70.55]],[[24.02,70.57,23.83,70.53,23.67,70.6,23.66,70.68,23.78,70.75,23.96,70.7,24.08,70.65,24.02,70.57]],[[13.87,68.27,14.12,68.25,14.03,68.19,13.23,67.99,13.2,68.09,13.3,68.16,13.87,68.27]],[[12.97,67.87,12.83,67.82,12.96,68.02,13.12,68.05,12.97,67.87]],[[15.21,68.94,15.4,68.78,15.22,68.62,14.52,68.63,14.37,68.71,14.55,68.82,14.8,68.79,14.87,68.91,15.04,68.89,15.04,69,15.21,68.94]],[[19.77,70.22,20.09,70.1,19.78,70.08,19.6,70.27,19.77,70.22]],[[20.78,70.09,20.46,70.08,20.41,70.15,20.78,70.22,20.78,70.09]],[[19.25,70.07,19.61,70.02,19.59,69.97,19.33,69.82,19.01,69.76,18.78,69.58,18.28,69.54,18.06,69.6,18.23,69.64,18.35,69.77,18.68,69.78,18.69,69.89,19.05,70.04,19.13,70.24,19.21,70.25,19.25,70.07]],[[12.51,65.9,12.43,65.94,12.55,66,12.78,65.99,12.51,65.9]],[[12.42,66.04,12.33,66.04,12.46,66.19,12.62,66.18,12.58,66.07,12.42,66.04]],[[11.23,64.87,10.74,64.87,11.02,64.98,11.13,64.98,11.23,64.87]],[[17.5,69.6,18.01,69.5,18.08,69.4,17.94,69.33,17.95,69.2,17.49,69.2,17.08,69.01,16.81,69.07,16.97,69.14,17,69.36,17.36,69.38,17.37,69.44,17.23,69.48,17.5,69.6]],[[15.76,68.56,16.06,68.68,16.15,68.84,16.33,68.88,16.48,68.8,16.52,68.63,15.98,68.4,15.44,68.31,15.28,68.37,14.63,68.2,14.26,68.19,14.26,68.26,14.59,68.4,15.1,68.44,15.41,68.62,15.56,68.87,15.44,68.92,15.48,69.04,15.96,69.3,16.13,69.27,16.12,69.22,15.81,69.02,15.93,68.73,15.76,68.56]],[[-8.96,70.84,-9.1,70.86,-8.34,71.14,-8,71.18,-7.98,71.12,-8,71.04,-8.96,70.84]],[[19.22,74.39,19.1,74.35,18.8,74.49,19.18,74.52,19.28,74.46,19.22,74.39]],[[26.88,78.65,26.41,78.78,26.58,78.81,27.01,78.7,26.88,78.65]],[[32.52,80.12,31.48,80.11,33.63,80.22,32.52,80.12]],[[21.61,78.6,22.04,78.58,22.3,78.23,22.99,78.25,23.45,78.15,23.15,78.09,23.12,77.99,23.68,77.88,24.24,77.9,24.9,77.76,24.13,77.66,23.74,77.46,22.8,77.28,22.43,77.32,22.49,77.36,22.44,77.43,22.69,77.55,20.93,77.46,20.87,77.57,21.2,77.62,21.34,77.77,21.65,77.92,21.04,78.06,20.78,78.25,20.53,78.33,20.56,78.42,20.23,78.48,21.61,78.6]],[[20.9,80.25,21.55,80.24,22.29,80.05,22.44,80.19,22.45,80.4,23.01,80.47,23.32,80.42,23.11,80.19,23.69,80.21,24.4,80.36,25.84,80.17,26.86,80.16,27.15,80.06,27.2,79.91,26,79.62,25.64,79.4,24.75,79.36,23.95,79.19,22.91,79.23,22.7,79.33,22.87,79.41,20.86,79.4,19.9,79.53,19.68,79.59,19.75,79.62,20.49,79.63,20.78,79.75,18.94,79.74,18.33,79.86,18.25,79.93,18.86,80.04,17.92,80.14,18.78,80.19,19.34,80.12,19.54,80.16,19.36,80.18,19.18,80.33,19.75,80.23,19.81,80.33,19.61,80.46,20.36,80.4,20.9,80.25]],[[16.79,79.91,17.22,79.94,17.83,79.8,17.96,79.7,17.69,79.53,17.74,79.48,17.67,79.39,18.4,79.61,18.82,79.43,18.81,79.3,18.68,79.26,19.09,79.16,19.75,79.15,19.89,79.06,20.16,79.15,20.61,79.11,20.77,79.06,20.5,78.98,21.39,78.74,19.68,78.61,19.15,78.38,18.96,78.18,19,78.08,18.44,78.03,18.36,77.68,18.23,77.52,17.85,77.5,17.15,77.05,17.25,76.97,16.98,76.81,17.06,76.66,16.7,76.58,15.55,76.89,15.13,77.08,14.37,77.23,14.05,77.4,14,77.51,14.38,77.58,14.69,77.53,14.92,77.69,17.03,77.8,16.91,77.9,14.09,77.77,13.79,77.85,13.68,78.03,13.94,78.09,14.31,78,14.25,78.07,15.7,78.23,15.66,78.3,15.78,78.33,17,78.37,17.17,78.42,16.81,78.4,16.45,78.5,16.78,78.66,15.94,78.49,15.42,78.47,15.26,78.59,15.38,78.77,15.02,78.63,14.69,78.72,14.47,78.67,14.52,78.58,14.43,78.49,14.64,78.41,14.11,78.27,13.15,78.24,12.26,78.59,11.86,78.67,11.75,78.77,11.86,78.83,11.37,78.95,12.4,78.95,11.98,79.03,11.89,79.15,12.08,79.27,11.98,79.29,11.58,79.28,11.62,79.21,11.52,79.15,11.21,79.13,10.74,79.52,10.81,79.64,10.68,79.76,10.87,79.8,11.15,79.72,11.7,79.82,12.29,79.71,12.22,79.8,12.28,79.82,12.75,79.78,13.69,79.86,13.92,79.82,13.78,79.71,13.04,79.68,12.56,79.57,13.33,79.58,13.38,79.48,13.96,79.34,14.06,79.38,14.04,79.59,14.59,79.8,15.05,79.67,15.76,79.17,16.34,78.98,15.87,79.52,15.83,79.71,16.1,79.88,16.09,80.01,16.25,80.05,16.79,79.91]],[[11.25,78.61,11.26,78.54,11.82,78.44,12.12,78.23,11.12,78.46,10.63,78.75,10.56,78.9,10.96,78.85,11.25,78.61]],[[18.74,80.3,18.52,80.25,18.16,80.29,18.29,80.36,18.74,80.3]],[[29.05,78.91,29.64,78.92,29.31,78.85,27.89,78.85,28.51,78.97,29.05,78.91]]]],
+    ['NP', 'Asia', [80.05, 26.36, 88.16, 30.36], [[[88.11,27.87,88.15,27.75,87.98,27.13,88.16,26.81,88.06,26.43,87.41,26.42,87.29,26.36,87.09,26.43,87.01,26.56,86.7,26.43,86.01,26.65,85.79,26.6,85.65,26.83,85.19,26.77,85.12,26.86,84.69,27.04,84.61,27.3,84.09,27.49,83.83,27.38,83.45,27.47,83.29,27.37,82.73,27.52,82.68,27.67,82.45,27.67,81.99,27.91,81.85,27.87,81.31,28.18,81.17,28.34,80.59,28.65,80.42,28.61,80.05,28.87,80.23,29.19,80.32,29.57,80.61,29.96,80.91,30.17,81.18,30.04,81.42,30.34,81.86,30.36,82.04,30.33,82.22,30.06,82.85,29.68,83.16,29.61,83.58,29.18,83.94,29.28,84.1,29.22,84.23,28.91,84.8,28.56,85.16,28.59,85.12,28.32,85.68,28.28,86,27.91,86.14,28.12,86.41,27.93,86.62,28.1,87.14,27.84,88.11,27.87]]]],
+    ['NR', 'Oceania', [166.91, -0.55, 166.96, -0.49], [[[166.91,-0.55,166.96,-0.55,166.96,-0.49,166.91,-0.49,166.91,-0.55]]]],
+    ['NU', 'Oceania', [-169.95, -19.14, -169.8, -18.97], [[[-169.8,-19.08,-169.91,-19.14,-169.95,-19.07,-169.83,-18.97,-169.8,-19.08]]]],
+    ['NZ', 'Oceania', [-176.85, -52.57, 178.53, -8.55], [[[173.12,-41.28,173.23,-41.29,173.95,-40.92,173.8,-41.27,174.02,-41.07,174,-40.99,174.3,-41.02,174.04,-41.24,174.37,-41.1,174.3,-41.26,174.07,-41.43,174.16,-41.56,174.09,-41.67,174.28,-41.74,173.55,-42.52,173.22,-42.98,172.62,-43.27,172.74,-43.35,172.53,-43.47,172.69,-43.44,172.81,-43.62,173.07,-43.68,173.07,-43.88,172.5,-43.84,172.58,-43.77,172.48,-43.73,172.3,-43.87,172.04,-43.7,172.18,-43.9,171.24,-44.26,171.31,-44.3,171.15,-44.91,171,-44.91,171.13,-44.98,171.11,-45.04,170.94,-45.22,170.7,-45.68,170.78,-45.87,170.33,-45.99,169.69,-46.55,169.1,-46.63,168.77,-46.57,168.38,-46.61,168.23,-46.39,167.84,-46.37,167.54,-46.15,167.37,-46.24,166.83,-46.23,166.71,-46.13,166.92,-45.96,166.73,-46.05,166.65,-46.04,166.72,-45.89,166.49,-45.96,166.51,-45.81,167,-45.71,166.8,-45.65,166.99,-45.53,166.73,-45.54,166.78,-45.41,166.92,-45.41,166.87,-45.31,167.16,-45.41,167.12,-45.32,167.23,-45.29,167.03,-45.22,167.03,-45.12,167.13,-45.05,167.26,-45.08,167.17,-45,167.41,-44.83,167.46,-44.96,167.46,-44.8,167.7,-44.64,167.79,-44.6,167.91,-44.67,167.86,-44.5,168.37,-44.08,169.07,-43.86,169.18,-43.91,169.17,-43.78,169.83,-43.54,169.83,-43.46,169.91,-43.45,169.86,-43.43,170.24,-43.16,170.4,-43.18,170.3,-43.11,170.46,-43.04,170.61,-43.09,170.52,-43.01,170.67,-42.96,170.73,-43.03,170.74,-42.93,170.97,-42.72,171.04,-42.86,171.03,-42.7,171.31,-42.46,171.25,-42.4,171.49,-41.8,171.73,-41.72,171.95,-41.54,172.14,-40.95,172.27,-40.76,172.64,-40.52,172.94,-40.52,172.73,-40.54,172.7,-40.67,172.77,-40.77,172.99,-40.85,173.12,-41.28]],[[173.92,-40.86,173.78,-40.92,173.81,-40.79,173.96,-40.71,173.92,-40.86]],[[166.74,-45.66,166.73,-45.73,166.53,-45.7,166.69,-45.61,166.74,-45.66]],[[166.98,-45.18,167.02,-45.3,166.89,-45.24,166.98,-45.18]],[[168.15,-46.86,168.04,-46.93,168.24,-46.98,168.24,-47.07,167.52,-47.26,167.8,-46.91,167.79,-46.7,167.95,-46.69,168.15,-46.86]],[[175.54,-36.28,175.55,-36.33,175.47,-36.31,175.35,-36.22,175.39,-36.08,175.54,-36.28]],[[173.27,-34.93,173.45,-34.84,173.47,-34.95,174.1,-35.14,174.14,-35.3,174.32,-35.25,174.54,-35.58,174.58,-35.79,174.39,-35.8,174.8,-36.31,174.75,-36.49,174.82,-36.61,174.72,-36.84,175.3,-36.99,175.38,-37.21,175.54,-37.2,175.49,-36.69,175.38,-36.56,175.46,-36.48,175.68,-36.75,175.77,-36.73,175.99,-37.44,176.12,-37.54,176.04,-37.6,176.11,-37.64,177.27,-37.99,177.56,-37.9,177.73,-37.71,178.01,-37.55,178.27,-37.57,178.53,-37.69,178.39,-37.96,178.27,-38.55,177.98,-38.72,177.91,-39.24,177.79,-39.11,177.52,-39.07,177.08,-39.22,176.95,-39.37,176.94,-39.56,177.11,-39.67,176.84,-40.16,175.98,-41.21,175.31,-41.61,175.17,-41.42,174.88,-41.42,174.87,-41.22,174.76,-41.32,174.64,-41.29,175.16,-40.62,175.26,-40.29,175.21,-40.2,175.01,-39.95,173.93,-39.51,173.76,-39.32,173.84,-39.14,174.57,-38.84,174.72,-38.23,174.84,-38.02,174.8,-37.9,174.93,-37.8,174.73,-37.45,174.77,-37.34,174.59,-37.1,174.66,-37.09,174.73,-37.22,174.93,-37.09,174.78,-36.94,174.47,-36.94,174.19,-36.49,174.4,-36.6,174.46,-36.51,174.36,-36.38,174.39,-36.24,174.27,-36.16,174.25,-36.25,174.03,-36.12,173.92,-35.91,173.92,-36.02,174.17,-36.33,174.1,-36.39,173.41,-35.54,173.63,-35.32,173.38,-35.5,173.12,-35.21,173.19,-35.02,172.71,-34.46,173.04,-34.43,172.97,-34.54,173.27,-34.93]],[[169.18,-52.5,169.23,-52.55,169.13,-52.57,169.02,-52.5,169.18,-52.5]],[[166.22,-50.76,166.24,-50.85,165.89,-50.81,166.08,-50.68,166.1,-50.54,166.27,-50.56,166.18,-50.71,166.22,-50.76]],[[-176.18,-43.74,-176.38,-43.87,-176.41,-43.76,-176.5,-43.77,-176.34,-44.05,-176.52,-44.12,-176.63,-44.04,-176.55,-43.85,-176.85,-43.82,-176.57,-43.72,-176.18,-43.74]],[[-176.18,-44.32,-176.23,-44.24,-176.12,-44.27,-176.18,-44.32]],[[-172.5,-8.58,-172.48,-8.58,-172.48,-8.55,-172.5,-8.55,-172.5,-8.58]],[[-171.21,-9.36,-171.19,-9.36,-171.19,-9.33,-171.21,-9.33,-171.21,-9.36]]]],
+    ['OM', 'Asia', [51.98, 16.65, 59.82, 26.36], [[[58.72,20.22,58.64,20.21,58.64,20.34,58.88,20.68,58.95,20.52,58.72,20.22]],[[53.08,16.65,51.98,19,54.98,20,55.64,22,55.19,22.7,55.2,23.03,55.51,23.72,55.47,23.94,55.99,24.06,55.93,24.21,55.76,24.24,55.8,24.87,56,24.95,55.97,24.86,56.07,24.74,56.39,24.98,56.64,24.47,57.12,23.98,58.33,23.62,58.58,23.64,58.77,23.52,59.43,22.66,59.82,22.51,59.8,22.22,59.37,21.5,58.89,21.11,58.47,20.41,58.21,20.42,58.25,20.6,58.17,20.59,57.86,20.24,57.71,19.68,57.81,19.02,57.18,18.9,56.82,18.75,56.66,18.59,56.55,18.17,56.38,17.99,55.48,17.84,55.26,17.59,55.28,17.32,55.06,17.04,54.77,16.96,54.57,17.03,54.07,17,53.61,16.76,53.08,16.65]],[[56.3,25.65,56.14,25.69,56.17,26.05,56.08,26.06,56.38,26.36,56.42,26.11,56.3,25.65]],[[56.28,25.24,56.21,25.21,56.23,25.3,56.28,25.24]]]],
+    ['PA', 'Americas', [-83.03, 7.23, -77.2, 9.6], [[[-77.37,8.66,-77.48,8.5,-77.2,7.97,-77.34,7.84,-77.35,7.71,-77.54,7.57,-77.76,7.7,-77.74,7.54,-77.9,7.23,-78.17,7.54,-78.42,8.06,-78.29,8.09,-78.28,8.25,-78.14,8.39,-77.76,8.13,-78.01,8.32,-78.1,8.5,-78.22,8.4,-78.4,8.51,-78.41,8.36,-78.51,8.63,-79.09,9,-79.51,8.97,-79.69,8.85,-79.81,8.64,-79.75,8.6,-80.46,8.21,-80.46,8.08,-80.07,7.67,-80.01,7.5,-80.67,7.23,-80.9,7.28,-81.06,7.9,-81.27,7.63,-81.5,7.72,-81.73,8.14,-82.16,8.19,-82.23,8.31,-82.68,8.32,-82.87,8.25,-82.88,8.07,-83.03,8.34,-82.86,8.45,-82.92,8.74,-82.73,8.92,-82.94,9.06,-82.94,9.45,-82.8,9.59,-82.64,9.51,-82.57,9.58,-82.37,9.43,-82.34,9.21,-82.19,9.19,-82.24,9.03,-82.08,8.93,-81.78,8.96,-81.9,9.14,-81.55,8.83,-81.36,8.78,-80.84,8.89,-80.55,9.08,-80.13,9.21,-79.58,9.6,-79.11,9.54,-78.93,9.43,-78.5,9.41,-78.08,9.24,-77.37,8.66]],[[-78.9,8.27,-78.96,8.44,-78.88,8.46,-78.84,8.35,-78.9,8.27]],[[-81.6,7.33,-81.85,7.45,-81.81,7.59,-81.73,7.62,-81.6,7.33]],[[-82.32,9.33,-82.23,9.33,-82.23,9.43,-82.32,9.43,-82.32,9.33]],[[-79.13,8.21,-79.07,8.21,-79.07,8.3,-79.13,8.3,-79.13,8.21]]]],
+    ['PE', 'Americas', [-81.34, -18.35, -68.69, -0.04], [[[-69.96,-4.24,-70.05,-4.33,-70.24,-4.3,-70.4,-4.15,-70.8,-4.17,-70.97,-4.35,-71.84,-4.5,-72.89,-5.12,-72.98,-5.63,-73.24,-6.1,-73.14,-6.47,-73.76,-6.91,-73.81,-7.08,-73.72,-7.31,-73.96,-7.38,-74,-7.56,-73.72,-7.78,-73.78,-7.94,-73.64,-8.07,-73.55,-8.35,-73.36,-8.48,-73.3,-8.65,-72.97,-8.99,-72.97,-9.12,-73.21,-9.41,-72.38,-9.51,-72.17,-9.84,-72.18,-10,-71.24,-9.97,-70.54,-9.44,-70.64,-9.82,-70.64,-11.01,-70.53,-10.95,-70.29,-11.06,-69.96,-10.93,-69.58,-10.95,-68.69,-12.5,-68.76,-12.69,-68.98,-12.88,-68.98,-13.5,-69.08,-13.68,-68.87,-14.17,-69.36,-14.8,-69.37,-14.96,-69.17,-15.24,-69.42,-15.64,-69.22,-16.15,-68.84,-16.34,-69.03,-16.48,-69.02,-16.64,-69.63,-17.2,-69.51,-17.51,-69.85,-17.7,-69.8,-17.99,-69.93,-18.21,-70.42,-18.35,-71.34,-17.68,-71.4,-17.42,-71.53,-17.3,-72.11,-17,-72.47,-16.71,-73.73,-16.2,-75.11,-15.41,-75.53,-14.9,-75.93,-14.63,-76.29,-14.13,-76.38,-13.86,-76.26,-13.8,-76.18,-13.52,-76.23,-13.37,-76.83,-12.35,-77.15,-12.06,-77.22,-11.66,-77.63,-11.29,-77.74,-10.84,-78.19,-10.09,-78.76,-8.62,-79.01,-8.21,-79.38,-7.84,-79.62,-7.3,-79.99,-6.77,-81.14,-6.06,-81.16,-5.88,-81.09,-5.81,-80.93,-5.84,-80.88,-5.63,-81.17,-5.17,-81.11,-5.03,-81.34,-4.67,-81.23,-4.23,-80.8,-3.73,-80.33,-3.39,-80.18,-3.88,-80.3,-4,-80.49,-4.01,-80.49,-4.17,-80.35,-4.21,-80.48,-4.43,-80.38,-4.46,-80.14,-4.3,-79.8,-4.48,-79.64,-4.46,-79.52,-4.54,-79.33,-4.93,-79.03,-4.97,-78.92,-4.86,-78.91,-4.71,-78.69,-4.56,-78.68,-4.33,-78.42,-3.78,-78.35,-3.4,-78.16,-3.46,-78.18,-3.35,-77.86,-2.98,-76.68,-2.56,-76.09,-2.13,-75.57,-1.53,-75.41,-0.92,-75.25,-0.95,-75.26,-0.59,-75.63,-0.12,-75.34,-0.14,-75.22,-0.04,-74.8,-0.2,-74.62,-0.37,-74.42,-0.58,-74.25,-0.97,-73.67,-1.25,-73.52,-1.45,-73.5,-1.69,-73.2,-1.83,-73.15,-2.28,-72.94,-2.39,-72.22,-2.4,-71.75,-2.15,-71.4,-2.33,-70.97,-2.21,-70.09,-2.66,-70.07,-2.75,-70.74,-3.78,-70.53,-3.87,-70.34,-3.82,-69.96,-4.24]]]],
+    ['PF', 'Oceania', [-151.51, -20.88, -136.3, -8.8], [[[-151.51,-16.67,-151.44,-16.67,-151.44,-16.57,-151.51,-16.57,-151.51,-16.67]],[[-149.81,-17.55,-149.89,-17.55,-149.9,-17.47,-149.78,-17.49,-149.81,-17.55]],[[-151.41,-16.88,-151.48,-16.86,-151.47,-16.74,-151.41,-16.88]],[[-149.32,-17.69,-149.18,-17.74,-149.18,-17.86,-149.34,-17.73,-149.58,-17.73,-149.63,-17.56,-149.38,-17.52,-149.32,-17.69]],[[-139.02,-9.69,-138.83,-9.74,-139.07,-9.85,-139.16,-9.77,-139.02,-9.69]],[[-139.06,-9.93,-139.13,-10.01,-139.14,-9.93,-139.06,-9.93]],[[-138.69,-10.53,-138.62,-10.53,-138.62,-10.43,-138.69,-10.43,-138.69,-10.53]],[[-140.07,-8.91,-140.22,-8.93,-140.24,-8.8,-140.06,-8.8,-140.07,-8.91]],[[-140.08,-9.43,-140.14,-9.36,-140.07,-9.33,-140.08,-9.43]],[[-140.81,-17.86,-140.8,-17.75,-140.64,-17.68,-140.81,-17.86]],[[-139.56,-8.94,-139.62,-8.95,-139.61,-8.87,-139.51,-8.9,-139.56,-8.94]],[[-140.78,-18.42,-140.67,-18.42,-140.67,-18.34,-140.78,-18.34,-140.78,-18.42]],[[-140.97,-18.22,-140.82,-18.22,-140.82,-18.06,-140.97,-18.06,-140.97,-18.22]],[[-136.48,-18.57,-136.3,-18.57,-136.3,-18.46,-136.48,-18.46,-136.48,-18.57]],[[-137.07,-18.36,-136.97,-18.36,-136.97,-18.27,-137.07,-18.27,-137.07,-18.36]],[[-138.57,-20.88,-138.51,-20.88,-138.51,-20.77,-138.57,-20.77,-138.57,-20.88]],[[-142.53,-16.11,-142.48,-16.11,-142.48,-16.02,-142.53,-16.02,-142.53,-16.11]],[[-143.55,-16.67,-143.39,-16.67,-143.39,-16.61,-143.55,-16.61,-143.55,-16.67]],[[-143.71,-16.64,-143.57,-16.64,-143.57,-16.58,-143.71,-16.58,-143.71,-16.64]],[[-145.16,-15.9,-145.05,-15.9,-145.05,-15.76,-145.16,-15.76,-145.16,-15.9]],[[-145.61,-16.35,-145.48,-16.35,-145.48,-16.08,-145.61,-16.08,-145.61,-16.35]]]],
+    ['PG', 'Oceania', [140.86, -11.63, 155.96, -1.35], [[[152.97,-4.76,152.89,-4.83,152.74,-4.64,152.67,-4.13,152.28,-3.58,151.88,-3.4,151.07,-2.83,150.75,-2.74,150.83,-2.71,150.83,-2.57,151.22,-2.87,152.03,-3.25,153.02,-4.11,153.13,-4.35,152.97,-4.76]],[[151.92,-4.3,152.12,-4.21,152.41,-4.34,152.35,-4.82,152.26,-4.95,152.01,-5,151.98,-5.07,152.14,-5.36,152.08,-5.46,151.87,-5.57,151.52,-5.55,151.23,-5.92,150.47,-6.26,149.65,-6.29,149.38,-6.08,149.1,-6.12,148.34,-5.67,148.43,-5.47,149,-5.49,149.36,-5.58,149.83,-5.52,149.96,-5.45,150.09,-5.01,150.17,-5.07,150.07,-5.31,150.18,-5.52,150.52,-5.46,150.74,-5.51,150.95,-5.42,151.33,-4.96,151.67,-4.88,151.55,-4.3,151.59,-4.2,151.92,-4.3]],[[140.98,-9.12,140.98,-6.91,140.86,-6.74,140.98,-6.35,140.97,-2.61,141.11,-2.61,142.55,-3.2,143.51,-3.43,144.07,-3.8,144.48,-3.83,145.09,-4.35,145.34,-4.38,145.77,-4.82,145.75,-5.4,147.03,-5.92,147.38,-5.95,147.57,-6.06,147.8,-6.31,147.84,-6.66,147.12,-6.72,146.96,-6.83,147.19,-7.38,147.73,-7.88,148.13,-8.1,148.25,-8.55,148.45,-8.7,148.58,-9.05,149.2,-9.03,149.26,-9.5,150.01,-9.69,149.76,-9.81,149.87,-10.01,150.36,-10.19,150.85,-10.24,150.64,-10.34,150.45,-10.31,150.49,-10.43,150.65,-10.52,150.32,-10.65,150.02,-10.58,149.75,-10.35,147.77,-10.07,147.55,-9.91,147.41,-9.67,147.02,-9.39,146.93,-9.25,146.96,-9.06,146.85,-9.09,146.63,-8.95,146.03,-8.08,144.98,-7.8,144.86,-7.63,144.51,-7.57,144.43,-7.68,144.14,-7.76,143.9,-7.67,143.65,-7.46,143.94,-7.95,143.84,-7.94,143.89,-8.02,143.83,-8.03,143.52,-8,143.61,-8.2,143.1,-8.31,142.52,-8.32,142.35,-8.17,142.21,-8.2,142.33,-8.2,142.47,-8.37,142.8,-8.34,143.11,-8.47,143.38,-8.76,143.37,-8.96,142.65,-9.33,142.23,-9.17,141.62,-9.21,141.4,-9.15,141.13,-9.22,140.98,-9.12]],[[148.02,-5.83,147.78,-5.63,147.79,-5.49,148.05,-5.61,148.02,-5.83]],[[146.02,-4.73,145.95,-4.76,145.88,-4.67,145.99,-4.54,146.02,-4.73]],[[152.67,-3.13,152.65,-3.22,152.54,-3.1,152.64,-3.04,152.67,-3.13]],[[152.1,-2.95,152.06,-3,151.96,-2.87,152.1,-2.95]],[[149.77,-1.55,149.67,-1.58,149.55,-1.47,149.58,-1.35,149.72,-1.43,149.77,-1.55]],[[151.08,-10.02,151.3,-9.96,151.23,-10.19,150.96,-10.09,150.77,-9.71,151.08,-10.02]],[[150.35,-9.49,150.11,-9.36,150.21,-9.21,150.32,-9.26,150.35,-9.49]],[[151.11,-8.73,151.12,-8.8,151.04,-8.73,151.08,-8.57,151.01,-8.52,151.12,-8.42,151.11,-8.73]],[[154.28,-11.36,154.12,-11.43,154.02,-11.35,154.28,-11.36]],[[143.59,-8.48,143.32,-8.37,143.58,-8.39,143.59,-8.48]],[[147.17,-5.43,147.01,-5.31,147.13,-5.19,147.21,-5.25,147.17,-5.43]],[[147.07,-1.96,147.44,-2.01,147.21,-2.18,146.75,-2.15,146.54,-2.21,146.66,-1.97,147.07,-1.96]],[[150.44,-2.66,150.17,-2.66,149.96,-2.47,150.23,-2.38,150.43,-2.47,150.44,-2.66]],[[150.53,-9.35,150.79,-9.42,150.89,-9.67,150.44,-9.62,150.51,-9.54,150.44,-9.36,150.53,-9.35]],[[152.63,-8.96,152.95,-9.07,152.97,-9.21,152.72,-9.17,152.51,-9.01,152.63,-8.96]],[[153.54,-11.48,153.76,-11.59,153.55,-11.63,153.38,-11.56,153.2,-11.32,153.54,-11.48]],[[143.21,-8.68,143.61,-8.68,143.61,-8.42,143.21,-8.42,143.21,-8.68]],[[147.74,-2.34,147.88,-2.34,147.88,-2.25,147.74,-2.25,147.74,-2.34]],[[151.96,-2.83,151.94,-2.71,152.01,-2.81,151.96,-2.83]],[[150.9,-10.56,150.88,-10.64,150.79,-10.6,150.9,-10.56]],[[153.66,-4.1,153.59,-4.1,153.66,-4.04,153.66,-4.1]],[[155.96,-6.69,155.92,-6.8,155.72,-6.86,155.34,-6.72,155.21,-6.53,155.2,-6.31,155.01,-6.21,154.76,-5.93,154.73,-5.45,155.09,-5.62,155.47,-6.14,155.82,-6.38,155.96,-6.69]],[[154.65,-5.43,154.54,-5.11,154.63,-5.01,154.73,-5.22,154.65,-5.43]]]],
+    ['PH', 'Asia', [116.97, 5.07, 126.58, 20.84], [[[121.1,18.62,121.85,18.29,122.04,18.33,122.15,18.49,122.27,18.46,122.32,18.32,122.18,18.06,122.15,17.66,122.41,17.18,122.52,17.12,122.14,16.19,121.6,15.93,121.61,15.67,121.39,15.32,121.69,14.77,121.63,14.58,121.77,14.17,121.91,14.02,122.21,13.93,122.29,14,122.2,14.15,122.49,14.32,122.63,14.32,122.94,14.19,123.1,13.75,123.23,13.75,123.3,13.84,123.26,13.98,123.32,14.06,123.81,13.84,123.81,13.72,123.55,13.65,123.82,13.27,123.79,13.11,124.14,13.04,124.06,12.57,123.88,12.69,123.95,12.92,123.63,12.91,123.31,13.04,123.16,13.44,122.86,13.62,122.59,13.91,122.47,13.89,122.51,13.66,122.67,13.4,122.68,13.25,122.6,13.19,122.38,13.52,121.78,13.94,121.5,13.84,121.34,13.65,121.1,13.68,120.84,13.89,120.73,13.9,120.64,13.81,120.62,14.19,120.92,14.49,120.94,14.65,120.59,14.88,120.59,14.48,120.44,14.45,120.25,14.79,120.08,14.85,119.88,15.87,119.77,16.01,119.77,16.25,119.83,16.33,120.16,16.05,120.37,16.11,120.3,16.65,120.41,16.96,120.43,17.38,120.36,17.64,120.6,18.51,121.1,18.62]],[[117.31,8.44,117.22,8.37,117.23,8.46,117.35,8.71,117.88,9.24,118.12,9.35,119.02,10.35,119.22,10.48,119.31,10.69,119.26,10.85,119.31,10.97,119.5,11.35,119.55,11.31,119.53,10.95,119.69,10.5,119.37,10.33,119.19,10.06,118.78,9.92,118.77,9.77,118.44,9.26,118.13,9.1,117.99,8.88,117.31,8.44]],[[122.5,11.61,122.84,11.6,122.93,11.53,122.9,11.44,123.16,11.54,123.12,11.29,123.02,11.12,122.8,10.99,122.77,10.82,122.2,10.62,121.95,10.44,122.1,11.64,121.89,11.79,121.92,11.85,122.03,11.9,122.5,11.61]],[[123.13,9.06,122.99,9.06,122.87,9.32,122.56,9.48,122.4,9.82,122.47,9.96,122.86,10.09,122.82,10.5,122.96,10.7,122.98,10.89,123.26,10.99,123.51,10.92,123.57,10.78,123.16,9.86,123.15,9.61,123.32,9.27,123.13,9.06]],[[124.57,11.34,124.93,11.37,125.03,11.21,125.01,10.79,125.16,10.64,125.27,10.31,125.15,10.27,125.14,10.19,124.99,10.37,125.03,10.03,124.78,10.17,124.74,10.88,124.66,10.96,124.44,10.92,124.31,11.49,124.38,11.52,124.57,11.34]],[[125.24,12.53,125.32,12.32,125.54,12.19,125.46,11.95,125.49,11.59,125.61,11.32,125.57,11.24,125.7,11.16,125.74,11.05,125.63,11.13,125.23,11.15,124.94,11.48,125,11.77,124.88,11.78,124.68,12.02,124.44,12.15,124.33,12.4,124.29,12.57,125.24,12.53]],[[120.7,13.48,120.92,13.5,121.12,13.38,121.2,13.43,121.52,13.13,121.47,12.93,121.54,12.64,121.4,12.3,121.24,12.22,120.96,12.45,120.65,13.17,120.46,13.39,120.34,13.41,120.4,13.52,120.7,13.48]],[[126.01,9.32,126.19,9.28,126.19,9.13,126.31,8.95,126.32,8.85,126.14,8.6,126.37,8.48,126.46,8.2,126.44,7.83,126.57,7.68,126.58,7.25,126.44,7.01,126.19,6.85,126.19,6.31,125.82,7.33,125.69,7.26,125.38,6.69,125.59,6.47,125.67,5.98,125.35,5.6,125.24,5.76,125.23,6.07,125.03,5.87,124.93,5.88,124.21,6.23,124.08,6.4,123.99,6.99,124.21,7.4,123.97,7.67,123.67,7.82,123.49,7.81,123.39,7.41,123.18,7.53,123.1,7.7,122.99,7.55,122.84,7.53,122.79,7.72,122.62,7.76,122.48,7.64,122.14,6.95,122.03,6.93,121.9,7.07,122.05,7.36,122.13,7.81,122.24,7.94,122.39,8.05,122.91,8.16,123.09,8.48,123.34,8.57,123.44,8.7,123.68,8.62,123.85,8.43,123.88,8.19,123.8,8.05,124.2,8.23,124.4,8.6,124.62,8.52,124.73,8.56,124.87,8.97,125.14,8.87,125.21,9.03,125.5,9.01,125.54,9.14,125.41,9.67,125.47,9.76,125.88,9.51,126.01,9.32]],[[123.37,9.45,123.32,9.49,123.39,9.97,123.71,10.47,124.04,11.27,124.01,10.4,123.7,10.13,123.37,9.45]],[[121.92,18.9,121.82,18.84,121.94,19.01,121.99,18.96,121.92,18.9]],[[121.52,19.36,121.53,19.27,121.37,19.36,121.52,19.36]],[[121.96,20.37,121.94,20.45,122.03,20.47,121.96,20.37]],[[121.88,20.78,121.79,20.7,121.85,20.84,121.88,20.78]],[[121.16,6.07,121.22,6,121.39,6,121.41,5.94,121.29,5.87,121.22,5.94,120.93,5.9,120.88,5.95,121.04,6.1,121.16,6.07]],[[117.08,7.88,117.03,7.81,116.97,7.89,116.99,8.05,117.08,8.07,117.08,7.88]],[[119.92,10.49,119.79,10.45,119.76,10.55,119.85,10.64,120.01,10.57,119.92,10.49]],[[120.1,12.17,120.23,12.22,120.32,12.01,120.01,12.01,119.86,12.2,119.89,12.3,120.1,12.17]],[[120.04,11.7,119.94,11.69,119.86,11.95,120.03,11.92,120.04,11.7]],[[122.65,10.47,122.54,10.43,122.54,10.61,122.7,10.74,122.74,10.65,122.65,10.47]],[[124.6,9.79,124.36,9.63,124.12,9.6,123.94,9.62,123.82,9.82,124.17,10.14,124.34,10.16,124.58,10.03,124.6,9.79]],[[120.25,5.26,120.19,5.17,120.12,5.22,119.96,5.08,119.82,5.07,120.16,5.33,120.25,5.26]],[[122.09,6.43,121.96,6.42,121.83,6.66,122.06,6.74,122.29,6.64,122.32,6.6,122.09,6.43]],[[126.06,9.77,125.99,9.84,126.08,10.06,126.17,9.8,126.06,9.77]],[[125.69,9.91,125.5,10.12,125.52,10.31,125.67,10.44,125.69,9.91]],[[120.27,13.75,120.27,13.68,120.1,13.84,120.27,13.75]],[[121.91,13.54,122.12,13.46,122,13.2,121.83,13.33,121.87,13.57,121.91,13.54]],[[122.09,12.35,122.01,12.11,121.92,12.33,122,12.6,122.14,12.65,122.09,12.35]],[[122.66,12.31,122.42,12.45,122.6,12.49,122.66,12.31]],[[123.28,12.85,123.37,12.7,122.96,13.11,123.04,13.11,123.28,12.85]],[[123.77,12.45,123.78,12.37,123.62,12.57,123.62,12.68,123.77,12.45]],[[123.72,12.29,124.04,11.97,124.04,11.75,123.47,12.22,123.16,11.93,123.27,12.4,123.23,12.58,123.56,12.44,123.72,12.29]],[[124.35,13.63,124.17,13.53,124.04,13.66,124.12,13.98,124.22,14.08,124.42,13.87,124.35,13.63]],[[122.18,14.05,121.96,14.16,121.96,14.23,122.18,14.05]],[[122.03,15,121.97,14.89,122.02,14.76,121.93,14.66,121.82,14.96,121.84,15.04,122.03,15]],[[124.31,10.61,124.34,10.71,124.38,10.63,124.31,10.61]],[[125.28,9.98,125.13,10.15,125.23,10.12,125.28,9.98]],[[122.94,7.41,122.81,7.32,122.82,7.43,122.94,7.41]],[[125.78,6.96,125.68,7.07,125.72,7.19,125.78,6.96]],[[124.61,11.49,124.48,11.49,124.36,11.67,124.51,11.69,124.61,11.49]],[[124.81,9.14,124.78,9.08,124.67,9.13,124.65,9.23,124.74,9.24,124.81,9.14]],[[121.25,19.08,121.25,19.02,121.2,19.05,121.21,19.18,121.25,19.08]],[[119.86,11.53,119.85,11.39,119.73,11.43,119.86,11.53]],[[123.76,11.28,123.81,11.15,123.74,11.15,123.76,11.28]],[[122.31,12.53,122.26,12.5,122.28,12.59,122.31,12.53]],[[125.92,9.57,125.99,9.57,125.99,9.76,125.92,9.76,125.92,9.57]],[[124.85,11.6,124.78,11.58,124.73,11.72,124.85,11.6]],[[117.36,8.22,117.29,8.19,117.28,8.31,117.36,8.22]],[[123.7,9.24,123.71,9.13,123.62,9.1,123.49,9.19,123.7,9.24]]]],
+    ['PK', 'Asia', [60.84, 23.75, 77.05, 37.04], [[[76.77,35.66,77.05,35.11,77,34.99,76.6,34.74,76.04,34.67,75.71,34.5,74.3,34.77,73.96,34.65,73.8,34.38,73.97,34.24,73.9,34.07,74.25,33.95,73.98,33.72,74.15,33.51,74,33.19,74.3,32.99,74.35,32.77,74.66,32.76,74.68,32.49,74.99,32.46,75.33,32.28,75.25,32.14,74.55,31.82,74.51,31.71,74.59,31.47,74.52,31.19,74.63,31.04,74.34,30.89,73.9,30.43,73.93,30.22,73.81,30.09,73.38,29.93,72.95,29.09,72.34,28.75,71.87,27.96,70.8,27.71,70.63,27.94,70.4,28.02,70.14,27.85,69.9,27.47,69.54,27.12,69.51,26.74,70.15,26.51,70.1,25.91,70.26,25.71,70.65,25.67,70.65,25.42,71.05,24.69,70.97,24.57,71.04,24.4,70.72,24.24,70.58,24.28,70.55,24.42,70.49,24.41,69.81,24.17,69.56,24.27,68.78,24.31,68.72,23.96,68.28,23.93,68.11,23.75,67.86,23.9,67.82,23.83,67.67,23.81,67.65,23.92,67.5,23.94,67.31,24.17,67.17,24.76,66.7,24.86,66.7,25.23,66.53,25.49,66.33,25.6,66.13,25.49,66.47,25.45,64.78,25.31,64.66,25.18,64.06,25.4,63.56,25.35,63.49,25.21,62.66,25.26,62.31,25.13,62.2,25.22,61.91,25.13,61.57,25.19,61.66,25.75,61.75,25.84,61.84,26.23,62.24,26.36,62.44,26.56,63.16,26.65,63.3,27.15,63.17,27.25,62.76,27.25,62.81,27.5,62.76,28.24,62.56,28.23,62.35,28.42,61.89,28.55,61.62,28.79,61.32,29.37,60.84,29.86,62.48,29.41,63.57,29.5,64.1,29.39,64.39,29.54,65.09,29.56,66.23,29.87,66.31,29.97,66.24,30.11,66.35,30.8,66.83,31.26,67.45,31.23,67.74,31.34,67.58,31.51,68.16,31.8,68.6,31.8,68.87,31.63,69.28,31.94,69.24,32.43,69.41,32.68,69.5,33.02,69.92,33.11,70.26,33.29,70.29,33.37,69.87,33.9,69.89,34.01,69.99,34.05,70.65,33.95,71.05,34.05,71.1,34.37,70.97,34.53,71.62,35.18,71.55,35.29,71.57,35.55,71.43,35.83,71.19,36.04,71.62,36.44,71.77,36.43,72.16,36.7,73.12,36.87,73.77,36.89,74.04,36.83,74.6,37.04,75.15,36.97,75.35,36.91,75.42,36.74,75.67,36.74,75.88,36.6,75.97,36.38,75.91,36.05,76.07,35.98,76.15,35.83,76.55,35.89,76.56,35.77,76.77,35.66]]]],
+    ['PL', 'Europe', [14.13, 49.02, 24.1, 54.84], [[[23.6,51.52,23.66,51.31,24.1,50.87,23.98,50.79,24.09,50.53,23.97,50.41,23.71,50.38,23.41,50.17,22.65,49.54,22.71,49.17,22.85,49.08,22.81,49.02,22.02,49.21,21.89,49.34,21.64,49.41,21.08,49.42,20.87,49.32,20.36,49.38,20.16,49.32,20.06,49.18,19.76,49.2,19.77,49.37,19.63,49.41,19.44,49.6,19.15,49.4,18.97,49.4,18.94,49.5,18.83,49.51,18.81,49.61,18.6,49.76,18.56,49.88,18.03,50.04,17.88,49.97,17.63,50.12,17.59,50.16,17.74,50.23,17.7,50.31,17.42,50.25,16.88,50.43,16.99,50.24,16.64,50.1,16.21,50.42,16.42,50.57,16.28,50.66,16.01,50.61,15.36,50.81,15.26,50.96,14.99,51.01,14.98,50.89,14.81,50.86,15.02,51.25,14.91,51.46,14.73,51.52,14.74,51.63,14.6,51.83,14.75,52.08,14.55,52.36,14.62,52.53,14.13,52.88,14.41,53.22,14.26,53.73,14.58,53.64,14.56,53.82,14.2,53.92,16.19,54.29,16.56,54.55,18.08,54.84,18.32,54.84,18.76,54.68,18.44,54.75,18.59,54.51,18.98,54.35,19.6,54.46,22.89,54.39,23.45,54.14,23.6,53.6,23.89,53.03,23.9,52.7,23.41,52.52,23.18,52.29,23.65,52.04,23.55,51.71,23.6,51.52]]]],
+    ['PM', 'Americas', [-56.39, 46.75, -56.14, 47.1], [[[-56.24,46.75,-56.14,46.75,-56.14,46.81,-56.24,46.81,-56.24,46.75]],[[-56.27,46.84,-56.39,46.82,-56.36,47.1,-56.29,47.07,-56.27,46.84]]]],
+    ['PN', 'Oceania', [-128.35, -24.41, -128.29, -24.32], [[[-128.35,-24.41,-128.29,-24.41,-128.29,-24.32,-128.35,-24.32,-128.35,-24.41]]]],
+    ['PR', 'Americas', [-67.93, 17.98, -65.3, 18.5], [[[-66.13,18.45,-65.63,18.38,-65.62,18.24,-65.97,17.98,-67.2,17.99,-67.17,18.22,-67.26,18.36,-67.16,18.5,-66.13,18.45]],[[-65.43,18.11,-65.57,18.14,-65.37,18.16,-65.3,18.13,-65.43,18.11]],[[-67.87,18.06,-67.93,18.12,-67.86,18.12,-67.87,18.06]]]],
+    ['PS', 'Asia', [34.2, 31.21, 35.56, 32.54], [[[34.48,31.59,34.53,31.53,34.25,31.21,34.2,31.32,34.48,31.59]],[[35.55,32.4,35.56,31.77,35.45,31.48,34.88,31.37,34.95,31.6,35.2,31.75,34.95,31.84,34.95,32.16,35.07,32.46,35.19,32.54,35.55,32.4]]]],
+    ['PT', 'Europe', [-31.28, 32.65, -6.21, 42.14], [[[-17.19,32.87,-16.69,32.76,-16.84,32.65,-17.02,32.66,-17.22,32.77,-17.19,32.87]],[[-8.78,41.94,-8.27,42.14,-8.14,42.04,-8.22,41.9,-8.15,41.81,-7.92,41.88,-7.4,41.83,-7.15,41.98,-6.62,41.94,-6.54,41.67,-6.31,41.64,-6.21,41.53,-6.93,41.01,-6.83,40.78,-6.81,40.34,-7.03,40.17,-6.9,40.02,-6.98,39.8,-7.12,39.68,-7.54,39.66,-7.34,39.47,-7.17,39.14,-7,39.06,-7.05,38.91,-7.28,38.72,-7.34,38.46,-7.1,38.18,-6.96,38.19,-7.02,38.05,-7.18,38.01,-7.44,37.73,-7.5,37.59,-7.41,37.18,-7.84,37.01,-8.6,37.12,-9,37.03,-8.81,37.43,-8.79,37.73,-8.88,37.96,-8.81,38.3,-8.88,38.45,-8.67,38.42,-8.8,38.52,-9.21,38.45,-9.25,38.66,-9.02,38.75,-8.94,39,-8.79,39.08,-8.96,39.02,-9.14,38.74,-9.47,38.73,-9.38,39.34,-9.15,39.54,-8.84,40.12,-8.87,40.26,-8.69,40.75,-8.66,41.09,-8.81,41.65,-8.76,41.7,-8.89,41.77,-8.78,41.94]],[[-25.03,36.96,-25.2,37,-25.08,37.02,-25.03,36.96]],[[-31.14,39.41,-31.28,39.39,-31.26,39.5,-31.14,39.48,-31.14,39.41]],[[-27.07,38.64,-27.3,38.66,-27.39,38.77,-27.13,38.79,-27.04,38.74,-27.07,38.64]],[[-28.31,38.54,-27.78,38.54,-27.78,38.74,-28.31,38.74,-28.31,38.54]],[[-28.64,38.52,-28.84,38.6,-28.7,38.64,-28.64,38.52]],[[-28.15,38.45,-28.06,38.41,-28.23,38.39,-28.45,38.41,-28.55,38.52,-28.4,38.55,-28.15,38.45]],[[-25.65,37.84,-25.18,37.84,-25.25,37.73,-25.44,37.72,-25.73,37.76,-25.85,37.89,-25.65,37.84]]]],
+    ['PW', 'Oceania', [131.14, 3.02, 134.65, 7.71], [[[131.14,3.02,131.19,3.02,131.19,3.06,131.14,3.06,131.14,3.02]],[[134.6,7.38,134.54,7.36,134.52,7.53,134.65,7.71,134.6,7.38]]]],
+    ['PY', 'Americas', [-62.65, -27.55, -54.24, -19.29], [[[-58.16,-20.16,-57.83,-21,-57.94,-21.49,-57.96,-22.11,-56.94,-22.27,-56.63,-22.23,-56.45,-22.08,-56.25,-22.27,-55.85,-22.31,-55.62,-22.67,-55.65,-22.89,-55.42,-23.95,-55.08,-24,-54.63,-23.81,-54.24,-24.05,-54.32,-24.13,-54.28,-24.31,-54.44,-25.12,-54.61,-25.43,-54.63,-26.01,-54.75,-26.53,-55.14,-26.93,-55.43,-27.01,-55.72,-27.41,-56.16,-27.32,-56.44,-27.55,-56.61,-27.47,-57.11,-27.47,-58.17,-27.27,-58.6,-27.31,-58.62,-27.13,-58.19,-26.63,-58.2,-26.38,-58.11,-26.18,-57.89,-26.01,-57.75,-25.7,-57.57,-25.53,-57.65,-25.33,-57.96,-25.05,-58.37,-24.96,-59.19,-24.56,-59.89,-24.09,-61.03,-23.75,-61.21,-23.56,-61.8,-23.18,-62.21,-22.61,-62.65,-22.23,-62.28,-21.07,-62.28,-20.56,-61.92,-20.06,-61.76,-19.65,-60.01,-19.3,-59.09,-19.29,-58.18,-19.82,-58.16,-20.16]]]],
+    ['QA', 'Asia', [50.76, 24.57, 51.61, 26.15], [[[51.27,24.61,50.97,24.57,50.86,24.68,50.76,25.4,51,25.98,51.26,26.15,51.54,25.9,51.49,25.53,51.61,25.05,51.43,24.67,51.27,24.61]]]],
+    ['RO', 'Europe', [20.24, 43.67, 29.71, 48.26], [[[28.21,45.45,28.32,45.35,28.76,45.23,28.78,45.31,29.4,45.42,29.71,45.26,29.56,44.84,29.05,44.76,29.09,44.98,28.89,44.92,28.92,44.81,28.81,44.57,28.89,44.57,28.64,44.3,28.59,43.74,28.22,43.77,28.05,43.82,27.88,43.99,27.43,44.02,27.09,44.17,26.22,44.01,25.5,43.67,23.23,43.87,22.92,43.83,22.87,43.95,23.03,44.08,22.49,44.44,22.72,44.61,22.5,44.71,22.09,44.54,21.36,44.83,21.53,44.9,21.35,45.01,21.49,45.15,20.77,45.48,20.77,45.75,20.24,46.11,21.12,46.28,21.99,47.4,22,47.5,22.29,47.73,22.61,47.77,23.14,48.09,24.18,47.91,24.58,47.93,24.89,47.72,25.46,47.91,26.16,47.99,26.31,48.2,26.71,48.26,26.98,48.16,27.61,47.34,28.07,46.98,28.24,46.64,28.1,45.97,28.16,45.65,28.07,45.6,28.21,45.45]]]],
+    ['RS', 'Europe', [18.84, 42.25, 22.98, 46.16], [[[22.7,44.24,22.6,44.08,22.42,44.01,22.37,43.78,22.56,43.45,22.98,43.19,22.94,43.1,22.71,42.88,22.47,42.84,22.44,42.63,22.53,42.48,22.42,42.33,21.56,42.25,21.52,42.33,21.75,42.67,21.39,42.75,21.4,42.83,20.8,43.26,20.62,43.2,20.62,43.03,20.35,42.83,20.27,42.94,19.61,43.17,19.22,43.45,19.25,43.58,19.45,43.56,19.5,43.64,19.24,43.96,19.58,44.04,19.12,44.36,19.35,44.88,19,44.9,19.09,44.93,19.06,45.14,19.14,45.2,19.4,45.21,19.01,45.4,19.06,45.52,18.92,45.6,18.84,45.84,19.07,46.01,19.28,46,19.53,46.16,20.21,46.13,20.77,45.75,20.77,45.48,21.49,45.15,21.35,45.01,21.53,44.9,21.36,44.83,22.09,44.54,22.5,44.71,22.64,44.65,22.74,44.57,22.55,44.54,22.49,44.44,22.7,44.24]]]],
+    ['RU', 'Europe', [-180, 41.21, 179.88, 81.83], [[[145.87,43.42,145.94,43.42,145.94,43.46,145.87,43.46,145.87,43.42]],[[146.27,43.62,146.36,43.62,146.36,43.65,146.27,43.65,146.27,43.62]],[[146.03,43.41,146.1,43.41,146.1,43.45,146.03,43.45,146.03,43.41]],[[137.18,55.1,137.06,54.93,136.71,54.96,137.18,55.1]],[[150.59,59.02,150.47,59.05,150.67,59.16,150.73,59.1,150.59,59.02]],[[120.26,73.09,119.79,73.04,119.64,73.12,119.97,73.17,120.26,73.09]],[[124.54,73.85,124.34,73.93,124.64,73.9,124.54,73.85]],[[106.27,78.21,106.02,78.22,106.06,78.26,106.46,78.34,106.72,78.29,106.27,78.21]],[[107.42,77.24,107.27,77.29,107.37,77.35,107.68,77.27,107.42,77.24]],[[97.59,76.6,97.43,76.59,97.31,76.69,97.59,76.6]],[[96.85,76.2,96.74,76.21,96.84,76.34,97.05,76.3,96.85,76.2]],[[100.14,79.61,99.92,79.6,99.96,79.69,100.07,79.7,100.3,79.67,100.14,79.61]],[[76.75,73.45,76.08,73.52,76.25,73.56,76.75,73.45]],[[82.33,74.06,82.71,74.06,82.71,74.16,82.33,74.16,82.33,74.06]],[[84.76,74.46,84.71,74.4,84.39,74.45,84.87,74.52,84.76,74.46]],[[86.65,74.98,87.12,74.94,86.93,74.83,86.39,74.85,86.26,74.89,86.33,74.94,86.65,74.98]],[[59.31,81.3,58.61,81.34,59.07,81.4,59.31,81.3]],[[130.69,42.3,130.53,42.54,130.58,42.62,130.42,42.73,131.07,42.9,131.26,43.38,131.17,43.7,131.26,44.07,130.98,44.85,131.45,44.98,131.85,45.33,132.94,45.03,133.11,45.13,133.19,45.49,133.44,45.61,133.51,45.88,133.86,46.25,133.87,46.5,134.2,47.13,134.17,47.3,134.6,47.52,134.75,47.71,134.57,48.02,134.66,48.25,134.29,48.37,133.47,48.1,133.15,48.11,132.71,47.95,132.48,47.71,130.96,47.71,130.73,48.02,130.81,48.34,130.55,48.6,130.62,48.77,130.55,48.86,130.2,48.89,129.5,49.39,129.07,49.37,128.82,49.46,128.7,49.6,128,49.57,127.55,49.8,127.49,49.97,127.59,50.21,127.34,50.35,127.31,50.71,126.92,51.1,126.81,51.51,126.51,51.93,126.34,52.36,126.02,52.61,126.05,52.74,125.73,52.89,125.65,53.04,125.07,53.2,124.81,53.13,123.61,53.55,122.34,53.49,120.98,53.28,120.1,52.79,120.07,52.63,120.66,52.57,120.75,52.1,120.68,51.97,120.07,51.6,119.16,50.41,119.35,50.28,119.26,50.07,118.45,49.84,117.87,49.51,117.24,49.62,116.22,50.01,115.72,49.88,115.43,49.9,114.74,50.23,114.3,50.27,113.45,49.94,113.17,49.8,113.06,49.62,112.81,49.52,111.34,49.36,110.71,49.14,109.24,49.33,108.61,49.32,107.97,49.65,107.92,49.95,107.23,49.99,106.71,50.31,106.22,50.3,105.38,50.47,104.47,50.31,104.08,50.15,103.3,50.2,102.29,50.58,102.31,50.72,102.21,50.83,102.11,51.35,101.38,51.45,100.47,51.73,99.92,51.76,98.89,52.12,98.64,51.8,98.35,51.72,98.22,51.51,98.04,51.45,97.84,51.05,98.03,50.65,98.28,50.53,98.17,50.18,98.01,50.01,97.59,49.91,97.36,49.74,97.21,49.73,96.99,49.88,96.31,49.9,96.07,50,95.79,50.01,95.52,49.91,95.11,49.94,94.93,50.04,94.61,50.02,94.36,50.22,94.25,50.56,93.1,50.6,92.94,50.78,92.63,50.69,92.35,50.86,92.19,50.7,91.8,50.69,91.41,50.47,91.02,50.42,90.65,50.22,90.05,50.09,89.98,49.98,89.64,49.9,89.65,49.72,89.24,49.63,89.11,49.5,88.19,49.45,88.12,49.26,87.99,49.19,87.42,49.08,86.63,49.56,86.73,49.7,86.68,49.78,86.18,49.5,85.23,49.62,85,49.89,84.99,50.06,84.32,50.24,83.94,50.78,83.36,50.99,82.76,50.89,82.49,50.73,81.47,50.74,81.39,50.96,81.07,50.97,81.13,51.19,80.74,51.29,80.45,51.18,80.42,50.95,79.99,50.78,79.47,51.49,77.86,53.27,76.48,54.02,76.42,54.15,76.65,54.14,76.84,54.44,75.44,54.09,75.22,53.89,74.84,53.83,74.45,53.65,74.35,53.49,73.86,53.62,73.41,53.45,73.28,53.6,73.31,53.71,73.68,53.93,73.67,54.06,73.23,53.96,72.91,54.11,72.62,54.13,72.59,54,72.45,53.94,72.39,54.12,72.19,54.33,72.01,54.21,71.34,54.16,71.09,54.21,71.19,54.6,70.91,55.13,70.74,55.3,70.18,55.16,69.49,55.36,68.98,55.39,68.2,55.16,68.24,55.05,68.15,54.98,66.22,54.67,65.48,54.62,65.24,54.52,65.09,54.34,64.46,54.38,61.93,53.95,61.23,54.02,60.98,53.62,61.53,53.52,61.23,53.45,61.2,53.29,61.66,53.23,62.02,53.11,62.08,53.01,61.97,52.94,61.05,52.97,60.77,52.68,60.99,52.34,60.03,51.93,60.39,51.77,60.46,51.65,61.36,51.44,61.56,51.32,61.58,51.23,61.39,50.86,60.94,50.7,60.42,50.68,60.06,50.85,59.81,50.58,59.52,50.49,59.45,50.62,58.88,50.69,58.36,51.06,57.84,51.09,57.65,50.92,57.44,50.89,57.01,51.07,56.62,50.98,56.49,51.02,56.14,50.84,56.05,50.71,55.69,50.58,54.64,51.01,54.55,50.95,54.65,50.66,54.56,50.54,54.47,50.58,54.42,50.78,54.14,51.04,53.34,51.48,52.57,51.48,52.22,51.71,51.61,51.48,51.35,51.47,51.16,51.65,50.79,51.73,50.25,51.29,49.5,51.08,49.32,50.85,48.81,50.6,48.62,50.61,48.84,50.01,48.76,49.93,48.34,49.86,47.71,50.38,47.43,50.36,47.3,50.22,47.3,50.06,46.89,49.7,46.8,49.37,47.03,49.15,46.7,48.8,46.61,48.57,46.66,48.41,47.07,48.23,47.09,47.95,47.29,47.74,47.48,47.8,48.17,47.71,48.96,46.77,48.88,46.71,48.56,46.76,48.5,46.7,48.54,46.61,49.25,46.29,48.69,46.09,48.73,45.9,48.49,45.94,48.16,45.74,47.7,45.69,47.63,45.58,47.46,45.68,47.52,45.49,47.08,44.82,47,44.88,46.72,44.56,46.75,44.42,47.02,44.34,47.31,44.1,47.46,43.56,47.56,43.83,47.65,43.89,47.51,43.51,47.46,43.03,48.38,41.95,48.57,41.85,48.39,41.6,48.06,41.46,47.86,41.21,47.59,41.22,47.26,41.32,47.21,41.46,46.75,41.81,46.57,41.8,46.54,41.87,45.64,42.2,45.73,42.48,45.65,42.52,45.34,42.53,45.16,42.68,44.87,42.76,44.77,42.62,44.51,42.75,43.83,42.57,43.74,42.62,43.78,42.75,42.76,43.17,41.58,43.22,40.65,43.53,40.15,43.57,39.98,43.42,38.72,44.29,38.18,44.42,37.85,44.7,37.5,44.7,37.2,44.97,36.65,45.13,36.62,45.19,36.94,45.29,36.72,45.37,36.79,45.41,37.22,45.27,37.65,45.38,37.61,45.57,37.93,46,38.01,46.05,38.08,45.94,38.18,46.09,38.49,46.09,38.08,46.39,37.91,46.41,37.77,46.64,38.5,46.66,38.44,46.81,39.27,47.04,39.2,47.27,38.67,47.14,38.55,47.15,38.76,47.26,38.58,47.24,38.21,47.09,38.28,47.28,38.2,47.32,38.29,47.56,38.64,47.67,38.82,47.84,39.78,47.89,39.96,48.27,39.85,48.3,39.84,48.54,39.65,48.59,39.79,48.81,40.01,48.82,39.68,49.01,39.89,49.06,40.11,49.25,40.08,49.58,39.78,49.57,39.17,49.86,38.92,49.82,38.26,50.05,38.05,49.92,37.7,50.11,37.42,50.41,36.62,50.21,36.12,50.41,35.59,50.37,35.41,50.54,35.44,50.73,35.31,51.04,35.16,51.06,35.06,51.2,34.76,51.17,34.21,51.26,34.28,51.31,34.12,51.68,34.38,51.72,34.4,51.78,34.11,51.98,33.92,52.25,33.73,52.34,33.15,52.34,32.81,52.25,32.43,52.31,32.28,52.11,32.12,52.05,31.76,52.1,31.58,52.31,31.56,52.76,31.26,53.02,31.42,53.2,32.14,53.09,32.7,53.34,32.71,53.42,32.47,53.55,32.45,53.69,31.75,53.81,31.83,54.03,31.4,54.2,31.07,54.49,31.15,54.63,30.8,54.78,30.98,55.05,30.81,55.28,30.91,55.57,30.23,55.84,29.94,55.85,29.48,55.68,29.35,55.78,29.37,55.94,29.09,56.02,28.79,55.94,28.56,56.09,28.28,56.06,28.15,56.14,28.2,56.26,28.1,56.55,27.85,56.85,27.64,56.85,27.83,57.29,27.51,57.51,27.35,57.53,27.54,57.8,27.78,57.87,27.5,58.22,27.53,58.43,27.43,58.79,27.76,59.05,27.9,59.28,28.15,59.37,28.01,59.48,28.06,59.78,28.33,59.69,28.52,59.85,28.95,59.83,29.15,60,30.12,59.87,30.17,59.96,29.72,60.19,29.07,60.19,28.64,60.38,28.49,60.54,28.62,60.49,28.65,60.61,28.51,60.68,27.8,60.54,29.25,61.29,30.94,62.32,31.29,62.57,31.53,62.89,31.18,63.21,29.99,63.73,30.21,63.8,30.53,64.08,30.49,64.24,30.11,64.37,29.99,64.52,30.12,64.64,30.11,64.73,29.78,64.8,29.6,64.97,29.83,65.15,29.61,65.25,29.82,65.57,29.72,65.63,30.09,65.68,30.09,65.79,29.9,66.09,29.06,66.89,29.24,67.1,29.94,67.55,29.99,67.67,29.34,68.06,28.69,68.19,28.47,68.49,28.78,68.81,28.41,68.9,29.12,69.05,29.39,69.3,29.99,69.39,30.16,69.5,30.16,69.63,30.86,69.54,30.92,69.61,30.87,69.78,31.55,69.7,31.79,69.82,32,69.81,31.98,69.95,33.01,69.72,33,69.63,32.91,69.6,32.18,69.67,32.09,69.63,32.38,69.48,33,69.47,32.98,69.37,33.45,69.43,33.33,69.15,33.14,69.07,33.44,69.13,33.68,69.31,35.01,69.22,35.29,69.28,35.86,69.19,37.73,68.69,38.43,68.36,38.83,68.32,39.57,68.07,39.82,68.06,39.75,68.16,39.81,68.15,40.38,67.83,40.97,67.71,41.13,67.27,41.36,67.21,41.19,66.83,40.52,66.45,40.1,66.3,38.66,66.07,37.9,66.1,36.98,66.27,35.51,66.4,34.82,66.61,34.48,66.55,34.4,66.61,34.45,66.65,33.15,66.84,32.85,67.02,32.93,67.09,31.89,67.16,32.5,67,32.46,66.92,32.86,66.72,33.18,66.68,33.22,66.53,33.65,66.44,33.36,66.33,34.11,66.23,34.69,65.95,34.78,65.77,34.62,65.51,34.41,65.4,34.8,64.99,34.83,64.8,34.95,64.76,34.86,64.71,34.87,64.56,35.03,64.44,35.43,64.35,35.65,64.38,36.15,64.19,36.37,64,37.44,63.81,37.97,63.95,38.06,64.09,37.95,64.32,37.74,64.4,37.18,64.41,36.58,64.79,36.53,64.94,36.79,64.99,36.88,65.17,37.14,65.19,37.53,65.11,38.01,64.88,39.76,64.58,40.06,64.77,40.44,64.78,40.28,65,39.8,65.35,39.75,65.45,39.82,65.6,40.33,65.75,40.69,65.96,41.47,66.12,42.21,66.52,42.6,66.42,43.23,66.41,43.65,66.25,43.54,66.12,43.84,66.14,44.11,66.01,44.1,66.23,44.49,66.67,44.43,66.94,44.29,67.1,43.78,67.26,44.22,68,44.2,68.25,44.17,68.33,43.33,68.67,44.05,68.55,45.08,68.58,45.89,68.48,46.68,67.97,46.69,67.85,45.53,67.76,44.9,67.41,45.56,67.19,45.88,66.89,46.49,66.8,47.66,66.98,47.91,67.45,47.88,67.58,48.83,67.68,48.88,67.73,48.7,67.87,48.75,67.9,49.16,67.87,50.84,68.35,51.99,68.54,52.29,68.46,52.18,68.37,52.4,68.35,52.72,68.48,52.34,68.61,53.8,69,54.49,68.99,53.8,68.91,53.97,68.84,53.76,68.63,53.92,68.54,53.93,68.44,53.34,68.34,53.26,68.27,53.97,68.23,54.48,68.3,54.72,68.18,54.86,68.2,54.92,68.37,55.42,68.57,56.04,68.65,57.13,68.55,58.17,68.89,58.24,68.83,58.35,68.92,59.06,69.01,59.37,68.74,59.11,68.62,59.1,68.44,59.73,68.35,59.92,68.47,59.9,68.71,60.49,68.73,60.93,68.99,60.86,69.15,60.67,69.11,60.17,69.59,60.91,69.85,63.36,69.68,64.19,69.53,64.93,69.33,64.9,69.25,67,68.87,67.73,68.51,68.37,68.31,68.5,68.35,68.83,68.57,69.14,68.95,68.54,68.97,68.12,69.24,68.01,69.48,67.62,69.58,67.06,69.69,66.9,69.55,66.8,69.74,66.93,70.01,67.24,70.11,67.15,70.22,67.29,70.74,67.14,70.84,66.7,70.82,66.67,70.9,66.85,71.06,66.64,71.08,66.92,71.28,67.54,71.41,68.27,71.68,68.61,72.01,69.04,72.67,69.39,72.96,69.69,72.98,69.64,72.9,69.74,72.88,71.5,72.91,72.81,72.69,72.75,72.34,72.57,72.01,72.28,71.7,71.91,71.55,71.87,71.46,72.08,71.31,72.58,71.15,72.7,70.96,72.7,70.46,72.47,70.28,72.6,69.79,72.53,69.15,72.58,68.97,72.81,68.82,73.55,68.57,73.59,68.48,73.14,68.18,73.17,67.97,73.07,67.77,72.59,67.59,71.85,67.01,71.67,66.94,71.37,66.96,71.55,66.76,71.54,66.68,70.72,66.52,70.38,66.6,70.69,66.74,70.28,66.69,69.88,66.85,69.01,66.79,69.19,66.58,69.98,66.4,71.36,66.36,72.07,66.25,72.32,66.33,72.42,66.56,73.79,66.99,74.08,67.41,74.77,67.77,74.74,68.07,74.39,68.42,74.58,68.75,75.12,68.86,76.46,68.98,77.24,68.47,77.25,67.94,77.18,67.78,77.77,67.57,78.92,67.59,77.59,67.75,77.54,68.01,77.67,68.19,78,68.26,77.65,68.9,76,69.24,75.42,69.24,74.81,69.09,73.98,69.11,73.78,69.2,73.89,69.42,73.56,69.71,73.58,69.8,73.83,70.18,74.34,70.58,73.58,71.22,73.09,71.44,73.67,71.85,74.99,72.15,75.09,72.26,75.1,72.42,75.01,72.62,74.79,72.81,75.37,72.8,75.6,72.58,75.59,72.46,75.74,72.3,75.27,71.96,75.25,71.81,75.5,71.65,75.47,71.53,75.28,71.43,75.33,71.34,75.73,71.27,76.74,71.2,76.93,71.13,77.59,71.17,78.32,70.93,79.02,70.95,79.08,71,78.49,71.03,78.21,71.27,77.48,71.31,76.43,71.55,76.03,71.91,76.87,72.03,77.55,71.84,78.19,71.91,78.23,71.95,78.02,72.09,77.49,72.07,77.41,72.11,77.44,72.16,77.97,72.33,78.48,72.4,79.42,72.38,80.76,72.09,80.86,71.97,81.66,71.72,83.11,71.72,83.23,71.67,82.98,71.45,82.32,71.26,82.24,71,82.33,70.81,82.16,70.6,82.22,70.4,82.26,70.54,82.59,70.89,82.87,70.95,83.01,70.9,83.03,70.58,82.68,70.22,82.86,70.1,83.08,70.09,83.13,70.16,83.07,70.28,83.5,70.35,83.74,70.55,83.58,70.77,83.15,71.1,83.55,71.54,83.53,71.68,83.2,71.87,82.64,71.92,82.09,72.27,80.83,72.49,80.66,72.71,80.84,72.95,80.51,73.09,80.42,73.23,80.4,73.36,80.6,73.47,80.58,73.57,84.74,73.76,85.45,73.73,85.61,73.82,86.89,73.89,87.03,73.82,85.79,73.44,85.82,73.33,86.68,73.11,85.97,73.35,85.94,73.46,86.38,73.57,87.12,73.62,87.57,73.81,87.21,73.88,86.57,74.24,86,74.32,86.4,74.45,86.9,74.33,87.23,74.36,86.42,74.59,85.79,74.65,85.88,74.74,86.06,74.73,86.2,74.82,86.65,74.68,87.04,74.78,87.47,75.01,86.94,75.07,87.01,75.17,87.67,75.13,90.19,75.59,94.07,75.91,92.89,75.91,92.86,75.98,92.97,76.08,93.11,76.03,93.26,76.1,95.58,76.14,96.08,76.08,95.65,75.89,96.51,76.01,96.6,75.99,96.5,75.89,97.35,76.03,97.5,75.98,97.67,76.08,98.66,76.24,99.77,76.03,99.6,75.85,99.44,75.8,99.54,75.8,99.85,75.93,99.82,76.14,98.8,76.48,98.87,76.51,100.84,76.53,101.6,76.44,101.68,76.49,100.93,76.56,101.1,76.7,100.92,76.82,100.99,76.99,102.61,77.51,104.18,77.73,105.71,77.53,106.06,77.39,104.2,77.1,105.64,77.1,105.71,77,105.82,77,106.94,77.03,107.43,76.93,106.64,76.57,106.39,76.59,106.42,76.51,107.72,76.52,108.18,76.74,111.11,76.72,111.94,76.55,112.09,76.48,111.94,76.38,112.3,76.44,112.62,76.38,112.8,76.13,112.66,76.05,113.09,76.13,113.15,76.17,112.99,76.24,113.27,76.25,113.56,75.89,113.86,75.92,113.87,75.86,113.62,75.59,113.49,75.56,113.52,75.62,113.39,75.68,112.45,75.83,112.96,75.57,113.24,75.61,113.73,75.45,113.62,75.29,112.92,75.02,109.84,74.32,109.91,74.26,109.81,74.17,109.08,74.03,108.2,73.69,107.27,73.62,106.68,73.33,106.19,73.31,105.68,72.96,105.14,72.78,105.71,72.84,106.48,73.14,107.75,73.17,109.09,73.38,109.33,73.49,109.86,73.47,110.77,73.69,110.87,73.73,110.72,73.78,110.09,73.71,109.71,73.74,109.67,73.8,109.87,73.93,110.26,74.02,111.06,73.94,111.13,74.05,111.55,74.03,111.23,73.97,111.4,73.83,112.15,73.71,112.79,73.75,112.94,73.84,112.84,73.96,113.03,73.91,113.42,73.65,113.16,73.46,113.49,73.35,113.47,73.05,113.13,72.83,113.16,72.77,113.31,72.66,113.67,72.64,113.22,72.81,113.54,73.06,113.56,73.23,113.89,73.35,113.54,73.43,113.51,73.5,114.06,73.58,115.34,73.7,118.45,73.59,118.94,73.48,118.46,73.46,118.38,73.37,118.43,73.25,119.75,72.98,121.75,72.97,122.54,72.88,122.75,72.91,122.5,72.97,122.53,73.02,123.16,72.95,123.62,73.19,123.32,73.43,123.31,73.53,123.41,73.64,124.54,73.75,125.62,73.52,125.6,73.45,126.26,73.55,126.35,73.51,126.29,73.39,126.55,73.33,127.03,73.55,127.74,73.48,128.28,73.33,128.26,73.27,128.59,73.26,128.89,73.19,128.91,73.11,129.1,73.11,128.6,72.9,129.02,72.87,129.25,72.7,128.42,72.53,129.28,72.44,129.41,72.32,129.41,72.17,129.28,72.09,128.93,72.08,127.73,72.41,128.91,71.75,129.12,71.82,129.12,71.95,129.21,71.92,129.46,71.74,128.84,71.66,129.14,71.59,129.76,71.12,130.54,70.89,130.76,70.96,131.02,70.75,131.43,70.83,132.04,71.24,132,71.35,132.23,71.64,132.65,71.93,133.13,71.61,133.69,71.43,134.7,71.39,135.56,71.61,136.09,71.62,137.12,71.42,137.94,71.13,137.84,71.23,138.32,71.33,137.92,71.38,138.23,71.6,138.52,71.56,138.78,71.63,139.21,71.44,139.99,71.49,139.69,71.7,139.72,71.89,139.36,71.95,139.64,72,139.85,72.15,140.19,72.19,139.62,72.23,139.18,72.16,139.14,72.33,139.6,72.5,140.45,72.49,141.08,72.59,140.97,72.72,140.65,72.84,140.81,72.89,142.06,72.72,143.52,72.7,146.25,72.44,146.24,72.35,144.78,72.38,144.17,72.26,144.29,72.19,146.83,72.29,146.6,72.12,146.11,71.95,146,71.95,146.23,72.14,145.76,72.23,145.66,72.07,145.76,71.94,145.07,71.93,144.99,71.75,145.19,71.7,146.07,71.81,147.26,72.33,148.4,72.31,149.5,72.16,149.96,71.99,150.02,71.9,149.05,71.8,148.97,71.69,149.5,71.66,150.06,71.51,150.6,71.52,150.67,71.45,150.1,71.23,150.97,71.38,151.58,71.29,152.09,71.02,151.76,70.98,152.51,70.83,153.8,70.88,155.89,71.1,157.45,71.07,158.7,70.94,159.35,70.79,159.91,70.51,160.01,70.31,159.73,69.87,159.83,69.78,160.91,69.61,161.04,69.1,161.34,68.9,161.13,68.65,160.86,68.54,161.1,68.56,161.37,68.82,161.56,68.9,161.48,69.2,161.54,69.38,162.17,69.61,163.2,69.72,163.95,69.74,164.51,69.61,166.89,69.5,167.63,69.74,167.86,69.73,168.15,69.58,168.3,69.27,169.31,69.08,169.61,68.79,170.54,68.83,171,69.04,171,69.14,170.58,69.58,170.16,69.63,170.5,69.86,170.49,70.11,172.56,69.97,173.28,69.82,173.44,69.95,174.79,69.86,175.92,69.9,176.93,69.65,178.85,69.39,178.95,69.29,179.27,69.26,179.87,69.01,-180,68.98,-178.87,68.75,-178.54,68.58,-178.75,68.66,-178.69,68.55,-178.1,68.43,-178.06,68.27,-177.8,68.34,-178.25,68.54,-177.53,68.3,-177.59,68.22,-177.3,68.22,-175.35,67.68,-175.23,67.45,-175.37,67.36,-175,67.44,-174.85,67.35,-174.94,67.09,-174.78,66.92,-174.77,66.78,-174.92,66.62,-174.5,66.54,-174.39,66.34,-174.09,66.47,-174.02,66.38,-174.06,66.23,-173.78,66.43,-174.23,66.63,-174.01,66.78,-174.09,66.94,-174.55,67.09,-173.68,67.14,-173.16,67.07,-173.34,66.91,-173.26,66.84,-173.17,66.86,-173.19,66.99,-172.52,66.95,-173.01,67.06,-171.8,66.93,-171.36,66.68,-170.51,66.34,-170.6,66.25,-170.3,66.29,-170.19,66.2,-170.24,66.17,-169.78,66.14,-169.73,66.06,-169.83,66,-170.16,66.01,-170.54,65.86,-170.56,65.66,-170.67,65.62,-171.42,65.81,-171.13,65.63,-171.05,65.55,-171.1,65.51,-171.91,65.5,-172.44,65.67,-172.78,65.68,-172.35,65.5,-172.42,65.45,-172.23,65.45,-172.31,65.28,-172.66,65.25,-172.29,65.2,-172.21,65.05,-172.59,64.91,-173.07,64.85,-172.8,64.79,-172.92,64.7,-172.9,64.63,-172.49,64.54,-172.38,64.43,-172.74,64.41,-172.9,64.53,-172.92,64.37,-173.16,64.28,-173.38,64.35,-173.33,64.54,-173.6,64.36,-173.73,64.36,-174.57,64.72,-175.44,64.82,-175.85,65.01,-175.86,65.23,-176.09,65.47,-177.06,65.61,-177.49,65.5,-178.41,65.49,-178.53,65.59,-178.5,65.74,-178.79,65.86,-178.94,66.03,-178.75,66.01,-178.59,66.2,-178.53,66.4,-178.87,66.19,-179.1,66.23,-179.14,66.37,-179.34,66.29,-179.33,66.16,-179.61,66.13,-179.68,66.18,-179.79,65.9,-179.73,65.8,-179.37,65.64,-179.35,65.52,-179.7,65.19,-180,65.07,179.83,65.03,179.45,64.82,178.52,64.6,177.75,64.72,177.18,65.01,176.88,65.08,176.34,65.05,177.04,65,177.22,64.86,177.07,64.79,176.06,64.96,175.78,64.84,174.55,64.68,175.68,64.78,176.06,64.9,176.25,64.84,176.35,64.7,176.14,64.59,176.51,64.68,176.84,64.63,177.39,64.77,177.47,64.74,177.43,64.44,177.69,64.3,178.05,64.22,178.23,64.36,178.48,64.13,178.45,64.01,178.65,63.97,178.69,63.84,178.73,63.67,178.47,63.57,178.65,63.56,178.68,63.4,178.74,63.39,178.79,63.54,178.92,63.35,179.33,63.19,179.41,63.08,179.26,63.01,179.57,62.77,179.48,62.61,179.18,62.47,179.12,62.32,178.02,62.55,177.29,62.6,177.34,62.78,177.02,62.78,176.97,62.66,177.16,62.56,176.7,62.51,176.33,62.35,174.72,61.95,174.51,61.82,173.82,61.68,173.62,61.72,173.13,61.41,172.86,61.47,172.81,61.44,172.91,61.31,172.73,61.31,172.58,61.19,172.4,61.17,172.39,61.06,170.61,60.43,170.35,59.97,169.98,60.07,169.62,60.44,169.23,60.6,168.46,60.59,167.23,60.41,166.27,59.86,166.19,59.85,166.14,59.98,166.35,60.48,165.09,60.1,165.07,59.94,164.96,59.84,164.44,60.07,164.11,59.9,164.13,59.98,163.78,60.04,163.49,59.89,163.32,59.71,163.27,59.3,163.08,59.13,162.94,59.12,162.97,58.99,162.14,58.45,161.96,58.08,162.04,57.92,162.41,57.78,162.39,57.72,162.52,57.9,162.66,57.95,163.23,57.79,163.19,57.64,162.78,57.36,162.76,57.24,162.8,56.81,162.92,56.72,163.26,56.69,163.34,56.23,163.05,56.04,162.84,56.06,162.63,56.23,163.04,56.52,162.67,56.49,162.49,56.4,162.53,56.26,162.09,56.09,161.72,55.5,161.78,55.21,162.08,54.89,162.1,54.75,161.63,54.52,161.29,54.52,161.13,54.6,160.77,54.54,160.07,54.19,159.84,53.78,159.95,53.55,159.9,53.38,160.02,53.13,159.58,53.24,158.95,53.05,158.75,52.91,158.57,53.05,158.47,53.03,158.43,52.96,158.61,52.87,158.48,52.63,158.49,52.38,158.1,51.81,156.75,50.97,156.67,51.23,156.52,51.38,156.37,52.51,156.11,52.87,155.56,55.2,155.72,56.07,156.02,56.75,156.73,57.15,156.85,57.29,156.98,57.47,156.95,57.62,156.79,57.75,156.87,57.8,157.45,57.8,157.67,58.02,158.27,58.01,158.45,58.16,159.21,58.52,159.59,58.8,159.85,59.13,161.76,60.15,162.07,60.47,162.97,60.78,163.35,60.8,163.71,60.92,163.56,61.03,164.01,61.34,163.8,61.46,163.88,61.64,164.02,61.71,164.07,62.05,164.21,62.29,164.6,62.47,165.21,62.37,165.21,62.45,165.4,62.49,164.79,62.57,164.42,62.71,163.33,62.55,163.02,61.89,163.01,61.79,163.26,61.7,163.09,61.57,162.99,61.54,162.86,61.71,162.39,61.66,160.77,60.75,160.17,60.64,160.38,61.02,159.79,60.96,159.95,61.13,159.88,61.29,160.25,61.65,160.31,61.89,159.55,61.72,159.19,61.93,158.07,61.75,157.47,61.8,157.09,61.68,156.68,61.48,156.63,61.27,156.06,61,155.72,60.68,154.97,60.38,154.58,60.1,154.44,59.88,154.29,59.83,154.27,59.66,154.15,59.53,154.27,59.47,154.58,59.54,154.97,59.45,155.17,59.36,155.16,59.19,154.7,59.14,154.46,59.22,154.01,59.08,153.69,59.22,153.36,59.21,153.27,59.09,153.08,59.08,152.82,58.93,152.32,59.03,152.09,58.91,151.33,58.88,151.12,59.08,151.99,59.16,152.26,59.22,152.17,59.28,151.8,59.32,151.35,59.56,151.03,59.59,150.82,59.46,150.48,59.5,150.67,59.56,149.64,59.77,149.06,59.63,149.21,59.49,148.8,59.53,148.71,59.45,148.74,59.37,148.96,59.37,148.91,59.28,148.73,59.26,148.49,59.26,148.26,59.41,147.51,59.27,146.54,59.46,146.27,59.22,146.05,59.17,145.76,59.37,145.55,59.41,143.87,59.41,143.19,59.37,142.33,59.15,141.6,58.65,140.79,58.3,140.45,57.81,140,57.69,139.8,57.51,138.66,56.97,137.69,56.14,136.46,55.58,136.18,55.35,135.54,55.11,135.21,54.84,135.26,54.73,135.85,54.58,136.8,54.62,136.82,54.45,136.68,53.93,136.72,53.8,136.8,53.78,137.16,53.82,137.26,54.03,137.09,54.13,137.14,54.18,137.38,54.28,137.67,54.28,137.34,54.1,137.84,53.95,137.25,53.55,137.95,53.6,138.25,53.73,138.38,53.91,138.53,53.96,138.57,53.82,138.25,53.52,138.45,53.54,138.7,53.87,138.66,54.3,139.32,54.19,139.71,54.28,140.18,54.05,140.35,53.81,140.69,53.6,141.38,53.29,141.4,53.18,141.18,53.01,140.84,53.09,141.26,52.84,141.25,52.55,141.13,52.43,141.49,52.18,141.37,51.92,140.93,51.62,140.52,50.8,140.48,50.55,140.54,50.13,140.62,50.08,140.46,49.91,140.52,49.6,140.32,49.12,140.38,48.96,140.22,48.77,140.11,48.42,139.37,47.89,139,47.38,138.59,47.06,138.34,46.54,137.69,45.82,136.8,45.17,136.14,44.49,135.87,44.37,135.48,43.83,135.13,43.53,134.01,42.95,133.16,42.7,132.71,42.88,132.3,42.88,132.31,43.31,131.87,43.1,132.01,43.28,131.94,43.3,131.72,43.2,131.16,42.63,130.71,42.66,130.83,42.52,130.69,42.3]],[[47.44,80.85,48.45,80.81,48.69,80.72,48.69,80.63,48.04,80.67,47.71,80.76,47.3,80.61,46.14,80.45,45.97,80.57,44.91,80.61,47.44,80.85]],[[50.28,80.93,50.8,80.91,51.7,80.69,50.96,80.54,49.84,80.5,49.59,80.38,48.81,80.35,48.68,80.3,48.96,80.27,48.98,80.16,48.58,80.2,48.39,80.1,47.74,80.08,47.63,80.11,47.98,80.21,47.89,80.24,46.99,80.18,46.64,80.3,47.9,80.53,49.09,80.52,49.19,80.56,49.15,80.71,49.24,80.82,50.28,80.93]],[[67.77,76.24,61.36,75.32,60.72,75.07,60.28,75.01,60.5,74.9,60.08,74.76,59.75,74.75,59.77,74.66,59.67,74.61,59.24,74.69,59.04,74.49,58.53,74.5,58.66,74.29,58.62,74.23,58.44,74.13,57.77,74.01,57.87,73.85,57.76,73.77,57.31,73.84,57.54,73.66,56.97,73.37,56.63,73.31,55.01,73.45,54.3,73.35,54.13,73.48,54.2,73.54,53.76,73.77,54.64,73.96,55.34,74.42,56.14,74.5,55.66,74.56,55.58,74.63,56.5,74.96,56,75,55.82,75.09,55.92,75.17,56.57,75.1,56.88,75.24,56.84,75.35,57.61,75.34,57.78,75.51,58.09,75.59,58.06,75.66,58.88,75.86,60.04,75.98,60.28,76.1,60.94,76.07,61.05,76.12,61.03,76.23,61.2,76.28,62.97,76.24,64.46,76.38,65.76,76.58,66.06,76.75,66.83,76.92,67.65,77.01,68.49,76.93,68.94,76.71,68.9,76.57,68.16,76.28,67.77,76.24]],[[55.32,73.31,56.43,73.2,56.19,73.03,56.12,72.81,55.72,72.77,55.62,72.6,55.4,72.55,55.36,72.41,55.52,72.22,55.3,71.94,56.45,71.11,57.62,70.73,57.15,70.59,56.39,70.73,56.26,70.71,56.56,70.59,56.44,70.56,56.14,70.66,55.8,70.62,55.69,70.69,55.05,70.67,54.65,70.74,54.6,70.68,53.72,70.81,53.38,70.87,53.61,70.91,53.59,71.05,54.16,71.12,53.62,71.33,53.41,71.34,53.32,71.4,53.41,71.53,51.81,71.49,51.59,71.57,51.44,71.78,51.44,71.93,51.58,72.07,51.89,72.15,52.25,72.13,52.62,72.3,52.92,72.67,52.55,72.77,52.91,72.9,53.37,72.92,53.25,72.97,53.19,73.1,53.25,73.18,54.81,73.39,55.32,73.31]],[[96.53,81.08,96.76,80.96,97.87,80.76,97.86,80.7,97.11,80.61,97.03,80.54,97.42,80.32,97.17,80.24,94.56,80.13,93.65,80.01,91.64,80.27,91.53,80.36,92.83,80.62,93.26,80.79,92.61,80.81,93.36,81.03,94.84,81.14,95.16,81.27,95.8,81.28,96.53,81.08]],[[97.67,80.16,98.02,80.02,97.63,79.85,97.59,79.78,97.65,79.76,98.06,79.9,98.35,79.88,98.6,80.05,99.29,80.02,100.06,79.78,99.78,79.63,99.68,79.32,99.04,79.29,99.82,79.1,99.9,79.01,99.93,78.96,99.44,78.83,97.9,78.81,96.81,78.99,95.7,79.01,95.53,79.1,95.02,79.05,94.65,79.13,94.22,79.4,93.07,79.5,94.99,80.1,95.28,80.03,95.5,80.11,97.67,80.16]],[[102.88,79.25,102.41,78.84,102.95,79.06,103.8,79.15,104.09,79.01,104.45,78.96,104.45,78.88,105.14,78.82,105.31,78.67,105.31,78.5,104.74,78.34,103,78.26,102.8,78.19,101.2,78.19,100.08,77.97,99.29,78.04,100.02,78.34,100.42,78.75,100.95,78.79,100.86,78.93,101.03,79.02,101.05,79.12,101.54,79.25,101.59,79.35,101.83,79.37,102.01,79.26,102.25,79.26,102.18,79.37,102.4,79.43,103.04,79.33,103.1,79.3,102.88,79.25]],[[140.05,75.83,140.39,75.8,140.55,75.66,140.82,75.63,140.94,75.7,140.99,75.96,141.49,76.14,142.67,75.86,143.19,75.81,143.69,75.86,145.36,75.53,144.8,75.42,144.73,75.37,144.89,75.27,144.02,75.04,143.17,75.12,142.82,75.27,142.7,75.45,142.74,75.54,142.98,75.63,142.94,75.71,142.31,75.69,142.09,75.66,142.2,75.39,142.62,75.13,143.13,74.97,142.47,74.82,141.99,74.99,140.27,74.85,139.68,74.96,139.33,74.69,139.1,74.66,138.09,74.8,137,75.24,136.98,75.37,137.29,75.35,137.21,75.55,137.27,75.75,137.71,75.76,137.5,75.91,137.62,75.99,138.82,76.2,140.05,75.83]],[[146.8,75.37,147.5,75.44,148.43,75.41,148.51,75.39,148.47,75.27,148.59,75.24,150.11,75.22,150.53,75.1,150.82,75.16,150.58,74.92,149.84,74.79,148.3,74.8,146.15,75.2,146.44,75.56,146.75,75.51,146.8,75.37]],[[142.76,54.39,142.98,54.14,142.92,53.79,143.26,53.22,143.33,52.96,143.32,52.61,143.17,52.35,143.19,51.95,143.32,51.58,143.46,51.47,143.82,50.28,144.34,49.18,144.69,48.87,144.71,48.64,144.62,48.82,144.05,49.25,143.73,49.31,143.1,49.2,142.57,48.07,142.56,47.74,142.75,47.45,142.94,47.32,143.22,46.79,143.48,46.75,143.58,46.36,143.43,46.03,143.28,46.56,142.58,46.7,142.4,46.56,142.08,45.92,141.96,46.01,141.83,46.45,142.04,47.14,141.97,47.59,142.18,48.01,142.13,48.29,141.86,48.75,142.14,49.57,142.15,50.22,142.07,50.63,142.21,51,142.21,51.22,142.09,51.43,141.72,51.74,141.81,51.79,141.67,51.93,141.66,52.27,141.85,52.79,141.83,53.34,142.14,53.5,142.32,53.41,142.53,53.45,142.58,53.54,142.51,53.59,142.68,53.67,142.71,53.89,142.34,54.28,142.55,54.28,142.69,54.42,142.76,54.39]],[[-180,71.54,-179.11,71.6,-178.44,71.54,-177.53,71.26,-177.52,71.17,-177.82,71.07,-179.42,70.92,-180,70.99,179.88,70.98,178.79,70.82,178.63,71.05,178.68,71.11,179.88,71.52,-180,71.54]],[[35.81,65.18,35.86,65.08,35.78,64.98,35.53,65.15,35.81,65.18]],[[42.71,66.7,42.46,66.77,42.63,66.78,42.71,66.7]],[[52.9,71.36,53.19,71.21,53.05,71.03,53.12,70.98,53.02,70.97,52.74,71.18,52.24,71.32,52.73,71.4,52.9,71.36]],[[167.44,54.51,168.08,54.51,168.08,54.86,167.44,54.86,167.44,54.51]],[[160.72,70.82,160.51,70.82,160.44,70.92,160.72,70.82]],[[161.47,68.9,161.46,69,161.14,69.11,161.16,69.33,161.08,69.41,161.51,69.64,161.62,69.59,161.61,69.5,161.35,69.37,161.4,69.11,161.52,68.97,161.47,68.9]],[[152.88,76.12,152.56,76.14,152.8,76.2,152.88,76.12]],[[149.15,76.66,148.4,76.65,148.72,76.75,149.41,76.78,149.15,76.66]],[[137.96,71.51,137.71,71.42,137.06,71.53,137.82,71.59,137.96,71.51]],[[107.7,78.13,107.48,78.06,106.42,78.14,107.51,78.19,107.7,78.13]],[[112.48,76.62,112.66,76.51,112.53,76.45,111.97,76.63,112.48,76.62]],[[96.53,76.28,96.59,76.22,96.35,76.21,96.3,76.12,95.31,76.21,95.38,76.29,96.53,76.28]],[[96.28,77.03,95.27,77.02,96.53,77.21,96.56,77.13,96.28,77.03]],[[89.51,77.19,89.14,77.23,89.62,77.31,89.66,77.25,89.51,77.19]],[[74.66,72.87,74.1,73.02,74.41,73.13,74.96,73.06,74.74,73.03,74.65,72.97,74.66,72.87]],[[75.51,73.46,75.38,73.48,75.57,73.54,76.05,73.55,75.83,73.46,75.51,73.46]],[[83.55,74.07,82.82,74.09,83.15,74.15,83.55,74.07]],[[67.34,69.53,67.26,69.44,67.03,69.48,67.21,69.58,67.34,69.53]],[[66.56,70.54,66.41,70.62,66.44,70.77,66.56,70.54]],[[70.02,66.5,69.85,66.49,69.47,66.72,70.08,66.7,70.11,66.57,70.02,66.5]],[[50.05,80.07,49.56,80.16,50.25,80.22,50.32,80.17,50.05,80.07]],[[51.41,79.94,50.09,79.98,50.94,80.09,51.26,80.05,51.24,79.99,51.41,79.94]],[[50.76,81.05,50.37,81.12,50.88,81.15,50.95,81.11,50.76,81.05]],[[55.48,80.27,54.98,80.26,55.24,80.33,55.48,80.27]],[[54.42,80.47,54.28,80.42,53.81,80.48,53.9,80.51,53.88,80.61,54.41,80.54,54.42,80.47]],[[59.69,79.96,58.92,79.99,58.95,80.04,59.54,80.12,59.91,79.99,59.69,79.96]],[[58.62,81.04,58.93,80.83,58.64,80.77,57.94,80.79,57.21,81.02,58.05,81.12,58.62,81.04]],[[47.92,45.47,47.99,45.47,47.99,45.65,47.92,45.65,47.92,45.47]],[[50.27,69.19,50.22,69.05,50.09,69.12,49.62,68.86,48.91,68.74,48.44,68.81,48.28,69.04,48.32,69.27,48.42,69.35,48.96,69.51,49.23,69.51,50.27,69.19]],[[63.37,80.7,62.52,80.82,63.11,80.97,64.1,81,64.31,81.17,65.17,81.14,65.38,81.06,65.44,80.93,64.55,80.76,63.37,80.7]],[[57.96,80.12,57.33,80.16,57.18,80.4,57.01,80.47,57.08,80.49,58.48,80.46,59.25,80.34,58.4,80.32,57.96,80.12]],[[62.17,80.83,62.23,80.79,62.08,80.62,61.05,80.42,60.28,80.49,59.65,80.43,59.29,80.57,59.39,80.71,59.72,80.84,60.48,80.8,61.6,80.89,62.17,80.83]],[[61.14,80.95,60.06,80.99,60.59,81.09,61.46,81.1,61.57,81.05,61.14,80.95]],[[53.52,80.18,52.63,80.18,52.21,80.26,53.19,80.41,53.85,80.27,53.52,80.18]],[[57.08,80.35,57.12,80.19,56.99,80.07,55.72,80.11,56.01,80.2,56.03,80.34,57.08,80.35]],[[57.81,81.55,58.56,81.42,57.86,81.37,58.02,81.25,57.45,81.14,56.82,81.24,56.51,81.17,55.72,81.19,55.47,81.31,56.16,81.3,57.09,81.54,57.81,81.55]],[[54.72,81.12,56.47,81,57.69,80.79,56.32,80.63,54.67,80.74,54.07,80.81,54.05,80.87,54.37,80.9,54.72,81.12]],[[63.65,81.61,62.11,81.68,63.71,81.69,63.78,81.65,63.65,81.61]],[[58.3,81.72,57.92,81.71,58.14,81.83,59.41,81.83,59.36,81.76,58.3,81.72]],[[92.68,79.68,92.15,79.68,91.38,79.84,91.07,79.98,92.17,80.05,93.8,79.91,92.68,79.68]],[[91.57,81.14,91.22,81.06,89.98,81.11,89.9,81.17,91.57,81.14]],[[141.01,74,140.41,73.92,140.18,74,140.1,74.18,140.3,74.26,140.94,74.27,141.1,74.17,141.01,74]],[[142.19,73.9,143.34,73.57,143.46,73.46,143.45,73.23,141.6,73.31,140.66,73.45,139.92,73.36,139.69,73.42,140.38,73.48,141.08,73.87,142.19,73.9]],[[135.95,75.41,135.45,75.39,135.7,75.84,136.17,75.61,135.98,75.52,136.02,75.44,135.95,75.41]],[[136.2,73.91,136.12,73.88,135.39,74.25,136.04,74.09,136.26,73.99,136.2,73.91]],[[137.94,55.09,138.21,55.03,137.72,54.66,137.46,54.87,137.23,54.79,137.58,55.2,137.94,55.09]],[[169.2,69.58,168.35,69.66,167.79,69.84,168.06,69.98,168.36,70.02,169.38,69.88,169.42,69.78,169.33,69.77,169.2,69.58]],[[163.63,58.6,163.47,58.51,163.43,58.58,163.73,58.8,163.76,59.01,164.57,59.22,164.66,58.97,164.62,58.89,163.63,58.6]],[[166.65,54.84,166.64,54.69,165.75,55.29,165.93,55.35,166.28,55.31,166.25,55.17,166.65,54.84]],[[154.81,49.31,154.61,49.29,154.61,49.38,154.82,49.65,154.9,49.63,154.81,49.31]],[[156.41,50.66,156.17,50.73,156.46,50.86,156.48,50.75,156.41,50.66]],[[155.92,50.3,155.4,50.04,155.24,50.09,155.2,50.26,155.68,50.4,155.88,50.68,156.1,50.77,156.1,50.56,155.92,50.3]],[[154.08,48.79,153.99,48.77,154.13,48.9,154.23,48.89,154.08,48.79]],[[155.65,50.82,155.55,50.81,155.47,50.91,155.64,50.91,155.65,50.82]],[[152.99,47.71,153.1,47.71,153.1,47.81,152.99,47.81,152.99,47.71]],[[152,46.9,151.82,46.79,151.71,46.85,151.87,46.87,152.29,47.14,152,46.9]],[[149.69,45.64,149.45,45.59,149.67,45.84,150.31,46.2,150.55,46.21,149.69,45.64]],[[148.6,45.32,148.26,45.22,147.91,44.99,147.66,44.98,147.21,44.55,146.9,44.4,147.25,44.86,147.88,45.23,147.92,45.38,148.06,45.26,148.32,45.28,148.77,45.53,148.84,45.36,148.6,45.32]],[[146.71,43.74,146.61,43.74,146.62,43.81,146.83,43.86,146.9,43.8,146.71,43.74]],[[146.21,44.5,146.57,44.44,146.52,44.37,145.91,44.1,145.59,43.85,145.55,43.66,145.44,43.74,145.46,43.87,145.75,44.07,146.11,44.5,146.21,44.5]],[[113.39,74.4,113.26,74.27,112.78,74.09,112.1,74.16,111.5,74.35,111.88,74.36,112.09,74.55,113.39,74.4]],[[76.25,79.65,77.59,79.5,76.65,79.49,76.15,79.58,76.05,79.64,76.25,79.65]],[[80.03,80.85,78.98,80.85,79.22,80.96,79.81,80.97,80.43,80.93,80.03,80.85]],[[70.67,73.1,69.92,73.08,70.02,73.22,70,73.36,70.35,73.48,71.02,73.5,71.63,73.23,71.62,73.17,70.67,73.1]],[[77.63,72.29,76.87,72.32,77.38,72.57,77.75,72.63,78.36,72.48,77.63,72.29]],[[79.5,72.72,78.88,72.75,78.63,72.85,79.16,73.1,79.54,72.92,79.5,72.72]],[[82.17,75.42,82.22,75.35,82.05,75.34,81.98,75.25,81.5,75.37,81.71,75.45,81.93,75.41,81.91,75.5,82.02,75.51,82.17,75.52,82.17,75.42]],[[60.45,69.94,60.44,69.73,59.64,69.72,59.5,69.87,58.95,69.89,58.47,70.27,58.79,70.43,59.05,70.46,60.45,69.94]],[[20.96,55.28,20.59,54.98,20.89,54.91,21.19,54.93,21.23,55.26,22.07,55.06,22.57,55.06,22.83,54.87,22.69,54.56,22.76,54.36,19.6,54.46,19.86,54.63,19.97,54.92,20.52,55,20.96,55.28]],[[33.59,46.1,33.66,46.22,33.81,46.21,34.35,46.06,34.45,45.97,34.69,45.98,34.8,45.79,35,45.73,35.46,45.32,36.01,45.37,36.17,45.45,36.57,45.39,36.39,45.07,35.87,45,35.68,45.1,35.47,45.1,35.09,44.8,34.72,44.81,34.47,44.72,34.08,44.42,33.76,44.4,33.45,44.55,33.61,44.91,33.55,45.1,32.92,45.35,32.61,45.33,32.51,45.4,33.67,45.95,33.59,46.1]]]],
+    ['RW', 'Africa', [28.86, -2.81, 30.88, -1.07], [[[29.58,-1.39,29.82,-1.34,29.93,-1.47,30.36,-1.07,30.51,-1.07,30.51,-1.21,30.81,-1.56,30.88,-2.14,30.83,-2.34,30.56,-2.4,30.41,-2.31,30.12,-2.42,29.93,-2.34,29.87,-2.72,29.7,-2.79,29.39,-2.81,29.3,-2.67,29.1,-2.6,29.01,-2.72,28.92,-2.68,28.86,-2.45,29.13,-2.2,29.14,-1.82,29.35,-1.52,29.58,-1.39]]]],
+    ['SA', 'Asia', [34.62, 16.37, 55.64, 32.13], [[[36.9,25.38,36.5,25.64,36.53,25.69,36.75,25.56,36.96,25.41,36.9,25.38]],[[41.99,16.71,42.06,16.71,42.06,16.8,42.17,16.71,42.16,16.57,42.07,16.67,41.9,16.68,41.78,16.85,41.86,16.89,41.86,17,41.95,16.94,41.99,16.71]],[[51.98,19,49.04,18.58,48.17,18.16,47.58,17.45,47.44,17.11,47.14,16.95,46.98,16.95,46.73,17.27,45.54,17.3,45.15,17.43,44.16,17.4,43.92,17.32,43.42,17.52,43.19,17.36,43.24,17.27,43.16,17.2,43.12,16.94,43.17,16.69,42.8,16.37,42.7,16.74,42.39,17.12,42.3,17.44,41.75,17.88,41.23,18.68,41.12,19.08,40.76,19.75,40.08,20.27,39.73,20.39,39.27,20.97,39.09,21.31,39.15,21.52,38.99,21.88,39.09,22.39,39.06,22.59,38.46,23.71,37.92,24.18,37.54,24.29,37.18,24.82,37.27,24.96,37.15,25.29,36.92,25.64,36.76,25.75,36.68,26.04,36.52,26.1,36.25,26.59,35.18,28.04,34.72,28.13,34.62,28.06,34.95,29.35,36.07,29.2,36.48,29.5,36.75,29.87,37.47,30,37.63,30.31,37.98,30.5,36.96,31.49,38.96,32,39.14,32.13,40.37,31.94,42.08,31.08,44.69,29.2,47.43,28.99,47.67,28.53,48.44,28.54,48.81,27.9,48.8,27.72,49.24,27.49,49.17,27.44,49.41,27.18,49.54,27.15,50.15,26.66,50.01,26.68,50.03,26.53,50.22,26.31,50.15,26.1,50.03,26.11,50.24,25.62,50.46,25.42,50.56,25.09,50.93,24.59,51.41,24.57,51.31,24.34,51.57,24.29,51.59,24.08,52.56,22.93,55.1,22.62,55.19,22.7,55.64,22,54.98,20,51.98,19]],[[36.6,25.71,36.54,25.74,36.58,25.85,36.6,25.71]]]],
+    ['SB', 'Oceania', [155.68, -11.81, 166.93, -6.64], [[[159.69,-8.51,159.57,-8.48,159.55,-8.4,159.69,-8.51]],[[166.93,-11.67,166.81,-11.68,166.75,-11.59,166.86,-11.58,166.93,-11.67]],[[166.13,-10.76,165.9,-10.85,165.79,-10.79,166.02,-10.66,166.16,-10.69,166.13,-10.76]],[[160.58,-11.8,160.44,-11.81,160.27,-11.66,160,-11.58,160,-11.47,160.58,-11.8]],[[161.55,-9.63,161.55,-9.77,161.41,-9.68,161.36,-9.35,161.55,-9.63]],[[159.19,-9.12,159.04,-9.08,159.13,-8.99,159.23,-9.03,159.19,-9.12]],[[160.17,-9,160.41,-9.14,160.28,-9.17,160.11,-9.08,160.17,-9]],[[157.76,-8.24,157.9,-8.51,157.82,-8.61,157.59,-8.45,157.56,-8.27,157.3,-8.33,157.22,-8.26,157.49,-7.97,157.6,-8.01,157.65,-8.22,157.76,-8.24]],[[158.15,-8.83,158.25,-8.83,158.25,-8.68,158.15,-8.68,158.15,-8.83]],[[158.11,-8.68,157.94,-8.74,157.91,-8.56,158.1,-8.54,158.11,-8.68]],[[157.39,-8.71,157.21,-8.56,157.38,-8.42,157.33,-8.65,157.39,-8.71]],[[156.69,-7.92,156.51,-7.71,156.56,-7.57,156.81,-7.72,156.69,-7.92]],[[156.54,-8.2,156.61,-8.2,156.61,-7.96,156.54,-7.96,156.54,-8.2]],[[157.17,-8.11,157.04,-8.12,156.96,-8.01,157.02,-7.87,157.19,-7.94,157.17,-8.11]],[[155.84,-7.1,155.68,-7.09,155.74,-6.97,155.87,-7.04,155.84,-7.1]],[[157.45,-8.79,157.64,-8.79,157.64,-8.7,157.45,-8.7,157.45,-8.79]],[[159.75,-9.27,159.97,-9.43,160.35,-9.42,160.62,-9.59,160.82,-9.86,160.65,-9.93,160.32,-9.82,159.85,-9.79,159.62,-9.53,159.62,-9.31,159.75,-9.27]],[[159.88,-8.53,158.94,-8.04,158.6,-7.76,158.46,-7.54,158.73,-7.6,159.11,-7.9,159.43,-8.03,159.84,-8.33,159.79,-8.41,159.88,-8.53]],[[157.49,-7.33,157.44,-7.43,157.1,-7.32,156.5,-6.76,156.45,-6.64,156.6,-6.64,157.03,-6.89,157.19,-7.16,157.49,-7.33]],[[160.75,-8.31,161,-8.61,160.95,-8.8,161.16,-8.96,161.37,-9.61,160.87,-9.16,160.77,-8.96,160.66,-8.62,160.71,-8.54,160.59,-8.37,160.75,-8.31]],[[161.72,-10.39,162.1,-10.45,162.37,-10.82,161.91,-10.76,161.54,-10.57,161.49,-10.36,161.29,-10.33,161.31,-10.2,161.72,-10.39]]]],
+    ['SC', 'Africa', [55.38, -4.79, 55.54, -4.56], [[[55.54,-4.69,55.54,-4.79,55.38,-4.61,55.46,-4.56,55.54,-4.69]]]],
+    ['SD', 'Africa', [21.83, 8.67, 38.61, 22.2], [[[34.08,9.46,33.87,9.51,33.96,9.86,33.91,10.18,33.38,10.65,33.13,10.75,33.17,10.85,33.07,11.61,33.2,12.22,32.72,12.22,32.74,12.01,32.07,12.01,32.34,11.69,32.34,11.31,32.42,11.09,31.93,10.66,31.65,10.22,31.15,9.77,30.76,9.73,30,10.28,29.6,10.06,29.6,9.92,29.47,9.77,28.98,9.59,28.84,9.46,28.85,9.33,28.05,9.33,27.88,9.6,27.07,9.61,26.66,9.48,25.92,10.17,25.8,10.42,25.07,10.29,25,10.06,24.78,9.77,24.78,9.53,24.67,9.39,24.53,8.89,24.21,8.77,24.15,8.67,23.54,8.82,23.47,9.11,23.62,9.34,23.65,9.82,23.31,10.39,22.86,10.92,22.92,11.35,22.59,11.58,22.58,11.99,22.47,12.07,22.35,12.66,21.93,12.68,21.83,12.79,21.99,13.11,22.23,13.33,22.11,13.8,22.54,14.16,22.38,14.55,22.67,14.72,22.76,15,22.93,15.16,22.93,15.53,23.11,15.7,23.97,15.72,23.98,20,24.98,20,24.98,22,31.21,21.99,31.4,22.2,31.49,22.15,31.43,22,36.87,22,36.93,21.59,37.26,21.11,37.26,21.04,37.15,21.1,37.14,20.98,37.23,20.56,37.19,20.12,37.25,19.58,37.47,18.82,38.61,18,38.22,17.56,37.55,17.32,37.41,17.06,37.01,17.06,36.89,16.62,36.91,16.3,36.43,15.13,36.52,14.26,36.39,13.63,36.16,13.09,36.12,12.76,35.67,12.62,35.11,11.82,34.93,10.86,34.77,10.75,34.57,10.88,34.34,10.66,34.27,10.53,34.31,10.19,34.08,9.46]]]],
+    ['SE', 'Europe', [11.15, 55.35, 24.15, 69.02], [[[19.07,57.84,18.82,57.71,18.79,57.48,18.91,57.4,18.48,57.16,18.34,56.98,18.15,56.92,18.29,57.08,18.11,57.27,18.14,57.56,18.54,57.83,18.8,57.83,18.9,57.92,19.07,57.84]],[[16.53,56.29,16.43,56.24,16.4,56.31,16.41,56.57,17,57.32,17.12,57.32,16.53,56.29]],[[11.39,59.04,11.47,58.91,11.64,58.93,11.8,59.29,11.68,59.59,11.93,59.86,12.49,60.11,12.59,60.45,12.3,61,12.71,61.06,12.88,61.35,12.16,61.72,12.3,62.28,12.12,62.59,12.11,62.92,12.22,63,12,63.29,12.21,63.49,12.17,63.6,12.79,64,13.2,64.07,13.96,64.01,14.14,64.17,14.08,64.46,13.65,64.58,14.48,65.3,14.64,65.79,14.54,66.13,15.04,66.17,15.49,66.31,15.42,66.49,16.4,67.06,16.44,67.15,16.13,67.43,16.19,67.51,16.46,67.55,16.79,67.9,17.33,68.1,17.92,67.97,18.18,68.2,18.16,68.53,18.38,68.56,19.97,68.36,20.24,68.48,19.97,68.54,20.24,68.67,20.35,68.85,20.12,69.02,20.9,68.98,20.92,68.91,22,68.52,22.85,68.37,23.1,68.26,23.18,68.14,23.64,67.95,23.5,67.87,23.54,67.61,23.46,67.46,23.73,67.42,23.78,67.33,23.63,67.23,23.64,67.13,23.99,66.81,23.87,66.58,23.7,66.48,23.7,66.25,24,66.06,24.15,65.81,23.69,65.83,23.1,65.74,22.75,65.87,22.54,65.8,22.4,65.86,22.25,65.6,21.92,65.53,21.95,65.47,21.88,65.42,21.57,65.41,21.52,65.36,21.61,65.26,21.41,65.32,21.57,65.13,21.14,64.81,21.52,64.46,21.02,64.18,20.76,63.87,19.91,63.61,19.72,63.46,19.36,63.48,19.04,63.24,18.61,63.18,18.53,63.06,18.31,63,18.5,62.99,18.46,62.9,18.17,62.79,17.88,62.87,17.97,62.72,17.9,62.66,18.04,62.6,17.65,62.45,17.38,62.46,17.43,62.34,17.63,62.23,17.51,62.17,17.38,61.87,17.47,61.68,17.2,61.72,17.13,61.57,17.25,60.7,17.56,60.64,17.66,60.54,17.96,60.59,18.16,60.41,18.56,60.25,18.53,60.15,18.79,60.08,18.99,59.83,18.58,59.57,17.97,59.36,18.13,59.32,18.56,59.39,18.62,59.33,18.42,59.29,18.29,59.11,16.98,58.65,16.21,58.64,16.79,58.59,16.93,58.49,16.65,58.43,16.77,58.21,16.7,58.16,16.7,57.92,16.6,57.91,16.55,57.81,16.65,57.5,16.48,57.26,16.53,57.07,16.35,56.71,15.92,56.17,14.72,56.13,14.75,56.03,14.56,56.05,14.21,55.83,14.34,55.53,14.18,55.4,13.81,55.43,13.32,55.35,12.89,55.41,12.97,55.75,12.47,56.29,12.8,56.26,12.66,56.44,12.86,56.45,12.92,56.52,12.88,56.62,12.42,56.91,12.05,57.45,11.96,57.43,11.88,57.68,11.73,57.72,11.7,57.97,11.55,58,11.45,58.12,11.43,58.34,11.25,58.37,11.15,58.99,11.19,59.08,11.39,59.04]],[[19.16,57.92,19.14,57.86,19.04,57.91,19.14,57.98,19.33,57.96,19.16,57.92]],[[18.42,59.03,18.35,59.02,18.38,59.07,18.48,59.1,18.42,59.03]],[[18.6,59.47,18.57,59.53,18.7,59.54,18.6,59.47]]]],
+    ['SG', 'Asia', [103.65, 1.27, 103.97, 1.45], [[[103.97,1.33,103.82,1.27,103.65,1.33,103.82,1.45,103.97,1.33]]]],
+    ['SH', 'Africa', [-14.38, -16, -5.69, -7.88], [[[-5.69,-16,-5.78,-16,-5.71,-15.91,-5.69,-16]],[[-14.37,-7.97,-14.38,-7.88,-14.3,-7.93,-14.37,-7.97]]]],
+    ['SI', 'Europe', [13.38, 45.43, 16.52, 46.86], [[[16.52,46.5,16.32,46.53,16.23,46.37,15.64,46.2,15.65,45.86,15.28,45.73,15.36,45.65,15.28,45.58,15.34,45.47,15.24,45.44,14.79,45.48,14.57,45.66,14.37,45.48,13.99,45.51,13.88,45.43,13.61,45.48,13.58,45.52,13.88,45.61,13.58,45.81,13.6,45.98,13.49,45.99,13.63,46.18,13.38,46.26,13.7,46.52,14.55,46.4,14.89,46.61,15.96,46.68,15.98,46.8,16.09,46.86,16.28,46.86,16.52,46.5]]]],
+    ['SK', 'Europe', [16.86, 47.79, 22.54, 49.6], [[[22.54,49.07,22.14,48.57,22.11,48.39,21.72,48.35,21.45,48.55,20.49,48.53,20.33,48.3,19.9,48.13,19.63,48.22,19.47,48.11,18.79,48,18.73,47.79,17.63,47.81,17.09,48.04,16.86,48.39,17.13,48.84,17.76,48.89,18.08,49.07,18.16,49.26,18.6,49.49,18.94,49.5,18.97,49.4,19.15,49.4,19.44,49.6,19.63,49.41,19.77,49.37,19.8,49.19,20.06,49.18,20.16,49.32,20.36,49.38,20.95,49.32,21.08,49.42,21.35,49.43,21.89,49.34,22.02,49.21,22.54,49.07]]]],
+    ['SL', 'Africa', [-13.29, 6.91, -10.28, 10], [[[-10.28,8.48,-10.36,8.19,-10.57,8.07,-10.65,7.76,-11.27,7.23,-11.51,6.91,-11.93,7.18,-12.49,7.39,-12.43,7.55,-12.51,7.67,-12.48,7.75,-12.7,7.72,-12.88,7.86,-12.96,8.15,-13.15,8.22,-13.27,8.43,-13.26,8.49,-13.08,8.43,-12.89,8.63,-13.18,8.58,-13.21,8.84,-13.06,8.88,-13.29,9.05,-13.03,9.1,-12.96,9.26,-12.76,9.37,-12.43,9.9,-12.14,9.88,-11.92,9.92,-11.91,9.99,-11.27,10,-10.69,9.31,-10.75,9.1,-10.61,9.06,-10.5,8.69,-10.71,8.34,-10.56,8.32,-10.4,8.48,-10.28,8.48]],[[-12.53,7.44,-12.95,7.57,-12.62,7.64,-12.51,7.58,-12.53,7.44]]]],
+    ['SM', 'Europe', [12.4, 43.9, 12.5, 43.99], [[[12.49,43.9,12.4,43.94,12.5,43.99,12.49,43.9]]]],
+    ['SN', 'Africa', [-17.53, 12.33, -11.38, 16.68], [[[-12.28,14.81,-12.19,14.65,-12.23,14.46,-12.02,14.21,-11.96,13.87,-12.05,13.63,-11.83,13.32,-11.76,13.39,-11.58,13.29,-11.39,12.94,-11.45,12.53,-11.38,12.48,-11.39,12.4,-12.29,12.33,-12.93,12.53,-13.06,12.49,-13.08,12.63,-13.73,12.67,-15.2,12.68,-15.58,12.49,-16.71,12.35,-16.76,12.53,-16.44,12.61,-16.6,12.72,-16.7,12.6,-16.77,12.63,-16.76,13.06,-16.65,13.15,-15.83,13.16,-15.81,13.32,-15.29,13.4,-15.15,13.56,-14.25,13.24,-13.85,13.33,-13.83,13.41,-13.98,13.54,-14.41,13.5,-15.11,13.81,-15.43,13.73,-15.51,13.59,-16.56,13.59,-16.77,13.9,-16.62,14.04,-16.79,14,-17.17,14.64,-17.35,14.73,-17.44,14.65,-17.53,14.75,-17.15,14.92,-16.84,15.29,-16.57,15.73,-16.44,16.2,-16.24,16.53,-15.77,16.49,-14.96,16.68,-14.3,16.58,-13.87,16.15,-13.51,16.14,-13.35,15.97,-13.21,15.62,-12.93,15.45,-12.86,15.24,-12.28,14.81]]]],
+    ['SO', 'Africa', [40.98, -1.7, 51.39, 11.98], [[[41.53,-1.7,41.52,-1.57,40.98,-0.87,40.98,2.84,41.34,3.2,42.03,4.14,42.79,4.29,43.13,4.64,43.58,4.85,44.03,4.95,44.94,4.91,46.17,6.23,47.98,8,48.94,9.45,48.94,11.26,50.11,11.53,50.47,11.73,50.64,11.94,50.79,11.98,51.26,11.83,51.08,11.33,51.14,10.66,51.03,10.44,51.19,10.48,51.19,10.55,51.37,10.48,51.39,10.39,51.21,10.43,50.93,10.34,50.82,9.43,50.1,8.2,49.85,7.96,49.67,7.47,49.24,6.78,49.05,6.17,47.98,4.5,46.05,2.47,44.33,1.39,43.47,0.62,41.98,-0.97,41.53,-1.7]],[[48.94,11.26,48.94,9.45,47.98,8,46.98,8,44.02,8.99,43.39,9.48,43.18,9.88,42.84,10.2,42.66,10.6,43.25,11.5,43.85,10.78,44.39,10.43,44.94,10.44,45.82,10.84,46.56,10.75,47.4,11.17,48.02,11.14,48.57,11.32,48.94,11.26]]]],
+    ['SR', 'Americas', [-58.06, 1.86, -53.99, 5.99], [[[-54.16,5.36,-54.45,5.01,-54.45,4.48,-54.35,4.05,-53.99,3.59,-54.2,3.14,-54.2,2.82,-54.4,2.46,-54.66,2.33,-54.98,2.6,-55.38,2.44,-55.73,2.41,-55.96,2.52,-56.14,2.26,-55.91,2.04,-55.96,1.86,-56.71,2.04,-57.21,2.88,-57.3,3.38,-57.65,3.39,-57.65,3.52,-58.03,4,-58.06,4.17,-57.85,4.67,-57.88,4.88,-57.71,4.99,-57.31,5.05,-57.21,5.21,-57.32,5.34,-57.06,5.94,-56.97,5.99,-56.23,5.89,-55.94,5.8,-55.9,5.7,-55.91,5.89,-55.83,5.96,-54.83,5.99,-54.36,5.91,-54.05,5.81,-54.05,5.61,-54.16,5.36]]]],
+    ['SS', 'Africa', [24.15, 3.49, 35.27, 12.22], [[[33.98,4.22,33.49,3.76,33.15,3.77,33,3.88,32.34,3.71,32.14,3.52,31.94,3.61,31.8,3.8,31.55,3.68,31.15,3.79,30.84,3.49,30.76,3.62,30.59,3.62,30.51,3.84,30.2,3.98,29.78,4.48,29.55,4.64,29.22,4.39,28.73,4.51,28.43,4.33,28.08,4.42,27.44,5.04,27.26,5.29,27.14,5.72,26.51,6.07,26.31,6.46,26.36,6.64,25.89,7.06,25.28,7.43,25.18,7.56,25.25,7.72,25.2,7.81,24.85,8.14,24.21,8.37,24.22,8.61,24.15,8.67,24.21,8.77,24.53,8.89,24.67,9.39,24.78,9.53,24.78,9.77,25,10.06,25.02,10.24,25.1,10.31,25.86,10.41,25.92,10.17,26.55,9.53,26.76,9.5,27.07,9.61,27.88,9.6,28.05,9.33,28.85,9.33,28.84,9.46,28.98,9.59,29.47,9.77,29.6,9.92,29.6,10.06,30,10.28,30.76,9.73,31.15,9.77,31.65,10.22,31.93,10.66,32.42,11.09,32.34,11.31,32.34,11.69,32.07,12.01,32.74,12.01,32.72,12.22,33.2,12.22,33.07,11.61,33.17,10.85,33.13,10.75,33.38,10.65,33.91,10.18,33.96,9.86,33.87,9.51,34.08,9.46,34.1,8.68,33.95,8.44,33.28,8.44,33,7.9,33.23,7.76,33.67,7.67,33.9,7.51,34.07,7.23,34.71,6.66,34.98,5.86,35.27,5.49,33.98,4.22]]]],
+    ['ST', 'Africa', [6.47, 0.07, 7.43, 1.7], [[[7.43,1.57,7.33,1.6,7.41,1.7,7.43,1.57]],[[6.66,0.12,6.52,0.07,6.47,0.23,6.53,0.34,6.69,0.41,6.75,0.24,6.66,0.12]]]],
+    ['SV', 'Americas', [-90.1, 13.16, -87.73, 14.42], [[[-89.36,14.42,-89.06,14.33,-88.71,14.03,-88.51,13.98,-88.48,13.85,-88.15,13.99,-87.73,13.84,-87.78,13.52,-87.73,13.48,-87.84,13.39,-87.82,13.28,-87.93,13.18,-88.18,13.16,-88.69,13.28,-88.51,13.18,-89.28,13.48,-89.8,13.56,-90.1,13.74,-90.05,13.9,-89.55,14.24,-89.57,14.39,-89.36,14.42]]]],
+    ['SX', 'Americas', [-63.12, 18.02, -63.01, 18.07], [[[-63.12,18.07,-63.01,18.07,-63.02,18.02,-63.12,18.07]]]],
+    ['SY', 'Asia', [35.76, 32.32, 42.36, 37.3], [[[35.89,35.92,36.15,35.83,36.35,36,36.38,36.17,36.64,36.23,36.54,36.46,36.66,36.8,36.94,36.76,37.07,36.65,37.43,36.64,38.19,36.9,38.77,36.69,39.36,36.68,40.02,36.83,40.71,37.1,41.51,37.09,42.2,37.3,42.36,37.11,41.79,36.6,41.42,36.51,41.29,36.38,41.24,36.07,41.36,35.64,41.22,35.29,41.19,34.77,40.99,34.43,39.05,33.51,36.82,32.32,36.37,32.39,35.79,32.73,35.91,32.95,35.84,33.33,36.03,33.59,35.94,33.67,35.97,33.73,36.09,33.83,36.37,33.84,36.3,33.96,36.59,34.22,36.51,34.43,36.33,34.5,36.43,34.61,36.38,34.66,35.98,34.63,35.89,34.95,35.9,35.42,35.76,35.57,35.89,35.92]]]],
+    ['SZ', 'Africa', [30.79, -27.31, 32.11, -25.74], [[[31.95,-25.96,32.06,-26.02,32.11,-26.84,32,-26.82,31.96,-27.31,31.47,-27.3,31.06,-27.11,30.88,-26.79,30.79,-26.77,30.79,-26.61,30.8,-26.41,31.09,-25.98,31.38,-25.74,31.95,-25.96]]]],
+    ['TC', 'Americas', [-72.33, 21.76, -71.66, 21.95], [[[-71.66,21.76,-71.85,21.84,-71.67,21.83,-71.66,21.76]],[[-71.88,21.84,-72.01,21.95,-71.93,21.95,-71.88,21.84]],[[-72.33,21.85,-72.14,21.79,-72.33,21.76,-72.33,21.85]]]],
+    ['TD', 'Africa', [13.45, 7.51, 23.98, 23.45], [[[23.98,19.5,23.97,15.72,23.11,15.7,22.93,15.53,22.93,15.16,22.76,15,22.67,14.72,22.38,14.55,22.54,14.16,22.11,13.8,22.23,13.33,21.99,13.11,21.83,12.79,21.93,12.68,22.35,12.66,22.42,12.55,22.47,12.07,22.58,11.99,22.59,11.58,22.92,11.35,22.86,10.92,22.49,11,21.77,10.64,21.63,10.24,21.53,10.21,21.35,9.97,21.26,9.97,20.77,9.41,20.34,9.13,19.15,9.02,18.96,8.94,18.89,8.84,19.11,8.66,18.56,8.05,17.65,7.98,16.79,7.55,16.54,7.86,16.38,7.68,15.96,7.51,15.48,7.52,15.55,7.79,15.44,7.85,15.11,8.56,14.33,9.2,13.98,9.69,14.24,9.98,15.65,10.01,15.28,10.36,15.13,10.65,15.03,11.11,15.12,11.54,15.08,11.85,14.85,12.5,14.55,12.82,14.46,13.02,14.06,13.08,13.61,13.7,13.45,14.38,14.37,15.75,15.47,16.91,15.73,19.9,15.96,20.35,15.59,20.73,15.54,20.87,15.61,20.95,15.18,21.52,14.98,23,15.98,23.45,23.98,19.5]]]],
+    ['TF', 'Antarctic', [51.66, -49.71, 70.56, -46.33], [[[69.18,-49.11,69.59,-48.97,69.64,-49.12,69.4,-49.18,69.54,-49.25,70.32,-49.06,70.48,-49.08,70.56,-49.2,70.39,-49.43,70.17,-49.34,69.76,-49.43,69.99,-49.58,70.25,-49.53,70.31,-49.58,70.12,-49.7,69.15,-49.53,69.09,-49.65,68.87,-49.71,68.78,-49.65,68.87,-49.44,68.8,-49.23,68.88,-49.16,68.77,-49.07,68.83,-48.85,69.06,-48.66,69.14,-48.86,69.03,-49.02,69.18,-49.11]],[[69.28,-49.06,69.22,-49.07,69.17,-48.88,69.37,-48.89,69.4,-48.95,69.28,-49.06]],[[51.84,-46.44,51.66,-46.37,51.74,-46.33,51.84,-46.44]]]],
+    ['TG', 'Africa', [-0.09, 6.09, 1.78, 11.12], [[[0.9,10.99,0.79,10.71,0.77,10.39,1.33,10,1.38,9.36,1.6,9.05,1.63,7,1.53,6.99,1.6,6.61,1.78,6.3,1.19,6.09,0.98,6.32,0.74,6.45,0.52,6.85,0.64,7.35,0.51,7.44,0.5,7.55,0.61,7.73,0.6,8.21,0.69,8.3,0.37,8.76,0.49,8.85,0.53,9.4,0.41,9.49,0.23,9.46,0.34,9.6,0.26,9.64,0.38,10.29,-0.09,10.72,0.01,11.02,-0.07,11.12,0.49,10.95,0.9,10.99]]]],
+    ['TH', 'Asia', [97.38, 5.64, 105.64, 20.42], [[[102.61,11.68,102.59,11.57,102.53,11.61,102.61,11.68]],[[102.43,11.99,102.3,11.98,102.28,12.15,102.43,11.99]],[[98.41,7.9,98.3,7.78,98.32,8.17,98.43,8.09,98.41,7.9]],[[100.12,20.32,100.14,20.25,100.32,20.39,100.52,20.18,100.4,19.76,100.51,19.55,100.63,19.5,100.96,19.61,101.21,19.55,101.29,18.98,101.05,18.44,101.14,18.14,100.91,17.58,100.96,17.54,101.17,17.5,101.69,17.89,101.77,18.03,102.1,18.21,102.55,17.96,102.66,17.82,103.05,18.03,103.29,18.41,103.95,18.32,104.43,17.7,104.74,17.46,104.82,17.3,104.74,16.88,104.82,16.47,105.05,16.16,105.41,15.99,105.4,15.83,105.64,15.66,105.49,15.26,105.55,14.93,105.48,14.53,105.07,14.23,104.97,14.37,104.78,14.43,103.98,14.36,103.6,14.42,103.2,14.33,102.91,14.14,102.55,13.58,102.32,13.54,102.5,12.67,102.75,12.43,102.74,12.09,102.93,11.71,102.6,12.2,102.54,12.11,102.26,12.39,102.23,12.33,101.84,12.64,100.9,12.65,100.96,13.43,100.6,13.57,100.02,13.35,99.99,13.24,100.09,13.04,99.96,12.69,99.99,12.17,99.63,11.46,99.49,10.89,99.16,10.32,99.16,9.73,99.29,9.41,99.25,9.27,99.4,9.21,99.83,9.29,99.99,8.59,100.13,8.43,100.16,8.51,100.28,8.27,100.54,7.23,100.44,7.28,100.38,7.54,100.28,7.55,100.32,7.72,100.26,7.77,100.16,7.73,100.16,7.6,100.42,7.19,100.59,7.18,101.02,6.86,101.5,6.86,101.8,6.47,102.1,6.24,101.87,5.82,101.68,5.78,101.56,5.91,101.26,5.79,101.11,5.64,100.98,5.77,101.08,5.96,101.05,6.24,100.87,6.25,100.76,6.46,100.35,6.55,100.26,6.68,100.18,6.67,100.12,6.44,99.7,6.88,99.72,7.11,99.55,7.22,99.6,7.36,99.36,7.37,99.26,7.62,99.18,7.72,99.08,7.72,99.05,7.89,98.79,8.06,98.7,8.26,98.58,8.34,98.36,8.19,98.24,8.42,98.24,8.77,98.7,10.19,98.76,10.66,99.19,11.11,99.61,11.78,99.41,12.55,99.22,12.74,99.13,13.03,99.14,13.72,98.93,14.05,98.57,14.36,98.2,14.98,98.19,15.2,98.56,15.37,98.59,16.05,98.82,16.18,98.89,16.35,98.84,16.42,98.66,16.33,98.44,16.98,97.71,17.8,97.74,17.94,97.63,18.29,97.45,18.36,97.38,18.52,97.75,18.59,97.71,18.93,97.8,19.13,97.82,19.46,98.02,19.75,98.37,19.69,98.92,19.77,99.07,20.1,99.34,20.08,99.49,20.15,99.46,20.36,99.72,20.33,99.89,20.42,100.12,20.32]],[[99.98,9.68,100.08,9.68,100.08,9.79,99.98,9.79,99.98,9.68]],[[100.07,9.59,100.05,9.46,99.96,9.42,99.94,9.56,100.07,9.59]],[[99.66,6.52,99.61,6.6,99.65,6.71,99.66,6.52]],[[98.59,7.93,98.53,8.11,98.6,8.06,98.59,7.93]],[[98.31,9.05,98.25,9.04,98.3,9.14,98.31,9.05]],[[99.04,7.47,99.1,7.47,99.1,7.64,99.04,7.64,99.04,7.47]]]],
+    ['TJ', 'Asia', [67.36, 36.69, 75.12, 41.03], [[[67.76,37.17,67.86,37.57,68.29,38.03,68.35,38.21,68.09,38.47,68.05,38.67,68.13,38.93,67.69,38.99,67.65,39.13,67.36,39.22,67.43,39.47,67.72,39.62,68.46,39.54,68.59,39.64,68.64,39.84,68.87,39.91,68.81,40.05,68.97,40.09,68.63,40.17,69.27,40.2,69.22,40.29,69.3,40.33,69.21,40.57,69.36,40.77,69.71,40.66,70.29,40.89,70.4,41.03,70.75,40.72,70.37,40.38,70.6,40.21,70.96,40.24,70.95,40.19,70.65,40.08,70.52,39.95,70.45,40.05,69.97,40.2,69.53,40.1,69.48,39.92,69.31,39.97,69.28,39.92,69.23,39.76,69.3,39.52,70.5,39.59,70.8,39.39,71.47,39.6,71.5,39.48,71.73,39.42,71.78,39.28,72.04,39.35,72.23,39.21,72.36,39.34,72.56,39.38,73.11,39.36,73.63,39.45,73.61,39.23,73.81,38.97,73.69,38.85,73.8,38.61,73.97,38.53,74.13,38.66,74.28,38.66,74.81,38.46,74.77,38.19,74.94,37.77,74.89,37.6,75.12,37.39,74.89,37.23,74.66,37.39,74.35,37.42,73.75,37.23,73.63,37.26,73.72,37.42,73.38,37.46,72.9,37.27,72.66,37.03,72.36,36.98,71.8,36.69,71.66,36.7,71.43,37.13,71.58,37.91,71.28,37.92,71.33,38.17,71.26,38.31,70.88,38.46,70.62,38.34,70.21,37.92,70.25,37.66,70.19,37.58,69.49,37.55,69.4,37.4,69.41,37.21,69.3,37.12,68.91,37.33,68.07,36.95,67.76,37.17]],[[70.55,40.93,70.65,40.93,70.65,41.02,70.55,41.02,70.55,40.93]],[[70.7,39.82,70.56,39.79,70.48,39.88,70.7,39.82]]]],
+    ['TL', 'Asia', [124.04, -9.51, 127.3, -8.14], [[[125.65,-8.14,125.58,-8.31,125.51,-8.27,125.65,-8.14]],[[125.07,-9.51,124.96,-9.21,125.1,-9.19,125.15,-9.04,124.94,-9.05,124.92,-8.94,125.18,-8.65,125.81,-8.49,126.62,-8.46,126.97,-8.32,127.3,-8.42,126.91,-8.72,125.41,-9.28,125.07,-9.51]],[[124.04,-9.34,124.44,-9.19,124.28,-9.43,124.09,-9.42,124.04,-9.34]]]],
+    ['TM', 'Asia', [52.49, 35.17, 66.63, 42.78], [[[53.02,38.76,53.11,38.76,53.11,39.1,53.02,39.1,53.02,38.76]],[[55.98,41.32,57.02,41.26,57.12,41.35,57.02,41.45,56.97,41.86,57.29,42.12,57.81,42.19,58.03,42.49,58.47,42.3,58.15,42.63,58.48,42.66,58.59,42.78,58.88,42.56,59.16,42.51,59.36,42.32,59.86,42.29,59.99,42.21,59.94,41.97,60.2,41.8,60.08,41.76,60.14,41.59,60.09,41.4,60.45,41.22,61.24,41.19,61.5,41.28,61.9,41.09,62.1,40.68,62.38,40.33,62.48,39.98,63.76,39.16,64.16,38.95,64.31,38.98,65.61,38.24,65.97,38.24,66.57,38.01,66.63,37.93,66.53,37.79,66.52,37.35,66.11,37.41,65.76,37.57,65.55,37.25,65.09,37.24,64.82,37.13,64.51,36.34,64.01,36.01,63.13,35.85,63.17,35.68,63.06,35.45,62.69,35.26,62.31,35.17,61.98,35.44,61.62,35.43,61.26,35.62,61.25,35.87,61.15,35.98,61.21,36.19,61.12,36.64,60.34,36.64,59.95,37.04,59.46,37.25,59.3,37.51,58.82,37.68,58.26,37.66,57.98,37.83,57.35,37.97,57.19,38.22,56.44,38.25,56.27,38.08,55.38,38.05,54.9,37.78,54.7,37.47,54.19,37.33,53.92,37.34,53.82,37.93,53.87,38.95,53.7,39.21,53.34,39.34,53.16,39.27,53.12,39.43,53.24,39.61,53.6,39.55,53.47,39.67,53.49,39.91,52.99,39.99,52.95,39.9,53.03,39.77,52.8,40.05,52.74,40.4,52.94,41.04,53.15,40.82,53.61,40.82,53.87,40.65,54.38,40.69,54.32,40.83,54.69,40.87,54.7,41.07,54.1,41.52,53.8,42.12,53.16,42.09,52.97,41.98,52.81,41.71,52.88,41.65,52.85,41.2,52.49,41.78,53.06,42.15,54.12,42.33,54.86,41.97,55.44,41.3,55.98,41.32]]]],
+    ['TN', 'Africa', [7.5, 30.23, 11.5, 37.34], [[[11.5,33.18,11.45,32.78,11.5,32.41,10.83,32.08,10.47,31.74,10.28,31.68,10.11,31.46,10.26,30.94,10.22,30.78,9.89,30.39,9.52,30.23,9.05,32.07,8.33,32.54,8.11,33.06,7.73,33.27,7.5,33.83,7.52,34.08,8.25,34.73,8.39,35.2,8.25,35.8,8.35,36.37,8.21,36.52,8.6,36.83,8.58,36.94,9.69,37.34,9.84,37.31,9.83,37.14,9.88,37.25,10.2,37.21,10.19,37.03,10.33,36.86,10.29,36.78,10.41,36.73,10.57,36.88,11.05,37.07,11.13,36.87,10.8,36.49,10.52,36.32,10.48,36.18,10.59,35.89,11,35.63,11.12,35.24,10.69,34.68,10.12,34.28,10.04,34.14,10.16,33.85,10.31,33.73,10.45,33.66,10.71,33.69,10.72,33.51,10.9,33.53,10.96,33.63,11.26,33.31,11.2,33.25,11.5,33.18]],[[11.28,34.75,11.12,34.68,11.26,34.82,11.28,34.75]],[[10.96,33.72,10.72,33.74,10.74,33.89,11.02,33.82,10.96,33.72]]]],
+    ['TO', 'Oceania', [-175.36, -21.45, -173.95, -18.57], [[[-175.16,-21.17,-175.08,-21.13,-175.16,-21.26,-175.36,-21.11,-175.32,-21.07,-175.16,-21.17]],[[-173.95,-18.64,-173.99,-18.7,-174.07,-18.64,-173.97,-18.57,-173.95,-18.64]],[[-174.91,-21.3,-174.92,-21.45,-174.97,-21.35,-174.91,-21.3]]]],
+    ['TR', 'Asia', [25.67, 35.83, 44.82, 42.09], [[[25.97,40.14,25.67,40.14,25.92,40.24,25.97,40.14]],[[41.51,41.52,41.82,41.43,41.92,41.5,42.47,41.44,42.61,41.58,42.79,41.56,43.21,41.2,43.43,41.16,43.63,40.93,43.72,40.72,43.57,40.48,43.71,40.17,43.67,40.13,43.94,40.02,44.4,40,44.82,39.65,44.59,39.77,44.46,39.67,44.39,39.42,44.02,39.38,44.18,39.14,44.17,38.93,44.27,38.84,44.3,38.39,44.45,38.34,44.21,37.91,44.56,37.74,44.57,37.44,44.8,37.27,44.76,37.14,44.61,37.18,44.28,36.98,44.11,37.3,43.68,37.23,42.77,37.37,42.46,37.13,42.36,37.11,42.2,37.3,41.51,37.09,40.71,37.1,40.02,36.83,39.36,36.68,38.77,36.69,38.19,36.9,37.43,36.64,37.07,36.65,36.94,36.76,36.66,36.8,36.54,36.46,36.64,36.23,36.38,36.17,36.35,36,36.13,35.83,35.89,35.92,35.96,36,35.81,36.31,36.19,36.66,36.18,36.81,36.05,36.91,35.39,36.57,34.7,36.82,33.69,36.18,32.79,36.04,32.38,36.18,32.02,36.53,31.35,36.8,30.65,36.87,30.45,36.27,30.23,36.31,29.69,36.16,29.22,36.32,28.97,36.72,28.82,36.68,28.31,36.81,28.02,36.63,28.09,36.75,27.46,36.71,28.01,36.83,28.24,37.03,27.26,36.98,27.3,37.13,27.53,37.16,27.52,37.25,27.22,37.39,27.07,37.66,27.23,37.73,27.23,37.98,26.29,38.28,26.42,38.37,26.37,38.56,26.44,38.64,26.59,38.56,26.67,38.34,26.73,38.42,26.86,38.37,27.14,38.45,26.91,38.48,26.76,38.71,27.01,38.89,26.81,38.96,26.85,39.12,26.68,39.29,26.9,39.55,26.11,39.47,26.18,39.99,26.31,40.02,26.74,40.4,27.28,40.46,27.48,40.32,27.73,40.33,27.85,40.38,27.73,40.48,27.87,40.51,27.99,40.49,27.96,40.37,29.01,40.39,29.05,40.42,28.79,40.53,28.96,40.63,29.85,40.74,29.36,40.81,29.12,40.94,29.05,41.01,29.15,41.22,31.25,41.11,31.46,41.32,32.3,41.73,33.28,42,34.75,41.96,35,42.06,35.16,42.03,35.12,41.89,35.3,41.73,35.56,41.63,36.05,41.68,36.18,41.43,36.41,41.27,36.78,41.36,37.07,41.18,38.38,40.93,39.43,41.11,39.81,40.98,40.26,40.96,41.08,41.26,41.51,41.52]],[[28.01,41.97,27.99,41.86,28.2,41.56,29.06,41.23,28.96,41.01,28.78,40.97,28.17,41.08,27.5,40.97,27.26,40.69,26.77,40.5,26.2,40.07,26.25,40.31,26.79,40.63,26.11,40.61,26.04,40.73,26.33,40.95,26.33,41.24,26.62,41.4,26.58,41.6,26.33,41.77,26.51,41.83,26.62,41.97,27.24,42.09,27.53,41.92,28.01,41.97]]]],
+    ['TT', 'Americas', [-61.9, 10.07, -60.53, 11.32], [[[-60.76,11.18,-60.8,11.21,-60.71,11.28,-60.53,11.32,-60.76,11.18]],[[-61.01,10.13,-61.9,10.07,-61.5,10.27,-61.48,10.6,-61.65,10.72,-61.08,10.83,-60.92,10.84,-61.03,10.67,-60.97,10.32,-61.01,10.13]]]],
+    ['TW', 'Asia', [118.3, 21.92, 121.93, 25.28], [[[121.01,22.62,120.9,22.38,120.84,21.92,120.74,21.96,120.58,22.36,120.32,22.55,120.08,23.09,120.13,23.65,121.04,25.03,121.59,25.28,121.93,24.97,121.82,24.82,121.83,24.53,121.61,24.05,121.4,23.17,121.01,22.62]],[[118.41,24.52,118.43,24.41,118.3,24.44,118.41,24.52]]]],
+    ['TZ', 'Africa', [29.32, -11.71, 40.46, -0.99], [[[39.5,-6.17,39.57,-6.39,39.48,-6.45,39.18,-6.17,39.19,-5.93,39.31,-5.72,39.5,-6.17]],[[39.86,-4.91,39.85,-5.26,39.75,-5.44,39.65,-5.37,39.67,-4.93,39.86,-4.91]],[[32.92,-9.41,32.43,-9.16,31.94,-9.05,31.92,-8.94,31.67,-8.91,31.35,-8.61,30.97,-8.55,30.83,-8.39,30.21,-7.04,29.71,-6.62,29.54,-6.31,29.48,-6.03,29.61,-5.72,29.32,-4.9,29.4,-4.45,29.72,-4.46,29.95,-4.31,30.43,-3.59,30.81,-3.2,30.78,-2.99,30.45,-2.89,30.43,-2.82,30.53,-2.43,30.83,-2.34,30.88,-2.14,30.81,-1.56,30.51,-1.21,30.52,-1.06,30.81,-0.99,33.98,-1,37.64,-3.05,37.68,-3.31,37.61,-3.5,39.22,-4.69,38.8,-6.07,38.87,-6.33,39.54,-7.02,39.29,-7.52,39.29,-7.79,39.43,-7.81,39.44,-8.01,39.3,-8.44,39.49,-8.86,39.45,-8.94,39.64,-9.19,39.62,-9.41,39.77,-9.84,39.72,-10,40.22,-10.24,40.46,-10.46,40.17,-10.69,39.82,-10.91,39.32,-11.12,38.8,-11.23,38.49,-11.41,38.18,-11.28,37.92,-11.3,37.73,-11.58,37.37,-11.71,36.98,-11.57,36.68,-11.68,36.3,-11.71,35.91,-11.46,35.79,-11.45,35.56,-11.6,34.96,-11.58,34.89,-11.39,34.77,-11.34,34.61,-11.08,34.66,-10.71,34.57,-10.24,34.52,-10.03,34.32,-9.73,34,-9.5,33.89,-9.67,33.42,-9.61,32.92,-9.41]],[[39.71,-7.98,39.6,-7.94,39.91,-7.65,39.83,-7.9,39.71,-7.98]]]],
+    ['UA', 'Europe', [22.13, 45.23, 40.11, 52.34], [[[38.21,47.09,37.54,47.07,37.34,46.92,37.05,46.88,36.79,46.71,36.56,46.76,36.28,46.66,35.83,46.62,35.06,46.1,35.28,46.28,35.23,46.44,35.06,46.27,34.85,46.19,34.86,45.99,35,45.73,34.95,45.73,34.8,45.79,34.69,45.98,34.45,45.97,34.35,46.06,33.81,46.21,33.66,46.22,33.59,46.1,33.43,46.06,33.2,46.18,32.48,46.08,31.83,46.28,31.78,46.32,31.99,46.36,32.01,46.43,31.56,46.56,32.36,46.48,32.58,46.62,32.36,46.57,32.05,46.64,31.94,46.78,31.94,46.98,31.76,47.21,31.91,46.93,31.87,46.65,31.53,46.66,31.56,46.78,31.4,46.63,30.8,46.55,30.66,46.27,30.22,45.87,29.63,45.72,29.71,45.26,29.4,45.42,28.78,45.31,28.76,45.23,28.32,45.35,28.21,45.45,28.5,45.52,28.49,45.67,28.95,46.05,29.01,46.18,28.96,46.46,29.19,46.52,29.21,46.38,29.31,46.47,29.62,46.4,29.71,46.45,29.84,46.35,30.13,46.42,29.93,46.54,29.88,46.83,29.57,46.96,29.54,47.27,29.13,47.49,29.21,47.78,29.13,47.96,28.92,47.95,28.77,48.12,28.53,48.15,28.46,48.09,28.29,48.24,27.55,48.48,27.23,48.37,26.85,48.39,26.31,48.2,26.16,47.99,25.46,47.91,24.89,47.72,24.49,47.95,24.18,47.91,23.14,48.09,22.88,47.95,22.77,48.11,22.58,48.13,22.35,48.26,22.25,48.41,22.13,48.41,22.14,48.57,22.54,49.07,22.84,49.04,22.71,49.17,22.65,49.54,22.71,49.61,23.71,50.38,23.97,50.41,24.09,50.53,23.98,50.79,24.1,50.87,23.66,51.31,23.61,51.61,23.98,51.59,24.36,51.87,25.93,51.91,27.14,51.75,27.3,51.6,27.69,51.57,27.7,51.48,27.86,51.59,28.18,51.61,28.6,51.54,28.73,51.43,29.1,51.63,29.35,51.38,30.16,51.48,30.54,51.26,30.63,51.36,30.53,51.6,30.58,51.69,30.98,52.05,31.57,52.11,32.12,52.05,32.28,52.11,32.43,52.31,32.81,52.25,33.15,52.34,33.73,52.34,33.92,52.25,34.11,51.98,34.4,51.78,34.38,51.72,34.12,51.68,34.28,51.31,34.21,51.26,34.76,51.17,35.06,51.2,35.16,51.06,35.31,51.04,35.44,50.73,35.41,50.54,35.59,50.37,36.12,50.41,36.62,50.21,37.42,50.41,37.7,50.11,38.05,49.92,38.26,50.05,38.92,49.82,39.17,49.86,39.78,49.57,40.08,49.58,40.11,49.25,39.89,49.06,39.68,49.01,40.01,48.82,39.79,48.81,39.65,48.59,39.84,48.54,39.85,48.3,39.96,48.27,39.78,47.89,38.9,47.86,38.64,47.67,38.37,47.61,38.2,47.32,38.28,47.28,38.21,47.09]],[[32.01,46.2,31.56,46.26,31.51,46.37,31.64,46.27,32.01,46.2]]]],
+    ['UG', 'Africa', [29.56, -1.47, 34.98, 4.22], [[[33.9,-1,30.81,-0.99,30.36,-1.07,29.93,-1.47,29.82,-1.34,29.58,-1.39,29.56,-0.98,29.72,0.1,29.94,0.5,29.94,0.82,30.18,0.97,30.32,1.18,30.48,1.24,31.25,2.04,31.28,2.15,31.18,2.27,30.73,2.46,30.85,2.89,30.75,3.04,30.91,3.41,30.84,3.49,31.05,3.72,31.22,3.79,31.55,3.68,31.8,3.8,31.94,3.61,32.14,3.52,32.34,3.71,33,3.88,33.15,3.77,33.49,3.76,33.98,4.22,34.17,3.81,34.44,3.65,34.45,3.16,34.74,2.82,34.9,2.48,34.98,1.72,34.79,1.38,34.8,1.25,34.48,1.04,33.94,0.17,33.9,-1]]]],
+    ['US', 'Americas', [-178.19, 18.97, 179.78, 71.41], [[[-132.75,56.52,-132.95,56.57,-132.84,56.79,-132.57,56.58,-132.75,56.52]],[[-132.78,56.25,-133.04,56.37,-132.9,56.45,-132.65,56.43,-132.65,56.31,-132.78,56.25]],[[-134.31,58.23,-134.66,58.29,-134.52,58.33,-134.31,58.23]],[[-145.12,60.34,-145.28,60.34,-145.13,60.4,-145.12,60.34]],[[-144.56,59.82,-144.45,59.95,-144.24,60.02,-144.56,59.82]],[[-148.02,60.06,-148.27,60.05,-148.08,60.15,-147.91,60.09,-148.02,60.06]],[[-152.02,60.36,-151.96,60.5,-151.9,60.49,-152.02,60.36]],[[-160.33,55.34,-160.34,55.26,-160.52,55.33,-160.33,55.34]],[[-159.46,54.97,-159.36,54.97,-159.36,55.06,-159.46,55.06,-159.46,54.97]],[[-159.52,55.15,-159.53,55.06,-159.65,55.08,-159.57,55.22,-159.52,55.15]],[[-166.21,53.72,-166.25,53.77,-166.11,53.84,-166.21,53.72]],[[-176.01,51.81,-176.21,51.83,-176.19,51.89,-176.01,51.81]],[[-166.15,66.22,-165.82,66.22,-165.82,66.33,-166.15,66.33,-166.15,66.22]],[[-171.46,63.64,-170.87,63.59,-170.43,63.7,-169.56,63.37,-168.72,63.31,-168.85,63.17,-169.37,63.17,-169.68,62.96,-169.86,63.14,-170.85,63.44,-171.63,63.35,-171.82,63.48,-171.75,63.7,-171.46,63.64]],[[-166.14,60.38,-165.73,60.31,-165.71,60.07,-165.59,59.91,-166.1,59.85,-166.15,59.76,-167.14,60.01,-167.44,60.21,-166.83,60.22,-166.78,60.3,-166.47,60.38,-166.14,60.38]],[[-152.9,57.82,-152.89,57.77,-152.43,57.83,-152.48,57.7,-152.21,57.58,-152.41,57.46,-152.94,57.5,-153,57.47,-152.78,57.45,-152.68,57.34,-153.73,57.05,-153.64,56.96,-153.97,56.77,-154.07,56.82,-153.79,56.99,-154.1,57.02,-154.04,57.12,-154.25,57.14,-154.38,57.1,-154.24,57.09,-154.18,57.01,-154.34,56.92,-154.71,57.34,-154.54,57.56,-154.12,57.65,-153.69,57.3,-153.84,57.64,-153.69,57.66,-153.91,57.79,-153.84,57.86,-153.69,57.87,-153.49,57.73,-153.22,57.8,-153.17,57.91,-153.23,57.96,-153.16,57.97,-152.85,57.9,-152.9,57.82]],[[-130.02,55.89,-130.15,55.66,-130.04,55.3,-130.22,55.03,-130.58,54.77,-130.85,54.81,-131.05,55.16,-130.75,55.32,-130.86,55.35,-130.92,55.74,-131.14,56,-131.03,56.09,-131.78,55.88,-131.95,55.55,-132.12,55.57,-132.21,55.75,-131.84,56.16,-131.55,56.21,-131.89,56.24,-132.18,56.42,-132.36,56.63,-132.48,56.65,-132.49,56.77,-132.8,56.89,-132.83,57.06,-133.47,57.17,-133.44,57.34,-133.65,57.64,-133.56,57.69,-133.12,57.57,-133.53,57.83,-133.2,57.88,-133.56,57.92,-133.72,57.84,-134.03,58.07,-134.05,58.29,-133.88,58.52,-134.21,58.23,-134.78,58.45,-134.99,58.77,-135.13,58.84,-135.36,59.42,-135.49,59.31,-135.4,59.21,-135.5,59.2,-135.38,59.09,-135.06,58.34,-135.09,58.25,-135.3,58.26,-135.57,58.41,-135.9,58.4,-135.86,58.58,-136.04,58.82,-135.83,58.9,-136.02,58.87,-136.15,59.05,-136.12,58.82,-136.23,58.77,-136.57,58.94,-137,59.02,-136.95,58.93,-137.06,58.87,-136.61,58.81,-136.41,58.7,-136.48,58.62,-136.22,58.6,-136.06,58.45,-136.08,58.37,-136.61,58.24,-137.54,58.58,-138.03,58.94,-138.54,59.12,-138.51,59.17,-139.77,59.53,-139.51,59.7,-139.58,59.85,-139.51,59.95,-139.33,59.88,-139.29,59.61,-139.22,59.82,-138.99,59.84,-139.43,60.01,-139.92,59.81,-140.42,59.71,-141.41,59.9,-141.29,60,-141.41,60.12,-141.45,60.02,-141.67,59.97,-142.94,60.1,-144.15,60.02,-144.09,60.08,-144.19,60.15,-144.9,60.34,-144.69,60.67,-145.25,60.38,-145.9,60.48,-145.67,60.65,-146.57,60.73,-146.39,60.81,-146.6,60.87,-146.63,60.99,-146.29,61.11,-146.38,61.14,-147.36,60.92,-147.57,61,-147.81,60.89,-148.01,60.97,-147.75,61.22,-148.05,61.08,-148.34,61.06,-148.4,61.01,-148.21,61.03,-148.34,60.85,-148.56,60.8,-148.27,60.7,-148.28,60.61,-148.64,60.49,-148.12,60.57,-147.96,60.48,-148.18,60.39,-148.2,60.17,-148.43,59.99,-149.27,60,-149.4,60.11,-149.6,59.77,-149.71,59.92,-149.8,59.86,-149.78,59.75,-150,59.79,-149.96,59.69,-150.2,59.57,-150.61,59.56,-150.93,59.25,-151.18,59.3,-151.17,59.24,-151.74,59.19,-151.95,59.26,-151.88,59.39,-151.4,59.52,-151.04,59.77,-151.45,59.65,-151.85,59.78,-151.74,59.99,-151.4,60.27,-151.31,60.47,-151.36,60.72,-150.44,61.02,-150.11,60.93,-149.08,60.88,-150.05,61.17,-149.33,61.5,-149.43,61.5,-149.69,61.47,-149.98,61.28,-150.57,61.31,-150.94,61.2,-151.73,60.91,-151.75,60.76,-152.27,60.53,-152.26,60.41,-152.37,60.34,-152.65,60.24,-153.02,60.3,-152.66,60.13,-152.66,60,-153.21,59.84,-153.04,59.81,-153.09,59.71,-153.36,59.66,-153.41,59.74,-153.65,59.65,-153.61,59.61,-153.75,59.51,-154.09,59.36,-154.18,59.15,-153.42,58.96,-153.33,58.88,-153.44,58.76,-153.86,58.59,-154.09,58.37,-154.29,58.3,-154.21,58.29,-154.25,58.16,-155.01,58.02,-155.78,57.57,-156.43,57.36,-156.4,57.21,-156.63,57.01,-157.44,56.79,-157.58,56.63,-158.03,56.59,-158.08,56.55,-157.93,56.52,-158.41,56.44,-158.55,56.31,-158.39,56.3,-158.28,56.2,-158.5,56.06,-158.59,56.18,-158.79,55.99,-159.52,55.81,-159.66,55.63,-159.68,55.83,-159.77,55.84,-160.5,55.54,-160.9,55.51,-161.18,55.39,-161.46,55.38,-161.41,55.54,-161.2,55.54,-161.52,55.62,-162.08,55.14,-162.39,55.05,-162.5,55.21,-162.63,55.25,-162.67,55,-162.86,54.95,-163.12,55.06,-163.13,54.92,-163.34,54.84,-163.28,55.12,-162.91,55.2,-162.16,55.72,-161.7,55.91,-161.22,56.02,-161.19,55.95,-160.9,55.99,-161.01,55.89,-160.8,55.75,-160.71,55.87,-160.29,55.8,-160.54,56.01,-160.3,56.31,-158.92,56.88,-158.9,56.82,-158.67,56.8,-158.66,57.04,-158.32,57.3,-157.85,57.53,-157.46,57.51,-157.7,57.68,-157.61,58.05,-157.55,58.14,-157.19,58.19,-157.49,58.25,-157.52,58.42,-156.97,58.74,-157.04,58.77,-156.81,59.13,-157.14,58.88,-158.19,58.62,-158.5,58.85,-158.42,59,-158.08,58.98,-158.42,59.09,-158.68,58.93,-158.81,58.97,-158.86,58.72,-158.79,58.44,-158.95,58.4,-159.67,58.91,-159.92,58.82,-160.36,59.05,-161.25,58.8,-161.36,58.67,-162.14,58.64,-161.72,58.79,-161.79,59.02,-161.64,59.11,-161.89,59.08,-161.98,59.15,-162.03,59.28,-161.83,59.59,-162.24,60.18,-162.42,60.28,-162.14,60.61,-161.95,60.68,-162.14,60.69,-162.68,60.27,-162.53,60.2,-162.57,59.99,-163.22,59.85,-163.91,59.81,-164.14,59.9,-164.13,59.99,-164.66,60.3,-165.06,60.41,-165.03,60.5,-165.36,60.54,-164.8,60.89,-164.32,60.77,-164.26,60.72,-164.37,60.59,-164,60.77,-163.73,60.59,-163.42,60.76,-163.91,60.85,-163.59,60.9,-163.75,60.97,-163.99,60.86,-165.11,60.93,-165.18,60.97,-164.87,61.11,-165.28,61.17,-165.34,61.2,-165.27,61.27,-165.39,61.21,-165.38,61.11,-165.57,61.1,-165.69,61.3,-165.86,61.34,-165.91,61.4,-165.8,61.49,-165.84,61.54,-166.09,61.51,-166.17,61.65,-165.81,61.7,-166.08,61.8,-165.61,61.87,-165.73,61.96,-165.71,62.1,-165.19,62.47,-164.76,62.5,-164.84,62.58,-164.59,62.71,-164.79,62.62,-164.8,62.92,-164.68,63.02,-164.38,63.03,-164.52,63.13,-164.41,63.22,-163.94,63.25,-163.62,63.13,-163.74,63.02,-163.5,63.11,-163.29,63.05,-162.62,63.27,-162.28,63.53,-161.97,63.45,-161.51,63.47,-160.93,63.66,-160.78,63.82,-160.99,64.25,-161.22,64.4,-161.49,64.43,-161.41,64.53,-160.93,64.58,-160.84,64.68,-160.89,64.8,-161.13,64.93,-161.47,64.8,-161.76,64.82,-162.33,64.61,-162.71,64.38,-163.2,64.65,-163.3,64.61,-163.05,64.52,-163.14,64.42,-163.71,64.59,-164.3,64.58,-164.98,64.45,-166.14,64.58,-166.48,64.73,-166.41,64.93,-166.93,65.16,-166.53,65.15,-166.45,65.25,-166.16,65.29,-167.4,65.42,-167.99,65.57,-168.09,65.66,-167.93,65.75,-167.91,65.68,-167.41,65.86,-167.08,65.88,-166.4,66.14,-165.63,66.13,-165.56,66.17,-165.84,66.24,-165.78,66.32,-164.46,66.59,-163.64,66.57,-163.89,66.58,-163.77,66.53,-163.89,66.29,-164.03,66.22,-163.7,66.08,-161.94,66.04,-161.46,66.28,-161.04,66.19,-161.12,66.34,-161.92,66.41,-161.89,66.49,-162.19,66.69,-162.54,66.81,-162.61,66.89,-162.36,66.95,-162.02,66.78,-162.05,66.67,-161.91,66.56,-161.59,66.46,-161.16,66.49,-160.65,66.37,-160.23,66.42,-160.26,66.57,-160.36,66.61,-160.87,66.67,-161.4,66.55,-161.86,66.7,-161.88,66.8,-161.62,66.98,-161.72,67.02,-162.39,67.02,-162.41,67.1,-162.58,67.02,-163.53,67.1,-163.72,67.2,-164.12,67.61,-165.39,68.05,-166.79,68.36,-166.38,68.43,-166.18,68.8,-166.21,68.89,-165.05,68.88,-163.87,69.04,-163.16,69.39,-162.95,69.76,-161.88,70.33,-161.76,70.26,-162.08,70.16,-161,70.31,-160.12,70.59,-159.96,70.57,-160.11,70.47,-160.01,70.45,-160.1,70.33,-159.86,70.28,-159.81,70.5,-159.39,70.52,-160.08,70.64,-159.68,70.79,-159.31,70.88,-159.19,70.86,-159.34,70.78,-159.25,70.75,-157.91,70.86,-156.47,71.41,-156.39,71.4,-156.57,71.34,-156.47,71.29,-155.58,71.12,-156.15,70.93,-155.97,70.84,-155.58,70.89,-155.17,71.1,-154.94,71.08,-154.67,70.99,-154.79,70.89,-154.19,70.8,-153.23,70.93,-152.3,70.85,-152.23,70.81,-152.47,70.65,-152.25,70.57,-151.77,70.56,-151.94,70.45,-149.27,70.5,-148.48,70.32,-148.14,70.36,-147.7,70.22,-145.82,70.16,-145.2,70.01,-144.62,69.98,-143.22,70.12,-141.41,69.65,-141,69.65,-141,60.3,-140.53,60.22,-140.45,60.3,-139.97,60.18,-139.68,60.33,-139.08,60.34,-139.19,60.08,-138.7,59.9,-138.63,59.78,-137.59,59.23,-137.48,58.99,-137.52,58.92,-137.44,58.9,-136.81,59.15,-136.58,59.15,-136.47,59.28,-136.46,59.46,-136.28,59.48,-136.32,59.6,-135.47,59.79,-135.05,59.58,-135.07,59.44,-134.95,59.29,-134.44,59.09,-134.3,58.9,-133.82,58.71,-133.4,58.41,-133.42,58.34,-132.23,57.2,-132.34,57.08,-132.03,57.03,-132.11,56.86,-131.87,56.79,-131.82,56.59,-131.58,56.6,-130.74,56.34,-130.48,56.23,-130.41,56.12,-130.1,56.11,-130.02,55.89]],[[-163.48,54.98,-163.38,54.81,-163.08,54.67,-163.36,54.74,-163.58,54.63,-164.07,54.62,-164.59,54.4,-164.82,54.42,-164.91,54.54,-164.48,54.91,-163.81,55.05,-163.48,54.98]],[[-133.3,55.54,-133.28,55.5,-133.65,55.27,-133.64,55.41,-133.74,55.5,-133.3,55.54]],[[-131.34,55.08,-131.23,54.9,-131.45,54.91,-131.43,55,-131.59,55.02,-131.58,55.25,-131.4,55.21,-131.34,55.08]],[[-132.11,56.11,-132.13,55.94,-132.37,55.94,-132.45,56.06,-132.66,56.08,-132.7,56.2,-132.38,56.5,-132.07,56.24,-132.11,56.11]],[[-130.98,55.49,-131.19,55.21,-131.42,55.28,-131.45,55.41,-131.76,55.17,-131.84,55.36,-131.65,55.59,-131.63,55.83,-131.27,55.96,-131,55.73,-130.98,55.49]],[[-133.37,57,-133,56.93,-132.96,56.68,-133.03,56.62,-133.33,56.83,-133.15,56.53,-133.48,56.45,-133.63,56.48,-133.68,56.8,-133.98,57.01,-133.87,57.07,-133.37,57]],[[-132.86,54.89,-132.62,54.89,-132.71,54.68,-132.81,54.71,-133.25,55.17,-133.42,55.21,-133.43,55.3,-133.3,55.33,-133.1,55.21,-132.86,54.89]],[[-146.39,60.45,-146.1,60.41,-146.6,60.27,-146.7,60.4,-146.56,60.48,-146.39,60.45]],[[-147.74,59.81,-147.85,59.8,-147.82,59.9,-147.18,60.36,-146.96,60.29,-147.54,59.87,-147.74,59.81]],[[-147.66,60.45,-147.73,60.22,-147.82,60.18,-147.89,60.3,-147.79,60.46,-147.66,60.45]],[[-147.93,60.83,-148.13,60.84,-148.04,60.92,-147.93,60.83]],[[-153.01,57.13,-153.29,57,-153.37,57.05,-153.28,57.18,-152.93,57.17,-153.01,57.13]],[[-152.48,58.48,-152.64,58.54,-152.37,58.61,-152.48,58.48]],[[-153.52,57.82,-153.24,57.82,-153.24,57.97,-153.52,57.97,-153.52,57.82]],[[-155.57,55.82,-155.74,55.83,-155.6,55.92,-155.57,55.82]],[[-154.68,56.44,-154.77,56.42,-154.73,56.5,-154.44,56.57,-154.68,56.44]],[[-154.21,56.51,-154.32,56.57,-154.11,56.6,-154.21,56.51]],[[-160.69,55.31,-160.55,55.38,-160.58,55.31,-160.49,55.18,-160.79,55.14,-160.84,55.34,-160.73,55.41,-160.69,55.31]],[[-162.3,54.85,-162.44,54.93,-162.27,54.98,-162.3,54.85]],[[-162.55,54.4,-162.73,54.4,-162.82,54.49,-162.55,54.4]],[[-159.87,55.13,-160.23,54.92,-160.17,55.12,-159.89,55.27,-159.87,55.13]],[[-165.84,54.07,-166.04,54.05,-166.11,54.14,-165.89,54.21,-165.69,54.1,-165.84,54.07]],[[-165.56,54.14,-165.65,54.25,-165.55,54.28,-165.41,54.2,-165.56,54.14]],[[-160.92,58.58,-161.07,58.57,-161.13,58.67,-160.71,58.8,-160.92,58.58]],[[-172.74,60.46,-172.23,60.3,-172.63,60.33,-173.07,60.49,-172.92,60.61,-172.74,60.46]],[[-170.16,57.18,-170.27,57.14,-170.39,57.2,-170.12,57.24,-170.16,57.18]],[[-169.69,52.85,-169.72,52.79,-169.99,52.83,-169.69,52.85]],[[-170.73,52.58,-170.83,52.6,-170.68,52.7,-170.59,52.67,-170.73,52.58]],[[-172.47,52.27,-172.62,52.27,-172.47,52.39,-172.31,52.33,-172.47,52.27]],[[-169.75,56.63,-169.47,56.59,-169.63,56.55,-169.75,56.63]],[[-176.29,51.79,-176.35,51.73,-176.41,51.84,-176.29,51.79]],[[-176.02,52,-176.18,52.06,-176.08,52.1,-175.98,52.03,-176.02,52]],[[-177.15,51.72,-177.67,51.7,-177.26,51.8,-177.13,51.93,-177.06,51.9,-177.15,51.72]],[[178.57,51.92,178.47,51.97,178.57,51.98,178.57,51.92]],[[179.45,51.37,179.28,51.37,178.65,51.64,178.91,51.62,179.45,51.37]],[[173.72,52.36,173.4,52.41,173.78,52.5,173.72,52.36]],[[-134.97,57.35,-134.63,56.76,-134.68,56.22,-134.98,56.52,-134.87,56.67,-135.02,56.66,-135.16,56.72,-135.16,56.82,-135.33,56.82,-135.2,57.03,-135.34,57.08,-135.45,57.25,-135.66,57.03,-135.81,57.01,-135.77,57.1,-135.82,57.28,-135.45,57.53,-134.97,57.35]],[[-134.68,58.16,-134.24,58.14,-133.82,57.63,-134.21,58.04,-134.31,58.04,-134.27,57.88,-133.94,57.58,-133.97,57.45,-133.91,57.37,-134.43,57.06,-134.61,57.14,-134.49,57.48,-134.66,57.64,-134.78,58.08,-134.93,58.33,-134.68,58.16]],[[-135.73,58.24,-135.59,58.15,-135.69,58.04,-135.61,57.99,-135.35,58.12,-134.96,58.02,-134.97,57.82,-135.34,57.77,-134.98,57.72,-134.87,57.59,-134.93,57.48,-135.56,57.67,-135.69,57.42,-135.91,57.45,-136.08,57.67,-136.57,57.97,-136.32,58.22,-136.14,58.1,-136.09,58.2,-135.73,58.24]],[[-133.57,56.34,-133.2,56.32,-133.08,56.19,-133.1,56.09,-132.6,55.89,-132.17,55.48,-132.51,55.59,-132.63,55.47,-132.42,55.48,-132.16,55.32,-132.21,55.22,-131.98,55.21,-132.02,54.73,-132.19,54.74,-132.34,54.91,-132.55,54.95,-132.62,55.14,-132.7,55.13,-132.7,55.03,-132.78,55.05,-133.12,55.33,-132.96,55.39,-133.08,55.5,-133.03,55.59,-133.3,55.61,-133.68,55.79,-133.41,55.8,-133.24,55.92,-133.37,56.04,-133.74,55.96,-133.53,56.15,-133.6,56.22,-133.57,56.34]],[[-133.99,56.84,-133.74,56.65,-133.85,56.58,-133.95,56.13,-134.19,56.08,-134.24,56.2,-134.2,56.41,-134.09,56.46,-134.29,56.58,-134.37,56.84,-134.14,56.93,-133.99,56.84]],[[-152.42,58.36,-152.32,58.41,-151.97,58.31,-152.11,58.16,-152.27,58.25,-152.31,58.13,-152.54,58.1,-152.57,58.17,-152.93,57.99,-153.38,58.09,-152.97,58.3,-152.77,58.28,-152.84,58.42,-152.61,58.44,-152.42,58.36]],[[-167.97,53.34,-168.27,53.24,-168.51,53.04,-169.09,52.83,-168.8,53.04,-168.69,53.23,-168.38,53.28,-168.4,53.41,-168.29,53.5,-167.99,53.56,-167.83,53.51,-167.97,53.34]],[[-166.62,53.9,-166.5,53.88,-166.37,54,-166.23,53.93,-166.55,53.73,-166.31,53.7,-166.77,53.48,-167.52,53.28,-167.81,53.32,-167.14,53.53,-167.01,53.7,-166.81,53.65,-166.78,53.73,-167.1,53.81,-167.04,53.94,-166.67,54.01,-166.62,53.9]],[[-173.55,52.14,-173.02,52.08,-173.84,52.05,-173.99,52.12,-173.55,52.14]],[[-174.68,52.04,-175.29,52.02,-174.3,52.22,-174.26,52.27,-174.43,52.32,-174.17,52.42,-174.02,52.33,-174.18,52.2,-174.12,52.13,-174.68,52.04]],[[-176.59,51.87,-176.44,51.82,-176.45,51.74,-176.96,51.6,-176.88,51.79,-176.73,51.84,-176.7,51.99,-176.55,51.94,-176.59,51.87]],[[-177.88,51.65,-178.06,51.67,-177.99,51.76,-178.19,51.88,-177.96,51.92,-177.65,51.83,-177.88,51.65]],[[179.73,51.91,179.55,51.89,179.5,51.98,179.63,52.03,179.78,51.97,179.73,51.91]],[[177.42,51.88,177.33,51.84,177.25,51.9,177.52,52.02,177.56,52.11,177.67,52.1,177.6,51.95,177.42,51.88]],[[172.81,53.01,173.1,53,173.44,52.85,172.94,52.75,172.49,52.94,172.81,53.01]],[[-155.58,19.01,-155.68,18.97,-155.88,19.07,-155.89,19.38,-156.05,19.75,-155.82,20.02,-155.89,20.17,-155.83,20.28,-155.2,19.99,-155.07,19.75,-154.8,19.52,-155.05,19.32,-155.31,19.26,-155.58,19.01]],[[-157.22,21.21,-156.71,21.16,-156.86,21.06,-157.29,21.11,-157.22,21.21]],[[-156.49,20.93,-156.28,20.95,-155.99,20.76,-156.11,20.65,-156.41,20.61,-156.48,20.8,-156.69,20.9,-156.66,21.03,-156.49,20.93]],[[-157.8,21.46,-157.72,21.46,-157.64,21.31,-157.69,21.28,-157.98,21.38,-157.98,21.32,-158.11,21.32,-158.27,21.59,-157.96,21.7,-157.8,21.46]],[[-159.37,21.93,-159.61,21.91,-159.79,22.04,-159.58,22.22,-159.35,22.22,-159.3,22.11,-159.37,21.93]],[[-160.18,21.84,-160.24,21.8,-160.22,21.9,-160.05,22,-160.18,21.84]],[[-156.85,20.77,-156.97,20.76,-157.05,20.91,-156.88,20.91,-156.81,20.83,-156.85,20.77]],[[-74.71,45,-71.52,45.01,-71.33,45.29,-71.13,45.26,-71,45.34,-70.86,45.27,-70.8,45.4,-70.69,45.43,-70.7,45.55,-70.3,45.91,-70.25,46.25,-70.07,46.44,-70.01,46.71,-69.24,47.46,-69.05,47.43,-69.05,47.27,-68.94,47.21,-68.31,47.36,-67.81,47.08,-67.8,45.73,-67.43,45.6,-67.47,45.28,-67.32,45.15,-67.12,45.17,-67.11,44.88,-66.99,44.83,-67.19,44.67,-67.84,44.58,-68.06,44.39,-68.15,44.5,-68.37,44.45,-68.45,44.51,-68.53,44.26,-68.81,44.34,-68.71,44.44,-68.79,44.45,-68.76,44.57,-68.96,44.43,-69.14,44.04,-69.52,43.9,-69.56,43.98,-69.62,43.88,-69.65,43.99,-69.73,43.85,-69.8,43.91,-69.81,43.77,-70.06,43.83,-70.27,43.67,-70.2,43.63,-70.52,43.35,-70.83,42.83,-70.61,42.62,-70.83,42.55,-71.04,42.33,-70.74,42.23,-70.62,42.04,-70.66,41.99,-70.43,41.76,-70,41.83,-70.11,42.03,-70.23,42.07,-70.11,42.08,-69.98,41.96,-69.95,41.68,-70.66,41.53,-70.7,41.72,-71.17,41.49,-71.15,41.75,-71.27,41.68,-71.39,41.79,-71.44,41.45,-71.52,41.38,-72.92,41.28,-73.58,41.02,-73.99,40.75,-73.87,41.06,-73.97,41.25,-73.93,40.91,-74.26,40.53,-74.24,40.46,-73.97,40.4,-74.08,39.79,-74.1,39.98,-74.26,39.61,-74.41,39.55,-74.43,39.39,-74.6,39.29,-74.8,39,-74.95,38.95,-74.9,39.15,-75.13,39.21,-75.52,39.49,-75.42,39.79,-75.15,39.87,-75.07,39.98,-75.4,39.83,-75.59,39.64,-75.39,39.09,-75.09,38.78,-75.19,38.59,-75.07,38.58,-75.04,38.43,-75.35,38.06,-75.59,37.56,-75.81,37.43,-75.93,37.15,-75.97,37.4,-75.66,37.95,-75.85,37.97,-75.8,38.09,-75.93,38.17,-75.86,38.36,-76.05,38.28,-76.26,38.44,-76.26,38.6,-76.02,38.62,-76.21,38.76,-76.34,38.71,-76.3,38.82,-76.17,38.85,-76.24,38.94,-76.33,38.91,-76.31,39.01,-76.19,38.99,-76.14,39.08,-76.22,39.06,-76.24,39.19,-76.07,39.37,-75.88,39.38,-76,39.41,-75.87,39.51,-75.97,39.51,-75.96,39.58,-76.06,39.56,-76.1,39.43,-76.21,39.38,-76.25,39.44,-76.28,39.32,-76.33,39.4,-76.42,39.23,-76.57,39.27,-76.43,39.13,-76.47,39.03,-76.56,39.07,-76.5,38.94,-76.5,38.53,-76.39,38.37,-76.57,38.44,-76.68,38.61,-76.67,38.54,-76.41,38.27,-76.34,38.09,-76.77,38.26,-76.87,38.39,-76.89,38.29,-77,38.44,-77.23,38.41,-77.22,38.54,-77.02,38.78,-77.03,38.89,-77.05,38.78,-77.26,38.6,-77.27,38.35,-77.05,38.36,-76.91,38.2,-76.55,38.09,-76.26,37.89,-76.34,37.68,-76.49,37.68,-77.11,38.16,-76.55,37.67,-76.3,37.57,-76.37,37.53,-76.25,37.43,-76.26,37.36,-76.4,37.39,-76.45,37.27,-76.76,37.51,-76.33,37.15,-76.28,37.05,-76.4,36.99,-76.63,37.22,-77.25,37.33,-76.67,37.17,-76.49,36.9,-76,36.91,-75.53,35.82,-75.95,36.66,-75.99,36.47,-75.82,36.11,-76.15,36.28,-76.15,36.15,-76.27,36.19,-76.23,36.12,-76.38,36.13,-76.56,36.02,-76.68,36.07,-76.73,36.23,-76.73,35.96,-76.07,35.97,-76.08,35.69,-76,35.72,-75.98,35.9,-75.85,35.96,-75.76,35.84,-75.78,35.65,-76.17,35.35,-76.49,35.4,-76.58,35.53,-76.74,35.43,-77.04,35.53,-76.51,35.27,-76.63,35.07,-76.78,34.99,-77.07,35.15,-76.97,35.02,-76.74,34.94,-76.46,34.99,-76.36,34.94,-76.44,34.84,-76.73,34.71,-77.13,34.71,-77.29,34.6,-77.41,34.73,-77.38,34.53,-77.75,34.28,-77.93,33.94,-77.95,34.17,-78.01,33.91,-78.41,33.92,-78.84,33.72,-79.14,33.41,-79.2,33.24,-79.23,33.4,-79.27,33.14,-79.59,33,-79.8,32.79,-79.93,32.81,-79.94,32.67,-80.36,32.5,-80.64,32.51,-80.47,32.42,-80.58,32.29,-80.8,32.45,-80.69,32.22,-80.85,32.11,-80.92,31.94,-81.11,31.88,-81.07,31.79,-81.2,31.7,-81.17,31.61,-81.26,31.54,-81.18,31.53,-81.38,31.35,-81.29,31.26,-81.37,31.17,-81.44,31.2,-81.52,30.8,-81.25,29.79,-80.9,29.05,-80.52,28.49,-80.59,28.27,-80.46,27.9,-80.61,28.18,-80.61,28.52,-80.69,28.34,-80.69,28.58,-80.84,28.76,-80.75,28.38,-80.05,26.81,-80.13,25.83,-80.16,25.88,-80.3,25.62,-80.37,25.33,-80.48,25.23,-81.11,25.14,-81.14,25.31,-80.94,25.26,-81.11,25.37,-81.37,25.83,-81.72,25.98,-81.87,26.43,-81.96,26.49,-81.83,26.69,-82.04,26.55,-82.01,26.96,-82.18,26.94,-82.18,26.84,-82.29,26.87,-82.72,27.5,-82.41,27.86,-82.68,27.96,-82.61,27.78,-82.74,27.71,-82.84,27.85,-82.66,28.49,-82.65,28.89,-83.29,29.45,-83.7,29.93,-84.04,30.1,-84.31,30.06,-84.38,29.91,-85.32,29.68,-85.41,29.77,-85.41,29.84,-85.32,29.76,-85.36,29.88,-85.68,30.12,-85.6,30.29,-85.79,30.17,-86.45,30.4,-86.13,30.4,-86.26,30.49,-87.2,30.34,-86.99,30.43,-87,30.57,-87.07,30.5,-87.17,30.54,-87.28,30.34,-87.48,30.29,-87.45,30.39,-87.62,30.26,-88,30.23,-87.79,30.29,-88.01,30.69,-88.13,30.37,-88.9,30.42,-89.32,30.35,-89.59,30.17,-90.13,30.37,-90.23,30.38,-90.33,30.28,-90.41,30.14,-90.18,30.03,-89.74,30.17,-89.66,30.12,-89.82,30.01,-89.63,29.9,-89.5,30.06,-89.4,30.05,-89.35,29.82,-89.72,29.62,-89.51,29.42,-89.18,29.34,-89.02,29.2,-89.16,29.02,-89.24,29.08,-89.38,28.98,-89.35,29.07,-89.52,29.25,-90.16,29.54,-90.05,29.34,-90.21,29.1,-90.38,29.3,-90.59,29.27,-90.75,29.13,-91.29,29.29,-91.15,29.32,-91.25,29.56,-91.51,29.56,-91.67,29.75,-91.82,29.75,-91.89,29.84,-92.13,29.7,-92.08,29.59,-92.26,29.56,-92.67,29.6,-93.17,29.78,-93.83,29.72,-93.88,29.81,-93.77,29.95,-93.84,29.98,-93.94,29.81,-93.89,29.69,-94.1,29.67,-94.76,29.38,-94.53,29.55,-94.78,29.55,-94.74,29.75,-95.02,29.7,-94.89,29.37,-95.27,28.96,-96.23,28.49,-96.01,28.63,-96.37,28.66,-96.45,28.59,-96.64,28.71,-96.53,28.49,-96.42,28.46,-96.68,28.34,-96.77,28.42,-96.84,28.2,-97.16,28.14,-97.14,28.06,-97.03,28.09,-97.07,27.99,-97.17,27.88,-97.43,27.84,-97.29,27.67,-97.44,27.33,-97.77,27.46,-97.69,27.29,-97.48,27.24,-97.56,26.97,-97.44,26.49,-97.21,26.07,-97.15,26.06,-97.15,25.96,-97.36,25.87,-97.8,26.04,-98.28,26.11,-99.11,26.45,-99.23,26.76,-99.46,27.06,-99.51,27.55,-100.3,28.33,-100.33,28.5,-100.76,29.18,-101.38,29.74,-102.34,29.87,-102.73,29.64,-102.89,29.22,-103.26,29,-104.4,29.57,-104.62,29.85,-104.68,30.13,-104.92,30.58,-106.15,31.45,-106.44,31.77,-108.21,31.78,-108.22,31.33,-111.04,31.33,-114.84,32.51,-114.72,32.72,-117.13,32.53,-117.14,32.65,-117.24,32.66,-117.32,33.1,-117.47,33.3,-118.08,33.72,-118.41,33.74,-118.39,33.86,-118.51,34.02,-119.14,34.11,-119.27,34.26,-119.61,34.42,-120.48,34.47,-120.65,34.58,-120.63,35.08,-120.86,35.21,-120.9,35.43,-121.28,35.68,-121.88,36.33,-121.92,36.57,-121.79,36.73,-121.81,36.85,-121.88,36.94,-122.17,36.99,-122.4,37.21,-122.5,37.54,-122.51,37.77,-122.45,37.8,-122.3,37.59,-122.07,37.48,-122.39,37.96,-122.31,38.01,-121.52,38.06,-122.03,38.12,-122.15,38.07,-122.39,38.14,-122.48,38.11,-122.47,37.84,-122.52,37.83,-122.93,38.06,-123,37.99,-122.98,38.23,-122.88,38.12,-122.91,38.2,-123.7,38.91,-123.83,39.78,-124.33,40.25,-124.37,40.49,-124.19,40.77,-124.07,41.46,-124.25,41.79,-124.21,41.98,-124.35,42.12,-124.4,42.58,-124.54,42.81,-124.35,43.34,-124.2,43.42,-124.29,43.41,-124.15,43.69,-123.93,45.58,-123.99,46.22,-123.22,46.15,-123.47,46.27,-124.07,46.28,-124.04,46.61,-123.95,46.43,-123.89,46.66,-124.07,46.74,-124.11,46.86,-123.84,46.96,-124.11,47.04,-124.14,46.95,-124.38,47.66,-124.66,47.97,-124.71,48.38,-123.98,48.17,-123.12,48.15,-122.98,48.07,-122.78,48.14,-122.66,47.88,-123.05,47.55,-123.14,47.36,-122.92,47.41,-123.07,47.4,-123.05,47.48,-122.53,47.92,-122.53,47.77,-122.68,47.61,-122.56,47.46,-122.58,47.29,-122.71,47.32,-122.77,47.22,-122.83,47.34,-123.03,47.14,-122.7,47.11,-122.35,47.37,-122.4,47.78,-122.24,48.01,-122.42,48.18,-122.4,48.08,-122.52,48.16,-122.41,48.29,-122.67,48.46,-122.5,48.51,-122.51,48.67,-122.56,48.78,-122.69,48.79,-122.79,48.99,-95.16,48.99,-95.15,49.37,-94.94,49.35,-94.86,49.3,-94.81,49,-94.62,48.74,-93.71,48.53,-93.38,48.62,-93,48.61,-92.5,48.44,-92.41,48.28,-92,48.3,-91.52,48.06,-90.92,48.21,-90.74,48.11,-90.09,48.12,-89.9,48,-89.46,48,-88.38,48.3,-84.88,46.9,-84.78,46.64,-84.56,46.46,-84.12,46.53,-84.11,46.29,-83.98,46.08,-83.62,46.12,-83.47,45.99,-83.59,45.82,-82.55,45.35,-82.14,43.57,-82.55,42.62,-83.07,42.3,-83.15,42.14,-83.14,41.98,-83.03,41.83,-82.69,41.68,-82.44,41.68,-81.28,42.21,-80.25,42.37,-79.04,42.8,-78.91,42.91,-79.03,43.02,-79.17,43.47,-78.85,43.58,-76.82,43.63,-76.15,44.3,-75.18,44.9,-74.71,45]],[[-72.51,40.99,-72.58,40.92,-72.52,40.91,-72.29,41.02,-71.9,41.06,-73.19,40.65,-73.9,40.57,-73.82,40.66,-74.01,40.58,-74.03,40.64,-73.57,40.92,-72.63,40.99,-72.27,41.15,-72.51,40.99]],[[-68.19,44.33,-68.31,44.32,-68.32,44.25,-68.41,44.29,-68.3,44.46,-68.19,44.33]],[[-74.19,40.52,-74.19,40.61,-74.07,40.65,-74.19,40.52]],[[-70.51,41.38,-70.83,41.36,-70.62,41.46,-70.51,41.38]],[[-71.24,41.49,-71.35,41.47,-71.23,41.65,-71.24,41.49]],[[-69.98,41.27,-70.23,41.29,-70.04,41.4,-69.98,41.27]],[[-75.72,35.84,-75.63,35.84,-75.63,35.95,-75.72,35.95,-75.72,35.84]],[[-75.54,35.24,-75.69,35.22,-75.54,35.28,-75.5,35.77,-75.45,35.56,-75.54,35.24]],[[-75.98,35.12,-75.78,35.12,-75.78,35.19,-75.98,35.19,-75.98,35.12]],[[-76.53,34.63,-76.21,34.63,-76.21,34.94,-76.53,34.94,-76.53,34.63]],[[-82.04,26.45,-82.14,26.45,-82.2,26.55,-82.04,26.45]],[[-82.17,26.49,-82.08,26.49,-82.08,26.7,-82.17,26.7,-82.17,26.49]],[[-80.38,25.14,-80.58,24.95,-80.35,25.3,-80.26,25.35,-80.38,25.14]],[[-91.79,29.5,-92.01,29.61,-91.87,29.64,-91.76,29.57,-91.79,29.5]],[[-97.04,27.9,-96.84,27.9,-96.84,28.13,-97.04,28.13,-97.04,27.9]],[[-96.8,28.15,-96.4,28.15,-96.4,28.38,-96.8,28.38,-96.8,28.15]],[[-97.35,27.3,-97.3,27.52,-97.06,27.82,-97.35,27.3]],[[-95.09,29.14,-94.77,29.14,-94.77,29.34,-95.09,29.34,-95.09,29.14]],[[-97.17,26.16,-97.4,26.82,-97.39,27.2,-97.17,26.16]],[[-120.44,34.02,-120.31,34.02,-120.31,34.07,-120.44,34.07,-120.44,34.02]],[[-119.57,33.22,-119.44,33.22,-119.44,33.28,-119.57,33.28,-119.57,33.22]],[[-118.35,32.83,-118.47,32.84,-118.59,33.01,-118.35,32.83]],[[-120.05,33.92,-120.17,33.92,-120.25,34.01,-120.07,34.03,-119.98,33.97,-120.05,33.92]],[[-119.88,34.08,-119.55,34.03,-119.81,33.97,-119.88,34.08]],[[-118.35,33.39,-118.3,33.31,-118.45,33.32,-118.57,33.46,-118.35,33.39]],[[-122.78,48.67,-122.9,48.66,-122.89,48.59,-123,48.65,-122.78,48.67]],[[-123.01,48.5,-123.14,48.51,-123.16,48.61,-123.01,48.5]],[[-122.57,48.16,-122.53,48.03,-122.5,48.08,-122.37,47.99,-122.38,47.92,-122.56,47.99,-122.75,48.24,-122.63,48.38,-122.54,48.32,-122.7,48.23,-122.57,48.16]],[[-71.4,41.47,-71.35,41.47,-71.35,41.57,-71.4,41.57,-71.4,41.47]],[[-74.25,39.53,-74.1,39.53,-74.1,39.75,-74.25,39.75,-74.25,39.53]],[[-75.38,37.87,-75.1,37.87,-75.1,38.3,-75.38,38.3,-75.38,37.87]],[[-76.68,34.65,-76.55,34.65,-76.55,34.7,-76.68,34.7,-76.68,34.65]],[[-81.42,24.63,-81.32,24.63,-81.32,24.75,-81.42,24.75,-81.42,24.63]],[[-80.85,24.8,-80.79,24.8,-80.79,24.85,-80.85,24.85,-80.85,24.8]],[[-80.66,24.9,-80.61,24.9,-80.61,24.94,-80.66,24.94,-80.66,24.9]],[[-81.14,24.69,-80.93,24.69,-80.93,24.76,-81.14,24.76,-81.14,24.69]],[[-81.42,30.97,-81.46,30.73,-81.49,30.9,-81.42,30.97]],[[-81.57,24.6,-81.63,24.59,-81.56,24.69,-81.57,24.6]],[[-80.44,27.21,-80.17,27.21,-80.17,27.85,-80.44,27.85,-80.44,27.21]],[[-81.81,24.54,-81.74,24.54,-81.74,24.58,-81.81,24.58,-81.81,24.54]],[[-88.94,29.66,-88.87,29.66,-88.87,29.75,-88.94,29.75,-88.94,29.66]],[[-88.72,30.21,-88.56,30.21,-88.56,30.26,-88.72,30.26,-88.72,30.21]],[[-88.32,30.23,-88.07,30.23,-88.07,30.27,-88.32,30.27,-88.32,30.23]],[[-89.23,30.08,-89.34,30.06,-89.19,30.17,-89.23,30.08]],[[-88.87,29.78,-88.81,29.78,-88.81,30.06,-88.87,30.06,-88.87,29.78]],[[-84.91,29.64,-85.12,29.63,-84.74,29.73,-84.91,29.64]],[[-122.91,47.19,-122.85,47.19,-122.85,47.28,-122.91,47.28,-122.91,47.19]],[[-122.4,47.4,-122.51,47.36,-122.49,47.49,-122.4,47.4]],[[-122.5,47.59,-122.58,47.62,-122.55,47.7,-122.5,47.59]],[[-122.82,48.43,-122.92,48.46,-122.91,48.54,-122.82,48.43]],[[-68.7,44.18,-68.62,44.18,-68.62,44.26,-68.7,44.26,-68.7,44.18]]]],
+    ['UY', 'Americas', [-58.44, -34.93, -53.12, -30.11], [[[-53.37,-33.74,-53.79,-34.38,-54.17,-34.67,-54.9,-34.93,-55.67,-34.77,-56.25,-34.9,-56.85,-34.68,-57.17,-34.45,-57.87,-34.45,-58.4,-33.91,-58.44,-33.72,-58.36,-33.18,-58.09,-32.97,-58.2,-32.47,-58.12,-32.25,-58.19,-31.92,-57.99,-31.62,-58.03,-31.42,-57.81,-30.86,-57.87,-30.59,-57.65,-30.23,-57.21,-30.28,-57.12,-30.15,-56.83,-30.11,-56.04,-30.78,-56,-31.08,-55.81,-31.04,-55.6,-30.85,-55.17,-31.28,-54.59,-31.49,-54.22,-31.86,-53.76,-32.06,-53.6,-32.4,-53.12,-32.74,-53.53,-33.17,-53.53,-33.66,-53.37,-33.74]]]],
+    ['UZ', 'Asia', [55.98, 37.17, 73.14, 45.56], [[[70.95,42.25,71.04,42.28,71.23,42.16,70.86,42.03,70.8,41.92,70.18,41.57,70.2,41.51,70.47,41.41,70.69,41.45,70.78,41.26,71.39,41.12,71.42,41.34,71.58,41.33,71.66,41.54,71.88,41.19,72.16,41.17,72.19,41.03,72.36,41.04,72.66,40.87,73.14,40.81,72.6,40.53,72.4,40.58,72.36,40.4,72.13,40.44,71.96,40.26,71.69,40.15,71.3,40.29,70.6,40.21,70.37,40.41,70.75,40.74,70.44,41.02,70.29,40.89,69.71,40.66,69.36,40.77,69.21,40.57,69.3,40.33,69.22,40.29,69.27,40.2,68.63,40.17,68.97,40.09,68.81,40.05,68.87,39.91,68.64,39.84,68.51,39.56,67.72,39.62,67.43,39.47,67.36,39.22,67.65,39.13,67.69,38.99,68.13,38.93,68.05,38.67,68.09,38.47,68.35,38.21,68.29,38.03,67.86,37.57,67.76,37.17,67.52,37.27,67.2,37.23,67.07,37.34,66.83,37.37,66.52,37.35,66.53,37.79,66.63,37.93,66.57,38.01,65.97,38.24,65.61,38.24,64.31,38.98,64.16,38.95,63.76,39.16,62.48,39.98,62.38,40.33,62.1,40.68,61.9,41.09,61.5,41.28,61.24,41.19,60.45,41.22,60.09,41.4,60.14,41.59,60.08,41.76,60.2,41.8,59.94,41.97,59.99,42.21,59.86,42.29,59.36,42.32,59.16,42.51,58.88,42.56,58.59,42.78,58.48,42.66,58.15,42.63,58.47,42.3,58.03,42.49,57.81,42.19,57.29,42.12,56.97,41.86,57.02,41.45,57.12,41.35,57.02,41.26,55.98,41.32,55.98,44.99,58.56,45.56,61.01,44.39,61.16,44.17,61.99,43.49,63.21,43.63,64.44,43.55,64.91,43.71,65.5,43.31,65.8,42.88,66.1,42.99,66.01,42,66.5,41.99,66.71,41.18,67.93,41.2,68.11,41.03,68.05,40.81,68.41,40.62,68.57,40.62,68.58,40.88,69.15,41.43,70.09,41.82,70.41,42.08,70.58,42.04,70.95,42.25]],[[71.21,39.89,71.01,39.9,70.98,40.13,71.23,40.05,71.21,39.89]],[[71.67,39.91,71.79,39.91,71.79,39.99,71.67,39.99,71.67,39.91]]]],
+    ['VA', 'Europe', [12.43, 41.9, 12.44, 41.91], [[[12.43,41.9,12.44,41.9,12.44,41.91,12.43,41.91,12.43,41.9]]]],
+    ['VC', 'Americas', [-61.35, 12.69, -61.14, 13.36], [[[-61.17,13.16,-61.28,13.21,-61.27,13.29,-61.14,13.36,-61.17,13.16]],[[-61.28,12.98,-61.2,12.98,-61.2,13.05,-61.28,13.05,-61.28,12.98]],[[-61.35,12.69,-61.31,12.69,-61.31,12.74,-61.35,12.74,-61.35,12.69]]]],
+    ['VE', 'Americas', [-73.37, 0.69, -59.85, 12.18], [[[-60.82,9.14,-60.94,9.11,-60.82,9.21,-60.73,9.2,-60.82,9.14]],[[-63.85,11.13,-63.82,11,-63.92,10.89,-64.4,10.98,-64.21,11.09,-64.03,11,-63.89,11.17,-63.85,11.13]],[[-65.21,10.91,-65.41,10.94,-65.3,10.97,-65.21,10.91]],[[-61,8.87,-61.06,8.85,-61.07,8.95,-60.91,9.07,-60.86,8.95,-61,8.87]],[[-60.02,8.55,-59.85,8.25,-60.03,8.05,-60.51,7.81,-60.72,7.54,-60.6,7.32,-60.63,7.21,-60.32,7.13,-60.35,7,-60.72,6.77,-61.14,6.69,-61.2,6.59,-61.13,6.21,-61.39,5.94,-60.67,5.16,-60.63,4.89,-61,4.54,-61.28,4.52,-61.56,4.29,-62.15,4.1,-62.41,4.16,-62.71,4.02,-62.76,3.67,-62.86,3.59,-62.97,3.59,-63.34,3.94,-64.02,3.93,-64.19,4.13,-64.58,4.14,-64.79,4.28,-64.67,4.01,-64.22,3.59,-64.22,3.21,-64.01,2.67,-64.05,2.5,-63.39,2.41,-63.39,2.22,-64.01,1.93,-64.2,1.53,-65.03,1.16,-65.47,0.69,-65.55,0.69,-65.52,0.84,-65.64,0.97,-66.3,0.75,-66.88,1.22,-67.21,2.39,-67.62,2.79,-67.86,2.79,-67.31,3.42,-67.66,3.86,-67.86,4.51,-67.83,5.27,-67.47,5.93,-67.48,6.18,-67.86,6.29,-68.47,6.16,-68.94,6.2,-69.43,6.12,-70.13,6.95,-70.74,7.09,-71.13,6.99,-72.01,7.03,-72.21,7.37,-72.39,7.42,-72.47,7.52,-72.36,8.15,-72.42,8.38,-72.66,8.63,-72.8,9.11,-72.96,9.14,-73.06,9.26,-73.37,9.19,-73.01,9.79,-72.87,10.49,-72.69,10.84,-72.45,11.11,-72.25,11.2,-71.96,11.67,-71.32,11.86,-71.49,11.72,-71.96,11.57,-71.83,11.19,-71.64,11.01,-71.73,10.99,-71.6,10.66,-71.66,10.44,-72.11,9.82,-71.76,9.34,-71.69,9.07,-71.54,9.05,-71.24,9.16,-71.08,9.35,-71.05,9.71,-71.39,10.26,-71.55,10.78,-71.46,10.84,-71.47,10.96,-70.23,11.37,-70.1,11.52,-69.81,11.47,-69.82,11.67,-70.19,11.62,-70.29,11.89,-70.2,12.1,-70,12.18,-69.86,12.05,-69.76,11.68,-69.63,11.48,-69.23,11.52,-68.83,11.43,-68.4,11.16,-68.27,10.88,-68.3,10.69,-68.14,10.49,-66.25,10.63,-66.11,10.57,-66.09,10.47,-65.85,10.26,-65.13,10.07,-64.85,10.1,-64.19,10.46,-63.73,10.5,-64.25,10.54,-64.3,10.64,-61.88,10.74,-62.38,10.55,-62.91,10.53,-62.69,10.29,-62.74,10.06,-62.55,10.2,-62.32,9.78,-62.22,9.88,-62.15,9.82,-62.16,9.98,-62.08,9.98,-61.74,9.63,-61.77,9.81,-61.62,9.82,-61.59,9.89,-61.31,9.63,-61.01,9.56,-60.79,9.36,-61.02,9.15,-61.25,8.6,-61.62,8.6,-61.3,8.41,-60.8,8.59,-60.48,8.55,-60.34,8.63,-60.02,8.55]]]],
+    ['VG', 'Americas', [-64.69, 18.4, -64.27, 18.75], [[[-64.4,18.46,-64.42,18.51,-64.32,18.52,-64.4,18.46]],[[-64.69,18.4,-64.55,18.4,-64.55,18.45,-64.69,18.45,-64.69,18.4]],[[-64.41,18.71,-64.27,18.71,-64.27,18.75,-64.41,18.75,-64.41,18.71]]]],
+    ['VI', 'Americas', [-65.02, 17.7, -64.58, 18.38], [[[-65.02,18.32,-64.85,18.32,-64.85,18.38,-65.02,18.38,-65.02,18.32]],[[-64.79,18.33,-64.66,18.33,-64.66,18.37,-64.79,18.37,-64.79,18.33]],[[-64.77,17.79,-64.58,17.75,-64.89,17.7,-64.89,17.77,-64.77,17.79]]]],
+    ['VN', 'Asia', [102.13, 8.6, 109.45, 23.34], [[[104.06,10.39,104.02,10.03,103.85,10.37,104.06,10.39]],[[107.97,21.51,107.81,21.5,107.41,21.28,107.35,21.05,107.16,20.95,106.68,21,106.75,20.74,106.55,20.53,106.52,20.29,106.17,19.99,105.98,19.94,105.62,18.97,105.89,18.5,106.5,17.95,106.48,17.72,106.35,17.77,107.83,16.32,108.03,16.33,108.58,15.58,108.82,15.38,109.09,14.72,109.3,13.86,109.29,13.77,109.25,13.85,109.27,13.28,109.42,12.96,109.45,12.6,109.33,12.75,109.22,12.65,109.31,12.39,109.21,12.41,109.26,11.95,109.2,12,109.2,11.73,109.13,11.6,109.04,11.59,108.99,11.34,108.82,11.32,108.27,10.93,108.1,10.9,108,10.72,107.26,10.4,107.09,10.5,107.01,10.66,106.95,10.4,106.73,10.54,106.61,10.47,106.74,10.44,106.76,10.3,106.47,10.3,106.79,10.12,106.6,9.86,106.14,10.22,106.51,9.82,106.57,9.64,106.38,9.56,105.83,10,106.16,9.59,106.17,9.4,105.5,9.09,105.12,8.63,104.77,8.6,104.9,8.75,104.82,8.8,104.85,9.61,104.9,9.82,105.09,9.94,105.03,10.07,104.8,10.2,104.66,10.17,104.43,10.41,104.56,10.52,104.85,10.53,105.05,10.7,105.05,10.91,105.31,10.85,105.41,10.95,105.76,10.99,105.85,10.86,106.16,10.8,106.16,11.04,105.86,11.3,105.85,11.64,106,11.76,106.4,11.69,106.42,11.95,106.7,11.98,107.21,12.3,107.39,12.26,107.51,12.36,107.56,12.54,107.47,13.03,107.61,13.44,107.33,14.13,107.37,14.37,107.53,14.65,107.48,14.98,107.65,15.25,107.17,15.8,107.39,15.95,107.4,16.04,106.93,16.35,106.85,16.52,106.66,16.49,106.54,16.65,106.5,16.95,105.69,17.74,105.46,18.15,105.16,18.34,105.09,18.45,105.15,18.65,104.72,18.8,103.89,19.3,104.06,19.48,104.03,19.67,104.59,19.62,104.93,20.02,104.85,20.2,104.7,20.21,104.62,20.37,104.37,20.44,104.58,20.65,104.1,20.95,103.64,20.7,103.1,20.89,102.85,21.27,102.95,21.68,102.82,21.81,102.66,21.68,102.58,21.9,102.13,22.38,102.47,22.75,102.98,22.45,103.33,22.77,103.49,22.59,103.62,22.78,103.94,22.54,104.14,22.8,104.37,22.7,104.69,22.82,104.8,22.91,104.86,23.14,105.27,23.34,105.55,23.07,105.84,22.92,106.15,22.97,106.28,22.86,106.54,22.91,106.78,22.78,106.55,22.5,106.66,21.98,106.97,21.92,107.35,21.61,107.76,21.66,107.97,21.51]],[[106.62,8.68,106.57,8.7,106.66,8.77,106.62,8.68]],[[107.08,10.34,107.2,10.34,107.2,10.45,107.08,10.45,107.08,10.34]],[[106.87,20.82,106.77,20.86,106.8,20.93,106.87,20.82]],[[107.6,21.22,107.41,21.09,107.48,21.27,107.6,21.22]],[[107.52,20.93,107.4,20.9,107.55,21.03,107.52,20.93]],[[107.03,20.75,106.91,20.82,106.95,20.87,107.06,20.82,107.03,20.75]]]],
+    ['VU', 'Oceania', [166.53, -20.24, 169.89, -13.71], [[[166.74,-14.83,166.81,-15.16,166.92,-15.14,166.99,-14.94,167.08,-14.94,167.2,-15.44,167.09,-15.58,166.76,-15.63,166.63,-15.41,166.53,-14.76,166.61,-14.64,166.74,-14.83]],[[167.41,-16.1,167.84,-16.45,167.45,-16.56,167.35,-16.15,167.15,-16.08,167.25,-15.88,167.41,-16.1]],[[168.45,-16.78,168.46,-16.84,168.18,-16.8,168.13,-16.64,168.2,-16.59,168.45,-16.78]],[[168.3,-16.34,168.02,-16.32,167.93,-16.23,168.16,-16.08,168.3,-16.34]],[[168.45,-17.54,168.58,-17.7,168.52,-17.8,168.16,-17.71,168.27,-17.55,168.45,-17.54]],[[167.91,-15.44,167.67,-15.45,167.82,-15.31,168,-15.28,167.91,-15.44]],[[168.21,-15.97,168.12,-15.68,168.16,-15.46,168.27,-15.89,168.21,-15.97]],[[168.19,-15.33,168.17,-15.39,168.13,-15.32,168.12,-14.99,168.19,-15.33]],[[167.22,-15.72,167.09,-15.69,167.12,-15.62,167.23,-15.64,167.22,-15.72]],[[167.58,-14.26,167.43,-14.3,167.41,-14.2,167.51,-14.14,167.6,-14.18,167.58,-14.26]],[[167.49,-13.91,167.39,-13.79,167.48,-13.71,167.55,-13.81,167.49,-13.91]],[[169.89,-20.19,169.86,-20.24,169.74,-20.2,169.89,-20.19]],[[169.49,-19.54,169.44,-19.65,169.35,-19.62,169.22,-19.48,169.25,-19.35,169.34,-19.33,169.36,-19.46,169.49,-19.54]],[[169.33,-18.94,169.25,-18.98,168.99,-18.87,169.02,-18.64,169.14,-18.63,169.33,-18.94]]]],
+    ['WF', 'Oceania', [-178.19, -14.32, -176.13, -13.22], [[[-176.19,-13.34,-176.13,-13.34,-176.13,-13.22,-176.19,-13.22,-176.19,-13.34]],[[-178.19,-14.32,-178.05,-14.32,-178.05,-14.23,-178.19,-14.23,-178.19,-14.32]]]],
+    ['WS', 'Oceania', [-172.78, -14.05, -171.45, -13.47], [[[-172.33,-13.47,-172.18,-13.68,-172.22,-13.8,-172.54,-13.79,-172.78,-13.52,-172.33,-13.47]],[[-171.45,-14.05,-171.91,-14,-172.05,-13.86,-171.86,-13.81,-171.6,-13.88,-171.45,-14.05]]]],
+    ['XK', 'Europe', [20.05, 41.87, 21.75, 43.26], [[[20.35,42.83,20.62,43.03,20.62,43.2,20.8,43.26,21.4,42.83,21.39,42.75,21.75,42.65,21.52,42.33,21.56,42.25,21.39,42.22,21.29,42.1,21.06,42.17,20.78,42.07,20.72,41.87,20.58,41.87,20.49,42.22,20.24,42.34,20.06,42.55,20.05,42.76,20.35,42.83]]]],
+    ['YE', 'Asia', [42.55, 12.32, 54.51, 19], [[[53.08,16.65,52.58,16.47,52.33,16.29,52.17,15.96,52.22,15.66,51.6,15.34,49.35,14.64,49.05,14.46,48.67,14.05,48.28,14,47.99,14.05,47.41,13.66,46.79,13.47,45.66,13.34,45.39,13.07,45.16,13,45.04,12.82,44.75,12.76,44.62,12.82,44.36,12.67,44.01,12.61,43.63,12.74,43.49,12.7,43.23,13.27,43.28,13.69,43.09,14.01,42.94,14.94,42.86,15.13,42.66,15.23,42.7,15.33,42.79,15.27,42.8,15.33,42.72,15.65,42.84,16.03,42.8,16.37,43.17,16.69,43.16,17.2,43.24,17.27,43.19,17.36,43.35,17.49,43.54,17.5,43.92,17.32,44.16,17.4,45.15,17.43,45.54,17.3,46.73,17.27,46.98,16.95,47.14,16.95,47.44,17.11,47.58,17.45,48.17,18.16,49.04,18.58,49.44,18.66,51.98,19,53.08,16.65]],[[42.55,15.28,42.63,15.28,42.63,15.43,42.55,15.43,42.55,15.28]],[[42.69,13.67,42.8,13.67,42.8,13.77,42.69,13.77,42.69,13.67]],[[42.79,13.97,42.69,14.01,42.76,14.07,42.79,13.97]],[[53.76,12.64,54.19,12.66,54.51,12.55,54.13,12.36,53.72,12.32,53.31,12.53,53.53,12.72,53.76,12.64]]]],
+    ['ZA', 'Africa', [16.45, -46.94, 37.89, -22.15], [[[29.36,-22.19,29.66,-22.15,30.19,-22.29,31.07,-22.31,31.29,-22.4,31.55,-23.48,31.8,-23.89,31.95,-24.33,31.95,-25.96,31.87,-25.98,31.42,-25.75,31.21,-25.84,30.8,-26.41,30.81,-26.79,30.88,-26.79,31.06,-27.11,31.28,-27.24,31.74,-27.31,31.96,-27.31,32,-26.82,32.88,-26.85,32.54,-28.2,32.38,-28.5,32.03,-28.84,31.78,-28.94,31.34,-29.38,30.29,-30.97,28.86,-32.29,27.86,-33.05,27.08,-33.52,26.61,-33.71,25.81,-33.74,25.65,-33.85,25.64,-34.01,25.57,-34.04,25,-33.97,24.83,-34.17,24.6,-34.17,23.7,-33.99,23.27,-34.08,22.55,-34.01,22.25,-34.07,21.79,-34.37,20.99,-34.37,20.53,-34.46,20.02,-34.79,19.64,-34.75,19.3,-34.62,19.33,-34.49,19.1,-34.35,18.83,-34.36,18.75,-34.08,18.5,-34.11,18.46,-34.35,18.33,-34.07,18.35,-33.94,18.47,-33.89,18.43,-33.72,17.99,-33.15,17.85,-32.83,17.97,-32.71,18.12,-32.75,18.33,-32.5,18.21,-31.74,17.35,-30.45,16.95,-29.4,16.45,-28.62,16.76,-28.45,16.88,-28.13,17.06,-28.03,17.36,-28.27,17.35,-28.5,17.45,-28.7,18.1,-28.87,19.25,-28.9,19.27,-28.78,19.54,-28.57,19.98,-28.45,19.98,-24.78,20.43,-25.15,20.79,-25.92,20.81,-26.16,20.63,-26.44,20.68,-26.82,21.7,-26.84,22.6,-26.13,22.88,-25.46,23.06,-25.31,23.39,-25.29,23.9,-25.6,24.75,-25.82,25.44,-25.71,25.58,-25.61,25.91,-24.75,26.4,-24.61,26.84,-24.24,27.08,-23.58,27.76,-23.2,28.21,-22.69,28.84,-22.48,29.13,-22.21,29.36,-22.19],[28.74,-30.1,29.1,-29.92,29.14,-29.7,29.3,-29.57,29.39,-29.27,29.3,-29.09,28.63,-28.58,27.74,-28.94,27.36,-29.46,27.06,-29.63,27.39,-30.32,27.75,-30.6,28.06,-30.63,28.39,-30.15,28.74,-30.1]],[[37.86,-46.94,37.59,-46.91,37.79,-46.84,37.89,-46.9,37.86,-46.94]]]],
+    ['ZM', 'Africa', [21.98, -18.04, 33.66, -8.19], [[[30.4,-15.64,29.49,-15.7,28.91,-15.99,28.76,-16.53,27.93,-16.9,27.02,-17.96,26.78,-18.04,25.45,-17.85,25.26,-17.79,25,-17.57,24.73,-17.52,24.27,-17.48,23.38,-17.64,22.15,-16.6,22.04,-16.26,21.98,-15.95,21.98,-13,23.96,-12.99,23.88,-12.8,23.99,-12.42,23.97,-11.64,24.05,-11.4,23.97,-10.87,24.37,-11.13,24.38,-11.42,24.52,-11.44,25.29,-11.21,25.35,-11.62,25.51,-11.75,26.03,-11.89,26.83,-11.97,26.95,-11.9,27.05,-11.62,27.16,-11.58,27.57,-12.23,28.41,-12.52,28.55,-12.84,28.73,-12.93,29.01,-13.37,29.2,-13.4,29.55,-13.25,29.65,-13.42,29.77,-13.44,29.8,-12.15,29.51,-12.23,29.49,-12.42,29.06,-12.35,28.48,-11.81,28.36,-11.48,28.65,-10.55,28.6,-9.68,28.4,-9.22,28.87,-8.79,28.9,-8.48,30.75,-8.19,31.03,-8.6,31.35,-8.61,31.67,-8.91,31.89,-8.92,31.94,-9.05,32.43,-9.16,32.92,-9.41,33,-9.62,33.19,-9.63,33.35,-9.86,33.31,-10.04,33.53,-10.23,33.66,-10.55,33.26,-10.89,33.38,-11.16,33.23,-11.42,33.31,-11.8,33.25,-12.11,33.34,-12.31,33.51,-12.35,33.4,-12.49,33.02,-12.63,32.95,-12.8,32.97,-13.22,32.85,-13.46,32.67,-13.59,32.99,-14.02,33.15,-13.94,33.2,-14.01,30.23,-14.99,30.4,-15.64]]]],
+    ['ZW', 'Africa', [25.24, -22.4, 33.01, -15.64], [[[31.29,-22.4,31.07,-22.31,30.19,-22.29,29.66,-22.15,29.36,-22.19,29.04,-22.02,29.03,-21.8,28.01,-21.55,27.67,-21.06,27.7,-20.53,27.28,-20.48,27.18,-20.1,26.68,-19.89,26.17,-19.54,25.94,-18.94,25.24,-17.97,25.26,-17.79,25.64,-17.82,26,-17.97,26.33,-17.93,26.78,-18.04,27.02,-17.96,27.93,-16.9,28.76,-16.53,28.91,-15.99,29.29,-15.78,29.73,-15.64,30.4,-15.64,30.44,-15.99,31.24,-16.02,31.69,-16.21,31.94,-16.43,32.24,-16.45,32.95,-16.71,32.88,-16.88,32.97,-17.25,32.99,-18.36,32.88,-18.73,32.72,-18.83,32.7,-18.94,32.85,-19.1,32.78,-19.39,33.01,-19.87,32.99,-19.98,32.67,-20.52,32.49,-20.66,32.48,-20.95,32.36,-21.14,32.43,-21.3,31.29,-22.4]]]]
+];